@@ -31,15 +31,26 @@ export default [
         HTMLCanvasElement: 'readonly',
         ImageBitmap: 'readonly',
         MediaRecorder: 'readonly',
+        MediaStream: 'readonly',
         Blob: 'readonly',
         URL: 'readonly',
         performance: 'readonly',
         localStorage: 'readonly',
         createImageBitmap: 'readonly',
+        ImageData: 'readonly',
         // Worker globals
         self: 'readonly',
         Worker: 'readonly',
         OffscreenCanvas: 'readonly',
+        CompressionStream: 'readonly',
+        Response: 'readonly',
+        // WebCodecs globals
+        VideoEncoder: 'readonly',
+        VideoFrame: 'readonly',
+        AudioEncoder: 'readonly',
+        MediaStreamTrackProcessor: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
         // WebGPU globals
         GPUTextureUsage: 'readonly',
         GPUBufferUsage: 'readonly',
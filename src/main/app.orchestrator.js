@@ -34,6 +34,9 @@ class AppOrchestrator extends BaseOrchestrator {
     this._updateService = null;
     this._deviceBridgeService = null;
     this._updateBridgeService = null;
+    this._captureStorageService = null;
+    this._captureRecordingSpoolService = null;
+    this._captureGalleryService = null;
   }
 
   /**
@@ -55,10 +58,22 @@ class AppOrchestrator extends BaseOrchestrator {
     this._updateService = this.container.resolve('updateService');
     this._deviceBridgeService = this.container.resolve('deviceBridgeService');
     this._updateBridgeService = this.container.resolve('updateBridgeService');
+    this._captureStorageService = this.container.resolve('captureStorageService');
+    this._captureRecordingSpoolService = this.container.resolve('captureRecordingSpoolService');
+    this._captureGalleryService = this.container.resolve('captureGalleryService');
 
     // Initialize device service (loads device profiles)
     await this._deviceService.initialize();
 
+    // Load capture folder preferences before IPC handlers can save captures
+    await this._captureStorageService.initialize();
+
+    // Prepare the folder recordings are streamed to while they run
+    await this._captureRecordingSpoolService.initialize();
+
+    // Serve capture folder files to the gallery
+    this._captureGalleryService.initialize();
+
     // Initialize device lifecycle service (handles auto-launch)
     this._deviceLifecycleService.initialize();
 
@@ -133,6 +148,8 @@ class AppOrchestrator extends BaseOrchestrator {
     // Dispose services using safe utility (eliminates repetitive try-catch)
     await safeDisposeAll(this.logger, [
       ['IPC handler registry', this._ipcHandlerRegistry],
+      ['recording spool service', this._captureRecordingSpoolService],
+      ['capture gallery service', this._captureGalleryService],
       ['device bridge service', this._deviceBridgeService],
       ['device lifecycle service', this._deviceLifecycleService],
       ['device service (USB monitoring)', this._deviceService, 'stopUSBMonitoring'],
@@ -151,6 +168,9 @@ class AppOrchestrator extends BaseOrchestrator {
     this._updateService = null;
     this._deviceBridgeService = null;
     this._updateBridgeService = null;
+    this._captureStorageService = null;
+    this._captureRecordingSpoolService = null;
+    this._captureGalleryService = null;
 
     this.logger.info('PrismGB shutdown complete');
   }
@@ -74,6 +74,26 @@ async function createAppContainer(loggerFactory) {
     updateBridgeService: asClass(UpdateBridge).singleton()
   });
 
+  // Capture components
+  const { CaptureStorageService } = await import('@main/features/capture/capture-storage.service.js');
+  const { CaptureRecordingSpoolService } = await import('@main/features/capture/capture-recording-spool.service.js');
+  const { CaptureShareService } = await import('@main/features/capture/capture-share.service.js');
+  const { CaptureGalleryService } = await import('@main/features/capture/capture-gallery.service.js');
+
+  container.register({
+    captureStorageService: asClass(CaptureStorageService).singleton(),
+    captureRecordingSpoolService: asClass(CaptureRecordingSpoolService).singleton(),
+    captureShareService: asClass(CaptureShareService).singleton(),
+    captureGalleryService: asClass(CaptureGalleryService).singleton()
+  });
+
+  // Render preset files
+  const { RenderPresetFileService } = await import('@main/features/presets/render-preset-file.service.js');
+
+  container.register({
+    renderPresetFileService: asClass(RenderPresetFileService).singleton()
+  });
+
   // Log registration count
   const count = Object.keys(container.registrations).length;
   containerLogger.info(`Registered ${count} dependencies`);
@@ -0,0 +1,426 @@
+/**
+ * Capture Gallery Service (Main)
+ * Indexes the capture folder and its per-game subfolders for the in-app gallery
+ * and serves the files to the renderer over the prismgb-capture: protocol.
+ * Renames, deletes and reveals captures, but only files inside the capture folder.
+ * Recording marker files saved next to a video are read into its entry and
+ * follow the video when it is renamed or deleted. Commentary files are listed
+ * as audio.
+ */
+
+import { net, protocol, shell } from 'electron';
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { BaseService } from '@shared/base/service.base.js';
+import { RECORDING_MARKERS } from '@shared/config/constants.config.js';
+import { readCaptureMetadata } from '@shared/utils/capture-metadata.utils.js';
+import { FilenameGenerator } from '@shared/utils/filename-generator.utils.js';
+import { parseMarkersJson } from '@shared/utils/recording-markers.utils.js';
+
+/**
+ * Scheme the renderer loads capture images and videos from
+ */
+const CAPTURE_PROTOCOL = 'prismgb-capture';
+const CAPTURE_PROTOCOL_HOST = 'captures';
+
+/**
+ * Capture file extensions and how the gallery shows them
+ * Commentary WebM files are audio only; see _getCaptureType.
+ */
+const CAPTURE_TYPES = {
+  '.png': 'image',
+  '.gif': 'image',
+  '.webm': 'video',
+  '.mp4': 'video'
+};
+
+/**
+ * Bytes read from the start of a file to find embedded capture metadata
+ * Metadata is written ahead of the image data and the first WebM cluster.
+ */
+const METADATA_HEAD_BYTES = 64 * 1024;
+
+/**
+ * Files saved next to a marked recording
+ */
+const SIDECAR_EXTENSIONS = [RECORDING_MARKERS.CHAPTERS_EXTENSION, RECORDING_MARKERS.MARKERS_EXTENSION];
+
+/**
+ * Let the capture scheme stream media and use fetch like a regular origin
+ * Must be called before the app is ready.
+ */
+function registerCaptureProtocolScheme() {
+  protocol.registerSchemesAsPrivileged([{
+    scheme: CAPTURE_PROTOCOL,
+    privileges: { standard: true, secure: true, supportFetchAPI: true, stream: true }
+  }]);
+}
+
+class CaptureGalleryService extends BaseService {
+  constructor(dependencies) {
+    super(dependencies, ['captureStorageService', 'loggerFactory'], 'CaptureGalleryService');
+
+    // Embedded metadata by file path, reused while the file is unchanged
+    this._metadataCache = new Map();
+    this._protocolHandled = false;
+  }
+
+  /**
+   * Serve capture folder files over the capture protocol
+   * Must be called after the app is ready.
+   */
+  initialize() {
+    protocol.handle(CAPTURE_PROTOCOL, (request) => this._handleProtocolRequest(request));
+    this._protocolHandled = true;
+  }
+
+  /**
+   * List the captures in the capture folder, newest first
+   * Includes the folders one level down (per-game folders), except interval
+   * screenshot sessions.
+   * @returns {Promise<{directory: string, captures: Array<Object>}>}
+   */
+  async listCaptures() {
+    const { directory } = this.captureStorageService.getSettings();
+
+    let dirents;
+    try {
+      dirents = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { directory, captures: [] };
+      }
+      throw error;
+    }
+
+    const captures = await this._indexFolder(directory, dirents);
+
+    for (const dirent of dirents) {
+      if (!dirent.isDirectory() || FilenameGenerator.isSessionFolder(dirent.name)) {
+        continue;
+      }
+
+      const folder = path.join(directory, dirent.name);
+      try {
+        captures.push(...await this._indexFolder(folder, await fs.readdir(folder, { withFileTypes: true })));
+      } catch (error) {
+        this.logger.warn(`Skipping folder ${dirent.name}:`, error.message);
+      }
+    }
+
+    // Forget files that are gone
+    const listed = new Set(captures.map(capture => capture.filePath));
+    for (const filePath of this._metadataCache.keys()) {
+      if (!listed.has(filePath)) {
+        this._metadataCache.delete(filePath);
+      }
+    }
+
+    captures.sort((a, b) => b.modifiedAt - a.modifiedAt);
+    return { directory, captures };
+  }
+
+  /**
+   * Rename a capture, keeping its extension
+   * Marker files are renamed with it.
+   * @param {string} filePath - Capture path
+   * @param {string} name - New name, with or without the extension
+   * @returns {Promise<Object>} The renamed capture
+   * @throws {Error} If the name is taken or the file is not in the capture folder
+   */
+  async renameCapture(filePath, name) {
+    const sourcePath = this._resolveCapturePath(filePath);
+    const ext = path.extname(sourcePath);
+    const baseName = this._sanitizeName(name, ext);
+    const targetPath = path.join(path.dirname(sourcePath), `${baseName}${ext}`);
+
+    if (targetPath !== sourcePath) {
+      if (await this._isOtherFile(targetPath, sourcePath)) {
+        throw new Error('A capture with that name already exists');
+      }
+
+      const sidecars = await this._findSidecars(sourcePath);
+      await fs.rename(sourcePath, targetPath);
+      this._metadataCache.delete(sourcePath);
+      this.logger.info(`Capture renamed: ${sourcePath} -> ${targetPath}`);
+
+      for (const extension of sidecars) {
+        try {
+          await fs.rename(
+            FilenameGenerator.forSidecar(sourcePath, extension),
+            FilenameGenerator.forSidecar(targetPath, extension)
+          );
+        } catch (error) {
+          this.logger.warn(`Failed to rename ${extension} file:`, error.message);
+        }
+      }
+    }
+
+    return this._indexCapture(targetPath);
+  }
+
+  /**
+   * Move a capture to the trash, along with its marker files
+   * @param {string} filePath - Capture path
+   * @returns {Promise<void>}
+   * @throws {Error} If the file is not in the capture folder
+   */
+  async deleteCapture(filePath) {
+    const capturePath = this._resolveCapturePath(filePath);
+
+    const sidecars = await this._findSidecars(capturePath);
+    await shell.trashItem(capturePath);
+    this._metadataCache.delete(capturePath);
+    this.logger.info(`Capture moved to trash: ${capturePath}`);
+
+    for (const extension of sidecars) {
+      try {
+        await shell.trashItem(FilenameGenerator.forSidecar(capturePath, extension));
+      } catch (error) {
+        this.logger.warn(`Failed to trash ${extension} file:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Show a capture in the system file manager
+   * @param {string} filePath - Capture path
+   * @throws {Error} If the file is not in the capture folder
+   */
+  revealCapture(filePath) {
+    shell.showItemInFolder(this._resolveCapturePath(filePath));
+  }
+
+  /**
+   * Stop serving the capture protocol
+   */
+  dispose() {
+    if (this._protocolHandled) {
+      protocol.unhandle(CAPTURE_PROTOCOL);
+      this._protocolHandled = false;
+    }
+    this._metadataCache.clear();
+  }
+
+  /**
+   * Index the capture files in one folder
+   * @param {string} folder - Folder path
+   * @param {fs.Dirent[]} dirents - Folder entries
+   * @returns {Promise<Array<Object>>}
+   * @private
+   */
+  async _indexFolder(folder, dirents) {
+    const captures = [];
+    for (const dirent of dirents) {
+      if (!dirent.isFile() || !this._getCaptureType(dirent.name)) {
+        continue;
+      }
+
+      try {
+        captures.push(await this._indexCapture(path.join(folder, dirent.name)));
+      } catch (error) {
+        this.logger.warn(`Skipping capture ${dirent.name}:`, error.message);
+      }
+    }
+    return captures;
+  }
+
+  /**
+   * Describe a capture file for the gallery
+   * @param {string} filePath - Capture path
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _indexCapture(filePath) {
+    const stats = await fs.stat(filePath);
+    const metadata = await this._getMetadata(filePath, stats);
+    const name = path.basename(filePath);
+    const type = this._getCaptureType(name);
+    // Path under the capture folder, e.g. 'Pokemon-Gold/shot.png' for a game folder capture
+    const relativePath = path.relative(this.captureStorageService.getSettings().directory, filePath)
+      .split(path.sep)
+      .map(encodeURIComponent)
+      .join('/');
+
+    return {
+      name,
+      filePath,
+      url: `${CAPTURE_PROTOCOL}://${CAPTURE_PROTOCOL_HOST}/${relativePath}?v=${Math.round(stats.mtimeMs)}`,
+      type,
+      size: stats.size,
+      modifiedAt: stats.mtimeMs,
+      capturedAt: metadata?.capturedAt || new Date(stats.mtimeMs).toISOString(),
+      gameName: metadata?.gameName || null,
+      presetId: metadata?.presetId || null,
+      markers: type === 'video' ? await this._readMarkers(filePath) : []
+    };
+  }
+
+  /**
+   * Read the markers saved next to a recording
+   * @param {string} filePath - Recording path
+   * @returns {Promise<Array<{timeMs: number, label: string}>>} Empty when there is no marker file
+   * @private
+   */
+  async _readMarkers(filePath) {
+    const markersPath = FilenameGenerator.forSidecar(filePath, RECORDING_MARKERS.MARKERS_EXTENSION);
+
+    try {
+      return parseMarkersJson(await fs.readFile(markersPath, 'utf8')) ?? [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.debug(`Could not read ${markersPath}:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Find the marker files saved next to a recording
+   * @param {string} filePath - Capture path
+   * @returns {Promise<string[]>} Extensions of the sidecars that exist
+   * @private
+   */
+  async _findSidecars(filePath) {
+    if (this._getCaptureType(filePath) !== 'video') {
+      return [];
+    }
+
+    const found = [];
+    for (const extension of SIDECAR_EXTENSIONS) {
+      try {
+        await fs.stat(FilenameGenerator.forSidecar(filePath, extension));
+        found.push(extension);
+      } catch {
+        // No sidecar of this kind
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Read embedded capture metadata, cached until the file changes
+   * @param {string} filePath
+   * @param {fs.Stats} stats
+   * @returns {Promise<Object|null>}
+   * @private
+   */
+  async _getMetadata(filePath, stats) {
+    const cached = this._metadataCache.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return cached.metadata;
+    }
+
+    let metadata = null;
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const head = Buffer.alloc(Math.min(stats.size, METADATA_HEAD_BYTES));
+      const { bytesRead } = await handle.read(head, 0, head.length, 0);
+      metadata = readCaptureMetadata(new Uint8Array(head.buffer, head.byteOffset, bytesRead));
+    } catch (error) {
+      this.logger.debug(`No capture metadata in ${filePath}:`, error.message);
+    } finally {
+      await handle.close();
+    }
+
+    this._metadataCache.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, metadata });
+    return metadata;
+  }
+
+  /**
+   * Serve a capture file, refusing anything outside the capture folder
+   * @param {Request} request
+   * @returns {Promise<Response>}
+   * @private
+   */
+  async _handleProtocolRequest(request) {
+    try {
+      const url = new URL(request.url);
+      const segments = url.pathname.slice(1).split('/').map(decodeURIComponent);
+      const { directory } = this.captureStorageService.getSettings();
+      const filePath = this._resolveCapturePath(path.join(directory, ...segments));
+
+      return await net.fetch(pathToFileURL(filePath).toString(), { headers: request.headers });
+    } catch (error) {
+      this.logger.debug(`Refused capture request ${request.url}:`, error.message);
+      return new Response('Not found', { status: 404 });
+    }
+  }
+
+  /**
+   * Check that a renderer-supplied path is a capture in the capture folder or one of its subfolders
+   * @param {string} filePath
+   * @returns {string} Normalized path
+   * @throws {Error} If it is not
+   * @private
+   */
+  _resolveCapturePath(filePath) {
+    if (typeof filePath !== 'string' || !path.isAbsolute(filePath)) {
+      throw new Error('Not a capture');
+    }
+
+    const normalized = path.normalize(filePath);
+    const directory = path.normalize(this.captureStorageService.getSettings().directory);
+
+    const folder = path.dirname(normalized);
+    const isListed = folder === directory || path.dirname(folder) === directory;
+    if (!isListed || !this._getCaptureType(normalized)) {
+      throw new Error('Not a capture');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Turn a user-entered name into a safe base name (no extension)
+   * Uses the same character rules as saved capture filenames.
+   * @param {string} name
+   * @param {string} ext - Extension of the capture being renamed
+   * @returns {string}
+   * @throws {Error} If nothing usable is left
+   * @private
+   */
+  _sanitizeName(name, ext) {
+    let baseName = String(name ?? '').trim();
+    if (baseName.toLowerCase().endsWith(ext.toLowerCase())) {
+      baseName = baseName.slice(0, -ext.length);
+    }
+
+    const sanitized = baseName.replace(/[^a-zA-Z0-9._-]/g, '_').replace(/^\.+/, '');
+    if (!sanitized) {
+      throw new Error('Invalid capture name');
+    }
+
+    return sanitized;
+  }
+
+  _getCaptureType(filename) {
+    if (FilenameGenerator.isCommentary(filename)) {
+      return 'audio';
+    }
+    return CAPTURE_TYPES[path.extname(filename).toLowerCase()] ?? null;
+  }
+
+  /**
+   * Check whether a path is taken by a file other than the source
+   * A case-only rename on a case-insensitive file system finds the source itself.
+   * @param {string} targetPath
+   * @param {string} sourcePath
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isOtherFile(targetPath, sourcePath) {
+    let target;
+    try {
+      target = await fs.stat(targetPath);
+    } catch {
+      return false;
+    }
+
+    const source = await fs.stat(sourcePath);
+    return target.ino !== source.ino || target.dev !== source.dev;
+  }
+}
+
+export { CaptureGalleryService, CAPTURE_PROTOCOL, registerCaptureProtocolScheme };
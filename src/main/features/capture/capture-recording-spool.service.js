@@ -0,0 +1,327 @@
+/**
+ * Capture Recording Spool Service (Main)
+ * Streams recording data to a temp file while the recording runs, so a crash
+ * or power loss keeps everything written so far.
+ *
+ * Each spool is a `<id>.part` file plus a `<id>.json` sidecar describing it.
+ * Finished recordings are moved into the capture folder; spools left behind by
+ * a previous session are offered for recovery on the next launch.
+ */
+
+import { app, dialog } from 'electron';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { BaseService } from '@shared/base/service.base.js';
+
+const SPOOL_FOLDER_NAME = 'recordings-in-progress';
+const PART_EXTENSION = '.part';
+const META_EXTENSION = '.json';
+const RECOVERED_SUFFIX = '-recovered';
+const SPOOL_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Recovery dialog buttons (index order matches the dialog)
+ */
+const RECOVERY_CHOICE = Object.freeze({
+  RECOVER: 0,
+  DISCARD: 1,
+  LATER: 2
+});
+
+class CaptureRecordingSpoolService extends BaseService {
+  constructor(dependencies) {
+    super(dependencies, ['captureStorageService', 'windowService', 'loggerFactory'], 'CaptureRecordingSpoolService');
+
+    this._directory = null;
+    // Spools written by this session: id -> { handle, meta, writes }
+    this._active = new Map();
+  }
+
+  /**
+   * Create the spool folder
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this._directory = path.join(app.getPath('userData'), SPOOL_FOLDER_NAME);
+
+    try {
+      await fs.mkdir(this._directory, { recursive: true });
+    } catch (error) {
+      this.logger.warn('Failed to create recording spool folder:', error.message);
+    }
+  }
+
+  /**
+   * Open a new spool file for a recording
+   * @param {Object} recording
+   * @param {string} recording.filename - Filename the recording will be saved as
+   * @param {string} [recording.mimeType] - Container MIME type
+   * @param {string} [recording.game] - Game the recording belongs to, for per-game folders
+   * @returns {Promise<{id: string}>}
+   */
+  async open({ filename, mimeType = 'video/webm', game }) {
+    const id = randomUUID();
+    const meta = {
+      id,
+      filename: path.basename(String(filename || 'recording.webm')),
+      mimeType,
+      startedAt: new Date().toISOString()
+    };
+    if (typeof game === 'string' && game) {
+      meta.game = game;
+    }
+
+    await fs.mkdir(this._getDirectory(), { recursive: true });
+    await fs.writeFile(this._getMetaPath(id), JSON.stringify(meta, null, 2), 'utf8');
+    const handle = await fs.open(this._getPartPath(id), 'w');
+
+    this._active.set(id, { handle, meta, writes: Promise.resolve() });
+    this.logger.info(`Recording spool opened: ${meta.filename}`);
+
+    return { id };
+  }
+
+  /**
+   * Append data to an open spool
+   * Writes are chained, so chunks land on disk in the order they were sent.
+   * @param {string} id - Spool ID
+   * @param {ArrayBuffer|Uint8Array} data - Recording data
+   * @returns {Promise<void>}
+   * @throws {Error} If the spool is not open or the write fails
+   */
+  async append(id, data) {
+    const entry = this._getActive(id);
+    const buffer = Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+
+    const write = entry.writes.then(() => entry.handle.write(buffer));
+    // Keep the chain alive after a failure; the caller still sees this write's error
+    entry.writes = write.catch(() => {});
+    await write;
+  }
+
+  /**
+   * Close a spool and save it to the capture folder
+   * @param {string} id - Spool ID
+   * Saved into the game's folder when the spool was opened with a game.
+   * @param {string} [filename] - Filename to save as (defaults to the one given at open)
+   * @returns {Promise<{canceled: boolean, filePath: string|null}>} Discards the spool when canceled
+   */
+  async commit(id, filename) {
+    const entry = this._getActive(id);
+    await this._close(id, entry);
+
+    const partPath = this._getPartPath(id);
+    const saveAs = filename || entry.meta.filename;
+    const result = entry.meta.game
+      ? await this.captureStorageService.moveIntoCaptureFolder(partPath, saveAs, { game: entry.meta.game })
+      : await this.captureStorageService.moveIntoCaptureFolder(partPath, saveAs);
+
+    if (result.canceled) {
+      await this._removeFiles(id);
+    } else {
+      await this._removeFile(this._getMetaPath(id));
+    }
+
+    return result;
+  }
+
+  /**
+   * Close a spool and delete its data
+   * @param {string} id - Spool ID
+   * @returns {Promise<void>}
+   */
+  async discard(id) {
+    if (!SPOOL_ID_PATTERN.test(String(id))) {
+      throw new Error('Invalid recording spool ID');
+    }
+
+    const entry = this._active.get(id);
+    if (entry) {
+      await this._close(id, entry);
+    }
+    await this._removeFiles(id);
+    this.logger.info('Recording spool discarded');
+  }
+
+  /**
+   * List spools left behind by a previous session
+   * Empty spools are removed rather than listed.
+   * @returns {Promise<Array<{id: string, filename: string, mimeType: string, startedAt: string, size: number, game?: string}>>}
+   */
+  async listUnfinished() {
+    let entries;
+    try {
+      entries = await fs.readdir(this._getDirectory());
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('Failed to read recording spool folder:', error.message);
+      }
+      return [];
+    }
+
+    const unfinished = [];
+
+    for (const name of entries) {
+      if (path.extname(name) !== META_EXTENSION) {
+        continue;
+      }
+
+      const id = path.basename(name, META_EXTENSION);
+      if (!SPOOL_ID_PATTERN.test(id) || this._active.has(id)) {
+        continue;
+      }
+
+      try {
+        const meta = JSON.parse(await fs.readFile(this._getMetaPath(id), 'utf8'));
+        const { size } = await fs.stat(this._getPartPath(id));
+
+        if (size === 0) {
+          await this._removeFiles(id);
+          continue;
+        }
+
+        unfinished.push({
+          id,
+          filename: path.basename(String(meta.filename || 'recording.webm')),
+          mimeType: typeof meta.mimeType === 'string' ? meta.mimeType : 'video/webm',
+          startedAt: typeof meta.startedAt === 'string' ? meta.startedAt : null,
+          size,
+          ...(typeof meta.game === 'string' && meta.game ? { game: meta.game } : {})
+        });
+      } catch (error) {
+        // Sidecar without data (or unreadable sidecar) - nothing to recover
+        this.logger.warn(`Removing unreadable recording spool ${id}:`, error.message);
+        await this._removeFiles(id);
+      }
+    }
+
+    return unfinished;
+  }
+
+  /**
+   * Offer to recover spools left behind by a previous session
+   * Recovered recordings go straight to the capture folder with a "-recovered" suffix.
+   * Choosing "Later" keeps them for the next launch.
+   * @returns {Promise<{recovered: string[], discarded: number}>} Saved file paths and discarded count
+   */
+  async recoverUnfinished() {
+    const unfinished = await this.listUnfinished();
+    if (unfinished.length === 0) {
+      return { recovered: [], discarded: 0 };
+    }
+
+    const count = unfinished.length;
+    const plural = count === 1 ? '' : 's';
+    this.logger.info(`Found ${count} unfinished recording${plural}`);
+
+    const { response } = await dialog.showMessageBox(this.windowService.mainWindow, {
+      type: 'question',
+      title: 'Recover Recordings',
+      message: `PrismGB found ${count} unfinished recording${plural}`,
+      detail: 'PrismGB closed before these recordings were saved. Recovered recordings are saved to your capture folder.',
+      buttons: ['Recover', 'Discard', 'Later'],
+      defaultId: RECOVERY_CHOICE.RECOVER,
+      cancelId: RECOVERY_CHOICE.LATER
+    });
+
+    if (response === RECOVERY_CHOICE.DISCARD) {
+      for (const { id } of unfinished) {
+        await this._removeFiles(id);
+      }
+      this.logger.info(`Discarded ${count} unfinished recording${plural}`);
+      return { recovered: [], discarded: count };
+    }
+
+    if (response !== RECOVERY_CHOICE.RECOVER) {
+      return { recovered: [], discarded: 0 };
+    }
+
+    const recovered = [];
+
+    for (const { id, filename, game } of unfinished) {
+      try {
+        const { name, ext } = path.parse(filename);
+        const { filePath } = await this.captureStorageService.moveIntoCaptureFolder(
+          this._getPartPath(id),
+          `${name}${RECOVERED_SUFFIX}${ext || '.webm'}`,
+          game ? { ask: false, game } : { ask: false }
+        );
+        await this._removeFile(this._getMetaPath(id));
+        recovered.push(filePath);
+      } catch (error) {
+        // Leave the spool in place so recovery can be retried next launch
+        this.logger.error(`Failed to recover ${filename}:`, error);
+      }
+    }
+
+    return { recovered, discarded: 0 };
+  }
+
+  /**
+   * Close open spool files
+   * Their data stays on disk and is offered for recovery on the next launch.
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    const entries = [...this._active.entries()];
+    for (const [id, entry] of entries) {
+      await this._close(id, entry);
+    }
+  }
+
+  _getActive(id) {
+    const entry = this._active.get(id);
+    if (!entry) {
+      throw new Error('Recording spool not found');
+    }
+    return entry;
+  }
+
+  /**
+   * Wait for pending writes and close the file handle
+   * @private
+   */
+  async _close(id, entry) {
+    this._active.delete(id);
+    await entry.writes;
+
+    try {
+      await entry.handle.close();
+    } catch (error) {
+      this.logger.warn('Failed to close recording spool:', error.message);
+    }
+  }
+
+  async _removeFiles(id) {
+    await this._removeFile(this._getPartPath(id));
+    await this._removeFile(this._getMetaPath(id));
+  }
+
+  async _removeFile(filePath) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to remove ${filePath}:`, error.message);
+      }
+    }
+  }
+
+  _getDirectory() {
+    if (!this._directory) {
+      this._directory = path.join(app.getPath('userData'), SPOOL_FOLDER_NAME);
+    }
+    return this._directory;
+  }
+
+  _getPartPath(id) {
+    return path.join(this._getDirectory(), `${id}${PART_EXTENSION}`);
+  }
+
+  _getMetaPath(id) {
+    return path.join(this._getDirectory(), `${id}${META_EXTENSION}`);
+  }
+}
+
+export { CaptureRecordingSpoolService };
@@ -0,0 +1,83 @@
+/**
+ * Capture Share Service (Main)
+ * Gets captures out of the app: copies images to the system clipboard and
+ * starts native drags of saved capture files into other apps.
+ */
+
+import { app, clipboard, nativeImage } from 'electron';
+import fs from 'fs/promises';
+import path from 'path';
+import { BaseService } from '@shared/base/service.base.js';
+
+/**
+ * Width of the image shown under the cursor while dragging
+ */
+const DRAG_ICON_WIDTH = 64;
+
+class CaptureShareService extends BaseService {
+  constructor(dependencies) {
+    super(dependencies, ['captureStorageService', 'loggerFactory'], 'CaptureShareService');
+  }
+
+  /**
+   * Put an image on the system clipboard
+   * @param {ArrayBuffer|Uint8Array} data - Encoded PNG or JPEG
+   * @throws {Error} If the data is not a decodable image
+   */
+  copyImage(data) {
+    const buffer = Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+    const image = nativeImage.createFromBuffer(buffer);
+
+    if (image.isEmpty()) {
+      throw new Error('Invalid image');
+    }
+
+    clipboard.writeImage(image);
+    this.logger.info('Image copied to clipboard');
+  }
+
+  /**
+   * Start a native drag of a saved capture
+   * Only files saved as captures during this session can be dragged.
+   * @param {Electron.WebContents} webContents - Window the drag starts in
+   * @param {string} filePath - Saved capture path
+   * @returns {Promise<void>}
+   * @throws {Error} If the file is not a saved capture, no longer exists or has no drag icon
+   */
+  async startDrag(webContents, filePath) {
+    if (!this.captureStorageService.isSavedCapture(filePath)) {
+      throw new Error('Not a saved capture');
+    }
+
+    await fs.access(filePath);
+
+    // startDrag throws on an empty icon
+    const icon = this._createDragIcon(filePath);
+    if (icon.isEmpty()) {
+      throw new Error('No drag icon available');
+    }
+
+    webContents.startDrag({ file: filePath, icon });
+    this.logger.debug(`Dragging capture: ${filePath}`);
+  }
+
+  /**
+   * Use the capture itself as the drag icon, or the app icon for videos
+   * @param {string} filePath
+   * @returns {Electron.NativeImage}
+   * @private
+   */
+  _createDragIcon(filePath) {
+    let icon = nativeImage.createFromPath(filePath);
+    if (icon.isEmpty()) {
+      const appPath = app.getAppPath();
+      const appIconPath = app.isPackaged
+        ? path.join(appPath, 'dist/renderer/assets/icon.png')
+        : path.join(appPath, 'assets/icon.png');
+      icon = nativeImage.createFromPath(appIconPath);
+    }
+    return icon.isEmpty() ? icon : icon.resize({ width: DRAG_ICON_WIDTH });
+  }
+}
+
+export { CaptureShareService };
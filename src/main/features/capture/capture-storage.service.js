@@ -0,0 +1,350 @@
+/**
+ * Capture Storage Service (Main)
+ * Writes screenshots and recordings to the user's capture folder
+ * Owns the capture folder preference, the optional "ask every time" save dialog
+ * and sorting captures into per-game subfolders
+ */
+
+import { app, dialog } from 'electron';
+import fs from 'fs/promises';
+import path from 'path';
+import { BaseService } from '@shared/base/service.base.js';
+import { RECORDING_MARKERS } from '@shared/config/constants.config.js';
+import { FilenameGenerator } from '@shared/utils/filename-generator.utils.js';
+
+const SETTINGS_FILENAME = 'capture-settings.json';
+const CAPTURE_FOLDER_NAME = 'PrismGB';
+
+/**
+ * Maximum attempts to find a free filename before giving up
+ */
+const MAX_COLLISION_ATTEMPTS = 1000;
+
+/**
+ * How many saved capture paths to remember for drag-out
+ */
+const MAX_TRACKED_CAPTURES = 100;
+
+/**
+ * Files that can be written next to a saved capture
+ */
+const SIDECAR_EXTENSIONS = [RECORDING_MARKERS.CHAPTERS_EXTENSION, RECORDING_MARKERS.MARKERS_EXTENSION];
+
+class CaptureStorageService extends BaseService {
+  constructor(dependencies) {
+    super(dependencies, ['windowService', 'loggerFactory'], 'CaptureStorageService');
+
+    this._settings = null;
+    this._settingsPath = null;
+    // Files saved this session, oldest first (see isSavedCapture)
+    this._savedPaths = new Set();
+  }
+
+  /**
+   * Load persisted capture settings
+   * Falls back to defaults when the settings file is missing or unreadable
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this._settingsPath = path.join(app.getPath('userData'), SETTINGS_FILENAME);
+    this._settings = this._getDefaultSettings();
+
+    try {
+      const raw = await fs.readFile(this._settingsPath, 'utf8');
+      this._settings = this._normalizeSettings(JSON.parse(raw));
+      this.logger.info(`Capture folder: ${this._settings.directory}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('Failed to load capture settings, using defaults:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Get current capture settings
+   * @returns {{directory: string, askEveryTime: boolean, gameFolders: boolean}}
+   */
+  getSettings() {
+    if (!this._settings) {
+      this._settings = this._getDefaultSettings();
+    }
+    return { ...this._settings };
+  }
+
+  /**
+   * Update capture settings and persist them
+   * @param {Object} updates - Partial settings
+   * @param {string} [updates.directory] - Absolute path to the capture folder
+   * @param {boolean} [updates.askEveryTime] - Show a save dialog for every capture
+   * @param {boolean} [updates.gameFolders] - Save captures of a tagged game into a folder named after it
+   * @returns {Promise<{directory: string, askEveryTime: boolean, gameFolders: boolean}>} Updated settings
+   * @throws {Error} If the directory is not an absolute path
+   */
+  async updateSettings(updates = {}) {
+    const next = { ...this.getSettings() };
+
+    if (updates.directory !== undefined) {
+      if (typeof updates.directory !== 'string' || !path.isAbsolute(updates.directory)) {
+        throw new Error('Capture folder must be an absolute path');
+      }
+      next.directory = path.normalize(updates.directory);
+    }
+
+    if (updates.askEveryTime !== undefined) {
+      next.askEveryTime = Boolean(updates.askEveryTime);
+    }
+
+    if (updates.gameFolders !== undefined) {
+      next.gameFolders = Boolean(updates.gameFolders);
+    }
+
+    this._settings = next;
+    await this._persistSettings();
+
+    this.logger.info(`Capture settings updated (folder: ${next.directory}, ask every time: ${next.askEveryTime}, game folders: ${next.gameFolders})`);
+    return this.getSettings();
+  }
+
+  /**
+   * Let the user pick a new capture folder
+   * @returns {Promise<{canceled: boolean, directory: string}>}
+   */
+  async chooseDirectory() {
+    const { directory } = this.getSettings();
+
+    const result = await dialog.showOpenDialog(this.windowService.mainWindow, {
+      title: 'Choose Capture Folder',
+      defaultPath: directory,
+      properties: ['openDirectory', 'createDirectory']
+    });
+
+    if (result.canceled || !result.filePaths?.length) {
+      return { canceled: true, directory };
+    }
+
+    const settings = await this.updateSettings({ directory: result.filePaths[0] });
+    return { canceled: false, directory: settings.directory };
+  }
+
+  /**
+   * Save capture data to disk
+   * Writes straight to the capture folder, or shows a save dialog when "ask every time" is on.
+   * Captures saved into a session folder (e.g. interval screenshots) never ask.
+   * @param {Object} capture
+   * @param {string} capture.filename - Suggested filename (directory components are stripped)
+   * @param {ArrayBuffer|Uint8Array} capture.data - File contents
+   * @param {string} [capture.folder] - Session folder inside the capture folder
+   * @param {string} [capture.game] - Game the capture belongs to (see gameFolders)
+   * @returns {Promise<{canceled: boolean, filePath: string|null}>}
+   */
+  async saveCapture({ filename, data, folder, game }) {
+    const buffer = Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+
+    const { canceled, filePath } = await this._resolveSavePath(
+      filename,
+      folder ? { folder, ask: false } : { folder: this._getGameFolder(game) }
+    );
+    if (canceled) {
+      return { canceled: true, filePath: null };
+    }
+
+    await fs.writeFile(filePath, buffer);
+    this._trackSavedCapture(filePath);
+    this.logger.info(`Capture saved: ${filePath}`);
+
+    return { canceled: false, filePath };
+  }
+
+  /**
+   * Write a file next to a capture saved this session (e.g. recording chapters)
+   * The sidecar is named after the capture, wherever the user saved it, and
+   * replaces an older sidecar of the same kind.
+   * @param {Object} sidecar
+   * @param {string} sidecar.capturePath - Path the capture was saved to
+   * @param {string} sidecar.extension - One of SIDECAR_EXTENSIONS
+   * @param {ArrayBuffer|Uint8Array} sidecar.data - File contents
+   * @returns {Promise<{filePath: string}>}
+   * @throws {Error} If the capture was not saved this session or the extension is not allowed
+   */
+  async saveSidecar({ capturePath, extension, data }) {
+    if (!this.isSavedCapture(capturePath)) {
+      throw new Error('Not a saved capture');
+    }
+    if (!SIDECAR_EXTENSIONS.includes(extension)) {
+      throw new Error(`Unsupported sidecar: ${extension}`);
+    }
+
+    const filePath = FilenameGenerator.forSidecar(path.normalize(capturePath), extension);
+    await fs.writeFile(filePath, Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data));
+    this.logger.info(`Sidecar saved: ${filePath}`);
+
+    return { filePath };
+  }
+
+  /**
+   * Move a file that is already on disk (e.g. a spooled recording) into the capture folder
+   * Uses the same destination rules as saveCapture.
+   * @param {string} sourcePath - Absolute path of the file to move
+   * @param {string} filename - Suggested filename (directory components are stripped)
+   * @param {Object} [options]
+   * @param {boolean} [options.ask] - Show a save dialog (defaults to the "ask every time" setting)
+   * @param {string} [options.game] - Game the capture belongs to (see gameFolders)
+   * @returns {Promise<{canceled: boolean, filePath: string|null}>} The source is left in place when canceled
+   */
+  async moveIntoCaptureFolder(sourcePath, filename, { ask, game } = {}) {
+    const { canceled, filePath } = await this._resolveSavePath(filename, { ask, folder: this._getGameFolder(game) });
+    if (canceled) {
+      return { canceled: true, filePath: null };
+    }
+
+    try {
+      await fs.rename(sourcePath, filePath);
+    } catch (error) {
+      // Capture folder on another drive - rename cannot cross devices
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.copyFile(sourcePath, filePath);
+      await fs.unlink(sourcePath);
+    }
+
+    this._trackSavedCapture(filePath);
+    this.logger.info(`Capture saved: ${filePath}`);
+    return { canceled: false, filePath };
+  }
+
+  /**
+   * Check whether a file was saved as a capture during this session
+   * Lets other main-process features act on a renderer-supplied path without
+   * exposing arbitrary files.
+   * @param {string} filePath - Absolute file path
+   * @returns {boolean}
+   */
+  isSavedCapture(filePath) {
+    return typeof filePath === 'string' && this._savedPaths.has(path.normalize(filePath));
+  }
+
+  /**
+   * Remember a saved capture path, dropping the oldest past MAX_TRACKED_CAPTURES
+   * @param {string} filePath
+   * @private
+   */
+  _trackSavedCapture(filePath) {
+    this._savedPaths.add(path.normalize(filePath));
+    if (this._savedPaths.size > MAX_TRACKED_CAPTURES) {
+      this._savedPaths.delete(this._savedPaths.values().next().value);
+    }
+  }
+
+  /**
+   * Pick the destination for a capture
+   * Asks with a save dialog, or finds a free name in the capture folder.
+   * @param {string} filename - Suggested filename
+   * @param {Object} [options]
+   * @param {boolean} [options.ask] - Show a save dialog (defaults to the "ask every time" setting)
+   * @param {string} [options.folder] - Subfolder of the capture folder to save into
+   * @returns {Promise<{canceled: boolean, filePath: string|null}>}
+   * @private
+   */
+  async _resolveSavePath(filename, { ask, folder } = {}) {
+    const safeFilename = this._sanitizeFilename(filename);
+    const settings = this.getSettings();
+    const { askEveryTime } = settings;
+    const directory = folder ? path.join(settings.directory, this._sanitizeFilename(folder)) : settings.directory;
+
+    if (ask ?? askEveryTime) {
+      const result = await dialog.showSaveDialog(this.windowService.mainWindow, {
+        title: 'Save Capture',
+        defaultPath: path.join(directory, safeFilename)
+      });
+
+      if (result.canceled || !result.filePath) {
+        this.logger.info('Capture save canceled by user');
+        return { canceled: true, filePath: null };
+      }
+
+      return { canceled: false, filePath: result.filePath };
+    }
+
+    await fs.mkdir(directory, { recursive: true });
+    return { canceled: false, filePath: await this._resolveAvailablePath(directory, safeFilename) };
+  }
+
+  /**
+   * Folder for a game's captures, when per-game folders are on
+   * @param {string} [game] - Game name
+   * @returns {string|undefined} Folder name inside the capture folder
+   * @private
+   */
+  _getGameFolder(game) {
+    if (!this.getSettings().gameFolders || typeof game !== 'string') {
+      return undefined;
+    }
+
+    const folder = FilenameGenerator.sanitizeName(game);
+    // Never share a name with the session folders the gallery skips
+    return folder && !FilenameGenerator.isSessionFolder(folder) ? folder : undefined;
+  }
+
+  /**
+   * Strip directory components and unsafe characters from a filename
+   * @param {string} filename
+   * @returns {string}
+   * @private
+   */
+  _sanitizeFilename(filename) {
+    const baseName = path.basename(String(filename || ''));
+    const sanitized = baseName.replace(/[^a-zA-Z0-9._-]/g, '_').replace(/^\.+/, '');
+    return sanitized || 'capture';
+  }
+
+  /**
+   * Find a path in the directory that does not collide with an existing file
+   * @param {string} directory
+   * @param {string} filename
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _resolveAvailablePath(directory, filename) {
+    const { name, ext } = path.parse(filename);
+
+    for (let attempt = 0; attempt < MAX_COLLISION_ATTEMPTS; attempt++) {
+      const candidate = path.join(directory, attempt === 0 ? filename : `${name}-${attempt}${ext}`);
+      try {
+        await fs.access(candidate);
+      } catch {
+        return candidate;
+      }
+    }
+
+    throw new Error(`No available filename for ${filename}`);
+  }
+
+  _getDefaultSettings() {
+    return {
+      directory: path.join(app.getPath('pictures'), CAPTURE_FOLDER_NAME),
+      askEveryTime: false,
+      gameFolders: false
+    };
+  }
+
+  _normalizeSettings(stored) {
+    const defaults = this._getDefaultSettings();
+    return {
+      directory: typeof stored?.directory === 'string' && path.isAbsolute(stored.directory)
+        ? stored.directory
+        : defaults.directory,
+      askEveryTime: typeof stored?.askEveryTime === 'boolean' ? stored.askEveryTime : defaults.askEveryTime,
+      gameFolders: typeof stored?.gameFolders === 'boolean' ? stored.gameFolders : defaults.gameFolders
+    };
+  }
+
+  async _persistSettings() {
+    if (!this._settingsPath) {
+      this._settingsPath = path.join(app.getPath('userData'), SETTINGS_FILENAME);
+    }
+    await fs.writeFile(this._settingsPath, JSON.stringify(this._settings, null, 2), 'utf8');
+  }
+}
+
+export { CaptureStorageService };
@@ -0,0 +1,174 @@
+/**
+ * Capture IPC Handlers
+ * Registers capture storage, recording spool, sharing, and gallery IPC routes.
+ */
+
+import { channels as IPC_CHANNELS } from '@shared/ipc/channels.config.js';
+
+export function registerCaptureHandlers({
+  registerHandler,
+  captureStorageService,
+  captureRecordingSpoolService,
+  captureShareService,
+  captureGalleryService,
+  logger
+}) {
+  registerHandler(IPC_CHANNELS.CAPTURE.SAVE, async (event, capture) => {
+    try {
+      const result = await captureStorageService.saveCapture(capture || {});
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to save capture:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.SAVE_SIDECAR, async (event, sidecar) => {
+    try {
+      const result = await captureStorageService.saveSidecar(sidecar || {});
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to save sidecar:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.GET_SETTINGS, async () => {
+    try {
+      return { success: true, settings: captureStorageService.getSettings() };
+    } catch (error) {
+      logger.error('Failed to get capture settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.UPDATE_SETTINGS, async (event, updates) => {
+    try {
+      const settings = await captureStorageService.updateSettings(updates || {});
+      return { success: true, settings };
+    } catch (error) {
+      logger.error('Failed to update capture settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.CHOOSE_DIRECTORY, async () => {
+    try {
+      const result = await captureStorageService.chooseDirectory();
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to choose capture folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.SPOOL_OPEN, async (event, recording) => {
+    try {
+      const { id } = await captureRecordingSpoolService.open(recording || {});
+      return { success: true, id };
+    } catch (error) {
+      logger.error('Failed to open recording spool:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.SPOOL_APPEND, async (event, { id, data } = {}) => {
+    try {
+      await captureRecordingSpoolService.append(id, data);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to write recording spool:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.SPOOL_COMMIT, async (event, { id, filename } = {}) => {
+    try {
+      const result = await captureRecordingSpoolService.commit(id, filename);
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to save recording spool:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.SPOOL_DISCARD, async (event, id) => {
+    try {
+      await captureRecordingSpoolService.discard(id);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to discard recording spool:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.RECOVER_RECORDINGS, async () => {
+    try {
+      const result = await captureRecordingSpoolService.recoverUnfinished();
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to recover recordings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.COPY_IMAGE, async (event, data) => {
+    try {
+      captureShareService.copyImage(data);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to copy image to clipboard:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.START_DRAG, async (event, filePath) => {
+    try {
+      await captureShareService.startDrag(event.sender, filePath);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to start capture drag:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.GALLERY_LIST, async () => {
+    try {
+      const result = await captureGalleryService.listCaptures();
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to list captures:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.GALLERY_RENAME, async (event, { filePath, name } = {}) => {
+    try {
+      const capture = await captureGalleryService.renameCapture(filePath, name);
+      return { success: true, capture };
+    } catch (error) {
+      logger.error('Failed to rename capture:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.GALLERY_DELETE, async (event, filePath) => {
+    try {
+      await captureGalleryService.deleteCapture(filePath);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to delete capture:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.CAPTURE.GALLERY_REVEAL, async (event, filePath) => {
+    try {
+      captureGalleryService.revealCapture(filePath);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to reveal capture:', error);
+      return { success: false, error: error.message };
+    }
+  });
+}
@@ -0,0 +1,69 @@
+/**
+ * Preset IPC Handlers
+ * Registers render preset file export and import routes, and the LUT
+ * library routes.
+ */
+
+import { channels as IPC_CHANNELS } from '@shared/ipc/channels.config.js';
+
+export function registerPresetHandlers({ registerHandler, renderPresetFileService, logger }) {
+  registerHandler(IPC_CHANNELS.PRESET.EXPORT, async (event, file) => {
+    try {
+      const result = await renderPresetFileService.exportPreset(file || {});
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to export render preset:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.PRESET.IMPORT, async () => {
+    try {
+      const result = await renderPresetFileService.importPreset();
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to read render preset file:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.PRESET.IMPORT_LUT, async () => {
+    try {
+      const result = await renderPresetFileService.importLut();
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to read LUT file:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.PRESET.SAVE_LUT, async (event, lut) => {
+    try {
+      const result = await renderPresetFileService.saveLut(lut || {});
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to add LUT to library:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.PRESET.READ_LUT, async (event, file) => {
+    try {
+      const result = await renderPresetFileService.readLut(file);
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to read LUT:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  registerHandler(IPC_CHANNELS.PRESET.LIST_LUTS, async () => {
+    try {
+      const files = await renderPresetFileService.listLuts();
+      return { success: true, files };
+    } catch (error) {
+      logger.error('Failed to list LUT library:', error);
+      return { success: false, error: error.message };
+    }
+  });
+}
@@ -0,0 +1,218 @@
+/**
+ * Render Preset File Service (Main)
+ * Shows the save and open dialogs for shared render preset files and reads
+ * and writes them. The renderer builds and validates the file contents.
+ *
+ * Also keeps the LUT library: .cube files copied into the user data folder
+ * so presets can refer to them by file name.
+ */
+
+import { app, dialog } from 'electron';
+import fs from 'fs/promises';
+import path from 'path';
+import { BaseService } from '@shared/base/service.base.js';
+import { LUT_FILES, RENDER_PRESET_FILES } from '@shared/config/constants.config.js';
+
+const FILE_FILTERS = [{ name: 'PrismGB Render Preset', extensions: ['json'] }];
+const LUT_FILE_FILTERS = [{ name: '3D LUT', extensions: [LUT_FILES.EXTENSION.slice(1)] }];
+
+/**
+ * Check that a LUT library file name cannot leave the library folder
+ * @param {*} file
+ * @returns {boolean}
+ */
+function isLibraryFileName(file) {
+  return typeof file === 'string' &&
+    file === path.basename(file) &&
+    !file.startsWith('.') &&
+    file.toLowerCase().endsWith(LUT_FILES.EXTENSION);
+}
+
+class RenderPresetFileService extends BaseService {
+  constructor(dependencies) {
+    super(dependencies, ['windowService', 'loggerFactory'], 'RenderPresetFileService');
+
+    // Folder of the last preset file saved or opened, so dialogs start there
+    this._lastDirectory = null;
+  }
+
+  /**
+   * Ask where to save a preset file and write it
+   * @param {Object} file
+   * @param {string} file.filename - Suggested filename (directory components are stripped)
+   * @param {string} file.contents - Preset file JSON
+   * @returns {Promise<{canceled: boolean, filePath: string|null}>}
+   */
+  async exportPreset({ filename, contents }) {
+    if (typeof contents !== 'string' || contents.length > RENDER_PRESET_FILES.MAX_SIZE) {
+      throw new Error('Invalid preset file');
+    }
+
+    const result = await dialog.showSaveDialog(this.windowService.mainWindow, {
+      title: 'Export Render Preset',
+      defaultPath: path.join(this._getDirectory(), path.basename(String(filename ?? ''))),
+      filters: FILE_FILTERS
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { canceled: true, filePath: null };
+    }
+
+    await fs.writeFile(result.filePath, contents, 'utf8');
+    this._lastDirectory = path.dirname(result.filePath);
+
+    this.logger.info(`Render preset exported: ${result.filePath}`);
+    return { canceled: false, filePath: result.filePath };
+  }
+
+  /**
+   * Ask for a preset file and read it
+   * @returns {Promise<{canceled: boolean, contents: string|null}>}
+   * @throws {Error} If the file is too large to be a preset
+   */
+  async importPreset() {
+    const result = await dialog.showOpenDialog(this.windowService.mainWindow, {
+      title: 'Import Render Preset',
+      defaultPath: this._getDirectory(),
+      filters: FILE_FILTERS,
+      properties: ['openFile']
+    });
+
+    if (result.canceled || !result.filePaths?.length) {
+      return { canceled: true, contents: null };
+    }
+
+    const [filePath] = result.filePaths;
+    const { size } = await fs.stat(filePath);
+    if (size > RENDER_PRESET_FILES.MAX_SIZE) {
+      throw new Error(`${path.basename(filePath)} is too large to be a render preset`);
+    }
+
+    const contents = await fs.readFile(filePath, 'utf8');
+    this._lastDirectory = path.dirname(filePath);
+
+    this.logger.info(`Render preset file opened: ${filePath}`);
+    return { canceled: false, contents };
+  }
+
+  /**
+   * Ask for a .cube file and read it
+   * The renderer checks it before it is saved to the library (see saveLut).
+   * @returns {Promise<{canceled: boolean, name: string|null, contents: string|null}>}
+   * @throws {Error} If the file is too large to be a LUT
+   */
+  async importLut() {
+    const result = await dialog.showOpenDialog(this.windowService.mainWindow, {
+      title: 'Import LUT',
+      defaultPath: this._getDirectory(),
+      filters: LUT_FILE_FILTERS,
+      properties: ['openFile']
+    });
+
+    if (result.canceled || !result.filePaths?.length) {
+      return { canceled: true, name: null, contents: null };
+    }
+
+    const [filePath] = result.filePaths;
+    const { size } = await fs.stat(filePath);
+    if (size > LUT_FILES.MAX_SIZE) {
+      throw new Error(`${path.basename(filePath)} is too large to be a LUT`);
+    }
+
+    const contents = await fs.readFile(filePath, 'utf8');
+    this._lastDirectory = path.dirname(filePath);
+
+    this.logger.info(`LUT file opened: ${filePath}`);
+    return { canceled: false, name: path.basename(filePath), contents };
+  }
+
+  /**
+   * Add a LUT to the library
+   * The file keeps its name, numbered if the library already has one by that name.
+   * @param {Object} lut
+   * @param {string} lut.name - Original file name
+   * @param {string} lut.contents - .cube file text
+   * @returns {Promise<{file: string}>} Library file name
+   */
+  async saveLut({ name, contents }) {
+    if (typeof contents !== 'string' || contents.length > LUT_FILES.MAX_SIZE) {
+      throw new Error('Invalid LUT file');
+    }
+
+    const directory = this._getLutDirectory();
+    await fs.mkdir(directory, { recursive: true });
+
+    const baseName = path.basename(String(name ?? ''), LUT_FILES.EXTENSION)
+      .replace(/[^\w .()-]/g, '')
+      .trim()
+      .replace(/^\.+/, '') || 'LUT';
+    const existing = new Set((await this.listLuts()).map(file => file.toLowerCase()));
+
+    let file = `${baseName}${LUT_FILES.EXTENSION}`;
+    for (let counter = 2; existing.has(file.toLowerCase()); counter++) {
+      file = `${baseName} (${counter})${LUT_FILES.EXTENSION}`;
+    }
+
+    await fs.writeFile(path.join(directory, file), contents, 'utf8');
+
+    this.logger.info(`LUT added to library: ${file}`);
+    return { file };
+  }
+
+  /**
+   * Read a LUT from the library
+   * @param {string} file - Library file name
+   * @returns {Promise<{contents: string}>}
+   * @throws {Error} If the name is not a library file or the LUT is missing
+   */
+  async readLut(file) {
+    if (!isLibraryFileName(file)) {
+      throw new Error('Invalid LUT name');
+    }
+
+    try {
+      return { contents: await fs.readFile(path.join(this._getLutDirectory(), file), 'utf8') };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`LUT ${file} is not in the LUT library`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the LUT library
+   * @returns {Promise<string[]>} Library file names, sorted
+   */
+  async listLuts() {
+    let entries;
+    try {
+      entries = await fs.readdir(this._getLutDirectory());
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return entries.filter(isLibraryFileName).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * @returns {string} LUT library folder
+   * @private
+   */
+  _getLutDirectory() {
+    return path.join(app.getPath('userData'), LUT_FILES.FOLDER_NAME);
+  }
+
+  /**
+   * @returns {string} Folder the dialogs start in
+   * @private
+   */
+  _getDirectory() {
+    return this._lastDirectory || app.getPath('documents');
+  }
+}
+
+export { RenderPresetFileService };
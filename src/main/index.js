@@ -5,6 +5,7 @@
 
 import { app, BrowserWindow, Menu } from 'electron';
 import { AppOrchestrator } from './app.orchestrator.js';
+import { registerCaptureProtocolScheme } from './features/capture/capture-gallery.service.js';
 
 const APP_NAME = 'PrismGB';
 
@@ -96,6 +97,10 @@ if (process.argv.includes('--smoke-test')) {
   // Main process doesn't need large heap - most work happens in renderer
   app.commandLine.appendSwitch('js-flags', '--max-old-space-size=128');
 
+  // The capture gallery loads images and videos over a custom scheme,
+  // which has to be registered before the app is ready
+  registerCaptureProtocolScheme();
+
   // =================================================================
   // SINGLE INSTANCE LOCK
   // Prevent multiple instances of the app from running simultaneously
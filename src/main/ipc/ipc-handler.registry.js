@@ -10,10 +10,12 @@ import { registerUpdateHandlers } from '@main/features/updates/ipc/update-ipc.ha
 import { registerShellHandlers } from '@main/features/shell/ipc/shell-ipc.handler.js';
 import { registerPerformanceHandlers } from '@main/features/performance/ipc/performance-ipc.handler.js';
 import { registerWindowHandlers } from '@main/features/window/ipc/window-ipc.handler.js';
+import { registerCaptureHandlers } from '@main/features/capture/ipc/capture-ipc.handler.js';
+import { registerPresetHandlers } from '@main/features/presets/ipc/preset-ipc.handler.js';
 
 class IpcHandlerRegistry extends BaseService {
   constructor(dependencies) {
-    super(dependencies, ['deviceService', 'updateService', 'windowService', 'loggerFactory'], 'IpcHandlerRegistry');
+    super(dependencies, ['deviceService', 'updateService', 'windowService', 'captureStorageService', 'captureRecordingSpoolService', 'captureShareService', 'captureGalleryService', 'renderPresetFileService', 'loggerFactory'], 'IpcHandlerRegistry');
     this._registeredChannels = [];
   }
 
@@ -52,6 +54,21 @@ class IpcHandlerRegistry extends BaseService {
       windowService: this.windowService,
       logger: this.logger
     });
+
+    registerCaptureHandlers({
+      registerHandler: this._registerHandler.bind(this),
+      captureStorageService: this.captureStorageService,
+      captureRecordingSpoolService: this.captureRecordingSpoolService,
+      captureShareService: this.captureShareService,
+      captureGalleryService: this.captureGalleryService,
+      logger: this.logger
+    });
+
+    registerPresetHandlers({
+      registerHandler: this._registerHandler.bind(this),
+      renderPresetFileService: this.renderPresetFileService,
+      logger: this.logger
+    });
   }
 
   /**
@@ -76,6 +76,48 @@ function isValidError(error) {
   return true;
 }
 
+/**
+ * Validate capture filename (a bare name, not a path)
+ * @param {*} filename - Filename to validate
+ * @returns {boolean} True if valid filename
+ */
+function isValidCaptureFilename(filename) {
+  if (typeof filename !== 'string' || filename.length === 0 || filename.length > 255) {
+    return false;
+  }
+  return !/[\\/]/.test(filename);
+}
+
+/**
+ * Validate the game a capture is filed under (free text from the notes panel)
+ * @param {*} game - Game name to validate
+ * @returns {boolean} True if valid game name
+ */
+function isValidCaptureGame(game) {
+  return typeof game === 'string' && game.length > 0 && game.length <= 255;
+}
+
+function isValidCaptureData(data) {
+  return data instanceof ArrayBuffer || data instanceof Uint8Array;
+}
+
+/**
+ * Validate recording spool ID (UUID issued by the main process)
+ * @param {*} id - Spool ID to validate
+ * @returns {boolean} True if valid ID
+ */
+function isValidSpoolId(id) {
+  return typeof id === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(id);
+}
+
+function isValidCaptureSettings(updates) {
+  if (!updates || typeof updates !== 'object') return false;
+  if (updates.directory !== undefined && typeof updates.directory !== 'string') return false;
+  if (updates.askEveryTime !== undefined && typeof updates.askEveryTime !== 'boolean') return false;
+  if (updates.gameFolders !== undefined && typeof updates.gameFolders !== 'boolean') return false;
+  return true;
+}
+
 /**
  * Device API
  * Handles communication with connected device
@@ -400,6 +442,162 @@ const metricsAPI = {
   getProcessMetrics: () => ipcRenderer.invoke(IPC_CHANNELS.PERFORMANCE.GET_METRICS)
 };
 
+/**
+ * Capture API
+ * Handles saving captures (and files next to them, like recording chapters)
+ * to the capture folder, capture folder preferences, streaming recordings to
+ * disk while they run, sharing captures (clipboard, drag-out), and the capture gallery
+ */
+const captureAPI = {
+  saveCapture: (data, filename, { folder, game } = {}) => {
+    if (!isValidCaptureData(data) || !isValidCaptureFilename(filename) ||
+      (folder !== undefined && !isValidCaptureFilename(folder)) ||
+      (game !== undefined && !isValidCaptureGame(game))) {
+      console.warn('captureAPI.saveCapture: Invalid capture provided');
+      return Promise.resolve({ success: false, error: 'Invalid capture' });
+    }
+    const capture = { data, filename };
+    if (folder) capture.folder = folder;
+    if (game) capture.game = game;
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.SAVE, capture);
+  },
+
+  saveSidecar: (capturePath, extension, data) => {
+    if (typeof capturePath !== 'string' || capturePath.length === 0 ||
+      !isValidCaptureFilename(extension) || !isValidCaptureData(data)) {
+      console.warn('captureAPI.saveSidecar: Invalid sidecar provided');
+      return Promise.resolve({ success: false, error: 'Invalid sidecar' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.SAVE_SIDECAR, { capturePath, extension, data });
+  },
+
+  getSettings: () => ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.GET_SETTINGS),
+
+  updateSettings: (updates) => {
+    if (!isValidCaptureSettings(updates)) {
+      console.warn('captureAPI.updateSettings: Invalid settings provided');
+      return Promise.resolve({ success: false, error: 'Invalid settings' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.UPDATE_SETTINGS, updates);
+  },
+
+  chooseDirectory: () => ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.CHOOSE_DIRECTORY),
+
+  openRecordingSpool: (filename, mimeType, { game } = {}) => {
+    if (!isValidCaptureFilename(filename) || typeof mimeType !== 'string' ||
+      (game !== undefined && !isValidCaptureGame(game))) {
+      console.warn('captureAPI.openRecordingSpool: Invalid recording provided');
+      return Promise.resolve({ success: false, error: 'Invalid recording' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.SPOOL_OPEN, game ? { filename, mimeType, game } : { filename, mimeType });
+  },
+
+  appendRecordingSpool: (id, data) => {
+    if (!isValidSpoolId(id) || !isValidCaptureData(data)) {
+      console.warn('captureAPI.appendRecordingSpool: Invalid data provided');
+      return Promise.resolve({ success: false, error: 'Invalid recording data' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.SPOOL_APPEND, { id, data });
+  },
+
+  commitRecordingSpool: (id, filename) => {
+    if (!isValidSpoolId(id) || !isValidCaptureFilename(filename)) {
+      console.warn('captureAPI.commitRecordingSpool: Invalid recording provided');
+      return Promise.resolve({ success: false, error: 'Invalid recording' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.SPOOL_COMMIT, { id, filename });
+  },
+
+  discardRecordingSpool: (id) => {
+    if (!isValidSpoolId(id)) {
+      console.warn('captureAPI.discardRecordingSpool: Invalid spool ID provided');
+      return Promise.resolve({ success: false, error: 'Invalid spool ID' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.SPOOL_DISCARD, id);
+  },
+
+  recoverRecordings: () => ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.RECOVER_RECORDINGS),
+
+  copyImage: (data) => {
+    if (!isValidCaptureData(data)) {
+      console.warn('captureAPI.copyImage: Invalid image provided');
+      return Promise.resolve({ success: false, error: 'Invalid image' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.COPY_IMAGE, data);
+  },
+
+  startDrag: (filePath) => {
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      console.warn('captureAPI.startDrag: Invalid file path provided');
+      return Promise.resolve({ success: false, error: 'Invalid file path' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.START_DRAG, filePath);
+  },
+
+  listGallery: () => ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.GALLERY_LIST),
+
+  renameGalleryCapture: (filePath, name) => {
+    if (typeof filePath !== 'string' || filePath.length === 0 || !isValidCaptureFilename(name)) {
+      console.warn('captureAPI.renameGalleryCapture: Invalid rename provided');
+      return Promise.resolve({ success: false, error: 'Invalid capture name' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.GALLERY_RENAME, { filePath, name });
+  },
+
+  deleteGalleryCapture: (filePath) => {
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      console.warn('captureAPI.deleteGalleryCapture: Invalid file path provided');
+      return Promise.resolve({ success: false, error: 'Invalid file path' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.GALLERY_DELETE, filePath);
+  },
+
+  revealGalleryCapture: (filePath) => {
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      console.warn('captureAPI.revealGalleryCapture: Invalid file path provided');
+      return Promise.resolve({ success: false, error: 'Invalid file path' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.CAPTURE.GALLERY_REVEAL, filePath);
+  }
+};
+
+/**
+ * Preset API
+ * Handles saving render presets to files and reading preset files back,
+ * and the LUT library
+ */
+const presetAPI = {
+  exportPreset: (filename, contents) => {
+    if (!isValidCaptureFilename(filename) || typeof contents !== 'string') {
+      console.warn('presetAPI.exportPreset: Invalid preset file provided');
+      return Promise.resolve({ success: false, error: 'Invalid preset file' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.PRESET.EXPORT, { filename, contents });
+  },
+
+  importPreset: () => ipcRenderer.invoke(IPC_CHANNELS.PRESET.IMPORT),
+
+  importLut: () => ipcRenderer.invoke(IPC_CHANNELS.PRESET.IMPORT_LUT),
+
+  saveLut: (name, contents) => {
+    if (typeof name !== 'string' || typeof contents !== 'string') {
+      console.warn('presetAPI.saveLut: Invalid LUT provided');
+      return Promise.resolve({ success: false, error: 'Invalid LUT file' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.PRESET.SAVE_LUT, { name, contents });
+  },
+
+  readLut: (file) => {
+    if (typeof file !== 'string' || !file) {
+      console.warn('presetAPI.readLut: Invalid LUT name provided');
+      return Promise.resolve({ success: false, error: 'Invalid LUT name' });
+    }
+    return ipcRenderer.invoke(IPC_CHANNELS.PRESET.READ_LUT, file);
+  },
+
+  listLuts: () => ipcRenderer.invoke(IPC_CHANNELS.PRESET.LIST_LUTS)
+};
+
 /**
  * Expose APIs to renderer process
  */
@@ -439,3 +637,31 @@ contextBridge.exposeInMainWorld('updateAPI', {
 contextBridge.exposeInMainWorld('metricsAPI', {
   getProcessMetrics: metricsAPI.getProcessMetrics
 });
+
+contextBridge.exposeInMainWorld('captureAPI', {
+  saveCapture: captureAPI.saveCapture,
+  saveSidecar: captureAPI.saveSidecar,
+  getSettings: captureAPI.getSettings,
+  updateSettings: captureAPI.updateSettings,
+  chooseDirectory: captureAPI.chooseDirectory,
+  openRecordingSpool: captureAPI.openRecordingSpool,
+  appendRecordingSpool: captureAPI.appendRecordingSpool,
+  commitRecordingSpool: captureAPI.commitRecordingSpool,
+  discardRecordingSpool: captureAPI.discardRecordingSpool,
+  recoverRecordings: captureAPI.recoverRecordings,
+  copyImage: captureAPI.copyImage,
+  startDrag: captureAPI.startDrag,
+  listGallery: captureAPI.listGallery,
+  renameGalleryCapture: captureAPI.renameGalleryCapture,
+  deleteGalleryCapture: captureAPI.deleteGalleryCapture,
+  revealGalleryCapture: captureAPI.revealGalleryCapture
+});
+
+contextBridge.exposeInMainWorld('presetAPI', {
+  exportPreset: presetAPI.exportPreset,
+  importPreset: presetAPI.importPreset,
+  importLut: presetAPI.importLut,
+  saveLut: presetAPI.saveLut,
+  readLut: presetAPI.readLut,
+  listLuts: presetAPI.listLuts
+});
@@ -19,6 +19,7 @@ export class AppOrchestrator extends BaseOrchestrator {
    * @param {StreamingOrchestrator} dependencies.streamingOrchestrator - Stream management
    * @param {CaptureOrchestrator} dependencies.captureOrchestrator - Screenshot/recording
    * @param {PreferencesOrchestrator} dependencies.preferencesOrchestrator - User preferences
+   * @param {SettingsGameProfileOrchestrator} dependencies.gameProfileOrchestrator - Per-game profiles
    * @param {DisplayModeOrchestrator} dependencies.displayModeOrchestrator - Display modes
    * @param {UpdateOrchestrator} dependencies.updateOrchestrator - Auto-updates
    * @param {UISetupOrchestrator} dependencies.uiSetupOrchestrator - UI initialization
@@ -36,6 +37,7 @@ export class AppOrchestrator extends BaseOrchestrator {
         'streamingOrchestrator',
         'captureOrchestrator',
         'preferencesOrchestrator',
+        'gameProfileOrchestrator',
         'displayModeOrchestrator',
         'updateOrchestrator',
         'uiSetupOrchestrator',
@@ -69,6 +71,7 @@ export class AppOrchestrator extends BaseOrchestrator {
     await this.performanceMetricsOrchestrator.initialize();
     await this.displayModeOrchestrator.initialize();
     await this.preferencesOrchestrator.initialize();
+    await this.gameProfileOrchestrator.initialize();
     await this.updateOrchestrator.initialize();
     await this.uiSetupOrchestrator.initialize();
   }
@@ -82,8 +85,14 @@ export class AppOrchestrator extends BaseOrchestrator {
 
     // Delegate UI setup to UISetupOrchestrator
     this.uiSetupOrchestrator.initializeSettingsMenu();
+    this.uiSetupOrchestrator.initializeGamePicker();
     this.uiSetupOrchestrator.initializeShaderSelector();
+    this.uiSetupOrchestrator.initializePresetEditor();
     this.uiSetupOrchestrator.initializeNotesPanel();
+    this.uiSetupOrchestrator.initializeCaptureGallery();
+    this.uiSetupOrchestrator.initializeCaptureThumbnail();
+    this.uiSetupOrchestrator.initializeCaptureFacecamPreview();
+    this.uiSetupOrchestrator.initializeCaptureTrimEditor();
     this.uiSetupOrchestrator.setupOverlayClickHandlers();
     this.uiSetupOrchestrator.setupUIEventListeners();
 
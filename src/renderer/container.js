@@ -48,14 +48,24 @@ import { StreamingViewportService } from '@renderer/features/streaming/rendering
 import { StreamingHealthService } from '@renderer/features/streaming/rendering/streaming-health.service.js';
 import { StreamingGpuRendererService } from '@renderer/features/streaming/rendering/gpu/streaming-gpu-renderer.service.js';
 import { StreamingViewService } from '@renderer/features/streaming/services/streaming-view.service.js';
+import { StreamingRenderPresetService } from '@renderer/features/streaming/services/streaming-render-preset.service.js';
+import { StreamingLutService } from '@renderer/features/streaming/services/streaming-lut.service.js';
 import { StreamingAudioWarmupService } from '@renderer/features/streaming/audio/streaming-audio-warmup.service.js';
 import { StreamingControlsComponent } from '@renderer/features/streaming/ui/streaming-controls.component.js';
 import { StreamingShaderSelectorComponent } from '@renderer/features/streaming/ui/streaming-shader-selector.component.js';
+import { StreamingPresetEditorComponent } from '@renderer/features/streaming/ui/streaming-preset-editor.component.js';
 
 // Features: Capture
 import { CaptureService } from '@renderer/features/capture/services/capture.service.js';
 import { CaptureOrchestrator } from '@renderer/features/capture/services/capture.orchestrator.js';
 import { CaptureGpuRecordingService } from '@renderer/features/capture/services/capture-gpu-recording.service.js';
+import { CaptureClipService } from '@renderer/features/capture/services/capture-clip.service.js';
+import { CaptureIntervalService } from '@renderer/features/capture/services/capture-interval.service.js';
+import { CaptureAudioMixService } from '@renderer/features/capture/services/capture-audio-mix.service.js';
+import { CaptureFacecamService } from '@renderer/features/capture/services/capture-facecam.service.js';
+import { CaptureTrimService } from '@renderer/features/capture/services/capture-trim.service.js';
+import { CaptureStorageAdapter } from '@renderer/features/capture/adapters/capture-storage.adapter.js';
+import { RenderPresetFileAdapter } from '@renderer/features/streaming/adapters/render-preset-file.adapter.js';
 
 // Features: Settings
 import { SettingsService } from '@renderer/features/settings/services/settings.service.js';
@@ -64,11 +74,18 @@ import { SettingsPreferencesOrchestrator } from '@renderer/features/settings/ser
 import { SettingsDisplayModeOrchestrator } from '@renderer/features/settings/services/settings-display-mode.orchestrator.js';
 import { SettingsFullscreenService } from '@renderer/features/settings/services/settings-fullscreen.service.js';
 import { SettingsCinematicModeService } from '@renderer/features/settings/services/settings-cinematic-mode.service.js';
+import { SettingsGameProfileService } from '@renderer/features/settings/services/settings-game-profile.service.js';
+import { SettingsGameProfileOrchestrator } from '@renderer/features/settings/services/settings-game-profile.orchestrator.js';
 import { SettingsMenuComponent } from '@renderer/features/settings/ui/settings-menu.component.js';
+import { SettingsGamePickerComponent } from '@renderer/features/settings/ui/settings-game-picker.component.js';
 
 // Features: Notes
 import { NotesService } from '@renderer/features/notes/services/notes.service.js';
 import { NotesPanelComponent } from '@renderer/features/notes/ui/notes-panel.component.js';
+import { CaptureThumbnailComponent } from '@renderer/features/capture/ui/capture-thumbnail.component.js';
+import { CaptureFacecamPreviewComponent } from '@renderer/features/capture/ui/capture-facecam-preview.component.js';
+import { CaptureTrimEditorComponent } from '@renderer/features/capture/ui/capture-trim-editor.component.js';
+import { CaptureGalleryPanelComponent } from '@renderer/features/capture/ui/capture-gallery-panel.component.js';
 
 // Features: Updates
 import { UpdateService } from '@renderer/features/updates/services/update.service.js';
@@ -141,6 +158,16 @@ function createRendererContainer() {
     return new MetricsAdapter();
   }, []);
 
+  // Capture Storage Adapter - wraps window.captureAPI (main-process file writes)
+  container.registerSingleton('captureStorageAdapter', function() {
+    return new CaptureStorageAdapter();
+  }, []);
+
+  // Render Preset File Adapter - wraps window.presetAPI (preset file dialogs)
+  container.registerSingleton('renderPresetFileAdapter', function() {
+    return new RenderPresetFileAdapter();
+  }, []);
+
   // Device IPC Adapter - wraps window.deviceAPI for testability
   container.registerSingleton('deviceIpcAdapter', function(loggerFactory) {
     return new DeviceIpcAdapter({ logger: loggerFactory.create('DeviceIpcAdapter') });
@@ -201,13 +228,31 @@ function createRendererContainer() {
     ['loggerFactory']
   );
 
+  // Render Preset Service - built-in and custom render presets
+  container.registerSingleton(
+    'renderPresetService',
+    function(eventBus, loggerFactory, storageService, renderPresetFileAdapter) {
+      return new StreamingRenderPresetService({ eventBus, loggerFactory, storageService, renderPresetFileAdapter });
+    },
+    ['eventBus', 'loggerFactory', 'storageService', 'renderPresetFileAdapter']
+  );
+
+  // LUT Service - .cube LUT library for the LUT pass
+  container.registerSingleton(
+    'lutService',
+    function(loggerFactory, renderPresetFileAdapter) {
+      return new StreamingLutService({ loggerFactory, renderPresetFileAdapter });
+    },
+    ['loggerFactory', 'renderPresetFileAdapter']
+  );
+
   // GPU Renderer Service - HD rendering pipeline
   container.registerSingleton(
     'gpuRendererService',
-    function(eventBus, loggerFactory, settingsService) {
-      return new StreamingGpuRendererService({ eventBus, loggerFactory, settingsService });
+    function(eventBus, loggerFactory, settingsService, renderPresetService, lutService) {
+      return new StreamingGpuRendererService({ eventBus, loggerFactory, settingsService, renderPresetService, lutService });
     },
-    ['eventBus', 'loggerFactory', 'settingsService']
+    ['eventBus', 'loggerFactory', 'settingsService', 'renderPresetService', 'lutService']
   );
 
   // Render Pipeline Service - GPU/Canvas2D switching and health checks
@@ -315,18 +360,63 @@ function createRendererContainer() {
   // Capture Service (screenshots and recording)
   container.registerSingleton(
     'captureService',
+    function (eventBus, captureStorageAdapter, loggerFactory) {
+      return new CaptureService({ eventBus, captureStorageAdapter, loggerFactory });
+    },
+    ['eventBus', 'captureStorageAdapter', 'loggerFactory']
+  );
+
+  container.registerSingleton(
+    'gpuRecordingService',
+    function (gpuRendererService, captureFacecamService, eventBus, loggerFactory) {
+      return new CaptureGpuRecordingService({ gpuRendererService, captureFacecamService, eventBus, loggerFactory });
+    },
+    ['gpuRendererService', 'captureFacecamService', 'eventBus', 'loggerFactory']
+  );
+
+  // Clip Service (GIF/APNG clips)
+  container.registerSingleton(
+    'captureClipService',
     function (eventBus, loggerFactory) {
-      return new CaptureService({ eventBus, loggerFactory });
+      return new CaptureClipService({ eventBus, loggerFactory });
     },
     ['eventBus', 'loggerFactory']
   );
 
+  // Interval Service (interval screenshots and timelapse)
   container.registerSingleton(
-    'gpuRecordingService',
-    function (gpuRendererService, eventBus, loggerFactory) {
-      return new CaptureGpuRecordingService({ gpuRendererService, eventBus, loggerFactory });
+    'captureIntervalService',
+    function (eventBus, loggerFactory) {
+      return new CaptureIntervalService({ eventBus, loggerFactory });
+    },
+    ['eventBus', 'loggerFactory']
+  );
+
+  // Audio Mix Service (microphone commentary in recordings)
+  container.registerSingleton(
+    'captureAudioMixService',
+    function (eventBus, loggerFactory, settingsService, browserMediaService) {
+      return new CaptureAudioMixService({ eventBus, loggerFactory, settingsService, browserMediaService });
+    },
+    ['eventBus', 'loggerFactory', 'settingsService', 'browserMediaService']
+  );
+
+  // Facecam Service (webcam overlay in recordings and screenshots)
+  container.registerSingleton(
+    'captureFacecamService',
+    function (eventBus, loggerFactory, settingsService, browserMediaService) {
+      return new CaptureFacecamService({ eventBus, loggerFactory, settingsService, browserMediaService });
+    },
+    ['eventBus', 'loggerFactory', 'settingsService', 'browserMediaService']
+  );
+
+  // Trim Service (cuts reviewed recordings to the range chosen in the trim editor)
+  container.registerSingleton(
+    'captureTrimService',
+    function (loggerFactory) {
+      return new CaptureTrimService({ loggerFactory });
     },
-    ['gpuRendererService', 'eventBus', 'loggerFactory']
+    ['loggerFactory']
   );
 
   // Settings Service (user preferences)
@@ -347,6 +437,15 @@ function createRendererContainer() {
     ['eventBus', 'loggerFactory', 'storageService']
   );
 
+  // Game Profile Service (render and audio settings per game)
+  container.registerSingleton(
+    'gameProfileService',
+    function (eventBus, loggerFactory, storageService) {
+      return new SettingsGameProfileService({ eventBus, loggerFactory, storageService });
+    },
+    ['eventBus', 'loggerFactory', 'storageService']
+  );
+
   // Update Service (auto-updates)
   container.registerSingleton(
     'updateService',
@@ -403,10 +502,16 @@ function createRendererContainer() {
         // Inject feature component classes via DI container
         // These imports are centralized here instead of in UIComponentFactory
         settingsMenuComponent: SettingsMenuComponent,
+        gamePickerComponent: SettingsGamePickerComponent,
         streamControlsComponent: StreamingControlsComponent,
         shaderSelectorComponent: StreamingShaderSelectorComponent,
+        presetEditorComponent: StreamingPresetEditorComponent,
         updateSectionComponent: UpdateSectionComponent,
-        notesPanelComponent: NotesPanelComponent
+        notesPanelComponent: NotesPanelComponent,
+        captureThumbnailComponent: CaptureThumbnailComponent,
+        captureFacecamPreviewComponent: CaptureFacecamPreviewComponent,
+        captureTrimEditorComponent: CaptureTrimEditorComponent,
+        captureGalleryPanelComponent: CaptureGalleryPanelComponent
       });
     },
     ['eventBus']
@@ -500,21 +605,32 @@ function createRendererContainer() {
   // Uses appState instead of streamingOrchestrator for decoupling
   // Uses streamViewService for DOM element access instead of direct uiController
   // Requires gpuRendererService and canvasRenderer for screenshot source selection
+  // Uses captureStorageAdapter to write finished captures to the capture folder
+  // Uses captureTrimService to cut recordings saved from the trim editor
+  // Uses notesService for the active game recorded in capture metadata
   container.registerSingleton(
     'captureOrchestrator',
-    function (captureService, appState, streamViewService, gpuRendererService, gpuRecordingService, canvasRenderer, eventBus, loggerFactory) {
+    function (captureService, captureClipService, captureIntervalService, captureAudioMixService, captureFacecamService, captureTrimService, appState, streamViewService, gpuRendererService, gpuRecordingService, canvasRenderer, captureStorageAdapter, settingsService, notesService, eventBus, loggerFactory) {
       return new CaptureOrchestrator({
         captureService,
+        captureClipService,
+        captureIntervalService,
+        captureAudioMixService,
+        captureFacecamService,
+        captureTrimService,
         appState,
         streamViewService,
         gpuRendererService,
         gpuRecordingService,
         canvasRenderer,
+        captureStorageAdapter,
+        settingsService,
+        notesService,
         eventBus,
         loggerFactory
       });
     },
-    ['captureService', 'appState', 'streamViewService', 'gpuRendererService', 'gpuRecordingService', 'canvasRenderer', 'eventBus', 'loggerFactory']
+    ['captureService', 'captureClipService', 'captureIntervalService', 'captureAudioMixService', 'captureFacecamService', 'captureTrimService', 'appState', 'streamViewService', 'gpuRendererService', 'gpuRecordingService', 'canvasRenderer', 'captureStorageAdapter', 'settingsService', 'notesService', 'eventBus', 'loggerFactory']
   );
 
   // ============================================
@@ -566,6 +682,22 @@ function createRendererContainer() {
     ['fullscreenService', 'cinematicModeService', 'settingsService', 'eventBus', 'loggerFactory']
   );
 
+  // Game Profile Orchestrator - Switches render and audio settings with the active game
+  container.registerSingleton(
+    'gameProfileOrchestrator',
+    function (gameProfileService, settingsService, notesService, renderPresetService, eventBus, loggerFactory) {
+      return new SettingsGameProfileOrchestrator({
+        gameProfileService,
+        settingsService,
+        notesService,
+        renderPresetService,
+        eventBus,
+        loggerFactory
+      });
+    },
+    ['gameProfileService', 'settingsService', 'notesService', 'renderPresetService', 'eventBus', 'loggerFactory']
+  );
+
   // Update Orchestrator - Coordinates auto-updates
   container.registerSingleton(
     'updateOrchestrator',
@@ -657,7 +789,13 @@ function createRendererContainer() {
       appState,
       updateOrchestrator,
       settingsService,
+      renderPresetService,
+      lutService,
       notesService,
+      gameProfileService,
+      captureStorageAdapter,
+      captureAudioMixService,
+      captureFacecamService,
       uiController,
       eventBus,
       loggerFactory
@@ -666,7 +804,13 @@ function createRendererContainer() {
         appState,
         updateOrchestrator,
         settingsService,
+        renderPresetService,
+        lutService,
         notesService,
+        gameProfileService,
+        captureStorageAdapter,
+        captureAudioMixService,
+        captureFacecamService,
         uiController,
         eventBus,
         loggerFactory
@@ -676,7 +820,13 @@ function createRendererContainer() {
       'appState',
       'updateOrchestrator',
       'settingsService',
+      'renderPresetService',
+      'lutService',
       'notesService',
+      'gameProfileService',
+      'captureStorageAdapter',
+      'captureAudioMixService',
+      'captureFacecamService',
       'uiController',
       'eventBus',
       'loggerFactory'
@@ -691,6 +841,7 @@ function createRendererContainer() {
       streamingOrchestrator,
       captureOrchestrator,
       preferencesOrchestrator,
+      gameProfileOrchestrator,
       displayModeOrchestrator,
       updateOrchestrator,
       uiSetupOrchestrator,
@@ -705,6 +856,7 @@ function createRendererContainer() {
         streamingOrchestrator,
         captureOrchestrator,
         preferencesOrchestrator,
+        gameProfileOrchestrator,
         displayModeOrchestrator,
         updateOrchestrator,
         uiSetupOrchestrator,
@@ -720,6 +872,7 @@ function createRendererContainer() {
       'streamingOrchestrator',
       'captureOrchestrator',
       'preferencesOrchestrator',
+      'gameProfileOrchestrator',
       'displayModeOrchestrator',
       'updateOrchestrator',
       'uiSetupOrchestrator',
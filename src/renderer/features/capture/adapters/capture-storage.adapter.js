@@ -0,0 +1,267 @@
+/**
+ * Capture Storage Adapter
+ *
+ * Wraps the preload-exposed captureAPI to provide a clean DI boundary.
+ * Captures are written by the main process into the user's capture folder,
+ * and sidecar files (recording chapters) next to them.
+ * Recordings can be streamed to a main-process spool file while they run.
+ * Captures can be copied to the clipboard or dragged out as files.
+ * The capture gallery lists, renames, deletes and reveals saved captures.
+ * Falls back to a browser download when the preload API is unavailable
+ * (e.g. running the renderer outside Electron).
+ */
+
+import { downloadFile } from '@renderer/lib/file-download.utils.js';
+import { FilenameGenerator } from '@shared/utils/filename-generator.utils.js';
+
+export class CaptureStorageAdapter {
+  constructor() {
+    this._captureAPI = globalThis.captureAPI || window.captureAPI;
+  }
+
+  /**
+   * Check if capture API is available
+   * @returns {boolean} True if capture API is available
+   */
+  isAvailable() {
+    return !!(this._captureAPI && typeof this._captureAPI.saveCapture === 'function');
+  }
+
+  /**
+   * Save a capture blob to the capture folder
+   * @param {Blob} blob - Capture data
+   * @param {string} filename - Suggested filename
+   * @param {Object} [options]
+   * @param {string} [options.folder] - Session folder inside the capture folder (never asks where to save)
+   * @param {string} [options.game] - Game the capture belongs to, for per-game folders
+   * @returns {Promise<{success: boolean, canceled?: boolean, filePath?: string|null, error?: string}>}
+   */
+  async saveCapture(blob, filename, { folder, game } = {}) {
+    if (!this.isAvailable()) {
+      try {
+        await downloadFile(blob, filename);
+        return { success: true, canceled: false, filePath: null };
+      } catch (error) {
+        return { success: false, error: error.message || String(error) };
+      }
+    }
+
+    try {
+      const data = await blob.arrayBuffer();
+      const options = {};
+      if (folder) options.folder = folder;
+      if (game) options.game = game;
+      return Object.keys(options).length > 0
+        ? await this._captureAPI.saveCapture(data, filename, options)
+        : await this._captureAPI.saveCapture(data, filename);
+    } catch (error) {
+      return { success: false, error: error.message || String(error) };
+    }
+  }
+
+  /**
+   * Save a file next to a saved capture (e.g. recording chapters)
+   * Downloaded alongside the capture when it was downloaded too.
+   * @param {Blob} blob - Sidecar contents
+   * @param {Object} capture - Saved capture
+   * @param {string|null} capture.filePath - Path returned when the capture was saved
+   * @param {string} capture.filename - Filename the capture was saved as
+   * @param {string} extension - Sidecar extension (see RECORDING_MARKERS)
+   * @returns {Promise<{success: boolean, filePath?: string|null, error?: string}>}
+   */
+  async saveSidecar(blob, { filePath, filename }, extension) {
+    if (!this.isAvailable() || !filePath) {
+      try {
+        await downloadFile(blob, FilenameGenerator.forSidecar(filename, extension));
+        return { success: true, filePath: null };
+      } catch (error) {
+        return { success: false, error: error.message || String(error) };
+      }
+    }
+
+    try {
+      const data = await blob.arrayBuffer();
+      return await this._invoke('saveSidecar', filePath, extension, data);
+    } catch (error) {
+      return { success: false, error: error.message || String(error) };
+    }
+  }
+
+  /**
+   * Get capture folder settings from main process
+   * @returns {Promise<{success: boolean, settings?: {directory: string, askEveryTime: boolean, gameFolders: boolean}, error?: string}>}
+   */
+  async getSettings() {
+    return this._invoke('getSettings');
+  }
+
+  /**
+   * Update capture folder settings
+   * @param {Object} updates - Partial settings ({ directory, askEveryTime, gameFolders })
+   * @returns {Promise<{success: boolean, settings?: Object, error?: string}>}
+   */
+  async updateSettings(updates) {
+    return this._invoke('updateSettings', updates);
+  }
+
+  /**
+   * Open the native folder picker to choose a capture folder
+   * @returns {Promise<{success: boolean, canceled?: boolean, directory?: string, error?: string}>}
+   */
+  async chooseDirectory() {
+    return this._invoke('chooseDirectory');
+  }
+
+  /**
+   * Check if recordings can be streamed to disk while they run
+   * @returns {boolean} True if the spool API is available
+   */
+  isSpoolAvailable() {
+    return this.isAvailable() && typeof this._captureAPI.openRecordingSpool === 'function';
+  }
+
+  /**
+   * Open a spool file for a recording in progress
+   * @param {string} filename - Filename the recording will be saved as
+   * @param {string} mimeType - Container MIME type
+   * @param {Object} [options]
+   * @param {string} [options.game] - Game the recording belongs to, for per-game folders
+   * @returns {Promise<{success: boolean, id?: string, error?: string}>}
+   */
+  async openRecordingSpool(filename, mimeType, { game } = {}) {
+    return game
+      ? this._invoke('openRecordingSpool', filename, mimeType, { game })
+      : this._invoke('openRecordingSpool', filename, mimeType);
+  }
+
+  /**
+   * Append recorded data to a spool
+   * @param {string} id - Spool ID
+   * @param {Blob} blob - Recorded chunk
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async appendRecordingSpool(id, blob) {
+    try {
+      const data = await blob.arrayBuffer();
+      return await this._invoke('appendRecordingSpool', id, data);
+    } catch (error) {
+      return { success: false, error: error.message || String(error) };
+    }
+  }
+
+  /**
+   * Close a spool and save it to the capture folder
+   * @param {string} id - Spool ID
+   * @param {string} filename - Suggested filename
+   * @returns {Promise<{success: boolean, canceled?: boolean, filePath?: string|null, error?: string}>}
+   */
+  async commitRecordingSpool(id, filename) {
+    return this._invoke('commitRecordingSpool', id, filename);
+  }
+
+  /**
+   * Close a spool and delete its data
+   * @param {string} id - Spool ID
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async discardRecordingSpool(id) {
+    return this._invoke('discardRecordingSpool', id);
+  }
+
+  /**
+   * Offer to recover recordings left unfinished by a previous session
+   * @returns {Promise<{success: boolean, recovered?: string[], discarded?: number, error?: string}>}
+   */
+  async recoverRecordings() {
+    if (!this.isSpoolAvailable()) {
+      return { success: true, recovered: [], discarded: 0 };
+    }
+    return this._invoke('recoverRecordings');
+  }
+
+  /**
+   * Copy an image to the system clipboard
+   * @param {Blob} blob - PNG image
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async copyImage(blob) {
+    if (!this.isAvailable()) {
+      return { success: false, error: 'Capture API not available' };
+    }
+
+    try {
+      const data = await blob.arrayBuffer();
+      return await this._invoke('copyImage', data);
+    } catch (error) {
+      return { success: false, error: error.message || String(error) };
+    }
+  }
+
+  /**
+   * Start a native drag of a saved capture file out of the window
+   * @param {string} filePath - Path returned when the capture was saved
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async startDrag(filePath) {
+    return this._invoke('startDrag', filePath);
+  }
+
+  /**
+   * Check if the capture gallery is available
+   * @returns {boolean} True if the gallery API is available
+   */
+  isGalleryAvailable() {
+    return this.isAvailable() && typeof this._captureAPI.listGallery === 'function';
+  }
+
+  /**
+   * List the captures in the capture folder, newest first
+   * @returns {Promise<{success: boolean, directory?: string, captures?: Array<Object>, error?: string}>}
+   */
+  async listGallery() {
+    if (!this.isGalleryAvailable()) {
+      return { success: true, directory: null, captures: [] };
+    }
+    return this._invoke('listGallery');
+  }
+
+  /**
+   * Rename a capture in the capture folder (the extension is kept)
+   * @param {string} filePath - Capture path from the gallery listing
+   * @param {string} name - New name
+   * @returns {Promise<{success: boolean, capture?: Object, error?: string}>}
+   */
+  async renameGalleryCapture(filePath, name) {
+    return this._invoke('renameGalleryCapture', filePath, name);
+  }
+
+  /**
+   * Move a capture to the trash
+   * @param {string} filePath - Capture path from the gallery listing
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async deleteGalleryCapture(filePath) {
+    return this._invoke('deleteGalleryCapture', filePath);
+  }
+
+  /**
+   * Show a capture in the system file manager
+   * @param {string} filePath - Capture path from the gallery listing
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async revealGalleryCapture(filePath) {
+    return this._invoke('revealGalleryCapture', filePath);
+  }
+
+  async _invoke(method, ...args) {
+    if (!this.isAvailable()) {
+      return { success: false, error: 'Capture API not available' };
+    }
+
+    try {
+      return await this._captureAPI[method](...args);
+    } catch (error) {
+      return { success: false, error: error.message || String(error) };
+    }
+  }
+}
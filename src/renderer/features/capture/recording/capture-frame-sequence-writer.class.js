@@ -0,0 +1,228 @@
+/**
+ * Frame Sequence Writer
+ *
+ * Writes stream frames as a numbered sequence of lossless PNGs for pixel-art work.
+ * Each frame is compared with the one before it: a repeat is not written again,
+ * it only extends how long the previous frame is held. finish() adds a JSON
+ * manifest with the hold of every frame, counted in stream frames.
+ *
+ * Responsibilities:
+ * - Draw each frame at native resolution with nearest-neighbour scaling
+ * - Drop repeated frames, counting holds (including stream frames the page missed)
+ * - Hand files to the save callback one at a time, in order, as frames arrive
+ */
+
+import { FilenameGenerator } from '@shared/utils/filename-generator.utils.js';
+
+/**
+ * @typedef {Object} SequenceFrame
+ * @property {string} file - PNG filename inside the sequence folder
+ * @property {number} start - Stream frame the image first appears on (0-based)
+ * @property {number} hold - Stream frames the image stays on screen
+ * @property {number} durationMs - Hold converted with the stream frame rate
+ */
+
+/**
+ * Check if two RGBA buffers hold the same pixels
+ * @param {Uint8ClampedArray} a
+ * @param {Uint8ClampedArray} b
+ * @returns {boolean}
+ */
+function samePixels(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  // Compare 32 bits (one pixel) at a time
+  const wordsA = new Uint32Array(a.buffer, a.byteOffset, a.length >> 2);
+  const wordsB = new Uint32Array(b.buffer, b.byteOffset, b.length >> 2);
+  for (let i = 0; i < wordsA.length; i++) {
+    if (wordsA[i] !== wordsB[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+export class CaptureFrameSequenceWriter {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - Native width
+   * @param {number} options.height - Native height
+   * @param {number} options.frameRate - Stream frame rate, used for the timings in the manifest
+   * @param {Function} options.saveFile - Saves one file: (blob, filename) => Promise<void>, rejecting on failure
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor({ width, height, frameRate, saveFile, logger = null }) {
+    this.width = width;
+    this.height = height;
+    this.frameRate = frameRate;
+    this.logger = logger;
+
+    this._saveFile = saveFile;
+    this._frames = [];
+    this._previous = null;
+    this._frameCount = 0;
+    this._writes = Promise.resolve();
+    this._error = null;
+    this._closed = false;
+
+    this._canvas = document.createElement('canvas');
+    this._canvas.width = width;
+    this._canvas.height = height;
+    this._ctx = this._canvas.getContext('2d', { willReadFrequently: true });
+    this._ctx.imageSmoothingEnabled = false;
+  }
+
+  /**
+   * Stream frames seen so far, repeats included
+   * @returns {number}
+   */
+  get frameCount() {
+    return this._frameCount;
+  }
+
+  /**
+   * Distinct images written so far
+   * @returns {number}
+   */
+  get uniqueFrameCount() {
+    return this._frames.length;
+  }
+
+  /**
+   * Add the stream's current frame
+   * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source - Frame to draw
+   * @param {number} [streamFrames=1] - Stream frames since the last call; more than one
+   *   means frames were presented that the page never saw, and they count as holds
+   *   of the previous image
+   * @returns {boolean} True if the frame is a new image, false if it repeats the previous one
+   * @throws {Error} If writing an earlier frame failed or the writer is closed
+   */
+  addFrame(source, streamFrames = 1) {
+    if (this._error) {
+      throw this._error;
+    }
+    if (this._closed) {
+      throw new Error('Frame sequence is closed');
+    }
+
+    const last = this._frames[this._frames.length - 1];
+    const missed = Math.max(0, Math.round(streamFrames) - 1);
+    if (last) {
+      last.hold += missed;
+    }
+    this._frameCount += last ? missed : 0;
+
+    this._ctx.drawImage(source, 0, 0, this.width, this.height);
+    const pixels = this._ctx.getImageData(0, 0, this.width, this.height).data;
+    const start = this._frameCount;
+    this._frameCount++;
+
+    if (last && samePixels(pixels, this._previous)) {
+      last.hold++;
+      return false;
+    }
+
+    const frame = { file: FilenameGenerator.forSequenceFrame(this._frames.length + 1), start, hold: 1 };
+    this._frames.push(frame);
+    this._previous = pixels;
+    this._write(this._encode(), frame.file);
+    return true;
+  }
+
+  /**
+   * Wait for every frame to be written, then write the manifest
+   * @returns {Promise<{frameCount: number, uniqueFrameCount: number}>}
+   * @throws {Error} If a frame or the manifest could not be written, or no frames were added
+   */
+  async finish() {
+    if (this._frames.length === 0) {
+      this.close();
+      throw new Error('No frames captured');
+    }
+
+    this._closed = true;
+    await this._writes;
+    if (this._error) {
+      throw this._error;
+    }
+
+    const manifest = this._createManifest();
+    await this._saveFile(
+      new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }),
+      FilenameGenerator.forFrameSequenceManifest()
+    );
+
+    return { frameCount: this._frameCount, uniqueFrameCount: this._frames.length };
+  }
+
+  /**
+   * Stop accepting frames without writing the manifest
+   * Frames already handed to the save callback are still written.
+   */
+  close() {
+    this._closed = true;
+    this._previous = null;
+  }
+
+  /**
+   * Manifest describing the sequence
+   * @returns {Object}
+   * @private
+   */
+  _createManifest() {
+    const frameMs = 1000 / this.frameRate;
+    return {
+      width: this.width,
+      height: this.height,
+      frameRate: this.frameRate,
+      frameCount: this._frameCount,
+      durationMs: Math.round(this._frameCount * frameMs),
+      frames: this._frames.map(frame => ({
+        ...frame,
+        durationMs: Math.round(frame.hold * frameMs * 100) / 100
+      }))
+    };
+  }
+
+  /**
+   * Encode the canvas as PNG
+   * toBlob copies the canvas right away, so the next frame can be drawn before it resolves.
+   * @returns {Promise<Blob>}
+   * @private
+   */
+  _encode() {
+    return new Promise((resolve, reject) => {
+      this._canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('PNG encoding failed'));
+        }
+      }, 'image/png');
+    });
+  }
+
+  /**
+   * Queue a file behind the ones before it
+   * @param {Promise<Blob>} encoding - PNG being encoded
+   * @param {string} filename
+   * @private
+   */
+  _write(encoding, filename) {
+    // Keep a rejection from going unhandled while earlier writes finish
+    encoding.catch(() => {});
+
+    this._writes = this._writes.then(async () => {
+      if (this._error) return;
+
+      try {
+        await this._saveFile(await encoding, filename);
+      } catch (error) {
+        this._error = error;
+        this.logger?.error(`Failed to write ${filename}:`, error.message);
+      }
+    });
+  }
+}
@@ -0,0 +1,579 @@
+/**
+ * MP4 Muxer
+ *
+ * Pure JS ISO BMFF (MP4) writer for WebCodecs output.
+ * Collects encoded chunks in arrival order and writes a progressive file:
+ * ftyp, one mdat holding every sample, then moov with the sample tables.
+ *
+ * Supported tracks:
+ * - Video: H.264 ('avc1', avcC from decoderConfig.description) or AV1 ('av01')
+ * - Audio: AAC ('mp4a' with esds) or Opus ('Opus' with dOps)
+ */
+
+/** Movie header timescale (ms) */
+const MOVIE_TIMESCALE = 1000;
+
+/** Video track timescale - standard 90 kHz clock */
+const VIDEO_TIMESCALE = 90000;
+
+const VIDEO_TRACK_ID = 1;
+const AUDIO_TRACK_ID = 2;
+
+/** Identity transform matrix (16.16 and 2.30 fixed point) */
+const UNITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+/** MPEG-4 sampling frequency index table (AudioSpecificConfig) */
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const textEncoder = new TextEncoder();
+
+function u8(value) {
+  return Uint8Array.of(value & 0xff);
+}
+
+function u16(value) {
+  return Uint8Array.of((value >> 8) & 0xff, value & 0xff);
+}
+
+function u24(value) {
+  return Uint8Array.of((value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff);
+}
+
+function u32(value) {
+  return u32List([value]);
+}
+
+function u64(value) {
+  return u64List([value]);
+}
+
+/**
+ * Pack a list of 32-bit values (sample tables can hold hundreds of thousands)
+ * @param {number[]} values - Unsigned values
+ * @returns {Uint8Array} Big-endian bytes
+ */
+function u32List(values) {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => view.setUint32(i * 4, value >>> 0));
+  return bytes;
+}
+
+/**
+ * Pack a list of 64-bit values
+ * @param {number[]} values - Unsigned values
+ * @returns {Uint8Array} Big-endian bytes
+ */
+function u64List(values) {
+  const bytes = new Uint8Array(values.length * 8);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => view.setBigUint64(i * 8, BigInt(value)));
+  return bytes;
+}
+
+function ascii(text) {
+  return textEncoder.encode(text);
+}
+
+function zeros(length) {
+  return new Uint8Array(length);
+}
+
+function concat(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const output = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+/**
+ * Build a box: 32-bit size, four-letter type, payload
+ * @param {string} type - Box type
+ * @param {...Uint8Array} parts - Payload parts
+ * @returns {Uint8Array} Box bytes
+ */
+function box(type, ...parts) {
+  const payload = concat(parts);
+  return concat([u32(payload.length + 8), ascii(type), payload]);
+}
+
+/**
+ * Build a full box (box with version and flags)
+ * @param {string} type - Box type
+ * @param {number} version - Box version
+ * @param {number} flags - 24-bit flags
+ * @param {...Uint8Array} parts - Payload parts
+ * @returns {Uint8Array} Box bytes
+ */
+function fullBox(type, version, flags, ...parts) {
+  return box(type, u8(version), u24(flags), ...parts);
+}
+
+/**
+ * MPEG-4 descriptor (esds) with variable-length size
+ * @param {number} tag - Descriptor tag
+ * @param {...Uint8Array} parts - Descriptor payload
+ * @returns {Uint8Array} Descriptor bytes
+ */
+function descriptor(tag, ...parts) {
+  const payload = concat(parts);
+  const size = [];
+  let length = payload.length;
+  do {
+    size.unshift(length & 0x7f);
+    length >>= 7;
+  } while (length > 0);
+  for (let i = 0; i < size.length - 1; i++) size[i] |= 0x80;
+
+  return concat([u8(tag), Uint8Array.from(size), payload]);
+}
+
+/**
+ * Copy an EncodedVideoChunk/EncodedAudioChunk into a byte array
+ * @param {EncodedVideoChunk|EncodedAudioChunk} chunk - Encoded chunk
+ * @returns {Uint8Array} Chunk data
+ */
+function copyChunk(chunk) {
+  const data = new Uint8Array(chunk.byteLength);
+  chunk.copyTo(data);
+  return data;
+}
+
+/**
+ * Normalize decoderConfig.description (BufferSource) to Uint8Array
+ * @param {BufferSource|undefined} description - Codec description
+ * @returns {Uint8Array|null} Description bytes
+ */
+function toBytes(description) {
+  if (!description) return null;
+  if (description instanceof Uint8Array) return description;
+  if (ArrayBuffer.isView(description)) {
+    return new Uint8Array(description.buffer, description.byteOffset, description.byteLength);
+  }
+  return new Uint8Array(description);
+}
+
+export class Mp4Muxer {
+  /**
+   * Create a muxer
+   * Dimensions, sample rate and channel count are taken from the encoders'
+   * decoderConfig metadata when not given up front.
+   * @param {Object} options
+   * @param {{codec: string, width?: number, height?: number}} options.video - Video track
+   * @param {{codec: string, sampleRate?: number, numberOfChannels?: number}|null} [options.audio] - Audio track
+   */
+  constructor({ video, audio = null }) {
+    this.video = { ...video, timescale: VIDEO_TIMESCALE, samples: [], description: null };
+    this.audio = audio ? { ...audio, samples: [], description: null } : null;
+
+    // Sample data in mdat order
+    this._chunks = [];
+    this._dataSize = 0;
+
+    // Timestamp (us) every track is aligned to
+    this._baseTimestamp = null;
+  }
+
+  /**
+   * Add an encoded video chunk
+   * @param {EncodedVideoChunk} chunk - Chunk from VideoEncoder output
+   * @param {Object} [metadata] - EncodedVideoChunkMetadata
+   * @param {number} [timestamp] - Presentation time (us) to use instead of the chunk's own
+   */
+  addVideoChunk(chunk, metadata, timestamp = chunk.timestamp) {
+    if (metadata?.decoderConfig) {
+      this.video.description = toBytes(metadata.decoderConfig.description);
+      this.video.width = metadata.decoderConfig.codedWidth || this.video.width;
+      this.video.height = metadata.decoderConfig.codedHeight || this.video.height;
+    }
+
+    // The file must start on a keyframe
+    if (this.video.samples.length === 0 && chunk.type !== 'key') {
+      return;
+    }
+
+    if (this._baseTimestamp === null) {
+      this._baseTimestamp = timestamp;
+    }
+
+    this._addSample(this.video, chunk, chunk.type === 'key', timestamp);
+  }
+
+  /**
+   * Add an encoded audio chunk
+   * Audio captured before the first video keyframe is dropped.
+   * @param {EncodedAudioChunk} chunk - Chunk from AudioEncoder output
+   * @param {Object} [metadata] - EncodedAudioChunkMetadata
+   * @param {number} [timestamp] - Presentation time (us) to use instead of the chunk's own
+   */
+  addAudioChunk(chunk, metadata, timestamp = chunk.timestamp) {
+    if (!this.audio) return;
+
+    if (metadata?.decoderConfig) {
+      const { description, sampleRate, numberOfChannels } = metadata.decoderConfig;
+      this.audio.description = toBytes(description);
+      this.audio.sampleRate = sampleRate || this.audio.sampleRate;
+      this.audio.numberOfChannels = numberOfChannels || this.audio.numberOfChannels;
+    }
+
+    if (this._baseTimestamp === null || timestamp < this._baseTimestamp) {
+      return;
+    }
+
+    this._addSample(this.audio, chunk, true, timestamp);
+  }
+
+  /**
+   * Size of the sample data muxed so far
+   * @returns {number} Bytes
+   */
+  get byteLength() {
+    return this._dataSize;
+  }
+
+  /**
+   * Check if any video has been muxed
+   * @returns {boolean} True if the file would contain video
+   */
+  hasVideo() {
+    return this.video.samples.length > 0;
+  }
+
+  /**
+   * Write the file
+   * @returns {Uint8Array[]} File parts in order (pass to new Blob())
+   * @throws {Error} If no video was recorded
+   */
+  finalize() {
+    if (!this.hasVideo()) {
+      throw new Error('No video frames recorded');
+    }
+
+    if (!this.video.width || !this.video.height) {
+      throw new Error('Missing video dimensions');
+    }
+
+    if (this.audio) {
+      this.audio.timescale = this.audio.sampleRate;
+    }
+
+    const tracks = [this.video, this.audio].filter(track => track?.samples.length > 0);
+    tracks.forEach(track => this._computeDurations(track));
+
+    const ftyp = box('ftyp', ascii('isom'), u32(0x200), ascii('isom'), ascii('iso2'), ascii(this._isAv1() ? 'av01' : 'avc1'), ascii('mp41'));
+
+    // 64-bit mdat header once the payload no longer fits in 32 bits
+    const largeMdat = this._dataSize + 8 > 0xffffffff;
+    const mdatHeader = largeMdat
+      ? concat([u32(1), ascii('mdat'), u64(this._dataSize + 16)])
+      : concat([u32(this._dataSize + 8), ascii('mdat')]);
+
+    const dataOffset = ftyp.length + mdatHeader.length;
+    const moov = this._moov(tracks, dataOffset);
+
+    return [ftyp, mdatHeader, ...this._chunks, moov];
+  }
+
+  /**
+   * Record a sample and queue its data for mdat
+   * @private
+   */
+  _addSample(track, chunk, isSync, timestamp) {
+    const data = copyChunk(chunk);
+
+    track.samples.push({
+      offset: this._dataSize,
+      size: data.length,
+      timestamp,
+      duration: chunk.duration ?? 0,
+      isSync
+    });
+
+    this._chunks.push(data);
+    this._dataSize += data.length;
+  }
+
+  /**
+   * Convert microsecond timestamps to track ticks
+   * Deltas come from the running total so rounding never drifts.
+   * @private
+   */
+  _computeDurations(track) {
+    const toTicks = (us) => Math.round(((us - this._baseTimestamp) * track.timescale) / 1e6);
+    const { samples } = track;
+
+    track.startTicks = toTicks(samples[0].timestamp);
+
+    for (let i = 0; i < samples.length; i++) {
+      const start = toTicks(samples[i].timestamp);
+      const next = samples[i + 1];
+      let delta;
+
+      if (next) {
+        delta = toTicks(next.timestamp) - start;
+      } else if (samples[i].duration > 0) {
+        delta = Math.round((samples[i].duration * track.timescale) / 1e6);
+      } else {
+        delta = i > 0 ? samples[i - 1].ticks : Math.round(track.timescale / 30);
+      }
+
+      samples[i].ticks = Math.max(1, delta);
+    }
+
+    track.durationTicks = samples.reduce((sum, sample) => sum + sample.ticks, 0);
+  }
+
+  _isAv1() {
+    return this.video.codec.startsWith('av01');
+  }
+
+  /**
+   * @private
+   */
+  _moov(tracks, dataOffset) {
+    const movieDuration = Math.max(...tracks.map(track =>
+      Math.round(((track.startTicks + track.durationTicks) * MOVIE_TIMESCALE) / track.timescale)
+    ));
+
+    const mvhd = fullBox('mvhd', 0, 0,
+      u32(0), u32(0), // Creation/modification time
+      u32(MOVIE_TIMESCALE),
+      u32(movieDuration),
+      u32(0x00010000), // Rate 1.0
+      u16(0x0100), // Volume 1.0
+      zeros(10),
+      u32List(UNITY_MATRIX),
+      zeros(24),
+      u32(AUDIO_TRACK_ID + 1)
+    );
+
+    return box('moov', mvhd, ...tracks.map(track => this._trak(track, dataOffset)));
+  }
+
+  /**
+   * @private
+   */
+  _trak(track, dataOffset) {
+    const isVideo = track === this.video;
+    const trackDuration = Math.round((track.durationTicks * MOVIE_TIMESCALE) / track.timescale);
+    const startOffset = Math.round((track.startTicks * MOVIE_TIMESCALE) / track.timescale);
+
+    const tkhd = fullBox('tkhd', 0, 0x3, // Enabled, in movie
+      u32(0), u32(0),
+      u32(isVideo ? VIDEO_TRACK_ID : AUDIO_TRACK_ID),
+      u32(0),
+      u32(startOffset + trackDuration),
+      zeros(8),
+      u16(0), u16(0), // Layer, alternate group
+      u16(isVideo ? 0 : 0x0100),
+      u16(0),
+      u32List(UNITY_MATRIX),
+      u32(isVideo ? track.width << 16 : 0),
+      u32(isVideo ? track.height << 16 : 0)
+    );
+
+    // Tracks that start after the first video frame get an empty edit
+    const edts = startOffset > 0
+      ? box('edts', fullBox('elst', 0, 0,
+        u32(2),
+        u32(startOffset), u32(0xffffffff), u32(0x00010000),
+        u32(trackDuration), u32(0), u32(0x00010000)
+      ))
+      : new Uint8Array(0);
+
+    const mdhd = fullBox('mdhd', 0, 0,
+      u32(0), u32(0),
+      u32(track.timescale),
+      u32(track.durationTicks),
+      u16(0x55c4), // Language: und
+      u16(0)
+    );
+
+    const handler = isVideo ? 'vide' : 'soun';
+    const hdlr = fullBox('hdlr', 0, 0,
+      u32(0),
+      ascii(handler),
+      zeros(12),
+      ascii(isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+    );
+
+    const mediaHeader = isVideo
+      ? fullBox('vmhd', 0, 1, zeros(8))
+      : fullBox('smhd', 0, 0, zeros(4));
+
+    const dinf = box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1)));
+
+    const minf = box('minf', mediaHeader, dinf, this._stbl(track, isVideo, dataOffset));
+
+    return box('trak', tkhd, edts, box('mdia', mdhd, hdlr, minf));
+  }
+
+  /**
+   * Sample tables: one sample per chunk, absolute 64-bit offsets
+   * @private
+   */
+  _stbl(track, isVideo, dataOffset) {
+    const { samples } = track;
+
+    // Run-length encoded sample durations
+    const runs = [];
+    for (const sample of samples) {
+      const last = runs[runs.length - 1];
+      if (last && last.delta === sample.ticks) {
+        last.count++;
+      } else {
+        runs.push({ count: 1, delta: sample.ticks });
+      }
+    }
+    const stts = fullBox('stts', 0, 0, u32(runs.length), u32List(runs.flatMap(run => [run.count, run.delta])));
+
+    const stsc = fullBox('stsc', 0, 0, u32(1), u32(1), u32(1), u32(1));
+    const stsz = fullBox('stsz', 0, 0, u32(0), u32(samples.length), u32List(samples.map(sample => sample.size)));
+    const co64 = fullBox('co64', 0, 0, u32(samples.length), u64List(samples.map(sample => dataOffset + sample.offset)));
+
+    const tables = [this._stsd(track, isVideo), stts];
+
+    if (isVideo) {
+      const syncSamples = [];
+      samples.forEach((sample, index) => {
+        if (sample.isSync) syncSamples.push(index + 1);
+      });
+      tables.push(fullBox('stss', 0, 0, u32(syncSamples.length), u32List(syncSamples)));
+    }
+
+    tables.push(stsc, stsz, co64);
+
+    return box('stbl', ...tables);
+  }
+
+  /**
+   * @private
+   */
+  _stsd(track, isVideo) {
+    const entry = isVideo ? this._visualSampleEntry(track) : this._audioSampleEntry(track);
+    return fullBox('stsd', 0, 0, u32(1), entry);
+  }
+
+  /**
+   * @private
+   */
+  _visualSampleEntry(track) {
+    const isAv1 = this._isAv1();
+    let configBox;
+
+    if (isAv1) {
+      configBox = box('av1C', this._av1Config(track));
+    } else {
+      if (!track.description) {
+        throw new Error('Missing H.264 decoder configuration');
+      }
+      configBox = box('avcC', track.description);
+    }
+
+    return box(isAv1 ? 'av01' : 'avc1',
+      zeros(6), u16(1), // Reserved, data reference index
+      zeros(16),
+      u16(track.width), u16(track.height),
+      u32(0x00480000), u32(0x00480000), // 72 dpi
+      u32(0),
+      u16(1), // Frame count
+      zeros(32), // Compressor name
+      u16(0x0018), // Depth
+      u16(0xffff),
+      configBox
+    );
+  }
+
+  /**
+   * AV1CodecConfigurationRecord derived from the codec string (av01.P.LLT.DD)
+   * The encoder's sequence header OBU, when provided, is appended as configOBUs.
+   * @private
+   */
+  _av1Config(track) {
+    const [, profile = '0', levelTier = '00M', bitDepth = '08'] = track.codec.split('.');
+    const seqProfile = parseInt(profile, 10);
+    const seqLevel = parseInt(levelTier, 10);
+    const tier = levelTier.endsWith('H') ? 1 : 0;
+    const highBitDepth = parseInt(bitDepth, 10) > 8 ? 1 : 0;
+
+    const header = Uint8Array.of(
+      0x81, // Marker + version 1
+      (seqProfile << 5) | seqLevel,
+      (tier << 7) | (highBitDepth << 6) | (0 << 5) | (0 << 4) | (1 << 3) | (1 << 2), // 4:2:0
+      0
+    );
+
+    return track.description ? concat([header, track.description]) : header;
+  }
+
+  /**
+   * @private
+   */
+  _audioSampleEntry(track) {
+    const isOpus = track.codec === 'opus';
+    const configBox = isOpus ? this._dOps(track) : this._esds(track);
+
+    return box(isOpus ? 'Opus' : 'mp4a',
+      zeros(6), u16(1),
+      zeros(8),
+      u16(track.numberOfChannels),
+      u16(16), // Sample size
+      u16(0), u16(0),
+      u32(track.sampleRate << 16),
+      configBox
+    );
+  }
+
+  /**
+   * Opus-in-ISOBMFF specific box
+   * Pre-skip comes from the encoder's OpusHead when available.
+   * @private
+   */
+  _dOps(track) {
+    let preSkip = 0;
+    const head = track.description;
+    if (head && head.length >= 12) {
+      preSkip = head[10] | (head[11] << 8); // OpusHead is little-endian
+    }
+
+    return box('dOps',
+      u8(0),
+      u8(track.numberOfChannels),
+      u16(preSkip),
+      u32(track.sampleRate),
+      u16(0), // Output gain
+      u8(0) // Channel mapping family
+    );
+  }
+
+  /**
+   * Elementary stream descriptor with the AAC AudioSpecificConfig
+   * @private
+   */
+  _esds(track) {
+    let audioConfig = track.description;
+
+    if (!audioConfig) {
+      // AAC-LC config built from the stream parameters
+      const frequencyIndex = Math.max(0, AAC_SAMPLE_RATES.indexOf(track.sampleRate));
+      audioConfig = Uint8Array.of(
+        (2 << 3) | (frequencyIndex >> 1),
+        ((frequencyIndex & 1) << 7) | (track.numberOfChannels << 3)
+      );
+    }
+
+    const decoderConfig = descriptor(0x04,
+      u8(0x40), // MPEG-4 Audio
+      u8((0x05 << 2) | 1), // Audio stream
+      u24(0),
+      u32(0), u32(0),
+      descriptor(0x05, audioConfig)
+    );
+
+    return fullBox('esds', 0, 0, descriptor(0x03, u16(0), u8(0), decoderConfig, descriptor(0x06, u8(0x02))));
+  }
+}
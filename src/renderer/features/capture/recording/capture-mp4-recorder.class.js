@@ -0,0 +1,479 @@
+/**
+ * MP4 Recorder
+ *
+ * WebCodecs recording backend with the same surface CaptureService uses on
+ * MediaRecorder (start/stop/pause/resume, state, mimeType,
+ * ondataavailable/onstop/onerror).
+ *
+ * Responsibilities:
+ * - Pick the first H.264/AAC or AV1/Opus pair the platform can encode
+ * - Read raw frames and audio from cloned stream tracks
+ * - Encode with VideoEncoder/AudioEncoder and mux into MP4 in JS
+ * - Drop input while paused and close the gap in the file's timeline
+ *
+ * The whole file is emitted as a single dataavailable event on stop,
+ * since an MP4 is only playable once its sample tables are written.
+ */
+
+import { RECORDING_OUTPUT } from '@shared/config/constants.config.js';
+import { Mp4Muxer } from './capture-mp4-muxer.class.js';
+
+/** Frames waiting in the encoder before new frames are dropped */
+const MAX_VIDEO_QUEUE = 4;
+
+/** Probe size when the track does not report its dimensions */
+const DEFAULT_DIMENSIONS = Object.freeze({ width: 640, height: 576 });
+
+export class CaptureMp4Recorder {
+  /**
+   * Check if the platform exposes everything this backend needs
+   * @returns {boolean} True if WebCodecs and track processors are available
+   */
+  static isSupported() {
+    return typeof VideoEncoder !== 'undefined' &&
+      typeof AudioEncoder !== 'undefined' &&
+      typeof MediaStreamTrackProcessor !== 'undefined';
+  }
+
+  /**
+   * Create a recorder for the stream using the first supported codec pair
+   * @param {MediaStream} stream - Stream to record
+   * @param {Object} [options]
+   * @param {number} [options.videoBitsPerSecond] - Video bitrate
+   * @param {number} [options.audioBitsPerSecond] - Audio bitrate
+   * @param {Object} [options.logger] - Logger instance
+   * @returns {Promise<CaptureMp4Recorder>} Recorder (state 'inactive')
+   * @throws {Error} If WebCodecs is unavailable or no codec pair is supported
+   */
+  static async create(stream, {
+    videoBitsPerSecond = RECORDING_OUTPUT.VIDEO_BITS_PER_SECOND,
+    audioBitsPerSecond = RECORDING_OUTPUT.AUDIO_BITS_PER_SECOND,
+    logger = null
+  } = {}) {
+    if (!CaptureMp4Recorder.isSupported()) {
+      throw new Error('MP4 recording is not supported');
+    }
+
+    const [videoTrack] = stream.getVideoTracks();
+    const [audioTrack] = stream.getAudioTracks();
+
+    if (!videoTrack) {
+      throw new Error('No video track to record');
+    }
+
+    const { width = DEFAULT_DIMENSIONS.width, height = DEFAULT_DIMENSIONS.height, frameRate = 60 } = videoTrack.getSettings();
+    const audioSettings = audioTrack?.getSettings() || {};
+    const sampleRate = audioSettings.sampleRate || 48000;
+    const numberOfChannels = audioSettings.channelCount || 2;
+
+    for (const codecs of RECORDING_OUTPUT.MP4_CODECS) {
+      const video = await VideoEncoder.isConfigSupported({
+        codec: codecs.video,
+        width,
+        height,
+        bitrate: videoBitsPerSecond,
+        framerate: frameRate
+      });
+      if (!video.supported) continue;
+
+      if (audioTrack) {
+        const audio = await AudioEncoder.isConfigSupported({
+          codec: codecs.audio,
+          sampleRate,
+          numberOfChannels,
+          bitrate: audioBitsPerSecond
+        });
+        if (!audio.supported) continue;
+      }
+
+      logger?.info(`MP4 recording with ${codecs.video} / ${codecs.audio}`);
+      return new CaptureMp4Recorder(stream, { codecs, frameRate, videoBitsPerSecond, audioBitsPerSecond, logger });
+    }
+
+    throw new Error('No supported MP4 codecs');
+  }
+
+  /**
+   * @param {MediaStream} stream - Stream to record
+   * @param {Object} options
+   * @param {{video: string, audio: string}} options.codecs - Codec pair
+   * @param {number} [options.frameRate=60] - Nominal frame rate
+   * @param {number} [options.videoBitsPerSecond] - Video bitrate
+   * @param {number} [options.audioBitsPerSecond] - Audio bitrate
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor(stream, {
+    codecs,
+    frameRate = 60,
+    videoBitsPerSecond = RECORDING_OUTPUT.VIDEO_BITS_PER_SECOND,
+    audioBitsPerSecond = RECORDING_OUTPUT.AUDIO_BITS_PER_SECOND,
+    logger = null
+  }) {
+    this.stream = stream;
+    this.codecs = codecs;
+    this.frameRate = frameRate;
+    this.videoBitsPerSecond = videoBitsPerSecond;
+    this.audioBitsPerSecond = audioBitsPerSecond;
+    this.logger = logger;
+
+    this.state = 'inactive';
+    this.mimeType = 'video/mp4';
+
+    this.ondataavailable = null;
+    this.onstop = null;
+    this.onerror = null;
+
+    this._tracks = [];
+    this._readers = [];
+    this._pumps = [];
+    this._videoEncoder = null;
+    this._audioEncoder = null;
+    this._muxer = null;
+    this._lastKeyFrameTimestamp = null;
+    this._failed = false;
+
+    // Paused spans on the capture clock ({start, end} in us) and the one being measured
+    this._gaps = [];
+    this._pendingGap = null;
+  }
+
+  /**
+   * Encoded bytes held for the file so far
+   * MediaRecorder reports size through dataavailable; this backend only emits on stop.
+   * @returns {number} Bytes
+   */
+  get bytesWritten() {
+    return this._muxer?.byteLength ?? 0;
+  }
+
+  /**
+   * Start reading and encoding
+   * Encoders are configured from the first frame/audio buffer, so dimensions
+   * always match what is actually captured.
+   */
+  start() {
+    if (this.state !== 'inactive') {
+      throw new Error('Recorder already started');
+    }
+
+    const [videoTrack] = this.stream.getVideoTracks();
+    const [audioTrack] = this.stream.getAudioTracks();
+
+    this._muxer = new Mp4Muxer({
+      video: { codec: this.codecs.video },
+      audio: audioTrack ? { codec: this.codecs.audio } : null
+    });
+
+    this.state = 'recording';
+
+    // Read from clones so stopping the recorder never ends the live tracks
+    this._pumps.push(this._pump(videoTrack.clone(), 'video', (frame) => this._encodeVideo(frame)));
+    if (audioTrack) {
+      this._pumps.push(this._pump(audioTrack.clone(), 'audio', (data) => this._encodeAudio(data)));
+    }
+  }
+
+  /**
+   * Pause recording; input is dropped until resume()
+   */
+  pause() {
+    if (this.state !== 'recording') {
+      return;
+    }
+
+    this.state = 'paused';
+    if (!this._pendingGap) {
+      this._pendingGap = { start: null };
+    }
+  }
+
+  /**
+   * Resume a paused recording
+   */
+  resume() {
+    if (this.state === 'paused') {
+      this.state = 'recording';
+    }
+  }
+
+  /**
+   * Stop recording, flush encoders and emit the finished file
+   */
+  stop() {
+    if (this.state === 'inactive') {
+      return;
+    }
+
+    this.state = 'inactive';
+    this._finish();
+  }
+
+  /**
+   * Read a track until stopped
+   * @param {MediaStreamTrack} track - Cloned track
+   * @param {'video'|'audio'} kind - Track kind
+   * @param {Function} handle - Called with each VideoFrame/AudioData
+   * @private
+   */
+  async _pump(track, kind, handle) {
+    this._tracks.push(track);
+    const reader = new MediaStreamTrackProcessor({ track }).readable.getReader();
+    this._readers.push(reader);
+
+    try {
+      while (this.state !== 'inactive') {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        if (this.state === 'inactive' || this._failed) {
+          value.close();
+          break;
+        }
+
+        if (this._admit(kind, value.timestamp)) {
+          handle(value);
+        } else {
+          value.close();
+        }
+      }
+    } catch (error) {
+      if (this.state !== 'inactive') {
+        this._fail(error);
+      }
+    }
+  }
+
+  /**
+   * Decide whether captured input belongs in the file
+   * Paused spans are measured on the video clock, from the first frame dropped
+   * while paused to the first frame after resume; audio inside a span is dropped.
+   * @param {'video'|'audio'} kind - Track kind
+   * @param {number} timestamp - Capture timestamp (us)
+   * @returns {boolean} True if the input should be encoded
+   * @private
+   */
+  _admit(kind, timestamp) {
+    const gap = this._pendingGap;
+
+    if (this.state === 'paused') {
+      if (kind === 'video' && gap.start === null) {
+        gap.start = timestamp;
+      }
+      return false;
+    }
+
+    if (gap) {
+      // Audio waits for the video frame that closes the span
+      if (kind !== 'video') {
+        return false;
+      }
+
+      if (gap.start !== null && timestamp > gap.start) {
+        this._gaps.push({ start: gap.start, end: timestamp });
+      }
+      this._pendingGap = null;
+      return true;
+    }
+
+    const last = this._gaps[this._gaps.length - 1];
+    return !last || timestamp < last.start || timestamp >= last.end;
+  }
+
+  /**
+   * Map a capture timestamp onto the file timeline by removing paused spans
+   * @param {number} timestamp - Capture timestamp (us)
+   * @returns {number} File timestamp (us)
+   * @private
+   */
+  _toFileTimestamp(timestamp) {
+    let paused = 0;
+    for (const gap of this._gaps) {
+      if (gap.end <= timestamp) {
+        paused += gap.end - gap.start;
+      }
+    }
+    return timestamp - paused;
+  }
+
+  /**
+   * @param {VideoFrame} frame - Captured frame (closed here)
+   * @private
+   */
+  _encodeVideo(frame) {
+    try {
+      if (!this._videoEncoder) {
+        this._configureVideo(frame);
+      }
+
+      // Drop frames rather than queueing unbounded memory when encoding lags
+      if (this._videoEncoder.encodeQueueSize > MAX_VIDEO_QUEUE) {
+        return;
+      }
+
+      const intervalUs = RECORDING_OUTPUT.KEYFRAME_INTERVAL_SECONDS * 1e6;
+      const keyFrame = this._lastKeyFrameTimestamp === null ||
+        frame.timestamp - this._lastKeyFrameTimestamp >= intervalUs;
+      if (keyFrame) {
+        this._lastKeyFrameTimestamp = frame.timestamp;
+      }
+
+      this._videoEncoder.encode(frame, { keyFrame });
+    } catch (error) {
+      this._fail(error);
+    } finally {
+      frame.close();
+    }
+  }
+
+  /**
+   * @param {AudioData} data - Captured audio (closed here)
+   * @private
+   */
+  _encodeAudio(data) {
+    try {
+      if (!this._audioEncoder) {
+        this._configureAudio(data);
+      }
+
+      this._audioEncoder.encode(data);
+    } catch (error) {
+      this._fail(error);
+    } finally {
+      data.close();
+    }
+  }
+
+  /**
+   * @param {VideoFrame} frame - First frame
+   * @private
+   */
+  _configureVideo(frame) {
+    // H.264 needs even dimensions
+    const width = frame.displayWidth & ~1;
+    const height = frame.displayHeight & ~1;
+
+    this._videoEncoder = new VideoEncoder({
+      output: (chunk, metadata) => this._muxer?.addVideoChunk(chunk, metadata, this._toFileTimestamp(chunk.timestamp)),
+      error: (error) => this._fail(error)
+    });
+
+    this._videoEncoder.configure({
+      codec: this.codecs.video,
+      width,
+      height,
+      bitrate: this.videoBitsPerSecond,
+      framerate: this.frameRate,
+      latencyMode: 'realtime',
+      ...(this.codecs.video.startsWith('avc1') ? { avc: { format: 'avc' } } : {})
+    });
+  }
+
+  /**
+   * @param {AudioData} data - First audio buffer
+   * @private
+   */
+  _configureAudio(data) {
+    this._audioEncoder = new AudioEncoder({
+      output: (chunk, metadata) => this._muxer?.addAudioChunk(chunk, metadata, this._toFileTimestamp(chunk.timestamp)),
+      error: (error) => this._fail(error)
+    });
+
+    this._audioEncoder.configure({
+      codec: this.codecs.audio,
+      sampleRate: data.sampleRate,
+      numberOfChannels: data.numberOfChannels,
+      bitrate: this.audioBitsPerSecond,
+      ...(this.codecs.audio.startsWith('mp4a') ? { aac: { format: 'aac' } } : {})
+    });
+  }
+
+  /**
+   * Flush encoders, write the file and fire dataavailable + stop
+   * @private
+   */
+  async _finish() {
+    await this._releaseReaders();
+
+    if (this._failed) {
+      return;
+    }
+
+    try {
+      await Promise.all([this._videoEncoder?.flush(), this._audioEncoder?.flush()]);
+      this._closeEncoders();
+
+      if (!this._muxer?.hasVideo()) {
+        throw new Error('No video frames recorded');
+      }
+
+      const data = new Blob(this._muxer.finalize(), { type: this.mimeType });
+      this._muxer = null;
+
+      this.ondataavailable?.({ data });
+      this.onstop?.();
+    } catch (error) {
+      this._closeEncoders();
+      this._emitError(error);
+    }
+  }
+
+  /**
+   * Abort on encoder or reader failure
+   * @param {Error} error - Failure
+   * @private
+   */
+  _fail(error) {
+    if (this._failed) {
+      return;
+    }
+
+    this._failed = true;
+    this.state = 'inactive';
+    this._closeEncoders();
+    this._muxer = null;
+    this._releaseReaders();
+    this._emitError(error);
+  }
+
+  /**
+   * @private
+   */
+  _emitError(error) {
+    this.logger?.error('MP4 recorder error:', error);
+    this.onerror?.({ error });
+  }
+
+  /**
+   * Cancel readers, wait for the pumps to exit and stop the cloned tracks
+   * @private
+   */
+  async _releaseReaders() {
+    const readers = this._readers;
+    this._readers = [];
+
+    await Promise.all(readers.map(reader => reader.cancel().catch(() => {})));
+    await Promise.all(this._pumps);
+    this._pumps = [];
+
+    this._tracks.forEach(track => track.stop());
+    this._tracks = [];
+  }
+
+  /**
+   * @private
+   */
+  _closeEncoders() {
+    for (const encoder of [this._videoEncoder, this._audioEncoder]) {
+      if (encoder && encoder.state !== 'closed') {
+        try {
+          encoder.close();
+        } catch (error) {
+          this.logger?.debug('Error closing encoder:', error);
+        }
+      }
+    }
+
+    this._videoEncoder = null;
+    this._audioEncoder = null;
+  }
+}
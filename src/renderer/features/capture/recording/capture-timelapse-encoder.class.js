@@ -0,0 +1,174 @@
+/**
+ * Timelapse Encoder
+ *
+ * Encodes frames handed in one at a time into a silent MP4 with WebCodecs.
+ * Frames are spaced by the playback rate instead of the time they were grabbed,
+ * so a frame kept every N stream frames plays back sped up.
+ *
+ * Responsibilities:
+ * - Pick the first H.264 or AV1 codec the platform can encode
+ * - Draw each frame at the output size with nearest-neighbour scaling
+ * - Mux the encoded frames into MP4 in memory
+ */
+
+import { RECORDING_OUTPUT } from '@shared/config/constants.config.js';
+import { Mp4Muxer } from './capture-mp4-muxer.class.js';
+
+/** Frames waiting in the encoder before new frames are dropped */
+const MAX_VIDEO_QUEUE = 4;
+
+export class CaptureTimelapseEncoder {
+  /**
+   * Check if the platform exposes everything this encoder needs
+   * @returns {boolean} True if WebCodecs video encoding is available
+   */
+  static isSupported() {
+    return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+  }
+
+  /**
+   * Create an encoder using the first supported video codec
+   * @param {Object} options
+   * @param {number} options.width - Output width
+   * @param {number} options.height - Output height
+   * @param {number} options.frameRate - Playback frame rate
+   * @param {Object} [options.logger] - Logger instance
+   * @returns {Promise<CaptureTimelapseEncoder>}
+   * @throws {Error} If WebCodecs is unavailable or no codec is supported
+   */
+  static async create({ width, height, frameRate, logger = null }) {
+    if (!CaptureTimelapseEncoder.isSupported()) {
+      throw new Error('Timelapse recording is not supported');
+    }
+
+    // H.264 needs even dimensions
+    const evenWidth = width & ~1;
+    const evenHeight = height & ~1;
+
+    for (const { video: codec } of RECORDING_OUTPUT.MP4_CODECS) {
+      const { supported } = await VideoEncoder.isConfigSupported({
+        codec,
+        width: evenWidth,
+        height: evenHeight,
+        bitrate: RECORDING_OUTPUT.VIDEO_BITS_PER_SECOND,
+        framerate: frameRate
+      });
+      if (!supported) continue;
+
+      logger?.info(`Timelapse encoding with ${codec} at ${evenWidth}x${evenHeight}`);
+      return new CaptureTimelapseEncoder({ codec, width: evenWidth, height: evenHeight, frameRate, logger });
+    }
+
+    throw new Error('No supported timelapse codecs');
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.codec - Video codec string
+   * @param {number} options.width - Output width (even)
+   * @param {number} options.height - Output height (even)
+   * @param {number} options.frameRate - Playback frame rate
+   * @param {Object} [options.logger] - Logger instance
+   */
+  constructor({ codec, width, height, frameRate, logger = null }) {
+    this.codec = codec;
+    this.width = width;
+    this.height = height;
+    this.frameRate = frameRate;
+    this.logger = logger;
+
+    this._frameCount = 0;
+    this._error = null;
+
+    this._canvas = document.createElement('canvas');
+    this._canvas.width = width;
+    this._canvas.height = height;
+    this._ctx = this._canvas.getContext('2d');
+    this._ctx.imageSmoothingEnabled = false;
+
+    this._muxer = new Mp4Muxer({ video: { codec, width, height } });
+    this._encoder = new VideoEncoder({
+      output: (chunk, metadata) => this._muxer?.addVideoChunk(chunk, metadata),
+      error: (error) => { this._error = error; }
+    });
+    this._encoder.configure({
+      codec,
+      width,
+      height,
+      bitrate: RECORDING_OUTPUT.VIDEO_BITS_PER_SECOND,
+      framerate: frameRate,
+      ...(codec.startsWith('avc1') ? { avc: { format: 'avc' } } : {})
+    });
+  }
+
+  /**
+   * Frames encoded so far
+   * @returns {number}
+   */
+  get frameCount() {
+    return this._frameCount;
+  }
+
+  /**
+   * Encode the next frame
+   * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source - Frame to draw
+   * @returns {boolean} False if the frame was dropped because the encoder is behind
+   * @throws {Error} If the encoder failed
+   */
+  addFrame(source) {
+    if (this._error) {
+      throw this._error;
+    }
+
+    if (this._encoder.encodeQueueSize > MAX_VIDEO_QUEUE) {
+      return false;
+    }
+
+    this._ctx.drawImage(source, 0, 0, this.width, this.height);
+
+    const frameDurationUs = 1e6 / this.frameRate;
+    const frame = new VideoFrame(this._canvas, {
+      timestamp: Math.round(this._frameCount * frameDurationUs),
+      duration: Math.round(frameDurationUs)
+    });
+    const keyFrame = this._frameCount % (RECORDING_OUTPUT.KEYFRAME_INTERVAL_SECONDS * this.frameRate) === 0;
+
+    try {
+      this._encoder.encode(frame, { keyFrame });
+    } finally {
+      frame.close();
+    }
+
+    this._frameCount++;
+    return true;
+  }
+
+  /**
+   * Flush the encoder and write the file
+   * @returns {Promise<Blob>} MP4 file
+   * @throws {Error} If encoding failed or no frames were encoded
+   */
+  async finish() {
+    try {
+      await this._encoder.flush();
+
+      if (this._error) {
+        throw this._error;
+      }
+
+      return new Blob(this._muxer.finalize(), { type: 'video/mp4' });
+    } finally {
+      this.close();
+    }
+  }
+
+  /**
+   * Release the encoder without writing a file
+   */
+  close() {
+    if (this._encoder && this._encoder.state !== 'closed') {
+      this._encoder.close();
+    }
+    this._muxer = null;
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Capture Audio Mix Service
+ *
+ * Adds microphone commentary to recordings. The game audio and the microphone
+ * each go through their own gain in a Web Audio graph and are mixed into one
+ * track that replaces the stream's audio in the recorded stream. With a separate
+ * commentary track, the microphone is kept out of the mix and handed back as
+ * its own stream instead.
+ *
+ * Gains follow 'settings:audio-mix-changed' while a recording is running, the same
+ * way the live volume follows 'settings:volume-changed'.
+ */
+
+import { BaseService } from '@shared/base/service.base.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { AUDIO_MIX } from '@shared/config/constants.config.js';
+
+class CaptureAudioMixService extends BaseService {
+  /**
+   * @param {Object} dependencies - Injected dependencies
+   * @param {EventBus} dependencies.eventBus - Event bus for gain changes
+   * @param {Function} dependencies.loggerFactory - Logger factory
+   * @param {SettingsService} dependencies.settingsService - Microphone preferences
+   * @param {BrowserMediaAdapter} dependencies.browserMediaService - Microphone enumeration and access
+   */
+  constructor(dependencies) {
+    super(dependencies, ['eventBus', 'loggerFactory', 'settingsService', 'browserMediaService'], 'CaptureAudioMixService');
+
+    this._mix = null;
+
+    this._unsubscribeGains = this.eventBus.subscribe(
+      EventChannels.SETTINGS.AUDIO_MIX_CHANGED,
+      (gains) => this._handleGainsChanged(gains)
+    );
+  }
+
+  /**
+   * List microphones for the settings menu
+   * Labels are empty until microphone access has been granted once.
+   * @returns {Promise<Array<{deviceId: string, label: string}>>}
+   */
+  async listMicrophones() {
+    const devices = await this.browserMediaService.enumerateDevices();
+
+    return devices
+      .filter(device => device.kind === 'audioinput' && device.deviceId !== 'default')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Microphone ${index + 1}`
+      }));
+  }
+
+  /**
+   * Check if a mix is running
+   * @returns {boolean}
+   */
+  isActive() {
+    return this._mix !== null;
+  }
+
+  /**
+   * Build the stream to record
+   * Returns the stream unchanged when microphone commentary is off.
+   * @param {MediaStream} stream - Stream that would otherwise be recorded (video and game audio)
+   * @returns {Promise<{stream: MediaStream, commentaryStream: MediaStream|null}>}
+   * @throws {Error} If a mix is already running or the microphone cannot be opened
+   */
+  async start(stream) {
+    if (!this.settingsService.getMicEnabled()) {
+      return { stream, commentaryStream: null };
+    }
+
+    if (this._mix) {
+      throw new Error('Audio mix already active');
+    }
+
+    const deviceId = this.settingsService.getMicDeviceId();
+    const micStream = await this.browserMediaService.getUserMedia({
+      audio: {
+        ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: false
+      },
+      video: false
+    });
+
+    // Another start() may have finished while the microphone was opening
+    if (this._mix) {
+      micStream.getTracks().forEach(track => track.stop());
+      throw new Error('Audio mix already active');
+    }
+
+    const gameTracks = stream.getAudioTracks();
+    const context = this._createAudioContext(gameTracks[0]?.getSettings?.().sampleRate);
+    if (!context) {
+      micStream.getTracks().forEach(track => track.stop());
+      throw new Error('AudioContext unavailable');
+    }
+
+    const separate = this.settingsService.getMicSeparateTrack();
+    let mix = null;
+    try {
+      mix = {
+        context,
+        micStream,
+        nodes: [],
+        gameGain: null,
+        micGain: context.createGain(),
+        destination: context.createMediaStreamDestination(),
+        commentaryDestination: separate ? context.createMediaStreamDestination() : null
+      };
+
+      if (gameTracks.length > 0) {
+        const gameSource = context.createMediaStreamSource(new MediaStream(gameTracks));
+        mix.gameGain = context.createGain();
+        gameSource.connect(mix.gameGain);
+        mix.gameGain.connect(mix.destination);
+        mix.nodes.push(gameSource, mix.gameGain);
+      }
+
+      const micSource = context.createMediaStreamSource(micStream);
+      micSource.connect(mix.micGain);
+      mix.micGain.connect(mix.commentaryDestination || mix.destination);
+      mix.nodes.push(micSource, mix.micGain);
+    } catch (error) {
+      micStream.getTracks().forEach(track => track.stop());
+      context.close().catch((closeError) => {
+        this.logger.warn('AudioContext close failed:', closeError.message);
+      });
+      throw error;
+    }
+
+    this._mix = mix;
+    this._setGains({
+      micGain: this.settingsService.getMicGain(),
+      gameAudioGain: this.settingsService.getGameAudioGain()
+    });
+
+    if (context.state === 'suspended') {
+      try {
+        await context.resume();
+      } catch (error) {
+        this.stop();
+        throw error;
+      }
+    }
+
+    this.logger.info(`Microphone ${separate ? 'recorded to a separate track' : 'mixed into recording'}`, {
+      deviceId: deviceId || 'default',
+      sampleRate: context.sampleRate
+    });
+
+    return {
+      stream: new MediaStream([...stream.getVideoTracks(), ...mix.destination.stream.getAudioTracks()]),
+      commentaryStream: mix.commentaryDestination?.stream ?? null
+    };
+  }
+
+  /**
+   * Release the microphone and tear down the graph
+   */
+  stop() {
+    const mix = this._mix;
+    if (!mix) {
+      return;
+    }
+
+    this._mix = null;
+    mix.nodes.forEach(node => node.disconnect());
+    mix.micStream.getTracks().forEach(track => track.stop());
+    mix.context.close().catch((error) => {
+      this.logger.warn('AudioContext close failed:', error.message);
+    });
+
+    this.logger.info('Microphone released');
+  }
+
+  /**
+   * Dispose service
+   */
+  dispose() {
+    this.stop();
+    if (this._unsubscribeGains) {
+      this._unsubscribeGains();
+      this._unsubscribeGains = null;
+    }
+  }
+
+  /**
+   * Apply gain changes from the settings menu to a running mix
+   * @param {{micGain: number, gameAudioGain: number}} gains - Gains in percent
+   * @private
+   */
+  _handleGainsChanged(gains) {
+    if (this._mix) {
+      this._setGains(gains);
+    }
+  }
+
+  /**
+   * Ramp both gains to new levels without clicks
+   * @param {{micGain: number, gameAudioGain: number}} gains - Gains in percent
+   * @private
+   */
+  _setGains({ micGain, gameAudioGain }) {
+    const { context } = this._mix;
+    const now = context.currentTime;
+
+    this._mix.micGain.gain.setTargetAtTime(micGain / 100, now, AUDIO_MIX.GAIN_SMOOTHING_SECONDS);
+    this._mix.gameGain?.gain.setTargetAtTime(gameAudioGain / 100, now, AUDIO_MIX.GAIN_SMOOTHING_SECONDS);
+  }
+
+  /**
+   * Create the mixing context
+   * @param {number} [sampleRate] - Game audio sample rate
+   * @returns {AudioContext|null}
+   * @private
+   */
+  _createAudioContext(sampleRate) {
+    const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextCtor) {
+      return null;
+    }
+
+    // Match the game audio so it is not resampled before mixing
+    if (sampleRate) {
+      try {
+        return new AudioContextCtor({ sampleRate });
+      } catch (error) {
+        this.logger.debug('AudioContext sampleRate override failed, retrying default:', error);
+      }
+    }
+
+    try {
+      return new AudioContextCtor();
+    } catch (error) {
+      this.logger.error('AudioContext creation failed:', error);
+      return null;
+    }
+  }
+}
+
+export { CaptureAudioMixService };
@@ -0,0 +1,275 @@
+/**
+ * Capture Clip Service
+ *
+ * Captures short animated clips (GIF or APNG) at the device's native resolution.
+ * Frames are grabbed on the main thread and encoded in a worker.
+ * 100% UI-agnostic - emits events instead of calling UI directly
+ *
+ * Events emitted:
+ * - 'capture:clip-started' - Frame capture started
+ * - 'capture:clip-encoding' - Frame capture finished, encoding in the worker
+ * - 'capture:clip-ready' - Clip encoded and ready to save
+ * - 'capture:clip-error' - Clip capture or encoding failed
+ */
+
+import { BaseService } from '@shared/base/service.base.js';
+import { FilenameGenerator } from '@shared/utils/filename-generator.utils.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { CLIP_CAPTURE } from '@shared/config/constants.config.js';
+import {
+  ClipWorkerMessageType,
+  ClipWorkerResponseType,
+  createClipWorkerMessage
+} from '../workers/capture-clip-protocol.config.js';
+
+const CLIP_MIME_TYPES = Object.freeze({
+  gif: 'image/gif',
+  apng: 'image/apng'
+});
+
+class CaptureClipService extends BaseService {
+  /**
+   * @param {Object} dependencies - Injected dependencies
+   * @param {EventBus} dependencies.eventBus - Event publisher for capture events
+   * @param {Function} dependencies.loggerFactory - Logger factory
+   */
+  constructor(dependencies) {
+    super(dependencies, ['eventBus', 'loggerFactory'], 'CaptureClipService');
+
+    this._isCapturing = false;
+    this._isCanceled = false;
+    this._worker = null;
+    this._rejectEncode = null;
+  }
+
+  /**
+   * Check if a clip is being captured or encoded
+   * @returns {boolean} True if a clip is in progress
+   */
+  isCapturing() {
+    return this._isCapturing;
+  }
+
+  /**
+   * Capture and encode a clip
+   * @param {Function} getFrame - Returns the current frame (video, canvas or ImageBitmap; may be async)
+   * @param {Object} options
+   * @param {{width: number, height: number}} options.nativeResolution - Output resolution before upscaling
+   * @param {'gif'|'apng'} [options.format='gif'] - Output format
+   * @param {number} [options.scale=2] - Integer upscale factor (1, 2 or 4)
+   * @param {number} [options.durationSeconds=5] - Clip length
+   * @param {string} [options.baseName] - Name from the filename template
+   * @param {string} [options.game] - Game to file the clip under (per-game folders)
+   * @returns {Promise<Object|null>} Clip result with blob and filename, or null if canceled
+   * @throws {Error} If a clip is already in progress, options are invalid, or encoding fails
+   */
+  async captureClip(getFrame, {
+    nativeResolution,
+    format = CLIP_CAPTURE.DEFAULT_FORMAT,
+    scale = CLIP_CAPTURE.DEFAULT_SCALE,
+    durationSeconds = CLIP_CAPTURE.DEFAULT_DURATION_SECONDS,
+    baseName,
+    game
+  } = {}) {
+    if (this._isCapturing) {
+      this.logger.warn('Clip capture already active');
+      throw new Error('Clip capture already active');
+    }
+
+    if (!CLIP_CAPTURE.FORMATS.includes(format)) {
+      throw new Error(`Unsupported clip format: ${format}`);
+    }
+
+    if (!CLIP_CAPTURE.SCALES.includes(scale)) {
+      throw new Error(`Unsupported clip scale: ${scale}`);
+    }
+
+    const { width, height } = nativeResolution || {};
+    if (!width || !height) {
+      throw new Error('Invalid native resolution');
+    }
+
+    this._isCapturing = true;
+    this._isCanceled = false;
+
+    this.logger.info(`Capturing ${durationSeconds}s ${format} clip at ${width}x${height} (${scale}x)`);
+    this.eventBus.publish(EventChannels.CAPTURE.CLIP_STARTED, { format, scale, durationSeconds });
+
+    try {
+      const frames = await this._captureFrames(getFrame, width, height, durationSeconds * 1000);
+      if (this._isCanceled) {
+        return this._handleCanceled();
+      }
+
+      if (frames.length === 0) {
+        throw new Error('No frames captured');
+      }
+
+      this.eventBus.publish(EventChannels.CAPTURE.CLIP_ENCODING, { format, frameCount: frames.length });
+
+      const buffer = await this._encode({ format, width, height, scale, frames });
+      if (this._isCanceled) {
+        return this._handleCanceled();
+      }
+
+      const blob = new Blob([buffer], { type: CLIP_MIME_TYPES[format] });
+      const filename = FilenameGenerator.forClip(format, baseName || undefined);
+
+      this.logger.info('Clip ready to save:', filename);
+
+      // Emit event
+      const clip = game ? { blob, filename, game } : { blob, filename };
+      this.eventBus.publish(EventChannels.CAPTURE.CLIP_READY, clip);
+
+      return clip;
+    } catch (error) {
+      if (this._isCanceled) {
+        return this._handleCanceled();
+      }
+
+      this.logger.error('Error capturing clip:', error);
+      this.eventBus.publish(EventChannels.CAPTURE.CLIP_ERROR, {
+        error: error.message || 'Clip capture failed'
+      });
+      throw error;
+    } finally {
+      this._isCapturing = false;
+    }
+  }
+
+  /**
+   * Cancel the clip in progress (e.g. stream stopped)
+   */
+  cancel() {
+    if (!this._isCapturing) {
+      return;
+    }
+
+    this._isCanceled = true;
+
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+      this._rejectEncode?.(new Error('Clip capture canceled'));
+      this._rejectEncode = null;
+    }
+  }
+
+  /**
+   * Grab frames at CLIP_CAPTURE.FRAME_RATE for the given duration
+   * Frame delays come from the actual grab times, so slow grabs do not speed up the clip.
+   * @param {Function} getFrame - Frame source provider
+   * @param {number} width - Native width
+   * @param {number} height - Native height
+   * @param {number} durationMs - Capture length
+   * @returns {Promise<Array<{data: ArrayBuffer, delayMs: number}>>} RGBA frames
+   * @private
+   */
+  async _captureFrames(getFrame, width, height, durationMs) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = false;
+
+    const frameInterval = 1000 / CLIP_CAPTURE.FRAME_RATE;
+    const startTime = performance.now();
+    const frames = [];
+    let tick = 0;
+
+    while (!this._isCanceled) {
+      const time = performance.now();
+      if (time - startTime >= durationMs) break;
+
+      try {
+        const source = await getFrame();
+        ctx.drawImage(source, 0, 0, width, height);
+
+        // Release GPU frames as soon as they are drawn
+        if (typeof source?.close === 'function') {
+          source.close();
+        }
+
+        frames.push({ data: ctx.getImageData(0, 0, width, height).data.buffer, time });
+      } catch (error) {
+        this.logger.debug('Clip frame skipped:', error.message);
+      }
+
+      tick++;
+      const wait = Math.max(0, startTime + tick * frameInterval - performance.now());
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    const endTime = startTime + durationMs;
+    return frames.map((frame, i) => ({
+      data: frame.data,
+      delayMs: (frames[i + 1]?.time ?? Math.max(endTime, frame.time + frameInterval)) - frame.time
+    }));
+  }
+
+  /**
+   * Encode frames in the clip encoder worker
+   * @param {import('../workers/capture-clip-protocol.config.js').ClipEncodePayload} payload
+   * @returns {Promise<ArrayBuffer>} Encoded file
+   * @private
+   */
+  _encode(payload) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(
+        new URL('../workers/capture-clip-encoder.worker.js', import.meta.url),
+        { type: 'module' }
+      );
+      this._worker = worker;
+      this._rejectEncode = reject;
+
+      const finish = () => {
+        worker.terminate();
+        this._worker = null;
+        this._rejectEncode = null;
+      };
+
+      worker.onmessage = (event) => {
+        const { type, payload: response } = event.data || {};
+        finish();
+
+        if (type === ClipWorkerResponseType.DONE) {
+          this.logger.debug(`Clip encoded with ${response.colors} colors`);
+          resolve(response.buffer);
+        } else {
+          reject(new Error(response?.message || 'Clip encoding failed'));
+        }
+      };
+
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(event.message || 'Clip encoder failed'));
+      };
+
+      // Frame buffers are transferred, not copied
+      worker.postMessage(
+        createClipWorkerMessage(ClipWorkerMessageType.ENCODE, payload),
+        payload.frames.map(frame => frame.data)
+      );
+    });
+  }
+
+  /**
+   * @returns {null}
+   * @private
+   */
+  _handleCanceled() {
+    this.logger.info('Clip capture canceled');
+    return null;
+  }
+
+  /**
+   * Dispose service and cancel any clip in progress
+   */
+  dispose() {
+    this.cancel();
+    this.logger.info('CaptureClipService disposed');
+  }
+}
+
+export { CaptureClipService };
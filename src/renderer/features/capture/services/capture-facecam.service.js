@@ -0,0 +1,316 @@
+/**
+ * Capture Facecam Service
+ *
+ * Owns the webcam used for the picture-in-picture overlay. The camera is open
+ * only while the overlay is enabled and the capture device is streaming, and
+ * feeds a hidden video element that recordings and screenshots draw from.
+ *
+ * The overlay is composited by whoever owns the output canvas: the GPU recording
+ * loop calls drawOverlay() every frame, and rendered screenshots go through
+ * composite(). The live view shows its own preview from 'capture:facecam-changed'.
+ */
+
+import { BaseService } from '@shared/base/service.base.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { FACECAM } from '@shared/config/constants.config.js';
+
+class CaptureFacecamService extends BaseService {
+  /**
+   * @param {Object} dependencies - Injected dependencies
+   * @param {EventBus} dependencies.eventBus - Event bus for stream and settings changes
+   * @param {Function} dependencies.loggerFactory - Logger factory
+   * @param {SettingsService} dependencies.settingsService - Overlay preferences
+   * @param {BrowserMediaAdapter} dependencies.browserMediaService - Camera enumeration and access
+   */
+  constructor(dependencies) {
+    super(dependencies, ['eventBus', 'loggerFactory', 'settingsService', 'browserMediaService'], 'CaptureFacecamService');
+
+    this._stream = null;
+    this._video = null;
+    this._streamDeviceId = null;
+    this._isStreaming = false;
+    // Bumped on every start/stop so a slow camera open cannot outlive its request
+    this._generation = 0;
+
+    this._subscriptions = [
+      this.eventBus.subscribe(EventChannels.STREAM.STARTED, (data) => this._handleStreamStarted(data)),
+      this.eventBus.subscribe(EventChannels.STREAM.STOPPED, () => this._handleStreamStopped()),
+      this.eventBus.subscribe(EventChannels.SETTINGS.FACECAM_CHANGED, () => this._refresh())
+    ];
+  }
+
+  /**
+   * List webcams for the settings menu
+   * Labels are empty until camera access has been granted once.
+   * @returns {Promise<Array<{deviceId: string, label: string}>>}
+   */
+  async listCameras() {
+    const devices = await this.browserMediaService.enumerateDevices();
+
+    return devices
+      .filter(device => device.kind === 'videoinput')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Camera ${index + 1}`
+      }));
+  }
+
+  /**
+   * Check if the webcam is open and producing frames
+   * @returns {boolean}
+   */
+  isActive() {
+    return this._stream !== null && this._video !== null && this._video.videoWidth > 0;
+  }
+
+  /**
+   * Get the current overlay layout
+   * @returns {{position: string, sizePercent: number, border: string}}
+   */
+  getLayout() {
+    return {
+      position: this.settingsService.getFacecamPosition(),
+      sizePercent: this.settingsService.getFacecamSize(),
+      border: this.settingsService.getFacecamBorder()
+    };
+  }
+
+  /**
+   * Draw the webcam over a frame already drawn to a canvas
+   * The overlay stays inside the given frame rectangle so redrawing the frame
+   * covers it completely on the next pass.
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {{x: number, y: number, width: number, height: number}} frameRect - Area the frame occupies
+   * @returns {boolean} True if the overlay was drawn
+   */
+  drawOverlay(ctx, frameRect) {
+    if (!this.isActive()) {
+      return false;
+    }
+
+    const { position, sizePercent, border } = this.getLayout();
+    const video = this._video;
+    const aspect = video.videoHeight > 0 ? video.videoHeight / video.videoWidth : 3 / 4;
+
+    const width = Math.round(frameRect.width * sizePercent / 100);
+    const height = Math.round(width * aspect);
+    const margin = Math.round(frameRect.width * FACECAM.MARGIN_RATIO);
+    const borderWidth = border === 'none' ? 0 : Math.max(2, Math.round(width * FACECAM.BORDER_RATIO));
+    const inset = margin + borderWidth;
+
+    const x = position.endsWith('left')
+      ? frameRect.x + inset
+      : frameRect.x + frameRect.width - inset - width;
+    const y = position.startsWith('top')
+      ? frameRect.y + inset
+      : frameRect.y + frameRect.height - inset - height;
+
+    ctx.save();
+    // The frame is drawn nearest-neighbour; the camera is downscaled and needs smoothing
+    ctx.imageSmoothingEnabled = true;
+
+    if (border === 'rounded') {
+      const radius = Math.round(width * 0.1);
+      ctx.fillStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.roundRect(x - borderWidth, y - borderWidth, width + borderWidth * 2, height + borderWidth * 2, radius + borderWidth);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.roundRect(x, y, width, height, radius);
+      ctx.clip();
+    } else if (borderWidth > 0) {
+      ctx.fillStyle = border === 'black' ? '#000000' : '#ffffff';
+      ctx.fillRect(x - borderWidth, y - borderWidth, width + borderWidth * 2, height + borderWidth * 2);
+    }
+
+    ctx.drawImage(video, x, y, width, height);
+    ctx.restore();
+
+    return true;
+  }
+
+  /**
+   * Draw a screenshot source with the webcam overlay onto a new canvas
+   * ImageBitmap sources are closed once drawn.
+   * @param {CanvasImageSource} source - Frame to composite onto
+   * @param {{width: number, height: number}} size - Output size
+   * @returns {HTMLCanvasElement}
+   */
+  composite(source, { width, height }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(source, 0, 0, width, height);
+    this.drawOverlay(ctx, { x: 0, y: 0, width, height });
+
+    if (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) {
+      source.close();
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Dispose service
+   */
+  dispose() {
+    this._stopCamera();
+    this._subscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+    this._subscriptions = [];
+  }
+
+  /**
+   * Remember the capture device so automatic selection can skip it
+   * @param {Object} data - Stream started payload
+   * @private
+   */
+  _handleStreamStarted(data) {
+    const track = data?.stream?.getVideoTracks?.()[0];
+    this._streamDeviceId = track?.getSettings?.().deviceId || data?.device?.deviceId || null;
+    this._isStreaming = true;
+    this._refresh();
+  }
+
+  /**
+   * @private
+   */
+  _handleStreamStopped() {
+    this._isStreaming = false;
+    this._streamDeviceId = null;
+    this._refresh();
+  }
+
+  /**
+   * Open, reopen or close the camera to match the settings and stream state
+   * @private
+   */
+  _refresh() {
+    const enabled = this.settingsService.getFacecamEnabled();
+    const deviceId = this.settingsService.getFacecamDeviceId();
+
+    if (!enabled || !this._isStreaming) {
+      // Also cancels a camera that is still opening
+      const wasOpen = this._stream !== null;
+      this._stopCamera();
+      if (wasOpen) {
+        this._publishChanged();
+      }
+      return;
+    }
+
+    // Layout-only changes keep the open camera
+    if (this._stream && (!deviceId || this._stream.deviceId === deviceId)) {
+      this._publishChanged();
+      return;
+    }
+
+    this._stopCamera();
+    const generation = this._generation;
+    this._startCamera(deviceId, generation).catch((error) => {
+      if (generation !== this._generation) {
+        return;
+      }
+      this.logger.warn('Webcam unavailable:', error.message);
+      this.eventBus.publish(EventChannels.CAPTURE.FACECAM_ERROR, { error });
+      this._publishChanged();
+    });
+  }
+
+  /**
+   * @param {string} deviceId - Selected webcam, or '' for automatic
+   * @param {number} generation - Start/stop generation this open belongs to
+   * @private
+   */
+  async _startCamera(deviceId, generation) {
+    const cameraId = deviceId || await this._pickCamera();
+    if (generation !== this._generation) {
+      return;
+    }
+
+    const stream = await this.browserMediaService.getUserMedia({
+      video: {
+        deviceId: { exact: cameraId },
+        width: { ideal: FACECAM.CAPTURE_WIDTH },
+        height: { ideal: FACECAM.CAPTURE_HEIGHT }
+      },
+      audio: false
+    });
+
+    if (generation !== this._generation) {
+      stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+
+    this._stream = { mediaStream: stream, deviceId: cameraId };
+    this._video = video;
+
+    try {
+      await video.play();
+    } catch (error) {
+      // Autoplay of a muted element only fails when it is torn down mid-start
+      this.logger.debug('Webcam playback interrupted:', error.message);
+    }
+
+    this.logger.info('Webcam overlay started', { deviceId: cameraId });
+    this._publishChanged();
+  }
+
+  /**
+   * Pick the first webcam that is not the capture device
+   * @returns {Promise<string>}
+   * @throws {Error} If no other camera is connected
+   * @private
+   */
+  async _pickCamera() {
+    const cameras = await this.listCameras();
+    const camera = cameras.find(({ deviceId }) => deviceId !== this._streamDeviceId);
+    if (!camera) {
+      throw new Error('No webcam found');
+    }
+    return camera.deviceId;
+  }
+
+  /**
+   * @private
+   */
+  _stopCamera() {
+    this._generation++;
+
+    if (!this._stream) {
+      return;
+    }
+
+    this._stream.mediaStream.getTracks().forEach(track => track.stop());
+    if (this._video) {
+      this._video.srcObject = null;
+    }
+    this._stream = null;
+    this._video = null;
+
+    this.logger.info('Webcam overlay stopped');
+  }
+
+  /**
+   * @private
+   */
+  _publishChanged() {
+    this.eventBus.publish(EventChannels.CAPTURE.FACECAM_CHANGED, {
+      stream: this._stream?.mediaStream ?? null,
+      layout: this.getLayout()
+    });
+  }
+}
+
+export { CaptureFacecamService };
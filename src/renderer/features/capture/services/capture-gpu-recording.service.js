@@ -3,6 +3,10 @@
  *
  * Encapsulates GPU-based recording pipeline (canvas, frame loop, scaling).
  * Keeps CaptureOrchestrator thin by owning all GPU recording state.
+ *
+ * The rendered stream is shared between consumers (e.g. 'recording' and
+ * 'replay'); the pipeline keeps running until the last consumer stops.
+ * The webcam overlay, when active, is drawn over every frame.
  */
 
 import { BaseService } from '@shared/base/service.base.js';
@@ -10,13 +14,14 @@ import { EventChannels } from '@renderer/infrastructure/events/event-channels.co
 
 class CaptureGpuRecordingService extends BaseService {
   constructor(dependencies) {
-    super(dependencies, ['gpuRendererService', 'eventBus', 'loggerFactory'], 'CaptureGpuRecordingService');
+    super(dependencies, ['gpuRendererService', 'captureFacecamService', 'eventBus', 'loggerFactory'], 'CaptureGpuRecordingService');
 
     this._recordingCanvas = null;
     this._recordingCtx = null;
     this._recordingStream = null;
     this._recordingFrameId = null;
     this._isRecording = false;
+    this._consumers = new Set();
     this._capturePending = false;
     this._recordingDroppedFrames = 0;
     this._recordingWidth = 0;
@@ -45,18 +50,33 @@ class CaptureGpuRecordingService extends BaseService {
     return this.gpuRendererService.captureFrame();
   }
 
-  async start({ stream, frameRate }) {
+  /**
+   * Start (or join) the GPU recording pipeline
+   * @param {Object} options
+   * @param {MediaStream} options.stream - Source stream (audio tracks are cloned)
+   * @param {number} [options.frameRate] - Capture frame rate
+   * @param {{width: number, height: number}} [options.size] - Output size; defaults to the renderer's target size
+   * @param {string} [options.consumer='recording'] - Consumer sharing the rendered stream
+   * @returns {Promise<MediaStream>} Rendered stream (a consumer joining a running pipeline gets its frame rate and size)
+   */
+  async start({ stream, frameRate, size, consumer = 'recording' }) {
     if (!stream) {
       this.logger.warn('Cannot start GPU recording - no stream provided');
       throw new Error('No stream provided');
     }
 
-    if (this._isRecording) {
+    if (this._consumers.has(consumer)) {
       this.logger.warn('GPU recording already active');
       throw new Error('GPU recording already active');
     }
 
-    const { width: targetWidth, height: targetHeight } = this.gpuRendererService.getTargetDimensions();
+    if (this._isRecording) {
+      this._consumers.add(consumer);
+      this.logger.debug(`GPU recording shared with ${consumer}`);
+      return this._recordingStream;
+    }
+
+    const { width: targetWidth, height: targetHeight } = size || this.gpuRendererService.getTargetDimensions();
 
     this._recordingCanvas = document.createElement('canvas');
     this._recordingCanvas.width = targetWidth;
@@ -74,6 +94,7 @@ class CaptureGpuRecordingService extends BaseService {
     });
 
     this._isRecording = true;
+    this._consumers.add(consumer);
     this._recordingDroppedFrames = 0;
 
     this.logger.info(`Starting GPU recording at ${targetWidth}x${targetHeight}`);
@@ -86,13 +107,22 @@ class CaptureGpuRecordingService extends BaseService {
   /**
    * Stop GPU recording with draining to await in-flight captures.
    * This prevents race conditions with GPU resource cleanup.
+   * @param {string} [consumer] - Release only this consumer; omit to stop for everyone
    * @returns {Promise<void>}
    */
-  async stop() {
+  async stop(consumer) {
     if (!this._isRecording) {
       return;
     }
 
+    if (consumer !== undefined) {
+      this._consumers.delete(consumer);
+      if (this._consumers.size > 0) {
+        this.logger.debug(`GPU recording released by ${consumer}, still in use`);
+        return;
+      }
+    }
+
     // Enter draining state - no new captures will start
     this._isDraining = true;
 
@@ -212,6 +242,13 @@ class CaptureGpuRecordingService extends BaseService {
             0, 0, frame.width, frame.height,
             offsetX, offsetY, drawWidth, drawHeight
           );
+
+          this.captureFacecamService.drawOverlay(this._recordingCtx, {
+            x: offsetX,
+            y: offsetY,
+            width: drawWidth,
+            height: drawHeight
+          });
         } catch (e) {
           this.logger.debug('Frame capture skipped:', e.message);
           this._recordingDroppedFrames++;
@@ -248,6 +285,7 @@ class CaptureGpuRecordingService extends BaseService {
     this._recordingCanvas = null;
     this._recordingCtx = null;
     this._isRecording = false;
+    this._consumers.clear();
     this._capturePending = false;
     this._recordingDroppedFrames = 0;
     this._recordingWidth = 0;
@@ -0,0 +1,509 @@
+/**
+ * Capture Interval Service
+ *
+ * Timer behind the interval capture modes for long sessions:
+ * - screenshots: takes a screenshot every N seconds into a session folder
+ * - timelapse: keeps one frame every N stream frames and encodes them to MP4
+ * - frames: writes every distinct stream frame as a numbered PNG at native
+ *   resolution, with a manifest of how long each one is held
+ *
+ * A session survives the stream going away: suspend() stops the timer and
+ * resume() picks up where it left off, in the same folder or timelapse file.
+ * A frame sequence with a length set stops by itself once it is reached.
+ * 100% UI-agnostic - emits events instead of calling UI directly
+ *
+ * Events emitted:
+ * - 'capture:interval-started' - Session started
+ * - 'capture:interval-suspended' - Waiting for the stream to come back
+ * - 'capture:interval-resumed' - Capturing again
+ * - 'capture:interval-stopped' - Session ended
+ * - 'capture:timelapse-ready' - Timelapse encoded and ready to save
+ * - 'capture:frame-sequence-saved' - Frame sequence and manifest written
+ * - 'capture:interval-error' - Session ended by a failure
+ */
+
+import { BaseService } from '@shared/base/service.base.js';
+import { FilenameGenerator } from '@shared/utils/filename-generator.utils.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { INTERVAL_CAPTURE } from '@shared/config/constants.config.js';
+import { CaptureTimelapseEncoder } from '../recording/capture-timelapse-encoder.class.js';
+import { CaptureFrameSequenceWriter } from '../recording/capture-frame-sequence-writer.class.js';
+
+class CaptureIntervalService extends BaseService {
+  /**
+   * @param {Object} dependencies - Injected dependencies
+   * @param {EventBus} dependencies.eventBus - Event publisher for capture events
+   * @param {Function} dependencies.loggerFactory - Logger factory
+   */
+  constructor(dependencies) {
+    super(dependencies, ['eventBus', 'loggerFactory'], 'CaptureIntervalService');
+
+    this._session = null;
+  }
+
+  /**
+   * Check if an interval session is running or suspended
+   * @returns {boolean}
+   */
+  isActive() {
+    return this._session !== null;
+  }
+
+  /**
+   * Check if the session is waiting for the stream
+   * @returns {boolean}
+   */
+  isSuspended() {
+    return this._session?.suspended ?? false;
+  }
+
+  /**
+   * Start an interval session
+   * @param {Object} options
+   * @param {'screenshots'|'timelapse'|'frames'} options.mode - Interval mode
+   * @param {number} [options.intervalSeconds] - Seconds between screenshots
+   * @param {number} [options.frameStep] - Stream frames per timelapse frame
+   * @param {number} [options.durationSeconds] - Frame sequence length, 0 to run until stopped
+   * @param {number} [options.frameRate] - Stream frame rate, for frame sequence timings
+   * @param {{width: number, height: number}} [options.nativeResolution] - Timelapse size before upscaling, frame sequence size
+   * @param {Function} [options.takeScreenshot] - Saves one screenshot: ({folder, filename}) => Promise
+   * @param {Function} [options.saveFile] - Saves one frame sequence file: ({blob, folder, filename}) => Promise, rejecting on failure
+   * @param {Function} [options.getFrame] - Returns the current timelapse frame (may be async)
+   * @param {Function} [options.getVideo] - Returns the stream video element that paces the timelapse and frame sequence
+   * @param {string} [options.baseName] - Timelapse name from the filename template
+   * @param {string} [options.game] - Game to file the timelapse under (per-game folders)
+   * @returns {Promise<void>}
+   * @throws {Error} If a session is already active or the mode cannot run
+   */
+  async start({
+    mode,
+    intervalSeconds = INTERVAL_CAPTURE.DEFAULT_INTERVAL_SECONDS,
+    frameStep = INTERVAL_CAPTURE.DEFAULT_FRAME_STEP,
+    durationSeconds = INTERVAL_CAPTURE.DEFAULT_SEQUENCE_SECONDS,
+    frameRate = 60,
+    nativeResolution,
+    takeScreenshot,
+    saveFile,
+    getFrame,
+    getVideo,
+    baseName,
+    game
+  } = {}) {
+    if (this._session) {
+      throw new Error('Interval capture already active');
+    }
+
+    if (!INTERVAL_CAPTURE.MODES.includes(mode)) {
+      throw new Error(`Unsupported interval mode: ${mode}`);
+    }
+
+    const session = {
+      mode,
+      intervalSeconds,
+      frameStep,
+      durationSeconds,
+      takeScreenshot,
+      getFrame,
+      getVideo,
+      count: 0,
+      suspended: false,
+      pending: null,
+      timer: null,
+      frameVideo: null,
+      frameHandle: null,
+      streamFrames: 0,
+      presentedFrames: null,
+      maxFrames: Infinity,
+      folder: null,
+      encoder: null,
+      writer: null,
+      filename: null,
+      game: game || null
+    };
+
+    if (mode === 'timelapse') {
+      const { width, height } = nativeResolution || {};
+      if (!width || !height) {
+        throw new Error('Invalid native resolution');
+      }
+
+      session.encoder = await CaptureTimelapseEncoder.create({
+        width: width * INTERVAL_CAPTURE.TIMELAPSE_SCALE,
+        height: height * INTERVAL_CAPTURE.TIMELAPSE_SCALE,
+        frameRate: INTERVAL_CAPTURE.TIMELAPSE_FRAME_RATE,
+        logger: this.logger
+      });
+      session.filename = FilenameGenerator.forTimelapse(baseName || undefined);
+    } else if (mode === 'frames') {
+      const { width, height } = nativeResolution || {};
+      if (!width || !height) {
+        throw new Error('Invalid native resolution');
+      }
+
+      session.folder = FilenameGenerator.forFrameSequence();
+      session.maxFrames = durationSeconds > 0 ? Math.round(durationSeconds * frameRate) : Infinity;
+      session.writer = new CaptureFrameSequenceWriter({
+        width,
+        height,
+        frameRate,
+        saveFile: (blob, filename) => saveFile({ blob, folder: session.folder, filename }),
+        logger: this.logger
+      });
+    } else {
+      session.folder = FilenameGenerator.forIntervalSession();
+    }
+
+    // Another start() may have won while the encoder was being created
+    if (this._session) {
+      session.encoder?.close();
+      throw new Error('Interval capture already active');
+    }
+
+    this._session = session;
+
+    try {
+      this._arm(session);
+    } catch (error) {
+      this._session = null;
+      session.encoder?.close();
+      session.writer?.close();
+      throw error;
+    }
+
+    this.logger.info(this._describeStart(session));
+    this.eventBus.publish(EventChannels.CAPTURE.INTERVAL_STARTED, {
+      mode,
+      intervalSeconds,
+      frameStep,
+      durationSeconds,
+      folder: session.folder
+    });
+
+    // First screenshot right away so the session is visibly working
+    if (mode === 'screenshots') {
+      this._captureShot(session);
+    }
+  }
+
+  /**
+   * Stop capturing until resume() (stream stopped or device disconnected)
+   */
+  suspend() {
+    const session = this._session;
+    if (!session || session.suspended) {
+      return;
+    }
+
+    session.suspended = true;
+    this._disarm(session);
+
+    this.logger.info('Interval capture suspended');
+    this.eventBus.publish(EventChannels.CAPTURE.INTERVAL_SUSPENDED, { mode: session.mode });
+  }
+
+  /**
+   * Continue a suspended session (stream started again)
+   */
+  resume() {
+    const session = this._session;
+    if (!session?.suspended) {
+      return;
+    }
+
+    try {
+      this._arm(session);
+    } catch (error) {
+      this._fail(session, error);
+      return;
+    }
+
+    session.suspended = false;
+
+    this.logger.info('Interval capture resumed');
+    this.eventBus.publish(EventChannels.CAPTURE.INTERVAL_RESUMED, { mode: session.mode });
+  }
+
+  /**
+   * End the session
+   * A timelapse is encoded and published as capture:timelapse-ready; a frame
+   * sequence gets its manifest and is published as capture:frame-sequence-saved.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    const session = this._session;
+    if (!session) {
+      return;
+    }
+
+    this._session = null;
+    this._disarm(session);
+    await session.pending;
+
+    this.logger.info(`Interval capture stopped after ${session.count} ${session.mode === 'screenshots' ? 'screenshots' : 'frames'}`);
+    this.eventBus.publish(EventChannels.CAPTURE.INTERVAL_STOPPED, { mode: session.mode, count: session.count });
+
+    if (session.mode === 'frames') {
+      await this._finishFrameSequence(session);
+      return;
+    }
+
+    if (session.mode !== 'timelapse') {
+      return;
+    }
+
+    if (session.count === 0) {
+      session.encoder.close();
+      this.logger.warn('Timelapse stopped before any frames were captured');
+      return;
+    }
+
+    try {
+      const blob = await session.encoder.finish();
+      this.logger.info('Timelapse ready to save:', session.filename);
+      this.eventBus.publish(EventChannels.CAPTURE.TIMELAPSE_READY, session.game
+        ? { blob, filename: session.filename, game: session.game }
+        : { blob, filename: session.filename });
+    } catch (error) {
+      this.logger.error('Error finishing timelapse:', error);
+      this.eventBus.publish(EventChannels.CAPTURE.INTERVAL_ERROR, { error: error.message || 'Timelapse failed' });
+    }
+  }
+
+  /**
+   * Start the screenshot timer or the timelapse frame clock
+   * @param {Object} session
+   * @private
+   */
+  _arm(session) {
+    if (session.mode === 'screenshots') {
+      session.timer = setInterval(() => this._captureShot(session), session.intervalSeconds * 1000);
+      return;
+    }
+
+    const video = session.getVideo?.();
+    if (!video?.requestVideoFrameCallback) {
+      throw new Error('No stream frames to capture');
+    }
+
+    if (session.mode === 'frames') {
+      this._armFrameSequence(session, video);
+      return;
+    }
+
+    // Count decoded stream frames and keep every frameStep-th one
+    const onFrame = () => {
+      if (this._session !== session || session.frameVideo !== video) return;
+
+      session.frameHandle = video.requestVideoFrameCallback(onFrame);
+      session.streamFrames++;
+      if (session.streamFrames % session.frameStep === 0) {
+        this._captureTimelapseFrame(session);
+      }
+    };
+
+    session.frameVideo = video;
+    session.frameHandle = video.requestVideoFrameCallback(onFrame);
+  }
+
+  /**
+   * Write every stream frame the video presents into the frame sequence
+   * Frames the page missed between callbacks are counted from presentedFrames,
+   * so holds in the manifest stay true to the stream.
+   * @param {Object} session
+   * @param {HTMLVideoElement} video - Raw stream video
+   * @private
+   */
+  _armFrameSequence(session, video) {
+    // A new video element after a resume counts its frames from zero
+    session.presentedFrames = null;
+
+    const onFrame = (now, metadata) => {
+      if (this._session !== session || session.frameVideo !== video) return;
+
+      const presented = metadata?.presentedFrames;
+      const streamFrames = Number.isFinite(presented) && session.presentedFrames !== null
+        ? Math.max(1, presented - session.presentedFrames)
+        : 1;
+      session.presentedFrames = Number.isFinite(presented) ? presented : null;
+
+      try {
+        session.writer.addFrame(video, Math.min(streamFrames, session.maxFrames - session.count));
+        session.count = session.writer.frameCount;
+      } catch (error) {
+        // A frame could not be written - the sequence would have a gap
+        this._fail(session, error);
+        return;
+      }
+
+      if (session.count >= session.maxFrames) {
+        this.stop();
+        return;
+      }
+
+      session.frameHandle = video.requestVideoFrameCallback(onFrame);
+    };
+
+    session.frameVideo = video;
+    session.frameHandle = video.requestVideoFrameCallback(onFrame);
+  }
+
+  /**
+   * Wait for the frame sequence to be written and add its manifest
+   * @param {Object} session
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _finishFrameSequence(session) {
+    if (session.writer.uniqueFrameCount === 0) {
+      session.writer.close();
+      this.logger.warn('Frame sequence stopped before any frames were captured');
+      return;
+    }
+
+    try {
+      const { frameCount, uniqueFrameCount } = await session.writer.finish();
+      this.logger.info(`Frame sequence saved: ${uniqueFrameCount} unique of ${frameCount} frames in ${session.folder}`);
+      this.eventBus.publish(EventChannels.CAPTURE.FRAME_SEQUENCE_SAVED, {
+        folder: session.folder,
+        frameCount,
+        uniqueFrameCount
+      });
+    } catch (error) {
+      this.logger.error('Error finishing frame sequence:', error);
+      this.eventBus.publish(EventChannels.CAPTURE.INTERVAL_ERROR, { error: error.message || 'Frame sequence failed' });
+    }
+  }
+
+  /**
+   * Log line for a session that just started
+   * @param {Object} session
+   * @returns {string}
+   * @private
+   */
+  _describeStart(session) {
+    if (session.mode === 'timelapse') {
+      return `Timelapse started (1 frame every ${session.frameStep} frames)`;
+    }
+    if (session.mode === 'frames') {
+      const length = session.durationSeconds > 0 ? `${session.durationSeconds}s` : 'until stopped';
+      return `Frame sequence started (${length} into ${session.folder})`;
+    }
+    return `Interval screenshots started (every ${session.intervalSeconds}s into ${session.folder})`;
+  }
+
+  /**
+   * Stop the screenshot timer and the frame clock
+   * @param {Object} session
+   * @private
+   */
+  _disarm(session) {
+    if (session.timer) {
+      clearInterval(session.timer);
+      session.timer = null;
+    }
+
+    if (session.frameVideo) {
+      session.frameVideo.cancelVideoFrameCallback?.(session.frameHandle);
+      session.frameVideo = null;
+      session.frameHandle = null;
+    }
+  }
+
+  /**
+   * Take the next screenshot, skipping the tick if the last one is still saving
+   * @param {Object} session
+   * @private
+   */
+  _captureShot(session) {
+    if (session.pending) {
+      this.logger.debug('Interval screenshot skipped - previous one still saving');
+      return;
+    }
+
+    const filename = FilenameGenerator.forIntervalShot(session.count + 1);
+
+    session.pending = (async () => {
+      try {
+        await session.takeScreenshot({ folder: session.folder, filename });
+        session.count++;
+      } catch (error) {
+        this.logger.warn('Interval screenshot failed:', error.message);
+      } finally {
+        session.pending = null;
+      }
+    })();
+  }
+
+  /**
+   * Grab the current frame into the timelapse
+   * @param {Object} session
+   * @private
+   */
+  _captureTimelapseFrame(session) {
+    if (session.pending) {
+      return;
+    }
+
+    session.pending = (async () => {
+      let source;
+      try {
+        source = await session.getFrame();
+      } catch (error) {
+        this.logger.debug('Timelapse frame skipped:', error.message);
+        session.pending = null;
+        return;
+      }
+
+      try {
+        if (this._session === session && session.encoder.addFrame(source)) {
+          session.count++;
+        }
+      } catch (error) {
+        // The encoder failed - nothing more can be added to this file
+        this._fail(session, error);
+      } finally {
+        // Release GPU frames as soon as they are drawn
+        if (typeof source?.close === 'function') {
+          source.close();
+        }
+        session.pending = null;
+      }
+    })();
+  }
+
+  /**
+   * End the session after a failure, discarding what was captured
+   * @param {Object} session
+   * @param {Error} error
+   * @private
+   */
+  _fail(session, error) {
+    if (this._session !== session) {
+      return;
+    }
+
+    this._session = null;
+    this._disarm(session);
+    session.encoder?.close();
+    session.writer?.close();
+
+    this.logger.error('Interval capture failed:', error);
+    this.eventBus.publish(EventChannels.CAPTURE.INTERVAL_ERROR, { error: error.message || 'Interval capture failed' });
+  }
+
+  /**
+   * Dispose service and discard any session in progress
+   */
+  dispose() {
+    const session = this._session;
+    if (session) {
+      this._session = null;
+      this._disarm(session);
+      session.encoder?.close();
+      session.writer?.close();
+    }
+    this.logger.info('CaptureIntervalService disposed');
+  }
+}
+
+export { CaptureIntervalService };
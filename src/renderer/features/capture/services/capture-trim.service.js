@@ -0,0 +1,198 @@
+/**
+ * Capture Trim Service
+ *
+ * Cuts reviewed recordings down to the in and out points chosen in the trim editor.
+ * WebM is cut without re-encoding (see webm-trim.utils), starting on the keyframe
+ * at or before the in point. MP4, and WebM that cannot be cut that way, is
+ * re-recorded by playing the range back in a hidden video element, which takes as
+ * long as the range itself.
+ */
+
+import { BaseService } from '@shared/base/service.base.js';
+import { trimWebm } from '@shared/utils/webm-trim.utils.js';
+import { CaptureMp4Recorder } from '../recording/capture-mp4-recorder.class.js';
+
+const RECORDER_TIMESLICE_MS = 1000;
+
+// How often playback is checked against the out point while re-encoding
+const PLAYBACK_POLL_MS = 20;
+
+const WEBM_VIDEO_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const WEBM_AUDIO_MIME_TYPE = 'audio/webm;codecs=opus';
+
+/**
+ * Wait for a media element event, failing if the element reports an error first
+ * @param {HTMLMediaElement} element
+ * @param {string} type - Event to wait for
+ * @returns {Promise<void>}
+ * @private
+ */
+function waitForMediaEvent(element, type) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      element.removeEventListener(type, onEvent);
+      element.removeEventListener('error', onError);
+    };
+    const onEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = () => {
+      cleanup();
+      reject(new Error('Recording could not be played back'));
+    };
+
+    element.addEventListener(type, onEvent);
+    element.addEventListener('error', onError);
+  });
+}
+
+class CaptureTrimService extends BaseService {
+  /**
+   * @param {Object} dependencies - Injected dependencies
+   * @param {Function} dependencies.loggerFactory - Logger factory
+   */
+  constructor(dependencies) {
+    super(dependencies, ['loggerFactory'], 'CaptureTrimService');
+  }
+
+  /**
+   * Check if a recording can be cut without re-encoding
+   * @param {Blob} blob - Recording
+   * @returns {boolean}
+   */
+  canTrimLosslessly(blob) {
+    return /^(video|audio)\/webm/.test(blob.type);
+  }
+
+  /**
+   * Trim a recording to a time range
+   * @param {Blob} blob - Recording (video, or audio-only commentary)
+   * @param {Object} range
+   * @param {number} range.startMs - In point
+   * @param {number} range.endMs - Out point
+   * @returns {Promise<{blob: Blob, startMs: number, endMs: number, reencoded: boolean}>} Trimmed
+   *   recording and the source range it covers (a lossless cut can start before the in point)
+   * @throws {Error} If the recording can be neither cut nor played back
+   */
+  async trim(blob, { startMs, endMs }) {
+    if (this.canTrimLosslessly(blob)) {
+      try {
+        const cut = trimWebm(new Uint8Array(await blob.arrayBuffer()), { startMs, endMs });
+        this.logger.info(`Recording trimmed without re-encoding (${Math.round(cut.startMs)}-${Math.round(cut.endMs)} ms)`);
+        return { blob: new Blob(cut.parts, { type: blob.type }), startMs: cut.startMs, endMs: cut.endMs, reencoded: false };
+      } catch (error) {
+        this.logger.warn('Lossless trim not possible, re-encoding:', error.message);
+      }
+    }
+
+    const trimmed = await this._reencode(blob, { startMs, endMs });
+    this.logger.info(`Recording trimmed by re-encoding (${Math.round(startMs)}-${Math.round(endMs)} ms)`);
+    return { blob: trimmed, startMs, endMs, reencoded: true };
+  }
+
+  /**
+   * Re-record a range of a recording by playing it back
+   * Sound goes through an AudioContext into the recording only, so nothing is heard.
+   * @param {Blob} blob - Recording
+   * @param {{startMs: number, endMs: number}} range
+   * @returns {Promise<Blob>} Recording of the range, in the same container
+   * @private
+   */
+  async _reencode(blob, { startMs, endMs }) {
+    const url = URL.createObjectURL(blob);
+    const video = document.createElement('video');
+    video.preload = 'auto';
+    video.playsInline = true;
+
+    let audioContext = null;
+    let stream = null;
+    let recorder = null;
+    let poll = null;
+
+    try {
+      video.src = url;
+      await waitForMediaEvent(video, 'loadedmetadata');
+      video.currentTime = startMs / 1000;
+      await waitForMediaEvent(video, 'seeked');
+
+      audioContext = new window.AudioContext();
+      const destination = audioContext.createMediaStreamDestination();
+      audioContext.createMediaElementSource(video).connect(destination);
+
+      const videoTracks = blob.type.startsWith('audio/') ? [] : video.captureStream().getVideoTracks();
+      stream = new MediaStream([...videoTracks, ...destination.stream.getAudioTracks()]);
+      recorder = await this._createRecorder(stream, blob.type);
+
+      const chunks = [];
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+          chunks.push(event.data);
+        }
+      };
+      const stopped = new Promise((resolve, reject) => {
+        recorder.onstop = resolve;
+        recorder.onerror = (event) => reject(event.error || new Error('Re-encoding failed'));
+      });
+
+      recorder.start(RECORDER_TIMESLICE_MS);
+      await video.play();
+
+      await new Promise((resolve) => {
+        const finish = () => {
+          clearInterval(poll);
+          poll = null;
+          video.removeEventListener('ended', finish);
+          resolve();
+        };
+        video.addEventListener('ended', finish);
+        poll = setInterval(() => {
+          if (video.currentTime * 1000 >= endMs) {
+            finish();
+          }
+        }, PLAYBACK_POLL_MS);
+      });
+
+      video.pause();
+      recorder.stop();
+      await stopped;
+
+      return new Blob(chunks, { type: blob.type });
+    } finally {
+      if (poll) {
+        clearInterval(poll);
+      }
+      // Still running if playback failed; its data is not wanted
+      if (recorder && recorder.state !== 'inactive') {
+        recorder.ondataavailable = null;
+        recorder.onstop = null;
+        recorder.onerror = null;
+        recorder.stop();
+      }
+      stream?.getTracks().forEach(track => track.stop());
+      video.pause();
+      video.removeAttribute('src');
+      URL.revokeObjectURL(url);
+      audioContext?.close().catch((error) => this.logger.debug('AudioContext close failed:', error.message));
+    }
+  }
+
+  /**
+   * @param {MediaStream} stream - Playback stream
+   * @param {string} type - MIME type of the recording being re-encoded
+   * @returns {Promise<MediaRecorder|CaptureMp4Recorder>}
+   * @private
+   */
+  async _createRecorder(stream, type) {
+    if (type.startsWith('video/mp4')) {
+      return CaptureMp4Recorder.create(stream, { logger: this.logger });
+    }
+
+    const mimeType = type.startsWith('audio/')
+      ? WEBM_AUDIO_MIME_TYPE
+      : WEBM_VIDEO_MIME_TYPES.find(codec => MediaRecorder.isTypeSupported(codec)) || 'video/webm';
+    return new MediaRecorder(stream, { mimeType });
+  }
+}
+
+export { CaptureTrimService };
@@ -5,14 +5,28 @@
  * Thin coordinator - delegates to CaptureService, does not contain business logic
  *
  * Responsibilities:
- * - Coordinate screenshot capture
- * - Coordinate recording start/stop
+ * - Coordinate screenshot capture (saved, or copied to the clipboard), adding the webcam overlay when enabled
+ * - Coordinate recording start/stop, mixing in microphone commentary when enabled
+ *   and recording the raw device feed next to rendered recordings (dual-track)
+ * - Hold recordings for review in the trim editor, then trim and save or discard them
+ * - Drop markers into recordings and save them as chapter files next to the recording
+ * - Coordinate GIF/APNG clip capture
+ * - Coordinate interval screenshots and timelapses, pausing them while the stream is down
+ * - Keep the instant replay buffer running while streaming (when enabled)
  * - Handle capture events
- * - Manage file saving
+ * - Name captures from the filename template and file them under the tagged game
+ * - Manage file saving and dragging saved captures out of the window
+ * - Offer recovery of recordings left unfinished by a crash
  */
 
 import { BaseOrchestrator } from '@shared/base/orchestrator.base.js';
 import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { FilenameGenerator } from '@shared/utils/filename-generator.utils.js';
+import { RECORDING_MARKERS } from '@shared/config/constants.config.js';
+import { createChaptersVtt, createMarkersJson, trimMarkers } from '@shared/utils/recording-markers.utils.js';
+
+// Used when the device does not report its native resolution
+const DEFAULT_NATIVE_RESOLUTION = Object.freeze({ width: 160, height: 144 });
 
 export class CaptureOrchestrator extends BaseOrchestrator {
   constructor(dependencies) {
@@ -20,16 +34,31 @@ export class CaptureOrchestrator extends BaseOrchestrator {
       dependencies,
       [
         'captureService',
+        'captureClipService',
+        'captureIntervalService',
+        'captureAudioMixService',
+        'captureFacecamService',
+        'captureTrimService',
         'appState',
         'streamViewService',
         'gpuRendererService',
         'gpuRecordingService',
         'canvasRenderer',
+        'captureStorageAdapter',
+        'settingsService',
+        'notesService',
         'eventBus',
         'loggerFactory'
       ],
       'CaptureOrchestrator'
     );
+
+    // Serializes replay buffer start/stop so overlapping events cannot race
+    this._replayTransition = Promise.resolve();
+
+    // Recordings waiting in the trim editor, by review ID
+    this._reviews = new Map();
+    this._nextReviewId = 1;
   }
 
   /**
@@ -38,12 +67,41 @@ export class CaptureOrchestrator extends BaseOrchestrator {
   async onInitialize() {
     this.subscribeWithCleanup({
       [EventChannels.CAPTURE.RECORDING_ERROR]: (data) => this._handleRecordingError(data),
+      // Persist finished captures to the capture folder
+      [EventChannels.CAPTURE.SCREENSHOT_READY]: (data) => this._saveCapture('screenshot', data),
+      [EventChannels.CAPTURE.RECORDING_READY]: (data) => data.review
+        ? this._holdForReview(data)
+        : this._saveCapture('recording', data),
+      [EventChannels.CAPTURE.REPLAY_READY]: (data) => this._saveCapture('replay', data),
+      [EventChannels.CAPTURE.CLIP_READY]: (data) => this._saveCapture('clip', data),
+      [EventChannels.CAPTURE.TIMELAPSE_READY]: (data) => this._saveCapture('timelapse', data),
+      [EventChannels.CAPTURE.COMMENTARY_READY]: (data) => this._saveCapture('commentary', data),
+      [EventChannels.CAPTURE.RAW_TRACK_READY]: (data) => this._saveCapture('raw-track', data),
+      [EventChannels.CAPTURE.REPLAY_ERROR]: () => this._handleReplayError(),
+      // Replay buffer follows the stream and the active capture source
+      [EventChannels.STREAM.STARTED]: () => this._handleStreamStarted(),
+      [EventChannels.RENDER.PIPELINE_READY]: () => this._restartReplayBuffer(),
+      [EventChannels.PERFORMANCE.RENDER_MODE_CHANGED]: () => this._restartReplayBuffer(),
+      [EventChannels.SETTINGS.REPLAY_BUFFER_CHANGED]: () => this._restartReplayBuffer(),
       // Stop recording when stream stops to prevent orphaned recording loop
       [EventChannels.STREAM.STOPPED]: () => this._handleStreamStopped(),
+      // Interval capture waits for a reconnected device instead of ending
+      [EventChannels.DEVICE.DISCONNECTED_DURING_SESSION]: () => this.captureIntervalService.suspend(),
       // UI command events - decoupled from UISetupOrchestrator
       [EventChannels.UI.SCREENSHOT_REQUESTED]: () => this.takeScreenshot(),
-      [EventChannels.UI.RECORDING_TOGGLE_REQUESTED]: () => this.toggleRecording()
+      [EventChannels.UI.SCREENSHOT_COPY_REQUESTED]: () => this.copyScreenshot(),
+      [EventChannels.UI.CAPTURE_DRAG_REQUESTED]: (data) => this.startCaptureDrag(data),
+      [EventChannels.UI.RECORDING_TOGGLE_REQUESTED]: () => this.toggleRecording(),
+      [EventChannels.UI.RECORDING_PAUSE_TOGGLE_REQUESTED]: () => this.toggleRecordingPause(),
+      [EventChannels.UI.RECORDING_REVIEW_FINISHED]: (data) => this._finishReview(data),
+      [EventChannels.UI.RECORDING_MARKER_REQUESTED]: (data) => this.addRecordingMarker(data?.label),
+      [EventChannels.UI.REPLAY_SAVE_REQUESTED]: () => this.saveReplay(),
+      [EventChannels.UI.CLIP_CAPTURE_REQUESTED]: () => this.captureClip(),
+      [EventChannels.UI.INTERVAL_CAPTURE_TOGGLE_REQUESTED]: () => this.toggleIntervalCapture()
     });
+
+    // Not awaited - the recovery prompt must not hold up startup
+    this._recoverUnfinishedRecordings();
   }
 
   /**
@@ -61,8 +119,15 @@ export class CaptureOrchestrator extends BaseOrchestrator {
     this.eventBus.publish(EventChannels.CAPTURE.SCREENSHOT_TRIGGERED);
 
     try {
-      const source = await this._getCaptureSource();
-      await this.captureService.takeScreenshot(source);
+      const { source, size } = await this._getScreenshotSource();
+      const metadata = this._getCaptureMetadata();
+      const { baseName, ...filing } = this._getCaptureNaming('screenshot', metadata);
+      await this.captureService.takeScreenshot(source, {
+        size,
+        metadata,
+        filename: FilenameGenerator.forScreenshot(baseName),
+        ...filing
+      });
     } catch (error) {
       this.logger.error('Failed to take screenshot:', error);
       this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Error taking screenshot', type: 'error' });
@@ -70,26 +135,93 @@ export class CaptureOrchestrator extends BaseOrchestrator {
   }
 
   /**
-   * Determine capture source based on active rendering mode
-   * - GPU rendering: captures from GPU worker (includes shader effects)
-   * - Canvas2D rendering: captures from streamCanvas (includes effects)
-   * - No rendering pipeline: captures from streamVideo (raw)
-   * @returns {Promise<HTMLCanvasElement|HTMLVideoElement|ImageBitmap>}
+   * Copy the current frame to the system clipboard without saving it
+   */
+  async copyScreenshot() {
+    if (!this.appState.isStreaming) {
+      this.logger.warn('Cannot copy screenshot - not streaming');
+      return;
+    }
+
+    this.eventBus.publish(EventChannels.UI.SHUTTER_FLASH);
+    this.eventBus.publish(EventChannels.CAPTURE.SCREENSHOT_TRIGGERED);
+
+    try {
+      const { source, size } = await this._getScreenshotSource();
+      const blob = await this.captureService.renderScreenshot(source, size);
+      const result = await this.captureStorageAdapter.copyImage(blob);
+
+      if (!result?.success) {
+        throw new Error(result?.error || 'Unknown error');
+      }
+
+      this.eventBus.publish(EventChannels.CAPTURE.SCREENSHOT_COPIED);
+    } catch (error) {
+      this.logger.error('Failed to copy screenshot:', error);
+      this.eventBus.publish(EventChannels.CAPTURE.COPY_FAILED, { error: error.message });
+    }
+  }
+
+  /**
+   * Drag a saved capture out of the window (into chat, an editor, etc.)
+   * @param {Object} data
+   * @param {string} data.filePath - Path the capture was saved to
+   */
+  async startCaptureDrag({ filePath } = {}) {
+    if (!filePath) {
+      return;
+    }
+
+    const result = await this.captureStorageAdapter.startDrag(filePath);
+    if (!result?.success) {
+      this.logger.warn('Failed to drag capture:', result?.error);
+    }
+  }
+
+  /**
+   * Determine screenshot source and output size from the screenshot settings
+   * - native: raw device pixels at native resolution
+   * - scaled: raw device pixels, nearest-neighbour upscaled by the chosen factor
+   * - rendered: the active pipeline's output at native size times the chosen factor
+   *   - GPU rendering: renders an offscreen frame at that size (includes shader effects)
+   *   - Canvas2D rendering: captures from streamCanvas (includes effects)
+   *   - No rendering pipeline: falls back to the upscaled video
+   * The webcam overlay is added to scaled and rendered screenshots; native
+   * screenshots stay an exact copy of the device output.
+   * @returns {Promise<{source: HTMLCanvasElement|HTMLVideoElement|ImageBitmap, size: {width: number, height: number}}>}
    * @private
    */
-  async _getCaptureSource() {
-    if (this.gpuRendererService.isActive()) {
-      this.logger.debug('Capturing screenshot from GPU renderer');
-      return this.gpuRendererService.captureFrame();
+  async _getScreenshotSource() {
+    const mode = this.settingsService.getScreenshotMode();
+    const scale = mode === 'native' ? 1 : this.settingsService.getScreenshotScale();
+    const nativeResolution = this.appState.currentCapabilities?.nativeResolution || DEFAULT_NATIVE_RESOLUTION;
+    const size = {
+      width: nativeResolution.width * scale,
+      height: nativeResolution.height * scale
+    };
+
+    let source = null;
+
+    if (mode === 'rendered') {
+      if (this.gpuRendererService.isActive()) {
+        this.logger.debug(`Rendering ${scale}x screenshot from GPU renderer`);
+        source = await this.gpuRendererService.renderSnapshot(scale);
+      } else if (this.canvasRenderer.isActive()) {
+        this.logger.debug('Capturing screenshot from Canvas2D renderer');
+        source = this.streamViewService.getCanvas();
+      }
     }
 
-    if (this.canvasRenderer.isActive()) {
-      this.logger.debug('Capturing screenshot from Canvas2D renderer');
-      return this.streamViewService.getCanvas();
+    if (!source) {
+      this.logger.debug(`Capturing ${mode} screenshot from video element`);
+      source = this.streamViewService.getVideo();
+    }
+
+    if (mode !== 'native' && this.captureFacecamService.isActive()) {
+      source = this.captureFacecamService.composite(source, size);
     }
 
-    this.logger.debug('Capturing screenshot from video element (no rendering pipeline)');
-    return this.streamViewService.getVideo();
+    return { source, size };
   }
 
   /**
@@ -116,26 +248,317 @@ export class CaptureOrchestrator extends BaseOrchestrator {
       if (this.gpuRendererService.isActive()) {
         await this._startGpuRecording();
       } else {
-        await this.captureService.startRecording(stream);
+        await this._startRecordingFrom(stream);
       }
     } catch (error) {
+      this.captureAudioMixService.stop();
       this.logger.error('Failed to start recording:', error);
       this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Error with recording', type: 'error' });
     }
   }
 
+  /**
+   * Pause or resume the active recording
+   * Ignored when nothing is being recorded.
+   */
+  toggleRecordingPause() {
+    if (!this.captureService.getRecordingState()) {
+      this.logger.debug('Pause ignored - not recording');
+      return;
+    }
+
+    try {
+      this.captureService.togglePause();
+    } catch (error) {
+      this.logger.error('Failed to pause/resume recording:', error);
+      this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+        message: `Pause failed: ${error.message}`,
+        type: 'error'
+      });
+    }
+  }
+
+  /**
+   * Drop a marker into the active recording
+   * @param {string} [label] - Marker label; numbered when omitted
+   */
+  addRecordingMarker(label) {
+    if (!this.captureService.getRecordingState()) {
+      this.logger.debug('Marker ignored - not recording');
+      this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+        message: 'Start a recording to add markers',
+        type: 'warning'
+      });
+      return;
+    }
+
+    try {
+      this.captureService.addMarker(label);
+    } catch (error) {
+      this.logger.error('Failed to add marker:', error);
+      this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+        message: `Marker failed: ${error.message}`,
+        type: 'error'
+      });
+    }
+  }
+
+  /**
+   * Save the last N seconds from the replay buffer
+   */
+  async saveReplay() {
+    if (!this.captureService.isReplayBufferActive()) {
+      this.logger.warn('Cannot save replay - replay buffer not running');
+      const message = this.appState.isStreaming
+        ? 'Instant replay is off - enable it in Settings'
+        : 'Cannot save replay - not streaming';
+      this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message, type: 'warning' });
+      return;
+    }
+
+    this.eventBus.publish(EventChannels.CAPTURE.REPLAY_TRIGGERED);
+
+    try {
+      const metadata = this._getCaptureMetadata();
+      await this.captureService.saveReplay({ metadata, ...this._getCaptureNaming('replay', metadata) });
+    } catch (error) {
+      this.logger.error('Failed to save replay:', error);
+      this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Error saving replay', type: 'error' });
+    }
+  }
+
+  /**
+   * Capture a short GIF/APNG clip at the device's native resolution
+   * Format, upscale factor and length come from settings.
+   */
+  async captureClip() {
+    if (!this.appState.isStreaming) {
+      this.logger.warn('Cannot capture clip - not streaming');
+      this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Cannot capture clip - not streaming', type: 'warning' });
+      return;
+    }
+
+    if (this.captureClipService.isCapturing()) {
+      this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Clip capture already in progress', type: 'warning' });
+      return;
+    }
+
+    try {
+      await this.captureClipService.captureClip(this._getClipFrameSource(), {
+        nativeResolution: this.appState.currentCapabilities?.nativeResolution || DEFAULT_NATIVE_RESOLUTION,
+        format: this.settingsService.getClipFormat(),
+        scale: this.settingsService.getClipScale(),
+        durationSeconds: this.settingsService.getClipDurationSeconds(),
+        ...this._getCaptureNaming('clip')
+      });
+    } catch (error) {
+      // CaptureClipService already published capture:clip-error
+      this.logger.error('Failed to capture clip:', error);
+    }
+  }
+
+  /**
+   * Start or stop interval capture
+   * Mode, interval and timelapse frame step come from settings.
+   */
+  async toggleIntervalCapture() {
+    if (this.captureIntervalService.isActive()) {
+      await this.captureIntervalService.stop();
+      return;
+    }
+
+    if (!this.appState.isStreaming) {
+      this.logger.warn('Cannot start interval capture - not streaming');
+      this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Cannot start interval capture - not streaming', type: 'warning' });
+      return;
+    }
+
+    try {
+      const mode = this.settingsService.getIntervalMode();
+      await this.captureIntervalService.start({
+        mode,
+        intervalSeconds: this.settingsService.getIntervalSeconds(),
+        frameStep: this.settingsService.getIntervalFrameStep(),
+        durationSeconds: this.settingsService.getFrameSequenceSeconds(),
+        frameRate: this.appState.currentCapabilities?.frameRate || 60,
+        nativeResolution: this.appState.currentCapabilities?.nativeResolution || DEFAULT_NATIVE_RESOLUTION,
+        takeScreenshot: (shot) => this._takeIntervalScreenshot(shot),
+        saveFile: (file) => this._saveSequenceFile(file),
+        // Resolved per frame, so a renderer switch mid-session is picked up
+        getFrame: () => this._getClipFrameSource()(),
+        getVideo: () => this.streamViewService.getVideo(),
+        // Screenshot sessions are numbered inside their own folder instead
+        ...(mode === 'timelapse' ? this._getCaptureNaming('timelapse') : {})
+      });
+    } catch (error) {
+      this.logger.error('Failed to start interval capture:', error);
+      this.eventBus.publish(EventChannels.CAPTURE.INTERVAL_ERROR, { error: error.message });
+    }
+  }
+
+  /**
+   * Take one interval screenshot into the session folder
+   * Same output as a regular screenshot, without the shutter flash.
+   * @param {Object} shot
+   * @param {string} shot.folder - Session folder
+   * @param {string} shot.filename - Numbered filename
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _takeIntervalScreenshot({ folder, filename }) {
+    const { source, size } = await this._getScreenshotSource();
+    await this.captureService.takeScreenshot(source, {
+      size,
+      metadata: this._getCaptureMetadata(),
+      filename,
+      folder
+    });
+  }
+
+  /**
+   * Write one file of a frame sequence into its folder
+   * @param {Object} file
+   * @param {Blob} file.blob - PNG frame or JSON manifest
+   * @param {string} file.folder - Sequence folder
+   * @param {string} file.filename - Filename inside the folder
+   * @returns {Promise<void>}
+   * @throws {Error} If the file was not written, so the sequence stops instead of leaving a gap
+   * @private
+   */
+  async _saveSequenceFile({ blob, folder, filename }) {
+    const result = await this.captureStorageAdapter.saveCapture(blob, filename, { folder });
+    if (!result?.success) {
+      throw new Error(result?.error || `Failed to save ${filename}`);
+    }
+  }
+
+  /**
+   * Frame provider for clips, resolved once per clip (same priority as screenshots)
+   * @returns {Function} Returns the current frame source
+   * @private
+   */
+  _getClipFrameSource() {
+    if (this.gpuRendererService.isActive()) {
+      return () => this.gpuRendererService.captureFrame();
+    }
+
+    if (this.canvasRenderer.isActive()) {
+      return () => this.streamViewService.getCanvas();
+    }
+
+    return () => this.streamViewService.getVideo();
+  }
+
   /**
    * Start recording from GPU-rendered canvas with shader effects
    * @private
    */
   async _startGpuRecording() {
-    const frameRate = this.appState.currentCapabilities?.frameRate || 60;
+    const { frameRate, scale } = this.settingsService.getRecordingQuality();
+    const { frameRate: sourceFrameRate, nativeResolution } = this.appState.currentCapabilities || {};
+    const { width, height } = nativeResolution || DEFAULT_NATIVE_RESOLUTION;
     const recordingStream = await this.gpuRecordingService.start({
       stream: this.appState.currentStream,
-      frameRate
+      // Rendering faster than the source only repeats frames
+      frameRate: sourceFrameRate ? Math.min(frameRate, sourceFrameRate) : frameRate,
+      // Scale 0 records at the size the renderer draws
+      ...(scale > 0 ? { size: { width: width * scale, height: height * scale } } : {}),
+      consumer: 'recording'
     });
 
-    await this.captureService.startRecording(recordingStream);
+    // Dual-track: the raw feed is recorded alongside the rendered one
+    const rawStream = this.settingsService.getRecordingDualTrack() ? this.appState.currentStream : null;
+    await this._startRecordingFrom(recordingStream, { rawStream });
+  }
+
+  /**
+   * Start recording a stream, with microphone commentary when enabled
+   * If the microphone cannot be opened the recording goes ahead with game audio only.
+   * @param {MediaStream} stream - Video and game audio to record
+   * @param {Object} [options]
+   * @param {MediaStream|null} [options.rawStream] - Raw device feed to record as a linked pair
+   * @private
+   */
+  async _startRecordingFrom(stream, { rawStream = null } = {}) {
+    let mix = { stream, commentaryStream: null };
+    try {
+      mix = await this.captureAudioMixService.start(stream);
+    } catch (error) {
+      this.logger.warn('Microphone unavailable, recording game audio only:', error.message);
+      this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+        message: 'Microphone unavailable - recording without commentary',
+        type: 'warning'
+      });
+    }
+
+    const options = this._getRecordingOptions();
+    if (mix.commentaryStream) {
+      options.commentaryStream = mix.commentaryStream;
+    }
+    if (rawStream) {
+      options.rawStream = rawStream;
+    }
+
+    await this.captureService.startRecording(mix.stream, options);
+  }
+
+  /**
+   * Recording options from settings (format, quality, segment limits and review), capture metadata and naming
+   * @returns {{format: string, quality: Object, maxSegmentDurationMs: number, maxSegmentBytes: number, review: boolean, metadata: CaptureMetadata, baseName: string, game?: string}}
+   * @private
+   */
+  _getRecordingOptions() {
+    const metadata = this._getCaptureMetadata();
+    const { codec, videoBitrateKbps, audioBitrateKbps } = this.settingsService.getRecordingQuality();
+    return {
+      format: this.settingsService.getRecordingFormat(),
+      quality: { codec, videoBitrateKbps, audioBitrateKbps },
+      maxSegmentDurationMs: this.settingsService.getRecordingSegmentMinutes() * 60 * 1000,
+      maxSegmentBytes: this.settingsService.getRecordingSegmentSizeMb() * 1000 * 1000,
+      review: this.settingsService.getRecordingReviewEnabled(),
+      metadata,
+      ...this._getCaptureNaming('recording', metadata)
+    };
+  }
+
+  /**
+   * Name a capture from the filename template
+   * Tokens come from the capture metadata; the counter only advances when the
+   * template uses it.
+   * @param {'screenshot'|'recording'|'replay'|'clip'|'timelapse'} type - Value of the {type} token
+   * @param {CaptureMetadata} [metadata] - Metadata of the capture being named
+   * @returns {{baseName: string, game?: string}} Base name, and the game to file the capture under
+   * @private
+   */
+  _getCaptureNaming(type, metadata = this._getCaptureMetadata()) {
+    const template = this.settingsService.getCaptureFilenameTemplate();
+    const baseName = FilenameGenerator.fromTemplate(template, {
+      type,
+      game: metadata.gameName,
+      preset: metadata.presetId,
+      device: metadata.deviceProfileId,
+      counter: template.includes('{counter}') ? this.settingsService.nextCaptureCounter() : null,
+      date: new Date(metadata.capturedAt)
+    });
+
+    return metadata.gameName ? { baseName, game: metadata.gameName } : { baseName };
+  }
+
+  /**
+   * Metadata embedded into saved captures
+   * The game is the tag of the note open in the notes panel.
+   * @returns {CaptureMetadata}
+   * @private
+   */
+  _getCaptureMetadata() {
+    return {
+      appVersion: typeof __APP_VERSION__ !== 'undefined' ? __APP_VERSION__ : null,
+      deviceProfileId: this.appState.currentCapabilities?.profileId ?? null,
+      presetId: this.settingsService.getRenderPreset(),
+      brightness: this.settingsService.getGlobalBrightness(),
+      capturedAt: new Date().toISOString(),
+      gameName: this.notesService.getActiveGame() || null
+    };
   }
 
   /**
@@ -143,19 +566,100 @@ export class CaptureOrchestrator extends BaseOrchestrator {
    * @private
    */
   async _stopRecording() {
-    await this.gpuRecordingService.stop();
+    await this.gpuRecordingService.stop('recording');
 
     try {
       await this.captureService.stopRecording();
     } catch (error) {
       this.logger.error('Failed to stop recording:', error);
     }
+
+    this.captureAudioMixService.stop();
+  }
+
+  /**
+   * Start the replay buffer if enabled and streaming
+   * Buffers GPU-rendered frames when the GPU renderer is active, otherwise the raw stream.
+   * @private
+   */
+  async _startReplayBuffer() {
+    if (!this.settingsService.getReplayBufferEnabled() || this.captureService.isReplayBufferActive()) {
+      return;
+    }
+
+    const stream = this.appState.currentStream;
+    if (!this.appState.isStreaming || !stream) {
+      return;
+    }
+
+    try {
+      const source = this.gpuRendererService.isActive()
+        ? await this.gpuRecordingService.start({
+          stream,
+          frameRate: this.appState.currentCapabilities?.frameRate || 60,
+          consumer: 'replay'
+        })
+        : stream;
+
+      this.captureService.startReplayBuffer(source, {
+        bufferSeconds: this.settingsService.getReplayBufferSeconds()
+      });
+    } catch (error) {
+      this.logger.error('Failed to start replay buffer:', error);
+      await this.gpuRecordingService.stop('replay');
+    }
+  }
+
+  /**
+   * Stop the replay buffer and release its GPU stream
+   * @private
+   */
+  async _stopReplayBuffer() {
+    this.captureService.stopReplayBuffer();
+    await this.gpuRecordingService.stop('replay');
+  }
+
+  /**
+   * Restart the replay buffer (capture source or settings changed)
+   * @returns {Promise<void>}
+   * @private
+   */
+  _restartReplayBuffer() {
+    return this._queueReplayTransition(async () => {
+      await this._stopReplayBuffer();
+      await this._startReplayBuffer();
+    });
   }
 
   /**
-   * Clean up GPU recording resources
+   * Run a replay buffer transition after any pending one
+   * @param {Function} transition - Async transition
+   * @returns {Promise<void>}
    * @private
    */
+  _queueReplayTransition(transition) {
+    this._replayTransition = this._replayTransition
+      .then(transition)
+      .catch(error => this.logger.error('Replay buffer transition failed:', error));
+    return this._replayTransition;
+  }
+
+  /**
+   * Handle replay buffer error - release GPU stream held for replay
+   * @private
+   */
+  _handleReplayError() {
+    this.gpuRecordingService.stop('replay');
+  }
+
+  /**
+   * Handle stream started - start the replay buffer and resume interval capture
+   * @private
+   */
+  async _handleStreamStarted() {
+    this.captureIntervalService.resume();
+    await this._queueReplayTransition(() => this._startReplayBuffer());
+  }
 
   /**
    * Handle stream stopped - stop any active recording
@@ -163,6 +667,10 @@ export class CaptureOrchestrator extends BaseOrchestrator {
    * @private
    */
   async _handleStreamStopped() {
+    this.captureClipService.cancel();
+    this.captureIntervalService.suspend();
+    await this._queueReplayTransition(() => this._stopReplayBuffer());
+
     const isRecording = this.captureService.isRecording || this.captureService.getRecordingState?.();
     if (isRecording) {
       this.logger.info('Stream stopped - stopping active recording');
@@ -170,6 +678,195 @@ export class CaptureOrchestrator extends BaseOrchestrator {
     }
   }
 
+  /**
+   * Save a finished capture through the main-process capture storage
+   * Publishes capture:saved with the saved path (and the data, when it was in memory)
+   * so the UI can show it.
+   * @param {'screenshot'|'recording'|'replay'|'clip'|'timelapse'|'commentary'|'raw-track'} kind - Capture kind
+   * @param {Object} data - Capture data
+   * @param {Blob} [data.blob] - Capture contents
+   * @param {string} [data.spoolId] - Spool file already holding the contents (streamed recordings)
+   * @param {string} data.filename - Suggested filename
+   * @param {string} [data.folder] - Session folder inside the capture folder
+   * @param {string} [data.game] - Game to file the capture under (spooled recordings carry it already)
+   * @param {Array<{timeMs: number, label: string}>} [data.markers] - Recording markers, saved as chapter files next to it
+   * @param {number} [data.durationMs] - Recording length, for the last chapter
+   * @private
+   */
+  async _saveCapture(kind, { blob, spoolId, filename, folder, game, markers, durationMs }) {
+    let result;
+    if (spoolId) {
+      result = await this.captureStorageAdapter.commitRecordingSpool(spoolId, filename);
+    } else if (folder) {
+      result = await this.captureStorageAdapter.saveCapture(blob, filename, { folder });
+    } else if (game) {
+      result = await this.captureStorageAdapter.saveCapture(blob, filename, { game });
+    } else {
+      result = await this.captureStorageAdapter.saveCapture(blob, filename);
+    }
+
+    if (result?.canceled) {
+      this.logger.info(`${kind} save canceled`);
+      this.eventBus.publish(EventChannels.CAPTURE.SAVE_CANCELED, { kind, filename });
+      return;
+    }
+
+    if (!result?.success) {
+      this.logger.error(`Failed to save ${kind}:`, result?.error);
+      this.eventBus.publish(EventChannels.CAPTURE.SAVE_FAILED, {
+        kind,
+        filename,
+        error: result?.error || 'Unknown error'
+      });
+      return;
+    }
+
+    if (markers?.length > 0) {
+      await this._saveChapters({ filePath: result.filePath ?? null, filename }, markers, durationMs);
+    }
+
+    this.eventBus.publish(EventChannels.CAPTURE.SAVED, {
+      kind,
+      filename,
+      filePath: result.filePath ?? null,
+      blob: blob ?? null
+    });
+  }
+
+  /**
+   * Save a recording's markers next to it as WebVTT chapters and JSON
+   * A sidecar that cannot be written is logged; the recording stays saved.
+   * @param {{filePath: string|null, filename: string}} capture - Saved recording
+   * @param {Array<{timeMs: number, label: string}>} markers - Markers in time order
+   * @param {number} durationMs - Recording length
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveChapters(capture, markers, durationMs) {
+    const recording = capture.filePath?.split(/[\\/]/).pop() || capture.filename;
+    const sidecars = [
+      [RECORDING_MARKERS.CHAPTERS_EXTENSION, createChaptersVtt(markers, durationMs), 'text/vtt'],
+      [RECORDING_MARKERS.MARKERS_EXTENSION, createMarkersJson({ recording, durationMs, markers }), 'application/json']
+    ];
+
+    for (const [extension, text, type] of sidecars) {
+      const result = await this.captureStorageAdapter.saveSidecar(new Blob([text], { type }), capture, extension);
+      if (!result?.success) {
+        this.logger.warn(`Failed to save ${FilenameGenerator.forSidecar(recording, extension)}:`, result?.error);
+      }
+    }
+
+    this.logger.info(`Saved ${markers.length} marker(s) with ${recording}`);
+  }
+
+  /**
+   * Hold a recording until the trim editor saves or discards it
+   * @param {Object} data - Recording ready payload with `review: true` and its commentary, if any
+   * @private
+   */
+  _holdForReview(data) {
+    const id = this._nextReviewId++;
+    this._reviews.set(id, data);
+
+    this.logger.info('Recording held for review:', data.filename);
+    this.eventBus.publish(EventChannels.CAPTURE.REVIEW_READY, {
+      id,
+      blob: data.blob,
+      filename: data.filename,
+      markers: data.markers ?? []
+    });
+  }
+
+  /**
+   * Save or discard a reviewed recording
+   * The commentary and raw track are cut to the range the video cut actually
+   * covers so they stay in sync, and markers outside it are dropped. If trimming
+   * fails, all are saved in full. The raw track gets the recording's markers.
+   * @param {Object} data
+   * @param {number} data.id - Review ID from 'capture:review-ready'
+   * @param {'save'|'discard'} data.action - Editor decision
+   * @param {number} [data.startMs] - In point, when saving a trimmed range
+   * @param {number} [data.endMs] - Out point, when saving a trimmed range
+   * @private
+   */
+  async _finishReview({ id, action, startMs, endMs }) {
+    const recording = this._reviews.get(id);
+    if (!recording) {
+      this.logger.warn('No recording waiting for review:', id);
+      return;
+    }
+    this._reviews.delete(id);
+
+    const { blob, filename, game, markers = [], durationMs = 0, commentary = null, rawTrack = null } = recording;
+    if (action === 'discard') {
+      this.logger.info('Recording discarded:', filename);
+      this.eventBus.publish(EventChannels.CAPTURE.REVIEW_DISCARDED, { filename });
+      return;
+    }
+
+    let video = { blob, filename, game, markers, durationMs };
+    let audio = commentary;
+    let raw = rawTrack && { ...rawTrack, markers, durationMs };
+
+    if (startMs !== undefined && endMs !== undefined) {
+      this.eventBus.publish(EventChannels.CAPTURE.TRIM_STARTED, {
+        filename,
+        reencode: !this.captureTrimService.canTrimLosslessly(blob)
+      });
+
+      try {
+        const trimmed = await this.captureTrimService.trim(blob, { startMs, endMs });
+        const range = { startMs: trimmed.startMs, endMs: trimmed.endMs };
+        const trimmedAudio = commentary ? await this.captureTrimService.trim(commentary.blob, range) : null;
+        const trimmedRaw = rawTrack ? await this.captureTrimService.trim(rawTrack.blob, range) : null;
+
+        const chapters = {
+          markers: trimMarkers(markers, trimmed.startMs, trimmed.endMs),
+          durationMs: trimmed.endMs - trimmed.startMs
+        };
+
+        video = { ...video, blob: trimmed.blob, ...chapters };
+        audio = trimmedAudio ? { ...commentary, blob: trimmedAudio.blob } : null;
+        raw = trimmedRaw ? { ...rawTrack, blob: trimmedRaw.blob, ...chapters } : null;
+      } catch (error) {
+        this.logger.error('Failed to trim recording:', error);
+        this.eventBus.publish(EventChannels.CAPTURE.TRIM_FAILED, { filename, error: error.message });
+      }
+    }
+
+    await this._saveCapture('recording', video);
+    if (raw) {
+      await this._saveCapture('raw-track', raw);
+    }
+    if (audio) {
+      await this._saveCapture('commentary', audio);
+    }
+  }
+
+  /**
+   * Offer to recover recordings a previous session did not finish
+   * Publishes capture:recordings-recovered when any were saved.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recoverUnfinishedRecordings() {
+    try {
+      const result = await this.captureStorageAdapter.recoverRecordings();
+
+      if (!result?.success) {
+        this.logger.warn('Recording recovery failed:', result?.error);
+        return;
+      }
+
+      if (result.recovered?.length > 0) {
+        this.logger.info(`Recovered ${result.recovered.length} unfinished recording(s)`);
+        this.eventBus.publish(EventChannels.CAPTURE.RECORDINGS_RECOVERED, { filePaths: result.recovered });
+      }
+    } catch (error) {
+      this.logger.error('Recording recovery failed:', error);
+    }
+  }
+
   /**
    * Handle recording error event
    * @private
@@ -178,13 +875,18 @@ export class CaptureOrchestrator extends BaseOrchestrator {
     const { error } = data;
     this.logger.error('Recording error:', error);
 
-    this.gpuRecordingService.stop();
+    this.gpuRecordingService.stop('recording');
+    this.captureAudioMixService.stop();
   }
 
   /**
    * Cleanup resources
    */
   async onCleanup() {
+    this.captureClipService.cancel();
+    await this.captureIntervalService.stop();
+    this.captureService.stopReplayBuffer();
+
     if (this.captureService.getRecordingState()) {
       try {
         await this.captureService.stopRecording();
@@ -193,5 +895,9 @@ export class CaptureOrchestrator extends BaseOrchestrator {
       }
     }
     await this.gpuRecordingService.stop();
+    this.captureAudioMixService.stop();
+
+    // Takes still waiting for review were never written to disk
+    this._reviews.clear();
   }
 }
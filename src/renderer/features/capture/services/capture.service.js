@@ -7,39 +7,131 @@
  * Events emitted:
  * - 'capture:screenshot-ready' - Screenshot captured and ready to save
  * - 'capture:recording-started' - Recording started
+ * - 'capture:recording-paused' - Recording paused
+ * - 'capture:recording-resumed' - Recording resumed
  * - 'capture:recording-stopped' - Recording stopped
- * - 'capture:recording-ready' - Recording ready to save
+ * - 'capture:marker-added' - Marker dropped into the active recording
+ * - 'capture:recording-ready' - Recording (or one segment of a split recording) ready to save,
+ *   either as a blob or as a spool file already on disk
  * - 'capture:recording-error' - Recording failed (codec error, disk full, etc.)
+ * - 'capture:commentary-ready' - Separate microphone track of a recording ready to save
+ * - 'capture:raw-track-ready' - Raw device feed of a dual-track recording (or segment) ready to save
+ * - 'capture:replay-ready' - Instant replay clip ready to save
+ * - 'capture:replay-error' - Replay buffer failed and was stopped
  */
 
 import { BaseService } from '@shared/base/service.base.js';
 import { FilenameGenerator } from '@shared/utils/filename-generator.utils.js';
 import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { RECORDING_OUTPUT, RECORDING_QUALITY, RECORDING_SEGMENTS, REPLAY_BUFFER } from '@shared/config/constants.config.js';
+import { embedPngMetadata, embedWebmMetadata } from '@shared/utils/capture-metadata.utils.js';
+import { isRecordingCodecSupported } from '@shared/utils/recording-quality.utils.js';
+import { normalizeMarkerLabel } from '@shared/utils/recording-markers.utils.js';
+import { trimWebm } from '@shared/utils/webm-trim.utils.js';
+import { CaptureMp4Recorder } from '../recording/capture-mp4-recorder.class.js';
+
+/**
+ * MediaRecorder timeslice (ms) - how often encoded data is flushed to chunks
+ */
+const RECORDER_TIMESLICE_MS = 1000;
+
+/**
+ * Container for a separately recorded commentary track
+ */
+const COMMENTARY_MIME_TYPE = 'audio/webm;codecs=opus';
+
+/**
+ * Bytes read from the start of a capture to embed metadata
+ * PNG text goes after IHDR and WebM tags before the first Cluster, both near the start.
+ */
+const METADATA_HEAD_BYTES = 64 * 1024;
 
 class CaptureService extends BaseService {
   /**
    * @param {Object} dependencies - Injected dependencies
    * @param {EventBus} dependencies.eventBus - Event publisher for capture events
+   * @param {CaptureStorageAdapter} dependencies.captureStorageAdapter - Spools recordings to disk
    * @param {Function} dependencies.loggerFactory - Logger factory
    */
   constructor(dependencies) {
-    super(dependencies, ['eventBus', 'loggerFactory'], 'CaptureService');
+    super(dependencies, ['eventBus', 'captureStorageAdapter', 'loggerFactory'], 'CaptureService');
 
     // Recording state
     this.isRecording = false;
     this.mediaRecorder = null;
     this.recordedChunks = [];
+    this.recordingFormat = RECORDING_OUTPUT.DEFAULT_FORMAT;
+    this.isPaused = false;
     this._isDisposing = false;
+    this._recordingStream = null;
+    this._recordingMetadata = null;
+    // Template name and game shared by every segment of the recording
+    this._recordingNaming = null;
+    // Recording is held for review instead of being saved straight away
+    this._recordingReview = false;
+    // Codec and bitrates, kept for the recorders of later segments
+    this._recordingQuality = null;
+
+    // Segment currently being written, and split limits when segmentation is on
+    this._segment = null;
+    this._segmentation = null;
+
+    // Elapsed time bookkeeping (performance.now() ms); paused time is excluded
+    this._recordingStartedAt = 0;
+    this._pausedAt = 0;
+    this._pausedMs = 0;
+
+    // Markers dropped so far, numbering the ones without a label
+    this._markerCount = 0;
+
+    // Separate commentary track recorded alongside the video (see _startCommentary)
+    this._commentary = null;
+
+    // Raw device feed recorded in step with the video (see _startRawSegment)
+    this._rawTrack = null;
+
+    // Instant replay state (see startReplayBuffer)
+    this._replay = null;
   }
 
   /**
    * Take screenshot from a source element
    * Supports video elements, canvas elements, and ImageBitmap sources.
    * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source - Source to capture from
+   * @param {Object} [options]
+   * @param {{width: number, height: number}} [options.size] - Output size; defaults to the source size
+   * @param {CaptureMetadata} [options.metadata] - Metadata to embed as PNG text chunks
+   * @param {string} [options.filename] - Filename to use instead of a timestamped one
+   * @param {string} [options.folder] - Session folder to save into (interval screenshots)
+   * @param {string} [options.game] - Game to file the screenshot under (per-game folders)
    * @returns {Promise<Object>} Screenshot result with blob and filename
    * @throws {Error} If source is invalid or capture fails
    */
-  async takeScreenshot(source) {
+  async takeScreenshot(source, { size, metadata, filename = FilenameGenerator.forScreenshot(), folder, game } = {}) {
+    const image = await this.renderScreenshot(source, size);
+    const blob = await this._embedMetadata(image, metadata, embedPngMetadata);
+
+    this.logger.info('Screenshot captured:', filename);
+
+    // Emit event
+    const screenshot = this._withGame(folder ? { blob, filename, folder } : { blob, filename }, game);
+    this.eventBus.publish(EventChannels.CAPTURE.SCREENSHOT_READY, screenshot);
+
+    return screenshot;
+  }
+
+  /**
+   * Render a source element to a PNG without saving it (e.g. for the clipboard)
+   * When an output size is given the source is resampled with nearest-neighbour
+   * filtering, so pixel art stays sharp at integer scales.
+   * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source - Source to capture from
+   * @param {Object} [size] - Output size; defaults to the source size
+   * @param {number} [size.width]
+   * @param {number} [size.height]
+   * @returns {Promise<Blob>} PNG image
+   * @throws {Error} If source is invalid or capture fails
+   */
+  async renderScreenshot(source, { width: outputWidth, height: outputHeight } = {}) {
     // Determine source type and validate
     const isVideo = source instanceof HTMLVideoElement;
     const isCanvas = source instanceof HTMLCanvasElement;
@@ -85,12 +177,20 @@ class CaptureService extends BaseService {
         height = source.height;
       }
 
+      const isResized = outputWidth > 0 && outputHeight > 0 &&
+        (outputWidth !== width || outputHeight !== height);
+
       const canvas = document.createElement('canvas');
-      canvas.width = width;
-      canvas.height = height;
+      canvas.width = isResized ? outputWidth : width;
+      canvas.height = isResized ? outputHeight : height;
 
       const ctx = canvas.getContext('2d');
-      ctx.drawImage(source, 0, 0);
+      if (isResized) {
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(source, 0, 0, outputWidth, outputHeight);
+      } else {
+        ctx.drawImage(source, 0, 0);
+      }
 
       // Close ImageBitmap after drawing to release memory
       if (isBitmap) {
@@ -108,14 +208,7 @@ class CaptureService extends BaseService {
         }, 'image/png');
       });
 
-      const filename = FilenameGenerator.forScreenshot();
-
-      this.logger.info('Screenshot captured:', filename);
-
-      // Emit event
-      this.eventBus.publish(EventChannels.CAPTURE.SCREENSHOT_READY, { blob, filename });
-
-      return { blob, filename };
+      return blob;
     } catch (error) {
       this.logger.error('Error taking screenshot:', error);
       throw error;
@@ -124,12 +217,51 @@ class CaptureService extends BaseService {
 
   /**
    * Start recording from media stream
-   * Uses VP9 codec with fallback to VP8/WebM.
+   * WebM uses MediaRecorder (VP9 with fallback to VP8); MP4 uses the WebCodecs
+   * backend (H.264/AAC with fallback to AV1/Opus).
+   * WebM data is streamed to a spool file as it is recorded, so a crash loses at most
+   * the last second; the file is offered for recovery on the next launch. MP4 is muxed
+   * in memory when the recording stops and is not crash-safe.
+   * With a segment limit set, the recording is split into numbered files that
+   * share a session ID; each one is emitted as 'capture:recording-ready' when it completes.
+   * A recording held for review is kept in memory (it is not crash-safe) and emitted
+   * once, with `review: true` and its commentary and raw track attached instead of
+   * emitted on their own.
+   * With a raw stream (dual-track), a second recorder of the same format and quality
+   * starts, pauses, splits and stops together with the first, so both files cover
+   * the same span; each raw file is emitted as 'capture:raw-track-ready'.
+   * Markers (see addMarker) are emitted with the file they were dropped into, as
+   * `markers` timed from its start and the file's `durationMs`.
    * @param {MediaStream} stream - Media stream to record
+   * @param {Object} [options]
+   * @param {'webm'|'mp4'} [options.format='webm'] - Output container for this recording
+   * @param {number} [options.maxSegmentDurationMs=0] - Split after this much recorded time (0 = no limit)
+   * @param {number} [options.maxSegmentBytes=0] - Split once a segment reaches this size (0 = no limit)
+   * @param {CaptureMetadata} [options.metadata] - Metadata to embed as WebM tags (MP4 is not tagged)
+   * @param {MediaStream} [options.commentaryStream] - Microphone to record to its own audio file
+   * @param {MediaStream} [options.rawStream] - Device feed to record to a linked raw file (dual-track)
+   * @param {string} [options.baseName] - Name from the filename template (segments add a part number)
+   * @param {string} [options.game] - Game to file the recording under (per-game folders)
+   * @param {boolean} [options.review=false] - Hold the recording for review before saving (ignored when segmented)
+   * @param {Object} [options.quality] - Encoder settings; defaults to the default quality preset
+   * @param {string} [options.quality.codec] - WebM video codec ID (falls back to the best supported one)
+   * @param {number} [options.quality.videoBitrateKbps] - Video bitrate in kbit/s
+   * @param {number} [options.quality.audioBitrateKbps] - Audio bitrate in kbit/s
    * @returns {Promise<void>}
-   * @throws {Error} If no stream provided or already recording
+   * @throws {Error} If no stream provided, already recording, or the format is unsupported
    */
-  async startRecording(stream) {
+  async startRecording(stream, {
+    format = RECORDING_OUTPUT.DEFAULT_FORMAT,
+    maxSegmentDurationMs = 0,
+    maxSegmentBytes = 0,
+    metadata = null,
+    commentaryStream = null,
+    rawStream = null,
+    baseName = null,
+    game = null,
+    review = false,
+    quality = RECORDING_QUALITY.PRESET_SETTINGS[RECORDING_QUALITY.DEFAULT_PRESET]
+  } = {}) {
     if (!stream) {
       this.logger.warn('Cannot start recording - no stream provided');
       throw new Error('No stream provided');
@@ -140,37 +272,51 @@ class CaptureService extends BaseService {
       throw new Error('Already recording');
     }
 
-    try {
-      // Create media recorder - try codecs in order of preference (vp9 preferred per config)
-      const codecs = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
-      const mimeType = codecs.find(codec => MediaRecorder.isTypeSupported(codec)) || 'video/webm';
-
-      const options = { mimeType };
+    if (!RECORDING_OUTPUT.FORMATS.includes(format)) {
+      throw new Error(`Unsupported recording format: ${format}`);
+    }
 
-      this.mediaRecorder = new MediaRecorder(stream, options);
-      this.recordedChunks = [];
+    try {
+      const recorder = await this._createRecorder(stream, format, quality);
+      const rawRecorder = rawStream ? await this._createRawRecorder(rawStream, format, quality) : null;
+      this.recordingFormat = format;
+      this._recordingQuality = quality;
+      this._recordingStream = stream;
+      this._recordingMetadata = metadata;
+      this._recordingNaming = { baseName, game };
 
-      // Collect recorded chunks
-      this.mediaRecorder.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          this.recordedChunks.push(event.data);
+      this._segmentation = (maxSegmentDurationMs > 0 || maxSegmentBytes > 0)
+        ? {
+          sessionId: FilenameGenerator.timestamp(),
+          index: 1,
+          maxDurationMs: maxSegmentDurationMs,
+          maxBytes: maxSegmentBytes,
+          startedAtMs: 0,
+          splitting: false,
+          timer: null
         }
-      };
-
-      // Handle recording stop
-      this.mediaRecorder.onstop = () => {
-        this._handleRecordingStop();
-      };
+        : null;
+      this._recordingReview = review && !this._segmentation;
 
-      // Handle recording errors (disk full, codec failure, etc.)
-      this.mediaRecorder.onerror = (event) => {
-        this._handleRecordingError(event);
-      };
-
-      this.mediaRecorder.start(1000);
+      this._startSegment(recorder);
+      if (rawRecorder) {
+        this._rawTrack = { stream: rawStream, recorder: null, segment: null };
+        this._startRawSegment(rawRecorder);
+      }
+      if (commentaryStream) {
+        this._startCommentary(commentaryStream, this._segment.filename);
+      }
       this.isRecording = true;
+      this.isPaused = false;
+      this._recordingStartedAt = performance.now();
+      this._pausedMs = 0;
+      this._markerCount = 0;
+
+      if (this._segmentation) {
+        this._segmentation.timer = setInterval(() => this._checkSegmentLimits(), RECORDING_SEGMENTS.CHECK_INTERVAL_MS);
+      }
 
-      this.logger.info('Recording started');
+      this.logger.info(`Recording started (${format}${this._segmentation ? ', segmented' : ''})`);
 
       // Emit event
       this.eventBus.publish(EventChannels.CAPTURE.RECORDING_STARTED);
@@ -181,7 +327,7 @@ class CaptureService extends BaseService {
   }
 
   /**
-   * Stop active recording
+   * Stop active recording (also works while paused)
    * Triggers recording-stopped and recording-ready events.
    * @returns {Promise<void>}
    * @throws {Error} If not currently recording
@@ -193,13 +339,22 @@ class CaptureService extends BaseService {
     }
 
     try {
+      const elapsedMs = this.getRecordingElapsedMs();
+
+      this._endSegments(elapsedMs);
+      this._stopSegmentation();
       this.mediaRecorder.stop();
+      this._rawTrack?.recorder.stop();
+      this._rawTrack = null;
+      this._commentary?.recorder.stop();
+      this._commentary = null;
       this.isRecording = false;
+      this.isPaused = false;
 
-      this.logger.info('Recording stopped');
+      this.logger.info(`Recording stopped after ${Math.round(elapsedMs / 1000)}s`);
 
       // Emit event
-      this.eventBus.publish(EventChannels.CAPTURE.RECORDING_STOPPED);
+      this.eventBus.publish(EventChannels.CAPTURE.RECORDING_STOPPED, { elapsedMs });
     } catch (error) {
       this.logger.error('Error stopping recording:', error);
       throw error;
@@ -216,40 +371,1045 @@ class CaptureService extends BaseService {
     return this.isRecording ? this.stopRecording() : this.startRecording(stream);
   }
 
+  /**
+   * Pause the active recording
+   * Both backends keep writing to the same file; the paused span is left out of it.
+   * @throws {Error} If not currently recording
+   */
+  pauseRecording() {
+    if (!this.isRecording || !this.mediaRecorder) {
+      this.logger.warn('Cannot pause - not currently recording');
+      throw new Error('Not recording');
+    }
+
+    if (this.isPaused) {
+      return;
+    }
+
+    this.mediaRecorder.pause();
+    this._rawTrack?.recorder.pause();
+    this._commentary?.recorder.pause();
+    this.isPaused = true;
+    this._pausedAt = performance.now();
+
+    const elapsedMs = this.getRecordingElapsedMs();
+    this.logger.info('Recording paused');
+
+    // Emit event
+    this.eventBus.publish(EventChannels.CAPTURE.RECORDING_PAUSED, { elapsedMs });
+  }
+
+  /**
+   * Resume a paused recording
+   * @throws {Error} If not currently recording
+   */
+  resumeRecording() {
+    if (!this.isRecording || !this.mediaRecorder) {
+      this.logger.warn('Cannot resume - not currently recording');
+      throw new Error('Not recording');
+    }
+
+    if (!this.isPaused) {
+      return;
+    }
+
+    this.mediaRecorder.resume();
+    this._rawTrack?.recorder.resume();
+    this._commentary?.recorder.resume();
+    this._pausedMs += performance.now() - this._pausedAt;
+    this.isPaused = false;
+
+    const elapsedMs = this.getRecordingElapsedMs();
+    this.logger.info('Recording resumed');
+
+    // Emit event
+    this.eventBus.publish(EventChannels.CAPTURE.RECORDING_RESUMED, { elapsedMs });
+  }
+
+  /**
+   * Toggle pause on the active recording
+   * @throws {Error} If not currently recording
+   */
+  togglePause() {
+    if (this.isPaused) {
+      this.resumeRecording();
+    } else {
+      this.pauseRecording();
+    }
+  }
+
   /**
    * Check if currently recording
-   * @returns {boolean} True if recording is active
+   * @returns {boolean} True if recording is active (paused or not)
    */
   getRecordingState() {
     return this.isRecording;
   }
 
+  /**
+   * Check if the active recording is paused
+   * @returns {boolean} True if paused
+   */
+  isRecordingPaused() {
+    return this.isRecording && this.isPaused;
+  }
+
+  /**
+   * Recorded time so far, excluding pauses (matches the saved file's length)
+   * @returns {number} Elapsed milliseconds, or 0 when not recording
+   */
+  getRecordingElapsedMs() {
+    if (!this.isRecording) {
+      return 0;
+    }
+
+    const now = this.isPaused ? this._pausedAt : performance.now();
+    return Math.max(0, now - this._recordingStartedAt - this._pausedMs);
+  }
+
+  /**
+   * Drop a marker at the current point of the recording (also while paused)
+   * The marker belongs to the segment being written and is timed from its start,
+   * so it lines up with the saved file; a raw track shares its recording's markers.
+   * @param {string} [label] - Marker label; defaults to 'Marker N'
+   * @returns {{timeMs: number, label: string}} The marker
+   * @throws {Error} If not currently recording
+   */
+  addMarker(label) {
+    if (!this.isRecording || !this._segment) {
+      this.logger.warn('Cannot add marker - not currently recording');
+      throw new Error('Not recording');
+    }
+
+    this._markerCount++;
+    const elapsedMs = this.getRecordingElapsedMs();
+    const marker = {
+      timeMs: Math.round(elapsedMs - this._segment.startedAtMs),
+      label: normalizeMarkerLabel(label) || `Marker ${this._markerCount}`
+    };
+    this._segment.markers.push(marker);
+
+    this.logger.info(`Marker added at ${Math.round(elapsedMs / 1000)}s:`, marker.label);
+
+    // Emit event
+    this.eventBus.publish(EventChannels.CAPTURE.MARKER_ADDED, { ...marker, elapsedMs });
+    return marker;
+  }
+
+  /**
+   * Start the instant replay buffer
+   * Keeps two staggered WebM segments; segments restart every `bufferSeconds`, so the
+   * older one always covers at least the last `bufferSeconds` (and at most twice that).
+   * Each segment is a standalone recording, so a saved replay is always playable, and
+   * saveReplay cuts it down to the last `bufferSeconds`.
+   * @param {MediaStream} stream - Media stream to buffer
+   * @param {Object} [options]
+   * @param {number} [options.bufferSeconds] - Replay length in seconds (15-120)
+   * @throws {Error} If no stream provided or buffer already active
+   */
+  startReplayBuffer(stream, { bufferSeconds = REPLAY_BUFFER.DEFAULT_SECONDS } = {}) {
+    if (!stream) {
+      this.logger.warn('Cannot start replay buffer - no stream provided');
+      throw new Error('No stream provided');
+    }
+
+    if (this._replay) {
+      this.logger.warn('Replay buffer already active');
+      throw new Error('Replay buffer already active');
+    }
+
+    const seconds = Math.max(REPLAY_BUFFER.MIN_SECONDS, Math.min(REPLAY_BUFFER.MAX_SECONDS, bufferSeconds));
+
+    this._replay = {
+      stream,
+      mimeType: this._getRecordingMimeType(),
+      bufferMs: seconds * 1000,
+      segments: [],
+      rotationTimer: null
+    };
+
+    this._startReplaySegment();
+    this._replay.rotationTimer = setInterval(() => this._rotateReplaySegments(), seconds * 1000);
+
+    this.logger.info(`Replay buffer started (${seconds}s)`);
+  }
+
+  /**
+   * Stop the instant replay buffer and discard buffered data
+   */
+  stopReplayBuffer() {
+    if (!this._replay) {
+      return;
+    }
+
+    clearInterval(this._replay.rotationTimer);
+    this._replay.segments.forEach(segment => this._discardReplaySegment(segment));
+    this._replay = null;
+
+    this.logger.info('Replay buffer stopped');
+  }
+
+  /**
+   * Check if the replay buffer is running
+   * @returns {boolean} True if replay buffer is active
+   */
+  isReplayBufferActive() {
+    return this._replay !== null;
+  }
+
+  /**
+   * Save the buffered replay
+   * Finalizes the oldest segment, trims it to the buffer length and emits
+   * 'capture:replay-ready'.
+   * @param {Object} [options]
+   * @param {CaptureMetadata} [options.metadata] - Metadata to embed as WebM tags
+   * @param {string} [options.baseName] - Name from the filename template
+   * @param {string} [options.game] - Game to file the replay under (per-game folders)
+   * @returns {Promise<Object>} Replay result with blob and filename
+   * @throws {Error} If the buffer is not active or holds no data
+   */
+  async saveReplay({ metadata, baseName, game } = {}) {
+    if (!this._replay || this._replay.segments.length === 0) {
+      this.logger.warn('Cannot save replay - replay buffer not active');
+      throw new Error('Replay buffer not active');
+    }
+
+    const segment = this._replay.segments.shift();
+    const { bufferMs } = this._replay;
+    const durationMs = performance.now() - segment.startedAt;
+
+    // Saving the only segment (buffer still warming up) - keep buffering
+    if (this._replay.segments.length === 0) {
+      this._startReplaySegment();
+    }
+
+    const replay = await this._finalizeReplaySegment(segment);
+    if (replay.size === 0) {
+      this.logger.warn('No replay data to save');
+      throw new Error('No replay data');
+    }
+
+    const trimmed = await this._trimReplay(replay, durationMs - bufferMs);
+    const blob = await this._embedMetadata(trimmed, metadata, embedWebmMetadata);
+
+    const filename = FilenameGenerator.forReplay(baseName || undefined);
+
+    this.logger.info('Replay ready to save:', filename);
+
+    // Emit event
+    const replayCapture = this._withGame({ blob, filename }, game);
+    this.eventBus.publish(EventChannels.CAPTURE.REPLAY_READY, replayCapture);
+
+    return replayCapture;
+  }
+
+  /**
+   * Create the recorder backend for a format
+   * Both backends expose the MediaRecorder surface used by start/stop/dispose.
+   * @param {MediaStream} stream - Media stream to record
+   * @param {'webm'|'mp4'} format - Output container
+   * @param {{codec: string, videoBitrateKbps: number, audioBitrateKbps: number}} quality - Encoder settings
+   * @returns {Promise<MediaRecorder|CaptureMp4Recorder>} Recorder
+   * @private
+   */
+  async _createRecorder(stream, format, quality) {
+    const videoBitsPerSecond = quality.videoBitrateKbps * 1000;
+    const audioBitsPerSecond = quality.audioBitrateKbps * 1000;
+
+    if (format === 'mp4') {
+      return CaptureMp4Recorder.create(stream, { videoBitsPerSecond, audioBitsPerSecond, logger: this.logger });
+    }
+
+    return new MediaRecorder(stream, {
+      mimeType: this._getRecordingMimeType(quality.codec),
+      videoBitsPerSecond,
+      audioBitsPerSecond
+    });
+  }
+
+  /**
+   * Create the raw track recorder of a dual-track recording
+   * @param {MediaStream} stream - Raw device stream
+   * @param {'webm'|'mp4'} format - Output container (same as the recording)
+   * @param {Object} quality - Encoder settings (same as the recording)
+   * @returns {Promise<MediaRecorder|CaptureMp4Recorder|null>} Recorder, or null if it cannot be created
+   * @private
+   */
+  async _createRawRecorder(stream, format, quality) {
+    try {
+      return await this._createRecorder(stream, format, quality);
+    } catch (error) {
+      this.logger.warn('Raw track not recorded:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stop the raw track recorder without saving it
+   * @private
+   */
+  _discardRawTrack() {
+    const rawTrack = this._rawTrack;
+    if (!rawTrack) {
+      return;
+    }
+
+    this._rawTrack = null;
+    const { recorder, segment } = rawTrack;
+    if (!recorder) {
+      return;
+    }
+
+    segment.settle?.(null);
+    recorder.ondataavailable = null;
+    recorder.onstop = null;
+    recorder.onerror = null;
+    segment.chunks = [];
+
+    // Drop what was already written to disk too
+    segment.spool?.writes.then(() => {
+      if (segment.spool.id) {
+        this.captureStorageAdapter.discardRecordingSpool(segment.spool.id);
+      }
+    });
+
+    try {
+      if (recorder.state !== 'inactive') {
+        recorder.stop();
+      }
+    } catch (error) {
+      this.logger.debug('Error stopping raw track recorder:', error);
+    }
+  }
+
+  /**
+   * Wire a recorder to a fresh segment and start it
+   * @param {MediaRecorder|CaptureMp4Recorder} recorder - Recorder (not started)
+   * @private
+   */
+  _startSegment(recorder) {
+    const sessionId = this._segmentation?.sessionId ?? null;
+    const index = this._segmentation?.index ?? null;
+    const baseName = this._recordingNaming?.baseName || undefined;
+    const segment = this._prepareSegment(recorder, {
+      sessionId,
+      index,
+      filename: index
+        ? FilenameGenerator.forRecordingSegment(sessionId, index, this.recordingFormat, baseName)
+        : FilenameGenerator.forRecording(this.recordingFormat, baseName),
+      readyChannel: EventChannels.CAPTURE.RECORDING_READY
+    });
+
+    // Handle recording errors (disk full, codec failure, etc.)
+    // A segment that is already being finalized after a split no longer owns the recording.
+    recorder.onerror = (event) => {
+      if (recorder === this.mediaRecorder) {
+        this._handleRecordingError(event);
+      } else {
+        this.logger.error('Error finalizing recording segment:', event.error);
+      }
+    };
+
+    recorder.start(RECORDER_TIMESLICE_MS);
+
+    this.mediaRecorder = recorder;
+    this.recordedChunks = segment.chunks;
+    this._segment = segment;
+  }
+
+  /**
+   * Start the raw track recorder in a segment matching the current one
+   * Called straight after _startSegment, so both recorders start on the same tick.
+   * A raw recorder that fails is dropped without stopping the recording. For a
+   * reviewed recording the raw file is handed to the recording's segment instead
+   * of being emitted.
+   * @param {MediaRecorder|CaptureMp4Recorder} recorder - Raw track recorder (not started)
+   * @private
+   */
+  _startRawSegment(recorder) {
+    const segment = this._prepareSegment(recorder, {
+      sessionId: this._segment.sessionId,
+      index: this._segment.index,
+      filename: FilenameGenerator.forRawTrack(this._segment.filename),
+      readyChannel: EventChannels.CAPTURE.RAW_TRACK_READY
+    });
+    segment.markers = this._segment.markers;
+
+    if (segment.review) {
+      this._segment.rawTrack = new Promise((resolve) => {
+        segment.settle = resolve;
+      });
+    }
+
+    recorder.onerror = (event) => {
+      this.logger.warn('Raw track failed:', event.error?.message);
+      if (this._rawTrack?.recorder === recorder) {
+        this._discardRawTrack();
+      }
+    };
+
+    recorder.start(RECORDER_TIMESLICE_MS);
+
+    this._rawTrack.recorder = recorder;
+    this._rawTrack.segment = segment;
+  }
+
+  /**
+   * Create a segment for a recorder and collect its data
+   * Handlers close over the segment, so a finishing segment never mixes its
+   * data with the one that replaced it.
+   * @param {MediaRecorder|CaptureMp4Recorder} recorder - Recorder (not started)
+   * @param {Object} options
+   * @param {string|null} options.sessionId - Session ID of a split recording
+   * @param {number|null} options.index - Segment number of a split recording
+   * @param {string} options.filename - Filename to save the segment as
+   * @param {string} options.readyChannel - Event emitted when the segment is ready to save
+   * @returns {Object} Segment
+   * @private
+   */
+  _prepareSegment(recorder, { sessionId, index, filename, readyChannel }) {
+    const segment = {
+      chunks: [],
+      bytes: 0,
+      format: this.recordingFormat,
+      sessionId,
+      index,
+      filename,
+      readyChannel,
+      game: this._recordingNaming?.game || null,
+      // Recording time (excluding pauses) the segment covers, and the markers dropped into it
+      startedAtMs: this._segmentation?.startedAtMs ?? 0,
+      endedAtMs: null,
+      markers: [],
+      // Cleared once embedded into the segment's first chunk
+      metadata: this.recordingFormat === 'webm' ? this._recordingMetadata : null,
+      spool: null,
+      review: this._recordingReview,
+      // Resolve to the commentary and raw track ready payloads of a reviewed recording
+      commentary: null,
+      rawTrack: null,
+      // Set on a raw segment of a reviewed recording (see _startRawSegment)
+      settle: null
+    };
+
+    // WebM chunks are complete on their own, so they can go to disk as they arrive;
+    // a recording under review may never be saved, so it stays in memory
+    if (segment.format === 'webm' && !segment.review && this.captureStorageAdapter.isSpoolAvailable()) {
+      segment.spool = this._openSpool(segment);
+    }
+
+    // Collect recorded chunks
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        segment.bytes += event.data.size;
+        if (segment.spool) {
+          this._spoolChunk(segment, recorder, event.data);
+        } else {
+          segment.chunks.push(event.data);
+        }
+      }
+    };
+
+    // Handle recording stop
+    recorder.onstop = () => this._handleRecordingStop(segment);
+
+    return segment;
+  }
+
+  /**
+   * Record the commentary microphone to its own audio file
+   * One file covers the whole recording, even when the video is split into segments.
+   * A commentary track that cannot be recorded is dropped without stopping the video.
+   * For a reviewed recording the commentary is handed to the recording's segment
+   * instead of being emitted, so both are kept or discarded together.
+   * @param {MediaStream} stream - Commentary audio stream
+   * @param {string} recordingFilename - Filename of the recording (or its first segment)
+   * @private
+   */
+  _startCommentary(stream, recordingFilename) {
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, { mimeType: COMMENTARY_MIME_TYPE });
+    } catch (error) {
+      this.logger.warn('Commentary track not recorded:', error.message);
+      return;
+    }
+
+    const commentary = {
+      recorder,
+      chunks: [],
+      filename: FilenameGenerator.forCommentary(recordingFilename),
+      game: this._recordingNaming?.game || null,
+      settle: null
+    };
+
+    if (this._segment?.review) {
+      this._segment.commentary = new Promise((resolve) => {
+        commentary.settle = resolve;
+      });
+    }
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        commentary.chunks.push(event.data);
+      }
+    };
+
+    recorder.onstop = () => {
+      if (this._isDisposing || commentary.chunks.length === 0) {
+        commentary.settle?.(null);
+        return;
+      }
+
+      const blob = new Blob(commentary.chunks, { type: 'audio/webm' });
+      const ready = this._withGame({ blob, filename: commentary.filename }, commentary.game);
+      commentary.chunks = [];
+
+      if (commentary.settle) {
+        commentary.settle(ready);
+        return;
+      }
+
+      this.logger.info('Commentary ready to save:', commentary.filename);
+      this.eventBus.publish(EventChannels.CAPTURE.COMMENTARY_READY, ready);
+    };
+
+    recorder.onerror = (event) => {
+      this.logger.warn('Commentary track failed:', event.error?.message);
+      if (this._commentary === commentary) {
+        this._discardCommentary();
+      }
+    };
+
+    recorder.start(RECORDER_TIMESLICE_MS);
+    this._commentary = commentary;
+  }
+
+  /**
+   * Stop the commentary recorder without saving it
+   * @private
+   */
+  _discardCommentary() {
+    const commentary = this._commentary;
+    if (!commentary) {
+      return;
+    }
+
+    this._commentary = null;
+    commentary.settle?.(null);
+    commentary.recorder.ondataavailable = null;
+    commentary.recorder.onstop = null;
+    commentary.recorder.onerror = null;
+    commentary.chunks = [];
+
+    try {
+      if (commentary.recorder.state !== 'inactive') {
+        commentary.recorder.stop();
+      }
+    } catch (error) {
+      this.logger.debug('Error stopping commentary recorder:', error);
+    }
+  }
+
+  /**
+   * Open a spool file for a segment
+   * Chunks are written through `spool.writes`, which starts with the open call, so
+   * chunks that arrive early queue behind it. If the spool cannot be opened the
+   * segment is kept in memory instead.
+   * @param {Object} segment - Segment being started
+   * @returns {{id: string|null, failed: boolean, writes: Promise<void>}} Spool state
+   * @private
+   */
+  _openSpool(segment) {
+    const spool = { id: null, failed: false, writes: null };
+
+    const opened = segment.game
+      ? this.captureStorageAdapter.openRecordingSpool(segment.filename, 'video/webm', { game: segment.game })
+      : this.captureStorageAdapter.openRecordingSpool(segment.filename, 'video/webm');
+
+    spool.writes = opened
+      .then((result) => {
+        if (result?.success && result.id) {
+          spool.id = result.id;
+        } else {
+          this.logger.warn('Recording spool unavailable, keeping recording in memory:', result?.error);
+        }
+      });
+
+    return spool;
+  }
+
+  /**
+   * Queue a chunk for writing to the segment's spool
+   * A failed write stops the recording; what was already written stays on disk for recovery.
+   * @param {Object} segment - Segment the chunk belongs to
+   * @param {MediaRecorder} recorder - Recorder that produced the chunk
+   * @param {Blob} data - Recorded chunk
+   * @private
+   */
+  _spoolChunk(segment, recorder, data) {
+    const { spool } = segment;
+
+    spool.writes = spool.writes.then(async () => {
+      if (spool.failed) {
+        return;
+      }
+
+      // The first chunk holds the WebM header, so the tags go in before it is written
+      let chunk = data;
+      if (segment.metadata) {
+        chunk = await this._embedMetadata(data, segment.metadata, embedWebmMetadata);
+        segment.metadata = null;
+      }
+
+      if (!spool.id) {
+        segment.chunks.push(chunk);
+        return;
+      }
+
+      const result = await this.captureStorageAdapter.appendRecordingSpool(spool.id, chunk);
+      if (!result?.success) {
+        spool.failed = true;
+        this._handleSpoolError(recorder, result?.error);
+      }
+    });
+  }
+
+  /**
+   * Stop the recording after a spool write failed (disk full, folder removed, etc.)
+   * @param {MediaRecorder} recorder - Recorder whose spool failed
+   * @param {string} [message] - Write error
+   * @private
+   */
+  _handleSpoolError(recorder, message) {
+    this.logger.error('Failed to write recording to disk:', message);
+
+    // A segment finishing after a split fails alone; the recording continues in the next one
+    if (recorder !== this.mediaRecorder || !this.isRecording) {
+      return;
+    }
+
+    recorder.ondataavailable = null;
+    recorder.onstop = null;
+    recorder.onerror = null;
+
+    try {
+      recorder.stop();
+    } catch (error) {
+      this.logger.debug('Error stopping recorder after spool failure:', error);
+    }
+
+    this._handleRecordingError({ error: new Error(`Could not write recording to disk (${message || 'unknown error'})`) });
+  }
+
+  /**
+   * Split the recording once the current segment reaches a limit
+   * Duration excludes paused time; size uses the recorder's own byte count when it
+   * keeps data until stop (MP4), otherwise the chunks received so far.
+   * @private
+   */
+  _checkSegmentLimits() {
+    const segmentation = this._segmentation;
+    if (!segmentation || segmentation.splitting || !this.isRecording || this.isPaused) {
+      return;
+    }
+
+    const segmentMs = this.getRecordingElapsedMs() - segmentation.startedAtMs;
+    const segmentBytes = this.mediaRecorder?.bytesWritten ?? this._segment?.bytes ?? 0;
+
+    const durationReached = segmentation.maxDurationMs > 0 && segmentMs >= segmentation.maxDurationMs;
+    const sizeReached = segmentation.maxBytes > 0 && segmentBytes >= segmentation.maxBytes;
+
+    if (durationReached || sizeReached) {
+      this._splitRecording();
+    }
+  }
+
+  /**
+   * Continue the recording in a new segment and finalize the current one
+   * The next recorder starts before the current one stops, so no frames are lost
+   * between segments.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _splitRecording() {
+    const segmentation = this._segmentation;
+    const previous = this.mediaRecorder;
+    segmentation.splitting = true;
+
+    try {
+      const next = await this._createRecorder(this._recordingStream, this.recordingFormat, this._recordingQuality);
+      const rawTrack = this._rawTrack;
+      const nextRaw = rawTrack
+        ? await this._createRawRecorder(rawTrack.stream, this.recordingFormat, this._recordingQuality)
+        : null;
+
+      // Recording stopped or failed while the next recorders were created
+      if (!this.isRecording || this._segmentation !== segmentation) {
+        return;
+      }
+
+      segmentation.index++;
+      segmentation.startedAtMs = this.getRecordingElapsedMs();
+      this._endSegments(segmentation.startedAtMs);
+
+      this._startSegment(next);
+      if (this.isPaused) {
+        next.pause();
+      }
+      previous.stop();
+
+      // The raw track splits with the recording; without a new recorder it ends here
+      if (rawTrack && this._rawTrack === rawTrack) {
+        const previousRaw = rawTrack.recorder;
+        if (nextRaw) {
+          this._startRawSegment(nextRaw);
+          if (this.isPaused) {
+            nextRaw.pause();
+          }
+        } else {
+          this._rawTrack = null;
+        }
+        previousRaw.stop();
+      }
+
+      this.logger.info(`Recording continued in segment ${segmentation.index}`);
+    } catch (error) {
+      // Keep recording into the current segment rather than losing the session
+      this.logger.error('Failed to split recording, continuing without segmentation:', error);
+      segmentation.maxDurationMs = 0;
+      segmentation.maxBytes = 0;
+    } finally {
+      segmentation.splitting = false;
+    }
+  }
+
+  /**
+   * Note where the current segment (and its raw track) ends, for its markers
+   * @param {number} elapsedMs - Recording time at the end
+   * @private
+   */
+  _endSegments(elapsedMs) {
+    for (const segment of [this._segment, this._rawTrack?.segment]) {
+      if (segment) {
+        segment.endedAtMs = elapsedMs;
+      }
+    }
+  }
+
+  /**
+   * Stop checking segment limits
+   * @private
+   */
+  _stopSegmentation() {
+    if (this._segmentation) {
+      clearInterval(this._segmentation.timer);
+      this._segmentation = null;
+    }
+  }
+
+  /**
+   * Pick the WebM codec to record with
+   * The chosen codec is used when supported, otherwise the best of vp9 and vp8.
+   * @param {string} [codec] - Codec ID from the recording quality
+   * @returns {string} MIME type
+   * @private
+   */
+  _getRecordingMimeType(codec) {
+    if (isRecordingCodecSupported(codec)) {
+      return RECORDING_QUALITY.CODEC_MIME_TYPES[codec];
+    }
+
+    if (codec) {
+      this.logger.warn(`Recording codec ${codec} is not supported, using the best available one`);
+    }
+
+    const codecs = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    return codecs.find(mimeType => MediaRecorder.isTypeSupported(mimeType)) || 'video/webm';
+  }
+
+  /**
+   * Start a new replay segment recorder
+   * @private
+   */
+  _startReplaySegment() {
+    const recorder = new MediaRecorder(this._replay.stream, {
+      mimeType: this._replay.mimeType,
+      videoKeyFrameIntervalDuration: REPLAY_BUFFER.KEYFRAME_INTERVAL_MS
+    });
+    const segment = { recorder, chunks: [], startedAt: performance.now() };
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        segment.chunks.push(event.data);
+      }
+    };
+    recorder.onerror = (event) => this._handleReplayError(event);
+
+    recorder.start(RECORDER_TIMESLICE_MS);
+    this._replay.segments.push(segment);
+  }
+
+  /**
+   * Drop the oldest segment once two are buffered, then start a fresh one
+   * @private
+   */
+  _rotateReplaySegments() {
+    if (!this._replay) {
+      return;
+    }
+
+    if (this._replay.segments.length >= 2) {
+      this._discardReplaySegment(this._replay.segments.shift());
+    }
+
+    try {
+      this._startReplaySegment();
+    } catch (error) {
+      this._handleReplayError({ error });
+    }
+  }
+
+  /**
+   * Stop a segment recorder and collect its data
+   * @param {Object} segment - Replay segment
+   * @returns {Promise<Blob>} Segment contents
+   * @private
+   */
+  _finalizeReplaySegment(segment) {
+    return new Promise((resolve) => {
+      const { recorder } = segment;
+      const finish = () => {
+        recorder.ondataavailable = null;
+        recorder.onstop = null;
+        recorder.onerror = null;
+        resolve(new Blob(segment.chunks, { type: 'video/webm' }));
+        segment.chunks = [];
+      };
+
+      if (recorder.state === 'inactive') {
+        finish();
+        return;
+      }
+
+      // onstop fires after the final dataavailable event
+      recorder.onstop = finish;
+      recorder.stop();
+    });
+  }
+
+  /**
+   * Drop the start of a finalized replay segment without re-encoding
+   * The cut snaps back to a keyframe, so the replay can run slightly long. A
+   * segment that cannot be cut is saved whole.
+   * @param {Blob} blob - Segment contents
+   * @param {number} startMs - Time to cut from; nothing is cut if not positive
+   * @returns {Promise<Blob>} Trimmed segment
+   * @private
+   */
+  async _trimReplay(blob, startMs) {
+    if (startMs <= 0) {
+      return blob;
+    }
+
+    try {
+      const cut = trimWebm(new Uint8Array(await blob.arrayBuffer()), { startMs, endMs: Infinity });
+      return new Blob(cut.parts, { type: blob.type });
+    } catch (error) {
+      this.logger.warn('Could not trim replay, saving the whole segment:', error.message);
+      return blob;
+    }
+  }
+
+  /**
+   * Stop a segment recorder without keeping its data
+   * @param {Object} segment - Replay segment
+   * @private
+   */
+  _discardReplaySegment(segment) {
+    const { recorder } = segment;
+    recorder.ondataavailable = null;
+    recorder.onstop = null;
+    recorder.onerror = null;
+
+    if (recorder.state !== 'inactive') {
+      try {
+        recorder.stop();
+      } catch (error) {
+        this.logger.debug('Error stopping replay segment:', error);
+      }
+    }
+
+    segment.chunks = [];
+  }
+
+  /**
+   * Private: Handle replay buffer error - stop buffering and notify
+   * @param {Event} event - MediaRecorder error event
+   * @private
+   */
+  _handleReplayError(event) {
+    const error = event.error || new Error('Replay buffer failed');
+    this.logger.error('Replay buffer error:', error);
+
+    this.stopReplayBuffer();
+
+    this.eventBus.publish(EventChannels.CAPTURE.REPLAY_ERROR, {
+      error: error.message || 'Replay buffer failed'
+    });
+  }
+
   /**
    * Private: Handle recording stop and prepare recording data
+   * Spooled segments are handed over by spool ID once every chunk is on disk;
+   * a segment whose spool failed is left on disk for recovery.
+   * @param {Object} [segment] - Finished segment (defaults to the current chunks)
+   * @returns {Promise<void>}
    * @private
    */
-  _handleRecordingStop() {
+  async _handleRecordingStop(segment = {
+    chunks: this.recordedChunks,
+    format: this.recordingFormat,
+    index: null,
+    readyChannel: EventChannels.CAPTURE.RECORDING_READY
+  }) {
     // Skip processing if we're disposing (avoid race with async onstop)
     if (this._isDisposing) {
       this.logger.debug('Skipping recording stop handler during dispose');
       return;
     }
 
-    if (this.recordedChunks.length === 0) {
+    if (segment.spool) {
+      // onstop fires after the final dataavailable, so its write is already queued
+      await segment.spool.writes;
+
+      if (this._isDisposing || segment.spool.failed) {
+        return;
+      }
+
+      if (segment.spool.id) {
+        this._handleSpooledRecordingStop(segment);
+        return;
+      }
+    }
+
+    if (segment.chunks.length === 0) {
       this.logger.warn('No recorded data to save');
+      segment.settle?.(null);
       return;
     }
 
-    const blob = new Blob(this.recordedChunks, { type: 'video/webm' });
-    const filename = FilenameGenerator.forRecording();
+    const type = segment.format === 'mp4' ? 'video/mp4' : 'video/webm';
+    let blob = new Blob(segment.chunks, { type });
+    if (segment.metadata) {
+      blob = await this._embedMetadata(blob, segment.metadata, embedWebmMetadata);
+    }
+    const filename = segment.filename ?? FilenameGenerator.forRecording(segment.format);
+
+    if (segment.settle) {
+      // Raw track of a reviewed recording goes along with the recording
+      segment.settle(this._withGame({ blob, filename }, segment.game));
+    } else if (segment.review) {
+      // Commentary and raw track stop together with the video, so this does not wait long
+      const [commentary, rawTrack] = await Promise.all([segment.commentary, segment.rawTrack]);
+      if (this._isDisposing) {
+        return;
+      }
+
+      this.logger.info('Recording ready for review:', filename);
+      this.eventBus.publish(EventChannels.CAPTURE.RECORDING_READY, {
+        ...this._withGame(this._withMarkers({ blob, filename }, segment), segment.game),
+        review: true,
+        ...(commentary ? { commentary } : {}),
+        ...(rawTrack ? { rawTrack } : {})
+      });
+    } else {
+      this.logger.info('Recording ready to save:', filename);
+
+      // Emit event
+      this.eventBus.publish(segment.readyChannel, this._withGame(this._withMarkers(segment.index
+        ? { blob, filename, segment: { sessionId: segment.sessionId, index: segment.index } }
+        : { blob, filename }, segment), segment.game));
+    }
+
+    // Clear recorded chunks (a split may already have moved on to the next segment)
+    if (segment.chunks === this.recordedChunks) {
+      this.recordedChunks = [];
+    }
+    segment.chunks = [];
+  }
+
+  /**
+   * Private: Hand over a segment that was written to a spool file
+   * @param {Object} segment - Finished segment with an open spool
+   * @private
+   */
+  _handleSpooledRecordingStop(segment) {
+    const { spool, filename } = segment;
+
+    if (segment.bytes === 0) {
+      this.logger.warn('No recorded data to save');
+      this.captureStorageAdapter.discardRecordingSpool(spool.id);
+      return;
+    }
 
     this.logger.info('Recording ready to save:', filename);
 
     // Emit event
-    this.eventBus.publish(EventChannels.CAPTURE.RECORDING_READY, { blob, filename });
+    this.eventBus.publish(segment.readyChannel, this._withMarkers(segment.index
+      ? { spoolId: spool.id, filename, segment: { sessionId: segment.sessionId, index: segment.index } }
+      : { spoolId: spool.id, filename }, segment));
+  }
 
-    // Clear recorded chunks
-    this.recordedChunks = [];
+  /**
+   * Add the game a capture is filed under to a ready event payload
+   * @param {Object} capture - Ready event payload
+   * @param {string|null} [game] - Game name
+   * @returns {Object} The payload, with `game` when one is set
+   * @private
+   */
+  _withGame(capture, game) {
+    return game ? { ...capture, game } : capture;
+  }
+
+  /**
+   * Add the markers dropped into a segment to its ready event payload
+   * @param {Object} capture - Ready event payload
+   * @param {Object} segment - Finished segment
+   * @returns {Object} The payload, with `markers` and `durationMs` when any were dropped
+   * @private
+   */
+  _withMarkers(capture, segment) {
+    if (!segment.markers?.length) {
+      return capture;
+    }
+
+    const endedAtMs = segment.endedAtMs ?? this.getRecordingElapsedMs();
+    return { ...capture, markers: [...segment.markers], durationMs: Math.round(endedAtMs - segment.startedAtMs) };
+  }
+
+  /**
+   * Embed capture metadata into the start of a PNG or WebM blob
+   * Only the head is read, so large recordings are not copied into memory.
+   * A capture that cannot be tagged is kept as it is.
+   * @param {Blob} blob - Capture data
+   * @param {CaptureMetadata|null} metadata - Metadata to embed (skipped when empty)
+   * @param {Function} embed - embedPngMetadata or embedWebmMetadata
+   * @returns {Promise<Blob>} Tagged blob
+   * @private
+   */
+  async _embedMetadata(blob, metadata, embed) {
+    if (!metadata) {
+      return blob;
+    }
+
+    try {
+      const head = new Uint8Array(await blob.slice(0, METADATA_HEAD_BYTES).arrayBuffer());
+      return new Blob([embed(head, metadata), blob.slice(METADATA_HEAD_BYTES)], { type: blob.type });
+    } catch (error) {
+      this.logger.warn('Could not embed capture metadata:', error.message);
+      return blob;
+    }
   }
 
   /**
@@ -262,7 +1422,11 @@ class CaptureService extends BaseService {
     this.logger.error('Recording error:', error);
 
     // Reset recording state
+    this._stopSegmentation();
+    this._discardCommentary();
+    this._discardRawTrack();
     this.isRecording = false;
+    this.isPaused = false;
     this.recordedChunks = [];
 
     // Emit error event so UI can recover
@@ -282,6 +1446,11 @@ class CaptureService extends BaseService {
     // Set disposing flag to prevent async onstop from processing
     this._isDisposing = true;
 
+    this.stopReplayBuffer();
+    this._stopSegmentation();
+    this._discardCommentary();
+    this._discardRawTrack();
+
     // Stop any active recording
     if (this.isRecording && this.mediaRecorder) {
       // Nullify event handlers before stopping to prevent callback races
@@ -300,6 +1469,7 @@ class CaptureService extends BaseService {
     this.mediaRecorder = null;
     this.recordedChunks = [];
     this.isRecording = false;
+    this.isPaused = false;
   }
 }
 
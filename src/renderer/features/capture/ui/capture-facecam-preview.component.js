@@ -0,0 +1,70 @@
+/**
+ * Capture Facecam Preview Component
+ *
+ * Shows the webcam over the live view where the overlay will land in
+ * recordings and screenshots. Position and size are percentages of the
+ * stream container, matching how the overlay is laid out on the frame.
+ */
+
+import { CSSClasses } from '@shared/config/css-classes.config.js';
+
+class CaptureFacecamPreviewComponent {
+  constructor({ logger }) {
+    this.logger = logger;
+    this.element = null;
+  }
+
+  /**
+   * Initialize component with DOM elements
+   * @param {Object} elements - { facecamPreview }
+   */
+  initialize(elements) {
+    this.element = elements.facecamPreview || null;
+
+    if (!this.element) {
+      this.logger?.warn('Facecam preview element not found');
+    }
+  }
+
+  /**
+   * Show or hide the preview
+   * @param {Object} facecam
+   * @param {MediaStream|null} facecam.stream - Webcam stream, or null when the overlay is off
+   * @param {{position: string, sizePercent: number, border: string}} facecam.layout - Overlay layout
+   */
+  update({ stream, layout } = {}) {
+    const element = this.element;
+    if (!element) {
+      return;
+    }
+
+    if (!stream) {
+      element.classList.remove(CSSClasses.VISIBLE);
+      element.srcObject = null;
+      return;
+    }
+
+    if (element.srcObject !== stream) {
+      element.srcObject = stream;
+      element.play?.()?.catch?.((error) => {
+        this.logger?.debug('Facecam preview playback interrupted:', error.message);
+      });
+    }
+
+    element.dataset.position = layout.position;
+    element.dataset.border = layout.border;
+    element.style.width = `${layout.sizePercent}%`;
+    element.classList.add(CSSClasses.VISIBLE);
+  }
+
+  /**
+   * Release the preview stream
+   */
+  dispose() {
+    if (this.element) {
+      this.element.srcObject = null;
+    }
+  }
+}
+
+export { CaptureFacecamPreviewComponent };
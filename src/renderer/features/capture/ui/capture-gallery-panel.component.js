@@ -0,0 +1,677 @@
+/**
+ * Capture Gallery Panel Component
+ *
+ * Fixed right-side sliding sidebar listing the captures in the capture folder.
+ * Shows screenshot and recording thumbnails, plays recordings and commentary inline
+ * with their markers, filters by capture date and game, and renames, deletes or reveals captures.
+ * The list comes from the main-process capture index and refreshes as captures are saved.
+ */
+
+import { createDomListenerManager } from '@shared/base/dom-listener.utils.js';
+import { CSSClasses } from '@shared/config/css-classes.config.js';
+import { DOMSelectors } from '@shared/config/dom-selectors.config.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { formatDuration } from '@shared/utils/formatters.utils.js';
+
+// Timing constants
+const REFRESH_DEBOUNCE_MS = 300;
+const RESIZE_DEBOUNCE_MS = 100;
+
+// Side panel name announced on UI.SIDE_PANEL_OPENED
+const PANEL_NAME = 'gallery';
+
+// Capture events that mean the capture folder changed
+const REFRESH_EVENTS = [
+  EventChannels.CAPTURE.SCREENSHOT_READY,
+  EventChannels.CAPTURE.RECORDING_READY,
+  EventChannels.CAPTURE.REPLAY_READY,
+  EventChannels.CAPTURE.CLIP_READY,
+  EventChannels.CAPTURE.SAVED,
+  EventChannels.CAPTURE.RECORDINGS_RECOVERED
+];
+
+const SELECTED_CLASS = 'selected';
+const VIDEO_CLASS = 'is-video';
+const AUDIO_CLASS = 'is-audio';
+const HAS_SELECTION_CLASS = 'has-selection';
+
+/**
+ * Local calendar day of a capture, used as the date filter value
+ * @param {string} isoDate - ISO timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function toDayKey(isoDate) {
+  const date = new Date(isoDate);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Human-readable label for a date filter value
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {string}
+ */
+function formatDayLabel(dayKey) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+class CaptureGalleryPanelComponent {
+  constructor({ captureStorageAdapter, eventBus, logger }) {
+    this.captureStorageAdapter = captureStorageAdapter;
+    this.eventBus = eventBus;
+    this.logger = logger;
+
+    // Panel state
+    this.isVisible = false;
+    this.captures = [];
+    this.selectedPath = null;
+    this.currentDateFilter = '';
+    this.currentGameFilter = '';
+
+    // Latest refresh wins when several overlap
+    this._refreshToken = 0;
+
+    // Debounce timers
+    this._refreshTimeout = null;
+    this._resizeTimeout = null;
+
+    // Track DOM listeners for cleanup
+    this._domListeners = createDomListenerManager({ logger });
+    this._eventSubscriptions = [];
+  }
+
+  /**
+   * Initialize component with DOM elements
+   * @param {Object} elements - DOM element references
+   */
+  initialize(elements) {
+    this.elements = {
+      galleryBtn: elements.galleryBtn,
+      galleryPanel: elements.galleryPanel,
+      galleryDateFilter: elements.galleryDateFilter,
+      galleryGameFilter: elements.galleryGameFilter,
+      galleryViewer: elements.galleryViewer,
+      galleryViewerImage: elements.galleryViewerImage,
+      galleryViewerVideo: elements.galleryViewerVideo,
+      galleryViewerMarkers: elements.galleryViewerMarkers,
+      galleryNameInput: elements.galleryNameInput,
+      galleryRevealBtn: elements.galleryRevealBtn,
+      galleryDeleteBtn: elements.galleryDeleteBtn,
+      galleryGrid: elements.galleryGrid,
+      galleryEmptyState: elements.galleryEmptyState
+    };
+
+    if (!this.elements.galleryBtn || !this.elements.galleryPanel) {
+      this.logger?.warn('Capture gallery elements not found');
+      return;
+    }
+
+    this._domListeners.add(this.elements.galleryBtn, 'click', () => this.toggle());
+    this._setupFilters();
+    this._setupGrid();
+    this._setupViewerActions();
+    this._setupEscapeKey();
+    this._domListeners.add(window, 'resize', () => this._schedulePositionUpdate());
+    this._subscribeToEvents();
+    this._updatePanelPosition();
+
+    this.logger?.debug('CaptureGalleryPanelComponent initialized');
+  }
+
+  /**
+   * Toggle panel visibility
+   */
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Show panel and load the latest captures
+   */
+  show() {
+    if (!this.elements?.galleryPanel) return;
+
+    this._updatePanelPosition();
+    this.elements.galleryPanel.classList.add(CSSClasses.VISIBLE);
+    this.elements.galleryBtn?.classList.add(CSSClasses.PANEL_OPEN);
+    this.elements.galleryBtn?.setAttribute('aria-expanded', 'true');
+    this.isVisible = true;
+
+    this.eventBus.publish(EventChannels.UI.SIDE_PANEL_OPENED, { panel: PANEL_NAME });
+    this.refresh();
+
+    this.logger?.debug('Capture gallery shown');
+  }
+
+  /**
+   * Hide panel and stop playback
+   */
+  hide() {
+    if (!this.elements?.galleryPanel) return;
+
+    this._clearRefreshTimeout();
+    this._stopPlayback();
+
+    this.elements.galleryPanel.classList.remove(CSSClasses.VISIBLE);
+    this.elements.galleryBtn?.classList.remove(CSSClasses.PANEL_OPEN);
+    this.elements.galleryBtn?.setAttribute('aria-expanded', 'false');
+    this.isVisible = false;
+
+    this.logger?.debug('Capture gallery hidden');
+  }
+
+  /**
+   * Reload the capture list from the capture folder
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    const token = ++this._refreshToken;
+    const result = await this.captureStorageAdapter.listGallery();
+
+    // Disposed, or a newer refresh started while this one was waiting
+    if (!this.elements || token !== this._refreshToken) {
+      return;
+    }
+
+    if (!result?.success) {
+      this.logger?.warn('Failed to list captures:', result?.error);
+      return;
+    }
+
+    this.captures = result.captures ?? [];
+    if (this.selectedPath && !this.captures.some(capture => capture.filePath === this.selectedPath)) {
+      this.selectedPath = null;
+    }
+
+    this._updateFilterOptions();
+    this._render();
+  }
+
+  /**
+   * Captures matching the date and game filters
+   * @returns {Array<Object>}
+   */
+  getFilteredCaptures() {
+    return this.captures.filter(capture =>
+      (!this.currentDateFilter || toDayKey(capture.capturedAt) === this.currentDateFilter) &&
+      (!this.currentGameFilter || capture.gameName === this.currentGameFilter)
+    );
+  }
+
+  /**
+   * Show a capture in the viewer
+   * @param {string|null} filePath - Capture path, or null to clear the viewer
+   */
+  select(filePath) {
+    this.selectedPath = filePath;
+    this._render();
+  }
+
+  /**
+   * Setup date and game filter dropdowns
+   * @private
+   */
+  _setupFilters() {
+    if (this.elements.galleryDateFilter) {
+      this._domListeners.add(this.elements.galleryDateFilter, 'change', () => {
+        this.currentDateFilter = this.elements.galleryDateFilter.value;
+        this._render();
+      });
+    }
+
+    if (this.elements.galleryGameFilter) {
+      this._domListeners.add(this.elements.galleryGameFilter, 'change', () => {
+        this.currentGameFilter = this.elements.galleryGameFilter.value;
+        this._render();
+      });
+    }
+  }
+
+  /**
+   * Setup tile selection (event delegation)
+   * @private
+   */
+  _setupGrid() {
+    if (!this.elements.galleryGrid) return;
+
+    this._domListeners.add(this.elements.galleryGrid, 'click', (e) => {
+      const tile = e.target.closest('.gallery-tile');
+      if (tile) {
+        this.select(tile.dataset.path);
+      }
+    });
+  }
+
+  /**
+   * Setup marker seeking, rename, reveal and delete for the selected capture
+   * @private
+   */
+  _setupViewerActions() {
+    const { galleryViewerMarkers, galleryNameInput, galleryRevealBtn, galleryDeleteBtn } = this.elements;
+
+    if (galleryViewerMarkers) {
+      this._domListeners.add(galleryViewerMarkers, 'click', (e) => {
+        const marker = e.target.closest('.gallery-marker');
+        const video = this.elements.galleryViewerVideo;
+        if (marker && video) {
+          video.currentTime = Number(marker.dataset.timeMs) / 1000;
+        }
+      });
+    }
+
+    if (galleryNameInput) {
+      this._domListeners.add(galleryNameInput, 'keydown', (e) => {
+        if (e.key === 'Enter') {
+          galleryNameInput.blur();
+        } else if (e.key === 'Escape') {
+          // Keep the panel open and drop the edit
+          e.stopPropagation();
+          galleryNameInput.value = this._getSelectedCapture()?.name ?? '';
+          galleryNameInput.blur();
+        }
+      });
+      this._domListeners.add(galleryNameInput, 'change', () => this._renameSelected(galleryNameInput.value));
+    }
+
+    if (galleryRevealBtn) {
+      this._domListeners.add(galleryRevealBtn, 'click', () => this._revealSelected());
+    }
+
+    if (galleryDeleteBtn) {
+      this._domListeners.add(galleryDeleteBtn, 'click', () => this._deleteSelected());
+    }
+  }
+
+  /**
+   * Setup escape key to close panel
+   * @private
+   */
+  _setupEscapeKey() {
+    this._domListeners.add(document, 'keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * Rename the selected capture
+   * @param {string} name - New name (the extension is kept)
+   * @private
+   */
+  async _renameSelected(name) {
+    const capture = this._getSelectedCapture();
+    if (!capture || !name.trim() || name.trim() === capture.name) {
+      this._renderViewer();
+      return;
+    }
+
+    const result = await this.captureStorageAdapter.renameGalleryCapture(capture.filePath, name.trim());
+    if (!this.elements) return;
+
+    if (!result?.success) {
+      this._publishStatus(`Rename failed: ${result?.error || 'Unknown error'}`, 'error');
+      this._renderViewer();
+      return;
+    }
+
+    this.selectedPath = result.capture?.filePath ?? null;
+    await this.refresh();
+  }
+
+  /**
+   * Show the selected capture in the system file manager
+   * @private
+   */
+  async _revealSelected() {
+    const capture = this._getSelectedCapture();
+    if (!capture) return;
+
+    const result = await this.captureStorageAdapter.revealGalleryCapture(capture.filePath);
+    if (!result?.success) {
+      this._publishStatus(`Could not show capture: ${result?.error || 'Unknown error'}`, 'error');
+    }
+  }
+
+  /**
+   * Move the selected capture to the trash
+   * @private
+   */
+  async _deleteSelected() {
+    const capture = this._getSelectedCapture();
+    if (!capture) return;
+
+    // Release the file before it moves
+    this._stopPlayback();
+
+    const result = await this.captureStorageAdapter.deleteGalleryCapture(capture.filePath);
+    if (!this.elements) return;
+
+    if (!result?.success) {
+      this._publishStatus(`Delete failed: ${result?.error || 'Unknown error'}`, 'error');
+      this._renderViewer();
+      return;
+    }
+
+    this._publishStatus(`Moved ${capture.name} to trash`);
+    this.selectedPath = null;
+    await this.refresh();
+  }
+
+  /**
+   * Rebuild filter dropdowns from the listed captures
+   * Keeps the current selection while it still matches a capture.
+   * @private
+   */
+  _updateFilterOptions() {
+    const days = [...new Set(this.captures.map(capture => toDayKey(capture.capturedAt)))].sort().reverse();
+    const games = [...new Set(this.captures.map(capture => capture.gameName).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+
+    this.currentDateFilter = this._fillSelect(
+      this.elements.galleryDateFilter, 'All Dates', days, formatDayLabel, this.currentDateFilter
+    );
+    this.currentGameFilter = this._fillSelect(
+      this.elements.galleryGameFilter, 'All Games', games, game => game, this.currentGameFilter
+    );
+  }
+
+  /**
+   * Replace a select's options
+   * @returns {string} The value left selected
+   * @private
+   */
+  _fillSelect(select, allLabel, values, getLabel, currentValue) {
+    const value = values.includes(currentValue) ? currentValue : '';
+    if (!select) return value;
+
+    const createOption = (label, optionValue) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = label;
+      return option;
+    };
+
+    select.replaceChildren(createOption(allLabel, ''), ...values.map(item => createOption(getLabel(item), item)));
+    select.value = value;
+    return value;
+  }
+
+  /**
+   * Render the grid and the viewer
+   * @private
+   */
+  _render() {
+    this._renderGrid();
+    this._renderViewer();
+  }
+
+  /**
+   * Render capture tiles
+   * @private
+   */
+  _renderGrid() {
+    const { galleryGrid, galleryEmptyState } = this.elements;
+    if (!galleryGrid) return;
+
+    const captures = this.getFilteredCaptures();
+    galleryGrid.replaceChildren(...captures.map(capture => this._createTile(capture)));
+
+    if (galleryEmptyState) {
+      galleryEmptyState.hidden = captures.length > 0;
+      galleryEmptyState.querySelector('span').textContent = this.captures.length > 0
+        ? 'No captures match the filters'
+        : 'No captures yet';
+    }
+  }
+
+  /**
+   * Create a thumbnail tile for a capture
+   * Recordings show their first frame and commentary a label; playback happens
+   * in the viewer.
+   * @param {Object} capture
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createTile(capture) {
+    const tile = document.createElement('button');
+    tile.type = 'button';
+    tile.className = 'gallery-tile';
+    tile.dataset.path = capture.filePath;
+    tile.title = capture.gameName ? `${capture.name} (${capture.gameName})` : capture.name;
+    tile.setAttribute('aria-label', capture.name);
+    tile.classList.toggle(SELECTED_CLASS, capture.filePath === this.selectedPath);
+
+    if (capture.type === 'video') {
+      const video = document.createElement('video');
+      video.className = 'gallery-tile-media';
+      video.preload = 'metadata';
+      video.muted = true;
+      video.src = capture.url;
+      tile.classList.add(VIDEO_CLASS);
+      tile.appendChild(video);
+    } else if (capture.type === 'audio') {
+      const label = document.createElement('span');
+      label.className = 'gallery-tile-media gallery-tile-audio';
+      label.textContent = 'Commentary';
+      tile.classList.add(AUDIO_CLASS);
+      tile.appendChild(label);
+    } else {
+      const image = document.createElement('img');
+      image.className = 'gallery-tile-media';
+      image.loading = 'lazy';
+      image.alt = '';
+      image.draggable = false;
+      image.src = capture.url;
+      tile.appendChild(image);
+    }
+
+    return tile;
+  }
+
+  /**
+   * Show the selected capture, playing recordings and commentary inline
+   * @private
+   */
+  _renderViewer() {
+    const { galleryPanel, galleryViewerImage, galleryViewerVideo, galleryNameInput } = this.elements;
+    const capture = this._getSelectedCapture();
+
+    galleryPanel?.classList.toggle(HAS_SELECTION_CLASS, Boolean(capture));
+
+    if (!capture) {
+      this._stopPlayback();
+      galleryViewerImage?.removeAttribute('src');
+      this._renderMarkers(null);
+      if (galleryNameInput) galleryNameInput.value = '';
+      return;
+    }
+
+    const isVideo = capture.type === 'video';
+    // The video element plays audio-only files too
+    const isPlayable = isVideo || capture.type === 'audio';
+    if (galleryViewerImage) {
+      galleryViewerImage.hidden = isPlayable;
+      if (isPlayable) {
+        galleryViewerImage.removeAttribute('src');
+      } else if (galleryViewerImage.getAttribute('src') !== capture.url) {
+        galleryViewerImage.src = capture.url;
+      }
+    }
+
+    if (galleryViewerVideo) {
+      galleryViewerVideo.hidden = !isPlayable;
+      if (!isPlayable) {
+        this._stopPlayback();
+      } else if (galleryViewerVideo.getAttribute('src') !== capture.url) {
+        galleryViewerVideo.src = capture.url;
+      }
+    }
+
+    this._renderMarkers(isVideo ? capture : null);
+
+    if (galleryNameInput && document.activeElement !== galleryNameInput) {
+      galleryNameInput.value = capture.name;
+    }
+  }
+
+  /**
+   * List the markers of the selected recording, each seeking the player
+   * @param {Object|null} capture - Selected recording, or null to clear the list
+   * @private
+   */
+  _renderMarkers(capture) {
+    const list = this.elements.galleryViewerMarkers;
+    if (!list) return;
+
+    const markers = capture?.markers ?? [];
+    list.hidden = markers.length === 0;
+    list.replaceChildren(...markers.map(({ timeMs, label }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'gallery-marker';
+      button.dataset.timeMs = String(timeMs);
+      button.title = `Go to ${label}`;
+
+      const time = document.createElement('span');
+      time.className = 'gallery-marker-time';
+      time.textContent = formatDuration(timeMs);
+      button.append(time, label);
+      return button;
+    }));
+  }
+
+  /**
+   * Stop inline playback and release the file
+   * @private
+   */
+  _stopPlayback() {
+    const video = this.elements?.galleryViewerVideo;
+    if (!video?.hasAttribute('src')) return;
+
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+  }
+
+  _getSelectedCapture() {
+    return this.captures.find(capture => capture.filePath === this.selectedPath) ?? null;
+  }
+
+  _publishStatus(message, type) {
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, type ? { message, type } : { message });
+  }
+
+  /**
+   * Refresh after capture events, coalescing bursts (e.g. ready then saved)
+   * Hidden panels reload when they are next shown instead.
+   * @private
+   */
+  _scheduleRefresh() {
+    if (!this.isVisible) return;
+
+    this._clearRefreshTimeout();
+    this._refreshTimeout = setTimeout(() => {
+      this._refreshTimeout = null;
+      this.refresh();
+    }, REFRESH_DEBOUNCE_MS);
+  }
+
+  _clearRefreshTimeout() {
+    if (this._refreshTimeout) {
+      clearTimeout(this._refreshTimeout);
+      this._refreshTimeout = null;
+    }
+  }
+
+  /**
+   * Schedule position update with debounce
+   * @private
+   */
+  _schedulePositionUpdate() {
+    if (this._resizeTimeout) {
+      clearTimeout(this._resizeTimeout);
+    }
+
+    this._resizeTimeout = setTimeout(() => {
+      this._resizeTimeout = null;
+      this._updatePanelPosition();
+    }, RESIZE_DEBOUNCE_MS);
+  }
+
+  /**
+   * Align the panel with the toolbar, like the notes panel
+   * @private
+   */
+  _updatePanelPosition() {
+    if (!this.elements?.galleryPanel) return;
+
+    const toolbar = document.getElementById(DOMSelectors.STREAM_TOOLBAR);
+    if (!toolbar) return;
+
+    const toolbarRect = toolbar.getBoundingClientRect();
+    const gap = 16;
+
+    this.elements.galleryPanel.style.setProperty('--gallery-panel-left', `${Math.round(toolbarRect.right + gap)}px`);
+    this.elements.galleryPanel.style.setProperty('--gallery-panel-top', `${Math.round(toolbarRect.top)}px`);
+  }
+
+  /**
+   * Subscribe to external events
+   * @private
+   */
+  _subscribeToEvents() {
+    for (const channel of REFRESH_EVENTS) {
+      this._eventSubscriptions.push(this.eventBus.subscribe(channel, () => this._scheduleRefresh()));
+    }
+
+    // Side panels share the same spot - make way for another one
+    this._eventSubscriptions.push(this.eventBus.subscribe(EventChannels.UI.SIDE_PANEL_OPENED, ({ panel } = {}) => {
+      if (panel !== PANEL_NAME && this.isVisible) {
+        this.hide();
+      }
+    }));
+  }
+
+  /**
+   * Cleanup resources
+   */
+  dispose() {
+    this._clearRefreshTimeout();
+    if (this._resizeTimeout) {
+      clearTimeout(this._resizeTimeout);
+      this._resizeTimeout = null;
+    }
+
+    this._stopPlayback();
+    this._domListeners.removeAll();
+
+    this._eventSubscriptions.forEach(unsubscribe => {
+      try {
+        unsubscribe();
+      } catch (error) {
+        this.logger?.warn('Error unsubscribing from event', error);
+      }
+    });
+    this._eventSubscriptions = [];
+
+    // Ignore refreshes still in flight
+    this._refreshToken++;
+    this.elements = null;
+    this.captures = [];
+    this.selectedPath = null;
+    this.isVisible = false;
+  }
+}
+
+export { CaptureGalleryPanelComponent };
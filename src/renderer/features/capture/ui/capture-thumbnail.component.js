@@ -0,0 +1,113 @@
+/**
+ * Capture Thumbnail Component
+ *
+ * Toolbar thumbnail of the latest saved capture. Dragging it out of the
+ * window hands the saved file to the OS as a native file drag.
+ */
+
+import { createDomListenerManager } from '@shared/base/dom-listener.utils.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+
+// Capture kinds saved as images that can be previewed directly
+const IMAGE_KINDS = new Set(['screenshot', 'clip']);
+const VIDEO_CLASS = 'is-video';
+
+class CaptureThumbnailComponent {
+  constructor({ eventBus, logger }) {
+    this.eventBus = eventBus;
+    this.logger = logger;
+
+    this.elements = null;
+    this.filePath = null;
+    this._objectUrl = null;
+
+    this._domListeners = createDomListenerManager({ logger });
+  }
+
+  /**
+   * Initialize component with DOM elements
+   * @param {Object} elements - { captureThumbnail, captureThumbnailImage }
+   */
+  initialize(elements) {
+    this.elements = {
+      captureThumbnail: elements.captureThumbnail,
+      captureThumbnailImage: elements.captureThumbnailImage
+    };
+
+    if (!this.elements.captureThumbnail) {
+      this.logger?.warn('Capture thumbnail element not found');
+      return;
+    }
+
+    this._domListeners.add(this.elements.captureThumbnail, 'dragstart', (e) => this._handleDragStart(e));
+  }
+
+  /**
+   * Show the latest saved capture
+   * @param {Object} capture
+   * @param {string} capture.kind - Capture kind (screenshot, clip, recording, replay)
+   * @param {string} capture.filePath - Saved file path
+   * @param {Blob} [capture.blob] - Capture data, used as the preview for images
+   */
+  show({ kind, filePath, blob } = {}) {
+    const { captureThumbnail, captureThumbnailImage } = this.elements ?? {};
+    if (!captureThumbnail || !filePath) {
+      return;
+    }
+
+    this.filePath = filePath;
+    this._revokeObjectUrl();
+
+    const isImage = IMAGE_KINDS.has(kind) && blob instanceof Blob;
+    if (isImage) {
+      this._objectUrl = URL.createObjectURL(blob);
+      captureThumbnail.classList.remove(VIDEO_CLASS);
+    } else {
+      captureThumbnail.classList.add(VIDEO_CLASS);
+    }
+
+    if (captureThumbnailImage) {
+      if (this._objectUrl) {
+        captureThumbnailImage.src = this._objectUrl;
+      } else {
+        captureThumbnailImage.removeAttribute('src');
+      }
+    }
+
+    const name = filePath.split(/[\\/]/).pop();
+    captureThumbnail.title = `${name} - drag to share`;
+    captureThumbnail.setAttribute('aria-label', `Latest capture: ${name}`);
+    captureThumbnail.hidden = false;
+  }
+
+  /**
+   * Hand the drag to the main process, which starts a native file drag
+   * @private
+   */
+  _handleDragStart(e) {
+    e.preventDefault();
+
+    if (!this.filePath) {
+      return;
+    }
+
+    this.eventBus.publish(EventChannels.UI.CAPTURE_DRAG_REQUESTED, { filePath: this.filePath });
+  }
+
+  _revokeObjectUrl() {
+    if (this._objectUrl) {
+      URL.revokeObjectURL(this._objectUrl);
+      this._objectUrl = null;
+    }
+  }
+
+  /**
+   * Cleanup listeners and the preview URL
+   */
+  dispose() {
+    this._domListeners.removeAll();
+    this._revokeObjectUrl();
+  }
+}
+
+export { CaptureThumbnailComponent };
@@ -0,0 +1,573 @@
+/**
+ * Capture Trim Editor Component
+ *
+ * Modal player shown for recordings held for review. The user sets in and out
+ * points on a timeline of frame thumbnails, then saves the range or discards
+ * the take. Markers dropped while recording show on the timeline and seek to
+ * their position when clicked. The decision goes back to the capture orchestrator as
+ * 'ui:recording-review-finished'. Recordings that finish while the editor is
+ * open wait their turn.
+ */
+
+import { createDomListenerManager } from '@shared/base/dom-listener.utils.js';
+import { CSSClasses } from '@shared/config/css-classes.config.js';
+import { RECORDING_REVIEW } from '@shared/config/constants.config.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+
+// Large enough to land past the end of any recording
+const SEEK_TO_END_SECONDS = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Format a time for the in/out labels
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} m:ss.t
+ */
+function formatTime(ms) {
+  const tenths = Math.floor(Math.max(0, ms) / 100);
+  const minutes = Math.floor(tenths / 600);
+  const seconds = String(Math.floor(tenths / 10) % 60).padStart(2, '0');
+  return `${minutes}:${seconds}.${tenths % 10}`;
+}
+
+/**
+ * Wait for a media element event
+ * @param {HTMLMediaElement} element
+ * @param {string} type - Event to wait for
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<boolean>} True if the event fired, false on error or timeout
+ * @private
+ */
+function waitForMediaEvent(element, type, timeoutMs) {
+  return new Promise((resolve) => {
+    const finish = (fired) => {
+      clearTimeout(timeout);
+      element.removeEventListener(type, onEvent);
+      element.removeEventListener('error', onError);
+      resolve(fired);
+    };
+    const onEvent = () => finish(true);
+    const onError = () => finish(false);
+    const timeout = setTimeout(() => finish(false), timeoutMs);
+
+    element.addEventListener(type, onEvent);
+    element.addEventListener('error', onError);
+  });
+}
+
+class CaptureTrimEditorComponent {
+  constructor({ eventBus, logger }) {
+    this.eventBus = eventBus;
+    this.logger = logger;
+
+    // Review on screen ({id, blob, filename, markers, url, durationMs}) and the ones waiting
+    this.current = null;
+    this._queue = [];
+
+    // Selected range in milliseconds
+    this.inMs = 0;
+    this.outMs = 0;
+
+    // MediaRecorder WebM has no duration until the player has seen the end
+    this._seekingToEnd = false;
+    // Bumped when the review changes so stale thumbnail work stops
+    this._thumbnailToken = 0;
+
+    this._domListeners = createDomListenerManager({ logger });
+  }
+
+  /**
+   * Initialize component with DOM elements
+   * @param {Object} elements - DOM element references
+   */
+  initialize(elements) {
+    this.elements = {
+      trimEditor: elements.trimEditor,
+      trimEditorFilename: elements.trimEditorFilename,
+      trimEditorVideo: elements.trimEditorVideo,
+      trimEditorTimeline: elements.trimEditorTimeline,
+      trimEditorThumbnails: elements.trimEditorThumbnails,
+      trimEditorMarkers: elements.trimEditorMarkers,
+      trimEditorSelection: elements.trimEditorSelection,
+      trimEditorPlayhead: elements.trimEditorPlayhead,
+      trimEditorIn: elements.trimEditorIn,
+      trimEditorOut: elements.trimEditorOut,
+      trimEditorInTime: elements.trimEditorInTime,
+      trimEditorOutTime: elements.trimEditorOutTime,
+      trimEditorLength: elements.trimEditorLength,
+      trimEditorSetInBtn: elements.trimEditorSetInBtn,
+      trimEditorSetOutBtn: elements.trimEditorSetOutBtn,
+      trimEditorPlayBtn: elements.trimEditorPlayBtn,
+      trimEditorDiscardBtn: elements.trimEditorDiscardBtn,
+      trimEditorSaveBtn: elements.trimEditorSaveBtn
+    };
+
+    if (!this.elements.trimEditor || !this.elements.trimEditorVideo) {
+      this.logger?.warn('Trim editor elements not found');
+      return;
+    }
+
+    this._setupPlayer();
+    this._setupTimeline();
+    this._setupActions();
+
+    this.logger?.debug('CaptureTrimEditorComponent initialized');
+  }
+
+  /**
+   * Show a recording for review, or queue it behind the one on screen
+   * @param {{id: number, blob: Blob, filename: string, markers?: Array}} review - From 'ui:recording-review'
+   */
+  open(review) {
+    if (!this.elements?.trimEditor) {
+      this.logger?.warn('Trim editor unavailable - saving the recording as is');
+      this.eventBus.publish(EventChannels.UI.RECORDING_REVIEW_FINISHED, { id: review.id, action: 'save' });
+      return;
+    }
+
+    if (this.current) {
+      this._queue.push(review);
+      return;
+    }
+
+    this._show(review);
+  }
+
+  /**
+   * Check if the editor is showing a recording
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.current !== null;
+  }
+
+  /**
+   * Save the recording, trimmed to the selected range if it is not the whole take
+   */
+  save() {
+    if (!this.current) return;
+
+    const { id, durationMs } = this.current;
+    const trimmed = durationMs > 0 && (this.inMs > 0 || this.outMs < durationMs);
+
+    this._finish(trimmed
+      ? { id, action: 'save', startMs: this.inMs, endMs: this.outMs }
+      : { id, action: 'save' });
+  }
+
+  /**
+   * Drop the recording without saving it
+   */
+  discard() {
+    if (!this.current) return;
+
+    this._finish({ id: this.current.id, action: 'discard' });
+  }
+
+  /**
+   * Move the in point, keeping the minimum range length
+   * @param {number} ms - New in point
+   */
+  setIn(ms) {
+    if (!this.current?.durationMs) return;
+
+    this.inMs = Math.round(Math.min(Math.max(0, ms), this.outMs - RECORDING_REVIEW.MIN_LENGTH_MS));
+    this._seek(this.inMs);
+    this._renderRange();
+  }
+
+  /**
+   * Move the out point, keeping the minimum range length
+   * @param {number} ms - New out point
+   */
+  setOut(ms) {
+    if (!this.current?.durationMs) return;
+
+    this.outMs = Math.round(Math.max(Math.min(this.current.durationMs, ms), this.inMs + RECORDING_REVIEW.MIN_LENGTH_MS));
+    this._seek(this.outMs);
+    this._renderRange();
+  }
+
+  /**
+   * @param {{id: number, blob: Blob, filename: string, markers?: Array}} review
+   * @private
+   */
+  _show(review) {
+    const { trimEditor, trimEditorFilename, trimEditorVideo } = this.elements;
+
+    this.current = { ...review, markers: review.markers ?? [], url: URL.createObjectURL(review.blob), durationMs: 0 };
+    this.inMs = 0;
+    this.outMs = 0;
+    this._seekingToEnd = false;
+    this._thumbnailToken++;
+    this._renderRange();
+    this._renderMarkers();
+
+    if (trimEditorFilename) {
+      trimEditorFilename.textContent = review.filename;
+    }
+    trimEditorVideo.src = this.current.url;
+
+    trimEditor.classList.add(CSSClasses.VISIBLE);
+    trimEditor.setAttribute('aria-hidden', 'false');
+    this.elements.trimEditorSaveBtn?.focus();
+
+    this.logger?.debug('Reviewing recording:', review.filename);
+  }
+
+  /**
+   * Publish the decision and move on to the next queued recording
+   * @param {Object} decision - 'ui:recording-review-finished' payload
+   * @private
+   */
+  _finish(decision) {
+    this.eventBus.publish(EventChannels.UI.RECORDING_REVIEW_FINISHED, decision);
+    this._close();
+
+    if (this._queue.length > 0) {
+      this._show(this._queue.shift());
+    }
+  }
+
+  /**
+   * @private
+   */
+  _close() {
+    if (!this.current) return;
+
+    const { trimEditor, trimEditorVideo, trimEditorThumbnails, trimEditorMarkers } = this.elements;
+
+    trimEditorVideo.pause?.();
+    trimEditorVideo.removeAttribute('src');
+    URL.revokeObjectURL(this.current.url);
+    this.current = null;
+    this._thumbnailToken++;
+
+    if (trimEditorThumbnails) {
+      trimEditorThumbnails.replaceChildren();
+    }
+    trimEditorMarkers?.replaceChildren();
+    trimEditor.classList.remove(CSSClasses.VISIBLE);
+    trimEditor.setAttribute('aria-hidden', 'true');
+    this._renderPlayState();
+  }
+
+  /**
+   * Setup duration discovery, the playhead and stopping at the out point
+   * @private
+   */
+  _setupPlayer() {
+    const video = this.elements.trimEditorVideo;
+
+    this._domListeners.add(video, 'loadedmetadata', () => {
+      if (Number.isFinite(video.duration)) {
+        this._setDuration(video.duration * 1000);
+        return;
+      }
+
+      // Seeking past the end makes the player scan the file and report the duration
+      this._seekingToEnd = true;
+      video.currentTime = SEEK_TO_END_SECONDS;
+    });
+
+    this._domListeners.add(video, 'durationchange', () => {
+      if (!this._seekingToEnd || !Number.isFinite(video.duration)) return;
+
+      this._seekingToEnd = false;
+      video.currentTime = 0;
+      this._setDuration(video.duration * 1000);
+    });
+
+    this._domListeners.add(video, 'timeupdate', () => {
+      const positionMs = video.currentTime * 1000;
+      if (!video.paused && this.current?.durationMs && positionMs >= this.outMs) {
+        video.pause();
+      }
+      this._renderPlayhead();
+    });
+
+    this._domListeners.add(video, 'play', () => this._renderPlayState());
+    this._domListeners.add(video, 'pause', () => this._renderPlayState());
+  }
+
+  /**
+   * Setup in/out handles and click-to-seek on the thumbnails and markers
+   * @private
+   */
+  _setupTimeline() {
+    const { trimEditorIn, trimEditorOut, trimEditorThumbnails, trimEditorMarkers } = this.elements;
+
+    if (trimEditorIn) {
+      this._domListeners.add(trimEditorIn, 'input', () => this.setIn(Number(trimEditorIn.value)));
+    }
+
+    if (trimEditorOut) {
+      this._domListeners.add(trimEditorOut, 'input', () => this.setOut(Number(trimEditorOut.value)));
+    }
+
+    if (trimEditorThumbnails) {
+      this._domListeners.add(trimEditorThumbnails, 'click', (e) => {
+        if (!this.current?.durationMs) return;
+
+        const rect = trimEditorThumbnails.getBoundingClientRect();
+        if (rect.width <= 0) return;
+
+        const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        this._seek(fraction * this.current.durationMs);
+      });
+    }
+
+    if (trimEditorMarkers) {
+      this._domListeners.add(trimEditorMarkers, 'click', (e) => {
+        const tick = e.target.closest('.trim-editor-marker');
+        if (tick && this.current) {
+          this._seek(Number(tick.dataset.timeMs));
+        }
+      });
+    }
+  }
+
+  /**
+   * Setup playback, in/out and save/discard buttons
+   * @private
+   */
+  _setupActions() {
+    const {
+      trimEditorSetInBtn,
+      trimEditorSetOutBtn,
+      trimEditorPlayBtn,
+      trimEditorDiscardBtn,
+      trimEditorSaveBtn,
+      trimEditorVideo
+    } = this.elements;
+
+    if (trimEditorSetInBtn) {
+      this._domListeners.add(trimEditorSetInBtn, 'click', () => this.setIn(trimEditorVideo.currentTime * 1000));
+    }
+
+    if (trimEditorSetOutBtn) {
+      this._domListeners.add(trimEditorSetOutBtn, 'click', () => this.setOut(trimEditorVideo.currentTime * 1000));
+    }
+
+    if (trimEditorPlayBtn) {
+      this._domListeners.add(trimEditorPlayBtn, 'click', () => this._togglePlayback());
+    }
+
+    if (trimEditorDiscardBtn) {
+      this._domListeners.add(trimEditorDiscardBtn, 'click', () => this.discard());
+    }
+
+    if (trimEditorSaveBtn) {
+      this._domListeners.add(trimEditorSaveBtn, 'click', () => this.save());
+    }
+  }
+
+  /**
+   * Play the selected range from the playhead (or its start), or pause
+   * @private
+   */
+  _togglePlayback() {
+    const video = this.elements.trimEditorVideo;
+    if (!this.current) return;
+
+    if (!video.paused) {
+      video.pause();
+      return;
+    }
+
+    const positionMs = video.currentTime * 1000;
+    if (this.current.durationMs && (positionMs < this.inMs || positionMs >= this.outMs)) {
+      video.currentTime = this.inMs / 1000;
+    }
+
+    video.play()?.catch?.((error) => {
+      this.logger?.debug('Trim editor playback failed:', error.message);
+    });
+  }
+
+  /**
+   * @param {number} ms - Recording length
+   * @private
+   */
+  _setDuration(ms) {
+    if (!this.current || !(ms > 0)) return;
+
+    this.current.durationMs = ms;
+    this.inMs = 0;
+    this.outMs = Math.round(ms);
+
+    for (const handle of [this.elements.trimEditorIn, this.elements.trimEditorOut]) {
+      if (handle) {
+        handle.max = String(Math.round(ms));
+        handle.disabled = false;
+      }
+    }
+
+    this._renderRange();
+    this._renderMarkers();
+    this._generateThumbnails();
+  }
+
+  /**
+   * Move the playhead
+   * @param {number} ms
+   * @private
+   */
+  _seek(ms) {
+    this.elements.trimEditorVideo.currentTime = ms / 1000;
+    this._renderPlayhead();
+  }
+
+  /**
+   * Draw evenly spaced frames along the timeline
+   * A second video element is used so the player keeps its position.
+   * @private
+   */
+  async _generateThumbnails() {
+    const strip = this.elements.trimEditorThumbnails;
+    if (!strip || !this.current) return;
+
+    const token = ++this._thumbnailToken;
+    const { url, durationMs } = this.current;
+    const count = RECORDING_REVIEW.THUMBNAIL_COUNT;
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.src = url;
+
+    try {
+      if (!await waitForMediaEvent(video, 'loadeddata', RECORDING_REVIEW.SEEK_TIMEOUT_MS)) {
+        return;
+      }
+
+      const height = RECORDING_REVIEW.THUMBNAIL_HEIGHT;
+      const width = video.videoHeight > 0 ? Math.round(height * video.videoWidth / video.videoHeight) : height;
+
+      for (let i = 0; i < count; i++) {
+        if (token !== this._thumbnailToken) return;
+
+        video.currentTime = (durationMs * (i + 0.5) / count) / 1000;
+        const seeked = await waitForMediaEvent(video, 'seeked', RECORDING_REVIEW.SEEK_TIMEOUT_MS);
+        if (token !== this._thumbnailToken) return;
+
+        const canvas = document.createElement('canvas');
+        canvas.className = 'trim-editor-thumbnail';
+        canvas.width = width;
+        canvas.height = height;
+        if (seeked) {
+          canvas.getContext('2d')?.drawImage(video, 0, 0, width, height);
+        }
+        strip.appendChild(canvas);
+      }
+    } catch (error) {
+      this.logger?.debug('Trim editor thumbnails failed:', error.message);
+    } finally {
+      video.removeAttribute('src');
+    }
+  }
+
+  /**
+   * Update handles, selection band and time labels
+   * @private
+   */
+  _renderRange() {
+    const {
+      trimEditorIn,
+      trimEditorOut,
+      trimEditorSelection,
+      trimEditorInTime,
+      trimEditorOutTime,
+      trimEditorLength
+    } = this.elements;
+    const durationMs = this.current?.durationMs ?? 0;
+
+    if (trimEditorIn) {
+      trimEditorIn.value = String(this.inMs);
+      if (!durationMs) trimEditorIn.disabled = true;
+    }
+    if (trimEditorOut) {
+      trimEditorOut.value = String(this.outMs);
+      if (!durationMs) trimEditorOut.disabled = true;
+    }
+
+    if (trimEditorSelection) {
+      const left = durationMs ? (this.inMs / durationMs) * 100 : 0;
+      const width = durationMs ? ((this.outMs - this.inMs) / durationMs) * 100 : 100;
+      trimEditorSelection.style.left = `${left}%`;
+      trimEditorSelection.style.width = `${width}%`;
+    }
+
+    if (trimEditorInTime) trimEditorInTime.textContent = formatTime(this.inMs);
+    if (trimEditorOutTime) trimEditorOutTime.textContent = formatTime(this.outMs);
+    if (trimEditorLength) {
+      trimEditorLength.textContent = durationMs ? `${formatTime(this.outMs - this.inMs)} of ${formatTime(durationMs)}` : '';
+    }
+
+    this._renderPlayhead();
+  }
+
+  /**
+   * Place a tick on the timeline for each marker that clicks through to it
+   * Ticks need the duration, so none show until it is known.
+   * @private
+   */
+  _renderMarkers() {
+    const strip = this.elements.trimEditorMarkers;
+    if (!strip) return;
+
+    strip.replaceChildren();
+
+    const durationMs = this.current?.durationMs;
+    if (!durationMs) return;
+
+    for (const { timeMs, label } of this.current.markers) {
+      if (timeMs > durationMs) continue;
+
+      const tick = document.createElement('button');
+      tick.type = 'button';
+      tick.className = 'trim-editor-marker';
+      tick.style.left = `${(timeMs / durationMs) * 100}%`;
+      tick.title = `${formatTime(timeMs)} ${label}`;
+      tick.dataset.timeMs = String(timeMs);
+      tick.setAttribute('aria-label', `Go to marker ${label} at ${formatTime(timeMs)}`);
+      strip.appendChild(tick);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _renderPlayhead() {
+    const { trimEditorPlayhead, trimEditorVideo } = this.elements;
+    const durationMs = this.current?.durationMs;
+    if (!trimEditorPlayhead) return;
+
+    const fraction = durationMs ? Math.min(1, (trimEditorVideo.currentTime * 1000) / durationMs) : 0;
+    trimEditorPlayhead.style.left = `${fraction * 100}%`;
+  }
+
+  /**
+   * @private
+   */
+  _renderPlayState() {
+    const { trimEditorPlayBtn, trimEditorVideo } = this.elements;
+    if (trimEditorPlayBtn) {
+      trimEditorPlayBtn.textContent = this.current && !trimEditorVideo.paused ? 'Pause' : 'Play';
+    }
+  }
+
+  /**
+   * Cleanup resources
+   * A recording still on screen is left to the orchestrator, which drops held takes on cleanup.
+   */
+  dispose() {
+    if (this.elements?.trimEditor) {
+      this._close();
+    }
+    this._queue = [];
+    this._domListeners.removeAll();
+    this.elements = null;
+  }
+}
+
+export { CaptureTrimEditorComponent };
@@ -0,0 +1,155 @@
+/**
+ * APNG Encoder
+ *
+ * Animated PNG encoder for indexed clips (color type 3 with a PLTE chunk).
+ * Later frames only carry the region that changed. Compression uses the
+ * platform zlib via CompressionStream.
+ */
+
+import { ByteWriter, collapseFrames, cropAndScale } from './capture-clip-frames.utils.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/** fcTL delays are stored as a fraction; milliseconds keep full precision */
+const DELAY_DENOMINATOR = 1000;
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param {Uint8Array} bytes - Chunk type + data
+ * @returns {number} Unsigned CRC
+ * @private
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Append a PNG chunk (length, type, data, CRC)
+ * @param {ByteWriter} writer - Output
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @private
+ */
+function writeChunk(writer, type, data) {
+  const body = new ByteWriter(data.length + 4);
+  body.ascii(type);
+  body.bytes(data);
+  const bytes = body.toBytes();
+
+  writer.u32be(data.length);
+  writer.bytes(bytes);
+  writer.u32be(crc32(bytes));
+}
+
+/**
+ * zlib-compress bytes
+ * @param {Uint8Array} data - Raw bytes
+ * @returns {Promise<Uint8Array>} zlib stream
+ * @private
+ */
+async function deflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Prefix each row with filter type 0 (None) - best fit for palette images
+ * @param {Uint8Array} indices - Row-major indices
+ * @param {number} width - Row width
+ * @param {number} height - Row count
+ * @returns {Uint8Array} Filtered scanlines
+ * @private
+ */
+function toScanlines(indices, width, height) {
+  const scanlines = new Uint8Array((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    scanlines.set(indices.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+  }
+  return scanlines;
+}
+
+/**
+ * Encode an animated PNG
+ * @param {Object} options
+ * @param {number} options.width - Native frame width
+ * @param {number} options.height - Native frame height
+ * @param {Uint8Array} options.palette - RGB triplets
+ * @param {number} options.paletteSize - Number of palette entries
+ * @param {Array<{indices: Uint8Array, delayMs: number}>} options.frames - Indexed frames
+ * @param {number} [options.scale=1] - Integer upscale factor
+ * @returns {Promise<Uint8Array>} APNG file contents
+ */
+export async function encodeApng({ width, height, palette, paletteSize, frames, scale = 1 }) {
+  if (!frames.length) {
+    throw new Error('No frames to encode');
+  }
+
+  const collapsed = collapseFrames(frames, width, height);
+  const writer = new ByteWriter();
+  writer.bytes(PNG_SIGNATURE);
+
+  const header = new ByteWriter(13);
+  header.u32be(width * scale);
+  header.u32be(height * scale);
+  header.bytes([8, 3, 0, 0, 0]); // 8-bit, indexed color, deflate, no filter variants, no interlace
+  writeChunk(writer, 'IHDR', header.toBytes());
+
+  const animation = new ByteWriter(8);
+  animation.u32be(collapsed.length);
+  animation.u32be(0); // Loop forever
+  writeChunk(writer, 'acTL', animation.toBytes());
+
+  writeChunk(writer, 'PLTE', palette.subarray(0, paletteSize * 3));
+
+  let sequence = 0;
+
+  for (let i = 0; i < collapsed.length; i++) {
+    const { rect, indices, delayMs } = collapsed[i];
+    const frameWidth = rect.width * scale;
+    const frameHeight = rect.height * scale;
+
+    const control = new ByteWriter(26);
+    control.u32be(sequence++);
+    control.u32be(frameWidth);
+    control.u32be(frameHeight);
+    control.u32be(rect.x * scale);
+    control.u32be(rect.y * scale);
+    control.u16be(Math.min(0xffff, Math.max(1, Math.round(delayMs))));
+    control.u16be(DELAY_DENOMINATOR);
+    control.bytes([0, 0]); // Dispose: none, blend: source
+    writeChunk(writer, 'fcTL', control.toBytes());
+
+    const data = await deflate(toScanlines(cropAndScale(indices, width, rect, scale), frameWidth, frameHeight));
+
+    // The first frame doubles as the default image for non-animated viewers
+    if (i === 0) {
+      writeChunk(writer, 'IDAT', data);
+    } else {
+      const frameData = new ByteWriter(data.length + 4);
+      frameData.u32be(sequence++);
+      frameData.bytes(data);
+      writeChunk(writer, 'fdAT', frameData.toBytes());
+    }
+  }
+
+  writeChunk(writer, 'IEND', new Uint8Array(0));
+
+  return writer.toBytes();
+}
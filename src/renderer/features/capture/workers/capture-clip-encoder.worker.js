@@ -0,0 +1,65 @@
+/**
+ * Clip Encoder Worker
+ *
+ * Encodes captured clip frames off the main thread:
+ * - Builds one RGB555-snapped palette for the whole clip
+ * - Indexes every frame against it
+ * - Writes a looping GIF or APNG at the requested integer scale
+ */
+
+import {
+  ClipWorkerMessageType,
+  ClipWorkerResponseType,
+  createClipWorkerResponse
+} from './capture-clip-protocol.config.js';
+import { buildHistogram, buildPalette, indexFrame } from './capture-clip-palette.utils.js';
+import { encodeGif } from './capture-clip-gif.utils.js';
+import { encodeApng } from './capture-clip-apng.utils.js';
+
+/**
+ * Encode RGBA frames into the requested format
+ * @param {import('./capture-clip-protocol.config.js').ClipEncodePayload} payload
+ * @returns {Promise<{bytes: Uint8Array, colors: number}>}
+ */
+async function encodeClip({ format, width, height, scale, frames }) {
+  const rgbaFrames = frames.map(frame => new Uint8Array(frame.data));
+  const palette = buildPalette(buildHistogram(rgbaFrames));
+
+  const options = {
+    width,
+    height,
+    scale,
+    palette: palette.colors,
+    paletteSize: palette.size,
+    frames: rgbaFrames.map((rgba, i) => ({
+      indices: indexFrame(rgba, palette.lookup),
+      delayMs: frames[i].delayMs
+    }))
+  };
+
+  const bytes = format === 'apng' ? await encodeApng(options) : encodeGif(options);
+  return { bytes, colors: palette.size };
+}
+
+self.onmessage = async (event) => {
+  const { type, payload } = event.data || {};
+
+  if (type !== ClipWorkerMessageType.ENCODE) {
+    self.postMessage(createClipWorkerResponse(ClipWorkerResponseType.ERROR, {
+      message: `Unknown message type: ${type}`
+    }));
+    return;
+  }
+
+  try {
+    const { bytes, colors } = await encodeClip(payload);
+    self.postMessage(
+      createClipWorkerResponse(ClipWorkerResponseType.DONE, { buffer: bytes.buffer, colors }),
+      [bytes.buffer]
+    );
+  } catch (error) {
+    self.postMessage(createClipWorkerResponse(ClipWorkerResponseType.ERROR, {
+      message: error.message || 'Clip encoding failed'
+    }));
+  }
+};
@@ -0,0 +1,165 @@
+/**
+ * Clip Frame Utilities
+ *
+ * Shared frame preparation for the GIF and APNG encoders: drop repeated
+ * frames, crop each frame to the region that changed, and upscale indices
+ * with nearest-neighbor so pixels stay crisp.
+ */
+
+/**
+ * Find the bounding box of pixels that differ between two frames
+ * @param {Uint8Array} previous - Previous frame indices
+ * @param {Uint8Array} current - Current frame indices
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {{x: number, y: number, width: number, height: number}|null} Changed region, or null if identical
+ */
+export function getChangedRect(previous, current, width, height) {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      if (previous[row + x] !== current[row + x]) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        maxY = y;
+      }
+    }
+  }
+
+  if (maxX === -1) {
+    return null;
+  }
+
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Merge repeated frames and attach the changed region to each frame
+ * The first frame always covers the full image.
+ * @param {Array<{indices: Uint8Array, delayMs: number}>} frames - Indexed frames
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {Array<{indices: Uint8Array, delayMs: number, rect: Object}>} Frames to encode
+ */
+export function collapseFrames(frames, width, height) {
+  const result = [];
+
+  for (const frame of frames) {
+    const last = result[result.length - 1];
+
+    if (!last) {
+      result.push({ ...frame, rect: { x: 0, y: 0, width, height } });
+      continue;
+    }
+
+    const rect = getChangedRect(last.indices, frame.indices, width, height);
+    if (!rect) {
+      // Nothing changed - extend the previous frame instead
+      last.delayMs += frame.delayMs;
+      continue;
+    }
+
+    result.push({ ...frame, rect });
+  }
+
+  return result;
+}
+
+/**
+ * Copy a region out of a frame and upscale it by an integer factor
+ * @param {Uint8Array} indices - Full frame indices
+ * @param {number} width - Full frame width
+ * @param {{x: number, y: number, width: number, height: number}} rect - Region to copy
+ * @param {number} scale - Integer upscale factor
+ * @returns {Uint8Array} Region indices at (rect.width * scale) x (rect.height * scale)
+ */
+export function cropAndScale(indices, width, rect, scale) {
+  const outWidth = rect.width * scale;
+  const output = new Uint8Array(outWidth * rect.height * scale);
+
+  for (let y = 0; y < rect.height; y++) {
+    const sourceRow = (rect.y + y) * width + rect.x;
+    const scaledRow = new Uint8Array(outWidth);
+
+    for (let x = 0; x < rect.width; x++) {
+      scaledRow.fill(indices[sourceRow + x], x * scale, (x + 1) * scale);
+    }
+
+    for (let repeat = 0; repeat < scale; repeat++) {
+      output.set(scaledRow, (y * scale + repeat) * outWidth);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Growable byte buffer for binary encoders
+ */
+export class ByteWriter {
+  constructor(initialSize = 64 * 1024) {
+    this._bytes = new Uint8Array(initialSize);
+    this.length = 0;
+  }
+
+  _ensure(extra) {
+    if (this.length + extra <= this._bytes.length) return;
+
+    let size = this._bytes.length * 2;
+    while (size < this.length + extra) size *= 2;
+
+    const grown = new Uint8Array(size);
+    grown.set(this._bytes.subarray(0, this.length));
+    this._bytes = grown;
+  }
+
+  byte(value) {
+    this._ensure(1);
+    this._bytes[this.length++] = value & 0xff;
+  }
+
+  /** Unsigned 16-bit little-endian (GIF) */
+  u16le(value) {
+    this.byte(value);
+    this.byte(value >> 8);
+  }
+
+  /** Unsigned 16-bit big-endian (PNG) */
+  u16be(value) {
+    this.byte(value >> 8);
+    this.byte(value);
+  }
+
+  /** Unsigned 32-bit big-endian (PNG) */
+  u32be(value) {
+    this.byte(value >>> 24);
+    this.byte(value >>> 16);
+    this.byte(value >>> 8);
+    this.byte(value);
+  }
+
+  bytes(data) {
+    this._ensure(data.length);
+    this._bytes.set(data, this.length);
+    this.length += data.length;
+  }
+
+  ascii(text) {
+    for (let i = 0; i < text.length; i++) {
+      this.byte(text.charCodeAt(i));
+    }
+  }
+
+  /**
+   * @returns {Uint8Array} Copy of the written bytes
+   */
+  toBytes() {
+    return this._bytes.slice(0, this.length);
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * GIF Encoder
+ *
+ * Minimal GIF89a encoder for indexed clips: one global palette, looping
+ * animation, and per-frame changed regions drawn over the previous frame.
+ */
+
+import { ByteWriter, collapseFrames, cropAndScale } from './capture-clip-frames.utils.js';
+
+/** GIF LZW codes are capped at 12 bits */
+const MAX_LZW_CODE = 4096;
+
+/** Browsers slow down delays below 2 centiseconds, so never emit them */
+const MIN_DELAY_CS = 2;
+
+// LZW dictionary keyed by (prefix code << 8 | index), reused across frames.
+// Generation stamps mark live entries so a clear code does not need a reset.
+let lzwCodes = null;
+let lzwStamps = null;
+let lzwGeneration = 0;
+
+/**
+ * Invalidate all dictionary entries
+ * @returns {number} Current generation stamp
+ * @private
+ */
+function nextLzwGeneration() {
+  if (!lzwCodes) {
+    lzwCodes = new Int16Array(MAX_LZW_CODE << 8);
+    lzwStamps = new Uint16Array(MAX_LZW_CODE << 8);
+  }
+
+  lzwGeneration++;
+  if (lzwGeneration > 0xffff) {
+    lzwStamps.fill(0);
+    lzwGeneration = 1;
+  }
+
+  return lzwGeneration;
+}
+
+/**
+ * Smallest bit depth that can address the palette (GIF minimum is 2)
+ * @param {number} size - Palette size
+ * @returns {number} Bits per index
+ */
+function paletteBits(size) {
+  let bits = 2;
+  while ((1 << bits) < size) bits++;
+  return bits;
+}
+
+/**
+ * Write image data as LZW-compressed sub-blocks
+ * @param {ByteWriter} writer - Output
+ * @param {Uint8Array} indices - Palette indices
+ * @param {number} minCodeSize - LZW minimum code size
+ * @private
+ */
+function writeLzw(writer, indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let generation = nextLzwGeneration();
+  const codes = lzwCodes;
+  const stamps = lzwStamps;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+
+  const block = new Uint8Array(255);
+  let blockLength = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const flushBlock = () => {
+    writer.byte(blockLength);
+    writer.bytes(block.subarray(0, blockLength));
+    blockLength = 0;
+  };
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block[blockLength++] = bitBuffer & 0xff;
+      if (blockLength === 255) flushBlock();
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writer.byte(minCodeSize);
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+
+    if (stamps[key] === generation) {
+      prefix = codes[key];
+      continue;
+    }
+
+    emit(prefix);
+
+    if (nextCode === MAX_LZW_CODE) {
+      emit(clearCode);
+      generation = nextLzwGeneration();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      stamps[key] = generation;
+      codes[key] = nextCode++;
+    }
+
+    prefix = index;
+  }
+
+  emit(prefix);
+  emit(endCode);
+
+  if (bitCount > 0) {
+    block[blockLength++] = bitBuffer & 0xff;
+    if (blockLength === 255) flushBlock();
+  }
+  if (blockLength > 0) flushBlock();
+
+  // Block terminator
+  writer.byte(0);
+}
+
+/**
+ * Encode an animated GIF
+ * @param {Object} options
+ * @param {number} options.width - Native frame width
+ * @param {number} options.height - Native frame height
+ * @param {Uint8Array} options.palette - RGB triplets
+ * @param {number} options.paletteSize - Number of palette entries
+ * @param {Array<{indices: Uint8Array, delayMs: number}>} options.frames - Indexed frames
+ * @param {number} [options.scale=1] - Integer upscale factor
+ * @returns {Uint8Array} GIF file contents
+ */
+export function encodeGif({ width, height, palette, paletteSize, frames, scale = 1 }) {
+  if (!frames.length) {
+    throw new Error('No frames to encode');
+  }
+
+  const writer = new ByteWriter();
+  const bits = paletteBits(paletteSize);
+
+  // Header + logical screen descriptor with global color table
+  writer.ascii('GIF89a');
+  writer.u16le(width * scale);
+  writer.u16le(height * scale);
+  writer.byte(0x80 | ((bits - 1) << 4) | (bits - 1));
+  writer.byte(0); // Background color index
+  writer.byte(0); // Pixel aspect ratio
+
+  const table = new Uint8Array((1 << bits) * 3);
+  table.set(palette.subarray(0, paletteSize * 3));
+  writer.bytes(table);
+
+  // Loop forever (NETSCAPE2.0 application extension)
+  writer.bytes([0x21, 0xff, 0x0b]);
+  writer.ascii('NETSCAPE2.0');
+  writer.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+  // Delays are rounded on the running total so rounding error does not drift
+  let elapsedMs = 0;
+
+  for (const frame of collapseFrames(frames, width, height)) {
+    const startCs = Math.round(elapsedMs / 10);
+    elapsedMs += frame.delayMs;
+    const delayCs = Math.max(MIN_DELAY_CS, Math.round(elapsedMs / 10) - startCs);
+
+    // Graphic control extension: keep previous frame underneath (disposal 1)
+    writer.bytes([0x21, 0xf9, 0x04, 0x04]);
+    writer.u16le(delayCs);
+    writer.bytes([0x00, 0x00]);
+
+    const { rect } = frame;
+    writer.byte(0x2c);
+    writer.u16le(rect.x * scale);
+    writer.u16le(rect.y * scale);
+    writer.u16le(rect.width * scale);
+    writer.u16le(rect.height * scale);
+    writer.byte(0); // No local color table, not interlaced
+
+    writeLzw(writer, cropAndScale(frame.indices, width, rect, scale), bits);
+  }
+
+  // Trailer
+  writer.byte(0x3b);
+
+  return writer.toBytes();
+}
@@ -0,0 +1,223 @@
+/**
+ * Clip Palette Quantization
+ *
+ * Builds a shared indexed palette for GIF/APNG clips.
+ *
+ * Game Boy Color output is 15-bit (RGB555) with only a few dozen colors on
+ * screen, so every pixel is snapped to RGB555 first. That removes capture noise
+ * and almost always leaves an exact palette of <= 256 colors. Noisier sources
+ * (shader presets, scaled captures) fall back to a weighted median cut.
+ */
+
+/** Maximum palette size for GIF and indexed PNG */
+export const MAX_PALETTE_COLORS = 256;
+
+/** Number of distinct RGB555 colors */
+const RGB555_COLORS = 1 << 15;
+
+/**
+ * Pack 8-bit RGB into an RGB555 key
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number} RGB555 key (0-32767)
+ */
+export function toRgb555(r, g, b) {
+  return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+/**
+ * Expand a 5-bit channel to 8 bits (replicates high bits so 31 maps to 255)
+ * @param {number} value - 5-bit channel
+ * @returns {number} 8-bit channel
+ */
+function expand5(value) {
+  return (value << 3) | (value >> 2);
+}
+
+/**
+ * Count RGB555 colors across all frames
+ * @param {Uint8Array[]} frames - RGBA frame buffers
+ * @returns {Uint32Array} Histogram indexed by RGB555 key
+ */
+export function buildHistogram(frames) {
+  const histogram = new Uint32Array(RGB555_COLORS);
+
+  for (const rgba of frames) {
+    for (let i = 0; i < rgba.length; i += 4) {
+      histogram[toRgb555(rgba[i], rgba[i + 1], rgba[i + 2])]++;
+    }
+  }
+
+  return histogram;
+}
+
+/**
+ * Split colors into at most maxColors boxes (weighted median cut in RGB555 space)
+ * @param {Array<{r: number, g: number, b: number, count: number}>} colors - Used colors
+ * @param {number} maxColors - Target palette size
+ * @returns {Array<Array<Object>>} Color boxes
+ * @private
+ */
+function medianCut(colors, maxColors) {
+  const boxes = [colors];
+
+  while (boxes.length < maxColors) {
+    let target = -1;
+    let targetChannel = 'r';
+    let targetScore = 0;
+
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+
+      for (const channel of ['r', 'g', 'b']) {
+        let min = 31;
+        let max = 0;
+        let weight = 0;
+        for (const color of box) {
+          min = Math.min(min, color[channel]);
+          max = Math.max(max, color[channel]);
+          weight += color.count;
+        }
+        // Prefer wide boxes that cover many pixels
+        const score = (max - min) * Math.sqrt(weight);
+        if (score > targetScore) {
+          target = index;
+          targetChannel = channel;
+          targetScore = score;
+        }
+      }
+    });
+
+    if (target === -1) break;
+
+    const box = boxes[target].sort((a, b) => a[targetChannel] - b[targetChannel]);
+    const total = box.reduce((sum, color) => sum + color.count, 0);
+
+    let split = 1;
+    let running = box[0].count;
+    while (split < box.length - 1 && running + box[split].count <= total / 2) {
+      running += box[split].count;
+      split++;
+    }
+
+    boxes.splice(target, 1, box.slice(0, split), box.slice(split));
+  }
+
+  return boxes;
+}
+
+/**
+ * Weighted average color of a box
+ * @param {Array<Object>} box - Colors in the box
+ * @returns {{r: number, g: number, b: number}} 5-bit average color
+ * @private
+ */
+function averageColor(box) {
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let total = 0;
+
+  for (const color of box) {
+    r += color.r * color.count;
+    g += color.g * color.count;
+    b += color.b * color.count;
+    total += color.count;
+  }
+
+  return {
+    r: Math.round(r / total),
+    g: Math.round(g / total),
+    b: Math.round(b / total)
+  };
+}
+
+/**
+ * Build a palette and RGB555 lookup table from a histogram
+ * @param {Uint32Array} histogram - RGB555 histogram from buildHistogram
+ * @param {number} [maxColors=256] - Maximum palette size
+ * @returns {{colors: Uint8Array, size: number, lookup: Uint8Array, exact: boolean}}
+ *   colors holds size RGB triplets; lookup maps RGB555 keys to palette indices
+ */
+export function buildPalette(histogram, maxColors = MAX_PALETTE_COLORS) {
+  const used = [];
+  for (let key = 0; key < RGB555_COLORS; key++) {
+    if (histogram[key] > 0) {
+      used.push({ key, r: key >> 10, g: (key >> 5) & 31, b: key & 31, count: histogram[key] });
+    }
+  }
+
+  if (used.length === 0) {
+    used.push({ key: 0, r: 0, g: 0, b: 0, count: 1 });
+  }
+
+  const exact = used.length <= maxColors;
+  const entries = exact
+    ? used.map(({ r, g, b }) => ({ r, g, b }))
+    : medianCut(used, maxColors).map(averageColor);
+
+  const colors = new Uint8Array(entries.length * 3);
+  entries.forEach(({ r, g, b }, index) => {
+    colors[index * 3] = expand5(r);
+    colors[index * 3 + 1] = expand5(g);
+    colors[index * 3 + 2] = expand5(b);
+  });
+
+  const lookup = new Uint8Array(RGB555_COLORS);
+  if (exact) {
+    used.forEach(({ key }, index) => {
+      lookup[key] = index;
+    });
+  } else {
+    for (const { key, r, g, b } of used) {
+      lookup[key] = nearestEntry(entries, r, g, b);
+    }
+  }
+
+  return { colors, size: entries.length, lookup, exact };
+}
+
+/**
+ * Find the closest palette entry (green weighted highest, like the eye)
+ * @param {Array<{r: number, g: number, b: number}>} entries - 5-bit palette entries
+ * @param {number} r - 5-bit red
+ * @param {number} g - 5-bit green
+ * @param {number} b - 5-bit blue
+ * @returns {number} Palette index
+ * @private
+ */
+function nearestEntry(entries, r, g, b) {
+  let best = 0;
+  let bestDistance = Infinity;
+
+  for (let i = 0; i < entries.length; i++) {
+    const dr = entries[i].r - r;
+    const dg = entries[i].g - g;
+    const db = entries[i].b - b;
+    const distance = 3 * dr * dr + 4 * dg * dg + 2 * db * db;
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+      if (distance === 0) break;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Convert an RGBA frame to palette indices
+ * @param {Uint8Array} rgba - RGBA frame buffer
+ * @param {Uint8Array} lookup - RGB555 lookup from buildPalette
+ * @returns {Uint8Array} One palette index per pixel
+ */
+export function indexFrame(rgba, lookup) {
+  const indices = new Uint8Array(rgba.length / 4);
+
+  for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+    indices[p] = lookup[toRgb555(rgba[i], rgba[i + 1], rgba[i + 2])];
+  }
+
+  return indices;
+}
@@ -0,0 +1,64 @@
+/**
+ * Clip Encoder Worker Protocol
+ *
+ * Defines the message protocol between CaptureClipService and the clip
+ * encoder worker.
+ */
+
+/**
+ * Message types sent from main thread to worker
+ * @readonly
+ * @enum {string}
+ */
+export const ClipWorkerMessageType = Object.freeze({
+  /** Encode captured RGBA frames into an animated image */
+  ENCODE: 'encode'
+});
+
+/**
+ * Message types sent from worker to main thread
+ * @readonly
+ * @enum {string}
+ */
+export const ClipWorkerResponseType = Object.freeze({
+  /** Encoding finished (contains the file bytes) */
+  DONE: 'done',
+
+  /** Encoding failed */
+  ERROR: 'error'
+});
+
+/**
+ * Create a message to send to the worker
+ * @param {ClipWorkerMessageType} type - Message type
+ * @param {Object} payload - Message payload
+ * @returns {Object} Message object
+ */
+export function createClipWorkerMessage(type, payload = {}) {
+  return { type, payload };
+}
+
+/**
+ * Create a response from the worker
+ * @param {ClipWorkerResponseType} type - Response type
+ * @param {Object} payload - Response payload
+ * @returns {Object} Response object
+ */
+export function createClipWorkerResponse(type, payload = {}) {
+  return { type, payload };
+}
+
+/**
+ * @typedef {Object} ClipEncodePayload
+ * @property {'gif'|'apng'} format - Output format
+ * @property {number} width - Native frame width
+ * @property {number} height - Native frame height
+ * @property {number} scale - Integer upscale factor (1, 2 or 4)
+ * @property {Array<{data: ArrayBuffer, delayMs: number}>} frames - RGBA frames (transferred)
+ */
+
+/**
+ * @typedef {Object} ClipDonePayload
+ * @property {ArrayBuffer} buffer - Encoded file (transferred)
+ * @property {number} colors - Palette size used
+ */
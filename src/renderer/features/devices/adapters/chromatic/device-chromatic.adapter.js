@@ -122,6 +122,7 @@ export class DeviceChromaticAdapter extends BaseDeviceAdapter {
 
     return {
       ...base,
+      profileId: this.config.id,
       canvasScale: this.canvasScale,
       nativeResolution: {
         width: nativeWidth,
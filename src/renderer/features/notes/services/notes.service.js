@@ -8,6 +8,7 @@
  * - 'notes:note-created' - New note created
  * - 'notes:note-updated' - Note content/title updated
  * - 'notes:note-deleted' - Note deleted
+ * - 'notes:active-game-changed' - Game tag of the open note changed
  */
 
 import { BaseService } from '@shared/base/service.base.js';
@@ -22,6 +23,9 @@ class NotesService extends BaseService {
     // In-memory cache to avoid redundant JSON parsing
     this._notesCache = null;
     this._cacheValid = false;
+
+    // Game tag of the note open in the notes panel (not persisted)
+    this._activeGame = '';
   }
 
   /**
@@ -220,6 +224,28 @@ class NotesService extends BaseService {
     return [...games].sort((a, b) => a.localeCompare(b));
   }
 
+  /**
+   * Get the game currently being played (game tag of the open note)
+   * @returns {string} Game name, or '' when none is tagged
+   */
+  getActiveGame() {
+    return this._activeGame;
+  }
+
+  /**
+   * Set the game currently being played
+   * @param {string} gameName - Game name ('' clears it)
+   */
+  setActiveGame(gameName) {
+    const normalized = typeof gameName === 'string' ? gameName.trim() : '';
+    if (normalized === this._activeGame) {
+      return;
+    }
+
+    this._activeGame = normalized;
+    this.eventBus.publish(EventChannels.NOTES.ACTIVE_GAME_CHANGED, { gameName: normalized });
+  }
+
   /**
    * Get notes grouped by game name
    * @returns {Object} Map of gameName to array of notes, with '' key for general notes
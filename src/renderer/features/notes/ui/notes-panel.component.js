@@ -2,7 +2,8 @@
  * Notes Panel Component
  *
  * Fixed right-side sliding sidebar for taking notes during gameplay.
- * Features: fuzzy search with debouncing, auto-save, event delegation for list.
+ * Features: fuzzy search with debouncing, auto-save, event delegation for list,
+ * and a button that drops a recording marker labeled with the selected text.
  */
 
 import { createDomListenerManager } from '@shared/base/dom-listener.utils.js';
@@ -20,6 +21,9 @@ const DELETE_HOLD_MS = 2000;
 // Autocomplete debounce
 const AUTOCOMPLETE_DEBOUNCE_MS = 100;
 
+// Side panel name announced on UI.SIDE_PANEL_OPENED
+const PANEL_NAME = 'notes';
+
 class NotesPanelComponent {
   constructor({ notesService, eventBus, logger }) {
     this.notesService = notesService;
@@ -69,6 +73,7 @@ class NotesPanelComponent {
       notesTitleInput: elements.notesTitleInput,
       notesContentArea: elements.notesContentArea,
       notesNewBtn: elements.notesNewBtn,
+      notesMarkerBtn: elements.notesMarkerBtn,
       notesDeleteBtn: elements.notesDeleteBtn
     };
 
@@ -85,6 +90,7 @@ class NotesPanelComponent {
     this._setupGameTagUI();
     this._setupGameInput();
     this._setupNewButton();
+    this._setupMarkerButton();
     this._setupDeleteButton();
     this._setupEscapeKey();
     this._setupResizeHandler();
@@ -120,6 +126,8 @@ class NotesPanelComponent {
     this.elements.notesBtn?.setAttribute('aria-expanded', 'true');
     this.isVisible = true;
 
+    this.eventBus.publish(EventChannels.UI.SIDE_PANEL_OPENED, { panel: PANEL_NAME });
+
     // Focus search input without scrolling
     this.elements.notesSearchInput?.focus({ preventScroll: true });
 
@@ -318,6 +326,9 @@ class NotesPanelComponent {
   _updateGameTagDisplay() {
     const gameName = this.elements.notesGameInput?.value || '';
 
+    // The open note's game tag is the game being played (used to tag captures)
+    this.notesService.setActiveGame(gameName);
+
     // Update tag text
     if (this.elements.notesGameTag) {
       this.elements.notesGameTag.textContent = gameName;
@@ -603,6 +614,32 @@ class NotesPanelComponent {
     });
   }
 
+  /**
+   * Setup recording marker button
+   * @private
+   */
+  _setupMarkerButton() {
+    if (!this.elements.notesMarkerBtn) return;
+
+    this._domListeners.add(this.elements.notesMarkerBtn, 'click', () => {
+      this._requestMarker();
+    });
+  }
+
+  /**
+   * Ask for a marker in the running recording, labeled with the selected note text
+   * Without a selection the recording names the marker.
+   * @private
+   */
+  _requestMarker() {
+    const contentArea = this.elements.notesContentArea;
+    const label = contentArea
+      ? contentArea.value.slice(contentArea.selectionStart, contentArea.selectionEnd).trim()
+      : '';
+
+    this.eventBus.publish(EventChannels.UI.RECORDING_MARKER_REQUESTED, label ? { label } : {});
+  }
+
   /**
    * Create a new note
    * @private
@@ -692,6 +729,7 @@ class NotesPanelComponent {
     if (this.elements.notesGameInput) {
       this.elements.notesGameInput.value = '';
     }
+    this.notesService.setActiveGame('');
     if (this.elements.notesTitleInput) {
       this.elements.notesTitleInput.value = '';
     }
@@ -1010,6 +1048,26 @@ class NotesPanelComponent {
       }
     );
     this._eventSubscriptions.push(unsubscribeDeleted);
+
+    // Side panels share the same spot - make way for another one
+    const unsubscribePanelOpened = this.eventBus.subscribe(
+      EventChannels.UI.SIDE_PANEL_OPENED,
+      ({ panel } = {}) => {
+        if (panel !== PANEL_NAME && this.isVisible) {
+          this.hide();
+        }
+      }
+    );
+    this._eventSubscriptions.push(unsubscribePanelOpened);
+
+    // Markers only make sense while a recording is running
+    const unsubscribeRecordingState = this.eventBus.subscribe(
+      EventChannels.UI.RECORDING_STATE,
+      ({ active } = {}) => {
+        this.elements.notesMarkerBtn?.toggleAttribute('disabled', !active);
+      }
+    );
+    this._eventSubscriptions.push(unsubscribeRecordingState);
   }
 
   /**
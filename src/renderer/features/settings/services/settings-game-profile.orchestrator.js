@@ -0,0 +1,122 @@
+/**
+ * Game Profile Orchestrator
+ *
+ * Switches render preset, brightness and volume with the active game.
+ * Selecting a game (notes panel or header game picker) applies its saved
+ * profile through SettingsService; saved setting changes made while a game
+ * is active are written back to that game's profile, creating it on the
+ * first change. Slider drag previews are not saved - only values that
+ * reach SettingsService storage are.
+ */
+
+import { BaseOrchestrator } from '@shared/base/orchestrator.base.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+
+export class SettingsGameProfileOrchestrator extends BaseOrchestrator {
+  constructor(dependencies) {
+    super(
+      dependencies,
+      ['gameProfileService', 'settingsService', 'notesService', 'renderPresetService', 'eventBus', 'loggerFactory'],
+      'SettingsGameProfileOrchestrator'
+    );
+
+    // Last saved settings, to tell saved changes from previews
+    this._settings = null;
+    // Set while a profile is being applied so it is not saved back
+    this._applying = false;
+  }
+
+  /**
+   * Initialize the orchestrator - follow the active game and setting changes
+   */
+  async onInitialize() {
+    this._settings = this._readSettings();
+
+    this.subscribeWithCleanup({
+      [EventChannels.NOTES.ACTIVE_GAME_CHANGED]: ({ gameName }) => this.applyProfile(gameName),
+      [EventChannels.SETTINGS.RENDER_PRESET_CHANGED]: () => this._handleSettingsChanged(),
+      [EventChannels.SETTINGS.BRIGHTNESS_CHANGED]: () => this._handleSettingsChanged(),
+      [EventChannels.SETTINGS.VOLUME_CHANGED]: () => this._handleSettingsChanged()
+    });
+  }
+
+  /**
+   * Apply a game's saved profile; settings are left alone when it has none
+   * @param {string} gameName
+   * @returns {boolean} True if a profile was applied
+   */
+  applyProfile(gameName) {
+    const profile = this.gameProfileService.getProfile(gameName);
+    if (!profile) {
+      return false;
+    }
+
+    this._applying = true;
+    try {
+      const current = this._readSettings();
+
+      if (profile.presetId !== current.presetId) {
+        if (this.renderPresetService.getPresetById(profile.presetId)) {
+          this.settingsService.setRenderPreset(profile.presetId);
+        } else {
+          this.logger.warn(`Render preset ${profile.presetId} of ${profile.gameName} profile no longer exists`);
+        }
+      }
+      if (profile.brightness !== current.brightness) {
+        this.settingsService.setGlobalBrightness(profile.brightness);
+      }
+      if (profile.volume !== current.volume) {
+        this.settingsService.setVolume(profile.volume);
+      }
+    } finally {
+      this._settings = this._readSettings();
+      this._applying = false;
+    }
+
+    this.logger.info(`Applied game profile: ${profile.gameName}`);
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: `Loaded ${profile.gameName} profile` });
+    return true;
+  }
+
+  /**
+   * Save changed settings to the active game's profile
+   * @private
+   */
+  _handleSettingsChanged() {
+    const settings = this._readSettings();
+    const previous = this._settings;
+    this._settings = settings;
+
+    if (this._applying || this._isSameSettings(settings, previous)) {
+      return;
+    }
+
+    const gameName = this.notesService.getActiveGame();
+    if (gameName) {
+      this.gameProfileService.saveProfile(gameName, settings);
+    }
+  }
+
+  /**
+   * Read the saved profile settings
+   * @returns {{presetId: string, brightness: number, volume: number}}
+   * @private
+   */
+  _readSettings() {
+    return {
+      presetId: this.settingsService.getRenderPreset(),
+      brightness: this.settingsService.getGlobalBrightness(),
+      volume: this.settingsService.getVolume()
+    };
+  }
+
+  /**
+   * @param {Object} a
+   * @param {Object|null} b
+   * @returns {boolean}
+   * @private
+   */
+  _isSameSettings(a, b) {
+    return !!b && a.presetId === b.presetId && a.brightness === b.brightness && a.volume === b.volume;
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Game Profile Service
+ *
+ * Stores a render preset, brightness and volume per game in localStorage.
+ * Profiles are keyed by the game tags NotesService tracks, compared without
+ * case or surrounding whitespace so "Tetris" and "tetris " share a profile.
+ *
+ * Events emitted:
+ * - 'settings:game-profiles-changed' - Profile created or updated (payload: profiles)
+ */
+
+import { BaseService } from '@shared/base/service.base.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { GameProfileStorageKeys } from '@shared/config/storage-keys.config.js';
+
+/**
+ * @typedef {Object} GameProfile
+ * @property {string} gameName - Game name as first tagged
+ * @property {string} presetId - Render preset ID
+ * @property {number} brightness - Global brightness multiplier (0.5-1.5)
+ * @property {number} volume - Volume (0-100)
+ */
+
+/**
+ * Profile lookup key for a game name
+ * @param {string} gameName
+ * @returns {string} Key, or '' when there is no game
+ */
+function toProfileKey(gameName) {
+  return typeof gameName === 'string' ? gameName.trim().toLowerCase() : '';
+}
+
+/**
+ * Check that a stored entry has every profile field
+ * @param {*} entry
+ * @returns {boolean}
+ */
+function isValidProfile(entry) {
+  return !!toProfileKey(entry?.gameName) &&
+    typeof entry.presetId === 'string' &&
+    Number.isFinite(entry.brightness) &&
+    Number.isFinite(entry.volume);
+}
+
+class SettingsGameProfileService extends BaseService {
+  constructor(dependencies) {
+    super(dependencies, ['eventBus', 'loggerFactory', 'storageService'], 'SettingsGameProfileService');
+
+    // Parsed profiles, in the order they were created
+    /** @type {GameProfile[]|null} */
+    this._profiles = null;
+  }
+
+  /**
+   * Get every game profile
+   * @returns {GameProfile[]}
+   */
+  getProfiles() {
+    if (this._profiles) {
+      return this._profiles;
+    }
+
+    this._profiles = [];
+    const raw = this.storageService?.getItem(GameProfileStorageKeys.PROFILES);
+    if (!raw) {
+      return this._profiles;
+    }
+
+    try {
+      const stored = JSON.parse(raw);
+      if (Array.isArray(stored)) {
+        this._profiles = stored.filter(isValidProfile);
+      }
+    } catch (error) {
+      this.logger.error('Failed to parse game profiles - data may be corrupted', error);
+    }
+
+    return this._profiles;
+  }
+
+  /**
+   * Get the profile for a game
+   * @param {string} gameName
+   * @returns {GameProfile|null} Profile, or null when the game has none
+   */
+  getProfile(gameName) {
+    const key = toProfileKey(gameName);
+    if (!key) {
+      return null;
+    }
+    return this.getProfiles().find(profile => toProfileKey(profile.gameName) === key) || null;
+  }
+
+  /**
+   * Get the names of games that have a profile
+   * @returns {string[]} Sorted game names
+   */
+  getProfileGames() {
+    return this.getProfiles()
+      .map(profile => profile.gameName)
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Create or update a game's profile
+   * @param {string} gameName
+   * @param {{presetId: string, brightness: number, volume: number}} values
+   * @returns {GameProfile|null} Saved profile, or null when there is no game name
+   */
+  saveProfile(gameName, { presetId, brightness, volume }) {
+    if (!toProfileKey(gameName)) {
+      return null;
+    }
+
+    const existing = this.getProfile(gameName);
+    if (existing &&
+      existing.presetId === presetId &&
+      existing.brightness === brightness &&
+      existing.volume === volume) {
+      return existing;
+    }
+
+    const profile = {
+      gameName: existing ? existing.gameName : gameName.trim(),
+      presetId,
+      brightness,
+      volume
+    };
+
+    const profiles = existing
+      ? this.getProfiles().map(entry => (entry === existing ? profile : entry))
+      : [...this.getProfiles(), profile];
+
+    this.storageService?.setItem(GameProfileStorageKeys.PROFILES, JSON.stringify(profiles));
+    this._profiles = profiles;
+
+    this.logger.debug(`Saved game profile: ${profile.gameName}`);
+    this.eventBus.publish(EventChannels.SETTINGS.GAME_PROFILES_CHANGED, profiles);
+
+    return profile;
+  }
+}
+
+export { SettingsGameProfileService };
@@ -8,11 +8,15 @@
  * - 'settings:volume-changed' - Volume changed
  * - 'settings:cinematic-changed' - Cinematic mode changed
  * - 'settings:status-strip-changed' - Status strip visibility changed
+ * - 'settings:replay-buffer-changed' - Instant replay toggle or length changed
+ * - 'settings:facecam-changed' - Webcam overlay toggle, device or layout changed
  */
 
 import { BaseService } from '@shared/base/service.base.js';
 import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
 import { SettingsStorageKeys } from '@shared/config/storage-keys.config.js';
+import { FilenameGenerator } from '@shared/utils/filename-generator.utils.js';
+import { AUDIO_MIX, CAPTURE_NAMING, CLIP_CAPTURE, FACECAM, INTERVAL_CAPTURE, RECORDING_OUTPUT, RECORDING_QUALITY, RECORDING_SEGMENTS, REPLAY_BUFFER, SCREENSHOT_OUTPUT } from '@shared/config/constants.config.js';
 
 class SettingsService extends BaseService {
   constructor(dependencies) {
@@ -26,7 +30,35 @@ class SettingsService extends BaseService {
       globalBrightness: 1.0,
       performanceMode: false,
       fullscreenOnStartup: false,
-      minimalistFullscreen: false
+      minimalistFullscreen: false,
+      replayBufferEnabled: false,
+      replayBufferSeconds: REPLAY_BUFFER.DEFAULT_SECONDS,
+      screenshotMode: SCREENSHOT_OUTPUT.DEFAULT_MODE,
+      screenshotScale: SCREENSHOT_OUTPUT.DEFAULT_SCALE,
+      clipFormat: CLIP_CAPTURE.DEFAULT_FORMAT,
+      clipScale: CLIP_CAPTURE.DEFAULT_SCALE,
+      clipDurationSeconds: CLIP_CAPTURE.DEFAULT_DURATION_SECONDS,
+      recordingFormat: RECORDING_OUTPUT.DEFAULT_FORMAT,
+      recordingSegmentMinutes: RECORDING_SEGMENTS.DEFAULT_DURATION_MINUTES,
+      recordingSegmentSizeMb: RECORDING_SEGMENTS.DEFAULT_SIZE_MB,
+      recordingReview: false,
+      recordingDualTrack: false,
+      recordingQualityPreset: RECORDING_QUALITY.DEFAULT_PRESET,
+      captureFilenameTemplate: CAPTURE_NAMING.DEFAULT_TEMPLATE,
+      intervalMode: INTERVAL_CAPTURE.DEFAULT_MODE,
+      intervalSeconds: INTERVAL_CAPTURE.DEFAULT_INTERVAL_SECONDS,
+      intervalFrameStep: INTERVAL_CAPTURE.DEFAULT_FRAME_STEP,
+      frameSequenceSeconds: INTERVAL_CAPTURE.DEFAULT_SEQUENCE_SECONDS,
+      micEnabled: false,
+      micDeviceId: '',
+      micGain: AUDIO_MIX.DEFAULT_MIC_GAIN_PERCENT,
+      gameAudioGain: AUDIO_MIX.DEFAULT_GAME_GAIN_PERCENT,
+      micSeparateTrack: false,
+      facecamEnabled: false,
+      facecamDeviceId: '',
+      facecamPosition: FACECAM.DEFAULT_POSITION,
+      facecamSize: FACECAM.DEFAULT_SIZE_PERCENT,
+      facecamBorder: FACECAM.DEFAULT_BORDER
     };
 
     // Use centralized storage keys
@@ -202,6 +234,798 @@ class SettingsService extends BaseService {
     // Emit event
     this.eventBus.publish(EventChannels.SETTINGS.MINIMALIST_FULLSCREEN_CHANGED, enabled);
   }
+
+  /**
+   * Get instant replay buffer preference
+   * @returns {boolean} True if the replay buffer runs while streaming
+   */
+  getReplayBufferEnabled() {
+    const saved = this.storageService?.getItem(this.keys.REPLAY_BUFFER_ENABLED);
+    return saved !== null ? saved === 'true' : this.defaults.replayBufferEnabled;
+  }
+
+  /**
+   * Set instant replay buffer preference
+   * @param {boolean} enabled - Keep a rolling replay buffer while streaming
+   */
+  setReplayBufferEnabled(enabled) {
+    this.storageService?.setItem(this.keys.REPLAY_BUFFER_ENABLED, enabled.toString());
+
+    this.logger.debug(`Replay buffer ${enabled ? 'enabled' : 'disabled'}`);
+
+    // Emit event
+    this._publishReplayBufferChanged();
+  }
+
+  /**
+   * Get instant replay buffer length
+   * @returns {number} Buffer length in seconds (15-120)
+   */
+  getReplayBufferSeconds() {
+    const saved = parseInt(this.storageService?.getItem(this.keys.REPLAY_BUFFER_SECONDS), 10);
+    return Number.isNaN(saved) ? this.defaults.replayBufferSeconds : this._clampReplayBufferSeconds(saved);
+  }
+
+  /**
+   * Set instant replay buffer length
+   * @param {number} seconds - Buffer length in seconds (15-120)
+   */
+  setReplayBufferSeconds(seconds) {
+    const clampedSeconds = this._clampReplayBufferSeconds(seconds);
+    this.storageService?.setItem(this.keys.REPLAY_BUFFER_SECONDS, clampedSeconds.toString());
+
+    this.logger.debug(`Replay buffer length set to ${clampedSeconds}s`);
+
+    // Emit event
+    this._publishReplayBufferChanged();
+  }
+
+  /**
+   * Get screenshot output mode
+   * @returns {'native'|'scaled'|'rendered'} Screenshot mode
+   */
+  getScreenshotMode() {
+    const saved = this.storageService?.getItem(this.keys.SCREENSHOT_MODE);
+    return SCREENSHOT_OUTPUT.MODES.includes(saved) ? saved : this.defaults.screenshotMode;
+  }
+
+  /**
+   * Set screenshot output mode
+   * @param {'native'|'scaled'|'rendered'} mode - Screenshot mode
+   */
+  setScreenshotMode(mode) {
+    if (!SCREENSHOT_OUTPUT.MODES.includes(mode)) {
+      this.logger.warn(`Ignoring unknown screenshot mode: ${mode}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.SCREENSHOT_MODE, mode);
+
+    this.logger.debug(`Screenshot mode set to ${mode}`);
+  }
+
+  /**
+   * Get screenshot scale factor (used by the scaled and rendered modes)
+   * @returns {number} Integer scale (2-10)
+   */
+  getScreenshotScale() {
+    const saved = parseInt(this.storageService?.getItem(this.keys.SCREENSHOT_SCALE), 10);
+    return SCREENSHOT_OUTPUT.SCALES.includes(saved) ? saved : this.defaults.screenshotScale;
+  }
+
+  /**
+   * Set screenshot scale factor
+   * @param {number} scale - Integer scale (2-10)
+   */
+  setScreenshotScale(scale) {
+    if (!SCREENSHOT_OUTPUT.SCALES.includes(scale)) {
+      this.logger.warn(`Ignoring unsupported screenshot scale: ${scale}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.SCREENSHOT_SCALE, scale.toString());
+
+    this.logger.debug(`Screenshot scale set to ${scale}x`);
+  }
+
+  /**
+   * Get animated clip format
+   * @returns {'gif'|'apng'} Clip format
+   */
+  getClipFormat() {
+    const saved = this.storageService?.getItem(this.keys.CLIP_FORMAT);
+    return CLIP_CAPTURE.FORMATS.includes(saved) ? saved : this.defaults.clipFormat;
+  }
+
+  /**
+   * Set animated clip format
+   * @param {'gif'|'apng'} format - Clip format
+   */
+  setClipFormat(format) {
+    if (!CLIP_CAPTURE.FORMATS.includes(format)) {
+      this.logger.warn(`Ignoring unknown clip format: ${format}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.CLIP_FORMAT, format);
+
+    this.logger.debug(`Clip format set to ${format}`);
+  }
+
+  /**
+   * Get animated clip upscale factor
+   * @returns {number} Integer scale (1, 2 or 4)
+   */
+  getClipScale() {
+    const saved = parseInt(this.storageService?.getItem(this.keys.CLIP_SCALE), 10);
+    return CLIP_CAPTURE.SCALES.includes(saved) ? saved : this.defaults.clipScale;
+  }
+
+  /**
+   * Set animated clip upscale factor
+   * @param {number} scale - Integer scale (1, 2 or 4)
+   */
+  setClipScale(scale) {
+    if (!CLIP_CAPTURE.SCALES.includes(scale)) {
+      this.logger.warn(`Ignoring unsupported clip scale: ${scale}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.CLIP_SCALE, scale.toString());
+
+    this.logger.debug(`Clip scale set to ${scale}x`);
+  }
+
+  /**
+   * Get animated clip length
+   * @returns {number} Clip length in seconds
+   */
+  getClipDurationSeconds() {
+    const saved = parseInt(this.storageService?.getItem(this.keys.CLIP_DURATION_SECONDS), 10);
+    return CLIP_CAPTURE.DURATIONS_SECONDS.includes(saved) ? saved : this.defaults.clipDurationSeconds;
+  }
+
+  /**
+   * Set animated clip length
+   * @param {number} seconds - Clip length in seconds
+   */
+  setClipDurationSeconds(seconds) {
+    if (!CLIP_CAPTURE.DURATIONS_SECONDS.includes(seconds)) {
+      this.logger.warn(`Ignoring unsupported clip length: ${seconds}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.CLIP_DURATION_SECONDS, seconds.toString());
+
+    this.logger.debug(`Clip length set to ${seconds}s`);
+  }
+
+  /**
+   * Get recording container format
+   * @returns {'webm'|'mp4'} Recording format
+   */
+  getRecordingFormat() {
+    const saved = this.storageService?.getItem(this.keys.RECORDING_FORMAT);
+    return RECORDING_OUTPUT.FORMATS.includes(saved) ? saved : this.defaults.recordingFormat;
+  }
+
+  /**
+   * Set recording container format (applies from the next recording)
+   * @param {'webm'|'mp4'} format - Recording format
+   */
+  setRecordingFormat(format) {
+    if (!RECORDING_OUTPUT.FORMATS.includes(format)) {
+      this.logger.warn(`Ignoring unknown recording format: ${format}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.RECORDING_FORMAT, format);
+
+    this.logger.debug(`Recording format set to ${format}`);
+  }
+
+  /**
+   * Get the segment length limit for recordings
+   * @returns {number} Minutes per segment (0 = no limit)
+   */
+  getRecordingSegmentMinutes() {
+    const saved = parseInt(this.storageService?.getItem(this.keys.RECORDING_SEGMENT_MINUTES), 10);
+    return RECORDING_SEGMENTS.DURATION_MINUTES.includes(saved) ? saved : this.defaults.recordingSegmentMinutes;
+  }
+
+  /**
+   * Set the segment length limit (applies from the next recording)
+   * @param {number} minutes - Minutes per segment (0 = no limit)
+   */
+  setRecordingSegmentMinutes(minutes) {
+    if (!RECORDING_SEGMENTS.DURATION_MINUTES.includes(minutes)) {
+      this.logger.warn(`Ignoring unsupported segment length: ${minutes}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.RECORDING_SEGMENT_MINUTES, minutes.toString());
+
+    this.logger.debug(`Recording segment length set to ${minutes} min`);
+  }
+
+  /**
+   * Get the segment size limit for recordings
+   * @returns {number} Megabytes per segment (0 = no limit)
+   */
+  getRecordingSegmentSizeMb() {
+    const saved = parseInt(this.storageService?.getItem(this.keys.RECORDING_SEGMENT_SIZE_MB), 10);
+    return RECORDING_SEGMENTS.SIZE_MB.includes(saved) ? saved : this.defaults.recordingSegmentSizeMb;
+  }
+
+  /**
+   * Set the segment size limit (applies from the next recording)
+   * @param {number} megabytes - Megabytes per segment (0 = no limit)
+   */
+  setRecordingSegmentSizeMb(megabytes) {
+    if (!RECORDING_SEGMENTS.SIZE_MB.includes(megabytes)) {
+      this.logger.warn(`Ignoring unsupported segment size: ${megabytes}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.RECORDING_SEGMENT_SIZE_MB, megabytes.toString());
+
+    this.logger.debug(`Recording segment size set to ${megabytes} MB`);
+  }
+
+  /**
+   * Get recording review preference
+   * @returns {boolean} True if recordings open in the trim editor before they are saved
+   */
+  getRecordingReviewEnabled() {
+    const saved = this.storageService?.getItem(this.keys.RECORDING_REVIEW);
+    return saved !== null ? saved === 'true' : this.defaults.recordingReview;
+  }
+
+  /**
+   * Set recording review preference (applies from the next recording)
+   * @param {boolean} enabled - Review recordings before saving them
+   */
+  setRecordingReviewEnabled(enabled) {
+    this.storageService?.setItem(this.keys.RECORDING_REVIEW, enabled.toString());
+
+    this.logger.debug(`Recording review ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Get dual-track recording preference
+   * @returns {boolean} True if rendered recordings also save the raw device feed
+   */
+  getRecordingDualTrack() {
+    const saved = this.storageService?.getItem(this.keys.RECORDING_DUAL_TRACK);
+    return saved !== null ? saved === 'true' : this.defaults.recordingDualTrack;
+  }
+
+  /**
+   * Set dual-track recording preference (applies from the next recording)
+   * @param {boolean} enabled - Record the raw device feed next to the rendered output
+   */
+  setRecordingDualTrack(enabled) {
+    this.storageService?.setItem(this.keys.RECORDING_DUAL_TRACK, enabled.toString());
+
+    this.logger.debug(`Dual-track recording ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Get the recording quality preset
+   * @returns {'archive'|'balanced'|'small'|'custom'} Preset ID, 'custom' once an encoder setting was changed
+   */
+  getRecordingQualityPreset() {
+    const saved = this.storageService?.getItem(this.keys.RECORDING_QUALITY_PRESET);
+    return saved === 'custom' || RECORDING_QUALITY.PRESETS.includes(saved) ? saved : this.defaults.recordingQualityPreset;
+  }
+
+  /**
+   * Set the recording quality preset (applies from the next recording)
+   * Replaces any custom encoder settings.
+   * @param {'archive'|'balanced'|'small'} preset - Preset ID
+   */
+  setRecordingQualityPreset(preset) {
+    if (!RECORDING_QUALITY.PRESETS.includes(preset)) {
+      this.logger.warn(`Ignoring unknown recording quality preset: ${preset}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.RECORDING_QUALITY_PRESET, preset);
+
+    this.logger.debug(`Recording quality set to ${preset}`);
+  }
+
+  /**
+   * Get the encoder settings recordings use
+   * A preset gives its own settings; a custom quality reads each stored
+   * setting, falling back to the default preset.
+   * @returns {{preset: string, codec: string, videoBitrateKbps: number, audioBitrateKbps: number, frameRate: number, scale: number}}
+   */
+  getRecordingQuality() {
+    const preset = this.getRecordingQualityPreset();
+    if (preset !== 'custom') {
+      return { preset, ...RECORDING_QUALITY.PRESET_SETTINGS[preset] };
+    }
+
+    const fallback = RECORDING_QUALITY.PRESET_SETTINGS[RECORDING_QUALITY.DEFAULT_PRESET];
+    const codec = this.storageService?.getItem(this.keys.RECORDING_CODEC);
+    const videoBitrateKbps = parseInt(this.storageService?.getItem(this.keys.RECORDING_VIDEO_BITRATE), 10);
+    const frameRate = parseInt(this.storageService?.getItem(this.keys.RECORDING_FRAME_RATE), 10);
+    const scale = parseInt(this.storageService?.getItem(this.keys.RECORDING_OUTPUT_SCALE), 10);
+
+    return {
+      preset,
+      codec: RECORDING_QUALITY.CODECS.includes(codec) ? codec : fallback.codec,
+      videoBitrateKbps: RECORDING_QUALITY.VIDEO_BITRATES_KBPS.includes(videoBitrateKbps) ? videoBitrateKbps : fallback.videoBitrateKbps,
+      audioBitrateKbps: RECORDING_QUALITY.CUSTOM_AUDIO_BITRATE_KBPS,
+      frameRate: RECORDING_QUALITY.FRAME_RATES.includes(frameRate) ? frameRate : fallback.frameRate,
+      scale: RECORDING_QUALITY.OUTPUT_SCALES.includes(scale) ? scale : fallback.scale
+    };
+  }
+
+  /**
+   * Set the WebM video codec (switches to a custom quality)
+   * @param {'vp9'|'vp8'|'av1'|'h264'} codec - Codec ID
+   */
+  setRecordingCodec(codec) {
+    if (!RECORDING_QUALITY.CODECS.includes(codec)) {
+      this.logger.warn(`Ignoring unknown recording codec: ${codec}`);
+      return;
+    }
+
+    this._setCustomRecordingQuality({ codec });
+  }
+
+  /**
+   * Set the video bitrate (switches to a custom quality)
+   * @param {number} kbps - Bitrate in kbit/s
+   */
+  setRecordingVideoBitrate(kbps) {
+    if (!RECORDING_QUALITY.VIDEO_BITRATES_KBPS.includes(kbps)) {
+      this.logger.warn(`Ignoring unsupported recording bitrate: ${kbps}`);
+      return;
+    }
+
+    this._setCustomRecordingQuality({ videoBitrateKbps: kbps });
+  }
+
+  /**
+   * Set the frame rate of rendered recordings (switches to a custom quality)
+   * @param {number} frameRate - Frames per second
+   */
+  setRecordingFrameRate(frameRate) {
+    if (!RECORDING_QUALITY.FRAME_RATES.includes(frameRate)) {
+      this.logger.warn(`Ignoring unsupported recording frame rate: ${frameRate}`);
+      return;
+    }
+
+    this._setCustomRecordingQuality({ frameRate });
+  }
+
+  /**
+   * Set the output scale of rendered recordings (switches to a custom quality)
+   * @param {number} scale - Multiple of the native frame, 0 for the renderer's size
+   */
+  setRecordingOutputScale(scale) {
+    if (!RECORDING_QUALITY.OUTPUT_SCALES.includes(scale)) {
+      this.logger.warn(`Ignoring unsupported recording scale: ${scale}`);
+      return;
+    }
+
+    this._setCustomRecordingQuality({ scale });
+  }
+
+  /**
+   * Get the capture filename template
+   * @returns {string} Template with {type}, {game}, {preset}, {date}, {time}, {counter} and {device} tokens
+   */
+  getCaptureFilenameTemplate() {
+    const saved = this.storageService?.getItem(this.keys.CAPTURE_FILENAME_TEMPLATE);
+    return saved && FilenameGenerator.validateTemplate(saved) === null ? saved : this.defaults.captureFilenameTemplate;
+  }
+
+  /**
+   * Set the capture filename template (applies from the next capture)
+   * @param {string} template - Filename template
+   * @returns {string|null} Reason the template was rejected, or null if it was saved
+   */
+  setCaptureFilenameTemplate(template) {
+    const error = FilenameGenerator.validateTemplate(template);
+    if (error) {
+      this.logger.warn(`Ignoring invalid filename template: ${template} (${error})`);
+      return error;
+    }
+
+    this.storageService?.setItem(this.keys.CAPTURE_FILENAME_TEMPLATE, template);
+
+    this.logger.debug(`Capture filename template set to ${template}`);
+    return null;
+  }
+
+  /**
+   * Advance the {counter} filename token
+   * The counter is never reset, so numbered captures stay unique across sessions.
+   * @returns {number} Counter value for the next capture, starting at 1
+   */
+  nextCaptureCounter() {
+    const saved = parseInt(this.storageService?.getItem(this.keys.CAPTURE_COUNTER), 10);
+    const next = Number.isInteger(saved) && saved > 0 ? saved + 1 : 1;
+
+    this.storageService?.setItem(this.keys.CAPTURE_COUNTER, next.toString());
+    return next;
+  }
+
+  /**
+   * Get interval capture mode
+   * @returns {'screenshots'|'timelapse'} Interval mode
+   */
+  getIntervalMode() {
+    const saved = this.storageService?.getItem(this.keys.INTERVAL_MODE);
+    return INTERVAL_CAPTURE.MODES.includes(saved) ? saved : this.defaults.intervalMode;
+  }
+
+  /**
+   * Set interval capture mode (applies from the next session)
+   * @param {'screenshots'|'timelapse'} mode - Interval mode
+   */
+  setIntervalMode(mode) {
+    if (!INTERVAL_CAPTURE.MODES.includes(mode)) {
+      this.logger.warn(`Ignoring unknown interval mode: ${mode}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.INTERVAL_MODE, mode);
+
+    this.logger.debug(`Interval mode set to ${mode}`);
+  }
+
+  /**
+   * Get the time between interval screenshots
+   * @returns {number} Seconds
+   */
+  getIntervalSeconds() {
+    const saved = parseInt(this.storageService?.getItem(this.keys.INTERVAL_SECONDS), 10);
+    return INTERVAL_CAPTURE.INTERVALS_SECONDS.includes(saved) ? saved : this.defaults.intervalSeconds;
+  }
+
+  /**
+   * Set the time between interval screenshots (applies from the next session)
+   * @param {number} seconds - Seconds
+   */
+  setIntervalSeconds(seconds) {
+    if (!INTERVAL_CAPTURE.INTERVALS_SECONDS.includes(seconds)) {
+      this.logger.warn(`Ignoring unsupported screenshot interval: ${seconds}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.INTERVAL_SECONDS, seconds.toString());
+
+    this.logger.debug(`Screenshot interval set to ${seconds}s`);
+  }
+
+  /**
+   * Get how many stream frames pass per timelapse frame
+   * @returns {number} Frame step
+   */
+  getIntervalFrameStep() {
+    const saved = parseInt(this.storageService?.getItem(this.keys.INTERVAL_FRAME_STEP), 10);
+    return INTERVAL_CAPTURE.FRAME_STEPS.includes(saved) ? saved : this.defaults.intervalFrameStep;
+  }
+
+  /**
+   * Set how many stream frames pass per timelapse frame (applies from the next session)
+   * @param {number} frameStep - Frame step
+   */
+  setIntervalFrameStep(frameStep) {
+    if (!INTERVAL_CAPTURE.FRAME_STEPS.includes(frameStep)) {
+      this.logger.warn(`Ignoring unsupported timelapse frame step: ${frameStep}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.INTERVAL_FRAME_STEP, frameStep.toString());
+
+    this.logger.debug(`Timelapse frame step set to ${frameStep}`);
+  }
+
+  /**
+   * Get how long a PNG frame sequence runs
+   * @returns {number} Seconds, 0 to run until stopped
+   */
+  getFrameSequenceSeconds() {
+    const saved = parseInt(this.storageService?.getItem(this.keys.FRAME_SEQUENCE_SECONDS), 10);
+    return INTERVAL_CAPTURE.SEQUENCE_DURATIONS_SECONDS.includes(saved) ? saved : this.defaults.frameSequenceSeconds;
+  }
+
+  /**
+   * Set how long a PNG frame sequence runs (applies from the next session)
+   * @param {number} seconds - Seconds, 0 to run until stopped
+   */
+  setFrameSequenceSeconds(seconds) {
+    if (!INTERVAL_CAPTURE.SEQUENCE_DURATIONS_SECONDS.includes(seconds)) {
+      this.logger.warn(`Ignoring unsupported frame sequence length: ${seconds}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.FRAME_SEQUENCE_SECONDS, seconds.toString());
+
+    this.logger.debug(`Frame sequence length set to ${seconds === 0 ? 'until stopped' : `${seconds}s`}`);
+  }
+
+  /**
+   * Get microphone commentary preference
+   * @returns {boolean} True if the microphone is mixed into recordings
+   */
+  getMicEnabled() {
+    const saved = this.storageService?.getItem(this.keys.MIC_ENABLED);
+    return saved !== null ? saved === 'true' : this.defaults.micEnabled;
+  }
+
+  /**
+   * Set microphone commentary preference (applies from the next recording)
+   * @param {boolean} enabled - Mix the microphone into recordings
+   */
+  setMicEnabled(enabled) {
+    this.storageService?.setItem(this.keys.MIC_ENABLED, enabled.toString());
+
+    this.logger.debug(`Microphone commentary ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Get the selected microphone
+   * @returns {string} Device ID, or '' for the system default
+   */
+  getMicDeviceId() {
+    return this.storageService?.getItem(this.keys.MIC_DEVICE_ID) || this.defaults.micDeviceId;
+  }
+
+  /**
+   * Set the microphone to record (applies from the next recording)
+   * @param {string} deviceId - Device ID, or '' for the system default
+   */
+  setMicDeviceId(deviceId) {
+    this.storageService?.setItem(this.keys.MIC_DEVICE_ID, deviceId || '');
+
+    this.logger.debug(`Microphone set to ${deviceId || 'system default'}`);
+  }
+
+  /**
+   * Get microphone gain
+   * @returns {number} Gain in percent
+   */
+  getMicGain() {
+    return this._getGainPercent(this.keys.MIC_GAIN, this.defaults.micGain);
+  }
+
+  /**
+   * Set microphone gain (applies immediately, including during a recording)
+   * @param {number} percent - Gain in percent
+   */
+  setMicGain(percent) {
+    this._setGainPercent(this.keys.MIC_GAIN, percent, 'Microphone');
+  }
+
+  /**
+   * Get game audio gain in recordings with microphone commentary
+   * @returns {number} Gain in percent
+   */
+  getGameAudioGain() {
+    return this._getGainPercent(this.keys.GAME_AUDIO_GAIN, this.defaults.gameAudioGain);
+  }
+
+  /**
+   * Set game audio gain in recordings (applies immediately, including during a recording)
+   * Does not change the live playback volume.
+   * @param {number} percent - Gain in percent
+   */
+  setGameAudioGain(percent) {
+    this._setGainPercent(this.keys.GAME_AUDIO_GAIN, percent, 'Game audio');
+  }
+
+  /**
+   * Get separate commentary track preference
+   * @returns {boolean} True if the microphone is saved to its own file instead of mixed
+   */
+  getMicSeparateTrack() {
+    const saved = this.storageService?.getItem(this.keys.MIC_SEPARATE_TRACK);
+    return saved !== null ? saved === 'true' : this.defaults.micSeparateTrack;
+  }
+
+  /**
+   * Set separate commentary track preference (applies from the next recording)
+   * @param {boolean} enabled - Save the microphone to its own file
+   */
+  setMicSeparateTrack(enabled) {
+    this.storageService?.setItem(this.keys.MIC_SEPARATE_TRACK, enabled.toString());
+
+    this.logger.debug(`Separate commentary track ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Get webcam overlay preference
+   * @returns {boolean} True if the webcam is composited into captures
+   */
+  getFacecamEnabled() {
+    const saved = this.storageService?.getItem(this.keys.FACECAM_ENABLED);
+    return saved !== null ? saved === 'true' : this.defaults.facecamEnabled;
+  }
+
+  /**
+   * Set webcam overlay preference (applies immediately)
+   * @param {boolean} enabled - Composite the webcam into captures
+   */
+  setFacecamEnabled(enabled) {
+    this.storageService?.setItem(this.keys.FACECAM_ENABLED, enabled.toString());
+
+    this.logger.debug(`Webcam overlay ${enabled ? 'enabled' : 'disabled'}`);
+
+    this._publishFacecamChanged();
+  }
+
+  /**
+   * Get the selected webcam
+   * @returns {string} Device ID, or '' to pick the first camera that is not the capture device
+   */
+  getFacecamDeviceId() {
+    return this.storageService?.getItem(this.keys.FACECAM_DEVICE_ID) || this.defaults.facecamDeviceId;
+  }
+
+  /**
+   * Set the webcam to overlay (applies immediately)
+   * @param {string} deviceId - Device ID, or '' for automatic selection
+   */
+  setFacecamDeviceId(deviceId) {
+    this.storageService?.setItem(this.keys.FACECAM_DEVICE_ID, deviceId || '');
+
+    this.logger.debug(`Webcam set to ${deviceId || 'automatic'}`);
+
+    this._publishFacecamChanged();
+  }
+
+  /**
+   * Get the corner the webcam overlay sits in
+   * @returns {'top-left'|'top-right'|'bottom-left'|'bottom-right'} Position
+   */
+  getFacecamPosition() {
+    const saved = this.storageService?.getItem(this.keys.FACECAM_POSITION);
+    return FACECAM.POSITIONS.includes(saved) ? saved : this.defaults.facecamPosition;
+  }
+
+  /**
+   * Set the corner the webcam overlay sits in (applies immediately)
+   * @param {'top-left'|'top-right'|'bottom-left'|'bottom-right'} position - Position
+   */
+  setFacecamPosition(position) {
+    if (!FACECAM.POSITIONS.includes(position)) {
+      this.logger.warn(`Ignoring unknown webcam position: ${position}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.FACECAM_POSITION, position);
+
+    this.logger.debug(`Webcam position set to ${position}`);
+
+    this._publishFacecamChanged();
+  }
+
+  /**
+   * Get the webcam overlay width
+   * @returns {number} Percentage of the frame width
+   */
+  getFacecamSize() {
+    const saved = parseInt(this.storageService?.getItem(this.keys.FACECAM_SIZE), 10);
+    return FACECAM.SIZES_PERCENT.includes(saved) ? saved : this.defaults.facecamSize;
+  }
+
+  /**
+   * Set the webcam overlay width (applies immediately)
+   * @param {number} percent - Percentage of the frame width
+   */
+  setFacecamSize(percent) {
+    if (!FACECAM.SIZES_PERCENT.includes(percent)) {
+      this.logger.warn(`Ignoring unsupported webcam size: ${percent}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.FACECAM_SIZE, percent.toString());
+
+    this.logger.debug(`Webcam size set to ${percent}%`);
+
+    this._publishFacecamChanged();
+  }
+
+  /**
+   * Get the webcam overlay border style
+   * @returns {'none'|'white'|'black'|'rounded'} Border style
+   */
+  getFacecamBorder() {
+    const saved = this.storageService?.getItem(this.keys.FACECAM_BORDER);
+    return FACECAM.BORDERS.includes(saved) ? saved : this.defaults.facecamBorder;
+  }
+
+  /**
+   * Set the webcam overlay border style (applies immediately)
+   * @param {'none'|'white'|'black'|'rounded'} border - Border style
+   */
+  setFacecamBorder(border) {
+    if (!FACECAM.BORDERS.includes(border)) {
+      this.logger.warn(`Ignoring unknown webcam border: ${border}`);
+      return;
+    }
+
+    this.storageService?.setItem(this.keys.FACECAM_BORDER, border);
+
+    this.logger.debug(`Webcam border set to ${border}`);
+
+    this._publishFacecamChanged();
+  }
+
+  /**
+   * Get all webcam overlay settings
+   * @returns {{enabled: boolean, deviceId: string, position: string, sizePercent: number, border: string}}
+   */
+  getFacecamSettings() {
+    return {
+      enabled: this.getFacecamEnabled(),
+      deviceId: this.getFacecamDeviceId(),
+      position: this.getFacecamPosition(),
+      sizePercent: this.getFacecamSize(),
+      border: this.getFacecamBorder()
+    };
+  }
+
+  _getGainPercent(key, fallback) {
+    const saved = parseInt(this.storageService?.getItem(key), 10);
+    return AUDIO_MIX.GAIN_OPTIONS_PERCENT.includes(saved) ? saved : fallback;
+  }
+
+  _setGainPercent(key, percent, label) {
+    if (!AUDIO_MIX.GAIN_OPTIONS_PERCENT.includes(percent)) {
+      this.logger.warn(`Ignoring unsupported ${label.toLowerCase()} gain: ${percent}`);
+      return;
+    }
+
+    this.storageService?.setItem(key, percent.toString());
+
+    this.logger.debug(`${label} gain set to ${percent}%`);
+
+    // Emit event so an active mix follows the change
+    this.eventBus.publish(EventChannels.SETTINGS.AUDIO_MIX_CHANGED, {
+      micGain: this.getMicGain(),
+      gameAudioGain: this.getGameAudioGain()
+    });
+  }
+
+  /**
+   * Store a custom recording quality, starting from the current one
+   * @param {Object} change - Encoder settings to change
+   * @private
+   */
+  _setCustomRecordingQuality(change) {
+    const { codec, videoBitrateKbps, frameRate, scale } = { ...this.getRecordingQuality(), ...change };
+
+    this.storageService?.setItem(this.keys.RECORDING_CODEC, codec);
+    this.storageService?.setItem(this.keys.RECORDING_VIDEO_BITRATE, videoBitrateKbps.toString());
+    this.storageService?.setItem(this.keys.RECORDING_FRAME_RATE, frameRate.toString());
+    this.storageService?.setItem(this.keys.RECORDING_OUTPUT_SCALE, scale.toString());
+    this.storageService?.setItem(this.keys.RECORDING_QUALITY_PRESET, 'custom');
+
+    this.logger.debug(`Custom recording quality: ${codec}, ${videoBitrateKbps} kbps, ${frameRate} fps, scale ${scale || 'renderer'}`);
+  }
+
+  _clampReplayBufferSeconds(seconds) {
+    return Math.max(REPLAY_BUFFER.MIN_SECONDS, Math.min(REPLAY_BUFFER.MAX_SECONDS, Math.round(seconds)));
+  }
+
+  _publishFacecamChanged() {
+    this.eventBus.publish(EventChannels.SETTINGS.FACECAM_CHANGED, this.getFacecamSettings());
+  }
+
+  _publishReplayBufferChanged() {
+    this.eventBus.publish(EventChannels.SETTINGS.REPLAY_BUFFER_CHANGED, {
+      enabled: this.getReplayBufferEnabled(),
+      seconds: this.getReplayBufferSeconds()
+    });
+  }
 }
 
 export { SettingsService };
@@ -0,0 +1,116 @@
+/**
+ * Game Picker Component
+ *
+ * Header dropdown for the game being played. Lists the games tagged in notes
+ * and the games with a saved profile; picking one sets the active game in
+ * NotesService, which applies its render and audio profile. Follows the
+ * active game when it is changed from the notes panel.
+ */
+
+import { createDomListenerManager } from '@shared/base/dom-listener.utils.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+
+const NO_GAME_LABEL = 'No game';
+
+class SettingsGamePickerComponent {
+  constructor({ notesService, gameProfileService, eventBus, logger }) {
+    this.notesService = notesService;
+    this.gameProfileService = gameProfileService;
+    this.eventBus = eventBus;
+    this.logger = logger;
+
+    this._domListeners = createDomListenerManager({ logger });
+    this._eventSubscriptions = [];
+  }
+
+  /**
+   * Initialize component with DOM elements
+   * @param {Object} elements - DOM element references
+   */
+  initialize(elements) {
+    this.elements = {
+      gamePicker: elements.gamePicker
+    };
+
+    if (!this.elements.gamePicker) {
+      this.logger?.warn('Game picker element not found');
+      return;
+    }
+
+    this._domListeners.add(this.elements.gamePicker, 'change', () => {
+      this.notesService.setActiveGame(this.elements.gamePicker.value);
+    });
+
+    const render = () => this.render();
+    this._eventSubscriptions.push(
+      this.eventBus.subscribe(EventChannels.NOTES.ACTIVE_GAME_CHANGED, render),
+      this.eventBus.subscribe(EventChannels.NOTES.NOTE_CREATED, render),
+      this.eventBus.subscribe(EventChannels.NOTES.NOTE_DELETED, render),
+      this.eventBus.subscribe(EventChannels.SETTINGS.GAME_PROFILES_CHANGED, render)
+    );
+
+    this.render();
+    this.logger?.debug('SettingsGamePickerComponent initialized');
+  }
+
+  /**
+   * Rebuild the game list and select the active game
+   */
+  render() {
+    const select = this.elements?.gamePicker;
+    if (!select) return;
+
+    const activeGame = this.notesService.getActiveGame();
+    const games = this._getGames(activeGame);
+
+    const createOption = (label, value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    };
+
+    select.replaceChildren(createOption(NO_GAME_LABEL, ''), ...games.map(game => createOption(game, game)));
+
+    // Notes and profiles may spell the active game with different case
+    const activeKey = activeGame.toLowerCase();
+    select.value = games.find(game => game.toLowerCase() === activeKey) || '';
+  }
+
+  /**
+   * Games from notes and profiles plus the active game, one entry per name
+   * regardless of case
+   * @param {string} activeGame
+   * @returns {string[]} Sorted game names
+   * @private
+   */
+  _getGames(activeGame) {
+    const games = new Map();
+    const candidates = [
+      ...this.notesService.getUniqueGames(),
+      ...this.gameProfileService.getProfileGames(),
+      activeGame
+    ];
+
+    for (const game of candidates) {
+      const key = game.toLowerCase();
+      if (key && !games.has(key)) {
+        games.set(key, game);
+      }
+    }
+
+    return [...games.values()].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Dispose component and clean up
+   */
+  dispose() {
+    this._domListeners.removeAll();
+    this._eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    this._eventSubscriptions = [];
+    this.elements = null;
+  }
+}
+
+export { SettingsGamePickerComponent };
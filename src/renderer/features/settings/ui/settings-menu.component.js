@@ -8,10 +8,15 @@
 import { createDomListenerManager } from '@shared/base/dom-listener.utils.js';
 import { DOMSelectors } from '@shared/config/dom-selectors.config.js';
 import { CSSClasses } from '@shared/config/css-classes.config.js';
+import { FilenameGenerator } from '@shared/utils/filename-generator.utils.js';
+import { estimateMegabytesPerMinute, isRecordingCodecSupported } from '@shared/utils/recording-quality.utils.js';
 
 class SettingsMenuComponent {
-  constructor({ settingsService, updateSectionComponent, eventBus, loggerFactory, logger }) {
+  constructor({ settingsService, captureStorageAdapter, captureAudioMixService, captureFacecamService, updateSectionComponent, eventBus, loggerFactory, logger }) {
     this.settingsService = settingsService;
+    this.captureStorageAdapter = captureStorageAdapter || null;
+    this.captureAudioMixService = captureAudioMixService || null;
+    this.captureFacecamService = captureFacecamService || null;
     this.eventBus = eventBus;
     this.loggerFactory = loggerFactory;
     this.logger = logger;
@@ -36,6 +41,46 @@ class SettingsMenuComponent {
     this.fullscreenOnStartupCheckbox = elements.settingFullscreenOnStartup;
     this.minimalistFullscreenCheckbox = elements.settingMinimalistFullscreen;
     this.animationSaverCheckbox = elements.settingAnimationSaver;
+    this.captureFolderLabel = elements.settingCaptureFolder;
+    this.captureFolderButton = elements.settingCaptureFolderBtn;
+    this.captureAskEveryTimeCheckbox = elements.settingCaptureAskEveryTime;
+    this.captureGameFoldersCheckbox = elements.settingCaptureGameFolders;
+    this.filenameTemplateInput = elements.settingCaptureFilenameTemplate;
+    this.filenameTemplateHint = elements.settingCaptureFilenameHint;
+    // Token list shown again once the template is valid
+    this._filenameHintText = this.filenameTemplateHint?.textContent ?? '';
+    this.replayBufferCheckbox = elements.settingReplayBuffer;
+    this.replayBufferSecondsSelect = elements.settingReplayBufferSeconds;
+    this.screenshotModeSelect = elements.settingScreenshotMode;
+    this.screenshotScaleSelect = elements.settingScreenshotScale;
+    this.recordingFormatSelect = elements.settingRecordingFormat;
+    this.recordingQualitySelect = elements.settingRecordingQuality;
+    this.recordingEstimateLabel = elements.settingRecordingEstimate;
+    this.recordingCodecSelect = elements.settingRecordingCodec;
+    this.recordingBitrateSelect = elements.settingRecordingBitrate;
+    this.recordingFrameRateSelect = elements.settingRecordingFrameRate;
+    this.recordingScaleSelect = elements.settingRecordingScale;
+    this.recordingSegmentMinutesSelect = elements.settingRecordingSegmentMinutes;
+    this.recordingSegmentSizeSelect = elements.settingRecordingSegmentSize;
+    this.recordingReviewCheckbox = elements.settingRecordingReview;
+    this.recordingDualTrackCheckbox = elements.settingRecordingDualTrack;
+    this.clipFormatSelect = elements.settingClipFormat;
+    this.clipScaleSelect = elements.settingClipScale;
+    this.clipDurationSelect = elements.settingClipDuration;
+    this.intervalModeSelect = elements.settingIntervalMode;
+    this.intervalSecondsSelect = elements.settingIntervalSeconds;
+    this.intervalFrameStepSelect = elements.settingIntervalFrameStep;
+    this.frameSequenceSecondsSelect = elements.settingFrameSequenceSeconds;
+    this.micEnabledCheckbox = elements.settingMicEnabled;
+    this.micDeviceSelect = elements.settingMicDevice;
+    this.micGainSelect = elements.settingMicGain;
+    this.gameAudioGainSelect = elements.settingGameAudioGain;
+    this.micSeparateTrackCheckbox = elements.settingMicSeparateTrack;
+    this.facecamEnabledCheckbox = elements.settingFacecamEnabled;
+    this.facecamDeviceSelect = elements.settingFacecamDevice;
+    this.facecamPositionSelect = elements.settingFacecamPosition;
+    this.facecamSizeSelect = elements.settingFacecamSize;
+    this.facecamBorderSelect = elements.settingFacecamBorder;
     this.disclaimerBtn = elements.disclaimerBtn;
     this.disclaimerContent = elements.disclaimerContent;
     this.footer = elements.footer;
@@ -47,6 +92,9 @@ class SettingsMenuComponent {
 
     this._bindEvents();
     this._loadCurrentSettings();
+    this._loadCaptureSettings();
+    this._loadMicrophones();
+    this._loadCameras();
     this._setupClickOutside();
     this._setupEscapeKey();
     this._setAppVersion();
@@ -114,6 +162,234 @@ class SettingsMenuComponent {
       });
     }
 
+    // Capture folder picker
+    if (this.captureFolderButton) {
+      this._domListeners.add(this.captureFolderButton, 'click', () => {
+        this._chooseCaptureFolder();
+      });
+    }
+
+    // Capture "ask where to save" toggle
+    if (this.captureAskEveryTimeCheckbox) {
+      this._domListeners.add(this.captureAskEveryTimeCheckbox, 'change', () => {
+        this._updateCaptureSettings({ askEveryTime: this.captureAskEveryTimeCheckbox.checked });
+      });
+    }
+
+    // Per-game capture folders toggle
+    if (this.captureGameFoldersCheckbox) {
+      this._domListeners.add(this.captureGameFoldersCheckbox, 'change', () => {
+        this._updateCaptureSettings({ gameFolders: this.captureGameFoldersCheckbox.checked });
+      });
+    }
+
+    // Filename template: checked while typing, saved once valid and committed
+    if (this.filenameTemplateInput) {
+      this._domListeners.add(this.filenameTemplateInput, 'input', () => {
+        this._applyFilenameTemplateError(FilenameGenerator.validateTemplate(this.filenameTemplateInput.value));
+      });
+      this._domListeners.add(this.filenameTemplateInput, 'change', () => {
+        this._applyFilenameTemplateError(this.settingsService.setCaptureFilenameTemplate(this.filenameTemplateInput.value));
+      });
+    }
+
+    // Instant replay toggle
+    if (this.replayBufferCheckbox) {
+      this._domListeners.add(this.replayBufferCheckbox, 'change', () => {
+        const enabled = this.replayBufferCheckbox.checked;
+        this.settingsService.setReplayBufferEnabled(enabled);
+        this._applyReplayBufferEnabled(enabled);
+      });
+    }
+
+    // Instant replay length
+    if (this.replayBufferSecondsSelect) {
+      this._domListeners.add(this.replayBufferSecondsSelect, 'change', () => {
+        this.settingsService.setReplayBufferSeconds(Number(this.replayBufferSecondsSelect.value));
+      });
+    }
+
+    // Screenshot output
+    if (this.screenshotModeSelect) {
+      this._domListeners.add(this.screenshotModeSelect, 'change', () => {
+        const mode = this.screenshotModeSelect.value;
+        this.settingsService.setScreenshotMode(mode);
+        this._applyScreenshotMode(mode);
+      });
+    }
+
+    if (this.screenshotScaleSelect) {
+      this._domListeners.add(this.screenshotScaleSelect, 'change', () => {
+        this.settingsService.setScreenshotScale(Number(this.screenshotScaleSelect.value));
+      });
+    }
+
+    // Recording container (applies from the next recording)
+    if (this.recordingFormatSelect) {
+      this._domListeners.add(this.recordingFormatSelect, 'change', () => {
+        this.settingsService.setRecordingFormat(this.recordingFormatSelect.value);
+      });
+    }
+
+    // Recording quality: a preset fills in the advanced options, and changing
+    // any of those switches to a custom quality
+    if (this.recordingQualitySelect) {
+      this._domListeners.add(this.recordingQualitySelect, 'change', () => {
+        this.settingsService.setRecordingQualityPreset(this.recordingQualitySelect.value);
+        this._applyRecordingQuality(this.settingsService.getRecordingQuality());
+      });
+    }
+
+    const recordingQualityControls = [
+      [this.recordingCodecSelect, value => this.settingsService.setRecordingCodec(value)],
+      [this.recordingBitrateSelect, value => this.settingsService.setRecordingVideoBitrate(Number(value))],
+      [this.recordingFrameRateSelect, value => this.settingsService.setRecordingFrameRate(Number(value))],
+      [this.recordingScaleSelect, value => this.settingsService.setRecordingOutputScale(Number(value))]
+    ];
+    recordingQualityControls.forEach(([select, save]) => {
+      if (!select) return;
+      this._domListeners.add(select, 'change', () => {
+        save(select.value);
+        this._applyRecordingQuality(this.settingsService.getRecordingQuality());
+      });
+    });
+
+    // Recording segmentation limits (apply from the next recording)
+    if (this.recordingSegmentMinutesSelect) {
+      this._domListeners.add(this.recordingSegmentMinutesSelect, 'change', () => {
+        this.settingsService.setRecordingSegmentMinutes(Number(this.recordingSegmentMinutesSelect.value));
+      });
+    }
+
+    if (this.recordingSegmentSizeSelect) {
+      this._domListeners.add(this.recordingSegmentSizeSelect, 'change', () => {
+        this.settingsService.setRecordingSegmentSizeMb(Number(this.recordingSegmentSizeSelect.value));
+      });
+    }
+
+    if (this.recordingReviewCheckbox) {
+      this._domListeners.add(this.recordingReviewCheckbox, 'change', () => {
+        this.settingsService.setRecordingReviewEnabled(this.recordingReviewCheckbox.checked);
+      });
+    }
+
+    if (this.recordingDualTrackCheckbox) {
+      this._domListeners.add(this.recordingDualTrackCheckbox, 'change', () => {
+        this.settingsService.setRecordingDualTrack(this.recordingDualTrackCheckbox.checked);
+      });
+    }
+
+    // Clip capture options
+    if (this.clipFormatSelect) {
+      this._domListeners.add(this.clipFormatSelect, 'change', () => {
+        this.settingsService.setClipFormat(this.clipFormatSelect.value);
+      });
+    }
+
+    if (this.clipScaleSelect) {
+      this._domListeners.add(this.clipScaleSelect, 'change', () => {
+        this.settingsService.setClipScale(Number(this.clipScaleSelect.value));
+      });
+    }
+
+    if (this.clipDurationSelect) {
+      this._domListeners.add(this.clipDurationSelect, 'change', () => {
+        this.settingsService.setClipDurationSeconds(Number(this.clipDurationSelect.value));
+      });
+    }
+
+    // Interval capture options (apply from the next session)
+    if (this.intervalModeSelect) {
+      this._domListeners.add(this.intervalModeSelect, 'change', () => {
+        this.settingsService.setIntervalMode(this.intervalModeSelect.value);
+      });
+    }
+
+    if (this.intervalSecondsSelect) {
+      this._domListeners.add(this.intervalSecondsSelect, 'change', () => {
+        this.settingsService.setIntervalSeconds(Number(this.intervalSecondsSelect.value));
+      });
+    }
+
+    if (this.intervalFrameStepSelect) {
+      this._domListeners.add(this.intervalFrameStepSelect, 'change', () => {
+        this.settingsService.setIntervalFrameStep(Number(this.intervalFrameStepSelect.value));
+      });
+    }
+
+    if (this.frameSequenceSecondsSelect) {
+      this._domListeners.add(this.frameSequenceSecondsSelect, 'change', () => {
+        this.settingsService.setFrameSequenceSeconds(Number(this.frameSequenceSecondsSelect.value));
+      });
+    }
+
+    // Microphone commentary (applies from the next recording, except levels)
+    if (this.micEnabledCheckbox) {
+      this._domListeners.add(this.micEnabledCheckbox, 'change', () => {
+        const enabled = this.micEnabledCheckbox.checked;
+        this.settingsService.setMicEnabled(enabled);
+        this._applyMicEnabled(enabled);
+      });
+    }
+
+    if (this.micDeviceSelect) {
+      this._domListeners.add(this.micDeviceSelect, 'change', () => {
+        this.settingsService.setMicDeviceId(this.micDeviceSelect.value);
+      });
+    }
+
+    // Levels also apply live to a recording in progress
+    if (this.micGainSelect) {
+      this._domListeners.add(this.micGainSelect, 'change', () => {
+        this.settingsService.setMicGain(Number(this.micGainSelect.value));
+      });
+    }
+
+    if (this.gameAudioGainSelect) {
+      this._domListeners.add(this.gameAudioGainSelect, 'change', () => {
+        this.settingsService.setGameAudioGain(Number(this.gameAudioGainSelect.value));
+      });
+    }
+
+    if (this.micSeparateTrackCheckbox) {
+      this._domListeners.add(this.micSeparateTrackCheckbox, 'change', () => {
+        this.settingsService.setMicSeparateTrack(this.micSeparateTrackCheckbox.checked);
+      });
+    }
+
+    // Webcam overlay (applies immediately, including the live preview)
+    if (this.facecamEnabledCheckbox) {
+      this._domListeners.add(this.facecamEnabledCheckbox, 'change', () => {
+        const enabled = this.facecamEnabledCheckbox.checked;
+        this.settingsService.setFacecamEnabled(enabled);
+        this._applyFacecamEnabled(enabled);
+      });
+    }
+
+    if (this.facecamDeviceSelect) {
+      this._domListeners.add(this.facecamDeviceSelect, 'change', () => {
+        this.settingsService.setFacecamDeviceId(this.facecamDeviceSelect.value);
+      });
+    }
+
+    if (this.facecamPositionSelect) {
+      this._domListeners.add(this.facecamPositionSelect, 'change', () => {
+        this.settingsService.setFacecamPosition(this.facecamPositionSelect.value);
+      });
+    }
+
+    if (this.facecamSizeSelect) {
+      this._domListeners.add(this.facecamSizeSelect, 'change', () => {
+        this.settingsService.setFacecamSize(Number(this.facecamSizeSelect.value));
+      });
+    }
+
+    if (this.facecamBorderSelect) {
+      this._domListeners.add(this.facecamBorderSelect, 'change', () => {
+        this.settingsService.setFacecamBorder(this.facecamBorderSelect.value);
+      });
+    }
+
     // Disclaimer expand/collapse
     if (this.disclaimerBtn && this.disclaimerContent) {
       this._domListeners.add(this.disclaimerBtn, 'click', () => {
@@ -134,6 +410,32 @@ class SettingsMenuComponent {
     const fullscreenOnStartupEnabled = this.settingsService.getFullscreenOnStartup?.() ?? false;
     const minimalistFullscreenEnabled = this.settingsService.getMinimalistFullscreen?.() ?? false;
     const performanceModeEnabled = this.settingsService.getPerformanceMode?.() ?? false;
+    const replayBufferEnabled = this.settingsService.getReplayBufferEnabled?.() ?? false;
+    const replayBufferSeconds = this.settingsService.getReplayBufferSeconds?.();
+    const screenshotMode = this.settingsService.getScreenshotMode?.();
+    const screenshotScale = this.settingsService.getScreenshotScale?.();
+    const recordingFormat = this.settingsService.getRecordingFormat?.();
+    const recordingQuality = this.settingsService.getRecordingQuality?.();
+    const recordingSegmentMinutes = this.settingsService.getRecordingSegmentMinutes?.();
+    const recordingSegmentSizeMb = this.settingsService.getRecordingSegmentSizeMb?.();
+    const recordingReview = this.settingsService.getRecordingReviewEnabled?.() ?? false;
+    const recordingDualTrack = this.settingsService.getRecordingDualTrack?.() ?? false;
+    const clipFormat = this.settingsService.getClipFormat?.();
+    const clipScale = this.settingsService.getClipScale?.();
+    const clipDurationSeconds = this.settingsService.getClipDurationSeconds?.();
+    const intervalMode = this.settingsService.getIntervalMode?.();
+    const intervalSeconds = this.settingsService.getIntervalSeconds?.();
+    const intervalFrameStep = this.settingsService.getIntervalFrameStep?.();
+    const frameSequenceSeconds = this.settingsService.getFrameSequenceSeconds?.();
+    const micEnabled = this.settingsService.getMicEnabled?.() ?? false;
+    const micGain = this.settingsService.getMicGain?.();
+    const gameAudioGain = this.settingsService.getGameAudioGain?.();
+    const micSeparateTrack = this.settingsService.getMicSeparateTrack?.() ?? false;
+    const facecamEnabled = this.settingsService.getFacecamEnabled?.() ?? false;
+    const facecamPosition = this.settingsService.getFacecamPosition?.();
+    const facecamSize = this.settingsService.getFacecamSize?.();
+    const facecamBorder = this.settingsService.getFacecamBorder?.();
+    const filenameTemplate = this.settingsService.getCaptureFilenameTemplate?.();
 
     if (this.statusStripCheckbox) {
       this.statusStripCheckbox.checked = statusStripVisible;
@@ -151,7 +453,375 @@ class SettingsMenuComponent {
       this.animationSaverCheckbox.checked = performanceModeEnabled;
     }
 
+    if (this.replayBufferCheckbox) {
+      this.replayBufferCheckbox.checked = replayBufferEnabled;
+    }
+
+    if (this.replayBufferSecondsSelect && replayBufferSeconds !== undefined) {
+      this.replayBufferSecondsSelect.value = String(replayBufferSeconds);
+    }
+
+    if (this.screenshotModeSelect && screenshotMode !== undefined) {
+      this.screenshotModeSelect.value = screenshotMode;
+    }
+
+    if (this.screenshotScaleSelect && screenshotScale !== undefined) {
+      this.screenshotScaleSelect.value = String(screenshotScale);
+    }
+
+    if (this.recordingFormatSelect && recordingFormat !== undefined) {
+      this.recordingFormatSelect.value = recordingFormat;
+    }
+
+    if (recordingQuality) {
+      this._markUnsupportedRecordingCodecs();
+      this._applyRecordingQuality(recordingQuality);
+    }
+
+    if (this.recordingSegmentMinutesSelect && recordingSegmentMinutes !== undefined) {
+      this.recordingSegmentMinutesSelect.value = String(recordingSegmentMinutes);
+    }
+
+    if (this.recordingSegmentSizeSelect && recordingSegmentSizeMb !== undefined) {
+      this.recordingSegmentSizeSelect.value = String(recordingSegmentSizeMb);
+    }
+
+    if (this.recordingReviewCheckbox) {
+      this.recordingReviewCheckbox.checked = recordingReview;
+    }
+
+    if (this.recordingDualTrackCheckbox) {
+      this.recordingDualTrackCheckbox.checked = recordingDualTrack;
+    }
+
+    if (this.clipFormatSelect && clipFormat !== undefined) {
+      this.clipFormatSelect.value = clipFormat;
+    }
+
+    if (this.clipScaleSelect && clipScale !== undefined) {
+      this.clipScaleSelect.value = String(clipScale);
+    }
+
+    if (this.clipDurationSelect && clipDurationSeconds !== undefined) {
+      this.clipDurationSelect.value = String(clipDurationSeconds);
+    }
+
+    if (this.intervalModeSelect && intervalMode !== undefined) {
+      this.intervalModeSelect.value = intervalMode;
+    }
+
+    if (this.intervalSecondsSelect && intervalSeconds !== undefined) {
+      this.intervalSecondsSelect.value = String(intervalSeconds);
+    }
+
+    if (this.intervalFrameStepSelect && intervalFrameStep !== undefined) {
+      this.intervalFrameStepSelect.value = String(intervalFrameStep);
+    }
+
+    if (this.frameSequenceSecondsSelect && frameSequenceSeconds !== undefined) {
+      this.frameSequenceSecondsSelect.value = String(frameSequenceSeconds);
+    }
+
+    if (this.micEnabledCheckbox) {
+      this.micEnabledCheckbox.checked = micEnabled;
+    }
+
+    if (this.micGainSelect && micGain !== undefined) {
+      this.micGainSelect.value = String(micGain);
+    }
+
+    if (this.gameAudioGainSelect && gameAudioGain !== undefined) {
+      this.gameAudioGainSelect.value = String(gameAudioGain);
+    }
+
+    if (this.micSeparateTrackCheckbox) {
+      this.micSeparateTrackCheckbox.checked = micSeparateTrack;
+    }
+
+    if (this.facecamEnabledCheckbox) {
+      this.facecamEnabledCheckbox.checked = facecamEnabled;
+    }
+
+    if (this.facecamPositionSelect && facecamPosition !== undefined) {
+      this.facecamPositionSelect.value = facecamPosition;
+    }
+
+    if (this.facecamSizeSelect && facecamSize !== undefined) {
+      this.facecamSizeSelect.value = String(facecamSize);
+    }
+
+    if (this.facecamBorderSelect && facecamBorder !== undefined) {
+      this.facecamBorderSelect.value = facecamBorder;
+    }
+
+    if (this.filenameTemplateInput && filenameTemplate !== undefined) {
+      this.filenameTemplateInput.value = filenameTemplate;
+      this._applyFilenameTemplateError(null);
+    }
+
     this._applyStatusStripVisibility(statusStripVisible);
+    this._applyReplayBufferEnabled(replayBufferEnabled);
+    this._applyMicEnabled(micEnabled);
+    this._applyFacecamEnabled(facecamEnabled);
+    this._applyScreenshotMode(screenshotMode);
+  }
+
+  /**
+   * Only offer the replay length while instant replay is on
+   * @param {boolean} enabled - Instant replay enabled
+   * @private
+   */
+  _applyReplayBufferEnabled(enabled) {
+    if (this.replayBufferSecondsSelect) {
+      this.replayBufferSecondsSelect.disabled = !enabled;
+    }
+  }
+
+  /**
+   * Only offer the microphone options while commentary is on
+   * @param {boolean} enabled - Microphone commentary enabled
+   * @private
+   */
+  _applyMicEnabled(enabled) {
+    const dependents = [this.micDeviceSelect, this.micGainSelect, this.micSeparateTrackCheckbox];
+    dependents.forEach((element) => {
+      if (element) {
+        element.disabled = !enabled;
+      }
+    });
+  }
+
+  /**
+   * Only offer the webcam options while the overlay is on
+   * @param {boolean} enabled - Webcam overlay enabled
+   * @private
+   */
+  _applyFacecamEnabled(enabled) {
+    const dependents = [this.facecamDeviceSelect, this.facecamPositionSelect, this.facecamSizeSelect, this.facecamBorderSelect];
+    dependents.forEach((element) => {
+      if (element) {
+        element.disabled = !enabled;
+      }
+    });
+  }
+
+  /**
+   * Fill the microphone list, keeping "System default" first
+   * Re-run when the menu opens: device labels only appear once microphone access
+   * has been granted, and devices come and go.
+   * @private
+   */
+  async _loadMicrophones() {
+    if (!this.micDeviceSelect || !this.captureAudioMixService) return;
+
+    let microphones;
+    try {
+      microphones = await this.captureAudioMixService.listMicrophones();
+    } catch (error) {
+      this.logger?.warn('Failed to list microphones:', error.message);
+      return;
+    }
+
+    this._fillDeviceSelect(
+      this.micDeviceSelect,
+      microphones,
+      this.settingsService.getMicDeviceId?.() ?? '',
+      'Unavailable microphone'
+    );
+  }
+
+  /**
+   * Fill the webcam list, keeping "Automatic" first
+   * Re-run when the menu opens for the same reasons as the microphone list.
+   * @private
+   */
+  async _loadCameras() {
+    if (!this.facecamDeviceSelect || !this.captureFacecamService) return;
+
+    let cameras;
+    try {
+      cameras = await this.captureFacecamService.listCameras();
+    } catch (error) {
+      this.logger?.warn('Failed to list webcams:', error.message);
+      return;
+    }
+
+    this._fillDeviceSelect(
+      this.facecamDeviceSelect,
+      cameras,
+      this.settingsService.getFacecamDeviceId?.() ?? '',
+      'Unavailable webcam'
+    );
+  }
+
+  /**
+   * Replace the device options after the first (default) option
+   * @param {HTMLSelectElement} select - Device select
+   * @param {Array<{deviceId: string, label: string}>} devices - Connected devices
+   * @param {string} selectedId - Saved device ID, or '' for the default option
+   * @param {string} unavailableLabel - Label for a saved device that is not connected
+   * @private
+   */
+  _fillDeviceSelect(select, devices, selectedId, unavailableLabel) {
+    while (select.options.length > 1) {
+      select.remove(1);
+    }
+
+    devices.forEach(({ deviceId, label }) => {
+      const option = document.createElement('option');
+      option.value = deviceId;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+
+    // A saved device that is unplugged still shows, so the choice is not lost
+    if (selectedId && !devices.some(device => device.deviceId === selectedId)) {
+      const option = document.createElement('option');
+      option.value = selectedId;
+      option.textContent = unavailableLabel;
+      select.appendChild(option);
+    }
+
+    select.value = selectedId;
+  }
+
+  /**
+   * Show a recording quality in the preset and advanced selects, with its size estimate
+   * @param {{preset: string, codec: string, videoBitrateKbps: number, audioBitrateKbps: number, frameRate: number, scale: number}} quality
+   * @private
+   */
+  _applyRecordingQuality(quality) {
+    if (this.recordingQualitySelect) this.recordingQualitySelect.value = quality.preset;
+    if (this.recordingCodecSelect) this.recordingCodecSelect.value = quality.codec;
+    if (this.recordingBitrateSelect) this.recordingBitrateSelect.value = String(quality.videoBitrateKbps);
+    if (this.recordingFrameRateSelect) this.recordingFrameRateSelect.value = String(quality.frameRate);
+    if (this.recordingScaleSelect) this.recordingScaleSelect.value = String(quality.scale);
+
+    if (this.recordingEstimateLabel) {
+      const megabytes = estimateMegabytesPerMinute(quality);
+      this.recordingEstimateLabel.textContent = `About ${megabytes.toFixed(1)} MB per minute`;
+    }
+  }
+
+  /**
+   * Disable codecs this system's MediaRecorder cannot write
+   * @private
+   */
+  _markUnsupportedRecordingCodecs() {
+    if (!this.recordingCodecSelect) return;
+
+    Array.from(this.recordingCodecSelect.options).forEach(option => {
+      if (option.disabled || isRecordingCodecSupported(option.value)) return;
+      option.disabled = true;
+      option.textContent = `${option.textContent} (unsupported)`;
+    });
+  }
+
+  /**
+   * Native screenshots are always 160x144, so the scale only applies to the other modes
+   * @param {string} mode - Screenshot mode
+   * @private
+   */
+  _applyScreenshotMode(mode) {
+    if (this.screenshotScaleSelect) {
+      this.screenshotScaleSelect.disabled = mode === 'native';
+    }
+  }
+
+  /**
+   * Load capture folder settings from the main process
+   * @private
+   */
+  async _loadCaptureSettings() {
+    if (!this.captureStorageAdapter?.isAvailable()) {
+      // Outside Electron captures fall back to browser downloads
+      if (this.captureFolderButton) this.captureFolderButton.disabled = true;
+      if (this.captureAskEveryTimeCheckbox) this.captureAskEveryTimeCheckbox.disabled = true;
+      if (this.captureGameFoldersCheckbox) this.captureGameFoldersCheckbox.disabled = true;
+      return;
+    }
+
+    const result = await this.captureStorageAdapter.getSettings();
+    if (result?.success) {
+      this._applyCaptureSettings(result.settings);
+    } else {
+      this.logger?.warn('Failed to load capture settings:', result?.error);
+    }
+  }
+
+  /**
+   * Open the folder picker; the main process persists the selection
+   * @private
+   */
+  async _chooseCaptureFolder() {
+    if (!this.captureStorageAdapter) return;
+
+    const result = await this.captureStorageAdapter.chooseDirectory();
+    if (!result?.success) {
+      this.logger?.warn('Failed to choose capture folder:', result?.error);
+      return;
+    }
+    if (result.canceled || !result.directory) {
+      return;
+    }
+
+    if (this.captureFolderLabel) {
+      this.captureFolderLabel.textContent = result.directory;
+      this.captureFolderLabel.title = result.directory;
+    }
+  }
+
+  /**
+   * Persist capture settings and reflect the stored values in the UI
+   * @param {Object} updates - Partial capture settings
+   * @private
+   */
+  async _updateCaptureSettings(updates) {
+    if (!this.captureStorageAdapter) return;
+
+    const result = await this.captureStorageAdapter.updateSettings(updates);
+    if (result?.success) {
+      this._applyCaptureSettings(result.settings);
+    } else {
+      this.logger?.warn('Failed to update capture settings:', result?.error);
+    }
+  }
+
+  /**
+   * Apply capture settings to the captures section
+   * @param {{directory: string, askEveryTime: boolean, gameFolders: boolean}} settings
+   * @private
+   */
+  _applyCaptureSettings(settings) {
+    if (!settings) return;
+
+    if (this.captureFolderLabel) {
+      this.captureFolderLabel.textContent = settings.directory;
+      this.captureFolderLabel.title = settings.directory;
+    }
+
+    if (this.captureAskEveryTimeCheckbox) {
+      this.captureAskEveryTimeCheckbox.checked = Boolean(settings.askEveryTime);
+    }
+
+    if (this.captureGameFoldersCheckbox) {
+      this.captureGameFoldersCheckbox.checked = Boolean(settings.gameFolders);
+    }
+  }
+
+  /**
+   * Show why the filename template is rejected, or the token list when it is valid
+   * @param {string|null} error - Validation message
+   * @private
+   */
+  _applyFilenameTemplateError(error) {
+    if (this.filenameTemplateInput) {
+      this.filenameTemplateInput.setAttribute('aria-invalid', error ? 'true' : 'false');
+    }
+
+    if (this.filenameTemplateHint) {
+      this.filenameTemplateHint.textContent = error || this._filenameHintText;
+    }
   }
 
   /**
@@ -189,6 +859,8 @@ class SettingsMenuComponent {
     this.container.classList.add(CSSClasses.VISIBLE);
     this.toggleButton?.setAttribute('aria-expanded', 'true');
     this.isVisible = true;
+    this._loadMicrophones();
+    this._loadCameras();
 
     this.logger?.debug('Settings menu shown');
   }
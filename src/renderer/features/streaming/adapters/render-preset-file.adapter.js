@@ -0,0 +1,118 @@
+/**
+ * Render Preset File Adapter
+ *
+ * Wraps the preload-exposed presetAPI to provide a clean DI boundary.
+ * The main process shows the save and open dialogs and reads and writes
+ * preset files; their contents are built and checked in the renderer.
+ * The same API reads .cube files into the LUT library. Exports fall back to a browser download when the preload API is
+ * unavailable (e.g. running the renderer outside Electron).
+ */
+
+import { downloadFile } from '@renderer/lib/file-download.utils.js';
+
+export class RenderPresetFileAdapter {
+  constructor() {
+    this._presetAPI = globalThis.presetAPI || window.presetAPI;
+  }
+
+  /**
+   * Check if preset API is available
+   * @returns {boolean} True if preset API is available
+   */
+  isAvailable() {
+    return !!(this._presetAPI && typeof this._presetAPI.exportPreset === 'function');
+  }
+
+  /**
+   * Ask where to save a preset file and write it
+   * @param {string} filename - Suggested filename
+   * @param {string} contents - Preset file JSON
+   * @returns {Promise<{success: boolean, canceled?: boolean, filePath?: string|null, error?: string}>}
+   */
+  async exportPreset(filename, contents) {
+    if (!this.isAvailable()) {
+      try {
+        await downloadFile(new Blob([contents], { type: 'application/json' }), filename);
+        return { success: true, canceled: false, filePath: null };
+      } catch (error) {
+        return { success: false, error: error.message || String(error) };
+      }
+    }
+
+    try {
+      return await this._presetAPI.exportPreset(filename, contents);
+    } catch (error) {
+      return { success: false, error: error.message || String(error) };
+    }
+  }
+
+  /**
+   * Ask for a preset file and read it
+   * @returns {Promise<{success: boolean, canceled?: boolean, contents?: string|null, error?: string}>}
+   */
+  async importPreset() {
+    if (!this.isAvailable()) {
+      return { success: false, error: 'Preset API not available' };
+    }
+
+    try {
+      return await this._presetAPI.importPreset();
+    } catch (error) {
+      return { success: false, error: error.message || String(error) };
+    }
+  }
+
+  /**
+   * Ask for a .cube file and read it
+   * @returns {Promise<{success: boolean, canceled?: boolean, name?: string|null, contents?: string|null, error?: string}>}
+   */
+  async importLut() {
+    return this._invoke('importLut');
+  }
+
+  /**
+   * Add a LUT to the library
+   * @param {string} name - Original file name
+   * @param {string} contents - .cube file text
+   * @returns {Promise<{success: boolean, file?: string, error?: string}>}
+   */
+  async saveLut(name, contents) {
+    return this._invoke('saveLut', name, contents);
+  }
+
+  /**
+   * Read a LUT from the library
+   * @param {string} file - Library file name
+   * @returns {Promise<{success: boolean, contents?: string, error?: string}>}
+   */
+  async readLut(file) {
+    return this._invoke('readLut', file);
+  }
+
+  /**
+   * List the LUT library
+   * @returns {Promise<{success: boolean, files?: string[], error?: string}>}
+   */
+  async listLuts() {
+    return this._invoke('listLuts');
+  }
+
+  /**
+   * Call a preset API method, turning a missing API or IPC failure into an error result
+   * @param {string} method
+   * @param {...*} args
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _invoke(method, ...args) {
+    if (typeof this._presetAPI?.[method] !== 'function') {
+      return { success: false, error: 'Preset API not available' };
+    }
+
+    try {
+      return await this._presetAPI[method](...args);
+    } catch (error) {
+      return { success: false, error: error.message || String(error) };
+    }
+  }
+}
@@ -10,6 +10,7 @@
  * - Worker-based rendering with OffscreenCanvas
  * - Triple buffering to prevent frame drops
  * - Seamless preset switching
+ * - 3D LUT upload for presets that grade with a .cube LUT
  * - Graceful fallback chain
  */
 
@@ -23,7 +24,6 @@ import {
 } from '../workers/streaming-worker-protocol.config.js';
 import {
   DEFAULT_PRESET_ID,
-  getPresetById,
   buildUniformsFromPreset
 } from '../presets/streaming-render-presets.config.js';
 
@@ -39,6 +39,11 @@ const MAX_PENDING_FRAMES = 2;
 const NATIVE_WIDTH = 160;
 const NATIVE_HEIGHT = 144;
 
+/**
+ * Largest integer scale an offscreen snapshot can be rendered at
+ */
+const MAX_SNAPSHOT_SCALE = 10;
+
 /**
  * Frozen options for createImageBitmap to avoid per-frame allocation
  */
@@ -54,11 +59,13 @@ export class StreamingGpuRendererService extends BaseService {
    * @param {EventBus} dependencies.eventBus - Event publisher for render events
    * @param {Function} dependencies.loggerFactory - Logger factory
    * @param {SettingsService} dependencies.settingsService - Settings for brightness/preset
+   * @param {StreamingRenderPresetService} dependencies.renderPresetService - Built-in and custom preset lookup
+   * @param {StreamingLutService} dependencies.lutService - LUT library for the LUT pass
    */
   constructor(dependencies) {
     super(
       dependencies,
-      ['eventBus', 'loggerFactory', 'settingsService'],
+      ['eventBus', 'loggerFactory', 'settingsService', 'renderPresetService', 'lutService'],
       'StreamingGpuRendererService'
     );
 
@@ -82,10 +89,13 @@ export class StreamingGpuRendererService extends BaseService {
     this._targetWidth = NATIVE_WIDTH;
     this._targetHeight = NATIVE_HEIGHT;
 
+    // LUT sent to the worker (or being loaded for it); null when it has none
+    this._lutFile = null;
+
     // Cached uniforms to avoid per-frame object allocation
     this._cachedUniforms = null;
     // Track values used to build cached uniforms (avoids per-frame string allocation)
-    this._cachedPresetId = null;
+    this._cachedPreset = null;
     this._cachedScaleFactor = null;
     this._cachedTargetWidth = null;
     this._cachedTargetHeight = null;
@@ -106,6 +116,9 @@ export class StreamingGpuRendererService extends BaseService {
     this._captureTimeoutId = null;
     this._waitingForCapturedFrame = false;
 
+    // Pending offscreen snapshot request (Promise resolvers and timeout)
+    this._pendingSnapshot = null;
+
     // Brightness event subscription (for cleanup)
     this._brightnessUnsubscribe = null;
 
@@ -199,7 +212,8 @@ export class StreamingGpuRendererService extends BaseService {
             // Load saved preset or use default
             const savedPresetId = this.settingsService.getRenderPreset?.() || DEFAULT_PRESET_ID;
             this._currentPresetId = savedPresetId;
-            this._currentPreset = getPresetById(savedPresetId) || getPresetById(DEFAULT_PRESET_ID);
+            this._currentPreset = this.renderPresetService.getPresetById(savedPresetId) ||
+              this.renderPresetService.getPresetById(DEFAULT_PRESET_ID);
 
             // Build config for re-init (no canvas - worker already has it)
             const config = {
@@ -257,7 +271,8 @@ export class StreamingGpuRendererService extends BaseService {
       // Load saved preset or use default
       const savedPresetId = this.settingsService.getRenderPreset?.() || DEFAULT_PRESET_ID;
       this._currentPresetId = savedPresetId;
-      this._currentPreset = getPresetById(savedPresetId) || getPresetById(DEFAULT_PRESET_ID);
+      this._currentPreset = this.renderPresetService.getPresetById(savedPresetId) ||
+        this.renderPresetService.getPresetById(DEFAULT_PRESET_ID);
 
       // Build initialization config
       const config = {
@@ -348,6 +363,9 @@ export class StreamingGpuRendererService extends BaseService {
         this._resolveReady();
         this.logger.info(`Render worker ready (API: ${payload.api})`);
         this.eventBus.publish(EventChannels.RENDER.PIPELINE_READY, payload);
+        // A new renderer starts without a LUT
+        this._lutFile = null;
+        this._syncLut();
         break;
 
       case WorkerResponseType.FRAME_RENDERED:
@@ -390,6 +408,7 @@ export class StreamingGpuRendererService extends BaseService {
           this._captureTimeoutId = null;
         }
         this._resolvePendingCapture(null, new Error(payload.message));
+        this._resolvePendingSnapshot(null, new Error(payload.message));
         break;
 
       case WorkerResponseType.CAPTURE_REQUESTED:
@@ -406,6 +425,18 @@ export class StreamingGpuRendererService extends BaseService {
         this._resolvePendingCapture(payload.bitmap, null);
         break;
 
+      case WorkerResponseType.SNAPSHOT_READY:
+        this._resolvePendingSnapshot(payload.bitmap ?? null, payload.error ? new Error(payload.error) : null);
+        break;
+
+      case WorkerResponseType.LUT_LOADED:
+        if (payload.error) {
+          this._handleLutError(payload.file, payload.error);
+        } else {
+          this.logger.debug(`LUT uploaded: ${payload.file ?? 'none'}`);
+        }
+        break;
+
       case WorkerResponseType.RELEASED:
         this.logger.info('GPU resources released (worker still alive)');
         break;
@@ -509,7 +540,7 @@ export class StreamingGpuRendererService extends BaseService {
   _getCachedUniforms() {
     // Fast path: check if any value changed using direct comparison (no string allocation)
     if (this._cachedUniforms &&
-        this._cachedPresetId === this._currentPresetId &&
+        this._cachedPreset === this._currentPreset &&
         this._cachedScaleFactor === this._scaleFactor &&
         this._cachedTargetWidth === this._targetWidth &&
         this._cachedTargetHeight === this._targetHeight &&
@@ -518,23 +549,10 @@ export class StreamingGpuRendererService extends BaseService {
     }
 
     // Cache miss: rebuild uniforms and update tracking values
-    const baseUniforms = buildUniformsFromPreset(
-      this._currentPreset,
-      this._scaleFactor,
-      this._targetWidth,
-      this._targetHeight
-    );
-    // Apply global brightness to cached uniforms to avoid per-frame object allocation
-    this._cachedUniforms = {
-      ...baseUniforms,
-      color: {
-        ...baseUniforms.color,
-        brightness: this._currentPreset.color.brightness * this._globalBrightness
-      }
-    };
+    this._cachedUniforms = this._buildUniforms(this._scaleFactor, this._targetWidth, this._targetHeight);
 
     // Update tracked values
-    this._cachedPresetId = this._currentPresetId;
+    this._cachedPreset = this._currentPreset;
     this._cachedScaleFactor = this._scaleFactor;
     this._cachedTargetWidth = this._targetWidth;
     this._cachedTargetHeight = this._targetHeight;
@@ -543,19 +561,40 @@ export class StreamingGpuRendererService extends BaseService {
     return this._cachedUniforms;
   }
 
+  /**
+   * Build uniforms for the current preset and brightness at a given output size
+   * @param {number} scaleFactor - Integer scale factor
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   * @returns {Object} Uniform values for all shader passes
+   * @private
+   */
+  _buildUniforms(scaleFactor, width, height) {
+    const baseUniforms = buildUniformsFromPreset(this._currentPreset, scaleFactor, width, height);
+    // Apply global brightness once here rather than per frame
+    return {
+      ...baseUniforms,
+      color: {
+        ...baseUniforms.color,
+        brightness: this._currentPreset.color.brightness * this._globalBrightness
+      }
+    };
+  }
+
   /**
    * Set the active render preset (shader configuration)
-   * @param {string} presetId - Preset ID (e.g., 'authentic', 'vivid', 'sharp')
+   * @param {string} presetId - Preset ID (e.g., 'vibrant', 'hi-def', or a custom preset ID)
+   * @param {RenderPreset} [preset] - Unsaved preset values to preview instead of the stored preset
    */
-  setPreset(presetId) {
-    const preset = getPresetById(presetId);
+  setPreset(presetId, preset = null) {
+    preset = preset || this.renderPresetService.getPresetById(presetId);
     if (!preset) {
       this.logger.warn(`Unknown preset: ${presetId}`);
       return;
     }
 
-    // Skip if already set to this preset
-    if (this._currentPresetId === presetId) {
+    // Skip if already set to this preset; edited presets are new objects
+    if (this._currentPresetId === presetId && this._currentPreset === preset) {
       return;
     }
 
@@ -571,7 +610,66 @@ export class StreamingGpuRendererService extends BaseService {
         preset
       });
       this._worker.postMessage(message);
+      this._syncLut();
+    }
+  }
+
+  /**
+   * Send the current preset's LUT to the worker, or remove the worker's LUT
+   * when the preset has none. The worker skips the LUT pass until the LUT the
+   * preset names has arrived.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _syncLut() {
+    const file = this._currentPreset?.lut.enabled ? this._currentPreset.lut.file : null;
+    if (!this._worker || !this._isReady || file === this._lutFile) {
+      return;
+    }
+
+    this._lutFile = file;
+    if (!file) {
+      this._worker.postMessage(createWorkerMessage(WorkerMessageType.SET_LUT, { lut: null }));
+      return;
+    }
+
+    let lut;
+    try {
+      lut = await this.lutService.loadLut(file);
+    } catch (error) {
+      if (this._lutFile === file) {
+        this._handleLutError(file, error.message);
+      }
+      return;
+    }
+
+    // Another preset may have been selected, or the renderer released, while loading
+    if (this._lutFile !== file || !this._worker || !this._isReady) {
+      return;
     }
+
+    // Transfer a copy so the cached LUT stays usable
+    const data = lut.data.slice();
+    const message = createWorkerMessage(WorkerMessageType.SET_LUT, {
+      lut: { file, size: lut.size, domainMin: lut.domainMin, domainMax: lut.domainMax, data }
+    });
+    this._worker.postMessage(message, [data.buffer]);
+  }
+
+  /**
+   * Report a LUT that could not be loaded or uploaded; the preset renders
+   * without it. It is not retried until another LUT is selected, so previews
+   * of the preset do not repeat the error.
+   * @param {string} file
+   * @param {string} message
+   * @private
+   */
+  _handleLutError(file, message) {
+    this.logger.warn(`LUT ${file} not applied:`, message);
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `LUT not applied: ${message}`,
+      type: 'error'
+    });
   }
 
   /**
@@ -697,6 +795,51 @@ export class StreamingGpuRendererService extends BaseService {
     });
   }
 
+  /**
+   * Render the latest frame offscreen with the current preset at an integer scale
+   * Unlike captureFrame, the output size does not depend on the window size.
+   * @param {number} scaleFactor - Integer scale (1-10); output is 160x144 times this
+   * @returns {Promise<ImageBitmap>} The rendered frame
+   * @throws {Error} If renderer not ready, the scale is invalid or a snapshot is already in progress
+   */
+  async renderSnapshot(scaleFactor) {
+    if (this._isDestroying) {
+      throw new Error('GPU renderer is shutting down');
+    }
+
+    if (!this._isReady || !this._worker) {
+      throw new Error('GPU renderer not ready');
+    }
+
+    if (!Number.isInteger(scaleFactor) || scaleFactor < 1 || scaleFactor > MAX_SNAPSHOT_SCALE) {
+      throw new Error(`Invalid snapshot scale: ${scaleFactor}`);
+    }
+
+    if (this._pendingSnapshot) {
+      throw new Error('Snapshot already in progress');
+    }
+
+    const width = NATIVE_WIDTH * scaleFactor;
+    const height = NATIVE_HEIGHT * scaleFactor;
+
+    return new Promise((resolve, reject) => {
+      this._pendingSnapshot = {
+        resolve,
+        reject,
+        timeoutId: setTimeout(() => {
+          this._resolvePendingSnapshot(null, new Error('Snapshot request timed out'));
+        }, 1000)
+      };
+
+      this._worker.postMessage(createWorkerMessage(WorkerMessageType.RENDER_SNAPSHOT, {
+        width,
+        height,
+        scaleFactor,
+        uniforms: this._buildUniforms(scaleFactor, width, height)
+      }));
+    });
+  }
+
   /**
    * Release GPU resources while keeping worker alive
    * Allows re-initialization without needing a new canvas transfer.
@@ -771,6 +914,30 @@ export class StreamingGpuRendererService extends BaseService {
     this._pendingCaptureReject = null;
   }
 
+  /**
+   * Resolve or reject a pending snapshot request and clean up state
+   * @param {ImageBitmap|null} result - The rendered frame (null if error)
+   * @param {Error|null} error - The error (null if success)
+   * @private
+   */
+  _resolvePendingSnapshot(result, error) {
+    const pending = this._pendingSnapshot;
+    if (!pending) {
+      result?.close();
+      return;
+    }
+
+    this._pendingSnapshot = null;
+    clearTimeout(pending.timeoutId);
+
+    if (error || !result) {
+      result?.close();
+      pending.reject(error ?? new Error('Snapshot failed'));
+    } else {
+      pending.resolve(result);
+    }
+  }
+
   /**
    * Cleanup resources
    * @param {boolean} [emitCanvasExpired=true] - Whether to emit CANVAS_EXPIRED if canvas was transferred
@@ -797,6 +964,7 @@ export class StreamingGpuRendererService extends BaseService {
 
     // Reject any pending capture request before destroying worker
     this._resolvePendingCapture(null, new Error('GPU renderer cleanup'));
+    this._resolvePendingSnapshot(null, new Error('GPU renderer cleanup'));
 
     if (this._worker) {
       this._worker.postMessage(createWorkerMessage(WorkerMessageType.DESTROY));
@@ -0,0 +1,158 @@
+/**
+ * Color Correction Modes
+ *
+ * Named LCD color-correction profiles for the color pass. The capture device
+ * delivers the raw RGB the game wrote, which looks far more saturated than it
+ * did on the handheld's screen. Each mode maps it the way a screen would show
+ * it, in linear light:
+ *
+ *   linear = input ^ inputGamma
+ *   output = (luminance * matrix * linear) ^ (1 / outputGamma)
+ *
+ * The matrix is row-major: each row mixes input red, green and blue into one
+ * output channel, and every row sums to 1 so white stays white before the
+ * luminance scale. applyColorCorrection() is the CPU reference for what the
+ * color-elevation shaders compute.
+ *
+ * Modes:
+ * - OFF: Colors as captured
+ * - GBC_LCD: Game Boy Color LCD - muted colors with channel crosstalk
+ * - GBA: Game Boy Advance screen - darker, warmer and a bit more washed out
+ * - MODERN: Light correction that tames saturation and keeps the colors bright
+ */
+
+/**
+ * @typedef {Object} ColorCorrectionMode
+ * @property {string} id - Unique identifier, stored in presets
+ * @property {string} name - Display name
+ * @property {string} description - User-facing description
+ * @property {number[]} matrix - 3x3 row-major color matrix, applied in linear light
+ * @property {number} luminance - Brightness scale applied with the matrix
+ * @property {number} inputGamma - Gamma that linearizes the captured colors
+ * @property {number} outputGamma - Gamma of the display the result is encoded for
+ */
+
+/**
+ * Mode that leaves colors untouched
+ */
+export const COLOR_CORRECTION_OFF = 'off';
+
+/**
+ * Color correction modes in selector order
+ * @type {ReadonlyArray<ColorCorrectionMode>}
+ */
+export const COLOR_CORRECTION_MODES = Object.freeze([
+  {
+    id: COLOR_CORRECTION_OFF,
+    name: 'Off',
+    description: 'Colors as captured',
+    matrix: [
+      1, 0, 0,
+      0, 1, 0,
+      0, 0, 1
+    ],
+    luminance: 1.0,
+    inputGamma: 1.0,
+    outputGamma: 1.0
+  },
+  {
+    id: 'gbc-lcd',
+    name: 'GBC LCD',
+    description: 'Muted colors of the Game Boy Color screen',
+    matrix: [
+      0.82, 0.24, -0.06,
+      0.125, 0.665, 0.21,
+      0.195, 0.075, 0.73
+    ],
+    luminance: 0.94,
+    inputGamma: 2.2,
+    outputGamma: 2.2
+  },
+  {
+    id: 'gba',
+    name: 'GBA screen',
+    description: 'Darker, warmer colors of the Game Boy Advance screen',
+    matrix: [
+      0.80, 0.275, -0.075,
+      0.135, 0.64, 0.225,
+      0.195, 0.155, 0.65
+    ],
+    luminance: 0.91,
+    inputGamma: 2.4,
+    outputGamma: 2.2
+  },
+  {
+    id: 'modern',
+    name: 'Modern balanced',
+    description: 'Light correction for modern displays',
+    matrix: [
+      0.90, 0.12, -0.02,
+      0.06, 0.86, 0.08,
+      0.08, 0.06, 0.86
+    ],
+    luminance: 1.0,
+    inputGamma: 2.2,
+    outputGamma: 2.2
+  }
+].map(mode => Object.freeze({ ...mode, matrix: Object.freeze(mode.matrix) })));
+
+/**
+ * Check whether an ID names a color correction mode
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isColorCorrectionMode(id) {
+  return COLOR_CORRECTION_MODES.some(mode => mode.id === id);
+}
+
+/**
+ * Get a color correction mode
+ * @param {string} id - Mode ID
+ * @returns {ColorCorrectionMode} The mode, or OFF for unknown IDs
+ */
+export function getColorCorrectionMode(id) {
+  return COLOR_CORRECTION_MODES.find(mode => mode.id === id) ?? COLOR_CORRECTION_MODES[0];
+}
+
+/**
+ * Get color correction modes for UI rendering
+ * @returns {Array<{id: string, name: string, description: string}>}
+ */
+export function getColorCorrectionModesForUI() {
+  return COLOR_CORRECTION_MODES.map(({ id, name, description }) => ({ id, name, description }));
+}
+
+/**
+ * Build the color pass uniforms for a mode
+ * The luminance scale is folded into the matrix rows.
+ * @param {string} id - Mode ID
+ * @returns {{enabled: boolean, rows: number[][], inputGamma: number, outputGamma: number}}
+ */
+export function getColorCorrectionUniforms(id) {
+  const mode = getColorCorrectionMode(id);
+  const rows = [0, 1, 2].map(row => mode.matrix.slice(row * 3, row * 3 + 3).map(value => value * mode.luminance));
+
+  return {
+    enabled: mode.id !== COLOR_CORRECTION_OFF,
+    rows,
+    inputGamma: mode.inputGamma,
+    outputGamma: mode.outputGamma
+  };
+}
+
+/**
+ * Correct one color on the CPU, as the color-elevation shaders do
+ * @param {number[]} rgb - Red, green and blue, 0-1
+ * @param {string} id - Mode ID
+ * @returns {number[]} Corrected red, green and blue, 0-1
+ */
+export function applyColorCorrection(rgb, id) {
+  const { rows, inputGamma, outputGamma } = getColorCorrectionUniforms(id);
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  const linear = rgb.map(value => Math.pow(clamp(value), inputGamma));
+
+  return rows.map(row => {
+    const mixed = row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2];
+    return Math.pow(clamp(mixed), 1 / outputGamma);
+  });
+}
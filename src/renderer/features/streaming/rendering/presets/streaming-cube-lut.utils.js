@@ -0,0 +1,191 @@
+/**
+ * Cube LUT Files
+ *
+ * Reads 3D color lookup tables in the Adobe/Resolve .cube format:
+ *
+ *   TITLE "Warm Film"
+ *   LUT_3D_SIZE 33
+ *   DOMAIN_MIN 0 0 0
+ *   DOMAIN_MAX 1 1 1
+ *   0.0 0.0 0.0
+ *   0.03125 0.0 0.0
+ *   ...
+ *
+ * The table holds size³ "R G B" rows with red changing fastest, then green,
+ * then blue - the same order as the texels of a 3D texture, so the parsed
+ * data uploads as is. Entries are kept as half floats (RGBA16F) so smooth
+ * grades do not band. LUT_3D_INPUT_RANGE sets the same domain for all three
+ * channels; other keywords (LUT_STYLE, vendor extensions) are ignored. Lines
+ * starting with # are comments. 1D LUTs are not supported.
+ */
+
+/**
+ * Smallest and largest LUT_3D_SIZE accepted; common files are 17, 33 or 65 points
+ */
+export const CUBE_LUT_MIN_SIZE = 2;
+export const CUBE_LUT_MAX_SIZE = 65;
+
+/**
+ * Header keywords that are read; any other keyword line is skipped
+ */
+const CUBE_LUT_KEYWORDS = new Set(['TITLE', 'LUT_3D_SIZE', 'DOMAIN_MIN', 'DOMAIN_MAX', 'LUT_3D_INPUT_RANGE', 'LUT_1D_SIZE']);
+
+// Half-float bits of 1.0, for the alpha channel
+const HALF_FLOAT_ONE = 0x3c00;
+
+/**
+ * @typedef {Object} CubeLut
+ * @property {string} title - TITLE, or '' when the file has none
+ * @property {number} size - Points per axis
+ * @property {number[]} domainMin - Input value mapped to the first point, per channel
+ * @property {number[]} domainMax - Input value mapped to the last point, per channel
+ * @property {Uint16Array} data - size³ RGBA16F texels (half-float bits), red fastest
+ */
+
+// Shared views for converting a number to its float32 bits
+const float32 = new Float32Array(1);
+const float32Bits = new Uint32Array(float32.buffer);
+
+/**
+ * Encode a number as half-float bits, rounding to nearest
+ * @param {number} value
+ * @returns {number} IEEE 754 binary16 bits
+ */
+function toHalfFloat(value) {
+  float32[0] = value;
+  const bits = float32Bits[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  let mantissa = bits & 0x7fffff;
+
+  if (exponent >= 0x1f) {
+    return sign | 0x7c00;
+  }
+  if (exponent <= 0) {
+    // Subnormal, or too small for a half float
+    if (exponent < -10) {
+      return sign;
+    }
+    mantissa = (mantissa | 0x800000) >> (1 - exponent);
+    return sign | ((mantissa + 0x1000) >> 13);
+  }
+  // A mantissa that rounds up carries into the exponent
+  return sign | ((exponent << 10) + ((mantissa + 0x1000) >> 13));
+}
+
+/**
+ * Parse three numbers from a line
+ * @param {string[]} fields
+ * @returns {number[]|null} Values, or null when they are not three numbers
+ */
+function parseTriplet(fields) {
+  if (fields.length !== 3) {
+    return null;
+  }
+  const values = fields.map(Number);
+  return values.every(Number.isFinite) ? values : null;
+}
+
+/**
+ * Read a .cube file
+ * @param {string} contents - File text
+ * @returns {CubeLut}
+ * @throws {Error} Naming the first problem when the file is not a valid 3D LUT
+ */
+export function parseCubeLut(contents) {
+  if (typeof contents !== 'string') {
+    throw new Error('The LUT file is empty');
+  }
+
+  let title = '';
+  let size = null;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  let data = null;
+  let count = 0;
+
+  const lines = contents.split(/\r?\n/);
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const lineNumber = index + 1;
+    const fields = line.split(/\s+/);
+    const keyword = fields[0];
+
+    if (/^[A-Z_]/.test(keyword)) {
+      if (!CUBE_LUT_KEYWORDS.has(keyword)) {
+        continue;
+      }
+      if (data) {
+        throw new Error(`Line ${lineNumber}: ${keyword} must come before the table`);
+      }
+
+      if (keyword === 'TITLE') {
+        title = line.slice(keyword.length).trim().replace(/^"(.*)"$/, '$1');
+      } else if (keyword === 'LUT_3D_SIZE') {
+        size = Number(fields[1]);
+        if (fields.length !== 2 || !Number.isInteger(size) || size < CUBE_LUT_MIN_SIZE || size > CUBE_LUT_MAX_SIZE) {
+          throw new Error(`Line ${lineNumber}: LUT_3D_SIZE must be a whole number from ${CUBE_LUT_MIN_SIZE} to ${CUBE_LUT_MAX_SIZE}`);
+        }
+      } else if (keyword === 'DOMAIN_MIN' || keyword === 'DOMAIN_MAX') {
+        const domain = parseTriplet(fields.slice(1));
+        if (!domain) {
+          throw new Error(`Line ${lineNumber}: ${keyword} needs three numbers`);
+        }
+        if (keyword === 'DOMAIN_MIN') {
+          domainMin = domain;
+        } else {
+          domainMax = domain;
+        }
+      } else if (keyword === 'LUT_3D_INPUT_RANGE') {
+        const range = fields.slice(1).map(Number);
+        if (range.length !== 2 || !range.every(Number.isFinite)) {
+          throw new Error(`Line ${lineNumber}: LUT_3D_INPUT_RANGE needs two numbers`);
+        }
+        domainMin = [range[0], range[0], range[0]];
+        domainMax = [range[1], range[1], range[1]];
+      } else {
+        throw new Error('1D LUTs are not supported; use a 3D LUT (LUT_3D_SIZE)');
+      }
+      continue;
+    }
+
+    if (size === null) {
+      throw new Error(`Line ${lineNumber}: LUT_3D_SIZE must come before the table`);
+    }
+
+    const rgb = parseTriplet(fields);
+    if (!rgb) {
+      throw new Error(`Line ${lineNumber}: Expected three numbers, found "${line}"`);
+    }
+
+    if (!data) {
+      data = new Uint16Array(size * size * size * 4);
+    }
+    if (count === size * size * size) {
+      throw new Error(`The LUT has more than the ${size * size * size} entries LUT_3D_SIZE ${size} needs`);
+    }
+
+    const offset = count * 4;
+    for (let channel = 0; channel < 3; channel++) {
+      data[offset + channel] = toHalfFloat(Math.min(1, Math.max(0, rgb[channel])));
+    }
+    data[offset + 3] = HALF_FLOAT_ONE;
+    count++;
+  }
+
+  if (size === null) {
+    throw new Error('This is not a 3D LUT file (no LUT_3D_SIZE)');
+  }
+  if (count !== size * size * size) {
+    throw new Error(`The LUT has ${count} of the ${size * size * size} entries LUT_3D_SIZE ${size} needs`);
+  }
+  if (domainMin.some((min, channel) => min >= domainMax[channel])) {
+    throw new Error('DOMAIN_MIN must be below DOMAIN_MAX');
+  }
+
+  return { title, size, domainMin, domainMax, data };
+}
@@ -0,0 +1,161 @@
+/**
+ * Render Preset Files
+ *
+ * Versioned JSON format for sharing render presets between machines. A file
+ * holds one preset laid out like the RenderPreset typedef:
+ *
+ *   {
+ *     "format": "prismgb-render-preset",
+ *     "version": 3,
+ *     "preset": {
+ *       "name": "Night Owl",
+ *       "description": "Custom preset",
+ *       "upscale": { "enabled": true },
+ *       "unsharp": { "enabled": true, "strength": 0.3 },
+ *       "color": { "enabled": true, "correction": "gbc-lcd", "gamma": 0.9, ... },
+ *       "lut": { "enabled": true, "intensity": 0.8, "file": "Warm Film.cube" },
+ *       "crt": { "enabled": false, "scanlineStrength": 0, ... }
+ *     }
+ *   }
+ *
+ * Imports are checked with joi. Unknown passes and parameters are rejected,
+ * values outside the PRESET_PARAMETERS ranges are clamped, and missing ones
+ * fall back to the default preset (see createCustomPreset). A pass with
+ * "enabled": false imports with its neutral values. Imported presets get a
+ * new ID, so "id" and "custom" are accepted but ignored.
+ *
+ * The LUT pass names a file in the user's LUT library rather than embedding
+ * it; the LUT has to be imported separately on the other machine. Version 1
+ * files have no LUT pass, and files before version 3 have no color correction
+ * mode, so they import with it off.
+ */
+
+import Joi from 'joi';
+import { PRESET_PARAMETERS, getPresetValues } from './streaming-render-presets.config.js';
+import { COLOR_CORRECTION_MODES } from './streaming-color-correction.config.js';
+
+/**
+ * Marks a JSON file as a render preset
+ */
+export const PRESET_FILE_FORMAT = 'prismgb-render-preset';
+
+/**
+ * Format version written on export; files up to this version can be imported
+ */
+export const PRESET_FILE_VERSION = 3;
+
+/**
+ * Shader passes in pipeline order
+ */
+const PASS_NAMES = ['upscale', ...new Set(PRESET_PARAMETERS.map(({ pass }) => pass))];
+
+/**
+ * Build the file schema from PRESET_PARAMETERS so new parameters are accepted
+ * as soon as they are added
+ * @returns {Joi.ObjectSchema}
+ */
+function createPresetFileSchema() {
+  const passKeys = Object.fromEntries(PASS_NAMES.map(pass => [pass, { enabled: Joi.boolean() }]));
+  for (const { pass, key } of PRESET_PARAMETERS) {
+    passKeys[pass][key] = Joi.number();
+  }
+  passKeys.color.correction = Joi.string().valid(...COLOR_CORRECTION_MODES.map(({ id }) => id));
+  passKeys.lut.file = Joi.string().trim().min(1).allow(null);
+
+  const passes = Object.fromEntries(Object.entries(passKeys).map(([pass, keys]) => [
+    pass,
+    Joi.object(keys).messages({ 'object.unknown': `{{#label}} is not a ${pass} parameter` })
+  ]));
+
+  return Joi.object({
+    format: Joi.string().valid(PRESET_FILE_FORMAT).required()
+      .messages({ '*': 'This is not a PrismGB render preset file' }),
+    version: Joi.number().integer().min(1).max(PRESET_FILE_VERSION).required()
+      .messages({
+        'number.max': 'This preset file was made by a newer version of PrismGB',
+        '*': 'The preset file has no valid version'
+      }),
+    preset: Joi.object({
+      id: Joi.string(),
+      name: Joi.string().trim().min(1).required(),
+      description: Joi.string().allow(''),
+      custom: Joi.boolean(),
+      ...passes
+    }).required()
+      .messages({ 'object.unknown': `{{#label}} is not a render pass (expected ${PASS_NAMES.join(', ')})` })
+  });
+}
+
+const PRESET_FILE_SCHEMA = createPresetFileSchema();
+
+/**
+ * Write a preset as a preset file
+ * @param {RenderPreset} preset - Built-in or custom preset
+ * @returns {string} Preset file JSON
+ */
+export function serializePresetFile(preset) {
+  const values = getPresetValues(preset);
+  const passes = Object.fromEntries(PASS_NAMES.map(pass => [
+    pass,
+    { enabled: Boolean(preset[pass].enabled), ...values[pass] }
+  ]));
+
+  const file = {
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    preset: { name: preset.name, description: preset.description, ...passes }
+  };
+  return `${JSON.stringify(file, null, 2)}\n`;
+}
+
+/**
+ * Read a preset file
+ * @param {string} contents - Preset file JSON
+ * @returns {{name: string, values: PresetValues, adjusted: string[]}} Preset name and
+ *   values (including the color correction mode and LUT file), and the
+ *   parameters ('pass.key') that were clamped into range
+ * @throws {Error} With every problem found when the file is not a valid preset file
+ */
+export function parsePresetFile(contents) {
+  let data;
+  try {
+    data = JSON.parse(contents);
+  } catch {
+    throw new Error('The preset file is not valid JSON');
+  }
+
+  const { error, value } = PRESET_FILE_SCHEMA.validate(data, {
+    abortEarly: false,
+    errors: { wrap: { label: false } }
+  });
+
+  if (error) {
+    // A file that is not a preset file at all fails every check; one message is enough
+    const header = error.details.find(detail => detail.path[0] === 'format' || detail.path[0] === 'version');
+    throw new Error(header ? header.message : error.details.map(detail => detail.message).join('; '));
+  }
+
+  const { preset } = value;
+  const values = Object.fromEntries(PRESET_PARAMETERS.map(({ pass }) => [pass, {}]));
+  const adjusted = [];
+
+  for (const { pass, key, min, max, neutral } of PRESET_PARAMETERS) {
+    const config = preset[pass];
+    if (config?.enabled === false) {
+      values[pass][key] = neutral;
+    } else if (config?.[key] !== undefined) {
+      values[pass][key] = Math.min(max, Math.max(min, config[key]));
+      if (values[pass][key] !== config[key]) {
+        adjusted.push(`${pass}.${key}`);
+      }
+    }
+  }
+  if (preset.color?.enabled !== false && preset.color?.correction) {
+    values.color.correction = preset.color.correction;
+  }
+  if (preset.lut?.enabled !== false && preset.lut?.file) {
+    values.lut.file = preset.lut.file;
+  }
+
+  return { name: preset.name, values, adjusted };
+}
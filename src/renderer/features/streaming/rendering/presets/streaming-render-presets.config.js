@@ -2,7 +2,10 @@
  * Render Presets
  *
  * Predefined configurations for the HD rendering pipeline.
- * Each preset controls all 4 shader passes with optimized settings.
+ * Each preset controls the shader passes with optimized settings. The
+ * optional LUT pass grades colors with a user-imported .cube file, so only
+ * custom presets use it. The color pass starts with one of the LCD color
+ * correction modes in streaming-color-correction.config.js.
  *
  * Presets:
  * - TRUE_COLOR: Accurate GBC color reproduction
@@ -11,8 +14,17 @@
  * - VINTAGE: Classic CRT monitor simulation
  * - PIXEL: Visible LCD pixel structure
  * - PERFORMANCE: Minimal processing for weak GPUs
+ *
+ * Custom presets are built from the same parameters with createCustomPreset()
+ * and looked up alongside the built-in ones.
  */
 
+import {
+  COLOR_CORRECTION_OFF,
+  getColorCorrectionUniforms,
+  isColorCorrectionMode
+} from './streaming-color-correction.config.js';
+
 /**
  * @typedef {Object} UpscalePassConfig
  * @property {boolean} enabled - Whether this pass is active
@@ -27,6 +39,7 @@
 /**
  * @typedef {Object} ColorPassConfig
  * @property {boolean} enabled - Whether this pass is active
+ * @property {string} correction - LCD color correction mode ID, applied first
  * @property {number} gamma - Gamma correction (0.8 - 1.2, lower = brighter)
  * @property {number} saturation - Saturation multiplier (0.5 - 1.5)
  * @property {number} greenBias - GBC green channel bias (0.0 - 0.1)
@@ -34,6 +47,13 @@
  * @property {number} contrast - Contrast multiplier (0.8 - 1.3)
  */
 
+/**
+ * @typedef {Object} LutPassConfig
+ * @property {boolean} enabled - Whether this pass is active
+ * @property {string|null} file - LUT library file name (see StreamingLutService)
+ * @property {number} intensity - Mix between the input and the graded colors (0.0 - 1.0)
+ */
+
 /**
  * @typedef {Object} CRTPassConfig
  * @property {boolean} enabled - Whether this pass is active
@@ -52,7 +72,18 @@
  * @property {UpscalePassConfig} upscale - Pass 1 config
  * @property {UnsharpPassConfig} unsharp - Pass 2 config
  * @property {ColorPassConfig} color - Pass 3 config
+ * @property {LutPassConfig} lut - LUT pass config, between color and CRT
  * @property {CRTPassConfig} crt - Pass 4 config
+ * @property {boolean} [custom] - True for user-made presets
+ */
+
+/**
+ * @typedef {Object} PresetValues
+ * Adjustable preset parameters, grouped by pass
+ * @property {{strength: number}} unsharp
+ * @property {{correction: string, gamma: number, saturation: number, greenBias: number, brightness: number, contrast: number}} color
+ * @property {{intensity: number, file: string|null}} lut - file is the LUT the intensity applies to
+ * @property {{scanlineStrength: number, pixelMaskStrength: number, bloomStrength: number, curvature: number, vignetteStrength: number}} crt
  */
 
 /**
@@ -77,12 +108,18 @@ const RenderPresets = Object.freeze({
     },
     color: {
       enabled: true,
+      correction: COLOR_CORRECTION_OFF,
       gamma: 0.92,
       saturation: 1.0,
       greenBias: 0.03,
       brightness: 1.0,
       contrast: 1.0
     },
+    lut: {
+      enabled: false,
+      file: null,
+      intensity: 0.0
+    },
     crt: {
       enabled: false,
       scanlineStrength: 0.0,
@@ -110,12 +147,18 @@ const RenderPresets = Object.freeze({
     },
     color: {
       enabled: true,
+      correction: COLOR_CORRECTION_OFF,
       gamma: 0.88,
       saturation: 1.2,
       greenBias: 0.02,
       brightness: 1.05,
       contrast: 1.1
     },
+    lut: {
+      enabled: false,
+      file: null,
+      intensity: 0.0
+    },
     crt: {
       enabled: false,
       scanlineStrength: 0.0,
@@ -143,12 +186,18 @@ const RenderPresets = Object.freeze({
     },
     color: {
       enabled: true,
+      correction: COLOR_CORRECTION_OFF,
       gamma: 0.90,
       saturation: 1.1,
       greenBias: 0.01,
       brightness: 1.0,
       contrast: 1.05
     },
+    lut: {
+      enabled: false,
+      file: null,
+      intensity: 0.0
+    },
     crt: {
       enabled: false,
       scanlineStrength: 0.0,
@@ -176,12 +225,18 @@ const RenderPresets = Object.freeze({
     },
     color: {
       enabled: true,
+      correction: COLOR_CORRECTION_OFF,
       gamma: 0.95,
       saturation: 1.15,
       greenBias: 0.02,
       brightness: 0.95,
       contrast: 1.1
     },
+    lut: {
+      enabled: false,
+      file: null,
+      intensity: 0.0
+    },
     crt: {
       enabled: true,
       scanlineStrength: 0.25,
@@ -209,12 +264,18 @@ const RenderPresets = Object.freeze({
     },
     color: {
       enabled: true,
+      correction: COLOR_CORRECTION_OFF,
       gamma: 0.90,
       saturation: 1.0,
       greenBias: 0.04,
       brightness: 1.0,
       contrast: 1.0
     },
+    lut: {
+      enabled: false,
+      file: null,
+      intensity: 0.0
+    },
     crt: {
       enabled: true,
       scanlineStrength: 0.08,
@@ -242,12 +303,18 @@ const RenderPresets = Object.freeze({
     },
     color: {
       enabled: false,
+      correction: COLOR_CORRECTION_OFF,
       gamma: 1.0,
       saturation: 1.0,
       greenBias: 0.0,
       brightness: 1.0,
       contrast: 1.0
     },
+    lut: {
+      enabled: false,
+      file: null,
+      intensity: 0.0
+    },
     crt: {
       enabled: false,
       scanlineStrength: 0.0,
@@ -264,28 +331,153 @@ const RenderPresets = Object.freeze({
  */
 export const DEFAULT_PRESET_ID = 'vibrant';
 
+/**
+ * Prefix that keeps custom preset IDs apart from the built-in ones
+ */
+export const CUSTOM_PRESET_ID_PREFIX = 'custom-';
+
+/**
+ * Longest custom preset name
+ */
+export const CUSTOM_PRESET_NAME_MAX_LENGTH = 32;
+
+/**
+ * Adjustable parameters, in editor order, with the ranges the shaders are tuned for
+ * and the value that leaves the image unchanged
+ * @type {ReadonlyArray<{pass: string, key: string, label: string, min: number, max: number, step: number, neutral: number}>}
+ */
+export const PRESET_PARAMETERS = Object.freeze([
+  { pass: 'unsharp', key: 'strength', label: 'Sharpen', min: 0, max: 1.5, step: 0.05, neutral: 0 },
+  { pass: 'color', key: 'gamma', label: 'Gamma', min: 0.8, max: 1.2, step: 0.01, neutral: 1 },
+  { pass: 'color', key: 'saturation', label: 'Saturation', min: 0.5, max: 1.5, step: 0.05, neutral: 1 },
+  { pass: 'color', key: 'greenBias', label: 'Green bias', min: 0, max: 0.1, step: 0.005, neutral: 0 },
+  { pass: 'color', key: 'brightness', label: 'Brightness', min: 0.8, max: 1.2, step: 0.01, neutral: 1 },
+  { pass: 'color', key: 'contrast', label: 'Contrast', min: 0.8, max: 1.3, step: 0.01, neutral: 1 },
+  { pass: 'lut', key: 'intensity', label: 'LUT mix', min: 0, max: 1, step: 0.05, neutral: 0 },
+  { pass: 'crt', key: 'scanlineStrength', label: 'Scanlines', min: 0, max: 0.5, step: 0.01, neutral: 0 },
+  { pass: 'crt', key: 'pixelMaskStrength', label: 'Pixel mask', min: 0, max: 0.4, step: 0.01, neutral: 0 },
+  { pass: 'crt', key: 'bloomStrength', label: 'Bloom', min: 0, max: 0.3, step: 0.01, neutral: 0 },
+  { pass: 'crt', key: 'curvature', label: 'Curvature', min: 0, max: 0.1, step: 0.005, neutral: 0 },
+  { pass: 'crt', key: 'vignetteStrength', label: 'Vignette', min: 0, max: 0.4, step: 0.01, neutral: 0 }
+].map(Object.freeze));
+
+/**
+ * Check whether an ID belongs to a custom preset
+ * @param {string} id - Preset ID
+ * @returns {boolean}
+ */
+export function isCustomPresetId(id) {
+  return typeof id === 'string' && id.startsWith(CUSTOM_PRESET_ID_PREFIX);
+}
+
 /**
  * Get preset by ID
  * @param {string} id - Preset ID
+ * @param {RenderPreset[]} [customPresets=[]] - Custom presets to search as well
  * @returns {RenderPreset|null} Preset or null if not found
  */
-export function getPresetById(id) {
+export function getPresetById(id, customPresets = []) {
+  if (isCustomPresetId(id)) {
+    return customPresets.find(preset => preset.id === id) || null;
+  }
+
   const normalizedId = id?.toUpperCase().replace(/-/g, '_');
   return RenderPresets[normalizedId] || null;
 }
 
 /**
  * Get presets as array for UI rendering
- * @returns {Array<{id: string, name: string, description: string}>}
+ * Custom presets follow the built-in ones.
+ * @param {RenderPreset[]} [customPresets=[]] - Custom presets to include
+ * @returns {Array<{id: string, name: string, description: string, custom: boolean}>}
  */
-export function getPresetsForUI() {
-  return Object.values(RenderPresets).map(preset => ({
+export function getPresetsForUI(customPresets = []) {
+  return [...Object.values(RenderPresets), ...customPresets].map(preset => ({
     id: preset.id,
     name: preset.name,
-    description: preset.description
+    description: preset.description,
+    custom: Boolean(preset.custom)
   }));
 }
 
+/**
+ * Read the adjustable parameters of a preset
+ * @param {RenderPreset} preset
+ * @returns {PresetValues}
+ */
+export function getPresetValues(preset) {
+  const values = { unsharp: {}, color: { correction: preset.color.correction }, lut: { file: preset.lut.file }, crt: {} };
+  for (const { pass, key } of PRESET_PARAMETERS) {
+    values[pass][key] = preset[pass][key];
+  }
+  return values;
+}
+
+/**
+ * Build a custom preset from parameter values
+ * Values are clamped to PRESET_PARAMETERS ranges and missing ones fall back to
+ * the default preset. A pass is only enabled when its values change the image,
+ * which for the color pass includes a color correction mode; the LUT pass also
+ * needs a LUT file.
+ * @param {Object} options
+ * @param {string} options.id - Preset ID (starts with CUSTOM_PRESET_ID_PREFIX)
+ * @param {string} options.name - Display name
+ * @param {PresetValues} [options.values] - Parameter values
+ * @returns {RenderPreset} Frozen preset
+ */
+export function createCustomPreset({ id, name, values = {} }) {
+  const fallback = RenderPresets.VIBRANT;
+  const lutFile = typeof values.lut?.file === 'string' && values.lut.file ? values.lut.file : null;
+  const correction = isColorCorrectionMode(values.color?.correction) ? values.color.correction : fallback.color.correction;
+  const passes = {
+    unsharp: { enabled: false },
+    color: { enabled: correction !== COLOR_CORRECTION_OFF, correction },
+    lut: { enabled: false, file: lutFile },
+    crt: { enabled: false }
+  };
+
+  for (const { pass, key, min, max, neutral } of PRESET_PARAMETERS) {
+    const value = Number(values[pass]?.[key]);
+    passes[pass][key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback[pass][key];
+    passes[pass].enabled ||= passes[pass][key] !== neutral;
+  }
+  passes.lut.enabled &&= lutFile !== null;
+
+  return Object.freeze({
+    id,
+    name,
+    description: 'Custom preset',
+    custom: true,
+    upscale: Object.freeze({ enabled: true }),
+    unsharp: Object.freeze(passes.unsharp),
+    color: Object.freeze(passes.color),
+    lut: Object.freeze(passes.lut),
+    crt: Object.freeze(passes.crt)
+  });
+}
+
+/**
+ * Use a different color correction mode with a preset
+ * The color pass is turned on for any mode other than off.
+ * @param {RenderPreset} preset - Built-in or custom preset
+ * @param {string} correction - Color correction mode ID
+ * @returns {RenderPreset} Frozen preset, or the same preset when it already uses the mode
+ */
+export function withColorCorrection(preset, correction) {
+  if (preset.color.correction === correction) {
+    return preset;
+  }
+
+  return Object.freeze({
+    ...preset,
+    color: Object.freeze({
+      ...preset.color,
+      enabled: preset.color.enabled || correction !== COLOR_CORRECTION_OFF,
+      correction
+    })
+  });
+}
+
 /**
  * Build uniform values from a preset for shader consumption
  * @param {RenderPreset} preset - Preset to build uniforms from
@@ -314,6 +506,7 @@ export function buildUniformsFromPreset(preset, scaleFactor, outputWidth, output
     // Pass 3: Color Elevation
     color: {
       enabled: preset.color.enabled,
+      correction: getColorCorrectionUniforms(preset.color.correction),
       gamma: preset.color.gamma,
       saturation: preset.color.saturation,
       greenBias: preset.color.greenBias,
@@ -321,6 +514,13 @@ export function buildUniformsFromPreset(preset, scaleFactor, outputWidth, output
       contrast: preset.color.contrast
     },
 
+    // LUT grade (the LUT itself is uploaded separately)
+    lut: {
+      enabled: preset.lut.enabled,
+      file: preset.lut.file,
+      intensity: preset.lut.intensity
+    },
+
     // Pass 4: CRT/LCD
     crt: {
       enabled: preset.crt.enabled,
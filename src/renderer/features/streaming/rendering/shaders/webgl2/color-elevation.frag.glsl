@@ -14,6 +14,12 @@ uniform float uSaturation;     // Saturation multiplier (0.5 - 1.5)
 uniform float uGreenBias;      // GBC green tint (0.0 - 0.1)
 uniform float uBrightness;     // Brightness multiplier (0.8 - 1.2)
 uniform float uContrast;       // Contrast multiplier (0.8 - 1.3)
+uniform float uCorrectionEnabled;      // 1.0 when a color correction mode is selected
+uniform float uCorrectionInputGamma;   // Gamma that linearizes the input
+uniform float uCorrectionOutputGamma;  // Gamma the corrected color is encoded for
+uniform vec3 uCorrectionRow0;          // Color matrix rows, luminance included
+uniform vec3 uCorrectionRow1;
+uniform vec3 uCorrectionRow2;
 
 // Input from vertex shader
 in vec2 vUV;
@@ -51,6 +57,17 @@ vec3 hsv2rgb(vec3 c) {
 void main() {
   vec4 color = texture(uInputTex, vUV);
 
+  // Step 0: LCD color correction
+  if (uCorrectionEnabled > 0.5) {
+    vec3 linearColor = pow(color.rgb, vec3(uCorrectionInputGamma));
+    vec3 corrected = vec3(
+      dot(uCorrectionRow0, linearColor),
+      dot(uCorrectionRow1, linearColor),
+      dot(uCorrectionRow2, linearColor)
+    );
+    color.rgb = pow(clamp(corrected, 0.0, 1.0), vec3(1.0 / uCorrectionOutputGamma));
+  }
+
   // Step 1: Gamma correction
   color.rgb = pow(color.rgb, vec3(uGamma));
 
@@ -0,0 +1,36 @@
+#version 300 es
+/**
+ * LUT Grade Fragment Shader (WebGL2 - GLSL ES 3.0)
+ *
+ * Grades colors through a user-supplied 3D LUT (.cube file).
+ */
+
+precision highp float;
+precision highp sampler3D;
+
+// Uniforms
+uniform sampler2D uInputTex;
+uniform sampler3D uLutTex;
+uniform vec3 uDomainMin;       // Input value mapped to the first LUT point
+uniform vec3 uDomainMax;       // Input value mapped to the last LUT point
+uniform float uLutSize;        // Points per axis (e.g. 17, 33, 65)
+uniform float uIntensity;      // Mix with the graded color (0.0 - 1.0)
+
+// Input from vertex shader
+in vec2 vUV;
+
+// Output color
+out vec4 fragColor;
+
+void main() {
+  vec4 color = texture(uInputTex, vUV);
+
+  // Map the color into the LUT domain
+  vec3 range = max(uDomainMax - uDomainMin, vec3(1.0e-6));
+  vec3 coord = clamp((color.rgb - uDomainMin) / range, 0.0, 1.0);
+
+  // Sample between texel centers so 0 and 1 hit the first and last LUT points exactly
+  vec3 graded = texture(uLutTex, coord * ((uLutSize - 1.0) / uLutSize) + 0.5 / uLutSize).rgb;
+
+  fragColor = vec4(mix(color.rgb, graded, uIntensity), color.a);
+}
@@ -5,6 +5,7 @@
  * Applies gamma correction, saturation boost, and the characteristic GBC green bias.
  *
  * Key features:
+ * - LCD color correction (3x3 matrix in linear light, see streaming-color-correction.config.js)
  * - Gamma correction to lift shadows and adjust overall brightness
  * - Saturation adjustment in HSV color space
  * - GBC-characteristic green channel bias
@@ -18,9 +19,12 @@ struct ColorUniforms {
   greenBias: f32,           // GBC green tint amount (0.0 - 0.1)
   brightness: f32,          // Brightness multiplier (0.8 - 1.2)
   contrast: f32,            // Contrast multiplier (0.8 - 1.3)
-  _padding1: f32,           // Alignment padding
-  _padding2: f32,
-  _padding3: f32
+  correctionEnabled: f32,   // 1.0 when a color correction mode is selected
+  correctionInputGamma: f32,  // Gamma that linearizes the input
+  correctionOutputGamma: f32, // Gamma the corrected color is encoded for
+  correctionRow0: vec4<f32>,  // Color matrix rows (xyz), luminance included
+  correctionRow1: vec4<f32>,
+  correctionRow2: vec4<f32>
 }
 
 @group(0) @binding(0) var<uniform> uniforms: ColorUniforms;
@@ -91,6 +95,7 @@ fn hsv2rgb(c: vec3<f32>) -> vec3<f32> {
  * Fragment shader - Color elevation with GBC characteristics
  *
  * Processing order:
+ * 0. LCD color correction (when selected)
  * 1. Gamma correction (power curve)
  * 2. Contrast adjustment (around midpoint)
  * 3. Brightness adjustment (linear scale)
@@ -101,6 +106,21 @@ fn hsv2rgb(c: vec3<f32>) -> vec3<f32> {
 fn fragmentMain(input: VertexOutput) -> @location(0) vec4<f32> {
   var color = textureSample(inputTex, linearSampler, input.uv);
 
+  // Step 0: LCD color correction
+  // Mix the channels in linear light the way the handheld's screen showed them
+  if (uniforms.correctionEnabled > 0.5) {
+    let linearColor = pow(color.rgb, vec3<f32>(uniforms.correctionInputGamma));
+    let corrected = vec3<f32>(
+      dot(uniforms.correctionRow0.xyz, linearColor),
+      dot(uniforms.correctionRow1.xyz, linearColor),
+      dot(uniforms.correctionRow2.xyz, linearColor)
+    );
+    color = vec4<f32>(
+      pow(clamp(corrected, vec3<f32>(0.0), vec3<f32>(1.0)), vec3<f32>(1.0 / uniforms.correctionOutputGamma)),
+      color.a
+    );
+  }
+
   // Step 1: Gamma correction
   // Lower gamma = brighter shadows, higher gamma = darker
   // GBC displays typically had gamma around 0.88-0.95 compared to modern displays
@@ -0,0 +1,73 @@
+/**
+ * LUT Grade Shader (WebGPU)
+ *
+ * Grades colors through a user-supplied 3D LUT (.cube file) between the
+ * color elevation and CRT/LCD passes. The LUT is a size³ 3D texture sampled
+ * with trilinear filtering; intensity mixes the graded color with the input.
+ */
+
+// Uniform buffer for LUT parameters
+struct LutUniforms {
+  domainMin: vec3<f32>,     // Input value mapped to the first LUT point
+  intensity: f32,           // Mix with the graded color (0.0 - 1.0)
+  domainMax: vec3<f32>,     // Input value mapped to the last LUT point
+  lutSize: f32              // Points per axis (e.g. 17, 33, 65)
+}
+
+@group(0) @binding(0) var<uniform> uniforms: LutUniforms;
+@group(0) @binding(1) var inputTex: texture_2d<f32>;
+@group(0) @binding(2) var linearSampler: sampler;
+
+// The LUT changes rarely, so it has its own bind group
+@group(1) @binding(0) var lutTex: texture_3d<f32>;
+@group(1) @binding(1) var lutSampler: sampler;
+
+// Vertex output structure
+struct VertexOutput {
+  @builtin(position) position: vec4<f32>,
+  @location(0) uv: vec2<f32>
+}
+
+/**
+ * Vertex shader - Full-screen quad
+ */
+@vertex
+fn vertexMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+  var positions = array<vec2<f32>, 4>(
+    vec2<f32>(-1.0, -1.0),
+    vec2<f32>(1.0, -1.0),
+    vec2<f32>(-1.0, 1.0),
+    vec2<f32>(1.0, 1.0)
+  );
+
+  var uvs = array<vec2<f32>, 4>(
+    vec2<f32>(0.0, 1.0),
+    vec2<f32>(1.0, 1.0),
+    vec2<f32>(0.0, 0.0),
+    vec2<f32>(1.0, 0.0)
+  );
+
+  var output: VertexOutput;
+  output.position = vec4<f32>(positions[vertexIndex], 0.0, 1.0);
+  output.uv = uvs[vertexIndex];
+  return output;
+}
+
+/**
+ * Fragment shader - 3D LUT lookup
+ */
+@fragment
+fn fragmentMain(input: VertexOutput) -> @location(0) vec4<f32> {
+  let color = textureSample(inputTex, linearSampler, input.uv);
+
+  // Map the color into the LUT domain (0-1 for most files)
+  let range = max(uniforms.domainMax - uniforms.domainMin, vec3<f32>(1.0e-6));
+  let coord = clamp((color.rgb - uniforms.domainMin) / range, vec3<f32>(0.0), vec3<f32>(1.0));
+
+  // Sample between texel centers so 0 and 1 hit the first and last LUT points exactly
+  let scale = (uniforms.lutSize - 1.0) / uniforms.lutSize;
+  let offset = 0.5 / uniforms.lutSize;
+  let graded = textureSample(lutTex, lutSampler, coord * scale + vec3<f32>(offset)).rgb;
+
+  return vec4<f32>(mix(color.rgb, graded, uniforms.intensity), color.a);
+}
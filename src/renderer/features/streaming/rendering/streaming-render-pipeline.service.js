@@ -73,6 +73,23 @@ export class StreamingRenderPipelineService extends BaseService {
     }
   }
 
+  /**
+   * Show unsaved preset values from the preset editor
+   * @param {Object} preview
+   * @param {string} preview.presetId - Preset being edited, or the saved preset when the preview ends
+   * @param {RenderPreset|null} preview.preset - Values to show, or null to go back to the stored preset
+   */
+  handleRenderPresetPreview({ presetId, preset }) {
+    // Performance mode renders without shaders, so there is nothing to preview
+    if (this._performanceModeEnabled) {
+      return;
+    }
+
+    if (this._useGPURenderer && this.gpuRendererService.isActive()) {
+      this.gpuRendererService.setPreset(presetId, preset);
+    }
+  }
+
   handleFullscreenChange() {
     this.canvasLifecycleService.handleFullscreenChange();
   }
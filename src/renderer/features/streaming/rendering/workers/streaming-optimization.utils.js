@@ -484,6 +484,11 @@ export class ShaderProgram {
     if (loc !== null) this.gl.uniform2f(loc, x, y);
   }
 
+  setUniform3f(name, x, y, z) {
+    const loc = this.getUniformLocation(name);
+    if (loc !== null) this.gl.uniform3f(loc, x, y, z);
+  }
+
   destroy() {
     if (this.program) {
       this.gl.deleteProgram(this.program);
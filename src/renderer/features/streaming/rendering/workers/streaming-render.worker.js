@@ -6,7 +6,7 @@
  *
  * The worker:
  * - Receives video frames as ImageBitmap (transferred, not copied)
- * - Renders through the 4-pass shader pipeline
+ * - Renders through the 4-pass shader pipeline, plus an optional 3D LUT pass
  * - Reports frame statistics to the main thread
  */
 
@@ -20,12 +20,14 @@ import {
 import pixelUpscaleWGSL from '../shaders/webgpu/pixel-upscale.wgsl?raw';
 import unsharpMaskWGSL from '../shaders/webgpu/unsharp-mask.wgsl?raw';
 import colorElevationWGSL from '../shaders/webgpu/color-elevation.wgsl?raw';
+import lutGradeWGSL from '../shaders/webgpu/lut-grade.wgsl?raw';
 import crtLcdWGSL from '../shaders/webgpu/crt-lcd.wgsl?raw';
 
 import commonVertGLSL from '../shaders/webgl2/common.vert.glsl?raw';
 import pixelUpscaleFragGLSL from '../shaders/webgl2/pixel-upscale.frag.glsl?raw';
 import unsharpMaskFragGLSL from '../shaders/webgl2/unsharp-mask.frag.glsl?raw';
 import colorElevationFragGLSL from '../shaders/webgl2/color-elevation.frag.glsl?raw';
+import lutGradeFragGLSL from '../shaders/webgl2/lut-grade.frag.glsl?raw';
 import crtLcdFragGLSL from '../shaders/webgl2/crt-lcd.frag.glsl?raw';
 
 // Import optimization utilities
@@ -55,6 +57,21 @@ function isCrtEnabled(uniforms) {
     uniforms.crt.vignetteStrength > 0;
 }
 
+/**
+ * Check if the LUT pass should run
+ * The uploaded LUT must be the one the preset names, so a preset switch never
+ * grades with the previous preset's LUT while the new one is loading.
+ * @param {Object} uniforms - Uniform values
+ * @param {string|null} lutFile - File name of the uploaded LUT
+ * @returns {boolean} True if the LUT pass is enabled
+ */
+function isLutEnabled(uniforms, lutFile) {
+  return uniforms.lut.enabled &&
+    uniforms.lut.intensity > 0 &&
+    lutFile !== null &&
+    uniforms.lut.file === lutFile;
+}
+
 // ============================================================================
 // Worker State
 // ============================================================================
@@ -71,6 +88,9 @@ let totalFrameTime = 0;
 // Lazy capture manager (replaces per-frame double-buffer)
 let captureManager = null;
 
+// Snapshots re-render the source texture, so they need a frame uploaded first
+let hasRenderedFrame = false;
+
 // ============================================================================
 // WebGPU Renderer
 // ============================================================================
@@ -102,6 +122,12 @@ class WebGPURenderer {
     // Uniform buffers
     this.uniformBuffers = {};
 
+    // 3D LUT texture, its bind group (group 1 of the LUT pipeline) and its
+    // { file, size, domainMin, domainMax }
+    this.lutTexture = null;
+    this._lutBindGroup = null;
+    this.lut = null;
+
     // Configuration
     this.config = null;
     this.currentPreset = null;
@@ -201,6 +227,7 @@ class WebGPURenderer {
       pixelUpscale: await createAndValidateShader('Pixel Upscale Shader', pixelUpscaleWGSL),
       unsharpMask: await createAndValidateShader('Unsharp Mask Shader', unsharpMaskWGSL),
       colorElevation: await createAndValidateShader('Color Elevation Shader', colorElevationWGSL),
+      lutGrade: await createAndValidateShader('LUT Grade Shader', lutGradeWGSL),
       crtLcd: await createAndValidateShader('CRT/LCD Shader', crtLcdWGSL)
     };
   }
@@ -242,14 +269,7 @@ class WebGPURenderer {
     this.intermediateTextures = [];
     this.intermediateTextureViews = [];
     for (let i = 0; i < 2; i++) {
-      const texture = this.device.createTexture({
-        label: `Intermediate Texture ${i}`,
-        size: [targetWidth, targetHeight],
-        format: 'rgba8unorm',
-        usage:
-          GPUTextureUsage.TEXTURE_BINDING |
-          GPUTextureUsage.RENDER_ATTACHMENT
-      });
+      const texture = this._createIntermediateTexture(`Intermediate Texture ${i}`, targetWidth, targetHeight);
 
       this.intermediateTextures.push(texture);
       this.intermediateTextureViews.push(texture.createView());
@@ -269,7 +289,12 @@ class WebGPURenderer {
       }),
       color: this.device.createBuffer({
         label: 'Color Uniforms',
-        size: 32, // 5×f32 + padding = 32
+        size: 80, // 8×f32 + 3×vec4 (color correction rows) = 80
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+      }),
+      lut: this.device.createBuffer({
+        label: 'LUT Uniforms',
+        size: 32, // 2×(vec3 + f32) = 32
         usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
       }),
       crt: this.device.createBuffer({
@@ -280,6 +305,24 @@ class WebGPURenderer {
     };
   }
 
+  /**
+   * Create a ping-pong texture that passes render into and sample from
+   * @param {string} label - Texture label (also keys the bind group cache)
+   * @param {number} width
+   * @param {number} height
+   * @returns {GPUTexture}
+   */
+  _createIntermediateTexture(label, width, height) {
+    return this.device.createTexture({
+      label,
+      size: [width, height],
+      format: 'rgba8unorm',
+      usage:
+        GPUTextureUsage.TEXTURE_BINDING |
+        GPUTextureUsage.RENDER_ATTACHMENT
+    });
+  }
+
   async _createPipelines() {
     // Use createRenderPipelineAsync to properly await shader compilation
     // and catch any compilation errors before they become invalid pipelines
@@ -339,6 +382,24 @@ class WebGPURenderer {
       }
     });
 
+    // LUT Grade (between color elevation and CRT/LCD)
+    this.pipelines.lutGrade = await this.device.createRenderPipelineAsync({
+      label: 'LUT Grade Pipeline',
+      layout: 'auto',
+      vertex: {
+        module: this.shaderModules.lutGrade,
+        entryPoint: 'vertexMain'
+      },
+      fragment: {
+        module: this.shaderModules.lutGrade,
+        entryPoint: 'fragmentMain',
+        targets: [{ format: 'rgba8unorm' }]
+      },
+      primitive: {
+        topology: 'triangle-strip'
+      }
+    });
+
     // Pass 4: CRT/LCD (outputs to canvas format)
     this.pipelines.crtLcd = await this.device.createRenderPipelineAsync({
       label: 'CRT/LCD Pipeline',
@@ -361,6 +422,49 @@ class WebGPURenderer {
     this._crtLcdBindGroupLayout = this.pipelines.crtLcd.getBindGroupLayout(0);
   }
 
+  /**
+   * Upload a 3D LUT, replacing the current one
+   * @param {{file: string, size: number, domainMin: number[], domainMax: number[], data: Uint16Array}|null} lut -
+   *   RGBA16F texels, red fastest; null removes the LUT
+   */
+  setLut(lut) {
+    this.lutTexture?.destroy();
+    this.lutTexture = null;
+    this._lutBindGroup = null;
+    this.lut = null;
+
+    if (!lut) {
+      return;
+    }
+
+    const { file, size, domainMin, domainMax, data } = lut;
+    this.lutTexture = this.device.createTexture({
+      label: 'LUT Texture',
+      size: [size, size, size],
+      dimension: '3d',
+      format: 'rgba16float',
+      usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+    });
+
+    this.device.queue.writeTexture(
+      { texture: this.lutTexture },
+      data,
+      { bytesPerRow: size * 8, rowsPerImage: size }, // 4 half floats per texel
+      [size, size, size]
+    );
+
+    this._lutBindGroup = this.device.createBindGroup({
+      label: 'LUT BindGroup',
+      layout: this.pipelines.lutGrade.getBindGroupLayout(1),
+      entries: [
+        { binding: 0, resource: this.lutTexture.createView({ dimension: '3d' }) },
+        { binding: 1, resource: this.linearSampler }
+      ]
+    });
+
+    this.lut = { file, size, domainMin, domainMax };
+  }
+
   uploadFrame(imageBitmap) {
     // Copy ImageBitmap to source texture
     // flipY: true ensures consistent orientation across WebGL2/WebGPU coordinate systems
@@ -379,74 +483,12 @@ class WebGPURenderer {
 
     try {
       // Update uniform buffers
-      this._updateUniforms(uniforms);
+      this._updateUniforms(uniforms, this.config);
 
       // Create command encoder
       const commandEncoder = this.device.createCommandEncoder();
 
-      // Track which intermediate texture to use (ping-pong)
-      let currentTexture = 0;
-
-      // Pass 1: Pixel Upscale (source → intermediate[0])
-      this._renderPass(
-        commandEncoder,
-        this.pipelines.pixelUpscale,
-        this.sourceTexture,
-        this.intermediateTextures[0],
-        this.uniformBuffers.upscale,
-        this.nearestSampler
-      );
-      currentTexture = 0;
-
-      // Pass 2: Unsharp Mask (if enabled)
-      if (uniforms.unsharp.enabled && uniforms.unsharp.strength > 0) {
-        const nextTexture = (currentTexture + 1) % 2;
-        this._renderPass(
-          commandEncoder,
-          this.pipelines.unsharpMask,
-          this.intermediateTextures[currentTexture],
-          this.intermediateTextures[nextTexture],
-          this.uniformBuffers.unsharp,
-          this.linearSampler
-        );
-        currentTexture = nextTexture;
-      }
-
-      // Pass 3: Color Elevation (if enabled)
-      if (uniforms.color.enabled) {
-        const nextTexture = (currentTexture + 1) % 2;
-        this._renderPass(
-          commandEncoder,
-          this.pipelines.colorElevation,
-          this.intermediateTextures[currentTexture],
-          this.intermediateTextures[nextTexture],
-          this.uniformBuffers.color,
-          this.linearSampler
-        );
-        currentTexture = nextTexture;
-      }
-
-      // Pass 4: CRT/LCD → Canvas (skip shader if all effects disabled)
-      const canvasTexture = this.context.getCurrentTexture();
-      const crtEffectsEnabled = isCrtEnabled(uniforms);
-
-      if (crtEffectsEnabled) {
-        this._renderPassToCanvas(
-          commandEncoder,
-          this.pipelines.crtLcd,
-          this.intermediateTextures[currentTexture],
-          canvasTexture,
-          this.uniformBuffers.crt,
-          this.linearSampler
-        );
-      } else {
-        // Bypass CRT shader - direct copy with minimal processing
-        this._copyToCanvas(
-          commandEncoder,
-          this.intermediateTextures[currentTexture],
-          canvasTexture
-        );
-      }
+      this._encodePasses(commandEncoder, uniforms, this.intermediateTextures, this.context.getCurrentTexture());
 
       // Submit commands
       this.device.queue.submit([commandEncoder.finish()]);
@@ -461,6 +503,136 @@ class WebGPURenderer {
     }
   }
 
+  /**
+   * Render the source texture at another size, off screen
+   * The snapshot gets its own intermediate textures and its own canvas on the
+   * same device, so the presentation canvas and its swap chain are untouched.
+   * @param {Object} uniforms - Uniform values
+   * @param {number} width - Snapshot width
+   * @param {number} height - Snapshot height
+   * @param {number} scaleFactor - Integer scale factor
+   * @returns {Promise<ImageBitmap>}
+   */
+  async renderSnapshot(uniforms, width, height, scaleFactor) {
+    if (this.hasError) {
+      throw new Error(this.errorMessage);
+    }
+
+    const output = new OffscreenCanvas(width, height);
+    const context = output.getContext('webgpu');
+    context.configure({
+      device: this.device,
+      format: this.canvasFormat,
+      alphaMode: 'opaque'
+    });
+
+    const textures = [0, 1].map(i => this._createIntermediateTexture(`Snapshot Texture ${i}`, width, height));
+
+    try {
+      this._updateUniforms(uniforms, { targetWidth: width, targetHeight: height, scaleFactor });
+
+      const commandEncoder = this.device.createCommandEncoder();
+      this._encodePasses(commandEncoder, uniforms, textures, context.getCurrentTexture());
+      this.device.queue.submit([commandEncoder.finish()]);
+
+      return output.transferToImageBitmap();
+    } finally {
+      // Destruction waits for the submitted passes
+      textures.forEach(tex => tex.destroy());
+
+      // Cached bind groups and uniforms now hold snapshot values
+      this.bindGroupCache.invalidate();
+      this.uniformTracker.invalidateAll();
+    }
+  }
+
+  /**
+   * Encode the pass chain from the source texture to an output texture
+   * @param {GPUCommandEncoder} commandEncoder
+   * @param {Object} uniforms - Uniform values
+   * @param {GPUTexture[]} textures - Two ping-pong textures at the output size
+   * @param {GPUTexture} canvasTexture - Output texture in the canvas format
+   */
+  _encodePasses(commandEncoder, uniforms, textures, canvasTexture) {
+    // Track which intermediate texture to use (ping-pong)
+    let currentTexture = 0;
+
+    // Pass 1: Pixel Upscale (source → intermediate[0])
+    this._renderPass(
+      commandEncoder,
+      this.pipelines.pixelUpscale,
+      this.sourceTexture,
+      textures[0],
+      this.uniformBuffers.upscale,
+      this.nearestSampler
+    );
+    currentTexture = 0;
+
+    // Pass 2: Unsharp Mask (if enabled)
+    if (uniforms.unsharp.enabled && uniforms.unsharp.strength > 0) {
+      const nextTexture = (currentTexture + 1) % 2;
+      this._renderPass(
+        commandEncoder,
+        this.pipelines.unsharpMask,
+        textures[currentTexture],
+        textures[nextTexture],
+        this.uniformBuffers.unsharp,
+        this.linearSampler
+      );
+      currentTexture = nextTexture;
+    }
+
+    // Pass 3: Color Elevation (if enabled)
+    if (uniforms.color.enabled) {
+      const nextTexture = (currentTexture + 1) % 2;
+      this._renderPass(
+        commandEncoder,
+        this.pipelines.colorElevation,
+        textures[currentTexture],
+        textures[nextTexture],
+        this.uniformBuffers.color,
+        this.linearSampler
+      );
+      currentTexture = nextTexture;
+    }
+
+    // LUT Grade (if the preset's LUT is uploaded)
+    if (isLutEnabled(uniforms, this.lut?.file ?? null)) {
+      const nextTexture = (currentTexture + 1) % 2;
+      this._renderPass(
+        commandEncoder,
+        this.pipelines.lutGrade,
+        textures[currentTexture],
+        textures[nextTexture],
+        this.uniformBuffers.lut,
+        this.linearSampler,
+        this._lutBindGroup
+      );
+      currentTexture = nextTexture;
+    }
+
+    // Pass 4: CRT/LCD → Canvas (skip shader if all effects disabled)
+    const crtEffectsEnabled = isCrtEnabled(uniforms);
+
+    if (crtEffectsEnabled) {
+      this._renderPassToCanvas(
+        commandEncoder,
+        this.pipelines.crtLcd,
+        textures[currentTexture],
+        canvasTexture,
+        this.uniformBuffers.crt,
+        this.linearSampler
+      );
+    } else {
+      // Bypass CRT shader - direct copy with minimal processing
+      this._copyToCanvas(
+        commandEncoder,
+        textures[currentTexture],
+        canvasTexture
+      );
+    }
+  }
+
   _getIntermediateTextureView(texture) {
     const index = this.intermediateTextures.indexOf(texture);
     if (index === -1) {
@@ -474,7 +646,7 @@ class WebGPURenderer {
     return this.intermediateTextureViews[index];
   }
 
-  _renderPass(commandEncoder, pipeline, inputTexture, outputTexture, uniformBuffer, sampler) {
+  _renderPass(commandEncoder, pipeline, inputTexture, outputTexture, uniformBuffer, sampler, extraBindGroup = null) {
     // Use cached bind group to avoid per-frame GPU driver calls
     const bindGroup = this.bindGroupCache.getOrCreate(
       this.device,
@@ -495,6 +667,9 @@ class WebGPURenderer {
 
     passEncoder.setPipeline(pipeline);
     passEncoder.setBindGroup(0, bindGroup);
+    if (extraBindGroup) {
+      passEncoder.setBindGroup(1, extraBindGroup);
+    }
     passEncoder.draw(4); // 4 vertices for triangle strip quad
     passEncoder.end();
   }
@@ -559,8 +734,14 @@ class WebGPURenderer {
     passEncoder.end();
   }
 
-  _updateUniforms(uniforms) {
-    const { nativeWidth, nativeHeight, targetWidth, targetHeight, scaleFactor } = this.config;
+  /**
+   * Write the uniform buffers for one render
+   * @param {Object} uniforms - Uniform values
+   * @param {{targetWidth: number, targetHeight: number, scaleFactor: number}} size - Output size
+   */
+  _updateUniforms(uniforms, size) {
+    const { nativeWidth, nativeHeight } = this.config;
+    const { targetWidth, targetHeight, scaleFactor } = size;
 
     // Upscale uniforms - use pooled array and track changes
     const upscaleData = this.typedArrayPool.getFloat32WithValues([
@@ -586,19 +767,39 @@ class WebGPURenderer {
     }
 
     // Color uniforms
+    const { correction } = uniforms.color;
     const colorData = this.typedArrayPool.getFloat32WithValues([
       uniforms.color.gamma,
       uniforms.color.saturation,
       uniforms.color.greenBias,
       uniforms.color.brightness,
       uniforms.color.contrast,
-      0, 0, 0  // padding
+      correction.enabled ? 1 : 0,
+      correction.inputGamma,
+      correction.outputGamma,
+      ...correction.rows[0], 0,  // matrix rows, vec4-aligned
+      ...correction.rows[1], 0,
+      ...correction.rows[2], 0
     ]);
 
     if (this.uniformTracker.hasChanged('color', colorData)) {
       this.device.queue.writeBuffer(this.uniformBuffers.color, 0, colorData);
     }
 
+    // LUT uniforms (only while a LUT is uploaded)
+    if (this.lut) {
+      const lutData = this.typedArrayPool.getFloat32WithValues([
+        ...this.lut.domainMin,
+        uniforms.lut.intensity,
+        ...this.lut.domainMax,
+        this.lut.size
+      ]);
+
+      if (this.uniformTracker.hasChanged('lut', lutData)) {
+        this.device.queue.writeBuffer(this.uniformBuffers.lut, 0, lutData);
+      }
+    }
+
     // CRT uniforms
     const crtData = this.typedArrayPool.getFloat32WithValues([
       targetWidth, targetHeight,              // resolution
@@ -625,16 +826,7 @@ class WebGPURenderer {
     this.intermediateTextureViews = [];
 
     for (let i = 0; i < 2; i++) {
-      this.intermediateTextures.push(
-        this.device.createTexture({
-          label: `Intermediate Texture ${i}`,
-          size: [width, height],
-          format: 'rgba8unorm',
-          usage:
-            GPUTextureUsage.TEXTURE_BINDING |
-            GPUTextureUsage.RENDER_ATTACHMENT
-        })
-      );
+      this.intermediateTextures.push(this._createIntermediateTexture(`Intermediate Texture ${i}`, width, height));
     }
 
     // Reconfigure canvas
@@ -654,6 +846,10 @@ class WebGPURenderer {
     this.sourceTexture?.destroy();
     this.intermediateTextures.forEach(tex => tex?.destroy());
     this.intermediateTextureViews = [];
+    this.lutTexture?.destroy();
+    this.lutTexture = null;
+    this._lutBindGroup = null;
+    this.lut = null;
 
     // Destroy buffers
     Object.values(this.uniformBuffers).forEach(buf => buf?.destroy());
@@ -685,6 +881,10 @@ class WebGL2Renderer {
     // VAO for full-screen triangle
     this.vao = null;
 
+    // 3D LUT texture and its { file, size, domainMin, domainMax }
+    this.lutTexture = null;
+    this.lut = null;
+
     // Configuration
     this.config = null;
   }
@@ -728,6 +928,7 @@ class WebGL2Renderer {
       pixelUpscale: new ShaderProgram(this.gl, commonVertGLSL, pixelUpscaleFragGLSL, 'PixelUpscale'),
       unsharpMask: new ShaderProgram(this.gl, commonVertGLSL, unsharpMaskFragGLSL, 'UnsharpMask'),
       colorElevation: new ShaderProgram(this.gl, commonVertGLSL, colorElevationFragGLSL, 'ColorElevation'),
+      lutGrade: new ShaderProgram(this.gl, commonVertGLSL, lutGradeFragGLSL, 'LutGrade'),
       crtLcd: new ShaderProgram(this.gl, commonVertGLSL, crtLcdFragGLSL, 'CrtLcd')
     };
   }
@@ -745,26 +946,73 @@ class WebGL2Renderer {
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
     gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, nativeWidth, nativeHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
 
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
     // Intermediate textures for ping-pong rendering
     for (let i = 0; i < 2; i++) {
-      const texture = gl.createTexture();
-      gl.bindTexture(gl.TEXTURE_2D, texture);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, targetWidth, targetHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      const { texture, framebuffer } = this._createRenderTarget(targetWidth, targetHeight);
       this.intermediateTextures.push(texture);
-
-      // Create framebuffer for this texture
-      const framebuffer = gl.createFramebuffer();
-      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
-      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
       this.framebuffers.push(framebuffer);
     }
+  }
+
+  /**
+   * Create a texture with a framebuffer that renders into it
+   * @param {number} width
+   * @param {number} height
+   * @returns {{texture: WebGLTexture, framebuffer: WebGLFramebuffer}}
+   */
+  _createRenderTarget(width, height) {
+    const gl = this.gl;
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
 
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     gl.bindTexture(gl.TEXTURE_2D, null);
+
+    return { texture, framebuffer };
+  }
+
+  /**
+   * Upload a 3D LUT, replacing the current one
+   * @param {{file: string, size: number, domainMin: number[], domainMax: number[], data: Uint16Array}|null} lut -
+   *   RGBA16F texels, red fastest; null removes the LUT
+   */
+  setLut(lut) {
+    const gl = this.gl;
+
+    if (!lut) {
+      if (this.lutTexture) gl.deleteTexture(this.lutTexture);
+      this.lutTexture = null;
+      this.lut = null;
+      return;
+    }
+
+    const { file, size, domainMin, domainMax, data } = lut;
+    if (!this.lutTexture) {
+      this.lutTexture = gl.createTexture();
+    }
+
+    gl.bindTexture(gl.TEXTURE_3D, this.lutTexture);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+    gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGBA16F, size, size, size, 0, gl.RGBA, gl.HALF_FLOAT, data);
+    gl.bindTexture(gl.TEXTURE_3D, null);
+
+    this.lut = { file, size, domainMin, domainMax };
   }
 
   uploadFrame(imageBitmap) {
@@ -776,15 +1024,87 @@ class WebGL2Renderer {
   }
 
   render(uniforms) {
+    const { targetWidth, targetHeight, scaleFactor } = this.config;
+
+    this._draw(uniforms, {
+      textures: this.intermediateTextures,
+      framebuffers: this.framebuffers,
+      outputFramebuffer: null,
+      outputWidth: canvas.width,
+      outputHeight: canvas.height,
+      targetWidth,
+      targetHeight,
+      scaleFactor
+    });
+  }
+
+  /**
+   * Render the source texture at another size, off screen
+   * The passes draw into framebuffers of the snapshot size and the result is
+   * read back, so the presentation canvas and its drawing buffer are untouched.
+   * @param {Object} uniforms - Uniform values
+   * @param {number} width - Snapshot width
+   * @param {number} height - Snapshot height
+   * @param {number} scaleFactor - Integer scale factor
+   * @returns {Promise<ImageBitmap>}
+   */
+  async renderSnapshot(uniforms, width, height, scaleFactor) {
+    const gl = this.gl;
+    const targets = [0, 1, 2].map(() => this._createRenderTarget(width, height));
+
+    try {
+      this._draw(uniforms, {
+        textures: targets.slice(0, 2).map(target => target.texture),
+        framebuffers: targets.slice(0, 2).map(target => target.framebuffer),
+        outputFramebuffer: targets[2].framebuffer,
+        outputWidth: width,
+        outputHeight: height,
+        targetWidth: width,
+        targetHeight: height,
+        scaleFactor
+      });
+
+      const pixels = new Uint8ClampedArray(width * height * 4);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, targets[2].framebuffer);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      // readPixels returns the bottom row first
+      return createImageBitmap(new ImageData(pixels, width, height), { imageOrientation: 'flipY' });
+    } finally {
+      targets.forEach(({ texture, framebuffer }) => {
+        gl.deleteFramebuffer(framebuffer);
+        gl.deleteTexture(texture);
+      });
+    }
+  }
+
+  /**
+   * Draw the pass chain from the source texture to an output framebuffer
+   * @param {Object} uniforms - Uniform values
+   * @param {Object} target - Ping-pong textures and framebuffers, the output
+   *   framebuffer (null for the canvas) and the sizes to render at
+   */
+  _draw(uniforms, target) {
     const gl = this.gl;
-    const { nativeWidth, nativeHeight, targetWidth, targetHeight, scaleFactor } = this.config;
+    const { nativeWidth, nativeHeight } = this.config;
+    const {
+      textures,
+      framebuffers,
+      outputFramebuffer,
+      outputWidth,
+      outputHeight,
+      targetWidth,
+      targetHeight,
+      scaleFactor
+    } = target;
 
     gl.bindVertexArray(this.vao);
 
     let currentTexture = 0;
 
     // Pass 1: Pixel Upscale - use cached uniform locations
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[0]);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffers[0]);
     gl.viewport(0, 0, targetWidth, targetHeight);
     this.programs.pixelUpscale.use();
 
@@ -801,11 +1121,11 @@ class WebGL2Renderer {
     // Pass 2: Unsharp Mask (if enabled)
     if (uniforms.unsharp.enabled && uniforms.unsharp.strength > 0) {
       const nextTexture = (currentTexture + 1) % 2;
-      gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[nextTexture]);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffers[nextTexture]);
       this.programs.unsharpMask.use();
 
       gl.activeTexture(gl.TEXTURE0);
-      gl.bindTexture(gl.TEXTURE_2D, this.intermediateTextures[currentTexture]);
+      gl.bindTexture(gl.TEXTURE_2D, textures[currentTexture]);
       this.programs.unsharpMask.setUniform1i('uInputTex', 0);
       this.programs.unsharpMask.setUniform2f('uTexelSize', 1.0 / targetWidth, 1.0 / targetHeight);
       this.programs.unsharpMask.setUniform1f('uStrength', uniforms.unsharp.strength);
@@ -818,11 +1138,11 @@ class WebGL2Renderer {
     // Pass 3: Color Elevation (if enabled)
     if (uniforms.color.enabled) {
       const nextTexture = (currentTexture + 1) % 2;
-      gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[nextTexture]);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffers[nextTexture]);
       this.programs.colorElevation.use();
 
       gl.activeTexture(gl.TEXTURE0);
-      gl.bindTexture(gl.TEXTURE_2D, this.intermediateTextures[currentTexture]);
+      gl.bindTexture(gl.TEXTURE_2D, textures[currentTexture]);
       this.programs.colorElevation.setUniform1i('uInputTex', 0);
       this.programs.colorElevation.setUniform1f('uGamma', uniforms.color.gamma);
       this.programs.colorElevation.setUniform1f('uSaturation', uniforms.color.saturation);
@@ -830,20 +1150,52 @@ class WebGL2Renderer {
       this.programs.colorElevation.setUniform1f('uBrightness', uniforms.color.brightness);
       this.programs.colorElevation.setUniform1f('uContrast', uniforms.color.contrast);
 
+      const { correction } = uniforms.color;
+      this.programs.colorElevation.setUniform1f('uCorrectionEnabled', correction.enabled ? 1 : 0);
+      this.programs.colorElevation.setUniform1f('uCorrectionInputGamma', correction.inputGamma);
+      this.programs.colorElevation.setUniform1f('uCorrectionOutputGamma', correction.outputGamma);
+      correction.rows.forEach((row, index) => {
+        this.programs.colorElevation.setUniform3f(`uCorrectionRow${index}`, ...row);
+      });
+
       gl.drawArrays(gl.TRIANGLES, 0, 3);
       currentTexture = nextTexture;
     }
 
+    // LUT Grade (if the preset's LUT is uploaded)
+    if (isLutEnabled(uniforms, this.lut?.file ?? null)) {
+      const nextTexture = (currentTexture + 1) % 2;
+      const { size, domainMin, domainMax } = this.lut;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffers[nextTexture]);
+      this.programs.lutGrade.use();
+
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, textures[currentTexture]);
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_3D, this.lutTexture);
+      this.programs.lutGrade.setUniform1i('uInputTex', 0);
+      this.programs.lutGrade.setUniform1i('uLutTex', 1);
+      this.programs.lutGrade.setUniform3f('uDomainMin', domainMin[0], domainMin[1], domainMin[2]);
+      this.programs.lutGrade.setUniform3f('uDomainMax', domainMax[0], domainMax[1], domainMax[2]);
+      this.programs.lutGrade.setUniform1f('uLutSize', size);
+      this.programs.lutGrade.setUniform1f('uIntensity', uniforms.lut.intensity);
+
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+      gl.bindTexture(gl.TEXTURE_3D, null);
+      gl.activeTexture(gl.TEXTURE0);
+      currentTexture = nextTexture;
+    }
+
     // Pass 4: CRT/LCD → Canvas (skip shader if all effects disabled)
     const crtEffectsEnabled = isCrtEnabled(uniforms);
 
     if (crtEffectsEnabled) {
-      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-      gl.viewport(0, 0, canvas.width, canvas.height);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, outputFramebuffer);
+      gl.viewport(0, 0, outputWidth, outputHeight);
       this.programs.crtLcd.use();
 
       gl.activeTexture(gl.TEXTURE0);
-      gl.bindTexture(gl.TEXTURE_2D, this.intermediateTextures[currentTexture]);
+      gl.bindTexture(gl.TEXTURE_2D, textures[currentTexture]);
       this.programs.crtLcd.setUniform1i('uInputTex', 0);
       this.programs.crtLcd.setUniform2f('uResolution', targetWidth, targetHeight);
       this.programs.crtLcd.setUniform1f('uScaleFactor', scaleFactor);
@@ -856,15 +1208,16 @@ class WebGL2Renderer {
       gl.drawArrays(gl.TRIANGLES, 0, 3);
     } else {
       // Bypass CRT shader - use blitFramebuffer for direct copy
-      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.framebuffers[currentTexture]);
-      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, framebuffers[currentTexture]);
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, outputFramebuffer);
       gl.blitFramebuffer(
         0, 0, targetWidth, targetHeight,  // source rect
-        0, 0, canvas.width, canvas.height, // dest rect
+        0, 0, outputWidth, outputHeight,   // dest rect
         gl.COLOR_BUFFER_BIT,
         gl.NEAREST  // filter - nearest for pixel-perfect
       );
       gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
     }
 
     gl.bindVertexArray(null);
@@ -890,6 +1243,9 @@ class WebGL2Renderer {
     // Delete textures
     if (this.sourceTexture) gl.deleteTexture(this.sourceTexture);
     this.intermediateTextures.forEach(tex => gl.deleteTexture(tex));
+    if (this.lutTexture) gl.deleteTexture(this.lutTexture);
+    this.lutTexture = null;
+    this.lut = null;
 
     // Delete framebuffers
     this.framebuffers.forEach(fb => gl.deleteFramebuffer(fb));
@@ -942,6 +1298,10 @@ self.onmessage = async (event) => {
       handleSetPreset(payload);
       break;
 
+    case WorkerMessageType.SET_LUT:
+      handleSetLut(payload);
+      break;
+
     case WorkerMessageType.REQUEST_CAPTURE:
       handleRequestCapture();
       break;
@@ -950,6 +1310,10 @@ self.onmessage = async (event) => {
       handleCapture();
       break;
 
+    case WorkerMessageType.RENDER_SNAPSHOT:
+      await handleRenderSnapshot(payload);
+      break;
+
     case WorkerMessageType.RELEASE:
       handleRelease();
       break;
@@ -1032,6 +1396,7 @@ async function handleFrame(payload) {
 
     // Render through pipeline
     renderer.render(uniforms);
+    hasRenderedFrame = true;
 
     // Lazy capture: only buffer frame if capture was requested
     // This avoids ~0.5-1ms per-frame overhead when not capturing
@@ -1092,11 +1457,63 @@ function handleResize(payload) {
   }
 }
 
+/**
+ * Render the last uploaded frame at another size and return it
+ * The source texture still holds the last frame, so the renderer re-runs the
+ * pipeline into its own snapshot targets. The presentation canvas keeps its
+ * size and swap chain, and live frames keep rendering meanwhile.
+ * @param {SnapshotPayload} payload
+ */
+async function handleRenderSnapshot(payload) {
+  if (!isInitialized || !renderer || !hasRenderedFrame) {
+    self.postMessage(createWorkerResponse(WorkerResponseType.SNAPSHOT_READY, {
+      error: 'No frame rendered yet'
+    }));
+    return;
+  }
+
+  const { width, height, scaleFactor, uniforms } = payload;
+
+  try {
+    const bitmap = await renderer.renderSnapshot(uniforms, width, height, scaleFactor);
+
+    self.postMessage(
+      createWorkerResponse(WorkerResponseType.SNAPSHOT_READY, { bitmap }),
+      [bitmap] // Transfer ownership for zero-copy
+    );
+  } catch (error) {
+    self.postMessage(createWorkerResponse(WorkerResponseType.SNAPSHOT_READY, {
+      error: 'Failed to render snapshot: ' + error.message
+    }));
+  }
+}
+
 function handleSetPreset(_payload) {
   // Preset changes are handled via uniforms in handleFrame
   // This handler is for future preset-specific GPU resource changes
 }
 
+/**
+ * Upload the LUT for the LUT pass
+ * A failed upload leaves no LUT and is reported without stopping rendering.
+ * @param {{lut: Object|null}} payload - LUT as built by parseCubeLut plus its file name
+ */
+function handleSetLut(payload) {
+  if (!isInitialized || !renderer) return;
+
+  const file = payload.lut?.file ?? null;
+  try {
+    renderer.setLut(payload.lut);
+    self.postMessage(createWorkerResponse(WorkerResponseType.LUT_LOADED, { file }));
+  } catch (error) {
+    renderer.setLut(null);
+    self.postMessage(createWorkerResponse(WorkerResponseType.LUT_LOADED, {
+      file,
+      error: `Failed to upload LUT: ${error.message}`
+    }));
+  }
+}
+
 /**
  * Handle request to capture the next rendered frame
  * Arms the lazy capture buffer so the next frame will be saved
@@ -1176,6 +1593,7 @@ function handleRelease() {
   }
 
   isInitialized = false;
+  hasRenderedFrame = false;
   // IMPORTANT: Keep canvas reference - we'll reuse it on re-init
 
   // Reset performance tracking
@@ -1200,6 +1618,7 @@ function handleDestroy() {
   }
 
   isInitialized = false;
+  hasRenderedFrame = false;
   canvas = null;
 
   self.postMessage(createWorkerResponse(WorkerResponseType.DESTROYED));
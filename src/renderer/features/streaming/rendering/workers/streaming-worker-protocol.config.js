@@ -23,12 +23,18 @@ export const WorkerMessageType = Object.freeze({
   /** Change the active render preset */
   SET_PRESET: 'setPreset',
 
+  /** Upload the 3D LUT for the LUT pass, or remove it (lut: null) */
+  SET_LUT: 'setLut',
+
   /** Request capture of the next rendered frame (arms lazy capture) */
   REQUEST_CAPTURE: 'requestCapture',
 
   /** Retrieve the captured frame from lazy capture buffer */
   CAPTURE: 'capture',
 
+  /** Re-render the last frame offscreen at a given size and return it */
+  RENDER_SNAPSHOT: 'renderSnapshot',
+
   /** Release GPU resources while keeping worker alive (for idle memory savings) */
   RELEASE: 'release',
 
@@ -60,6 +66,12 @@ export const WorkerResponseType = Object.freeze({
   /** Captured frame ready (contains ImageBitmap) */
   CAPTURE_READY: 'captureReady',
 
+  /** Offscreen snapshot finished (contains ImageBitmap, or an error message) */
+  SNAPSHOT_READY: 'snapshotReady',
+
+  /** LUT uploaded (contains its file name, or an error message) */
+  LUT_LOADED: 'lutLoaded',
+
   /** GPU resources released (worker still alive) */
   RELEASED: 'released',
 
@@ -120,6 +132,14 @@ export function createWorkerResponse(type, payload = {}) {
  * @property {number} scaleFactor - Integer scale factor
  */
 
+/**
+ * @typedef {Object} SnapshotPayload
+ * @property {number} width - Snapshot width
+ * @property {number} height - Snapshot height
+ * @property {number} scaleFactor - Integer scale factor
+ * @property {Object} uniforms - Uniform values built for the snapshot size
+ */
+
 /**
  * @typedef {Object} PresetPayload
  * @property {string} presetId - Preset identifier
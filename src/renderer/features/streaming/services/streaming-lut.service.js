@@ -0,0 +1,114 @@
+/**
+ * LUT Service
+ *
+ * Imports .cube 3D LUTs into the LUT library and loads them for the GPU
+ * renderer. Presets refer to library LUTs by file name (see the lut pass in
+ * streaming-render-presets.config.js). Files are checked with parseCubeLut
+ * before they are added, and parsed LUTs are kept for reuse while switching
+ * presets.
+ */
+
+import { BaseService } from '@shared/base/service.base.js';
+import { parseCubeLut } from '../rendering/presets/streaming-cube-lut.utils.js';
+
+// Parsed LUTs kept in memory; a 65-point LUT is about 2 MB
+const MAX_CACHED_LUTS = 4;
+
+class StreamingLutService extends BaseService {
+  constructor(dependencies) {
+    super(dependencies, ['loggerFactory', 'renderPresetFileAdapter'], 'StreamingLutService');
+
+    // Library file name -> CubeLut, least recently used first
+    /** @type {Map<string, CubeLut>} */
+    this._cache = new Map();
+  }
+
+  /**
+   * List the LUT library
+   * @returns {Promise<string[]>} Library file names
+   */
+  async listLuts() {
+    const result = await this.renderPresetFileAdapter.listLuts();
+    if (!result.success) {
+      this.logger.warn('Failed to list LUT library:', result.error);
+      return [];
+    }
+    return result.files ?? [];
+  }
+
+  /**
+   * Import a .cube file the user picks into the LUT library
+   * @returns {Promise<{canceled: boolean, file: string|null}>} Library file name
+   * @throws {Error} If the file could not be read or is not a valid 3D LUT
+   */
+  async importLut() {
+    const result = await this.renderPresetFileAdapter.importLut();
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to read LUT file');
+    }
+    if (result.canceled) {
+      return { canceled: true, file: null };
+    }
+
+    let lut;
+    try {
+      lut = parseCubeLut(result.contents);
+    } catch (error) {
+      throw new Error(`${result.name} is not a valid LUT: ${error.message}`);
+    }
+
+    const saved = await this.renderPresetFileAdapter.saveLut(result.name, result.contents);
+    if (!saved.success) {
+      throw new Error(saved.error || 'Failed to add LUT to library');
+    }
+
+    this._remember(saved.file, lut);
+    this.logger.info(`LUT imported: ${saved.file} (${lut.size}-point)`);
+    return { canceled: false, file: saved.file };
+  }
+
+  /**
+   * Load a LUT from the library
+   * @param {string} file - Library file name
+   * @returns {Promise<CubeLut>}
+   * @throws {Error} If the LUT is missing or no longer valid
+   */
+  async loadLut(file) {
+    const cached = this._cache.get(file);
+    if (cached) {
+      this._remember(file, cached);
+      return cached;
+    }
+
+    const result = await this.renderPresetFileAdapter.readLut(file);
+    if (!result.success) {
+      throw new Error(result.error || `Failed to read LUT ${file}`);
+    }
+
+    let lut;
+    try {
+      lut = parseCubeLut(result.contents);
+    } catch (error) {
+      throw new Error(`${file} is not a valid LUT: ${error.message}`);
+    }
+
+    this._remember(file, lut);
+    return lut;
+  }
+
+  /**
+   * Cache a parsed LUT, dropping the least recently used one when full
+   * @param {string} file
+   * @param {CubeLut} lut
+   * @private
+   */
+  _remember(file, lut) {
+    this._cache.delete(file);
+    this._cache.set(file, lut);
+    if (this._cache.size > MAX_CACHED_LUTS) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+  }
+}
+
+export { StreamingLutService };
@@ -0,0 +1,331 @@
+/**
+ * Render Preset Service
+ *
+ * Looks up render presets across the built-in set and the user's custom
+ * presets, and saves, renames and deletes custom presets in localStorage.
+ * Any preset can be exported to a shareable preset file, and preset files
+ * are imported as new custom presets (see streaming-render-preset-file.utils.js).
+ * Every preset has a color correction mode. Custom presets save it with their
+ * values; the modes chosen for built-in presets are stored separately and
+ * applied when they are looked up.
+ *
+ * Events emitted:
+ * - 'settings:custom-presets-changed' - Custom preset saved or deleted (payload: custom presets)
+ */
+
+import { BaseService } from '@shared/base/service.base.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { RenderPresetStorageKeys } from '@shared/config/storage-keys.config.js';
+import { generateEntityId } from '@shared/utils/string.utils.js';
+import { FilenameGenerator } from '@shared/utils/filename-generator.utils.js';
+import {
+  CUSTOM_PRESET_ID_PREFIX,
+  CUSTOM_PRESET_NAME_MAX_LENGTH,
+  createCustomPreset,
+  getPresetById,
+  getPresetValues,
+  getPresetsForUI,
+  isCustomPresetId,
+  withColorCorrection
+} from '../rendering/presets/streaming-render-presets.config.js';
+import { isColorCorrectionMode } from '../rendering/presets/streaming-color-correction.config.js';
+import { parsePresetFile, serializePresetFile } from '../rendering/presets/streaming-render-preset-file.utils.js';
+
+class StreamingRenderPresetService extends BaseService {
+  constructor(dependencies) {
+    super(dependencies, ['eventBus', 'loggerFactory', 'storageService', 'renderPresetFileAdapter'], 'StreamingRenderPresetService');
+
+    // Parsed custom presets; presets keep their identity until changed
+    this._customPresets = null;
+    // Built-in preset ID -> color correction mode chosen for it
+    this._colorCorrections = null;
+    // Built-in presets with their chosen mode, so they keep their identity too
+    this._correctedPresets = new Map();
+  }
+
+  /**
+   * Get the user's custom presets, oldest first
+   * @returns {RenderPreset[]}
+   */
+  getCustomPresets() {
+    if (this._customPresets) {
+      return this._customPresets;
+    }
+
+    this._customPresets = [];
+    const raw = this.storageService?.getItem(RenderPresetStorageKeys.CUSTOM_PRESETS);
+    if (!raw) {
+      return this._customPresets;
+    }
+
+    try {
+      const stored = JSON.parse(raw);
+      if (Array.isArray(stored)) {
+        this._customPresets = stored
+          .filter(entry => isCustomPresetId(entry?.id) && typeof entry.name === 'string')
+          .map(entry => createCustomPreset(entry));
+      }
+    } catch (error) {
+      this.logger.error('Failed to parse custom render presets - data may be corrupted', error);
+    }
+
+    return this._customPresets;
+  }
+
+  /**
+   * Find a built-in or custom preset
+   * @param {string} id - Preset ID
+   * @returns {RenderPreset|null}
+   */
+  getPresetById(id) {
+    const preset = getPresetById(id, this.getCustomPresets());
+    if (!preset || preset.custom) {
+      return preset;
+    }
+
+    const correction = this._getColorCorrections()[preset.id];
+    if (!correction) {
+      return preset;
+    }
+
+    const cached = this._correctedPresets.get(preset.id);
+    if (cached?.color.correction === correction) {
+      return cached;
+    }
+
+    const corrected = withColorCorrection(preset, correction);
+    this._correctedPresets.set(preset.id, corrected);
+    return corrected;
+  }
+
+  /**
+   * Get built-in and custom presets for the preset selector
+   * @returns {Array<{id: string, name: string, description: string, custom: boolean}>}
+   */
+  getPresetsForUI() {
+    return getPresetsForUI(this.getCustomPresets());
+  }
+
+  /**
+   * Save a new custom preset, or update one
+   * @param {Object} options
+   * @param {string} [options.id] - Custom preset to update; a new preset is created without it
+   * @param {string} options.name - Display name
+   * @param {PresetValues} options.values - Parameter values
+   * @returns {RenderPreset} Saved preset
+   * @throws {Error} If the name is empty or taken, or the preset to update does not exist
+   */
+  saveCustomPreset({ id, name, values }) {
+    const trimmedName = String(name ?? '').trim().slice(0, CUSTOM_PRESET_NAME_MAX_LENGTH);
+    if (!trimmedName) {
+      throw new Error('Enter a preset name');
+    }
+
+    const presets = this.getCustomPresets();
+    if (id && !presets.some(preset => preset.id === id)) {
+      throw new Error('Preset not found');
+    }
+
+    if (this._isNameTaken(trimmedName, id)) {
+      throw new Error(`A preset named ${trimmedName} already exists`);
+    }
+
+    const preset = createCustomPreset({
+      id: id ?? `${CUSTOM_PRESET_ID_PREFIX}${generateEntityId('preset')}`,
+      name: trimmedName,
+      values
+    });
+
+    this._store(id
+      ? presets.map(existing => (existing.id === id ? preset : existing))
+      : [...presets, preset]);
+
+    this.logger.info(`Custom render preset ${id ? 'updated' : 'created'}: ${preset.name}`);
+    return preset;
+  }
+
+  /**
+   * Delete a custom preset
+   * @param {string} id - Custom preset ID
+   * @returns {boolean} True if it existed
+   */
+  deleteCustomPreset(id) {
+    const presets = this.getCustomPresets();
+    const remaining = presets.filter(preset => preset.id !== id);
+    if (remaining.length === presets.length) {
+      return false;
+    }
+
+    this._store(remaining);
+    this.logger.info(`Custom render preset deleted: ${id}`);
+    return true;
+  }
+
+  /**
+   * Choose the color correction mode of a preset
+   * Custom presets are saved with the mode; for built-in presets it is
+   * remembered separately.
+   * @param {string} id - Built-in or custom preset ID
+   * @param {string} correction - Color correction mode ID
+   * @returns {RenderPreset} The preset with the mode applied
+   * @throws {Error} If the preset or the mode does not exist
+   */
+  setColorCorrection(id, correction) {
+    if (!isColorCorrectionMode(correction)) {
+      throw new Error(`Unknown color correction mode: ${correction}`);
+    }
+
+    const preset = this.getPresetById(id);
+    if (!preset) {
+      throw new Error('Preset not found');
+    }
+    if (preset.color.correction === correction) {
+      return preset;
+    }
+
+    if (preset.custom) {
+      const values = getPresetValues(preset);
+      return this.saveCustomPreset({
+        id,
+        name: preset.name,
+        values: { ...values, color: { ...values.color, correction } }
+      });
+    }
+
+    const corrections = { ...this._getColorCorrections() };
+    if (getPresetById(id).color.correction === correction) {
+      delete corrections[id];
+    } else {
+      corrections[id] = correction;
+    }
+    this.storageService?.setItem(RenderPresetStorageKeys.COLOR_CORRECTIONS, JSON.stringify(corrections));
+    this._colorCorrections = corrections;
+
+    this.logger.info(`Color correction of ${preset.name} set to ${correction}`);
+    return this.getPresetById(id);
+  }
+
+  /**
+   * Save a preset to a preset file the user picks
+   * @param {string} id - Built-in or custom preset ID
+   * @returns {Promise<{canceled: boolean, filePath: string|null}>}
+   * @throws {Error} If the preset does not exist or the file could not be written
+   */
+  async exportPreset(id) {
+    const preset = this.getPresetById(id);
+    if (!preset) {
+      throw new Error('Preset not found');
+    }
+
+    const result = await this.renderPresetFileAdapter.exportPreset(
+      FilenameGenerator.forRenderPreset(preset.name),
+      serializePresetFile(preset)
+    );
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to save preset file');
+    }
+
+    if (!result.canceled) {
+      this.logger.info(`Render preset exported: ${preset.name}`);
+    }
+    return { canceled: Boolean(result.canceled), filePath: result.filePath ?? null };
+  }
+
+  /**
+   * Import a preset file the user picks as a new custom preset
+   * A name already in use gets a number added, e.g. "Night Owl (2)".
+   * @returns {Promise<{canceled: boolean, preset: RenderPreset|null, adjusted: string[]}>}
+   *   Imported preset, and the parameters that were clamped into range
+   * @throws {Error} If the file could not be read or is not a valid preset file
+   */
+  async importPreset() {
+    const result = await this.renderPresetFileAdapter.importPreset();
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to read preset file');
+    }
+    if (result.canceled) {
+      return { canceled: true, preset: null, adjusted: [] };
+    }
+
+    const { name, values, adjusted } = parsePresetFile(result.contents);
+    if (adjusted.length > 0) {
+      this.logger.warn(`Imported preset values clamped into range: ${adjusted.join(', ')}`);
+    }
+
+    const preset = this.saveCustomPreset({ name: this._getFreeName(name), values });
+    return { canceled: false, preset, adjusted };
+  }
+
+  /**
+   * Check whether a preset other than the given one uses a name
+   * @param {string} name
+   * @param {string} [exceptId] - Preset allowed to keep the name
+   * @returns {boolean}
+   * @private
+   */
+  _isNameTaken(name, exceptId) {
+    const lowerName = name.toLowerCase();
+    return this.getPresetsForUI()
+      .some(preset => preset.id !== exceptId && preset.name.toLowerCase() === lowerName);
+  }
+
+  /**
+   * Number a name until no preset uses it, keeping it within the name limit
+   * @param {string} name
+   * @returns {string}
+   * @private
+   */
+  _getFreeName(name) {
+    const baseName = name.trim().slice(0, CUSTOM_PRESET_NAME_MAX_LENGTH);
+    let freeName = baseName;
+    for (let counter = 2; this._isNameTaken(freeName); counter++) {
+      const suffix = ` (${counter})`;
+      freeName = `${baseName.slice(0, CUSTOM_PRESET_NAME_MAX_LENGTH - suffix.length).trimEnd()}${suffix}`;
+    }
+    return freeName;
+  }
+
+  /**
+   * Get the color correction modes chosen for built-in presets
+   * @returns {Object.<string, string>} Preset ID -> mode ID
+   * @private
+   */
+  _getColorCorrections() {
+    if (this._colorCorrections) {
+      return this._colorCorrections;
+    }
+
+    this._colorCorrections = {};
+    const raw = this.storageService?.getItem(RenderPresetStorageKeys.COLOR_CORRECTIONS);
+    if (!raw) {
+      return this._colorCorrections;
+    }
+
+    try {
+      const stored = JSON.parse(raw);
+      if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+        this._colorCorrections = Object.fromEntries(Object.entries(stored)
+          .filter(([id, correction]) => !isCustomPresetId(id) && isColorCorrectionMode(correction)));
+      }
+    } catch (error) {
+      this.logger.error('Failed to parse render preset color corrections - data may be corrupted', error);
+    }
+
+    return this._colorCorrections;
+  }
+
+  /**
+   * Persist custom presets and announce the change
+   * @param {RenderPreset[]} presets
+   * @private
+   */
+  _store(presets) {
+    const stored = presets.map(preset => ({ id: preset.id, name: preset.name, values: getPresetValues(preset) }));
+    this.storageService?.setItem(RenderPresetStorageKeys.CUSTOM_PRESETS, JSON.stringify(stored));
+
+    this._customPresets = presets;
+    this.eventBus.publish(EventChannels.SETTINGS.CUSTOM_PRESETS_CHANGED, presets);
+  }
+}
+
+export { StreamingRenderPresetService };
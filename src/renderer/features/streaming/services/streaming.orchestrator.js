@@ -109,6 +109,7 @@ export class StreamingOrchestrator extends BaseOrchestrator {
       [EventChannels.STREAM.STOPPED]: () => this._handleStreamStopped(),
       [EventChannels.STREAM.ERROR]: (error) => this._handleStreamError(error),
       [EventChannels.SETTINGS.RENDER_PRESET_CHANGED]: (presetId) => this._handleRenderPresetChanged(presetId),
+      [EventChannels.SETTINGS.RENDER_PRESET_PREVIEW]: (preview) => this._handleRenderPresetPreview(preview),
       [EventChannels.PERFORMANCE.RENDER_MODE_CHANGED]: (enabled) => this._handlePerformanceModeChanged(enabled),
       [EventChannels.PERFORMANCE.STATE_CHANGED]: (state) => this._handlePerformanceStateChanged(state),
       [EventChannels.UI.WINDOW_RESIZED]: () => this._handleWindowResized()
@@ -138,6 +139,10 @@ export class StreamingOrchestrator extends BaseOrchestrator {
     this.renderPipelineService.handleRenderPresetChanged(presetId);
   }
 
+  _handleRenderPresetPreview(preview) {
+    this.renderPipelineService.handleRenderPresetPreview(preview);
+  }
+
   /**
    * Handle performance mode toggle
    * When enabled: terminates GPU worker and uses Canvas2D for minimal resource usage
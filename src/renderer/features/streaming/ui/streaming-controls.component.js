@@ -25,12 +25,18 @@ class StreamingControlsComponent {
     if (isStreaming) {
       this.elements.screenshotBtn?.classList.remove(CSSClasses.HIDING);
       this.elements.recordBtn?.classList.remove(CSSClasses.HIDING);
+      this.elements.replayBtn?.classList.remove(CSSClasses.HIDING);
+      this.elements.clipBtn?.classList.remove(CSSClasses.HIDING);
+      this.elements.intervalBtn?.classList.remove(CSSClasses.HIDING);
       this.elements.shaderControls?.classList.remove(CSSClasses.HIDING);
 
       this.elements.streamOverlay?.classList.add(CSSClasses.HIDDEN);
       document.body.classList.add(CSSClasses.STREAMING_MODE);
       if (this.elements.screenshotBtn) this.elements.screenshotBtn.disabled = false;
       if (this.elements.recordBtn) this.elements.recordBtn.disabled = false;
+      if (this.elements.replayBtn) this.elements.replayBtn.disabled = false;
+      if (this.elements.clipBtn) this.elements.clipBtn.disabled = false;
+      if (this.elements.intervalBtn) this.elements.intervalBtn.disabled = false;
     } else {
       // Clear any pending animation timeout
       if (this._animationTimeoutId !== null) {
@@ -41,6 +47,9 @@ class StreamingControlsComponent {
       // Trigger pop-out animation before hiding
       this.elements.screenshotBtn?.classList.add(CSSClasses.HIDING);
       this.elements.recordBtn?.classList.add(CSSClasses.HIDING);
+      this.elements.replayBtn?.classList.add(CSSClasses.HIDING);
+      this.elements.clipBtn?.classList.add(CSSClasses.HIDING);
+      this.elements.intervalBtn?.classList.add(CSSClasses.HIDING);
       this.elements.shaderControls?.classList.add(CSSClasses.HIDING);
 
       // Wait for animation to complete before removing streaming-mode
@@ -50,6 +59,9 @@ class StreamingControlsComponent {
         document.body.classList.remove(CSSClasses.STREAMING_MODE);
         if (this.elements.screenshotBtn) this.elements.screenshotBtn.disabled = true;
         if (this.elements.recordBtn) this.elements.recordBtn.disabled = true;
+        if (this.elements.replayBtn) this.elements.replayBtn.disabled = true;
+        if (this.elements.clipBtn) this.elements.clipBtn.disabled = true;
+        if (this.elements.intervalBtn) this.elements.intervalBtn.disabled = true;
         if (this.elements.currentResolution) this.elements.currentResolution.textContent = '—';
         if (this.elements.currentFPS) this.elements.currentFPS.textContent = '—';
       }, 150);
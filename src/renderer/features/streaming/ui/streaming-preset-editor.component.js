@@ -0,0 +1,444 @@
+/**
+ * Preset Editor Component
+ *
+ * Floating panel with a slider for every render preset parameter. Opened from
+ * the shader panel's Customize button ('ui:preset-editor-requested'). Editing
+ * a custom preset changes it in place; editing a built-in preset starts a new
+ * custom preset from its values. Slider changes preview live through
+ * 'settings:render-preset-preview' and are only kept when saved.
+ *
+ * The LUT picker chooses a LUT from the LUT library for the LUT pass, whose
+ * mix is the 'LUT mix' slider; .cube files can be imported from here.
+ */
+
+import { createDomListenerManager } from '@shared/base/dom-listener.utils.js';
+import { CSSClasses } from '@shared/config/css-classes.config.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import {
+  CUSTOM_PRESET_NAME_MAX_LENGTH,
+  DEFAULT_PRESET_ID,
+  PRESET_PARAMETERS,
+  createCustomPreset,
+  getPresetValues
+} from '../rendering/presets/streaming-render-presets.config.js';
+
+/**
+ * Format a parameter value for its label, with as many decimals as its step
+ * @param {number} value
+ * @param {number} step
+ * @returns {string}
+ */
+function formatValue(value, step) {
+  const decimals = (String(step).split('.')[1] || '').length;
+  return value.toFixed(decimals);
+}
+
+const NO_LUT_LABEL = 'None';
+
+class StreamingPresetEditorComponent {
+  constructor({ renderPresetService, settingsService, lutService, eventBus, logger }) {
+    this.renderPresetService = renderPresetService;
+    this.settingsService = settingsService;
+    this.lutService = lutService;
+    this.eventBus = eventBus;
+    this.logger = logger;
+
+    this.isOpen = false;
+    // Custom preset being changed, or null when creating one
+    this.editingId = null;
+    // Preset the editor was opened on; previews run under its ID
+    this._basePresetId = null;
+    /** @type {PresetValues|null} */
+    this.values = null;
+    this._previewing = false;
+
+    this._domListeners = createDomListenerManager({ logger });
+    this._eventSubscriptions = [];
+  }
+
+  /**
+   * Initialize component with DOM elements
+   * @param {Object} elements - DOM element references
+   */
+  initialize(elements) {
+    this.elements = {
+      presetEditor: elements.presetEditor,
+      presetEditorNameInput: elements.presetEditorNameInput,
+      presetEditorSliders: elements.presetEditorSliders,
+      presetEditorLutSelect: elements.presetEditorLutSelect,
+      presetEditorLutImportBtn: elements.presetEditorLutImportBtn,
+      presetEditorError: elements.presetEditorError,
+      presetEditorDeleteBtn: elements.presetEditorDeleteBtn,
+      presetEditorCancelBtn: elements.presetEditorCancelBtn,
+      presetEditorSaveBtn: elements.presetEditorSaveBtn
+    };
+
+    if (!this.elements.presetEditor || !this.elements.presetEditorSliders) {
+      this.logger?.warn('Preset editor elements not found');
+      return;
+    }
+
+    if (this.elements.presetEditorNameInput) {
+      this.elements.presetEditorNameInput.maxLength = CUSTOM_PRESET_NAME_MAX_LENGTH;
+    }
+
+    this._renderSliders();
+    this._setupListeners();
+
+    const unsubscribe = this.eventBus.subscribe(
+      EventChannels.UI.PRESET_EDITOR_REQUESTED,
+      ({ presetId }) => this.open(presetId)
+    );
+    this._eventSubscriptions.push(unsubscribe);
+
+    this.logger?.debug('StreamingPresetEditorComponent initialized');
+  }
+
+  /**
+   * Open the editor on a preset
+   * @param {string} presetId - Custom preset to edit, or built-in preset to start from
+   */
+  open(presetId) {
+    if (!this.elements?.presetEditor) return;
+
+    if (this.isOpen) {
+      this._endPreview();
+    }
+
+    const preset = this.renderPresetService.getPresetById(presetId) ||
+      this.renderPresetService.getPresetById(DEFAULT_PRESET_ID);
+
+    this.editingId = preset.custom ? preset.id : null;
+    this._basePresetId = preset.id;
+    this.values = getPresetValues(preset);
+
+    const { presetEditor, presetEditorNameInput, presetEditorDeleteBtn } = this.elements;
+    if (presetEditorNameInput) {
+      presetEditorNameInput.value = preset.custom ? preset.name : `${preset.name} Custom`;
+    }
+    presetEditorDeleteBtn?.classList.toggle(CSSClasses.HIDDEN, !preset.custom);
+    this._showError('');
+    this._syncSliders();
+    this._renderLutOptions();
+
+    this.isOpen = true;
+    presetEditor.classList.add(CSSClasses.VISIBLE);
+    presetEditor.setAttribute('aria-hidden', 'false');
+    presetEditorNameInput?.focus();
+
+    this.logger?.debug(`Editing render preset: ${preset.id}`);
+  }
+
+  /**
+   * Close without saving and go back to the selected preset
+   */
+  cancel() {
+    if (!this.isOpen) return;
+
+    this._endPreview();
+    this._close();
+  }
+
+  /**
+   * Save the edited values as a custom preset and select it
+   * @returns {RenderPreset|null} Saved preset, or null if the name was rejected
+   */
+  save() {
+    if (!this.isOpen) return null;
+
+    let preset;
+    try {
+      preset = this.renderPresetService.saveCustomPreset({
+        id: this.editingId,
+        name: this.elements.presetEditorNameInput?.value,
+        values: this.values
+      });
+    } catch (error) {
+      this._showError(error.message);
+      return null;
+    }
+
+    // Selecting the saved preset replaces the preview, even when it keeps its ID
+    this._previewing = false;
+    this.settingsService.setRenderPreset(preset.id);
+    this._close();
+    return preset;
+  }
+
+  /**
+   * Delete the custom preset being edited
+   * Falls back to the default preset if it was selected.
+   */
+  delete() {
+    if (!this.isOpen || !this.editingId) return;
+
+    this.renderPresetService.deleteCustomPreset(this.editingId);
+
+    if (this.settingsService.getRenderPreset() === this.editingId) {
+      this._previewing = false;
+      this.settingsService.setRenderPreset(DEFAULT_PRESET_ID);
+    } else {
+      this._endPreview();
+    }
+    this._close();
+  }
+
+  /**
+   * Render one slider per preset parameter
+   * @private
+   */
+  _renderSliders() {
+    const container = this.elements.presetEditorSliders;
+    container.innerHTML = '';
+
+    PRESET_PARAMETERS.forEach(({ pass, key, label, min, max, step }) => {
+      const row = document.createElement('label');
+      row.className = 'preset-editor-slider';
+      row.innerHTML = `
+        <span class="preset-editor-slider-label">${label}</span>
+        <span class="preset-editor-slider-value"></span>
+        <input type="range" min="${min}" max="${max}" step="${step}" data-pass="${pass}" data-key="${key}">
+      `;
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Move sliders and value labels to the edited values
+   * @private
+   */
+  _syncSliders() {
+    this.elements.presetEditorSliders.querySelectorAll('input[type="range"]').forEach(slider => {
+      const value = this.values[slider.dataset.pass][slider.dataset.key];
+      slider.value = String(value);
+      this._renderValue(slider, value);
+    });
+  }
+
+  /**
+   * Fill the LUT picker from the LUT library and select the edited LUT
+   * A LUT missing from the library stays listed so the preset keeps it.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _renderLutOptions() {
+    const select = this.elements?.presetEditorLutSelect;
+    if (!select || !this.lutService) return;
+
+    const files = await this.lutService.listLuts();
+    // The editor may have been closed or disposed while listing
+    if (!this.elements || !this.values) return;
+
+    const current = this.values.lut.file;
+    const createOption = (label, value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    };
+
+    const options = [createOption(NO_LUT_LABEL, ''), ...files.map(file => createOption(file, file))];
+    if (current && !files.includes(current)) {
+      options.push(createOption(`${current} (missing)`, current));
+    }
+
+    select.replaceChildren(...options);
+    select.value = current || '';
+  }
+
+  /**
+   * Use a LUT for the edited preset and preview it
+   * Picking a LUT while its mix is at zero turns the mix up so it shows.
+   * @param {string|null} file - Library file name, or null for none
+   * @private
+   */
+  _selectLut(file) {
+    this.values.lut.file = file;
+    if (file && this.values.lut.intensity === 0) {
+      this.values.lut.intensity = 1;
+      this._syncSliders();
+    }
+    this._preview();
+  }
+
+  /**
+   * Import a .cube file into the LUT library and use it
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _importLut() {
+    this._showError('');
+
+    let result;
+    try {
+      result = await this.lutService.importLut();
+    } catch (error) {
+      if (this.isOpen) {
+        this._showError(error.message);
+      }
+      return;
+    }
+
+    if (result.canceled || !this.isOpen) return;
+
+    this.values.lut.file = result.file;
+    await this._renderLutOptions();
+    if (this.isOpen) {
+      this._selectLut(result.file);
+    }
+  }
+
+  /**
+   * @param {HTMLInputElement} slider
+   * @param {number} value
+   * @private
+   */
+  _renderValue(slider, value) {
+    const label = slider.closest('.preset-editor-slider')?.querySelector('.preset-editor-slider-value');
+    if (label) {
+      label.textContent = formatValue(value, Number(slider.step));
+    }
+  }
+
+  /**
+   * Setup slider, button and keyboard listeners
+   * @private
+   */
+  _setupListeners() {
+    const {
+      presetEditor,
+      presetEditorSliders,
+      presetEditorNameInput,
+      presetEditorLutSelect,
+      presetEditorLutImportBtn,
+      presetEditorDeleteBtn,
+      presetEditorCancelBtn,
+      presetEditorSaveBtn
+    } = this.elements;
+
+    // Sliders are delegated so they can be re-rendered freely
+    this._domListeners.add(presetEditorSliders, 'input', (e) => {
+      const slider = e.target.closest('input[type="range"]');
+      if (slider && this.isOpen) {
+        this._handleSliderInput(slider);
+      }
+    });
+
+    if (presetEditorLutSelect) {
+      this._domListeners.add(presetEditorLutSelect, 'change', () => {
+        if (this.isOpen) {
+          this._selectLut(presetEditorLutSelect.value || null);
+        }
+      });
+    }
+
+    if (presetEditorLutImportBtn && this.lutService) {
+      this._domListeners.add(presetEditorLutImportBtn, 'click', () => this._importLut());
+    }
+
+    if (presetEditorNameInput) {
+      this._domListeners.add(presetEditorNameInput, 'input', () => this._showError(''));
+      this._domListeners.add(presetEditorNameInput, 'keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.save();
+        }
+      });
+    }
+
+    if (presetEditorDeleteBtn) {
+      this._domListeners.add(presetEditorDeleteBtn, 'click', () => this.delete());
+    }
+
+    if (presetEditorCancelBtn) {
+      this._domListeners.add(presetEditorCancelBtn, 'click', () => this.cancel());
+    }
+
+    if (presetEditorSaveBtn) {
+      this._domListeners.add(presetEditorSaveBtn, 'click', () => this.save());
+    }
+
+    this._domListeners.add(presetEditor, 'keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.cancel();
+      }
+    });
+  }
+
+  /**
+   * Apply a slider change and preview it
+   * @param {HTMLInputElement} slider
+   * @private
+   */
+  _handleSliderInput(slider) {
+    const value = Number(slider.value);
+    this.values[slider.dataset.pass][slider.dataset.key] = value;
+    this._renderValue(slider, value);
+    this._preview();
+  }
+
+  /**
+   * Show the edited values on the stream
+   * @private
+   */
+  _preview() {
+    this._previewing = true;
+    this.eventBus.publish(EventChannels.SETTINGS.RENDER_PRESET_PREVIEW, {
+      presetId: this._basePresetId,
+      preset: createCustomPreset({ id: this._basePresetId, name: 'Preview', values: this.values })
+    });
+  }
+
+  /**
+   * Put the selected preset back on screen after a preview
+   * @private
+   */
+  _endPreview() {
+    if (!this._previewing) return;
+
+    this._previewing = false;
+    this.eventBus.publish(EventChannels.SETTINGS.RENDER_PRESET_PREVIEW, {
+      presetId: this.settingsService.getRenderPreset(),
+      preset: null
+    });
+  }
+
+  /**
+   * @param {string} message - Error to show, or '' to clear it
+   * @private
+   */
+  _showError(message) {
+    if (this.elements.presetEditorError) {
+      this.elements.presetEditorError.textContent = message;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _close() {
+    this.isOpen = false;
+    this.editingId = null;
+    this._basePresetId = null;
+    this.values = null;
+
+    this.elements.presetEditor.classList.remove(CSSClasses.VISIBLE);
+    this.elements.presetEditor.setAttribute('aria-hidden', 'true');
+  }
+
+  /**
+   * Cleanup resources
+   */
+  dispose() {
+    if (this.isOpen) {
+      this.cancel();
+    }
+    this._domListeners.removeAll();
+    this._eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    this._eventSubscriptions = [];
+    this.elements = null;
+  }
+}
+
+export { StreamingPresetEditorComponent };
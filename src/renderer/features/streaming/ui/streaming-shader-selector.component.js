@@ -2,17 +2,24 @@
  * Shader Selector Component
  *
  * Panel component for selecting shader presets and toggling cinematic mode.
+ * Custom presets are listed after the built-in ones, and the Customize button
+ * opens the preset editor on the selected preset. Export saves the selected
+ * preset to a file; Import adds a preset file as a custom preset and selects it.
+ * The color correction picker sets the LCD color correction mode of the
+ * selected preset.
  */
 
 import { createDomListenerManager } from '@shared/base/dom-listener.utils.js';
 import { CSSClasses } from '@shared/config/css-classes.config.js';
-import { getPresetsForUI } from '@renderer/features/streaming/rendering/presets/streaming-render-presets.config.js';
 import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
 import { sliderToBrightness, brightnessToSlider } from '@shared/utils/brightness.utils.js';
+import { escapeHtml } from '@shared/utils/string.utils.js';
+import { COLOR_CORRECTION_OFF, getColorCorrectionModesForUI } from '../rendering/presets/streaming-color-correction.config.js';
 
 class StreamingShaderSelectorComponent {
-  constructor({ settingsService, appState, eventBus, logger }) {
+  constructor({ settingsService, renderPresetService, appState, eventBus, logger }) {
     this.settingsService = settingsService;
+    this.renderPresetService = renderPresetService;
     this.appState = appState;
     this.eventBus = eventBus;
     this.logger = logger;
@@ -20,12 +27,20 @@ class StreamingShaderSelectorComponent {
     this.currentPresetId = null;
     this.currentBrightness = 1.0;
     this.currentVolume = 70;
+    // Preset file dialog open; further Export/Import clicks are ignored
+    this._fileBusy = false;
 
     // Performance mode state
     this._performanceModeEnabled = false;
 
     // Toolbar elements
     this.cinematicToggle = null;
+    this.customizeButton = null;
+    this.exportButton = null;
+    this.importButton = null;
+    this.fileActions = null;
+    this.colorCorrectionSelect = null;
+    this.colorCorrectionControl = null;
     this.brightnessSlider = null;
     this.brightnessPercentage = null;
     this.brightnessControl = null;
@@ -46,6 +61,12 @@ class StreamingShaderSelectorComponent {
     this.button = elements.shaderBtn;
     this.dropdown = elements.shaderDropdown;
     this.cinematicToggle = elements.cinematicToggle;
+    this.customizeButton = elements.presetCustomizeBtn;
+    this.exportButton = elements.presetExportBtn;
+    this.importButton = elements.presetImportBtn;
+    this.fileActions = (this.exportButton || this.importButton)?.closest('.preset-file-actions') ?? null;
+    this.colorCorrectionSelect = elements.colorCorrectionSelect;
+    this.colorCorrectionControl = this.colorCorrectionSelect?.closest('.color-correction-control') ?? null;
     this.brightnessSlider = elements.brightnessSlider;
     this.brightnessPercentage = elements.brightnessPercentage;
     this.brightnessControl = this.brightnessSlider?.closest('.brightness-control');
@@ -66,6 +87,9 @@ class StreamingShaderSelectorComponent {
     this._setupClickOutside();
     this._setupEscapeKey();
     this._setupCinematicToggle();
+    this._setupCustomizeButton();
+    this._setupFileButtons();
+    this._setupColorCorrectionSelect();
     this._setupBrightnessSlider();
     this._setupVolumeSlider();
     this._subscribeToEvents();
@@ -83,17 +107,14 @@ class StreamingShaderSelectorComponent {
   }
 
   /**
-   * Update brightness control visibility based on performance mode
+   * Update brightness control and preset button visibility based on performance mode
+   * Performance mode renders without shaders, so none of them has any effect there.
    * @private
    */
   _updateBrightnessControlVisibility() {
-    if (!this.brightnessControl) return;
-
-    if (this._performanceModeEnabled) {
-      this.brightnessControl.classList.add(CSSClasses.HIDDEN);
-    } else {
-      this.brightnessControl.classList.remove(CSSClasses.HIDDEN);
-    }
+    [this.brightnessControl, this.customizeButton, this.fileActions, this.colorCorrectionControl].forEach(element => {
+      element?.classList.toggle(CSSClasses.HIDDEN, this._performanceModeEnabled);
+    });
   }
 
   /**
@@ -139,13 +160,13 @@ class StreamingShaderSelectorComponent {
     const optionsContainer = this.dropdown.querySelector('.shader-options');
     if (!optionsContainer) return;
 
-    const presets = getPresetsForUI();
+    const presets = this.renderPresetService.getPresetsForUI();
     optionsContainer.innerHTML = '';
 
     presets.forEach((preset) => {
       const option = document.createElement('button');
       option.type = 'button';
-      option.className = 'shader-option';
+      option.className = preset.custom ? 'shader-option shader-option-custom' : 'shader-option';
       option.dataset.presetId = preset.id;
 
       // When performance mode is enabled, only Performance preset is visible
@@ -167,7 +188,7 @@ class StreamingShaderSelectorComponent {
         }
       }
 
-      option.innerHTML = `<span class="shader-option-name">${preset.name}</span>`;
+      option.innerHTML = `<span class="shader-option-name">${escapeHtml(preset.name)}</span>`;
 
       this._domListeners.add(option, 'click', () => {
         if (!this._performanceModeEnabled) {
@@ -192,6 +213,7 @@ class StreamingShaderSelectorComponent {
     this.currentPresetId = presetId;
     this.settingsService.setRenderPreset(presetId);
     this._updateActiveState(true);
+    this._updateColorCorrection();
 
     this.logger?.debug(`Shader preset selected: ${presetId}`);
   }
@@ -231,11 +253,22 @@ class StreamingShaderSelectorComponent {
         if (presetId !== this.currentPresetId) {
           this.currentPresetId = presetId;
           this._updateActiveState();
+          this._updateColorCorrection();
         }
       }
     );
     this._eventSubscriptions.push(unsubscribePreset);
 
+    // Custom preset saved, renamed or deleted
+    const unsubscribeCustom = this.eventBus.subscribe(
+      EventChannels.SETTINGS.CUSTOM_PRESETS_CHANGED,
+      () => {
+        this._renderPresetList();
+        this._updateColorCorrection();
+      }
+    );
+    this._eventSubscriptions.push(unsubscribeCustom);
+
     // Listen for performance mode changes
     const unsubscribePerf = this.eventBus.subscribe(
       EventChannels.PERFORMANCE.RENDER_MODE_CHANGED,
@@ -348,6 +381,168 @@ class StreamingShaderSelectorComponent {
     this.logger?.debug('Cinematic toggle initialized');
   }
 
+  /**
+   * Setup Customize button - opens the preset editor on the selected preset
+   * @private
+   */
+  _setupCustomizeButton() {
+    if (!this.customizeButton) return;
+
+    this._domListeners.add(this.customizeButton, 'click', () => {
+      this.hide();
+      this.eventBus.publish(EventChannels.UI.PRESET_EDITOR_REQUESTED, { presetId: this.currentPresetId });
+    });
+  }
+
+  /**
+   * Setup Export and Import buttons - share presets as files
+   * @private
+   */
+  _setupFileButtons() {
+    if (this.exportButton) {
+      this._domListeners.add(this.exportButton, 'click', () => {
+        this.hide();
+        this.exportPreset();
+      });
+    }
+
+    if (this.importButton) {
+      this._domListeners.add(this.importButton, 'click', () => {
+        this.hide();
+        this.importPreset();
+      });
+    }
+  }
+
+  /**
+   * Setup the color correction picker
+   * @private
+   */
+  _setupColorCorrectionSelect() {
+    if (!this.colorCorrectionSelect) return;
+
+    const options = getColorCorrectionModesForUI().map(({ id, name, description }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      option.title = description;
+      return option;
+    });
+    this.colorCorrectionSelect.replaceChildren(...options);
+    this._updateColorCorrection();
+
+    this._domListeners.add(this.colorCorrectionSelect, 'change', () => {
+      this._selectColorCorrection(this.colorCorrectionSelect.value);
+    });
+  }
+
+  /**
+   * Show the color correction mode of the selected preset
+   * @private
+   */
+  _updateColorCorrection() {
+    if (!this.colorCorrectionSelect) return;
+
+    const preset = this.renderPresetService.getPresetById(this.currentPresetId);
+    this.colorCorrectionSelect.value = preset?.color.correction ?? COLOR_CORRECTION_OFF;
+  }
+
+  /**
+   * Set the color correction mode of the selected preset and apply it
+   * @param {string} correction - Color correction mode ID
+   * @private
+   */
+  _selectColorCorrection(correction) {
+    try {
+      this.renderPresetService.setColorCorrection(this.currentPresetId, correction);
+    } catch (error) {
+      this.logger?.warn('Failed to set color correction:', error.message);
+      this._showStatus(`Color correction not changed: ${error.message}`, 'error');
+      this._updateColorCorrection();
+      return;
+    }
+
+    // Re-select the preset so the renderer picks up the new mode
+    this.settingsService.setRenderPreset(this.currentPresetId);
+    this.logger?.debug(`Color correction of ${this.currentPresetId} set to ${correction}`);
+  }
+
+  /**
+   * Save the selected preset to a preset file
+   * @returns {Promise<void>}
+   */
+  async exportPreset() {
+    await this._runFileAction(async () => {
+      const preset = this.renderPresetService.getPresetById(this.currentPresetId);
+      const { canceled } = await this.renderPresetService.exportPreset(this.currentPresetId);
+      if (!canceled) {
+        this._showStatus(`Exported preset ${preset.name}`);
+      }
+    }, 'Preset export failed');
+  }
+
+  /**
+   * Add a preset file as a custom preset and select it
+   * @returns {Promise<void>}
+   */
+  async importPreset() {
+    await this._runFileAction(async () => {
+      const { canceled, preset, adjusted } = await this.renderPresetService.importPreset();
+      if (canceled) return;
+
+      this.currentPresetId = preset.id;
+      this.settingsService.setRenderPreset(preset.id);
+      this._updateActiveState(true);
+
+      const note = adjusted.length > 0
+        ? ` (${adjusted.length} ${adjusted.length === 1 ? 'value' : 'values'} adjusted to fit the supported range)`
+        : '';
+      this._showStatus(`Imported preset ${preset.name}${note}`);
+    }, 'Preset import failed');
+  }
+
+  /**
+   * Run one Export or Import at a time, reporting failures in the status bar
+   * @param {Function} action - Async file action
+   * @param {string} failureMessage - Prefix for the error shown on failure
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runFileAction(action, failureMessage) {
+    if (this._fileBusy) return;
+
+    this._fileBusy = true;
+    this._setFileButtonsDisabled(true);
+    try {
+      await action();
+    } catch (error) {
+      this.logger?.warn(`${failureMessage}:`, error.message);
+      this._showStatus(`${failureMessage}: ${error.message}`, 'error');
+    } finally {
+      this._fileBusy = false;
+      this._setFileButtonsDisabled(false);
+    }
+  }
+
+  /**
+   * @param {boolean} disabled
+   * @private
+   */
+  _setFileButtonsDisabled(disabled) {
+    [this.exportButton, this.importButton].forEach(button => {
+      if (button) button.disabled = disabled;
+    });
+  }
+
+  /**
+   * @param {string} message
+   * @param {'info'|'error'} [type='info']
+   * @private
+   */
+  _showStatus(message, type = 'info') {
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message, type });
+  }
+
   /**
    * Update cinematic pill button state
    * @param {boolean} enabled - Whether cinematic mode is enabled
@@ -31,21 +31,58 @@ export const EventChannels = {
   CAPTURE: {
     SCREENSHOT_TRIGGERED: 'capture:screenshot-triggered',
     SCREENSHOT_READY: 'capture:screenshot-ready',
+    SCREENSHOT_COPIED: 'capture:screenshot-copied',
+    COPY_FAILED: 'capture:copy-failed',
     RECORDING_STARTED: 'capture:recording-started',
+    RECORDING_PAUSED: 'capture:recording-paused',
+    RECORDING_RESUMED: 'capture:recording-resumed',
     RECORDING_STOPPED: 'capture:recording-stopped',
     RECORDING_READY: 'capture:recording-ready',
     RECORDING_ERROR: 'capture:recording-error',
-    RECORDING_DEGRADED: 'capture:recording-degraded'
+    RECORDING_DEGRADED: 'capture:recording-degraded',
+    MARKER_ADDED: 'capture:marker-added',
+    REVIEW_READY: 'capture:review-ready',
+    REVIEW_DISCARDED: 'capture:review-discarded',
+    TRIM_STARTED: 'capture:trim-started',
+    TRIM_FAILED: 'capture:trim-failed',
+    REPLAY_TRIGGERED: 'capture:replay-triggered',
+    REPLAY_READY: 'capture:replay-ready',
+    REPLAY_ERROR: 'capture:replay-error',
+    CLIP_STARTED: 'capture:clip-started',
+    CLIP_ENCODING: 'capture:clip-encoding',
+    CLIP_READY: 'capture:clip-ready',
+    CLIP_ERROR: 'capture:clip-error',
+    INTERVAL_STARTED: 'capture:interval-started',
+    INTERVAL_SUSPENDED: 'capture:interval-suspended',
+    INTERVAL_RESUMED: 'capture:interval-resumed',
+    INTERVAL_STOPPED: 'capture:interval-stopped',
+    INTERVAL_ERROR: 'capture:interval-error',
+    TIMELAPSE_READY: 'capture:timelapse-ready',
+    FRAME_SEQUENCE_SAVED: 'capture:frame-sequence-saved',
+    COMMENTARY_READY: 'capture:commentary-ready',
+    RAW_TRACK_READY: 'capture:raw-track-ready',
+    FACECAM_CHANGED: 'capture:facecam-changed',
+    FACECAM_ERROR: 'capture:facecam-error',
+    SAVED: 'capture:saved',
+    SAVE_CANCELED: 'capture:save-canceled',
+    SAVE_FAILED: 'capture:save-failed',
+    RECORDINGS_RECOVERED: 'capture:recordings-recovered'
   },
 
   // Settings events
   SETTINGS: {
     VOLUME_CHANGED: 'settings:volume-changed',
     RENDER_PRESET_CHANGED: 'settings:render-preset-changed',
+    RENDER_PRESET_PREVIEW: 'settings:render-preset-preview',
+    CUSTOM_PRESETS_CHANGED: 'settings:custom-presets-changed',
+    GAME_PROFILES_CHANGED: 'settings:game-profiles-changed',
     BRIGHTNESS_CHANGED: 'settings:brightness-changed',
     PERFORMANCE_MODE_CHANGED: 'settings:performance-mode-changed',
     CINEMATIC_MODE_CHANGED: 'settings:cinematic-mode-changed',
     MINIMALIST_FULLSCREEN_CHANGED: 'settings:minimalist-fullscreen-changed',
+    REPLAY_BUFFER_CHANGED: 'settings:replay-buffer-changed',
+    AUDIO_MIX_CHANGED: 'settings:audio-mix-changed',
+    FACECAM_CHANGED: 'settings:facecam-changed',
     PREFERENCES_LOADED: 'settings:preferences-loaded'
   },
 
@@ -80,13 +117,27 @@ export const EventChannels = {
     RECORD_BUTTON_PRESS: 'ui:record-button-press',
     BUTTON_FEEDBACK: 'ui:button-feedback',
     RECORDING_STATE: 'ui:recording-state',
+    INTERVAL_CAPTURE_STATE: 'ui:interval-capture-state',
+    FACECAM_PREVIEW: 'ui:facecam-preview',
+    RECORDING_REVIEW: 'ui:recording-review',
     FULLSCREEN_STATE: 'ui:fullscreen-state',
     WINDOW_RESIZED: 'ui:window-resized',
+    LATEST_CAPTURE: 'ui:latest-capture',
+    SIDE_PANEL_OPENED: 'ui:side-panel-opened',
     // UI command events (decoupled from orchestrators)
     SCREENSHOT_REQUESTED: 'ui:screenshot-requested',
+    SCREENSHOT_COPY_REQUESTED: 'ui:screenshot-copy-requested',
+    CAPTURE_DRAG_REQUESTED: 'ui:capture-drag-requested',
     RECORDING_TOGGLE_REQUESTED: 'ui:recording-toggle-requested',
+    RECORDING_PAUSE_TOGGLE_REQUESTED: 'ui:recording-pause-toggle-requested',
+    RECORDING_REVIEW_FINISHED: 'ui:recording-review-finished',
+    RECORDING_MARKER_REQUESTED: 'ui:recording-marker-requested',
+    REPLAY_SAVE_REQUESTED: 'ui:replay-save-requested',
+    CLIP_CAPTURE_REQUESTED: 'ui:clip-capture-requested',
+    INTERVAL_CAPTURE_TOGGLE_REQUESTED: 'ui:interval-capture-toggle-requested',
     FULLSCREEN_TOGGLE_REQUESTED: 'ui:fullscreen-toggle-requested',
     CINEMATIC_TOGGLE_REQUESTED: 'ui:cinematic-toggle-requested',
+    PRESET_EDITOR_REQUESTED: 'ui:preset-editor-requested',
     STREAM_START_REQUESTED: 'ui:stream-start-requested',
     STREAM_STOP_REQUESTED: 'ui:stream-stop-requested'
   },
@@ -106,6 +157,7 @@ export const EventChannels = {
   // Notes events
   NOTES: {
     NOTE_CREATED: 'notes:note-created',
-    NOTE_DELETED: 'notes:note-deleted'
+    NOTE_DELETED: 'notes:note-deleted',
+    ACTIVE_GAME_CHANGED: 'notes:active-game-changed'
   }
 };
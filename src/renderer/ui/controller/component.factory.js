@@ -19,10 +19,16 @@ export class UIComponentFactory {
     // This avoids direct imports from features layer, maintaining proper layering
     this._componentClasses = {
       SettingsMenuComponent: dependencies.settingsMenuComponent,
+      GamePickerComponent: dependencies.gamePickerComponent,
       StreamControlsComponent: dependencies.streamControlsComponent,
       ShaderSelectorComponent: dependencies.shaderSelectorComponent,
+      PresetEditorComponent: dependencies.presetEditorComponent,
       UpdateSectionComponent: dependencies.updateSectionComponent,
-      NotesPanelComponent: dependencies.notesPanelComponent
+      NotesPanelComponent: dependencies.notesPanelComponent,
+      CaptureThumbnailComponent: dependencies.captureThumbnailComponent,
+      CaptureFacecamPreviewComponent: dependencies.captureFacecamPreviewComponent,
+      CaptureTrimEditorComponent: dependencies.captureTrimEditorComponent,
+      CaptureGalleryPanelComponent: dependencies.captureGalleryPanelComponent
     };
   }
 
@@ -56,7 +62,7 @@ export class UIComponentFactory {
 
   /**
    * Create SettingsMenuComponent
-   * @param {Object} config - { settingsService, updateOrchestrator, loggerFactory, logger }
+   * @param {Object} config - { settingsService, updateOrchestrator, captureStorageAdapter, captureAudioMixService, captureFacecamService, loggerFactory, logger }
    * @returns {SettingsMenuComponent}
    */
   createSettingsMenuComponent(config) {
@@ -75,6 +81,9 @@ export class UIComponentFactory {
 
     return new SettingsMenuClass({
       settingsService: config.settingsService,
+      captureStorageAdapter: config.captureStorageAdapter,
+      captureAudioMixService: config.captureAudioMixService,
+      captureFacecamService: config.captureFacecamService,
       updateSectionComponent,
       eventBus: this.eventBus,
       loggerFactory: config.loggerFactory,
@@ -82,9 +91,22 @@ export class UIComponentFactory {
     });
   }
 
+  /**
+   * Create SettingsGamePickerComponent
+   * @param {Object} config - { notesService, gameProfileService, logger }
+   * @returns {SettingsGamePickerComponent}
+   */
+  createSettingsGamePickerComponent(config) {
+    const ComponentClass = this._componentClasses.GamePickerComponent;
+    return new ComponentClass({
+      ...config,
+      eventBus: this.eventBus
+    });
+  }
+
   /**
    * Create StreamingShaderSelectorComponent
-   * @param {Object} config - { settingsService, appState, logger }
+   * @param {Object} config - { settingsService, renderPresetService, appState, logger }
    * @returns {StreamingShaderSelectorComponent}
    */
   createStreamingShaderSelectorComponent(config) {
@@ -95,6 +117,19 @@ export class UIComponentFactory {
     });
   }
 
+  /**
+   * Create StreamingPresetEditorComponent
+   * @param {Object} config - { renderPresetService, settingsService, logger }
+   * @returns {StreamingPresetEditorComponent}
+   */
+  createStreamingPresetEditorComponent(config) {
+    const ComponentClass = this._componentClasses.PresetEditorComponent;
+    return new ComponentClass({
+      ...config,
+      eventBus: this.eventBus
+    });
+  }
+
   /**
    * Create NotesPanelComponent
    * @param {Object} config - { notesService, logger }
@@ -107,4 +142,53 @@ export class UIComponentFactory {
       eventBus: this.eventBus
     });
   }
+
+  /**
+   * Create CaptureThumbnailComponent
+   * @param {Object} config - { logger }
+   * @returns {CaptureThumbnailComponent}
+   */
+  createCaptureThumbnailComponent(config) {
+    const ComponentClass = this._componentClasses.CaptureThumbnailComponent;
+    return new ComponentClass({
+      ...config,
+      eventBus: this.eventBus
+    });
+  }
+
+  /**
+   * Create CaptureFacecamPreviewComponent
+   * @param {Object} config - { logger }
+   * @returns {CaptureFacecamPreviewComponent}
+   */
+  createCaptureFacecamPreviewComponent(config) {
+    const ComponentClass = this._componentClasses.CaptureFacecamPreviewComponent;
+    return new ComponentClass(config);
+  }
+
+  /**
+   * Create CaptureTrimEditorComponent
+   * @param {Object} config - { logger }
+   * @returns {CaptureTrimEditorComponent}
+   */
+  createCaptureTrimEditorComponent(config) {
+    const ComponentClass = this._componentClasses.CaptureTrimEditorComponent;
+    return new ComponentClass({
+      ...config,
+      eventBus: this.eventBus
+    });
+  }
+
+  /**
+   * Create CaptureGalleryPanelComponent
+   * @param {Object} config - { captureStorageAdapter, logger }
+   * @returns {CaptureGalleryPanelComponent}
+   */
+  createCaptureGalleryPanelComponent(config) {
+    const ComponentClass = this._componentClasses.CaptureGalleryPanelComponent;
+    return new ComponentClass({
+      ...config,
+      eventBus: this.eventBus
+    });
+  }
 }
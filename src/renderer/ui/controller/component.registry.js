@@ -53,6 +53,9 @@ export class UIComponentRegistry {
       currentFPS: elements.currentFPS,
       screenshotBtn: elements.screenshotBtn,
       recordBtn: elements.recordBtn,
+      replayBtn: elements.replayBtn,
+      clipBtn: elements.clipBtn,
+      intervalBtn: elements.intervalBtn,
       shaderControls: elements.shaderControls,
       streamOverlay: elements.streamOverlay
     });
@@ -104,6 +107,99 @@ export class UIComponentRegistry {
     this.logger?.info('Notes panel component initialized');
   }
 
+  /**
+   * Initialize header game picker component
+   * @param {Object} dependencies - Game picker dependencies
+   * @param {Object} elements - DOM element references for the game picker
+   */
+  initGamePicker(dependencies, elements) {
+    this.logger?.debug('Initializing game picker component');
+
+    const gamePickerComponent = this.factory.createSettingsGamePickerComponent(dependencies);
+    gamePickerComponent.initialize(elements);
+    this.components.set('gamePickerComponent', gamePickerComponent);
+
+    this.logger?.info('Game picker component initialized');
+  }
+
+  /**
+   * Initialize render preset editor component
+   * @param {Object} dependencies - Preset editor dependencies
+   * @param {Object} elements - DOM element references for the editor
+   */
+  initPresetEditor(dependencies, elements) {
+    this.logger?.debug('Initializing preset editor component');
+
+    const presetEditorComponent = this.factory.createStreamingPresetEditorComponent(dependencies);
+    presetEditorComponent.initialize(elements);
+    this.components.set('presetEditorComponent', presetEditorComponent);
+
+    this.logger?.info('Preset editor component initialized');
+  }
+
+  /**
+   * Initialize capture gallery panel component
+   * @param {Object} dependencies - Gallery panel dependencies
+   * @param {Object} elements - DOM element references for the gallery panel
+   */
+  initCaptureGallery(dependencies, elements) {
+    this.logger?.debug('Initializing capture gallery component');
+
+    const captureGalleryComponent = this.factory.createCaptureGalleryPanelComponent(dependencies);
+    captureGalleryComponent.initialize(elements);
+    this.components.set('captureGalleryComponent', captureGalleryComponent);
+
+    this.logger?.info('Capture gallery component initialized');
+  }
+
+  /**
+   * Initialize latest capture thumbnail component
+   * @param {Object} elements - DOM element references for the thumbnail
+   */
+  initCaptureThumbnail(elements) {
+    this.logger?.debug('Initializing capture thumbnail component');
+
+    const captureThumbnailComponent = this.factory.createCaptureThumbnailComponent({
+      logger: this.loggerFactory?.create('CaptureThumbnailComponent')
+    });
+    captureThumbnailComponent.initialize(elements);
+    this.components.set('captureThumbnailComponent', captureThumbnailComponent);
+
+    this.logger?.info('Capture thumbnail component initialized');
+  }
+
+  /**
+   * Initialize webcam overlay preview component
+   * @param {Object} elements - DOM element references for the preview
+   */
+  initCaptureFacecamPreview(elements) {
+    this.logger?.debug('Initializing facecam preview component');
+
+    const captureFacecamPreviewComponent = this.factory.createCaptureFacecamPreviewComponent({
+      logger: this.loggerFactory?.create('CaptureFacecamPreviewComponent')
+    });
+    captureFacecamPreviewComponent.initialize(elements);
+    this.components.set('captureFacecamPreviewComponent', captureFacecamPreviewComponent);
+
+    this.logger?.info('Facecam preview component initialized');
+  }
+
+  /**
+   * Initialize recording trim editor component
+   * @param {Object} elements - DOM element references for the editor
+   */
+  initCaptureTrimEditor(elements) {
+    this.logger?.debug('Initializing trim editor component');
+
+    const captureTrimEditorComponent = this.factory.createCaptureTrimEditorComponent({
+      logger: this.loggerFactory?.create('CaptureTrimEditorComponent')
+    });
+    captureTrimEditorComponent.initialize(elements);
+    this.components.set('captureTrimEditorComponent', captureTrimEditorComponent);
+
+    this.logger?.info('Trim editor component initialized');
+  }
+
   /**
    * Get a component by name
    * @param {string} name - Component name
@@ -5,7 +5,6 @@
 
 import { createDomListenerManager } from '@shared/base/dom-listener.utils.js';
 import { DOMSelectors } from '@shared/config/dom-selectors.config.js';
-import { downloadFile } from '@renderer/lib/file-download.utils.js';
 
 class UIController {
   /**
@@ -49,10 +48,19 @@ class UIController {
       // Control buttons
       settingsBtn: document.getElementById(DOMSelectors.SETTINGS_BTN),
       screenshotBtn: document.getElementById(DOMSelectors.SCREENSHOT_BTN),
+      replayBtn: document.getElementById(DOMSelectors.REPLAY_BTN),
+      clipBtn: document.getElementById(DOMSelectors.CLIP_BTN),
+      intervalBtn: document.getElementById(DOMSelectors.INTERVAL_BTN),
       recordBtn: document.getElementById(DOMSelectors.RECORD_BTN),
       fullscreenBtn: document.getElementById(DOMSelectors.FULLSCREEN_BTN),
+      gamePicker: document.getElementById(DOMSelectors.GAME_PICKER),
       shaderBtn: document.getElementById(DOMSelectors.SHADER_BTN),
 
+      // Latest capture thumbnail
+      captureThumbnail: document.getElementById(DOMSelectors.CAPTURE_THUMBNAIL),
+      captureThumbnailImage: document.getElementById(DOMSelectors.CAPTURE_THUMBNAIL_IMAGE),
+      facecamPreview: document.getElementById(DOMSelectors.FACECAM_PREVIEW),
+
       // Shader selector and toolbar
       shaderControls: document.getElementById(DOMSelectors.SHADER_CONTROLS),
       shaderDropdown: document.getElementById(DOMSelectors.SHADER_DROPDOWN),
@@ -62,6 +70,10 @@ class UIController {
       brightnessPercentage: document.getElementById(DOMSelectors.BRIGHTNESS_PERCENTAGE),
       volumeSliderVertical: document.getElementById(DOMSelectors.VOLUME_SLIDER_VERTICAL),
       volumePercentageVertical: document.getElementById(DOMSelectors.VOLUME_PERCENTAGE_VERTICAL),
+      presetCustomizeBtn: document.getElementById(DOMSelectors.PRESET_CUSTOMIZE_BTN),
+      presetExportBtn: document.getElementById(DOMSelectors.PRESET_EXPORT_BTN),
+      presetImportBtn: document.getElementById(DOMSelectors.PRESET_IMPORT_BTN),
+      colorCorrectionSelect: document.getElementById(DOMSelectors.COLOR_CORRECTION_SELECT),
 
       // Device info
       deviceName: document.getElementById(DOMSelectors.DEVICE_NAME),
@@ -76,6 +88,44 @@ class UIController {
       settingMinimalistFullscreen: document.getElementById(DOMSelectors.SETTING_MINIMALIST_FULLSCREEN),
       settingAnimationSaver: document.getElementById(DOMSelectors.SETTING_ANIMATION_SAVER),
       settingRenderPreset: document.getElementById(DOMSelectors.SETTING_RENDER_PRESET),
+      settingCaptureFolder: document.getElementById(DOMSelectors.SETTING_CAPTURE_FOLDER),
+      settingCaptureFolderBtn: document.getElementById(DOMSelectors.SETTING_CAPTURE_FOLDER_BTN),
+      settingCaptureAskEveryTime: document.getElementById(DOMSelectors.SETTING_CAPTURE_ASK_EVERY_TIME),
+      settingCaptureGameFolders: document.getElementById(DOMSelectors.SETTING_CAPTURE_GAME_FOLDERS),
+      settingCaptureFilenameTemplate: document.getElementById(DOMSelectors.SETTING_CAPTURE_FILENAME_TEMPLATE),
+      settingCaptureFilenameHint: document.getElementById(DOMSelectors.SETTING_CAPTURE_FILENAME_HINT),
+      settingReplayBuffer: document.getElementById(DOMSelectors.SETTING_REPLAY_BUFFER),
+      settingReplayBufferSeconds: document.getElementById(DOMSelectors.SETTING_REPLAY_BUFFER_SECONDS),
+      settingScreenshotMode: document.getElementById(DOMSelectors.SETTING_SCREENSHOT_MODE),
+      settingScreenshotScale: document.getElementById(DOMSelectors.SETTING_SCREENSHOT_SCALE),
+      settingRecordingFormat: document.getElementById(DOMSelectors.SETTING_RECORDING_FORMAT),
+      settingRecordingQuality: document.getElementById(DOMSelectors.SETTING_RECORDING_QUALITY),
+      settingRecordingEstimate: document.getElementById(DOMSelectors.SETTING_RECORDING_ESTIMATE),
+      settingRecordingCodec: document.getElementById(DOMSelectors.SETTING_RECORDING_CODEC),
+      settingRecordingBitrate: document.getElementById(DOMSelectors.SETTING_RECORDING_BITRATE),
+      settingRecordingFrameRate: document.getElementById(DOMSelectors.SETTING_RECORDING_FRAME_RATE),
+      settingRecordingScale: document.getElementById(DOMSelectors.SETTING_RECORDING_SCALE),
+      settingRecordingSegmentMinutes: document.getElementById(DOMSelectors.SETTING_RECORDING_SEGMENT_MINUTES),
+      settingRecordingSegmentSize: document.getElementById(DOMSelectors.SETTING_RECORDING_SEGMENT_SIZE),
+      settingRecordingReview: document.getElementById(DOMSelectors.SETTING_RECORDING_REVIEW),
+      settingRecordingDualTrack: document.getElementById(DOMSelectors.SETTING_RECORDING_DUAL_TRACK),
+      settingClipFormat: document.getElementById(DOMSelectors.SETTING_CLIP_FORMAT),
+      settingClipScale: document.getElementById(DOMSelectors.SETTING_CLIP_SCALE),
+      settingClipDuration: document.getElementById(DOMSelectors.SETTING_CLIP_DURATION),
+      settingIntervalMode: document.getElementById(DOMSelectors.SETTING_INTERVAL_MODE),
+      settingIntervalSeconds: document.getElementById(DOMSelectors.SETTING_INTERVAL_SECONDS),
+      settingIntervalFrameStep: document.getElementById(DOMSelectors.SETTING_INTERVAL_FRAME_STEP),
+      settingFrameSequenceSeconds: document.getElementById(DOMSelectors.SETTING_FRAME_SEQUENCE_SECONDS),
+      settingMicEnabled: document.getElementById(DOMSelectors.SETTING_MIC_ENABLED),
+      settingMicDevice: document.getElementById(DOMSelectors.SETTING_MIC_DEVICE),
+      settingMicGain: document.getElementById(DOMSelectors.SETTING_MIC_GAIN),
+      settingGameAudioGain: document.getElementById(DOMSelectors.SETTING_GAME_AUDIO_GAIN),
+      settingMicSeparateTrack: document.getElementById(DOMSelectors.SETTING_MIC_SEPARATE_TRACK),
+      settingFacecamEnabled: document.getElementById(DOMSelectors.SETTING_FACECAM_ENABLED),
+      settingFacecamDevice: document.getElementById(DOMSelectors.SETTING_FACECAM_DEVICE),
+      settingFacecamPosition: document.getElementById(DOMSelectors.SETTING_FACECAM_POSITION),
+      settingFacecamSize: document.getElementById(DOMSelectors.SETTING_FACECAM_SIZE),
+      settingFacecamBorder: document.getElementById(DOMSelectors.SETTING_FACECAM_BORDER),
       disclaimerBtn: document.getElementById(DOMSelectors.DISCLAIMER_BTN),
       disclaimerContent: document.getElementById(DOMSelectors.DISCLAIMER_CONTENT),
       footer: document.querySelector('.footer'),
@@ -104,7 +154,54 @@ class UIController {
       notesTitleInput: document.getElementById(DOMSelectors.NOTES_TITLE_INPUT),
       notesContentArea: document.getElementById(DOMSelectors.NOTES_CONTENT_AREA),
       notesNewBtn: document.getElementById(DOMSelectors.NOTES_NEW_BTN),
-      notesDeleteBtn: document.getElementById(DOMSelectors.NOTES_DELETE_BTN)
+      notesMarkerBtn: document.getElementById(DOMSelectors.NOTES_MARKER_BTN),
+      notesDeleteBtn: document.getElementById(DOMSelectors.NOTES_DELETE_BTN),
+
+      // Capture gallery
+      galleryBtn: document.getElementById(DOMSelectors.GALLERY_BTN),
+      galleryPanel: document.getElementById(DOMSelectors.GALLERY_PANEL),
+      galleryDateFilter: document.getElementById(DOMSelectors.GALLERY_DATE_FILTER),
+      galleryGameFilter: document.getElementById(DOMSelectors.GALLERY_GAME_FILTER),
+      galleryViewer: document.getElementById(DOMSelectors.GALLERY_VIEWER),
+      galleryViewerImage: document.getElementById(DOMSelectors.GALLERY_VIEWER_IMAGE),
+      galleryViewerVideo: document.getElementById(DOMSelectors.GALLERY_VIEWER_VIDEO),
+      galleryViewerMarkers: document.getElementById(DOMSelectors.GALLERY_VIEWER_MARKERS),
+      galleryNameInput: document.getElementById(DOMSelectors.GALLERY_NAME_INPUT),
+      galleryRevealBtn: document.getElementById(DOMSelectors.GALLERY_REVEAL_BTN),
+      galleryDeleteBtn: document.getElementById(DOMSelectors.GALLERY_DELETE_BTN),
+      galleryGrid: document.getElementById(DOMSelectors.GALLERY_GRID),
+      galleryEmptyState: document.getElementById(DOMSelectors.GALLERY_EMPTY_STATE),
+
+      // Recording trim editor
+      trimEditor: document.getElementById(DOMSelectors.TRIM_EDITOR),
+      trimEditorFilename: document.getElementById(DOMSelectors.TRIM_EDITOR_FILENAME),
+      trimEditorVideo: document.getElementById(DOMSelectors.TRIM_EDITOR_VIDEO),
+      trimEditorTimeline: document.getElementById(DOMSelectors.TRIM_EDITOR_TIMELINE),
+      trimEditorThumbnails: document.getElementById(DOMSelectors.TRIM_EDITOR_THUMBNAILS),
+      trimEditorMarkers: document.getElementById(DOMSelectors.TRIM_EDITOR_MARKERS),
+      trimEditorSelection: document.getElementById(DOMSelectors.TRIM_EDITOR_SELECTION),
+      trimEditorPlayhead: document.getElementById(DOMSelectors.TRIM_EDITOR_PLAYHEAD),
+      trimEditorIn: document.getElementById(DOMSelectors.TRIM_EDITOR_IN),
+      trimEditorOut: document.getElementById(DOMSelectors.TRIM_EDITOR_OUT),
+      trimEditorInTime: document.getElementById(DOMSelectors.TRIM_EDITOR_IN_TIME),
+      trimEditorOutTime: document.getElementById(DOMSelectors.TRIM_EDITOR_OUT_TIME),
+      trimEditorLength: document.getElementById(DOMSelectors.TRIM_EDITOR_LENGTH),
+      trimEditorSetInBtn: document.getElementById(DOMSelectors.TRIM_EDITOR_SET_IN_BTN),
+      trimEditorSetOutBtn: document.getElementById(DOMSelectors.TRIM_EDITOR_SET_OUT_BTN),
+      trimEditorPlayBtn: document.getElementById(DOMSelectors.TRIM_EDITOR_PLAY_BTN),
+      trimEditorDiscardBtn: document.getElementById(DOMSelectors.TRIM_EDITOR_DISCARD_BTN),
+      trimEditorSaveBtn: document.getElementById(DOMSelectors.TRIM_EDITOR_SAVE_BTN),
+
+      // Render preset editor
+      presetEditor: document.getElementById(DOMSelectors.PRESET_EDITOR),
+      presetEditorNameInput: document.getElementById(DOMSelectors.PRESET_EDITOR_NAME_INPUT),
+      presetEditorSliders: document.getElementById(DOMSelectors.PRESET_EDITOR_SLIDERS),
+      presetEditorLutSelect: document.getElementById(DOMSelectors.PRESET_EDITOR_LUT_SELECT),
+      presetEditorLutImportBtn: document.getElementById(DOMSelectors.PRESET_EDITOR_LUT_IMPORT_BTN),
+      presetEditorError: document.getElementById(DOMSelectors.PRESET_EDITOR_ERROR),
+      presetEditorDeleteBtn: document.getElementById(DOMSelectors.PRESET_EDITOR_DELETE_BTN),
+      presetEditorCancelBtn: document.getElementById(DOMSelectors.PRESET_EDITOR_CANCEL_BTN),
+      presetEditorSaveBtn: document.getElementById(DOMSelectors.PRESET_EDITOR_SAVE_BTN)
     };
   }
 
@@ -176,6 +273,28 @@ class UIController {
     }
   }
 
+  /**
+   * Initialize render preset editor component
+   * @param {Object} dependencies - Preset editor dependencies
+   * @param {Object} elements - DOM element references for the editor
+   */
+  initPresetEditor(dependencies, elements) {
+    if (this.registry) {
+      this.registry.initPresetEditor(dependencies, elements);
+    }
+  }
+
+  /**
+   * Initialize header game picker component
+   * @param {Object} dependencies - Game picker dependencies
+   * @param {Object} elements - DOM element references for the game picker
+   */
+  initGamePicker(dependencies, elements) {
+    if (this.registry) {
+      this.registry.initGamePicker(dependencies, elements);
+    }
+  }
+
   /**
    * Toggle notes panel visibility
    */
@@ -184,6 +303,71 @@ class UIController {
     notesPanel?.toggle();
   }
 
+  /**
+   * Initialize capture gallery panel component
+   * @param {Object} dependencies - Gallery panel dependencies
+   * @param {Object} elements - DOM element references for the gallery panel
+   */
+  initCaptureGallery(dependencies, elements) {
+    if (this.registry) {
+      this.registry.initCaptureGallery(dependencies, elements);
+    }
+  }
+
+  /**
+   * Initialize latest capture thumbnail component
+   * @param {Object} elements - DOM element references for the thumbnail
+   */
+  initCaptureThumbnail(elements) {
+    if (this.registry) {
+      this.registry.initCaptureThumbnail(elements);
+    }
+  }
+
+  /**
+   * Show the latest saved capture in the toolbar thumbnail
+   * @param {Object} capture - { kind, filePath, blob }
+   */
+  showLatestCapture(capture) {
+    this.registry?.get('captureThumbnailComponent')?.show(capture);
+  }
+
+  /**
+   * Initialize webcam overlay preview component
+   * @param {Object} elements - DOM element references for the preview
+   */
+  initCaptureFacecamPreview(elements) {
+    if (this.registry) {
+      this.registry.initCaptureFacecamPreview(elements);
+    }
+  }
+
+  /**
+   * Show or hide the webcam overlay preview on the live view
+   * @param {Object} facecam - { stream, layout }
+   */
+  updateFacecamPreview(facecam) {
+    this.registry?.get('captureFacecamPreviewComponent')?.update(facecam);
+  }
+
+  /**
+   * Initialize recording trim editor component
+   * @param {Object} elements - DOM element references for the editor
+   */
+  initCaptureTrimEditor(elements) {
+    if (this.registry) {
+      this.registry.initCaptureTrimEditor(elements);
+    }
+  }
+
+  /**
+   * Open a finished recording in the trim editor
+   * @param {Object} review - { id, blob, filename }
+   */
+  showRecordingReview(review) {
+    this.registry?.get('captureTrimEditorComponent')?.open(review);
+  }
+
   /**
    * Update status bar message
    * @param {string} message - Message to display
@@ -301,11 +485,24 @@ class UIController {
   /**
    * Update recording button state
    * @param {boolean} isActive - Whether recording is active
+   * @param {boolean} [isPaused=false] - Whether the active recording is paused
    */
-  updateRecordingButtonState(isActive) {
+  updateRecordingButtonState(isActive, isPaused = false) {
     const recordBtn = this.elements.recordBtn;
     if (recordBtn) {
-      this.effects?.setRecordingButtonState(recordBtn, isActive);
+      this.effects?.setRecordingButtonState(recordBtn, isActive, isPaused);
+    }
+  }
+
+  /**
+   * Update interval capture button state
+   * @param {boolean} isActive - Whether an interval session is running
+   * @param {boolean} [isSuspended=false] - Whether the session is waiting for the stream
+   */
+  updateIntervalButtonState(isActive, isSuspended = false) {
+    const intervalBtn = this.elements.intervalBtn;
+    if (intervalBtn) {
+      this.effects?.setIntervalButtonState(intervalBtn, isActive, isSuspended);
     }
   }
 
@@ -371,15 +568,6 @@ class UIController {
     return this.elements.streamVideo;
   }
 
-  /**
-   * Trigger a file download
-   * @param {Blob} blob - File data to download
-   * @param {string} filename - Name for the downloaded file
-   */
-  triggerDownload(blob, filename) {
-    downloadFile(blob, filename);
-  }
-
   /**
    * Add event listener helper
    * @param {string} elementKey - Element key from elements map
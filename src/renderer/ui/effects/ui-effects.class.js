@@ -511,8 +511,9 @@ export class UIEffects {
    * Set recording button state
    * @param {HTMLElement} element - The record button element
    * @param {boolean} isActive - Whether recording is active
+   * @param {boolean} [isPaused=false] - Whether the active recording is paused
    */
-  setRecordingButtonState(element, isActive) {
+  setRecordingButtonState(element, isActive, isPaused = false) {
     if (!element) return;
 
     if (isActive) {
@@ -520,6 +521,36 @@ export class UIEffects {
     } else {
       element.classList.remove(CSSClasses.RECORDING);
     }
+
+    if (isActive && isPaused) {
+      element.classList.add(CSSClasses.RECORDING_PAUSED);
+    } else {
+      element.classList.remove(CSSClasses.RECORDING_PAUSED);
+    }
+  }
+
+  /**
+   * Set interval capture button state
+   * @param {HTMLElement} element - The interval button element
+   * @param {boolean} isActive - Whether an interval session is running
+   * @param {boolean} [isSuspended=false] - Whether the session is waiting for the stream
+   */
+  setIntervalButtonState(element, isActive, isSuspended = false) {
+    if (!element) return;
+
+    if (isActive) {
+      element.classList.add(CSSClasses.ACTIVE);
+    } else {
+      element.classList.remove(CSSClasses.ACTIVE);
+    }
+
+    if (isActive && isSuspended) {
+      element.classList.add(CSSClasses.RECORDING_PAUSED);
+    } else {
+      element.classList.remove(CSSClasses.RECORDING_PAUSED);
+    }
+
+    element.setAttribute('aria-pressed', String(isActive));
   }
 
   /**
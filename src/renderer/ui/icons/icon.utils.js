@@ -13,7 +13,11 @@ import headerSettings from '@renderer/assets/icons/header-settings.svg?raw';
 import toolbarScreenshot from '@renderer/assets/icons/toolbar-screenshot.svg?raw';
 import toolbarRecord from '@renderer/assets/icons/toolbar-record.svg?raw';
 import toolbarRecordActive from '@renderer/assets/icons/toolbar-record-active.svg?raw';
+import toolbarReplay from '@renderer/assets/icons/toolbar-replay.svg?raw';
+import toolbarClip from '@renderer/assets/icons/toolbar-clip.svg?raw';
+import toolbarInterval from '@renderer/assets/icons/toolbar-interval.svg?raw';
 import toolbarNotes from '@renderer/assets/icons/toolbar-notes.svg?raw';
+import toolbarGallery from '@renderer/assets/icons/toolbar-gallery.svg?raw';
 import toolbarShader from '@renderer/assets/icons/toolbar-shader.svg?raw';
 
 // Shader panel icons
@@ -30,11 +34,15 @@ import settingsDisclaimer from '@renderer/assets/icons/settings-disclaimer.svg?r
 // Notes panel icons
 import notesNew from '@renderer/assets/icons/notes-new.svg?raw';
 import notesDelete from '@renderer/assets/icons/notes-delete.svg?raw';
+import notesMarker from '@renderer/assets/icons/notes-marker.svg?raw';
 import notesEmpty from '@renderer/assets/icons/notes-empty.svg?raw';
 import search from '@renderer/assets/icons/search.svg?raw';
 import filter from '@renderer/assets/icons/filter.svg?raw';
 import tagAdd from '@renderer/assets/icons/tag-add.svg?raw';
 
+// Capture gallery icons
+import galleryReveal from '@renderer/assets/icons/gallery-reveal.svg?raw';
+
 // Overlay icons
 import overlayFullscreenExit from '@renderer/assets/icons/overlay-fullscreen-exit.svg?raw';
 
@@ -50,7 +58,11 @@ const icons = {
   'toolbar-screenshot': toolbarScreenshot,
   'toolbar-record': toolbarRecord,
   'toolbar-record-active': toolbarRecordActive,
+  'toolbar-replay': toolbarReplay,
+  'toolbar-clip': toolbarClip,
+  'toolbar-interval': toolbarInterval,
   'toolbar-notes': toolbarNotes,
+  'toolbar-gallery': toolbarGallery,
   'toolbar-shader': toolbarShader,
 
   // Shader panel
@@ -67,11 +79,15 @@ const icons = {
   // Notes panel
   'notes-new': notesNew,
   'notes-delete': notesDelete,
+  'notes-marker': notesMarker,
   'notes-empty': notesEmpty,
   'search': search,
   'filter': filter,
   'tag-add': tagAdd,
 
+  // Capture gallery
+  'gallery-reveal': galleryReveal,
+
   // Overlay
   'overlay-fullscreen-exit': overlayFullscreenExit
 };
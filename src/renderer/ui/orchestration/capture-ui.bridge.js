@@ -7,6 +7,7 @@
 import { BaseService } from '@shared/base/service.base.js';
 import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
 import { TIMING } from '@shared/config/constants.config.js';
+import { formatDuration } from '@shared/utils/formatters.utils.js';
 
 class CaptureUIBridge extends BaseService {
   constructor(dependencies) {
@@ -17,12 +18,36 @@ class CaptureUIBridge extends BaseService {
   initialize() {
     this._subscriptions.push(
       this.eventBus.subscribe(EventChannels.CAPTURE.SCREENSHOT_TRIGGERED, () => this._handleScreenshotTriggered()),
-      this.eventBus.subscribe(EventChannels.CAPTURE.SCREENSHOT_READY, (data) => this._handleScreenshotReady(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.SCREENSHOT_COPIED, () => this._handleScreenshotCopied()),
+      this.eventBus.subscribe(EventChannels.CAPTURE.COPY_FAILED, (data) => this._handleCopyFailed(data)),
       this.eventBus.subscribe(EventChannels.CAPTURE.RECORDING_STARTED, () => this._handleRecordingStarted()),
+      this.eventBus.subscribe(EventChannels.CAPTURE.RECORDING_PAUSED, (data) => this._handleRecordingPaused(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.RECORDING_RESUMED, () => this._handleRecordingResumed()),
       this.eventBus.subscribe(EventChannels.CAPTURE.RECORDING_STOPPED, () => this._handleRecordingStopped()),
-      this.eventBus.subscribe(EventChannels.CAPTURE.RECORDING_READY, (data) => this._handleRecordingReady(data)),
       this.eventBus.subscribe(EventChannels.CAPTURE.RECORDING_ERROR, (data) => this._handleRecordingError(data)),
-      this.eventBus.subscribe(EventChannels.CAPTURE.RECORDING_DEGRADED, (data) => this._handleRecordingDegraded(data))
+      this.eventBus.subscribe(EventChannels.CAPTURE.RECORDING_DEGRADED, (data) => this._handleRecordingDegraded(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.MARKER_ADDED, (data) => this._handleMarkerAdded(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.REVIEW_READY, (data) => this._handleReviewReady(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.REVIEW_DISCARDED, () => this._handleReviewDiscarded()),
+      this.eventBus.subscribe(EventChannels.CAPTURE.TRIM_STARTED, (data) => this._handleTrimStarted(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.TRIM_FAILED, (data) => this._handleTrimFailed(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.REPLAY_TRIGGERED, () => this._handleReplayTriggered()),
+      this.eventBus.subscribe(EventChannels.CAPTURE.REPLAY_ERROR, (data) => this._handleReplayError(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.CLIP_STARTED, (data) => this._handleClipStarted(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.CLIP_ENCODING, (data) => this._handleClipEncoding(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.CLIP_ERROR, (data) => this._handleClipError(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.INTERVAL_STARTED, (data) => this._handleIntervalStarted(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.INTERVAL_SUSPENDED, () => this._handleIntervalSuspended()),
+      this.eventBus.subscribe(EventChannels.CAPTURE.INTERVAL_RESUMED, () => this._handleIntervalResumed()),
+      this.eventBus.subscribe(EventChannels.CAPTURE.INTERVAL_STOPPED, (data) => this._handleIntervalStopped(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.INTERVAL_ERROR, (data) => this._handleIntervalError(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.FRAME_SEQUENCE_SAVED, (data) => this._handleFrameSequenceSaved(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.FACECAM_CHANGED, (data) => this._handleFacecamChanged(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.FACECAM_ERROR, (data) => this._handleFacecamError(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.SAVED, (data) => this._handleCaptureSaved(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.SAVE_CANCELED, (data) => this._handleCaptureSaveCanceled(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.SAVE_FAILED, (data) => this._handleCaptureSaveFailed(data)),
+      this.eventBus.subscribe(EventChannels.CAPTURE.RECORDINGS_RECOVERED, (data) => this._handleRecordingsRecovered(data))
     );
 
     this.logger.info('CaptureUIBridge initialized');
@@ -46,10 +71,16 @@ class CaptureUIBridge extends BaseService {
     });
   }
 
-  _handleScreenshotReady(data) {
-    const { blob, filename } = data;
-    this.uiController.triggerDownload(blob, filename);
-    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Screenshot saved!' });
+  _handleScreenshotCopied() {
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Screenshot copied to clipboard' });
+  }
+
+  _handleCopyFailed(data) {
+    const { error } = data;
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Copy failed: ${error}`,
+      type: 'error'
+    });
   }
 
   _handleRecordingStarted() {
@@ -58,17 +89,24 @@ class CaptureUIBridge extends BaseService {
     this.eventBus.publish(EventChannels.UI.RECORDING_STATE, { active: true });
   }
 
+  _handleRecordingPaused(data) {
+    const { elapsedMs = 0 } = data || {};
+    this.eventBus.publish(EventChannels.UI.RECORDING_STATE, { active: true, paused: true });
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Recording paused at ${formatDuration(elapsedMs)}`
+    });
+  }
+
+  _handleRecordingResumed() {
+    this.eventBus.publish(EventChannels.UI.RECORDING_STATE, { active: true, paused: false });
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Recording resumed' });
+  }
+
   _handleRecordingStopped() {
     this.eventBus.publish(EventChannels.UI.RECORD_BUTTON_PRESS);
     this.eventBus.publish(EventChannels.UI.RECORDING_STATE, { active: false });
   }
 
-  _handleRecordingReady(data) {
-    const { blob, filename } = data;
-    this.uiController.triggerDownload(blob, filename);
-    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Recording saved!' });
-  }
-
   _handleRecordingError(data) {
     const { error } = data;
     this.logger.error('Recording error:', error);
@@ -88,6 +126,190 @@ class CaptureUIBridge extends BaseService {
       type: 'warning'
     });
   }
+
+  _handleMarkerAdded(data) {
+    const { label, elapsedMs = 0 } = data || {};
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Marker "${label}" added at ${formatDuration(elapsedMs)}`
+    });
+  }
+
+  _handleReviewReady(data) {
+    const { id, blob, filename, markers = [] } = data;
+    this.eventBus.publish(EventChannels.UI.RECORDING_REVIEW, { id, blob, filename, markers });
+  }
+
+  _handleReviewDiscarded() {
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Recording discarded' });
+  }
+
+  _handleTrimStarted(data) {
+    const { reencode } = data;
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: reencode ? 'Trimming recording (re-encoding, this plays through once)...' : 'Trimming recording...'
+    });
+  }
+
+  _handleTrimFailed(data) {
+    const { error } = data;
+    this.logger.error('Trim failed:', error);
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Trim failed - saving the full recording: ${error}`,
+      type: 'warning'
+    });
+  }
+
+  _handleReplayTriggered() {
+    this.eventBus.publish(EventChannels.UI.BUTTON_FEEDBACK, {
+      elementKey: 'replayBtn',
+      className: 'capturing',
+      duration: TIMING.BUTTON_FEEDBACK_MS
+    });
+  }
+
+  _handleReplayError(data) {
+    const { error } = data;
+    this.logger.error('Replay buffer error:', error);
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Instant replay stopped: ${error}`,
+      type: 'error'
+    });
+  }
+
+  _handleClipStarted(data) {
+    const { format, durationSeconds } = data;
+    // Highlight the clip button for as long as frames are captured
+    this.eventBus.publish(EventChannels.UI.BUTTON_FEEDBACK, {
+      elementKey: 'clipBtn',
+      className: 'capturing',
+      duration: durationSeconds * 1000
+    });
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Capturing ${durationSeconds}s ${this._getClipFormatLabel(format)} clip...`
+    });
+  }
+
+  _handleClipEncoding(data) {
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Encoding ${this._getClipFormatLabel(data.format)} clip...`
+    });
+  }
+
+  _handleClipError(data) {
+    const { error } = data;
+    this.logger.error('Clip capture error:', error);
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Clip capture failed: ${error}`,
+      type: 'error'
+    });
+  }
+
+  _handleIntervalStarted(data) {
+    const { mode, intervalSeconds, frameStep, durationSeconds } = data;
+    const messages = {
+      timelapse: () => `Timelapse started (1 frame every ${frameStep} frames)`,
+      frames: () => `Frame sequence started (${durationSeconds > 0 ? `${durationSeconds}s` : 'until stopped'})`,
+      screenshots: () => `Interval screenshots started (every ${intervalSeconds}s)`
+    };
+    this.eventBus.publish(EventChannels.UI.INTERVAL_CAPTURE_STATE, { active: true });
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: (messages[mode] || messages.screenshots)() });
+  }
+
+  _handleIntervalSuspended() {
+    this.eventBus.publish(EventChannels.UI.INTERVAL_CAPTURE_STATE, { active: true, suspended: true });
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: 'Interval capture paused - waiting for the stream'
+    });
+  }
+
+  _handleIntervalResumed() {
+    this.eventBus.publish(EventChannels.UI.INTERVAL_CAPTURE_STATE, { active: true, suspended: false });
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: 'Interval capture resumed' });
+  }
+
+  _handleIntervalStopped(data) {
+    const { mode, count } = data;
+    const messages = {
+      timelapse: () => (count > 0 ? `Encoding timelapse (${count} frames)...` : 'Timelapse stopped - no frames captured'),
+      frames: () => (count > 0 ? `Saving frame sequence (${count} frames)...` : 'Frame sequence stopped - no frames captured'),
+      screenshots: () => `Interval screenshots stopped (${count} saved)`
+    };
+    this.eventBus.publish(EventChannels.UI.INTERVAL_CAPTURE_STATE, { active: false });
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message: (messages[mode] || messages.screenshots)() });
+  }
+
+  _handleFrameSequenceSaved(data) {
+    const { folder, frameCount, uniqueFrameCount } = data;
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Frame sequence saved to ${folder} (${uniqueFrameCount} unique of ${frameCount} frames)`
+    });
+  }
+
+  _handleIntervalError(data) {
+    const { error } = data;
+    this.logger.error('Interval capture error:', error);
+    this.eventBus.publish(EventChannels.UI.INTERVAL_CAPTURE_STATE, { active: false });
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Interval capture failed: ${error}`,
+      type: 'error'
+    });
+  }
+
+  _handleFacecamChanged(data) {
+    const { stream, layout } = data;
+    this.eventBus.publish(EventChannels.UI.FACECAM_PREVIEW, { stream, layout });
+  }
+
+  _handleFacecamError(data) {
+    const { error } = data;
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Webcam unavailable: ${error?.message || error}`,
+      type: 'warning'
+    });
+  }
+
+  _handleCaptureSaved(data) {
+    const { kind, filePath, blob = null } = data;
+    const label = this._getCaptureLabel(kind);
+    const message = filePath ? `${label} saved to ${filePath}` : `${label} saved!`;
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message });
+
+    if (filePath) {
+      this.eventBus.publish(EventChannels.UI.LATEST_CAPTURE, { kind, filePath, blob });
+    }
+  }
+
+  _handleCaptureSaveCanceled(data) {
+    const { kind } = data;
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `${this._getCaptureLabel(kind)} not saved`
+    });
+  }
+
+  _handleCaptureSaveFailed(data) {
+    const { kind, error } = data;
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, {
+      message: `Failed to save ${kind}: ${error}`,
+      type: 'error'
+    });
+  }
+
+  _handleRecordingsRecovered(data) {
+    const { filePaths = [] } = data || {};
+    const message = filePaths.length === 1
+      ? `Recovered recording saved to ${filePaths[0]}`
+      : `Recovered ${filePaths.length} recordings to your capture folder`;
+    this.eventBus.publish(EventChannels.UI.STATUS_MESSAGE, { message });
+  }
+
+  _getCaptureLabel(kind) {
+    const labels = { recording: 'Recording', replay: 'Replay', clip: 'Clip', timelapse: 'Timelapse', commentary: 'Commentary', 'raw-track': 'Raw recording' };
+    return labels[kind] || 'Screenshot';
+  }
+
+  _getClipFormatLabel(format) {
+    return format === 'apng' ? 'APNG' : 'GIF';
+  }
 }
 
 export { CaptureUIBridge };
@@ -60,6 +60,10 @@ export class UIEventBridge extends BaseService {
 
       // Recording state
       [EventChannels.UI.RECORDING_STATE]: (data) => this._handleRecordingState(data),
+      [EventChannels.UI.INTERVAL_CAPTURE_STATE]: (data) => this._handleIntervalCaptureState(data),
+      [EventChannels.UI.LATEST_CAPTURE]: (data) => this._handleLatestCapture(data),
+      [EventChannels.UI.FACECAM_PREVIEW]: (data) => this._handleFacecamPreview(data),
+      [EventChannels.UI.RECORDING_REVIEW]: (data) => this._handleRecordingReview(data),
 
       // Settings events (translated to UI updates)
       [EventChannels.SETTINGS.CINEMATIC_MODE_CHANGED]: (data) => this._handleCinematicMode(data),
@@ -132,8 +136,25 @@ export class UIEventBridge extends BaseService {
   }
 
   _handleRecordingState(data) {
-    const { active } = data;
-    this.uiController.updateRecordingButtonState(active);
+    const { active, paused = false } = data;
+    this.uiController.updateRecordingButtonState(active, paused);
+  }
+
+  _handleIntervalCaptureState(data) {
+    const { active, suspended = false } = data;
+    this.uiController.updateIntervalButtonState(active, suspended);
+  }
+
+  _handleLatestCapture(data) {
+    this.uiController.showLatestCapture(data);
+  }
+
+  _handleFacecamPreview(data) {
+    this.uiController.updateFacecamPreview(data);
+  }
+
+  _handleRecordingReview(data) {
+    this.uiController.showRecordingReview(data);
   }
 
   _handleCinematicMode(data) {
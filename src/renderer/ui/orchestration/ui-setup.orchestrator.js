@@ -7,19 +7,21 @@
  * - Initialize settings menu
  * - Set up UI event listeners
  * - Set up overlay click handlers
+ * - Set up capture hotkeys
  * - Toggle settings menu
  */
 
 import { BaseOrchestrator } from '@shared/base/orchestrator.base.js';
 import { createDomListenerManager } from '@shared/base/dom-listener.utils.js';
 import { CSSClasses } from '@shared/config/css-classes.config.js';
+import { HOTKEYS } from '@shared/config/constants.config.js';
 import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
 
 export class UISetupOrchestrator extends BaseOrchestrator {
   constructor(dependencies) {
     super(
       dependencies,
-      ['appState', 'updateOrchestrator', 'settingsService', 'notesService', 'uiController', 'eventBus', 'loggerFactory'],
+      ['appState', 'updateOrchestrator', 'settingsService', 'renderPresetService', 'lutService', 'notesService', 'gameProfileService', 'captureStorageAdapter', 'captureAudioMixService', 'captureFacecamService', 'uiController', 'eventBus', 'loggerFactory'],
       'UISetupOrchestrator'
     );
 
@@ -64,6 +66,9 @@ export class UISetupOrchestrator extends BaseOrchestrator {
     this.uiController.initSettingsMenu({
       settingsService: this.settingsService,
       updateOrchestrator: this.updateOrchestrator,
+      captureStorageAdapter: this.captureStorageAdapter,
+      captureAudioMixService: this.captureAudioMixService,
+      captureFacecamService: this.captureFacecamService,
       eventBus: this.eventBus,
       loggerFactory: this.loggerFactory,
       logger: this.logger
@@ -78,6 +83,7 @@ export class UISetupOrchestrator extends BaseOrchestrator {
     this.uiController.initShaderSelector(
       {
         settingsService: this.settingsService,
+        renderPresetService: this.renderPresetService,
         appState: this.appState,
         eventBus: this.eventBus,
         logger: this.logger
@@ -86,6 +92,10 @@ export class UISetupOrchestrator extends BaseOrchestrator {
         shaderBtn: elements.shaderBtn,
         shaderDropdown: elements.shaderDropdown,
         cinematicToggle: elements.cinematicToggle,
+        presetCustomizeBtn: elements.presetCustomizeBtn,
+        presetExportBtn: elements.presetExportBtn,
+        presetImportBtn: elements.presetImportBtn,
+        colorCorrectionSelect: elements.colorCorrectionSelect,
         streamToolbar: elements.streamToolbar,
         brightnessSlider: elements.brightnessSlider,
         brightnessPercentage: elements.brightnessPercentage,
@@ -96,6 +106,48 @@ export class UISetupOrchestrator extends BaseOrchestrator {
     );
   }
 
+  /**
+   * Initialize render preset editor component
+   */
+  initializePresetEditor() {
+    const elements = this.uiController.elements;
+    this.uiController.initPresetEditor(
+      {
+        renderPresetService: this.renderPresetService,
+        settingsService: this.settingsService,
+        lutService: this.lutService,
+        logger: this.loggerFactory.create('StreamingPresetEditorComponent')
+      },
+      {
+        presetEditor: elements.presetEditor,
+        presetEditorNameInput: elements.presetEditorNameInput,
+        presetEditorSliders: elements.presetEditorSliders,
+        presetEditorLutSelect: elements.presetEditorLutSelect,
+        presetEditorLutImportBtn: elements.presetEditorLutImportBtn,
+        presetEditorError: elements.presetEditorError,
+        presetEditorDeleteBtn: elements.presetEditorDeleteBtn,
+        presetEditorCancelBtn: elements.presetEditorCancelBtn,
+        presetEditorSaveBtn: elements.presetEditorSaveBtn
+      }
+    );
+  }
+
+  /**
+   * Initialize header game picker component
+   */
+  initializeGamePicker() {
+    this.uiController.initGamePicker(
+      {
+        notesService: this.notesService,
+        gameProfileService: this.gameProfileService,
+        logger: this.loggerFactory.create('SettingsGamePickerComponent')
+      },
+      {
+        gamePicker: this.uiController.elements.gamePicker
+      }
+    );
+  }
+
   /**
    * Initialize notes panel component
    */
@@ -124,11 +176,83 @@ export class UISetupOrchestrator extends BaseOrchestrator {
         notesTitleInput: elements.notesTitleInput,
         notesContentArea: elements.notesContentArea,
         notesNewBtn: elements.notesNewBtn,
+        notesMarkerBtn: elements.notesMarkerBtn,
         notesDeleteBtn: elements.notesDeleteBtn
       }
     );
   }
 
+  /**
+   * Initialize capture gallery panel component
+   */
+  initializeCaptureGallery() {
+    const elements = this.uiController.elements;
+    this.uiController.initCaptureGallery(
+      {
+        captureStorageAdapter: this.captureStorageAdapter,
+        logger: this.loggerFactory.create('CaptureGalleryPanelComponent')
+      },
+      {
+        galleryBtn: elements.galleryBtn,
+        galleryPanel: elements.galleryPanel,
+        galleryDateFilter: elements.galleryDateFilter,
+        galleryGameFilter: elements.galleryGameFilter,
+        galleryViewer: elements.galleryViewer,
+        galleryViewerImage: elements.galleryViewerImage,
+        galleryViewerVideo: elements.galleryViewerVideo,
+        galleryViewerMarkers: elements.galleryViewerMarkers,
+        galleryNameInput: elements.galleryNameInput,
+        galleryRevealBtn: elements.galleryRevealBtn,
+        galleryDeleteBtn: elements.galleryDeleteBtn,
+        galleryGrid: elements.galleryGrid,
+        galleryEmptyState: elements.galleryEmptyState
+      }
+    );
+  }
+
+  /**
+   * Initialize latest capture thumbnail component
+   */
+  initializeCaptureThumbnail() {
+    const { captureThumbnail, captureThumbnailImage } = this.uiController.elements;
+    this.uiController.initCaptureThumbnail({ captureThumbnail, captureThumbnailImage });
+  }
+
+  /**
+   * Initialize webcam overlay preview component
+   */
+  initializeCaptureFacecamPreview() {
+    const { facecamPreview } = this.uiController.elements;
+    this.uiController.initCaptureFacecamPreview({ facecamPreview });
+  }
+
+  /**
+   * Initialize recording trim editor component
+   */
+  initializeCaptureTrimEditor() {
+    const elements = this.uiController.elements;
+    this.uiController.initCaptureTrimEditor({
+      trimEditor: elements.trimEditor,
+      trimEditorFilename: elements.trimEditorFilename,
+      trimEditorVideo: elements.trimEditorVideo,
+      trimEditorTimeline: elements.trimEditorTimeline,
+      trimEditorThumbnails: elements.trimEditorThumbnails,
+      trimEditorMarkers: elements.trimEditorMarkers,
+      trimEditorSelection: elements.trimEditorSelection,
+      trimEditorPlayhead: elements.trimEditorPlayhead,
+      trimEditorIn: elements.trimEditorIn,
+      trimEditorOut: elements.trimEditorOut,
+      trimEditorInTime: elements.trimEditorInTime,
+      trimEditorOutTime: elements.trimEditorOutTime,
+      trimEditorLength: elements.trimEditorLength,
+      trimEditorSetInBtn: elements.trimEditorSetInBtn,
+      trimEditorSetOutBtn: elements.trimEditorSetOutBtn,
+      trimEditorPlayBtn: elements.trimEditorPlayBtn,
+      trimEditorDiscardBtn: elements.trimEditorDiscardBtn,
+      trimEditorSaveBtn: elements.trimEditorSaveBtn
+    });
+  }
+
   /**
    * Set up UI event listeners
    * Uses event-based communication instead of direct orchestrator calls
@@ -138,6 +262,9 @@ export class UISetupOrchestrator extends BaseOrchestrator {
     [
       ['screenshotBtn', 'click', () => this.eventBus.publish(EventChannels.UI.SCREENSHOT_REQUESTED)],
       ['recordBtn', 'click', () => this.eventBus.publish(EventChannels.UI.RECORDING_TOGGLE_REQUESTED)],
+      ['replayBtn', 'click', () => this.eventBus.publish(EventChannels.UI.REPLAY_SAVE_REQUESTED)],
+      ['clipBtn', 'click', () => this.eventBus.publish(EventChannels.UI.CLIP_CAPTURE_REQUESTED)],
+      ['intervalBtn', 'click', () => this.eventBus.publish(EventChannels.UI.INTERVAL_CAPTURE_TOGGLE_REQUESTED)],
       ['fullscreenBtn', 'click', () => this.eventBus.publish(EventChannels.UI.FULLSCREEN_TOGGLE_REQUESTED)],
       ['settingsBtn', 'click', (e) => this._toggleSettingsMenu(e)],
       ['shaderBtn', 'click', (e) => this._toggleShaderSelector(e)]
@@ -148,9 +275,44 @@ export class UISetupOrchestrator extends BaseOrchestrator {
       ['fsExitBtn', 'click', () => this.eventBus.publish(EventChannels.UI.FULLSCREEN_TOGGLE_REQUESTED)]
     ].forEach(([element, event, handler]) => this.uiController.on(element, event, handler));
 
+    // Capture hotkeys
+    this._domListeners.add(document, 'keydown', (e) => this._handleHotkey(e));
+
     this.logger.info('UI event listeners set up');
   }
 
+  /**
+   * Handle global capture hotkeys
+   * Ignored while typing so notes and settings inputs keep their keys.
+   * @param {KeyboardEvent} e - Keydown event
+   * @private
+   */
+  _handleHotkey(e) {
+    const channels = {
+      [HOTKEYS.SAVE_REPLAY]: EventChannels.UI.REPLAY_SAVE_REQUESTED,
+      [HOTKEYS.PAUSE_RECORDING]: EventChannels.UI.RECORDING_PAUSE_TOGGLE_REQUESTED,
+      [HOTKEYS.COPY_SCREENSHOT]: EventChannels.UI.SCREENSHOT_COPY_REQUESTED,
+      [HOTKEYS.ADD_MARKER]: EventChannels.UI.RECORDING_MARKER_REQUESTED
+    };
+    const channel = channels[e.key];
+
+    if (e.repeat || !channel) {
+      return;
+    }
+
+    const target = e.target;
+    if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) {
+      return;
+    }
+
+    if (!this.appState.isStreaming) {
+      return;
+    }
+
+    e.preventDefault();
+    this.eventBus.publish(channel);
+  }
+
   /**
    * Set up click handlers for overlay and video elements
    * Uses event-based communication instead of direct orchestrator calls
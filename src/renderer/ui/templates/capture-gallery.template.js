@@ -0,0 +1,58 @@
+/**
+ * Capture Gallery Template
+ *
+ * Sidebar panel for browsing, playing and managing saved captures.
+ */
+
+import { getIconSvg } from '@renderer/ui/icons/icon.utils.js';
+
+/**
+ * Create capture gallery panel HTML
+ * @returns {string} Capture gallery panel HTML string
+ */
+export default function createCaptureGalleryTemplate() {
+  return `
+    <div class="gallery-panel" id="galleryPanel">
+      <div class="gallery-panel-toolbar">
+        <div class="gallery-filter-wrapper">
+          <span class="gallery-filter-icon">${getIconSvg('filter')}</span>
+          <select class="gallery-filter" id="galleryDateFilter" aria-label="Filter by date">
+            <option value="">All Dates</option>
+          </select>
+        </div>
+        <div class="gallery-filter-wrapper">
+          <select class="gallery-filter" id="galleryGameFilter" aria-label="Filter by game">
+            <option value="">All Games</option>
+          </select>
+        </div>
+      </div>
+
+      <div class="gallery-viewer" id="galleryViewer">
+        <img class="gallery-viewer-image" id="galleryViewerImage" alt="" draggable="false">
+        <video class="gallery-viewer-video" id="galleryViewerVideo" controls playsinline></video>
+        <div class="gallery-viewer-markers" id="galleryViewerMarkers" aria-label="Recording markers" hidden>
+          <!-- Recording markers rendered dynamically -->
+        </div>
+        <div class="gallery-viewer-actions">
+          <input type="text" class="gallery-name-input" id="galleryNameInput" aria-label="Capture name" autocomplete="off" spellcheck="false">
+          <button class="gallery-action-btn" id="galleryRevealBtn" aria-label="Show in folder" title="Show in folder">
+            ${getIconSvg('gallery-reveal')}
+          </button>
+          <button class="gallery-action-btn gallery-delete-btn" id="galleryDeleteBtn" aria-label="Move to trash" title="Move to trash">
+            ${getIconSvg('notes-delete')}
+          </button>
+        </div>
+      </div>
+
+      <div class="gallery-grid-wrapper">
+        <div class="gallery-grid" id="galleryGrid">
+          <!-- Capture tiles rendered dynamically -->
+        </div>
+        <div class="gallery-empty-state" id="galleryEmptyState">
+          ${getIconSvg('toolbar-gallery')}
+          <span>No captures yet</span>
+        </div>
+      </div>
+    </div>
+  `;
+}
@@ -5,6 +5,145 @@
  */
 
 import { getIconSvg } from '@renderer/ui/icons/icon.utils.js';
+import { AUDIO_MIX, CAPTURE_NAMING, CLIP_CAPTURE, FACECAM, HOTKEYS, INTERVAL_CAPTURE, RECORDING_OUTPUT, RECORDING_QUALITY, RECORDING_SEGMENTS, REPLAY_BUFFER, SCREENSHOT_OUTPUT } from '@shared/config/constants.config.js';
+
+const replayBufferOptions = REPLAY_BUFFER.OPTIONS_SECONDS
+  .map(seconds => `<option value="${seconds}">${seconds}s</option>`)
+  .join('');
+
+const recordingFormatOptions = RECORDING_OUTPUT.FORMATS
+  .map(format => `<option value="${format}">${format.toUpperCase()}</option>`)
+  .join('');
+
+const RECORDING_QUALITY_LABELS = {
+  archive: 'Archive',
+  balanced: 'Balanced',
+  small: 'Small'
+};
+
+const recordingQualityOptions = RECORDING_QUALITY.PRESETS
+  .map(preset => `<option value="${preset}">${RECORDING_QUALITY_LABELS[preset]}</option>`)
+  .join('');
+
+const RECORDING_CODEC_LABELS = {
+  vp9: 'VP9',
+  vp8: 'VP8',
+  av1: 'AV1',
+  h264: 'H.264'
+};
+
+const recordingCodecOptions = RECORDING_QUALITY.CODECS
+  .map(codec => `<option value="${codec}">${RECORDING_CODEC_LABELS[codec]}</option>`)
+  .join('');
+
+const recordingBitrateOptions = RECORDING_QUALITY.VIDEO_BITRATES_KBPS
+  .map(kbps => `<option value="${kbps}">${kbps >= 1000 ? `${kbps / 1000} Mbps` : `${kbps} kbps`}</option>`)
+  .join('');
+
+const recordingFrameRateOptions = RECORDING_QUALITY.FRAME_RATES
+  .map(fps => `<option value="${fps}">${fps} fps</option>`)
+  .join('');
+
+const recordingScaleOptions = RECORDING_QUALITY.OUTPUT_SCALES
+  .map(scale => `<option value="${scale}">${scale ? `${scale}x (${160 * scale}x${144 * scale})` : 'As rendered'}</option>`)
+  .join('');
+
+const segmentMinutesOptions = RECORDING_SEGMENTS.DURATION_MINUTES
+  .map(minutes => `<option value="${minutes}">${minutes ? `${minutes} min` : 'Off'}</option>`)
+  .join('');
+
+const segmentSizeOptions = RECORDING_SEGMENTS.SIZE_MB
+  .map(megabytes => `<option value="${megabytes}">${megabytes ? formatSegmentSize(megabytes) : 'Off'}</option>`)
+  .join('');
+
+const filenameTokensHint = `Tokens: ${CAPTURE_NAMING.TOKENS.map(token => `{${token}}`).join(' ')}`;
+
+const SCREENSHOT_MODE_LABELS = {
+  native: 'Native 160x144',
+  scaled: 'Upscaled pixels',
+  rendered: 'As rendered'
+};
+
+const screenshotModeOptions = SCREENSHOT_OUTPUT.MODES
+  .map(mode => `<option value="${mode}">${SCREENSHOT_MODE_LABELS[mode]}</option>`)
+  .join('');
+
+const screenshotScaleOptions = SCREENSHOT_OUTPUT.SCALES
+  .map(scale => `<option value="${scale}">${scale}x (${160 * scale}x${144 * scale})</option>`)
+  .join('');
+
+const clipFormatOptions = CLIP_CAPTURE.FORMATS
+  .map(format => `<option value="${format}">${format.toUpperCase()}</option>`)
+  .join('');
+
+const clipScaleOptions = CLIP_CAPTURE.SCALES
+  .map(scale => `<option value="${scale}">${scale}x</option>`)
+  .join('');
+
+const clipDurationOptions = CLIP_CAPTURE.DURATIONS_SECONDS
+  .map(seconds => `<option value="${seconds}">${seconds}s</option>`)
+  .join('');
+
+const INTERVAL_MODE_LABELS = {
+  screenshots: 'Screenshots',
+  timelapse: 'Timelapse video',
+  frames: 'Frame sequence (PNG)'
+};
+
+const intervalModeOptions = INTERVAL_CAPTURE.MODES
+  .map(mode => `<option value="${mode}">${INTERVAL_MODE_LABELS[mode]}</option>`)
+  .join('');
+
+const intervalSecondsOptions = INTERVAL_CAPTURE.INTERVALS_SECONDS
+  .map(seconds => `<option value="${seconds}">${seconds >= 60 ? `${seconds / 60} min` : `${seconds}s`}</option>`)
+  .join('');
+
+const intervalFrameStepOptions = INTERVAL_CAPTURE.FRAME_STEPS
+  .map(frames => `<option value="${frames}">Every ${frames} frames</option>`)
+  .join('');
+
+const frameSequenceSecondsOptions = INTERVAL_CAPTURE.SEQUENCE_DURATIONS_SECONDS
+  .map(seconds => `<option value="${seconds}">${seconds === 0 ? 'Until stopped' : `${seconds}s`}</option>`)
+  .join('');
+
+const audioGainOptions = AUDIO_MIX.GAIN_OPTIONS_PERCENT
+  .map(percent => `<option value="${percent}">${percent}%</option>`)
+  .join('');
+
+const FACECAM_POSITION_LABELS = {
+  'top-left': 'Top left',
+  'top-right': 'Top right',
+  'bottom-left': 'Bottom left',
+  'bottom-right': 'Bottom right'
+};
+
+const facecamPositionOptions = FACECAM.POSITIONS
+  .map(position => `<option value="${position}">${FACECAM_POSITION_LABELS[position]}</option>`)
+  .join('');
+
+const facecamSizeOptions = FACECAM.SIZES_PERCENT
+  .map(percent => `<option value="${percent}">${percent}% of frame</option>`)
+  .join('');
+
+const FACECAM_BORDER_LABELS = {
+  none: 'None',
+  white: 'White',
+  black: 'Black',
+  rounded: 'Rounded'
+};
+
+const facecamBorderOptions = FACECAM.BORDERS
+  .map(border => `<option value="${border}">${FACECAM_BORDER_LABELS[border]}</option>`)
+  .join('');
+
+/**
+ * Format a segment size limit for display
+ * @param {number} megabytes - Size in MB
+ * @returns {string} Label such as '500 MB' or '2 GB'
+ */
+function formatSegmentSize(megabytes) {
+  return megabytes >= 1000 ? `${megabytes / 1000} GB` : `${megabytes} MB`;
+}
 
 /**
  * Create header HTML
@@ -23,6 +162,9 @@ export default function createHeaderTemplate() {
         </div>
       </div>
       <div class="header-right">
+        <select class="game-picker" id="gamePicker" aria-label="Game being played" title="Game being played">
+          <option value="">No game</option>
+        </select>
         <button class="btn btn-secondary" id="fullscreenBtn" aria-label="Toggle Fullscreen">
           ${getIconSvg('header-fullscreen')}
         </button>
@@ -69,6 +211,248 @@ export default function createHeaderTemplate() {
 
               <div class="settings-divider"></div>
 
+              <!-- Captures Section -->
+              <section class="settings-section settings-captures">
+                <div class="settings-item settings-item-with-hint settings-capture-folder">
+                  <span class="settings-item-text">
+                    <span class="settings-item-title">Capture folder</span>
+                    <span class="settings-item-hint settings-capture-path" id="settingCaptureFolder"></span>
+                  </span>
+                  <button type="button" class="btn btn-sm btn-secondary" id="settingCaptureFolderBtn">Change</button>
+                </div>
+                <label class="settings-item toggle">
+                  <span>Ask where to save</span>
+                  <input type="checkbox" id="settingCaptureAskEveryTime">
+                  <span class="toggle-slider"></span>
+                </label>
+                <label class="settings-item toggle settings-item-with-hint">
+                  <span class="settings-item-text">
+                    <span class="settings-item-title">Sort into game folders</span>
+                    <span class="settings-item-hint" id="captureGameFoldersHint">Uses the game tagged on the open note</span>
+                  </span>
+                  <input type="checkbox" id="settingCaptureGameFolders" aria-describedby="captureGameFoldersHint">
+                  <span class="toggle-slider"></span>
+                </label>
+                <div class="settings-item settings-item-with-hint settings-filename-template">
+                  <label class="settings-item-text" for="settingCaptureFilenameTemplate">
+                    <span class="settings-item-title">Filename template</span>
+                    <span class="settings-item-hint" id="settingCaptureFilenameHint">${filenameTokensHint}</span>
+                  </label>
+                  <input type="text" class="settings-input" id="settingCaptureFilenameTemplate"
+                    aria-describedby="settingCaptureFilenameHint" autocomplete="off" spellcheck="false">
+                </div>
+                <label class="settings-item">
+                  <span>Screenshot output</span>
+                  <select class="settings-select" id="settingScreenshotMode" aria-label="Screenshot output">
+                    ${screenshotModeOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Screenshot scale</span>
+                  <select class="settings-select" id="settingScreenshotScale" aria-label="Screenshot scale">
+                    ${screenshotScaleOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Recording format</span>
+                  <select class="settings-select" id="settingRecordingFormat" aria-label="Recording format">
+                    ${recordingFormatOptions}
+                  </select>
+                </label>
+                <label class="settings-item settings-item-with-hint">
+                  <span class="settings-item-text">
+                    <span class="settings-item-title">Recording quality</span>
+                    <span class="settings-item-hint" id="settingRecordingEstimate"></span>
+                  </span>
+                  <select class="settings-select" id="settingRecordingQuality" aria-label="Recording quality" aria-describedby="settingRecordingEstimate">
+                    ${recordingQualityOptions}
+                    <option value="custom">Custom</option>
+                  </select>
+                </label>
+                <label class="settings-item settings-item-with-hint">
+                  <span class="settings-item-text">
+                    <span class="settings-item-title">Video codec</span>
+                    <span class="settings-item-hint">WebM recordings only</span>
+                  </span>
+                  <select class="settings-select" id="settingRecordingCodec" aria-label="Video codec">
+                    ${recordingCodecOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Video bitrate</span>
+                  <select class="settings-select" id="settingRecordingBitrate" aria-label="Video bitrate">
+                    ${recordingBitrateOptions}
+                  </select>
+                </label>
+                <label class="settings-item settings-item-with-hint">
+                  <span class="settings-item-text">
+                    <span class="settings-item-title">Recording frame rate</span>
+                    <span class="settings-item-hint">Rendered recordings only</span>
+                  </span>
+                  <select class="settings-select" id="settingRecordingFrameRate" aria-label="Recording frame rate">
+                    ${recordingFrameRateOptions}
+                  </select>
+                </label>
+                <label class="settings-item settings-item-with-hint">
+                  <span class="settings-item-text">
+                    <span class="settings-item-title">Recording size</span>
+                    <span class="settings-item-hint">Rendered recordings only</span>
+                  </span>
+                  <select class="settings-select" id="settingRecordingScale" aria-label="Recording size">
+                    ${recordingScaleOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Split recordings every</span>
+                  <select class="settings-select" id="settingRecordingSegmentMinutes" aria-label="Split recordings every">
+                    ${segmentMinutesOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Split recordings at</span>
+                  <select class="settings-select" id="settingRecordingSegmentSize" aria-label="Split recordings at size">
+                    ${segmentSizeOptions}
+                  </select>
+                </label>
+                <label class="settings-item toggle settings-item-with-hint">
+                  <span class="settings-item-text">
+                    <span class="settings-item-title">Review before saving</span>
+                    <span class="settings-item-hint" id="recordingReviewHint">Trim or discard each take. Split recordings save directly</span>
+                  </span>
+                  <input type="checkbox" id="settingRecordingReview" aria-describedby="recordingReviewHint">
+                  <span class="toggle-slider"></span>
+                </label>
+                <label class="settings-item toggle settings-item-with-hint">
+                  <span class="settings-item-text">
+                    <span class="settings-item-title">Dual-track recording</span>
+                    <span class="settings-item-hint" id="recordingDualTrackHint">Also save the raw device feed next to rendered recordings</span>
+                  </span>
+                  <input type="checkbox" id="settingRecordingDualTrack" aria-describedby="recordingDualTrackHint">
+                  <span class="toggle-slider"></span>
+                </label>
+                <label class="settings-item toggle settings-item-with-hint">
+                  <span class="settings-item-text">
+                    <span class="settings-item-title">Instant replay</span>
+                    <span class="settings-item-hint">Press ${HOTKEYS.SAVE_REPLAY} to save the last moments</span>
+                  </span>
+                  <input type="checkbox" id="settingReplayBuffer">
+                  <span class="toggle-slider"></span>
+                </label>
+                <label class="settings-item">
+                  <span>Replay length</span>
+                  <select class="settings-select" id="settingReplayBufferSeconds" aria-label="Replay length">
+                    ${replayBufferOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Clip format</span>
+                  <select class="settings-select" id="settingClipFormat" aria-label="Clip format">
+                    ${clipFormatOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Clip scale</span>
+                  <select class="settings-select" id="settingClipScale" aria-label="Clip scale">
+                    ${clipScaleOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Clip length</span>
+                  <select class="settings-select" id="settingClipDuration" aria-label="Clip length">
+                    ${clipDurationOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Interval capture</span>
+                  <select class="settings-select" id="settingIntervalMode" aria-label="Interval capture mode">
+                    ${intervalModeOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Screenshot every</span>
+                  <select class="settings-select" id="settingIntervalSeconds" aria-label="Screenshot interval">
+                    ${intervalSecondsOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Timelapse frame</span>
+                  <select class="settings-select" id="settingIntervalFrameStep" aria-label="Timelapse frame step">
+                    ${intervalFrameStepOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Frame sequence length</span>
+                  <select class="settings-select" id="settingFrameSequenceSeconds" aria-label="Frame sequence length">
+                    ${frameSequenceSecondsOptions}
+                  </select>
+                </label>
+                <label class="settings-item toggle settings-item-with-hint">
+                  <span class="settings-item-text">
+                    <span class="settings-item-title">Microphone commentary</span>
+                    <span class="settings-item-hint">Mixed into recordings with the game audio</span>
+                  </span>
+                  <input type="checkbox" id="settingMicEnabled">
+                  <span class="toggle-slider"></span>
+                </label>
+                <label class="settings-item">
+                  <span>Microphone</span>
+                  <select class="settings-select" id="settingMicDevice" aria-label="Microphone">
+                    <option value="">System default</option>
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Microphone level</span>
+                  <select class="settings-select" id="settingMicGain" aria-label="Microphone level">
+                    ${audioGainOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Game audio level</span>
+                  <select class="settings-select" id="settingGameAudioGain" aria-label="Game audio level in recordings">
+                    ${audioGainOptions}
+                  </select>
+                </label>
+                <label class="settings-item toggle">
+                  <span>Commentary as separate file</span>
+                  <input type="checkbox" id="settingMicSeparateTrack">
+                  <span class="toggle-slider"></span>
+                </label>
+                <label class="settings-item toggle settings-item-with-hint">
+                  <span class="settings-item-text">
+                    <span class="settings-item-title">Webcam overlay</span>
+                    <span class="settings-item-hint">Shown in recordings and scaled or rendered screenshots</span>
+                  </span>
+                  <input type="checkbox" id="settingFacecamEnabled">
+                  <span class="toggle-slider"></span>
+                </label>
+                <label class="settings-item">
+                  <span>Webcam</span>
+                  <select class="settings-select" id="settingFacecamDevice" aria-label="Webcam">
+                    <option value="">Automatic</option>
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Webcam position</span>
+                  <select class="settings-select" id="settingFacecamPosition" aria-label="Webcam position">
+                    ${facecamPositionOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Webcam size</span>
+                  <select class="settings-select" id="settingFacecamSize" aria-label="Webcam size">
+                    ${facecamSizeOptions}
+                  </select>
+                </label>
+                <label class="settings-item">
+                  <span>Webcam border</span>
+                  <select class="settings-select" id="settingFacecamBorder" aria-label="Webcam border">
+                    ${facecamBorderOptions}
+                  </select>
+                </label>
+              </section>
+
+              <div class="settings-divider"></div>
+
               <!-- Updates Section -->
               <section class="settings-section settings-updates" id="updateSection">
                 <div class="update-content">
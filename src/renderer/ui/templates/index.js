@@ -7,6 +7,9 @@
 import createHeaderTemplate from './header.template.js';
 import createStreamViewerTemplate from './stream-viewer.template.js';
 import createNotesPanelTemplate from './notes-panel.template.js';
+import createCaptureGalleryTemplate from './capture-gallery.template.js';
+import createTrimEditorTemplate from './trim-editor.template.js';
+import createPresetEditorTemplate from './preset-editor.template.js';
 import createStatusFooterTemplate from './status-footer.template.js';
 
 // Re-export individual templates
@@ -14,6 +17,9 @@ export {
   createHeaderTemplate,
   createStreamViewerTemplate,
   createNotesPanelTemplate,
+  createCaptureGalleryTemplate,
+  createTrimEditorTemplate,
+  createPresetEditorTemplate,
   createStatusFooterTemplate
 };
 
@@ -30,6 +36,9 @@ export function renderAppTemplates(container) {
       </section>
     </main>
     ${createNotesPanelTemplate()}
+    ${createCaptureGalleryTemplate()}
     ${createStatusFooterTemplate()}
+    ${createTrimEditorTemplate()}
+    ${createPresetEditorTemplate()}
   `;
 }
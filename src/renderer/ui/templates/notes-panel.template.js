@@ -5,6 +5,7 @@
  */
 
 import { getIconSvg } from '@renderer/ui/icons/icon.utils.js';
+import { HOTKEYS } from '@shared/config/constants.config.js';
 
 /**
  * Create notes panel HTML
@@ -64,6 +65,10 @@ export default function createNotesPanelTemplate() {
           ${getIconSvg('notes-new')}
           New
         </button>
+        <button class="notes-footer-btn notes-marker-btn" id="notesMarkerBtn" aria-label="Add recording marker" title="Add a recording marker (${HOTKEYS.ADD_MARKER}) - selected text becomes its label" disabled>
+          ${getIconSvg('notes-marker')}
+          Marker
+        </button>
         <button class="notes-footer-btn notes-delete-btn" id="notesDeleteBtn" aria-label="Hold to delete note" title="Hold to delete" disabled>
           <span class="btn-content">${getIconSvg('notes-delete')}Delete</span>
         </button>
@@ -0,0 +1,41 @@
+/**
+ * Preset Editor Template
+ *
+ * Floating panel with a slider for every render preset parameter and a LUT
+ * picker. The stream stays visible behind it so changes can be judged live.
+ */
+
+/**
+ * Create preset editor panel HTML
+ * @returns {string} Preset editor panel HTML string
+ */
+export default function createPresetEditorTemplate() {
+  return `
+    <div class="preset-editor" id="presetEditor" role="dialog" aria-labelledby="presetEditorTitle" aria-hidden="true">
+      <div class="preset-editor-header">
+        <span class="preset-editor-title" id="presetEditorTitle">Customize Preset</span>
+      </div>
+
+      <input type="text" class="preset-editor-name" id="presetEditorNameInput" placeholder="Preset name" aria-label="Preset name" spellcheck="false">
+
+      <div class="preset-editor-lut">
+        <label class="preset-editor-lut-label" for="presetEditorLutSelect">LUT</label>
+        <select class="preset-editor-lut-select" id="presetEditorLutSelect"></select>
+        <button class="preset-editor-btn" id="presetEditorLutImportBtn">Import .cube</button>
+      </div>
+
+      <div class="preset-editor-sliders" id="presetEditorSliders">
+        <!-- Parameter sliders rendered dynamically -->
+      </div>
+
+      <div class="preset-editor-error" id="presetEditorError" role="alert"></div>
+
+      <div class="preset-editor-actions">
+        <button class="preset-editor-btn preset-editor-delete-btn" id="presetEditorDeleteBtn">Delete</button>
+        <span class="preset-editor-spacer"></span>
+        <button class="preset-editor-btn" id="presetEditorCancelBtn">Cancel</button>
+        <button class="preset-editor-btn preset-editor-save-btn" id="presetEditorSaveBtn">Save</button>
+      </div>
+    </div>
+  `;
+}
@@ -5,6 +5,7 @@
  */
 
 import { getIconSvg } from '@renderer/ui/icons/icon.utils.js';
+import { HOTKEYS } from '@shared/config/constants.config.js';
 
 /**
  * Create stream viewer HTML (includes toolbar and fullscreen controls)
@@ -15,6 +16,7 @@ export default function createStreamViewerTemplate() {
     <div class="stream-container" id="streamContainer">
       <video id="streamVideo" autoplay playsinline></video>
       <canvas id="streamCanvas" class="pixelated"></canvas>
+      <video id="facecamPreview" class="facecam-preview" muted playsinline aria-hidden="true"></video>
       <div class="stream-overlay" id="streamOverlay">
         <!-- Floating Particles -->
         <div class="overlay-particles" aria-hidden="true">
@@ -77,27 +79,68 @@ export default function createStreamViewerTemplate() {
               <button type="button" class="cinematic-pill" id="cinematicToggle" aria-pressed="false">
                 <span class="cinematic-pill-text">Cinematic Off</span>
               </button>
+              <label class="color-correction-control" title="LCD color correction for the selected preset">
+                <span class="color-correction-label">Color correction</span>
+                <select class="color-correction-select" id="colorCorrectionSelect"></select>
+              </label>
+              <button type="button" class="preset-customize-btn" id="presetCustomizeBtn" title="Adjust the selected preset and save it as your own">
+                Customize Preset
+              </button>
+              <div class="preset-file-actions">
+                <button type="button" class="preset-file-btn" id="presetExportBtn" title="Save the selected preset to a file you can share">
+                  Export
+                </button>
+                <button type="button" class="preset-file-btn" id="presetImportBtn" title="Add a preset from a shared preset file">
+                  Import
+                </button>
+              </div>
             </div>
           </div>
         </div>
 
         <!-- Screenshot Button -->
-        <button class="toolbar-btn toolbar-capture toolbar-screenshot" id="screenshotBtn" aria-label="Take Screenshot" disabled>
+        <button class="toolbar-btn toolbar-capture toolbar-screenshot" id="screenshotBtn" aria-label="Take Screenshot" title="Take Screenshot (${HOTKEYS.COPY_SCREENSHOT} to copy)" disabled>
           ${getIconSvg('toolbar-screenshot')}
         </button>
 
         <!-- Record Button -->
-        <button class="toolbar-btn toolbar-capture toolbar-record" id="recordBtn" aria-label="Start Recording" aria-pressed="false" disabled>
+        <button class="toolbar-btn toolbar-capture toolbar-record" id="recordBtn" aria-label="Start Recording" aria-pressed="false" title="Record (${HOTKEYS.PAUSE_RECORDING} to pause, ${HOTKEYS.ADD_MARKER} to add a marker)" disabled>
           <!-- Normal record dot icon -->
           <span class="record-dot">${getIconSvg('toolbar-record')}</span>
           <!-- Recording state: static dot + spinning outer ring -->
           <span class="record-spinner">${getIconSvg('toolbar-record-active')}</span>
         </button>
 
+        <!-- Instant Replay Button -->
+        <button class="toolbar-btn toolbar-capture toolbar-replay" id="replayBtn" aria-label="Save Replay (${HOTKEYS.SAVE_REPLAY})" title="Save Replay (${HOTKEYS.SAVE_REPLAY})" disabled>
+          ${getIconSvg('toolbar-replay')}
+        </button>
+
+        <!-- Clip (GIF/APNG) Button -->
+        <button class="toolbar-btn toolbar-capture toolbar-clip" id="clipBtn" aria-label="Capture Clip" title="Capture Clip" disabled>
+          ${getIconSvg('toolbar-clip')}
+        </button>
+
+        <!-- Interval Capture (screenshots / timelapse) Button -->
+        <button class="toolbar-btn toolbar-capture toolbar-interval" id="intervalBtn" aria-label="Interval Capture" aria-pressed="false" title="Interval Capture" disabled>
+          ${getIconSvg('toolbar-interval')}
+        </button>
+
+        <!-- Latest Capture Thumbnail (drag out to share) -->
+        <button class="toolbar-btn toolbar-capture toolbar-thumbnail" id="captureThumbnail" draggable="true" aria-label="Latest capture" hidden>
+          <img class="capture-thumbnail-image" id="captureThumbnailImage" alt="" draggable="false">
+          <span class="capture-thumbnail-video">${getIconSvg('toolbar-record')}</span>
+        </button>
+
         <!-- Notes Button -->
         <button class="toolbar-btn toolbar-capture toolbar-notes" id="notesBtn" aria-label="Notes" aria-expanded="false">
           ${getIconSvg('toolbar-notes')}
         </button>
+
+        <!-- Capture Gallery Button -->
+        <button class="toolbar-btn toolbar-capture toolbar-gallery" id="galleryBtn" aria-label="Capture gallery" aria-expanded="false">
+          ${getIconSvg('toolbar-gallery')}
+        </button>
       </div>
 
       <!-- Floating Fullscreen Controls (visible only in fullscreen mode) -->
@@ -0,0 +1,54 @@
+/**
+ * Trim Editor Template
+ *
+ * Modal player for reviewing a finished recording: set in and out points on a
+ * thumbnail timeline with the recording's markers, then save the range or
+ * discard the take.
+ */
+
+/**
+ * Create trim editor modal HTML
+ * @returns {string} Trim editor modal HTML string
+ */
+export default function createTrimEditorTemplate() {
+  return `
+    <div class="trim-editor" id="trimEditor" role="dialog" aria-modal="true" aria-labelledby="trimEditorTitle" aria-hidden="true">
+      <div class="trim-editor-dialog">
+        <div class="trim-editor-header">
+          <span class="trim-editor-title" id="trimEditorTitle">Review recording</span>
+          <span class="trim-editor-filename" id="trimEditorFilename"></span>
+        </div>
+
+        <video class="trim-editor-video" id="trimEditorVideo" playsinline></video>
+
+        <div class="trim-editor-timeline" id="trimEditorTimeline">
+          <div class="trim-editor-thumbnails" id="trimEditorThumbnails">
+            <!-- Frame thumbnails rendered dynamically -->
+          </div>
+          <div class="trim-editor-markers" id="trimEditorMarkers">
+            <!-- Recording markers rendered dynamically -->
+          </div>
+          <div class="trim-editor-selection" id="trimEditorSelection"></div>
+          <div class="trim-editor-playhead" id="trimEditorPlayhead"></div>
+          <input type="range" class="trim-editor-handle" id="trimEditorIn" min="0" max="0" step="1" value="0" aria-label="In point" disabled>
+          <input type="range" class="trim-editor-handle" id="trimEditorOut" min="0" max="0" step="1" value="0" aria-label="Out point" disabled>
+        </div>
+
+        <div class="trim-editor-times">
+          <span>In <span id="trimEditorInTime">0:00.0</span></span>
+          <span class="trim-editor-length" id="trimEditorLength"></span>
+          <span>Out <span id="trimEditorOutTime">0:00.0</span></span>
+        </div>
+
+        <div class="trim-editor-actions">
+          <button class="trim-editor-btn" id="trimEditorSetInBtn" title="Start the range at the playhead">Set in</button>
+          <button class="trim-editor-btn" id="trimEditorPlayBtn">Play</button>
+          <button class="trim-editor-btn" id="trimEditorSetOutBtn" title="End the range at the playhead">Set out</button>
+          <span class="trim-editor-spacer"></span>
+          <button class="trim-editor-btn trim-editor-discard-btn" id="trimEditorDiscardBtn">Discard</button>
+          <button class="trim-editor-btn trim-editor-save-btn" id="trimEditorSaveBtn">Save</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
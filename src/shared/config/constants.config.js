@@ -22,3 +22,222 @@ export const TIMING = {
   // Minimalist fullscreen transition duration (ms)
   MINIMALIST_TRANSITION_MS: 250,
 };
+
+/**
+ * Instant replay buffer limits (seconds)
+ */
+export const REPLAY_BUFFER = {
+  MIN_SECONDS: 15,
+  MAX_SECONDS: 120,
+  DEFAULT_SECONDS: 30,
+  // Lengths offered in the settings menu
+  OPTIONS_SECONDS: [15, 30, 60, 90, 120],
+  // Keyframe spacing requested from the recorder; a saved replay is cut on a keyframe
+  KEYFRAME_INTERVAL_MS: 1000
+};
+
+/**
+ * Screenshot output
+ * - native: raw 160x144 device pixels
+ * - scaled: native pixels upscaled by an integer factor (nearest neighbour)
+ * - rendered: the current render preset (shaders) rendered offscreen at native size x factor
+ */
+export const SCREENSHOT_OUTPUT = {
+  MODES: ['native', 'scaled', 'rendered'],
+  DEFAULT_MODE: 'rendered',
+  // Integer scale factors offered for the scaled and rendered modes
+  SCALES: [2, 3, 4, 5, 6, 7, 8, 9, 10],
+  DEFAULT_SCALE: 4
+};
+
+/**
+ * Animated clip capture (GIF/APNG at native resolution)
+ */
+export const CLIP_CAPTURE = {
+  FORMATS: ['gif', 'apng'],
+  DEFAULT_FORMAT: 'gif',
+  // Integer upscale factors offered in the settings menu
+  SCALES: [1, 2, 4],
+  DEFAULT_SCALE: 2,
+  DURATIONS_SECONDS: [3, 5, 10],
+  DEFAULT_DURATION_SECONDS: 5,
+  // Frames per second grabbed from the stream
+  FRAME_RATE: 30
+};
+
+/**
+ * Interval capture for long sessions
+ * - screenshots: a screenshot every N seconds into a session folder
+ * - timelapse: one frame kept every N stream frames, encoded to MP4 at a fixed playback rate
+ * - frames: every distinct stream frame as a numbered PNG, with a timing manifest
+ */
+export const INTERVAL_CAPTURE = {
+  MODES: ['screenshots', 'timelapse', 'frames'],
+  DEFAULT_MODE: 'screenshots',
+  INTERVALS_SECONDS: [5, 10, 30, 60, 300],
+  DEFAULT_INTERVAL_SECONDS: 30,
+  // Stream frames per timelapse frame
+  FRAME_STEPS: [10, 30, 60, 300, 1800],
+  DEFAULT_FRAME_STEP: 60,
+  // Timelapse playback rate and integer upscale of the native frame
+  TIMELAPSE_FRAME_RATE: 30,
+  TIMELAPSE_SCALE: 4,
+  // Frame sequence length; 0 runs until stopped
+  SEQUENCE_DURATIONS_SECONDS: [0, 5, 10, 30, 60],
+  DEFAULT_SEQUENCE_SECONDS: 10
+};
+
+/**
+ * Microphone commentary mixed into recordings
+ * Gains are percentages applied to the mic and to the game audio before mixing.
+ */
+export const AUDIO_MIX = {
+  GAIN_OPTIONS_PERCENT: [0, 25, 50, 75, 100, 125, 150, 200],
+  DEFAULT_MIC_GAIN_PERCENT: 100,
+  DEFAULT_GAME_GAIN_PERCENT: 100,
+  // Time constant for live gain changes (seconds)
+  GAIN_SMOOTHING_SECONDS: 0.02
+};
+
+/**
+ * Webcam overlay composited into recordings and rendered screenshots
+ * Size is the overlay width as a percentage of the frame width; margin and
+ * border are fractions of the frame width and overlay width respectively.
+ */
+export const FACECAM = {
+  POSITIONS: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+  DEFAULT_POSITION: 'bottom-right',
+  SIZES_PERCENT: [15, 20, 25, 30, 40],
+  DEFAULT_SIZE_PERCENT: 25,
+  BORDERS: ['none', 'white', 'black', 'rounded'],
+  DEFAULT_BORDER: 'white',
+  MARGIN_RATIO: 0.02,
+  BORDER_RATIO: 0.03,
+  // Requested camera resolution; the overlay is far smaller than this
+  CAPTURE_WIDTH: 640,
+  CAPTURE_HEIGHT: 480
+};
+
+/**
+ * Recording output formats
+ * WebM is recorded with MediaRecorder; MP4 is encoded with WebCodecs and muxed in JS.
+ */
+export const RECORDING_OUTPUT = {
+  FORMATS: ['webm', 'mp4'],
+  DEFAULT_FORMAT: 'webm',
+  // MP4 codec pairs in order of preference (video must be paired with its audio codec)
+  MP4_CODECS: [
+    { video: 'avc1.640028', audio: 'mp4a.40.2' }, // H.264 High 4.0 + AAC-LC
+    { video: 'av01.0.08M.08', audio: 'opus' } // AV1 Main 4.0 + Opus
+  ],
+  VIDEO_BITS_PER_SECOND: 2500000,
+  AUDIO_BITS_PER_SECOND: 128000,
+  KEYFRAME_INTERVAL_SECONDS: 2
+};
+
+/**
+ * Recording quality presets and the encoder settings they set
+ * A custom quality is any mix of the options below. Codecs are for WebM
+ * (MediaRecorder); MP4 picks its own codec pair and uses the bitrates. Frame
+ * rate and output scale apply to rendered (GPU) recordings; scale 0 records at
+ * the size the renderer draws, other scales are a multiple of the native frame.
+ */
+export const RECORDING_QUALITY = {
+  PRESETS: ['archive', 'balanced', 'small'],
+  DEFAULT_PRESET: 'balanced',
+  PRESET_SETTINGS: {
+    archive: { codec: 'vp9', videoBitrateKbps: 8000, audioBitrateKbps: 192, frameRate: 60, scale: 0 },
+    balanced: { codec: 'vp9', videoBitrateKbps: 2500, audioBitrateKbps: 128, frameRate: 60, scale: 0 },
+    small: { codec: 'vp9', videoBitrateKbps: 800, audioBitrateKbps: 96, frameRate: 30, scale: 3 }
+  },
+  CODECS: ['vp9', 'vp8', 'av1', 'h264'],
+  CODEC_MIME_TYPES: {
+    vp9: 'video/webm;codecs=vp9',
+    vp8: 'video/webm;codecs=vp8',
+    av1: 'video/webm;codecs=av01',
+    h264: 'video/webm;codecs=h264'
+  },
+  VIDEO_BITRATES_KBPS: [500, 800, 1500, 2500, 5000, 8000, 16000],
+  // Custom qualities keep the audio bitrate of the default preset
+  CUSTOM_AUDIO_BITRATE_KBPS: 128,
+  FRAME_RATES: [30, 60],
+  OUTPUT_SCALES: [0, 1, 2, 3, 4, 6]
+};
+
+/**
+ * Automatic recording segmentation
+ * A recording is split into numbered files when either limit is reached (0 = no limit).
+ */
+export const RECORDING_SEGMENTS = {
+  DURATION_MINUTES: [0, 5, 10, 15, 30, 60],
+  SIZE_MB: [0, 500, 1000, 2000, 4000],
+  DEFAULT_DURATION_MINUTES: 0,
+  DEFAULT_SIZE_MB: 0,
+  // How often the running segment is checked against the limits
+  CHECK_INTERVAL_MS: 1000
+};
+
+/**
+ * Recording review (trim editor)
+ */
+export const RECORDING_REVIEW = {
+  // Frames shown along the timeline
+  THUMBNAIL_COUNT: 10,
+  THUMBNAIL_HEIGHT: 54,
+  // Shortest range the in and out points can enclose
+  MIN_LENGTH_MS: 500,
+  // Give up on a thumbnail frame that does not decode in time
+  SEEK_TIMEOUT_MS: 3000
+};
+
+/**
+ * Recording markers and the chapter files saved next to a marked recording
+ */
+export const RECORDING_MARKERS = {
+  MAX_LABEL_LENGTH: 80,
+  // Sidecar files named after the recording (see FilenameGenerator.forSidecar)
+  CHAPTERS_EXTENSION: '.chapters.vtt',
+  MARKERS_EXTENSION: '.markers.json'
+};
+
+/**
+ * Shared render preset files (see FilenameGenerator.forRenderPreset)
+ */
+export const RENDER_PRESET_FILES = {
+  EXTENSION: '.prismgb-preset.json',
+  // Largest file accepted on import; a preset is well under 1 KB
+  MAX_SIZE: 64 * 1024
+};
+
+/**
+ * .cube LUT files imported into the LUT library (see RenderPresetFileService)
+ */
+export const LUT_FILES = {
+  EXTENSION: '.cube',
+  // Library folder under the app's user data folder
+  FOLDER_NAME: 'luts',
+  // A 65-point LUT is about 7 MB of text
+  MAX_SIZE: 16 * 1024 * 1024
+};
+
+/**
+ * Capture filename templates
+ * Tokens are filled in when a capture starts (see FilenameGenerator.fromTemplate).
+ */
+export const CAPTURE_NAMING = {
+  TOKENS: ['type', 'game', 'preset', 'date', 'time', 'counter', 'device'],
+  DEFAULT_TEMPLATE: 'prismgb-{type}-{date}-{time}',
+  MAX_TEMPLATE_LENGTH: 120,
+  // {counter} is zero-padded to this many digits
+  COUNTER_DIGITS: 4
+};
+
+/**
+ * Global keyboard shortcuts (KeyboardEvent.key values)
+ */
+export const HOTKEYS = {
+  SAVE_REPLAY: 'F9',
+  PAUSE_RECORDING: 'F8',
+  COPY_SCREENSHOT: 'F7',
+  ADD_MARKER: 'F6'
+};
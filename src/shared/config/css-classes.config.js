@@ -24,6 +24,7 @@ export const CSSClasses = {
 
   // Button states
   RECORDING: 'recording',
+  RECORDING_PAUSED: 'paused',
   ACTIVE: 'active',
   HIDING: 'hiding',
 
@@ -20,10 +20,21 @@ export const DOMSelectors = {
   // Control buttons
   SETTINGS_BTN: 'settingsBtn',
   SCREENSHOT_BTN: 'screenshotBtn',
+  REPLAY_BTN: 'replayBtn',
+  CLIP_BTN: 'clipBtn',
+  INTERVAL_BTN: 'intervalBtn',
   RECORD_BTN: 'recordBtn',
   FULLSCREEN_BTN: 'fullscreenBtn',
+  GAME_PICKER: 'gamePicker',
   SHADER_BTN: 'shaderBtn',
 
+  // Latest capture thumbnail
+  CAPTURE_THUMBNAIL: 'captureThumbnail',
+  CAPTURE_THUMBNAIL_IMAGE: 'captureThumbnailImage',
+
+  // Webcam overlay preview
+  FACECAM_PREVIEW: 'facecamPreview',
+
   // Shader selector
   SHADER_CONTROLS: 'shaderControls',
   SHADER_DROPDOWN: 'shaderDropdown',
@@ -31,6 +42,10 @@ export const DOMSelectors = {
   BRIGHTNESS_PERCENTAGE: 'brightnessPercentage',
   VOLUME_SLIDER_VERTICAL: 'volumeSliderVertical',
   VOLUME_PERCENTAGE_VERTICAL: 'volumePercentageVertical',
+  PRESET_CUSTOMIZE_BTN: 'presetCustomizeBtn',
+  PRESET_EXPORT_BTN: 'presetExportBtn',
+  PRESET_IMPORT_BTN: 'presetImportBtn',
+  COLOR_CORRECTION_SELECT: 'colorCorrectionSelect',
 
   // Toolbar
   STREAM_TOOLBAR: 'streamToolbar',
@@ -49,6 +64,44 @@ export const DOMSelectors = {
   SETTING_RENDER_PRESET: 'settingRenderPreset',
   SETTING_FULLSCREEN_ON_STARTUP: 'settingFullscreenOnStartup',
   SETTING_MINIMALIST_FULLSCREEN: 'settingMinimalistFullscreen',
+  SETTING_CAPTURE_FOLDER: 'settingCaptureFolder',
+  SETTING_CAPTURE_FOLDER_BTN: 'settingCaptureFolderBtn',
+  SETTING_CAPTURE_ASK_EVERY_TIME: 'settingCaptureAskEveryTime',
+  SETTING_CAPTURE_GAME_FOLDERS: 'settingCaptureGameFolders',
+  SETTING_CAPTURE_FILENAME_TEMPLATE: 'settingCaptureFilenameTemplate',
+  SETTING_CAPTURE_FILENAME_HINT: 'settingCaptureFilenameHint',
+  SETTING_REPLAY_BUFFER: 'settingReplayBuffer',
+  SETTING_REPLAY_BUFFER_SECONDS: 'settingReplayBufferSeconds',
+  SETTING_SCREENSHOT_MODE: 'settingScreenshotMode',
+  SETTING_SCREENSHOT_SCALE: 'settingScreenshotScale',
+  SETTING_RECORDING_FORMAT: 'settingRecordingFormat',
+  SETTING_RECORDING_QUALITY: 'settingRecordingQuality',
+  SETTING_RECORDING_ESTIMATE: 'settingRecordingEstimate',
+  SETTING_RECORDING_CODEC: 'settingRecordingCodec',
+  SETTING_RECORDING_BITRATE: 'settingRecordingBitrate',
+  SETTING_RECORDING_FRAME_RATE: 'settingRecordingFrameRate',
+  SETTING_RECORDING_SCALE: 'settingRecordingScale',
+  SETTING_RECORDING_SEGMENT_MINUTES: 'settingRecordingSegmentMinutes',
+  SETTING_RECORDING_SEGMENT_SIZE: 'settingRecordingSegmentSize',
+  SETTING_RECORDING_REVIEW: 'settingRecordingReview',
+  SETTING_RECORDING_DUAL_TRACK: 'settingRecordingDualTrack',
+  SETTING_CLIP_FORMAT: 'settingClipFormat',
+  SETTING_CLIP_SCALE: 'settingClipScale',
+  SETTING_CLIP_DURATION: 'settingClipDuration',
+  SETTING_INTERVAL_MODE: 'settingIntervalMode',
+  SETTING_INTERVAL_SECONDS: 'settingIntervalSeconds',
+  SETTING_INTERVAL_FRAME_STEP: 'settingIntervalFrameStep',
+  SETTING_FRAME_SEQUENCE_SECONDS: 'settingFrameSequenceSeconds',
+  SETTING_MIC_ENABLED: 'settingMicEnabled',
+  SETTING_MIC_DEVICE: 'settingMicDevice',
+  SETTING_MIC_GAIN: 'settingMicGain',
+  SETTING_GAME_AUDIO_GAIN: 'settingGameAudioGain',
+  SETTING_MIC_SEPARATE_TRACK: 'settingMicSeparateTrack',
+  SETTING_FACECAM_ENABLED: 'settingFacecamEnabled',
+  SETTING_FACECAM_DEVICE: 'settingFacecamDevice',
+  SETTING_FACECAM_POSITION: 'settingFacecamPosition',
+  SETTING_FACECAM_SIZE: 'settingFacecamSize',
+  SETTING_FACECAM_BORDER: 'settingFacecamBorder',
   DISCLAIMER_BTN: 'disclaimerBtn',
   DISCLAIMER_CONTENT: 'disclaimerContent',
 
@@ -95,5 +148,52 @@ export const DOMSelectors = {
   NOTES_TITLE_INPUT: 'notesTitleInput',
   NOTES_CONTENT_AREA: 'notesContentArea',
   NOTES_NEW_BTN: 'notesNewBtn',
-  NOTES_DELETE_BTN: 'notesDeleteBtn'
+  NOTES_MARKER_BTN: 'notesMarkerBtn',
+  NOTES_DELETE_BTN: 'notesDeleteBtn',
+
+  // Capture gallery
+  GALLERY_BTN: 'galleryBtn',
+  GALLERY_PANEL: 'galleryPanel',
+  GALLERY_DATE_FILTER: 'galleryDateFilter',
+  GALLERY_GAME_FILTER: 'galleryGameFilter',
+  GALLERY_VIEWER: 'galleryViewer',
+  GALLERY_VIEWER_IMAGE: 'galleryViewerImage',
+  GALLERY_VIEWER_VIDEO: 'galleryViewerVideo',
+  GALLERY_VIEWER_MARKERS: 'galleryViewerMarkers',
+  GALLERY_NAME_INPUT: 'galleryNameInput',
+  GALLERY_REVEAL_BTN: 'galleryRevealBtn',
+  GALLERY_DELETE_BTN: 'galleryDeleteBtn',
+  GALLERY_GRID: 'galleryGrid',
+  GALLERY_EMPTY_STATE: 'galleryEmptyState',
+
+  // Recording trim editor
+  TRIM_EDITOR: 'trimEditor',
+  TRIM_EDITOR_FILENAME: 'trimEditorFilename',
+  TRIM_EDITOR_VIDEO: 'trimEditorVideo',
+  TRIM_EDITOR_TIMELINE: 'trimEditorTimeline',
+  TRIM_EDITOR_THUMBNAILS: 'trimEditorThumbnails',
+  TRIM_EDITOR_MARKERS: 'trimEditorMarkers',
+  TRIM_EDITOR_SELECTION: 'trimEditorSelection',
+  TRIM_EDITOR_PLAYHEAD: 'trimEditorPlayhead',
+  TRIM_EDITOR_IN: 'trimEditorIn',
+  TRIM_EDITOR_OUT: 'trimEditorOut',
+  TRIM_EDITOR_IN_TIME: 'trimEditorInTime',
+  TRIM_EDITOR_OUT_TIME: 'trimEditorOutTime',
+  TRIM_EDITOR_LENGTH: 'trimEditorLength',
+  TRIM_EDITOR_SET_IN_BTN: 'trimEditorSetInBtn',
+  TRIM_EDITOR_SET_OUT_BTN: 'trimEditorSetOutBtn',
+  TRIM_EDITOR_PLAY_BTN: 'trimEditorPlayBtn',
+  TRIM_EDITOR_DISCARD_BTN: 'trimEditorDiscardBtn',
+  TRIM_EDITOR_SAVE_BTN: 'trimEditorSaveBtn',
+
+  // Render preset editor
+  PRESET_EDITOR: 'presetEditor',
+  PRESET_EDITOR_NAME_INPUT: 'presetEditorNameInput',
+  PRESET_EDITOR_SLIDERS: 'presetEditorSliders',
+  PRESET_EDITOR_LUT_SELECT: 'presetEditorLutSelect',
+  PRESET_EDITOR_LUT_IMPORT_BTN: 'presetEditorLutImportBtn',
+  PRESET_EDITOR_ERROR: 'presetEditorError',
+  PRESET_EDITOR_DELETE_BTN: 'presetEditorDeleteBtn',
+  PRESET_EDITOR_CANCEL_BTN: 'presetEditorCancelBtn',
+  PRESET_EDITOR_SAVE_BTN: 'presetEditorSaveBtn'
 };
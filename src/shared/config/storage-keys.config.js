@@ -15,7 +15,40 @@ export const SettingsStorageKeys = {
   GLOBAL_BRIGHTNESS: 'globalBrightness',
   PERFORMANCE_MODE: 'performanceMode',
   FULLSCREEN_ON_STARTUP: 'fullscreenOnStartup',
-  MINIMALIST_FULLSCREEN: 'minimalistFullscreen'
+  MINIMALIST_FULLSCREEN: 'minimalistFullscreen',
+  REPLAY_BUFFER_ENABLED: 'replayBufferEnabled',
+  REPLAY_BUFFER_SECONDS: 'replayBufferSeconds',
+  SCREENSHOT_MODE: 'screenshotMode',
+  SCREENSHOT_SCALE: 'screenshotScale',
+  CLIP_FORMAT: 'clipFormat',
+  CLIP_SCALE: 'clipScale',
+  CLIP_DURATION_SECONDS: 'clipDurationSeconds',
+  RECORDING_FORMAT: 'recordingFormat',
+  RECORDING_SEGMENT_MINUTES: 'recordingSegmentMinutes',
+  RECORDING_SEGMENT_SIZE_MB: 'recordingSegmentSizeMb',
+  RECORDING_REVIEW: 'recordingReview',
+  RECORDING_DUAL_TRACK: 'recordingDualTrack',
+  RECORDING_QUALITY_PRESET: 'recordingQualityPreset',
+  RECORDING_CODEC: 'recordingCodec',
+  RECORDING_VIDEO_BITRATE: 'recordingVideoBitrate',
+  RECORDING_FRAME_RATE: 'recordingFrameRate',
+  RECORDING_OUTPUT_SCALE: 'recordingOutputScale',
+  CAPTURE_FILENAME_TEMPLATE: 'captureFilenameTemplate',
+  CAPTURE_COUNTER: 'captureCounter',
+  INTERVAL_MODE: 'intervalMode',
+  INTERVAL_SECONDS: 'intervalSeconds',
+  INTERVAL_FRAME_STEP: 'intervalFrameStep',
+  FRAME_SEQUENCE_SECONDS: 'frameSequenceSeconds',
+  MIC_ENABLED: 'micEnabled',
+  MIC_DEVICE_ID: 'micDeviceId',
+  MIC_GAIN: 'micGain',
+  GAME_AUDIO_GAIN: 'gameAudioGain',
+  MIC_SEPARATE_TRACK: 'micSeparateTrack',
+  FACECAM_ENABLED: 'facecamEnabled',
+  FACECAM_DEVICE_ID: 'facecamDeviceId',
+  FACECAM_POSITION: 'facecamPosition',
+  FACECAM_SIZE: 'facecamSize',
+  FACECAM_BORDER: 'facecamBorder'
 };
 
 /**
@@ -25,16 +58,33 @@ export const NotesStorageKeys = {
   USER_NOTES: 'userNotes'
 };
 
+/**
+ * Storage keys for user-made render presets
+ */
+export const RenderPresetStorageKeys = {
+  CUSTOM_PRESETS: 'customRenderPresets',
+  // Color correction modes chosen for built-in presets, by preset ID
+  COLOR_CORRECTIONS: 'renderPresetColorCorrections'
+};
+
+/**
+ * Storage keys for per-game render and audio profiles
+ */
+export const GameProfileStorageKeys = {
+  PROFILES: 'gameProfiles'
+};
+
 /**
  * Storage keys that should be protected from cleanup when quota is exceeded.
  * These are critical user data that should NEVER be deleted during any cleanup activity.
  *
  * Priority order (highest to lowest):
- * 1. User-created content (notes) - irreplaceable user data
+ * 1. User-created content (notes, custom render presets) - irreplaceable user data
  * 2. User preferences - can be recreated but inconvenient to lose
  */
 const CRITICAL_STORAGE_KEYS = [
-  NotesStorageKeys.USER_NOTES  // User notes are irreplaceable content
+  NotesStorageKeys.USER_NOTES,  // User notes are irreplaceable content
+  RenderPresetStorageKeys.CUSTOM_PRESETS
 ];
 
 /**
@@ -45,6 +95,12 @@ export const PROTECTED_STORAGE_KEYS = [
   // Critical - never delete
   ...CRITICAL_STORAGE_KEYS,
 
+  // Per-game render and audio profiles
+  GameProfileStorageKeys.PROFILES,
+
+  // Color correction modes of built-in presets
+  RenderPresetStorageKeys.COLOR_CORRECTIONS,
+
   // User preferences - protected but lower priority than user content
   SettingsStorageKeys.VOLUME,
   SettingsStorageKeys.STATUS_STRIP,
@@ -52,5 +108,38 @@ export const PROTECTED_STORAGE_KEYS = [
   SettingsStorageKeys.GLOBAL_BRIGHTNESS,
   SettingsStorageKeys.PERFORMANCE_MODE,
   SettingsStorageKeys.FULLSCREEN_ON_STARTUP,
-  SettingsStorageKeys.MINIMALIST_FULLSCREEN
+  SettingsStorageKeys.MINIMALIST_FULLSCREEN,
+  SettingsStorageKeys.REPLAY_BUFFER_ENABLED,
+  SettingsStorageKeys.REPLAY_BUFFER_SECONDS,
+  SettingsStorageKeys.SCREENSHOT_MODE,
+  SettingsStorageKeys.SCREENSHOT_SCALE,
+  SettingsStorageKeys.CLIP_FORMAT,
+  SettingsStorageKeys.CLIP_SCALE,
+  SettingsStorageKeys.CLIP_DURATION_SECONDS,
+  SettingsStorageKeys.RECORDING_FORMAT,
+  SettingsStorageKeys.RECORDING_SEGMENT_MINUTES,
+  SettingsStorageKeys.RECORDING_SEGMENT_SIZE_MB,
+  SettingsStorageKeys.RECORDING_REVIEW,
+  SettingsStorageKeys.RECORDING_DUAL_TRACK,
+  SettingsStorageKeys.RECORDING_QUALITY_PRESET,
+  SettingsStorageKeys.RECORDING_CODEC,
+  SettingsStorageKeys.RECORDING_VIDEO_BITRATE,
+  SettingsStorageKeys.RECORDING_FRAME_RATE,
+  SettingsStorageKeys.RECORDING_OUTPUT_SCALE,
+  SettingsStorageKeys.CAPTURE_FILENAME_TEMPLATE,
+  SettingsStorageKeys.CAPTURE_COUNTER,
+  SettingsStorageKeys.INTERVAL_MODE,
+  SettingsStorageKeys.INTERVAL_SECONDS,
+  SettingsStorageKeys.INTERVAL_FRAME_STEP,
+  SettingsStorageKeys.FRAME_SEQUENCE_SECONDS,
+  SettingsStorageKeys.MIC_ENABLED,
+  SettingsStorageKeys.MIC_DEVICE_ID,
+  SettingsStorageKeys.MIC_GAIN,
+  SettingsStorageKeys.GAME_AUDIO_GAIN,
+  SettingsStorageKeys.MIC_SEPARATE_TRACK,
+  SettingsStorageKeys.FACECAM_ENABLED,
+  SettingsStorageKeys.FACECAM_DEVICE_ID,
+  SettingsStorageKeys.FACECAM_POSITION,
+  SettingsStorageKeys.FACECAM_SIZE,
+  SettingsStorageKeys.FACECAM_BORDER
 ];
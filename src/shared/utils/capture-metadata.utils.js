@@ -0,0 +1,428 @@
+/**
+ * Capture metadata utilities
+ *
+ * Embeds capture metadata (app version, device profile, render preset,
+ * brightness, timestamp, game) into PNG text chunks and WebM tags, and reads
+ * it back. Works on raw bytes so it can be used from both processes.
+ */
+
+import { EBML_ID, isWebm, readElementHeader, encodeElement } from '@shared/utils/ebml.utils.js';
+
+/**
+ * @typedef {Object} CaptureMetadata
+ * @property {string} [appVersion] - PrismGB version that made the capture
+ * @property {string} [deviceProfileId] - Device profile ID (e.g. 'chromatic-mod-retro')
+ * @property {string} [presetId] - Render preset ID
+ * @property {number} [brightness] - Global brightness multiplier
+ * @property {string} [capturedAt] - ISO 8601 capture time
+ * @property {string} [gameName] - Game tagged in the notes panel
+ */
+
+/**
+ * Metadata fields with their PNG keyword and WebM tag name
+ * Creation Time and DATE_RECORDED are standard names that other tools display.
+ */
+const METADATA_FIELDS = Object.freeze([
+  { name: 'appVersion', png: 'PrismGB:AppVersion', webm: 'PRISMGB_APP_VERSION' },
+  { name: 'deviceProfileId', png: 'PrismGB:DeviceProfile', webm: 'PRISMGB_DEVICE_PROFILE' },
+  { name: 'presetId', png: 'PrismGB:RenderPreset', webm: 'PRISMGB_RENDER_PRESET' },
+  { name: 'brightness', png: 'PrismGB:Brightness', webm: 'PRISMGB_BRIGHTNESS', numeric: true },
+  { name: 'capturedAt', png: 'Creation Time', webm: 'DATE_RECORDED' },
+  { name: 'gameName', png: 'PrismGB:Game', webm: 'PRISMGB_GAME' }
+]);
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_IHDR_END = 33; // Signature (8) + IHDR length, type, data (13) and CRC
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param {Uint8Array} bytes - Chunk type + data
+ * @returns {number} Unsigned CRC
+ * @private
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts
+ * @returns {Uint8Array}
+ * @private
+ */
+function concat(parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Metadata entries that have a value, as [field, string value] pairs
+ * @param {CaptureMetadata} metadata
+ * @returns {Array<[Object, string]>}
+ * @private
+ */
+function toEntries(metadata = {}) {
+  return METADATA_FIELDS
+    .filter(field => metadata[field.name] !== undefined && metadata[field.name] !== null && metadata[field.name] !== '')
+    .map(field => [field, String(metadata[field.name])]);
+}
+
+/**
+ * Build a metadata object from tag name/value pairs
+ * @param {Map<string, string>} values - Values keyed by PNG keyword or WebM tag name
+ * @param {'png'|'webm'} format
+ * @returns {CaptureMetadata|null} Metadata, or null when none of the fields are present
+ * @private
+ */
+function fromValues(values, format) {
+  const metadata = {};
+
+  for (const field of METADATA_FIELDS) {
+    if (!values.has(field[format])) {
+      continue;
+    }
+
+    const value = values.get(field[format]);
+    if (field.numeric) {
+      const number = Number(value);
+      if (Number.isFinite(number)) {
+        metadata[field.name] = number;
+      }
+    } else {
+      metadata[field.name] = value;
+    }
+  }
+
+  return Object.keys(metadata).length > 0 ? metadata : null;
+}
+
+// ============================================================================
+// PNG
+// ============================================================================
+
+/**
+ * Check for the PNG signature
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ * @private
+ */
+function isPng(bytes) {
+  return bytes.length >= PNG_SIGNATURE.length && PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+/**
+ * Decode Latin-1 text (tEXt chunks and keywords)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ * @private
+ */
+function decodeLatin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+/**
+ * Encode one PNG chunk (length, type, data, CRC)
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array}
+ * @private
+ */
+function encodePngChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, data.length);
+  chunk.set(textEncoder.encode(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+
+  return chunk;
+}
+
+/**
+ * Encode a keyword/value pair as tEXt, or iTXt (UTF-8) when the value is not plain ASCII
+ * @param {string} keyword - Latin-1 keyword (1-79 characters)
+ * @param {string} value
+ * @returns {Uint8Array}
+ * @private
+ */
+function encodePngText(keyword, value) {
+  const keywordBytes = textEncoder.encode(keyword);
+  const valueBytes = textEncoder.encode(value);
+
+  // ASCII encodes the same in Latin-1 and UTF-8
+  if (valueBytes.length === value.length) {
+    return encodePngChunk('tEXt', concat([keywordBytes, new Uint8Array([0]), valueBytes]));
+  }
+
+  // Keyword, null, compression flag and method, empty language tag and translated keyword
+  return encodePngChunk('iTXt', concat([keywordBytes, new Uint8Array([0, 0, 0, 0, 0]), valueBytes]));
+}
+
+/**
+ * Add metadata text chunks to a PNG
+ * Chunks go right after IHDR, so readers that stop before the image data still see them.
+ * @param {Uint8Array} bytes - PNG file
+ * @param {CaptureMetadata} metadata
+ * @returns {Uint8Array} PNG with metadata
+ * @throws {Error} If the bytes are not a PNG
+ */
+function embedPngMetadata(bytes, metadata) {
+  if (!isPng(bytes) || textDecoder.decode(bytes.subarray(12, 16)) !== 'IHDR') {
+    throw new Error('Not a PNG image');
+  }
+
+  const chunks = toEntries(metadata).map(([field, value]) => encodePngText(field.png, value));
+
+  return concat([bytes.subarray(0, PNG_IHDR_END), ...chunks, bytes.subarray(PNG_IHDR_END)]);
+}
+
+/**
+ * Read tEXt and uncompressed iTXt chunks from a PNG
+ * @param {Uint8Array} bytes - PNG file (or its start)
+ * @returns {Map<string, string>} Values by keyword
+ * @private
+ */
+function readPngText(bytes) {
+  const values = new Map();
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = textDecoder.decode(bytes.subarray(offset + 4, offset + 8));
+    const dataStart = offset + 8;
+    const dataEnd = dataStart + length;
+
+    if (type === 'IEND' || dataEnd > bytes.length) {
+      break;
+    }
+
+    const data = bytes.subarray(dataStart, dataEnd);
+    const keywordEnd = data.indexOf(0);
+
+    if (type === 'tEXt' && keywordEnd > 0) {
+      values.set(decodeLatin1(data.subarray(0, keywordEnd)), decodeLatin1(data.subarray(keywordEnd + 1)));
+    } else if (type === 'iTXt' && keywordEnd > 0 && data[keywordEnd + 1] === 0) {
+      // Skip compression flag/method, then the language tag and translated keyword
+      const languageEnd = data.indexOf(0, keywordEnd + 3);
+      const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+      if (translatedEnd !== -1) {
+        values.set(
+          decodeLatin1(data.subarray(0, keywordEnd)),
+          textDecoder.decode(data.subarray(translatedEnd + 1))
+        );
+      }
+    }
+
+    offset = dataEnd + 4;
+  }
+
+  return values;
+}
+
+// ============================================================================
+// WebM
+// ============================================================================
+
+/**
+ * Encode a Tags element holding one segment-wide tag per metadata field
+ * @param {CaptureMetadata} metadata
+ * @returns {Uint8Array}
+ * @private
+ */
+function encodeWebmTags(metadata) {
+  const simpleTags = toEntries(metadata).map(([field, value]) => encodeElement(EBML_ID.SIMPLE_TAG, concat([
+    encodeElement(EBML_ID.TAG_NAME, textEncoder.encode(field.webm)),
+    encodeElement(EBML_ID.TAG_STRING, textEncoder.encode(value))
+  ])));
+
+  // Empty Targets applies the tag to the whole segment
+  const tag = encodeElement(EBML_ID.TAG, concat([encodeElement(EBML_ID.TARGETS, new Uint8Array(0)), ...simpleTags]));
+  return encodeElement(EBML_ID.TAGS, tag);
+}
+
+/**
+ * Add metadata tags to the start of a WebM recording
+ * MediaRecorder writes WebM for live streaming: the Segment has an unknown size and
+ * there is no seek index, so a Tags element can go in front of the first Cluster
+ * without rewriting any sizes or offsets. Only the start of the file is needed.
+ * @param {Uint8Array} bytes - WebM file, or its first chunk
+ * @param {CaptureMetadata} metadata
+ * @returns {Uint8Array} Bytes with the Tags element inserted
+ * @throws {Error} If the bytes are not a live WebM header this can tag
+ */
+function embedWebmMetadata(bytes, metadata) {
+  const header = isWebm(bytes) ? readElementHeader(bytes, 0) : null;
+  if (!header || header.size === null) {
+    throw new Error('Not a WebM file');
+  }
+
+  const segment = readElementHeader(bytes, header.dataStart + header.size);
+  if (!segment || segment.id !== EBML_ID.SEGMENT) {
+    throw new Error('WebM segment not found');
+  }
+
+  if (segment.size !== null) {
+    throw new Error('WebM segment has a fixed size');
+  }
+
+  let offset = segment.dataStart;
+  while (offset < bytes.length) {
+    const element = readElementHeader(bytes, offset);
+    if (!element) {
+      throw new Error('WebM header is incomplete');
+    }
+
+    if (element.id === EBML_ID.CLUSTER) {
+      break;
+    }
+
+    if (element.id === EBML_ID.SEEK_HEAD || element.id === EBML_ID.TAGS) {
+      throw new Error('WebM file is already indexed or tagged');
+    }
+
+    if (element.size === null || element.dataStart + element.size > bytes.length) {
+      throw new Error('WebM header is incomplete');
+    }
+
+    offset = element.dataStart + element.size;
+  }
+
+  return concat([bytes.subarray(0, offset), encodeWebmTags(metadata), bytes.subarray(offset)]);
+}
+
+/**
+ * Collect SimpleTag name/value pairs from a Tags element
+ * @param {Uint8Array} bytes
+ * @param {number} start - Tags data start
+ * @param {number} end - Tags data end
+ * @param {Map<string, string>} values - Output
+ * @private
+ */
+function readWebmTags(bytes, start, end, values) {
+  let offset = start;
+
+  while (offset < end) {
+    const element = readElementHeader(bytes, offset);
+    if (!element || element.size === null) {
+      return;
+    }
+
+    const dataEnd = Math.min(end, element.dataStart + element.size);
+
+    if (element.id === EBML_ID.TAG) {
+      readWebmTags(bytes, element.dataStart, dataEnd, values);
+    } else if (element.id === EBML_ID.SIMPLE_TAG) {
+      let name = null;
+      let value = null;
+      let child = element.dataStart;
+
+      while (child < dataEnd) {
+        const field = readElementHeader(bytes, child);
+        if (!field || field.size === null) {
+          break;
+        }
+
+        const text = textDecoder.decode(bytes.subarray(field.dataStart, field.dataStart + field.size));
+        if (field.id === EBML_ID.TAG_NAME) {
+          name = text;
+        } else if (field.id === EBML_ID.TAG_STRING) {
+          value = text;
+        }
+        child = field.dataStart + field.size;
+      }
+
+      if (name !== null && value !== null) {
+        values.set(name, value);
+      }
+    }
+
+    offset = element.dataStart + element.size;
+  }
+}
+
+/**
+ * Read segment-level tags from the start of a WebM file
+ * Stops at the first unknown-size Cluster, so only tags in front of the media are found.
+ * @param {Uint8Array} bytes - WebM file (or its start)
+ * @returns {Map<string, string>} Values by tag name
+ * @private
+ */
+function readWebmTagValues(bytes) {
+  const values = new Map();
+  const header = readElementHeader(bytes, 0);
+  const segment = header && header.size !== null ? readElementHeader(bytes, header.dataStart + header.size) : null;
+
+  if (!segment || segment.id !== EBML_ID.SEGMENT) {
+    return values;
+  }
+
+  let offset = segment.dataStart;
+  while (offset < bytes.length) {
+    const element = readElementHeader(bytes, offset);
+    if (!element || element.size === null) {
+      break;
+    }
+
+    if (element.id === EBML_ID.TAGS) {
+      readWebmTags(bytes, element.dataStart, Math.min(bytes.length, element.dataStart + element.size), values);
+    }
+
+    offset = element.dataStart + element.size;
+  }
+
+  return values;
+}
+
+/**
+ * Read capture metadata from a PNG or WebM file
+ * @param {Uint8Array} bytes - File contents; for WebM the first 64 KB is enough
+ * @returns {CaptureMetadata|null} Metadata, or null if the file has none
+ */
+function readCaptureMetadata(bytes) {
+  if (isPng(bytes)) {
+    return fromValues(readPngText(bytes), 'png');
+  }
+
+  if (isWebm(bytes)) {
+    return fromValues(readWebmTagValues(bytes), 'webm');
+  }
+
+  return null;
+}
+
+export {
+  embedPngMetadata,
+  embedWebmMetadata,
+  readCaptureMetadata
+};
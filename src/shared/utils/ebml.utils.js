@@ -0,0 +1,179 @@
+/**
+ * EBML utilities
+ *
+ * Reads and writes the EBML elements Matroska/WebM files are made of.
+ * Shared by the capture metadata tagging and the recording trimmer.
+ */
+
+// Matroska element IDs (marker bits included)
+const EBML_ID = Object.freeze({
+  HEADER: 0x1a45dfa3,
+  SEGMENT: 0x18538067,
+  SEEK_HEAD: 0x114d9b74,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_NUMBER: 0xd7,
+  TRACK_TYPE: 0x83,
+  CLUSTER: 0x1f43b675,
+  TIMECODE: 0xe7,
+  SIMPLE_BLOCK: 0xa3,
+  BLOCK_GROUP: 0xa0,
+  BLOCK: 0xa1,
+  REFERENCE_BLOCK: 0xfb,
+  CUES: 0x1c53bb6b,
+  CHAPTERS: 0x1043a770,
+  ATTACHMENTS: 0x1941a469,
+  TAGS: 0x1254c367,
+  TAG: 0x7373,
+  TARGETS: 0x63c0,
+  SIMPLE_TAG: 0x67c8,
+  TAG_NAME: 0x45a3,
+  TAG_STRING: 0x4487,
+  VOID: 0xec
+});
+
+/**
+ * Check for the EBML magic number
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function isWebm(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3;
+}
+
+/**
+ * Length of a variable-size integer from its first byte
+ * @param {number} firstByte
+ * @returns {number} 1-8, or 0 if invalid
+ */
+function vintLength(firstByte) {
+  for (let length = 1; length <= 8; length++) {
+    if (firstByte & (0x100 >> length)) {
+      return length;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Read an EBML element header
+ * @param {Uint8Array} bytes
+ * @param {number} offset - Element start
+ * @returns {{id: number, size: number|null, dataStart: number}|null} Header (size null when unknown),
+ *   or null if the header is cut off
+ */
+function readElementHeader(bytes, offset) {
+  const idLength = vintLength(bytes[offset]);
+  if (!idLength || idLength > 4 || offset + idLength >= bytes.length) {
+    return null;
+  }
+
+  let id = 0;
+  for (let i = 0; i < idLength; i++) {
+    id = id * 256 + bytes[offset + i];
+  }
+
+  const sizeOffset = offset + idLength;
+  const sizeLength = vintLength(bytes[sizeOffset]);
+  if (!sizeLength || sizeOffset + sizeLength > bytes.length) {
+    return null;
+  }
+
+  let size = bytes[sizeOffset] & (0xff >> sizeLength);
+  let isUnknown = size === (0xff >> sizeLength);
+  for (let i = 1; i < sizeLength; i++) {
+    const byte = bytes[sizeOffset + i];
+    size = size * 256 + byte;
+    isUnknown = isUnknown && byte === 0xff;
+  }
+
+  return { id, size: isUnknown ? null : size, dataStart: sizeOffset + sizeLength };
+}
+
+/**
+ * Read an unsigned integer element value
+ * @param {Uint8Array} bytes
+ * @param {number} start - Data start
+ * @param {number} size - Data size (up to 7 bytes stay exact)
+ * @returns {number}
+ */
+function readUint(bytes, start, size) {
+  let value = 0;
+  for (let i = 0; i < size; i++) {
+    value = value * 256 + bytes[start + i];
+  }
+  return value;
+}
+
+/**
+ * Encode an EBML element header
+ * @param {number} id - Element ID (marker bits included)
+ * @param {number} size - Data size in bytes
+ * @returns {Uint8Array}
+ */
+function encodeElementHeader(id, size) {
+  const idBytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) {
+    idBytes.unshift(value % 256);
+  }
+
+  // Smallest size field that fits; all-ones values are reserved for "unknown"
+  let sizeLength = 1;
+  while (size >= 2 ** (7 * sizeLength) - 1) {
+    sizeLength++;
+  }
+
+  const header = new Uint8Array(idBytes.length + sizeLength);
+  header.set(idBytes);
+
+  let remaining = size;
+  for (let i = header.length - 1; i >= idBytes.length; i--) {
+    header[i] = remaining % 256;
+    remaining = Math.floor(remaining / 256);
+  }
+  header[idBytes.length] |= 0x100 >> sizeLength;
+
+  return header;
+}
+
+/**
+ * Encode an EBML element
+ * @param {number} id - Element ID (marker bits included)
+ * @param {Uint8Array} data - Element data
+ * @returns {Uint8Array}
+ */
+function encodeElement(id, data) {
+  const header = encodeElementHeader(id, data.length);
+  const element = new Uint8Array(header.length + data.length);
+  element.set(header);
+  element.set(data, header.length);
+  return element;
+}
+
+/**
+ * Encode an unsigned integer element
+ * @param {number} id - Element ID (marker bits included)
+ * @param {number} value - Non-negative integer
+ * @returns {Uint8Array}
+ */
+function encodeUintElement(id, value) {
+  const bytes = [];
+  for (let remaining = value; remaining > 0 || bytes.length === 0; remaining = Math.floor(remaining / 256)) {
+    bytes.unshift(remaining % 256);
+  }
+  return encodeElement(id, new Uint8Array(bytes));
+}
+
+export {
+  EBML_ID,
+  isWebm,
+  vintLength,
+  readElementHeader,
+  readUint,
+  encodeElementHeader,
+  encodeElement,
+  encodeUintElement
+};
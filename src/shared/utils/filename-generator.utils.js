@@ -1,8 +1,41 @@
 /**
  * Filename Generator - Centralized file naming utilities
- * Provides consistent timestamp and filename generation
+ * Provides consistent timestamp and filename generation, and renders the
+ * user's capture filename template
  */
 
+import { CAPTURE_NAMING, RENDER_PRESET_FILES } from '@shared/config/constants.config.js';
+
+/**
+ * Characters Windows, macOS or Linux do not allow in a filename
+ */
+const ILLEGAL_FILENAME_CHARACTERS = '<>:"/\\|?*';
+
+/**
+ * Names Windows reserves for devices, with or without an extension
+ */
+const RESERVED_NAME_PATTERN = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+
+/**
+ * Prefix of interval screenshot session folders
+ */
+const INTERVAL_SESSION_PREFIX = 'prismgb-interval-';
+
+/**
+ * Prefix of PNG frame sequence folders
+ */
+const FRAME_SEQUENCE_PREFIX = 'prismgb-frames-';
+
+/**
+ * Ending of the audio-only commentary file saved next to a recording
+ */
+const COMMENTARY_SUFFIX = '-commentary.webm';
+
+/**
+ * Stand-in for a token that rendered empty (Unicode private use, never typed)
+ */
+const EMPTY_TOKEN = '\uE000';
+
 class FilenameGenerator {
   /**
    * Generate timestamp in format: YYYYMMDD-HHMMSS-mmm
@@ -21,22 +54,289 @@ class FilenameGenerator {
     return `${year}${month}${day}-${hours}${minutes}${seconds}-${millis}`;
   }
 
+  /**
+   * Check a filename template before it is saved
+   * @param {string} template - Template such as 'prismgb-{type}-{date}-{time}'
+   * @returns {string|null} Reason the template is rejected, or null if it is valid
+   */
+  static validateTemplate(template) {
+    if (typeof template !== 'string' || template.trim() === '') {
+      return 'Enter a filename template';
+    }
+
+    if (template.length > CAPTURE_NAMING.MAX_TEMPLATE_LENGTH) {
+      return `Keep the template under ${CAPTURE_NAMING.MAX_TEMPLATE_LENGTH} characters`;
+    }
+
+    for (const char of template) {
+      if (char.charCodeAt(0) < 32) {
+        return 'Filenames cannot contain control characters';
+      }
+      if (ILLEGAL_FILENAME_CHARACTERS.includes(char)) {
+        return `Filenames cannot contain ${char}`;
+      }
+    }
+
+    const unknown = [...template.matchAll(/\{([^{}]*)\}/g)]
+      .find(([, token]) => !CAPTURE_NAMING.TOKENS.includes(token));
+    if (unknown) {
+      return `Unknown token ${unknown[0]}`;
+    }
+
+    const literal = template.replace(/\{[^{}]*\}/g, '');
+    if (literal.includes('{') || literal.includes('}')) {
+      return 'Unmatched { or }';
+    }
+
+    if (/[. ]$/.test(template)) {
+      return 'Filenames cannot end with a dot or space';
+    }
+
+    if (RESERVED_NAME_PATTERN.test(template)) {
+      return `${template} is a reserved name`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Render a filename template into a base name (no extension)
+   * Token values are reduced to safe ASCII, and a token with no value is dropped
+   * together with the separator before it, so '{game}-{date}' without a game
+   * gives just the date. An invalid template falls back to the default one.
+   * @param {string} template - Filename template
+   * @param {Object} values - Token values
+   * @param {string} values.type - Capture type ('screenshot', 'recording', ...)
+   * @param {string|null} [values.game] - Game tagged on the open note
+   * @param {string|null} [values.preset] - Render preset ID
+   * @param {string|null} [values.device] - Device profile ID
+   * @param {number|null} [values.counter] - Capture counter
+   * @param {Date} [values.date] - Capture time (defaults to now)
+   * @returns {string} Base name
+   * @example FilenameGenerator.fromTemplate('{game}-{counter}', { type: 'screenshot', game: 'Pokémon Gold', counter: 7 }) // 'Pokemon-Gold-0007'
+   */
+  static fromTemplate(template, { type, game = null, preset = null, device = null, counter = null, date = new Date() } = {}) {
+    const source = this.validateTemplate(template) === null ? template : CAPTURE_NAMING.DEFAULT_TEMPLATE;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const values = {
+      type,
+      game,
+      preset,
+      device,
+      date: `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`,
+      time: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`,
+      counter: Number.isInteger(counter) ? pad(counter, CAPTURE_NAMING.COUNTER_DIGITS) : null
+    };
+
+    const rendered = source
+      .replace(/\{(\w+)\}/g, (match, token) => this.sanitizeName(values[token] ?? '') || EMPTY_TOKEN)
+      .replace(new RegExp(`^(${EMPTY_TOKEN}[-_. ]*)+`), '')
+      .replace(new RegExp(`[-_. ]*${EMPTY_TOKEN}`, 'g'), '')
+      .replace(/[. ]+$/, '');
+
+    if (!rendered) {
+      // Every token was empty, e.g. '{game}' with no game tagged
+      return `prismgb-${type}-${values.date}-${values.time}`;
+    }
+
+    return RESERVED_NAME_PATTERN.test(rendered) ? `${rendered}_` : rendered;
+  }
+
+  /**
+   * Reduce a value to a filename-safe name
+   * Accents are dropped and anything other than letters, digits, '.', '_' and
+   * '-' becomes a single '-'. Used for template tokens and per-game folders.
+   * @param {string} value
+   * @returns {string} Safe name, or '' if nothing is left
+   * @example FilenameGenerator.sanitizeName('Zelda: Link\'s Awakening') // 'Zelda-Link-s-Awakening'
+   */
+  static sanitizeName(value) {
+    return String(value ?? '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-zA-Z0-9._-]+/g, '-')
+      .replace(/^[-.]+|[-.]+$/g, '');
+  }
+
+  /**
+   * Check whether a folder name is an interval screenshot or frame sequence folder
+   * @param {string} name - Folder name
+   * @returns {boolean}
+   */
+  static isSessionFolder(name) {
+    return typeof name === 'string' &&
+      (name.startsWith(INTERVAL_SESSION_PREFIX) || name.startsWith(FRAME_SEQUENCE_PREFIX));
+  }
+
+  /**
+   * Check whether a file is the audio-only commentary of a recording
+   * @param {string} filename - File name or path
+   * @returns {boolean}
+   */
+  static isCommentary(filename) {
+    return typeof filename === 'string' && filename.toLowerCase().endsWith(COMMENTARY_SUFFIX);
+  }
+
   /**
    * Generate screenshot filename
+   * @param {string} [baseName] - Name from the filename template; defaults to a timestamped one
    * @returns {string} Screenshot filename
    * @example 'prismgb-screenshot-20250120-143022.png'
    */
-  static forScreenshot() {
-    return `prismgb-screenshot-${this.timestamp()}.png`;
+  static forScreenshot(baseName = `prismgb-screenshot-${this.timestamp()}`) {
+    return `${baseName}.png`;
   }
 
   /**
    * Generate recording filename
+   * @param {'webm'|'mp4'} [format='webm'] - Recording container
+   * @param {string} [baseName] - Name from the filename template; defaults to a timestamped one
    * @returns {string} Recording filename
    * @example 'prismgb-recording-20250120-143022.webm'
    */
-  static forRecording() {
-    return `prismgb-recording-${this.timestamp()}.webm`;
+  static forRecording(format = 'webm', baseName = `prismgb-recording-${this.timestamp()}`) {
+    const extension = format === 'mp4' ? 'mp4' : 'webm';
+    return `${baseName}.${extension}`;
+  }
+
+  /**
+   * Generate filename for one segment of a split recording
+   * All segments of a recording share the session ID, so they sort together in order.
+   * @param {string} sessionId - Recording session ID (see FilenameGenerator.timestamp)
+   * @param {number} index - 1-based segment number
+   * @param {'webm'|'mp4'} [format='webm'] - Recording container
+   * @param {string} [baseName] - Name from the filename template; defaults to one built from the session ID
+   * @returns {string} Segment filename
+   * @example 'prismgb-recording-20250120-143022-000-part001.webm'
+   */
+  static forRecordingSegment(sessionId, index, format = 'webm', baseName = `prismgb-recording-${sessionId}`) {
+    const extension = format === 'mp4' ? 'mp4' : 'webm';
+    return `${baseName}-part${String(index).padStart(3, '0')}.${extension}`;
+  }
+
+  /**
+   * Generate instant replay filename
+   * @param {string} [baseName] - Name from the filename template; defaults to a timestamped one
+   * @returns {string} Replay filename
+   * @example 'prismgb-replay-20250120-143022.webm'
+   */
+  static forReplay(baseName = `prismgb-replay-${this.timestamp()}`) {
+    return `${baseName}.webm`;
+  }
+
+  /**
+   * Generate animated clip filename
+   * APNG uses the .png extension so it opens everywhere a PNG does.
+   * @param {'gif'|'apng'} format - Clip format
+   * @param {string} [baseName] - Name from the filename template; defaults to a timestamped one
+   * @returns {string} Clip filename
+   * @example 'prismgb-clip-20250120-143022.gif'
+   */
+  static forClip(format, baseName = `prismgb-clip-${this.timestamp()}`) {
+    const extension = format === 'apng' ? 'png' : 'gif';
+    return `${baseName}.${extension}`;
+  }
+
+  /**
+   * Generate the session folder name for interval screenshots
+   * @returns {string} Folder name inside the capture folder
+   * @example 'prismgb-interval-20250120-143022-000'
+   */
+  static forIntervalSession() {
+    return `${INTERVAL_SESSION_PREFIX}${this.timestamp()}`;
+  }
+
+  /**
+   * Generate filename for one screenshot of an interval session
+   * Numbered so the session folder sorts in capture order.
+   * @param {number} index - 1-based shot number
+   * @returns {string} Screenshot filename
+   * @example 'prismgb-interval-00001.png'
+   */
+  static forIntervalShot(index) {
+    return `prismgb-interval-${String(index).padStart(5, '0')}.png`;
+  }
+
+  /**
+   * Generate the folder name for a PNG frame sequence
+   * @returns {string} Folder name inside the capture folder
+   * @example 'prismgb-frames-20250120-143022-000'
+   */
+  static forFrameSequence() {
+    return `${FRAME_SEQUENCE_PREFIX}${this.timestamp()}`;
+  }
+
+  /**
+   * Generate filename for one frame of a PNG frame sequence
+   * @param {number} index - 1-based frame number
+   * @returns {string} Frame filename
+   * @example 'frame-00001.png'
+   */
+  static forSequenceFrame(index) {
+    return `frame-${String(index).padStart(5, '0')}.png`;
+  }
+
+  /**
+   * Generate the timing manifest filename of a PNG frame sequence
+   * @returns {string} Manifest filename
+   */
+  static forFrameSequenceManifest() {
+    return 'frames.json';
+  }
+
+  /**
+   * Generate timelapse filename
+   * @param {string} [baseName] - Name from the filename template; defaults to a timestamped one
+   * @returns {string} Timelapse filename
+   * @example 'prismgb-timelapse-20250120-143022.mp4'
+   */
+  static forTimelapse(baseName = `prismgb-timelapse-${this.timestamp()}`) {
+    return `${baseName}.mp4`;
+  }
+
+  /**
+   * Generate the commentary filename that goes with a recording
+   * A split recording gets one commentary file named after the session.
+   * @param {string} recordingFilename - Recording or first segment filename
+   * @returns {string} Commentary filename
+   * @example 'prismgb-recording-20250120-143022-commentary.webm'
+   */
+  static forCommentary(recordingFilename) {
+    const base = recordingFilename.replace(/\.[^.]+$/, '').replace(/-part\d+$/, '');
+    return `${base}${COMMENTARY_SUFFIX}`;
+  }
+
+  /**
+   * Generate the raw feed filename that goes with a dual-track recording
+   * Each segment of a split recording gets its own raw file.
+   * @param {string} recordingFilename - Recording or segment filename
+   * @returns {string} Raw track filename
+   * @example 'prismgb-recording-20250120-143022-part002-raw.webm'
+   */
+  static forRawTrack(recordingFilename) {
+    return recordingFilename.replace(/(\.[^.]+)?$/, '-raw$1');
+  }
+
+  /**
+   * Generate the name of a file saved next to a recording (e.g. its chapters)
+   * Works on a full path too, keeping the directory.
+   * @param {string} recordingFilename - Recording filename or path
+   * @param {string} extension - Sidecar extension, e.g. RECORDING_MARKERS.CHAPTERS_EXTENSION
+   * @returns {string} Sidecar filename
+   * @example 'prismgb-recording-20250120-143022.chapters.vtt'
+   */
+  static forSidecar(recordingFilename, extension) {
+    return `${recordingFilename.replace(/\.[^./\\]+$/, '')}${extension}`;
+  }
+
+  /**
+   * Generate the filename a render preset is exported as
+   * @param {string} presetName - Preset display name
+   * @returns {string} Preset filename
+   * @example 'Night-Owl.prismgb-preset.json'
+   */
+  static forRenderPreset(presetName) {
+    return `${this.sanitizeName(presetName) || 'render-preset'}${RENDER_PRESET_FILES.EXTENSION}`;
   }
 }
 
@@ -55,6 +55,28 @@ function formatDeviceInfo(device) {
   };
 }
 
+/**
+ * Formats a duration as m:ss, or h:mm:ss from one hour up.
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ *
+ * @example
+ * formatDuration(83000) // Returns: "1:23"
+ * formatDuration(3723000) // Returns: "1:02:03"
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
 export {
-  formatDeviceInfo
+  formatDeviceInfo,
+  formatDuration
 };
@@ -0,0 +1,113 @@
+/**
+ * Recording marker utilities
+ *
+ * Builds the chapter files saved next to a marked recording (WebVTT chapters
+ * for players, JSON for PrismGB and scripts), reads the JSON back, and moves
+ * markers along when a recording is trimmed. Works in both processes.
+ */
+
+import { RECORDING_MARKERS } from '@shared/config/constants.config.js';
+
+/**
+ * @typedef {Object} RecordingMarker
+ * @property {number} timeMs - Position in the recording, excluding paused time
+ * @property {string} label - Marker label
+ */
+
+/**
+ * Format a time as a WebVTT timestamp
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} hh:mm:ss.ttt
+ * @private
+ */
+function formatVttTimestamp(ms) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = String(Math.floor(total / 3600000)).padStart(2, '0');
+  const minutes = String(Math.floor(total / 60000) % 60).padStart(2, '0');
+  const seconds = String(Math.floor(total / 1000) % 60).padStart(2, '0');
+  const millis = String(total % 1000).padStart(3, '0');
+  return `${hours}:${minutes}:${seconds}.${millis}`;
+}
+
+/**
+ * Clean up a marker label: one line, trimmed, within MAX_LABEL_LENGTH
+ * @param {*} label
+ * @returns {string} Label, or '' when nothing usable is left
+ */
+export function normalizeMarkerLabel(label) {
+  if (typeof label !== 'string') {
+    return '';
+  }
+  return label.replace(/\s+/g, ' ').trim().slice(0, RECORDING_MARKERS.MAX_LABEL_LENGTH).trim();
+}
+
+/**
+ * Build a WebVTT chapters file with one chapter per marker
+ * Each chapter runs until the next marker, the last one until the end.
+ * @param {RecordingMarker[]} markers - Markers in time order
+ * @param {number} durationMs - Recording length
+ * @returns {string} WebVTT text
+ */
+export function createChaptersVtt(markers, durationMs) {
+  const cues = markers.map((marker, i) => {
+    const endMs = i + 1 < markers.length ? markers[i + 1].timeMs : durationMs;
+    const label = marker.label.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    // Cues must end after they start, even for markers dropped on the same frame
+    return `${i + 1}\n${formatVttTimestamp(marker.timeMs)} --> ${formatVttTimestamp(Math.max(endMs, marker.timeMs + 1))}\n${label}`;
+  });
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+/**
+ * Build the JSON marker file
+ * @param {Object} chapters
+ * @param {string} chapters.recording - Recording filename
+ * @param {number} chapters.durationMs - Recording length
+ * @param {RecordingMarker[]} chapters.markers - Markers in time order
+ * @returns {string} JSON text
+ */
+export function createMarkersJson({ recording, durationMs, markers }) {
+  return JSON.stringify({
+    recording,
+    durationMs: Math.round(durationMs),
+    markers: markers.map(({ timeMs, label }) => ({ timeMs: Math.round(timeMs), label }))
+  }, null, 2);
+}
+
+/**
+ * Read the markers from a JSON marker file
+ * Entries without a time or label are skipped.
+ * @param {string} text - File contents
+ * @returns {RecordingMarker[]|null} Markers in time order, or null if the file is not a marker file
+ */
+export function parseMarkersJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+
+  if (!Array.isArray(data?.markers)) {
+    return null;
+  }
+
+  return data.markers
+    .filter(marker => Number.isFinite(marker?.timeMs) && marker.timeMs >= 0 && normalizeMarkerLabel(marker.label))
+    .map(marker => ({ timeMs: marker.timeMs, label: normalizeMarkerLabel(marker.label) }))
+    .sort((a, b) => a.timeMs - b.timeMs);
+}
+
+/**
+ * Keep the markers inside a trimmed range, relative to its start
+ * @param {RecordingMarker[]} markers
+ * @param {number} startMs - Range start
+ * @param {number} endMs - Range end
+ * @returns {RecordingMarker[]}
+ */
+export function trimMarkers(markers, startMs, endMs) {
+  return markers
+    .filter(marker => marker.timeMs >= startMs && marker.timeMs < endMs)
+    .map(marker => ({ ...marker, timeMs: marker.timeMs - startMs }));
+}
@@ -0,0 +1,35 @@
+/**
+ * Recording Quality Utilities
+ *
+ * Codec support checks and file size estimates for the recording quality
+ * settings (see RECORDING_QUALITY).
+ */
+
+import { RECORDING_QUALITY } from '@shared/config/constants.config.js';
+
+/**
+ * Check if MediaRecorder can write WebM with a codec
+ * @param {string} codec - Codec ID from RECORDING_QUALITY.CODECS
+ * @returns {boolean} True if the codec can be recorded
+ */
+export function isRecordingCodecSupported(codec) {
+  const mimeType = RECORDING_QUALITY.CODEC_MIME_TYPES[codec];
+  return Boolean(mimeType) &&
+    typeof MediaRecorder !== 'undefined' &&
+    MediaRecorder.isTypeSupported(mimeType);
+}
+
+/**
+ * Estimate how much a minute of recording takes on disk
+ * Encoders stay close to the target bitrate for the busy, full-colour frames
+ * of most games, so this is an upper bound for static screens.
+ * @param {Object} quality
+ * @param {number} quality.videoBitrateKbps - Video bitrate in kbit/s
+ * @param {number} quality.audioBitrateKbps - Audio bitrate in kbit/s
+ * @returns {number} Megabytes per minute
+ * @example estimateMegabytesPerMinute({ videoBitrateKbps: 2500, audioBitrateKbps: 128 }) // 19.71
+ */
+export function estimateMegabytesPerMinute({ videoBitrateKbps, audioBitrateKbps }) {
+  const bytesPerMinute = (videoBitrateKbps + audioBitrateKbps) * 1000 * 60 / 8;
+  return Math.round(bytesPerMinute / 1e4) / 100;
+}
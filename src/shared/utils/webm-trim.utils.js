@@ -0,0 +1,420 @@
+/**
+ * WebM trim utilities
+ *
+ * Cuts a WebM recording down to a time range without re-encoding. Blocks are
+ * copied as they are: the cut starts on the last video keyframe at or before the
+ * in point (so it may start slightly early) and stops after the last block at or
+ * before the out point. Handles the live-style files MediaRecorder writes, with an
+ * unknown-size Segment and Clusters.
+ */
+
+import {
+  EBML_ID,
+  isWebm,
+  vintLength,
+  readElementHeader,
+  readUint,
+  encodeElementHeader,
+  encodeUintElement
+} from '@shared/utils/ebml.utils.js';
+
+// Nanoseconds per timestamp tick when Info does not say (1 ms)
+const DEFAULT_TIMECODE_SCALE = 1000000;
+const TRACK_TYPE_VIDEO = 1;
+const SIMPLE_BLOCK_KEYFRAME_FLAG = 0x80;
+// Block timestamps are signed 16-bit offsets from their Cluster's timestamp
+const MAX_BLOCK_OFFSET = 0x7fff;
+
+// Top-level elements; one of these ends an unknown-size Cluster
+const TOP_LEVEL_IDS = new Set([
+  EBML_ID.SEEK_HEAD,
+  EBML_ID.INFO,
+  EBML_ID.TRACKS,
+  EBML_ID.CLUSTER,
+  EBML_ID.CUES,
+  EBML_ID.CHAPTERS,
+  EBML_ID.ATTACHMENTS,
+  EBML_ID.TAGS
+]);
+
+// Top-level elements that index byte positions; they would point into the old layout
+const INDEX_IDS = new Set([EBML_ID.SEEK_HEAD, EBML_ID.CUES]);
+
+/**
+ * @typedef {Object} WebmBlock
+ * @property {number} start - Element start (SimpleBlock or BlockGroup)
+ * @property {number} end - Element end
+ * @property {number} track - Track number
+ * @property {number} timecodeOffset - Position of the block's 16-bit relative timestamp
+ * @property {number} time - Absolute timestamp in ticks
+ * @property {boolean} keyframe - True if decoding can start at this block
+ */
+
+/**
+ * Read the track number and relative timestamp of a Block or SimpleBlock
+ * @param {Uint8Array} bytes
+ * @param {number} start - Block data start
+ * @returns {{track: number, timecodeOffset: number, relative: number, flags: number}}
+ * @private
+ */
+function readBlockHeader(bytes, start) {
+  const trackLength = vintLength(bytes[start]);
+  if (!trackLength) {
+    throw new Error('Invalid WebM block');
+  }
+
+  let track = bytes[start] & (0xff >> trackLength);
+  for (let i = 1; i < trackLength; i++) {
+    track = track * 256 + bytes[start + i];
+  }
+
+  const timecodeOffset = start + trackLength;
+  const raw = (bytes[timecodeOffset] << 8) | bytes[timecodeOffset + 1];
+
+  return {
+    track,
+    timecodeOffset,
+    relative: raw > MAX_BLOCK_OFFSET ? raw - 0x10000 : raw,
+    flags: bytes[timecodeOffset + 2]
+  };
+}
+
+/**
+ * Read the block inside a BlockGroup
+ * A group without a ReferenceBlock does not depend on other frames.
+ * @param {Uint8Array} bytes
+ * @param {number} start - BlockGroup data start
+ * @param {number} end - BlockGroup data end
+ * @returns {{track: number, timecodeOffset: number, relative: number, keyframe: boolean}}
+ * @private
+ */
+function readBlockGroup(bytes, start, end) {
+  let block = null;
+  let hasReference = false;
+  let offset = start;
+
+  while (offset < end) {
+    const child = readElementHeader(bytes, offset);
+    if (!child || child.size === null) {
+      break;
+    }
+
+    if (child.id === EBML_ID.BLOCK) {
+      block = readBlockHeader(bytes, child.dataStart);
+    } else if (child.id === EBML_ID.REFERENCE_BLOCK) {
+      hasReference = true;
+    }
+    offset = child.dataStart + child.size;
+  }
+
+  if (!block) {
+    throw new Error('WebM block group has no block');
+  }
+
+  return { ...block, keyframe: !hasReference };
+}
+
+/**
+ * Read a Cluster's timestamp and blocks
+ * An unknown-size Cluster runs until the next top-level element. A block cut off
+ * at the end of the file (a recording that never finished) is ignored.
+ * @param {Uint8Array} bytes
+ * @param {{size: number|null, dataStart: number}} element - Cluster header
+ * @param {number} segmentEnd - End of the Segment data
+ * @returns {{end: number, blocks: Array<WebmBlock>}}
+ * @private
+ */
+function readCluster(bytes, element, segmentEnd) {
+  const clusterEnd = element.size === null ? segmentEnd : Math.min(segmentEnd, element.dataStart + element.size);
+  const blocks = [];
+  let timecode = 0;
+  let offset = element.dataStart;
+
+  while (offset < clusterEnd) {
+    const child = readElementHeader(bytes, offset);
+    if (!child || (element.size === null && TOP_LEVEL_IDS.has(child.id))) {
+      break;
+    }
+
+    if (child.size === null) {
+      throw new Error('Unsupported WebM cluster layout');
+    }
+
+    const childEnd = child.dataStart + child.size;
+    if (childEnd > clusterEnd) {
+      break;
+    }
+
+    if (child.id === EBML_ID.TIMECODE) {
+      timecode = readUint(bytes, child.dataStart, child.size);
+    } else if (child.id === EBML_ID.SIMPLE_BLOCK) {
+      const { track, timecodeOffset, relative, flags } = readBlockHeader(bytes, child.dataStart);
+      blocks.push({
+        start: offset,
+        end: childEnd,
+        track,
+        timecodeOffset,
+        time: timecode + relative,
+        keyframe: (flags & SIMPLE_BLOCK_KEYFRAME_FLAG) !== 0
+      });
+    } else if (child.id === EBML_ID.BLOCK_GROUP) {
+      const { track, timecodeOffset, relative, keyframe } = readBlockGroup(bytes, child.dataStart, childEnd);
+      blocks.push({ start: offset, end: childEnd, track, timecodeOffset, time: timecode + relative, keyframe });
+    }
+
+    offset = childEnd;
+  }
+
+  return { end: offset, blocks };
+}
+
+/**
+ * Read the timestamp scale and the position of the Duration from Info
+ * @param {Uint8Array} bytes
+ * @param {number} start - Info data start
+ * @param {number} end - Info data end
+ * @returns {{timecodeScale: number, duration: {offset: number, size: number}|null}}
+ * @private
+ */
+function readInfo(bytes, start, end) {
+  let timecodeScale = DEFAULT_TIMECODE_SCALE;
+  let duration = null;
+  let offset = start;
+
+  while (offset < end) {
+    const child = readElementHeader(bytes, offset);
+    if (!child || child.size === null) {
+      break;
+    }
+
+    if (child.id === EBML_ID.TIMECODE_SCALE) {
+      timecodeScale = readUint(bytes, child.dataStart, child.size) || DEFAULT_TIMECODE_SCALE;
+    } else if (child.id === EBML_ID.DURATION && (child.size === 4 || child.size === 8)) {
+      duration = { offset: child.dataStart, size: child.size };
+    }
+    offset = child.dataStart + child.size;
+  }
+
+  return { timecodeScale, duration };
+}
+
+/**
+ * Find the number of the first video track
+ * @param {Uint8Array} bytes
+ * @param {number} start - Tracks data start
+ * @param {number} end - Tracks data end
+ * @returns {number|null} Track number, or null for audio-only files
+ * @private
+ */
+function findVideoTrack(bytes, start, end) {
+  let offset = start;
+
+  while (offset < end) {
+    const entry = readElementHeader(bytes, offset);
+    if (!entry || entry.size === null) {
+      break;
+    }
+
+    const entryEnd = entry.dataStart + entry.size;
+    if (entry.id === EBML_ID.TRACK_ENTRY) {
+      let number = null;
+      let type = null;
+      let child = entry.dataStart;
+
+      while (child < entryEnd) {
+        const field = readElementHeader(bytes, child);
+        if (!field || field.size === null) {
+          break;
+        }
+
+        if (field.id === EBML_ID.TRACK_NUMBER) {
+          number = readUint(bytes, field.dataStart, field.size);
+        } else if (field.id === EBML_ID.TRACK_TYPE) {
+          type = readUint(bytes, field.dataStart, field.size);
+        }
+        child = field.dataStart + field.size;
+      }
+
+      if (type === TRACK_TYPE_VIDEO && number !== null) {
+        return number;
+      }
+    }
+
+    offset = entryEnd;
+  }
+
+  return null;
+}
+
+/**
+ * Pick the block time the cut starts at
+ * @param {Array<WebmBlock>} blocks - All blocks in file order
+ * @param {number|null} videoTrack - Video track number, or null for audio-only files
+ * @param {number} startTicks - Requested in point
+ * @returns {number} Time of the last cut point at or before the in point, or the first one after it
+ * @throws {Error} If the file has no keyframes
+ * @private
+ */
+function findCutTime(blocks, videoTrack, startTicks) {
+  let before = null;
+  let after = null;
+
+  for (const block of blocks) {
+    if (!block.keyframe || (videoTrack !== null && block.track !== videoTrack)) {
+      continue;
+    }
+
+    if (block.time <= startTicks) {
+      before = before === null ? block.time : Math.max(before, block.time);
+    } else {
+      after = after === null ? block.time : Math.min(after, block.time);
+    }
+  }
+
+  const cut = before ?? after;
+  if (cut === null) {
+    throw new Error('WebM file has no keyframes');
+  }
+  return cut;
+}
+
+/**
+ * Trim a WebM file to a time range without re-encoding
+ * @param {Uint8Array} bytes - Complete WebM file
+ * @param {Object} range
+ * @param {number} range.startMs - In point (snapped back to a keyframe)
+ * @param {number} range.endMs - Out point
+ * @returns {{parts: Array<Uint8Array>, startMs: number, endMs: number}} File contents as parts
+ *   (for a Blob), and the time range the cut covers in the source
+ * @throws {Error} If the bytes are not a WebM file this can trim, or the range is empty
+ */
+function trimWebm(bytes, { startMs, endMs }) {
+  if (!(endMs > startMs)) {
+    throw new Error('Trim range is empty');
+  }
+
+  const header = isWebm(bytes) ? readElementHeader(bytes, 0) : null;
+  if (!header || header.size === null) {
+    throw new Error('Not a WebM file');
+  }
+
+  const headerEnd = header.dataStart + header.size;
+  const segment = readElementHeader(bytes, headerEnd);
+  if (!segment || segment.id !== EBML_ID.SEGMENT) {
+    throw new Error('WebM segment not found');
+  }
+
+  const segmentEnd = segment.size === null ? bytes.length : Math.min(bytes.length, segment.dataStart + segment.size);
+  const head = [];
+  const clusters = [];
+  let info = { timecodeScale: DEFAULT_TIMECODE_SCALE, duration: null, start: 0 };
+  let videoTrack = null;
+  let offset = segment.dataStart;
+
+  while (offset < segmentEnd) {
+    const element = readElementHeader(bytes, offset);
+    if (!element) {
+      break;
+    }
+
+    if (element.id === EBML_ID.CLUSTER) {
+      const cluster = readCluster(bytes, element, segmentEnd);
+      clusters.push(cluster);
+      offset = cluster.end;
+      continue;
+    }
+
+    if (element.size === null) {
+      throw new Error('Unsupported WebM layout');
+    }
+
+    const end = element.dataStart + element.size;
+    if (end > segmentEnd) {
+      break;
+    }
+
+    // Everything after the media (Cues, late Tags) belongs to the old file
+    if (clusters.length === 0 && !INDEX_IDS.has(element.id)) {
+      if (element.id === EBML_ID.INFO) {
+        info = { ...readInfo(bytes, element.dataStart, end), start: offset };
+      } else if (element.id === EBML_ID.TRACKS) {
+        videoTrack = findVideoTrack(bytes, element.dataStart, end);
+      }
+      head.push({ start: offset, end });
+    }
+
+    offset = end;
+  }
+
+  const blocks = clusters.flatMap(cluster => cluster.blocks);
+  if (blocks.length === 0) {
+    throw new Error('WebM file has no media');
+  }
+
+  const ticksPerMs = 1000000 / info.timecodeScale;
+  const endTicks = endMs * ticksPerMs;
+  const cutTicks = findCutTime(blocks, videoTrack, startMs * ticksPerMs);
+  if (cutTicks > endTicks) {
+    throw new Error('No keyframe in the trim range');
+  }
+
+  // Rebuild each Cluster that keeps blocks, with timestamps shifted to start at zero
+  const media = [];
+  let lastTicks = cutTicks;
+
+  for (const cluster of clusters) {
+    const kept = cluster.blocks.filter(block => block.time >= cutTicks && block.time <= endTicks);
+    if (kept.length === 0) {
+      continue;
+    }
+
+    const base = kept.reduce((min, block) => Math.min(min, block.time), Infinity);
+    const parts = [encodeUintElement(EBML_ID.TIMECODE, base - cutTicks)];
+
+    for (const block of kept) {
+      const relative = block.time - base;
+      if (relative > MAX_BLOCK_OFFSET) {
+        throw new Error('WebM cluster is too long to trim');
+      }
+
+      parts.push(
+        bytes.subarray(block.start, block.timecodeOffset),
+        new Uint8Array([relative >> 8, relative & 0xff]),
+        bytes.subarray(block.timecodeOffset + 2, block.end)
+      );
+      lastTicks = Math.max(lastTicks, block.time);
+    }
+
+    const size = parts.reduce((total, part) => total + part.length, 0);
+    media.push(encodeElementHeader(EBML_ID.CLUSTER, size), ...parts);
+  }
+
+  const headParts = head.map(({ start, end }) => {
+    if (start !== info.start || !info.duration) {
+      return bytes.subarray(start, end);
+    }
+
+    // Rewrite the Duration in place; it is a float of the same size
+    const copy = bytes.slice(start, end);
+    const view = new DataView(copy.buffer);
+    const durationTicks = lastTicks - cutTicks;
+    if (info.duration.size === 4) {
+      view.setFloat32(info.duration.offset - start, durationTicks);
+    } else {
+      view.setFloat64(info.duration.offset - start, durationTicks);
+    }
+    return copy;
+  });
+
+  const segmentSize = [...headParts, ...media].reduce((total, part) => total + part.length, 0);
+
+  return {
+    parts: [bytes.subarray(0, headerEnd), encodeElementHeader(EBML_ID.SEGMENT, segmentSize), ...headParts, ...media],
+    startMs: cutTicks / ticksPerMs,
+    endMs: lastTicks / ticksPerMs
+  };
+}
+
+export {
+  trimWebm
+};
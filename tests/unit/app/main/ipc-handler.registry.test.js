@@ -19,11 +19,23 @@ vi.mock('electron', () => ({
 import { IpcHandlerRegistry } from '@main/ipc/ipc-handler.registry.js';
 import { ipcMain } from 'electron';
 
+/**
+ * Handler registered for an IPC channel
+ * @param {string} channel - IPC channel
+ * @returns {Function}
+ */
+const getHandler = (channel) => ipcMain.handle.mock.calls.find(call => call[0] === channel)[1];
+
 describe('IpcHandlerRegistry', () => {
   let ipcHandlerRegistry;
   let mockDeviceService;
   let mockUpdateService;
   let mockWindowService;
+  let mockCaptureStorageService;
+  let mockCaptureRecordingSpoolService;
+  let mockCaptureShareService;
+  let mockCaptureGalleryService;
+  let mockRenderPresetFileService;
   let mockLogger;
   let mockLoggerFactory;
 
@@ -57,10 +69,52 @@ describe('IpcHandlerRegistry', () => {
       setVolume: vi.fn()
     };
 
+    mockCaptureStorageService = {
+      saveCapture: vi.fn(),
+      saveSidecar: vi.fn(),
+      getSettings: vi.fn(),
+      updateSettings: vi.fn(),
+      chooseDirectory: vi.fn()
+    };
+
+    mockCaptureRecordingSpoolService = {
+      open: vi.fn(),
+      append: vi.fn(),
+      commit: vi.fn(),
+      discard: vi.fn(),
+      recoverUnfinished: vi.fn()
+    };
+
+    mockCaptureShareService = {
+      copyImage: vi.fn(),
+      startDrag: vi.fn()
+    };
+
+    mockCaptureGalleryService = {
+      listCaptures: vi.fn(),
+      renameCapture: vi.fn(),
+      deleteCapture: vi.fn(),
+      revealCapture: vi.fn()
+    };
+
+    mockRenderPresetFileService = {
+      exportPreset: vi.fn(),
+      importPreset: vi.fn(),
+      importLut: vi.fn(),
+      saveLut: vi.fn(),
+      readLut: vi.fn(),
+      listLuts: vi.fn()
+    };
+
     ipcHandlerRegistry = new IpcHandlerRegistry({
       deviceService: mockDeviceService,
       updateService: mockUpdateService,
       windowService: mockWindowService,
+      captureStorageService: mockCaptureStorageService,
+      captureRecordingSpoolService: mockCaptureRecordingSpoolService,
+      captureShareService: mockCaptureShareService,
+      captureGalleryService: mockCaptureGalleryService,
+      renderPresetFileService: mockRenderPresetFileService,
       loggerFactory: mockLoggerFactory
     });
   });
@@ -130,4 +184,296 @@ describe('IpcHandlerRegistry', () => {
       expect(mockLogger.error).toHaveBeenCalled();
     });
   });
+
+  describe('Capture Handler: SAVE', () => {
+    const getSaveHandler = () => ipcMain.handle.mock.calls.find(
+      call => call[0] === 'capture:save'
+    )[1];
+
+    it('should save capture and return file path', async () => {
+      mockCaptureStorageService.saveCapture.mockResolvedValue({
+        canceled: false,
+        filePath: '/captures/shot.png'
+      });
+
+      ipcHandlerRegistry.registerHandlers();
+
+      const data = new Uint8Array([1, 2, 3]);
+      const result = await getSaveHandler()({}, { filename: 'shot.png', data });
+
+      expect(mockCaptureStorageService.saveCapture).toHaveBeenCalledWith({ filename: 'shot.png', data });
+      expect(result).toEqual({ success: true, canceled: false, filePath: '/captures/shot.png' });
+    });
+
+    it('should return error when save fails', async () => {
+      mockCaptureStorageService.saveCapture.mockRejectedValue(new Error('Disk full'));
+
+      ipcHandlerRegistry.registerHandlers();
+
+      const result = await getSaveHandler()({}, { filename: 'shot.png', data: new Uint8Array() });
+
+      expect(result).toEqual({ success: false, error: 'Disk full' });
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('Capture Handler: SAVE_SIDECAR', () => {
+    it('should save a sidecar next to the capture', async () => {
+      mockCaptureStorageService.saveSidecar.mockResolvedValue({ filePath: '/captures/rec.chapters.vtt' });
+
+      ipcHandlerRegistry.registerHandlers();
+
+      const handler = ipcMain.handle.mock.calls.find(call => call[0] === 'capture:save-sidecar')[1];
+      const sidecar = { capturePath: '/captures/rec.webm', extension: '.chapters.vtt', data: new Uint8Array([1]) };
+      const result = await handler({}, sidecar);
+
+      expect(mockCaptureStorageService.saveSidecar).toHaveBeenCalledWith(sidecar);
+      expect(result).toEqual({ success: true, filePath: '/captures/rec.chapters.vtt' });
+    });
+
+    it('should return error when the capture is not a saved one', async () => {
+      mockCaptureStorageService.saveSidecar.mockRejectedValue(new Error('Not a saved capture'));
+
+      ipcHandlerRegistry.registerHandlers();
+
+      const handler = ipcMain.handle.mock.calls.find(call => call[0] === 'capture:save-sidecar')[1];
+      const result = await handler({}, {});
+
+      expect(result).toEqual({ success: false, error: 'Not a saved capture' });
+    });
+  });
+
+  describe('Capture Handler: settings', () => {
+    it('should return capture settings', async () => {
+      mockCaptureStorageService.getSettings.mockReturnValue({ directory: '/captures', askEveryTime: false });
+
+      ipcHandlerRegistry.registerHandlers();
+
+      const handler = ipcMain.handle.mock.calls.find(call => call[0] === 'capture:get-settings')[1];
+      const result = await handler();
+
+      expect(result).toEqual({ success: true, settings: { directory: '/captures', askEveryTime: false } });
+    });
+
+    it('should update capture settings', async () => {
+      mockCaptureStorageService.updateSettings.mockResolvedValue({ directory: '/captures', askEveryTime: true });
+
+      ipcHandlerRegistry.registerHandlers();
+
+      const handler = ipcMain.handle.mock.calls.find(call => call[0] === 'capture:update-settings')[1];
+      const result = await handler({}, { askEveryTime: true });
+
+      expect(mockCaptureStorageService.updateSettings).toHaveBeenCalledWith({ askEveryTime: true });
+      expect(result.settings.askEveryTime).toBe(true);
+    });
+
+    it('should return chosen directory', async () => {
+      mockCaptureStorageService.chooseDirectory.mockResolvedValue({ canceled: false, directory: '/new' });
+
+      ipcHandlerRegistry.registerHandlers();
+
+      const handler = ipcMain.handle.mock.calls.find(call => call[0] === 'capture:choose-directory')[1];
+      const result = await handler();
+
+      expect(result).toEqual({ success: true, canceled: false, directory: '/new' });
+    });
+  });
+
+  describe('Registered handlers', () => {
+    beforeEach(() => {
+      ipcHandlerRegistry.registerHandlers();
+    });
+
+    describe('Capture Handler: recording spool', () => {
+      it('should open a spool and return its ID', async () => {
+        mockCaptureRecordingSpoolService.open.mockResolvedValue({ id: 'spool-1' });
+
+        const result = await getHandler('capture:spool-open')({}, { filename: 'rec.webm', mimeType: 'video/webm' });
+
+        expect(mockCaptureRecordingSpoolService.open).toHaveBeenCalledWith({ filename: 'rec.webm', mimeType: 'video/webm' });
+        expect(result).toEqual({ success: true, id: 'spool-1' });
+      });
+
+      it('should append data to a spool', async () => {
+        const data = new Uint8Array([1, 2]);
+
+        const result = await getHandler('capture:spool-append')({}, { id: 'spool-1', data });
+
+        expect(mockCaptureRecordingSpoolService.append).toHaveBeenCalledWith('spool-1', data);
+        expect(result).toEqual({ success: true });
+      });
+
+      it('should return error when a spool write fails', async () => {
+        mockCaptureRecordingSpoolService.append.mockRejectedValue(new Error('Disk full'));
+
+        const result = await getHandler('capture:spool-append')({}, { id: 'spool-1', data: new Uint8Array() });
+
+        expect(result).toEqual({ success: false, error: 'Disk full' });
+        expect(mockLogger.error).toHaveBeenCalled();
+      });
+
+      it('should commit a spool and return the saved path', async () => {
+        mockCaptureRecordingSpoolService.commit.mockResolvedValue({ canceled: false, filePath: '/captures/rec.webm' });
+
+        const result = await getHandler('capture:spool-commit')({}, { id: 'spool-1', filename: 'rec.webm' });
+
+        expect(mockCaptureRecordingSpoolService.commit).toHaveBeenCalledWith('spool-1', 'rec.webm');
+        expect(result).toEqual({ success: true, canceled: false, filePath: '/captures/rec.webm' });
+      });
+
+      it('should discard a spool', async () => {
+        const result = await getHandler('capture:spool-discard')({}, 'spool-1');
+
+        expect(mockCaptureRecordingSpoolService.discard).toHaveBeenCalledWith('spool-1');
+        expect(result).toEqual({ success: true });
+      });
+
+      it('should return recovered recordings', async () => {
+        mockCaptureRecordingSpoolService.recoverUnfinished.mockResolvedValue({ recovered: ['/captures/a.webm'], discarded: 0 });
+
+        const result = await getHandler('capture:recover-recordings')();
+
+        expect(result).toEqual({ success: true, recovered: ['/captures/a.webm'], discarded: 0 });
+      });
+    });
+
+    describe('Capture Handler: sharing', () => {
+      it('should copy an image to the clipboard', async () => {
+        const data = new Uint8Array([1, 2]);
+
+        const result = await getHandler('capture:copy-image')({}, data);
+
+        expect(mockCaptureShareService.copyImage).toHaveBeenCalledWith(data);
+        expect(result).toEqual({ success: true });
+      });
+
+      it('should return error when the image cannot be copied', async () => {
+        mockCaptureShareService.copyImage.mockImplementation(() => {
+          throw new Error('Invalid image');
+        });
+
+        const result = await getHandler('capture:copy-image')({}, new Uint8Array());
+
+        expect(result).toEqual({ success: false, error: 'Invalid image' });
+      });
+
+      it('should start a drag from the sending window', async () => {
+        const sender = { startDrag: vi.fn() };
+
+        const result = await getHandler('capture:start-drag')({ sender }, '/captures/shot.png');
+
+        expect(mockCaptureShareService.startDrag).toHaveBeenCalledWith(sender, '/captures/shot.png');
+        expect(result).toEqual({ success: true });
+      });
+
+      it('should return error when the drag is refused', async () => {
+        mockCaptureShareService.startDrag.mockRejectedValue(new Error('Not a saved capture'));
+
+        const result = await getHandler('capture:start-drag')({ sender: {} }, '/etc/passwd');
+
+        expect(result).toEqual({ success: false, error: 'Not a saved capture' });
+      });
+    });
+
+    describe('Capture Handler: gallery', () => {
+      it('should list captures', async () => {
+        const captures = [{ name: 'shot.png', filePath: '/captures/shot.png' }];
+        mockCaptureGalleryService.listCaptures.mockResolvedValue({ directory: '/captures', captures });
+
+        const result = await getHandler('capture:gallery-list')();
+
+        expect(result).toEqual({ success: true, directory: '/captures', captures });
+      });
+
+      it('should rename a capture', async () => {
+        const capture = { name: 'run.webm', filePath: '/captures/run.webm' };
+        mockCaptureGalleryService.renameCapture.mockResolvedValue(capture);
+
+        const result = await getHandler('capture:gallery-rename')({}, { filePath: '/captures/rec.webm', name: 'run' });
+
+        expect(mockCaptureGalleryService.renameCapture).toHaveBeenCalledWith('/captures/rec.webm', 'run');
+        expect(result).toEqual({ success: true, capture });
+      });
+
+      it('should return error when the rename is refused', async () => {
+        mockCaptureGalleryService.renameCapture.mockRejectedValue(new Error('A capture with that name already exists'));
+
+        const result = await getHandler('capture:gallery-rename')({}, { filePath: '/captures/a.png', name: 'b' });
+
+        expect(result).toEqual({ success: false, error: 'A capture with that name already exists' });
+      });
+
+      it('should delete a capture', async () => {
+        const result = await getHandler('capture:gallery-delete')({}, '/captures/shot.png');
+
+        expect(mockCaptureGalleryService.deleteCapture).toHaveBeenCalledWith('/captures/shot.png');
+        expect(result).toEqual({ success: true });
+      });
+
+      it('should return error when a file outside the capture folder is revealed', async () => {
+        mockCaptureGalleryService.revealCapture.mockImplementation(() => {
+          throw new Error('Not a capture');
+        });
+
+        const result = await getHandler('capture:gallery-reveal')({}, '/etc/hosts');
+
+        expect(result).toEqual({ success: false, error: 'Not a capture' });
+      });
+    });
+
+    describe('Preset Handler: files', () => {
+      it('should export a preset file', async () => {
+        mockRenderPresetFileService.exportPreset.mockResolvedValue({ canceled: false, filePath: '/presets/night.json' });
+
+        const file = { filename: 'night.json', contents: '{}' };
+        const result = await getHandler('preset:export')({}, file);
+
+        expect(mockRenderPresetFileService.exportPreset).toHaveBeenCalledWith(file);
+        expect(result).toEqual({ success: true, canceled: false, filePath: '/presets/night.json' });
+      });
+
+      it('should return the contents of an imported preset file', async () => {
+        mockRenderPresetFileService.importPreset.mockResolvedValue({ canceled: false, contents: '{}' });
+
+        const result = await getHandler('preset:import')({});
+
+        expect(result).toEqual({ success: true, canceled: false, contents: '{}' });
+      });
+
+      it('should return error when the preset file cannot be read', async () => {
+        mockRenderPresetFileService.importPreset.mockRejectedValue(new Error('big.json is too large to be a render preset'));
+
+        const result = await getHandler('preset:import')({});
+
+        expect(result).toEqual({ success: false, error: 'big.json is too large to be a render preset' });
+        expect(mockLogger.error).toHaveBeenCalled();
+      });
+
+      it('should add a LUT to the library', async () => {
+        mockRenderPresetFileService.saveLut.mockResolvedValue({ file: 'Warm.cube' });
+
+        const lut = { name: 'Warm.cube', contents: 'LUT_3D_SIZE 2' };
+        const result = await getHandler('preset:save-lut')({}, lut);
+
+        expect(mockRenderPresetFileService.saveLut).toHaveBeenCalledWith(lut);
+        expect(result).toEqual({ success: true, file: 'Warm.cube' });
+      });
+
+      it('should return error when a LUT is not in the library', async () => {
+        mockRenderPresetFileService.readLut.mockRejectedValue(new Error('LUT Warm.cube is not in the LUT library'));
+
+        const result = await getHandler('preset:read-lut')({}, 'Warm.cube');
+
+        expect(result).toEqual({ success: false, error: 'LUT Warm.cube is not in the LUT library' });
+      });
+
+      it('should list the LUT library', async () => {
+        mockRenderPresetFileService.listLuts.mockResolvedValue(['Cool.cube', 'Warm.cube']);
+
+        const result = await getHandler('preset:list-luts')({});
+
+        expect(result).toEqual({ success: true, files: ['Cool.cube', 'Warm.cube'] });
+      });
+    });
+  });
 });
@@ -337,10 +337,70 @@ describe('Renderer Container', () => {
       expect(container.registerSingleton).toHaveBeenCalledWith(
         'captureService',
         expect.any(Function),
+        ['eventBus', 'captureStorageAdapter', 'loggerFactory']
+      );
+    });
+
+    it('should register captureClipService singleton', () => {
+      const container = containerModule.createRendererContainer();
+
+      expect(container.registerSingleton).toHaveBeenCalledWith(
+        'captureClipService',
+        expect.any(Function),
+        ['eventBus', 'loggerFactory']
+      );
+    });
+
+    it('should register captureIntervalService singleton', () => {
+      const container = containerModule.createRendererContainer();
+
+      expect(container.registerSingleton).toHaveBeenCalledWith(
+        'captureIntervalService',
+        expect.any(Function),
         ['eventBus', 'loggerFactory']
       );
     });
 
+    it('should register captureAudioMixService singleton', () => {
+      const container = containerModule.createRendererContainer();
+
+      expect(container.registerSingleton).toHaveBeenCalledWith(
+        'captureAudioMixService',
+        expect.any(Function),
+        ['eventBus', 'loggerFactory', 'settingsService', 'browserMediaService']
+      );
+    });
+
+    it('should register captureFacecamService singleton', () => {
+      const container = containerModule.createRendererContainer();
+
+      expect(container.registerSingleton).toHaveBeenCalledWith(
+        'captureFacecamService',
+        expect.any(Function),
+        ['eventBus', 'loggerFactory', 'settingsService', 'browserMediaService']
+      );
+    });
+
+    it('should register captureTrimService singleton', () => {
+      const container = containerModule.createRendererContainer();
+
+      expect(container.registerSingleton).toHaveBeenCalledWith(
+        'captureTrimService',
+        expect.any(Function),
+        ['loggerFactory']
+      );
+    });
+
+    it('should register gpuRecordingService singleton', () => {
+      const container = containerModule.createRendererContainer();
+
+      expect(container.registerSingleton).toHaveBeenCalledWith(
+        'gpuRecordingService',
+        expect.any(Function),
+        ['gpuRendererService', 'captureFacecamService', 'eventBus', 'loggerFactory']
+      );
+    });
+
     it('should register settingsService singleton', () => {
       const container = containerModule.createRendererContainer();
 
@@ -377,7 +437,7 @@ describe('Renderer Container', () => {
       expect(container.registerSingleton).toHaveBeenCalledWith(
         'captureOrchestrator',
         expect.any(Function),
-        ['captureService', 'appState', 'streamViewService', 'gpuRendererService', 'gpuRecordingService', 'canvasRenderer', 'eventBus', 'loggerFactory']
+        ['captureService', 'captureClipService', 'captureIntervalService', 'captureAudioMixService', 'captureFacecamService', 'captureTrimService', 'appState', 'streamViewService', 'gpuRendererService', 'gpuRecordingService', 'canvasRenderer', 'captureStorageAdapter', 'settingsService', 'notesService', 'eventBus', 'loggerFactory']
       );
     });
 
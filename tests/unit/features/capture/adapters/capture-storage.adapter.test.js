@@ -0,0 +1,210 @@
+/**
+ * CaptureStorageAdapter Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('@renderer/lib/file-download.utils.js', () => ({
+  downloadFile: vi.fn()
+}));
+
+import { downloadFile } from '@renderer/lib/file-download.utils.js';
+import { CaptureStorageAdapter } from '@renderer/features/capture/adapters/capture-storage.adapter.js';
+
+describe('CaptureStorageAdapter', () => {
+  let mockCaptureAPI;
+  let blob;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    mockCaptureAPI = {
+      saveCapture: vi.fn(async () => ({ success: true, canceled: false, filePath: '/captures/shot.png' })),
+      saveSidecar: vi.fn(async () => ({ success: true, filePath: '/captures/rec.chapters.vtt' })),
+      getSettings: vi.fn(async () => ({ success: true, settings: { directory: '/captures', askEveryTime: false } })),
+      updateSettings: vi.fn(async (updates) => ({ success: true, settings: updates })),
+      chooseDirectory: vi.fn(async () => ({ success: true, canceled: false, directory: '/chosen' })),
+      openRecordingSpool: vi.fn(async () => ({ success: true, id: 'spool-1' })),
+      appendRecordingSpool: vi.fn(async () => ({ success: true })),
+      commitRecordingSpool: vi.fn(async () => ({ success: true, canceled: false, filePath: '/captures/rec.webm' })),
+      discardRecordingSpool: vi.fn(async () => ({ success: true })),
+      recoverRecordings: vi.fn(async () => ({ success: true, recovered: ['/captures/rec-recovered.webm'], discarded: 0 })),
+      copyImage: vi.fn(async () => ({ success: true })),
+      startDrag: vi.fn(async () => ({ success: true })),
+      listGallery: vi.fn(async () => ({ success: true, directory: '/captures', captures: [] })),
+      renameGalleryCapture: vi.fn(async () => ({ success: true, capture: { filePath: '/captures/run.webm' } })),
+      deleteGalleryCapture: vi.fn(async () => ({ success: true })),
+      revealGalleryCapture: vi.fn(async () => ({ success: true }))
+    };
+
+    blob = new Blob(['data'], { type: 'image/png' });
+  });
+
+  afterEach(() => {
+    delete globalThis.captureAPI;
+  });
+
+  describe('with capture API', () => {
+    let adapter;
+
+    beforeEach(() => {
+      globalThis.captureAPI = mockCaptureAPI;
+      adapter = new CaptureStorageAdapter();
+    });
+
+    it('should report available', () => {
+      expect(adapter.isAvailable()).toBe(true);
+    });
+
+    it('should send blob bytes to the main process', async () => {
+      const result = await adapter.saveCapture(blob, 'shot.png');
+
+      expect(mockCaptureAPI.saveCapture).toHaveBeenCalledWith(expect.any(ArrayBuffer), 'shot.png');
+      expect(result.filePath).toBe('/captures/shot.png');
+      expect(downloadFile).not.toHaveBeenCalled();
+    });
+
+    it('should pass the session folder through', async () => {
+      await adapter.saveCapture(blob, 'shot.png', { folder: 'session-1' });
+
+      expect(mockCaptureAPI.saveCapture).toHaveBeenCalledWith(expect.any(ArrayBuffer), 'shot.png', { folder: 'session-1' });
+    });
+
+    it('should save sidecars next to the saved capture', async () => {
+      const result = await adapter.saveSidecar(blob, { filePath: '/elsewhere/rec.webm', filename: 'rec.webm' }, '.chapters.vtt');
+
+      expect(mockCaptureAPI.saveSidecar).toHaveBeenCalledWith('/elsewhere/rec.webm', '.chapters.vtt', expect.any(ArrayBuffer));
+      expect(result).toEqual({ success: true, filePath: '/captures/rec.chapters.vtt' });
+    });
+
+    it('should return error result when IPC rejects', async () => {
+      mockCaptureAPI.saveCapture.mockRejectedValue(new Error('IPC failed'));
+
+      const result = await adapter.saveCapture(blob, 'shot.png');
+
+      expect(result).toEqual({ success: false, error: 'IPC failed' });
+    });
+
+    it('should forward settings calls', async () => {
+      await adapter.getSettings();
+      await adapter.updateSettings({ askEveryTime: true });
+      await adapter.chooseDirectory();
+
+      expect(mockCaptureAPI.getSettings).toHaveBeenCalled();
+      expect(mockCaptureAPI.updateSettings).toHaveBeenCalledWith({ askEveryTime: true });
+      expect(mockCaptureAPI.chooseDirectory).toHaveBeenCalled();
+    });
+
+    it('should report spool available', () => {
+      expect(adapter.isSpoolAvailable()).toBe(true);
+    });
+
+    it('should forward recording spool calls', async () => {
+      const opened = await adapter.openRecordingSpool('rec.webm', 'video/webm');
+      await adapter.appendRecordingSpool('spool-1', new Blob(['abc']));
+      const saved = await adapter.commitRecordingSpool('spool-1', 'rec.webm');
+      await adapter.discardRecordingSpool('spool-1');
+
+      expect(opened.id).toBe('spool-1');
+      expect(mockCaptureAPI.openRecordingSpool).toHaveBeenCalledWith('rec.webm', 'video/webm');
+      expect(mockCaptureAPI.appendRecordingSpool).toHaveBeenCalledWith('spool-1', expect.any(ArrayBuffer));
+      expect(saved.filePath).toBe('/captures/rec.webm');
+      expect(mockCaptureAPI.discardRecordingSpool).toHaveBeenCalledWith('spool-1');
+    });
+
+    it('should return error result when a spool write rejects', async () => {
+      mockCaptureAPI.appendRecordingSpool.mockRejectedValue(new Error('Disk full'));
+
+      const result = await adapter.appendRecordingSpool('spool-1', new Blob(['abc']));
+
+      expect(result).toEqual({ success: false, error: 'Disk full' });
+    });
+
+    it('should forward recovery requests', async () => {
+      const result = await adapter.recoverRecordings();
+
+      expect(result.recovered).toEqual(['/captures/rec-recovered.webm']);
+    });
+
+    it('should send image bytes to the clipboard', async () => {
+      const result = await adapter.copyImage(blob);
+
+      expect(mockCaptureAPI.copyImage).toHaveBeenCalledWith(expect.any(ArrayBuffer));
+      expect(result).toEqual({ success: true });
+    });
+
+    it('should forward drag requests', async () => {
+      await adapter.startDrag('/captures/shot.png');
+
+      expect(mockCaptureAPI.startDrag).toHaveBeenCalledWith('/captures/shot.png');
+    });
+
+    it('should forward gallery requests', async () => {
+      expect(await adapter.listGallery()).toEqual({ success: true, directory: '/captures', captures: [] });
+
+      await adapter.renameGalleryCapture('/captures/rec.webm', 'run');
+      await adapter.deleteGalleryCapture('/captures/shot.png');
+      await adapter.revealGalleryCapture('/captures/shot.png');
+
+      expect(mockCaptureAPI.renameGalleryCapture).toHaveBeenCalledWith('/captures/rec.webm', 'run');
+      expect(mockCaptureAPI.deleteGalleryCapture).toHaveBeenCalledWith('/captures/shot.png');
+      expect(mockCaptureAPI.revealGalleryCapture).toHaveBeenCalledWith('/captures/shot.png');
+    });
+
+    it('should list an empty gallery with an older preload', async () => {
+      delete mockCaptureAPI.listGallery;
+
+      expect(adapter.isGalleryAvailable()).toBe(false);
+      expect(await adapter.listGallery()).toEqual({ success: true, directory: null, captures: [] });
+    });
+
+    it('should report spool unavailable with an older preload', () => {
+      delete mockCaptureAPI.openRecordingSpool;
+
+      expect(adapter.isSpoolAvailable()).toBe(false);
+    });
+  });
+
+  describe('without capture API', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new CaptureStorageAdapter();
+    });
+
+    it('should report unavailable', () => {
+      expect(adapter.isAvailable()).toBe(false);
+    });
+
+    it('should fall back to browser download', async () => {
+      const result = await adapter.saveCapture(blob, 'shot.png');
+
+      expect(downloadFile).toHaveBeenCalledWith(blob, 'shot.png');
+      expect(result).toEqual({ success: true, canceled: false, filePath: null });
+    });
+
+    it('should download sidecars named after the capture', async () => {
+      const result = await adapter.saveSidecar(blob, { filePath: null, filename: 'rec.webm' }, '.markers.json');
+
+      expect(downloadFile).toHaveBeenCalledWith(blob, 'rec.markers.json');
+      expect(result).toEqual({ success: true, filePath: null });
+    });
+
+    it('should return error for settings calls', async () => {
+      const result = await adapter.getSettings();
+
+      expect(result).toEqual({ success: false, error: 'Capture API not available' });
+    });
+
+    it('should return error for clipboard copies', async () => {
+      const result = await adapter.copyImage(blob);
+
+      expect(result).toEqual({ success: false, error: 'Capture API not available' });
+    });
+
+    it('should report spool unavailable and recover nothing', async () => {
+      expect(adapter.isSpoolAvailable()).toBe(false);
+      expect(await adapter.recoverRecordings()).toEqual({ success: true, recovered: [], discarded: 0 });
+    });
+  });
+});
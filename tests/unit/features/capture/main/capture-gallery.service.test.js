@@ -0,0 +1,432 @@
+/**
+ * CaptureGalleryService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import path from 'path';
+
+vi.mock('electron', () => ({
+  net: {
+    fetch: vi.fn()
+  },
+  protocol: {
+    registerSchemesAsPrivileged: vi.fn(),
+    handle: vi.fn(),
+    unhandle: vi.fn()
+  },
+  shell: {
+    trashItem: vi.fn(),
+    showItemInFolder: vi.fn()
+  }
+}));
+
+vi.mock('fs/promises', () => ({
+  default: {
+    readdir: vi.fn(),
+    stat: vi.fn(),
+    open: vi.fn(),
+    readFile: vi.fn(),
+    rename: vi.fn()
+  }
+}));
+
+import { net, protocol, shell } from 'electron';
+import fs from 'fs/promises';
+import {
+  CaptureGalleryService,
+  CAPTURE_PROTOCOL,
+  registerCaptureProtocolScheme
+} from '@main/features/capture/capture-gallery.service.js';
+import { embedPngMetadata } from '@shared/utils/capture-metadata.utils.js';
+
+const DIRECTORY = path.resolve('/captures');
+const capturePath = (name) => path.join(DIRECTORY, name);
+
+/**
+ * Minimal PNG: signature, IHDR and IEND
+ */
+function createPng() {
+  const chunk = (type, data) => [0, 0, 0, data.length, ...[...type].map(c => c.charCodeAt(0)), ...data, 0, 0, 0, 0];
+  return new Uint8Array([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    ...chunk('IHDR', [0, 0, 0, 160, 0, 0, 0, 144, 8, 6, 0, 0, 0]),
+    ...chunk('IEND', [])
+  ]);
+}
+
+const file = (name) => ({ name, isFile: () => true, isDirectory: () => false });
+const folder = (name) => ({ name, isFile: () => false, isDirectory: () => true });
+
+describe('CaptureGalleryService', () => {
+  let service;
+  let files;
+  let mockLogger;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // path -> { bytes, mtimeMs, ino }
+    files = new Map();
+
+    fs.readdir.mockImplementation(async (directory) => {
+      const entries = new Map();
+      for (const filePath of files.keys()) {
+        const parent = path.dirname(filePath);
+        if (parent === directory) {
+          entries.set(filePath, file(path.basename(filePath)));
+        } else if (path.dirname(parent) === directory) {
+          entries.set(parent, folder(path.basename(parent)));
+        }
+      }
+      return [...entries.values()];
+    });
+    fs.stat.mockImplementation(async (filePath) => {
+      const entry = files.get(filePath);
+      if (!entry) {
+        throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+      }
+      return { size: entry.bytes.length, mtimeMs: entry.mtimeMs, ino: entry.ino, dev: 1 };
+    });
+    fs.open.mockImplementation(async (filePath) => ({
+      read: vi.fn(async (buffer, offset, length) => {
+        const bytes = files.get(filePath).bytes.subarray(0, length);
+        buffer.set(bytes, offset);
+        return { bytesRead: bytes.length };
+      }),
+      close: vi.fn(async () => {})
+    }));
+    fs.readFile.mockImplementation(async (filePath) => {
+      const entry = files.get(filePath);
+      if (!entry) {
+        throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+      }
+      return new TextDecoder().decode(entry.bytes);
+    });
+    fs.rename.mockImplementation(async (from, to) => {
+      if (!files.has(from)) {
+        throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+      }
+      files.set(to, files.get(from));
+      files.delete(from);
+    });
+
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    };
+
+    service = new CaptureGalleryService({
+      captureStorageService: { getSettings: vi.fn(() => ({ directory: DIRECTORY, askEveryTime: false })) },
+      loggerFactory: { create: vi.fn(() => mockLogger) }
+    });
+  });
+
+  const addFile = (name, bytes = new Uint8Array([1, 2, 3]), mtimeMs = 1000) => {
+    files.set(capturePath(name), { bytes, mtimeMs, ino: files.size + 1 });
+  };
+
+  describe('registerCaptureProtocolScheme', () => {
+    it('should register the capture scheme as a streaming, fetchable origin', () => {
+      registerCaptureProtocolScheme();
+
+      expect(protocol.registerSchemesAsPrivileged).toHaveBeenCalledWith([{
+        scheme: CAPTURE_PROTOCOL,
+        privileges: expect.objectContaining({ standard: true, secure: true, stream: true })
+      }]);
+    });
+  });
+
+  describe('listCaptures', () => {
+    it('should list captures newest first', async () => {
+      addFile('old.png', undefined, 1000);
+      addFile('new.webm', undefined, 2000);
+
+      const { directory, captures } = await service.listCaptures();
+
+      expect(directory).toBe(DIRECTORY);
+      expect(captures.map(capture => capture.name)).toEqual(['new.webm', 'old.png']);
+      expect(captures[0]).toMatchObject({
+        filePath: capturePath('new.webm'),
+        url: 'prismgb-capture://captures/new.webm?v=2000',
+        type: 'video',
+        size: 3,
+        capturedAt: new Date(2000).toISOString(),
+        gameName: null
+      });
+      expect(captures[1].type).toBe('image');
+    });
+
+    it('should list commentary files as audio', async () => {
+      addFile('run.webm', undefined, 1000);
+      addFile('run-commentary.webm', undefined, 2000);
+      addFile('run.markers.json');
+
+      const { captures } = await service.listCaptures();
+
+      expect(captures.map(capture => [capture.name, capture.type])).toEqual([
+        ['run-commentary.webm', 'audio'],
+        ['run.webm', 'video']
+      ]);
+      expect(captures[0].markers).toEqual([]);
+    });
+
+    it('should skip folders and files that are not captures', async () => {
+      fs.readdir
+        .mockResolvedValueOnce([file('shot.png'), file('notes.txt'), folder('clips.png')])
+        .mockResolvedValueOnce([]);
+      addFile('shot.png');
+
+      const { captures } = await service.listCaptures();
+
+      expect(captures.map(capture => capture.name)).toEqual(['shot.png']);
+    });
+
+    it('should list captures sorted into game folders', async () => {
+      addFile('root.png', undefined, 1000);
+      addFile(path.join('Pokemon Red', 'shot.png'), undefined, 2000);
+
+      const { captures } = await service.listCaptures();
+
+      expect(captures.map(capture => capture.name)).toEqual(['shot.png', 'root.png']);
+      expect(captures[0]).toMatchObject({
+        filePath: capturePath(path.join('Pokemon Red', 'shot.png')),
+        url: 'prismgb-capture://captures/Pokemon%20Red/shot.png?v=2000'
+      });
+    });
+
+    it('should leave interval screenshot sessions out of the gallery', async () => {
+      addFile(path.join('prismgb-interval-2026-10-19', 'frame-0001.png'));
+
+      const { captures } = await service.listCaptures();
+
+      expect(captures).toEqual([]);
+      expect(fs.readdir).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use the embedded capture time and game', async () => {
+      const tagged = embedPngMetadata(createPng(), {
+        capturedAt: '2026-10-19T12:00:00.000Z',
+        gameName: 'Tetris',
+        presetId: 'vibrant'
+      });
+      addFile('shot.png', tagged);
+
+      const { captures } = await service.listCaptures();
+
+      expect(captures[0]).toMatchObject({
+        capturedAt: '2026-10-19T12:00:00.000Z',
+        gameName: 'Tetris',
+        presetId: 'vibrant'
+      });
+    });
+
+    it('should only read metadata again when the file changes', async () => {
+      addFile('shot.png');
+
+      await service.listCaptures();
+      await service.listCaptures();
+      expect(fs.open).toHaveBeenCalledTimes(1);
+
+      files.get(capturePath('shot.png')).mtimeMs = 5000;
+      await service.listCaptures();
+      expect(fs.open).toHaveBeenCalledTimes(2);
+    });
+
+    it('should read the markers saved next to a recording', async () => {
+      addFile('run.webm');
+      addFile('run.markers.json', new TextEncoder().encode(JSON.stringify({
+        markers: [{ timeMs: 4000, label: 'glitch' }, { timeMs: 1000, label: 'boss start' }]
+      })));
+
+      const { captures } = await service.listCaptures();
+
+      expect(captures.map(capture => capture.name)).toEqual(['run.webm']);
+      expect(captures[0].markers).toEqual([
+        { timeMs: 1000, label: 'boss start' },
+        { timeMs: 4000, label: 'glitch' }
+      ]);
+    });
+
+    it('should list no markers for recordings without a valid marker file', async () => {
+      addFile('plain.webm');
+      addFile('broken.webm');
+      addFile('broken.markers.json', new TextEncoder().encode('not json'));
+
+      const { captures } = await service.listCaptures();
+
+      expect(captures.map(capture => capture.markers)).toEqual([[], []]);
+    });
+
+    it('should return an empty list when the capture folder does not exist yet', async () => {
+      fs.readdir.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+
+      await expect(service.listCaptures()).resolves.toEqual({ directory: DIRECTORY, captures: [] });
+    });
+
+    it('should skip captures that disappear while listing', async () => {
+      fs.readdir.mockResolvedValue([file('gone.png')]);
+
+      const { captures } = await service.listCaptures();
+
+      expect(captures).toEqual([]);
+      expect(mockLogger.warn).toHaveBeenCalledWith('Skipping capture gone.png:', 'not found');
+    });
+  });
+
+  describe('renameCapture', () => {
+    it('should rename a capture and keep its extension', async () => {
+      addFile('shot.png');
+
+      const capture = await service.renameCapture(capturePath('shot.png'), 'boss fight');
+
+      expect(fs.rename).toHaveBeenCalledWith(capturePath('shot.png'), capturePath('boss_fight.png'));
+      expect(capture).toMatchObject({ name: 'boss_fight.png', filePath: capturePath('boss_fight.png') });
+    });
+
+    it('should accept a name that already has the extension', async () => {
+      addFile('rec.webm');
+
+      const capture = await service.renameCapture(capturePath('rec.webm'), 'run.webm');
+
+      expect(capture.name).toBe('run.webm');
+    });
+
+    it('should refuse to overwrite another capture', async () => {
+      addFile('a.png');
+      addFile('b.png');
+
+      await expect(service.renameCapture(capturePath('a.png'), 'b')).rejects.toThrow('A capture with that name already exists');
+      expect(fs.rename).not.toHaveBeenCalled();
+    });
+
+    it('should allow a case-only rename of the same file', async () => {
+      addFile('shot.png');
+      // Case-insensitive file system: both names resolve to the same file
+      const original = fs.stat.getMockImplementation();
+      fs.stat.mockImplementation(async (filePath) => original(
+        [...files.keys()].find(key => key.toLowerCase() === filePath.toLowerCase()) ?? filePath
+      ));
+
+      await service.renameCapture(capturePath('shot.png'), 'Shot');
+
+      expect(fs.rename).toHaveBeenCalledWith(capturePath('shot.png'), capturePath('Shot.png'));
+    });
+
+    it('should reject names with nothing usable left', async () => {
+      addFile('shot.png');
+
+      await expect(service.renameCapture(capturePath('shot.png'), '...')).rejects.toThrow('Invalid capture name');
+    });
+
+    it('should rename the marker files with the recording', async () => {
+      addFile('rec.webm');
+      addFile('rec.chapters.vtt');
+      addFile('rec.markers.json');
+
+      await service.renameCapture(capturePath('rec.webm'), 'run');
+
+      expect([...files.keys()].sort()).toEqual([
+        capturePath('run.chapters.vtt'),
+        capturePath('run.markers.json'),
+        capturePath('run.webm')
+      ]);
+    });
+
+    it('should rename a capture inside a game folder', async () => {
+      addFile(path.join('Tetris', 'shot.png'));
+
+      const capture = await service.renameCapture(capturePath(path.join('Tetris', 'shot.png')), 'line clear');
+
+      expect(capture.filePath).toBe(capturePath(path.join('Tetris', 'line_clear.png')));
+    });
+
+    it('should refuse files outside the capture folder', async () => {
+      await expect(service.renameCapture(path.resolve('/etc/passwd.png'), 'x')).rejects.toThrow('Not a capture');
+      await expect(service.renameCapture(capturePath(path.join('a', 'b', 'deep.png')), 'x')).rejects.toThrow('Not a capture');
+      await expect(service.renameCapture(capturePath('../secret.png'), 'x')).rejects.toThrow('Not a capture');
+      await expect(service.renameCapture(capturePath('notes.txt'), 'x')).rejects.toThrow('Not a capture');
+    });
+  });
+
+  describe('deleteCapture', () => {
+    it('should move the capture to the trash', async () => {
+      await service.deleteCapture(capturePath('shot.png'));
+
+      expect(shell.trashItem).toHaveBeenCalledWith(capturePath('shot.png'));
+    });
+
+    it('should trash the marker files with the recording', async () => {
+      addFile('rec.webm');
+      addFile('rec.markers.json');
+
+      await service.deleteCapture(capturePath('rec.webm'));
+
+      expect(shell.trashItem.mock.calls).toEqual([[capturePath('rec.webm')], [capturePath('rec.markers.json')]]);
+    });
+
+    it('should refuse files outside the capture folder', async () => {
+      await expect(service.deleteCapture('relative.png')).rejects.toThrow('Not a capture');
+      expect(shell.trashItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revealCapture', () => {
+    it('should show the capture in the file manager', () => {
+      service.revealCapture(capturePath('shot.png'));
+
+      expect(shell.showItemInFolder).toHaveBeenCalledWith(capturePath('shot.png'));
+    });
+
+    it('should refuse files outside the capture folder', () => {
+      expect(() => service.revealCapture(path.resolve('/etc/hosts'))).toThrow('Not a capture');
+    });
+  });
+
+  describe('capture protocol', () => {
+    let handleRequest;
+
+    beforeEach(() => {
+      service.initialize();
+      handleRequest = protocol.handle.mock.calls[0][1];
+      net.fetch.mockResolvedValue(new Response('data'));
+    });
+
+    it('should serve capture folder files', async () => {
+      const headers = new Headers({ Range: 'bytes=0-' });
+
+      const response = await handleRequest({ url: 'prismgb-capture://captures/my%20shot.png?v=1', headers });
+
+      expect(protocol.handle).toHaveBeenCalledWith(CAPTURE_PROTOCOL, expect.any(Function));
+      expect(net.fetch).toHaveBeenCalledWith(expect.stringMatching(/^file:\/\/.*my%20shot\.png$/), { headers });
+      expect(await response.text()).toBe('data');
+    });
+
+    it('should serve captures from game folders', async () => {
+      const response = await handleRequest({ url: 'prismgb-capture://captures/Pokemon%20Red/shot.png', headers: new Headers() });
+
+      expect(response.status).not.toBe(404);
+      expect(net.fetch).toHaveBeenCalledWith(expect.stringMatching(/Pokemon%20Red\/shot\.png$/), expect.any(Object));
+    });
+
+    it('should refuse paths outside the capture folder', async () => {
+      const response = await handleRequest({ url: 'prismgb-capture://captures/..%2F..%2Fetc%2Fpasswd.png', headers: new Headers() });
+
+      expect(response.status).toBe(404);
+      expect(net.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should refuse files that are not captures', async () => {
+      const response = await handleRequest({ url: 'prismgb-capture://captures/capture-settings.json', headers: new Headers() });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should stop serving on dispose', () => {
+      service.dispose();
+
+      expect(protocol.unhandle).toHaveBeenCalledWith(CAPTURE_PROTOCOL);
+    });
+  });
+});
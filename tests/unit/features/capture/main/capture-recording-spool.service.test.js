@@ -0,0 +1,317 @@
+/**
+ * CaptureRecordingSpoolService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import path from 'path';
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => '/user-data')
+  },
+  dialog: {
+    showMessageBox: vi.fn()
+  }
+}));
+
+vi.mock('fs/promises', () => ({
+  default: {
+    mkdir: vi.fn(),
+    writeFile: vi.fn(),
+    readFile: vi.fn(),
+    readdir: vi.fn(),
+    stat: vi.fn(),
+    open: vi.fn(),
+    unlink: vi.fn()
+  }
+}));
+
+import { dialog } from 'electron';
+import fs from 'fs/promises';
+import { CaptureRecordingSpoolService } from '@main/features/capture/capture-recording-spool.service.js';
+
+const SPOOL_DIRECTORY = path.join('/user-data', 'recordings-in-progress');
+const partPath = (id) => path.join(SPOOL_DIRECTORY, `${id}.part`);
+const metaPath = (id) => path.join(SPOOL_DIRECTORY, `${id}.json`);
+const OTHER_ID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+describe('CaptureRecordingSpoolService', () => {
+  let service;
+  let mockHandle;
+  let mockCaptureStorageService;
+  let mockLogger;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+
+    mockHandle = {
+      write: vi.fn().mockResolvedValue({}),
+      close: vi.fn().mockResolvedValue()
+    };
+
+    fs.mkdir.mockResolvedValue();
+    fs.writeFile.mockResolvedValue();
+    fs.open.mockResolvedValue(mockHandle);
+    fs.unlink.mockResolvedValue();
+    fs.readdir.mockResolvedValue([]);
+
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    };
+
+    mockCaptureStorageService = {
+      moveIntoCaptureFolder: vi.fn(async (source, filename) => ({ canceled: false, filePath: `/captures/${filename}` }))
+    };
+
+    service = new CaptureRecordingSpoolService({
+      captureStorageService: mockCaptureStorageService,
+      windowService: { mainWindow: { id: 1 } },
+      loggerFactory: { create: vi.fn(() => mockLogger) }
+    });
+
+    await service.initialize();
+  });
+
+  describe('open', () => {
+    it('should create the spool file and its sidecar', async () => {
+      const { id } = await service.open({ filename: 'rec.webm', mimeType: 'video/webm' });
+
+      expect(id).toMatch(UUID_PATTERN);
+      expect(fs.writeFile).toHaveBeenCalledWith(metaPath(id), expect.stringContaining('"filename": "rec.webm"'), 'utf8');
+      expect(fs.open).toHaveBeenCalledWith(partPath(id), 'w');
+    });
+
+    it('should strip directory components from the filename', async () => {
+      const { id } = await service.open({ filename: '../../rec.webm' });
+
+      expect(fs.writeFile).toHaveBeenCalledWith(metaPath(id), expect.stringContaining('"filename": "rec.webm"'), 'utf8');
+    });
+  });
+
+  describe('append', () => {
+    let spoolId;
+
+    beforeEach(async () => {
+      ({ id: spoolId } = await service.open({ filename: 'rec.webm' }));
+    });
+
+    it('should write chunks in the order they were sent', async () => {
+      let releaseFirst;
+      mockHandle.write
+        .mockImplementationOnce(() => new Promise(resolve => { releaseFirst = resolve; }))
+        .mockResolvedValueOnce({});
+
+      const first = service.append(spoolId, new Uint8Array([1]));
+      const second = service.append(spoolId, new Uint8Array([2]).buffer);
+      await Promise.resolve();
+
+      expect(mockHandle.write).toHaveBeenCalledTimes(1);
+
+      releaseFirst({});
+      await Promise.all([first, second]);
+
+      expect(mockHandle.write.mock.calls.map(([buffer]) => [...buffer])).toEqual([[1], [2]]);
+    });
+
+    it('should reject a failed write and keep accepting later writes', async () => {
+      mockHandle.write.mockRejectedValueOnce(new Error('ENOSPC'));
+
+      await expect(service.append(spoolId, new Uint8Array([1]))).rejects.toThrow('ENOSPC');
+      await expect(service.append(spoolId, new Uint8Array([2]))).resolves.toBeUndefined();
+    });
+
+    it('should reject unknown spools', async () => {
+      await expect(service.append(OTHER_ID, new Uint8Array([1]))).rejects.toThrow('Recording spool not found');
+    });
+  });
+
+  describe('commit', () => {
+    let spoolId;
+
+    beforeEach(async () => {
+      ({ id: spoolId } = await service.open({ filename: 'rec.webm' }));
+    });
+
+    it('should close the file and move it into the capture folder', async () => {
+      const result = await service.commit(spoolId, 'final.webm');
+
+      expect(mockHandle.close).toHaveBeenCalled();
+      expect(mockCaptureStorageService.moveIntoCaptureFolder).toHaveBeenCalledWith(partPath(spoolId), 'final.webm');
+      expect(fs.unlink).toHaveBeenCalledWith(metaPath(spoolId));
+      expect(result).toEqual({ canceled: false, filePath: '/captures/final.webm' });
+    });
+
+    it('should fall back to the filename given at open', async () => {
+      await service.commit(spoolId);
+
+      expect(mockCaptureStorageService.moveIntoCaptureFolder).toHaveBeenCalledWith(partPath(spoolId), 'rec.webm');
+    });
+
+    it('should file the recording under the game given at open', async () => {
+      const { id } = await service.open({ filename: 'run.webm', game: 'Tetris' });
+
+      await service.commit(id);
+
+      expect(fs.writeFile).toHaveBeenCalledWith(metaPath(id), expect.stringContaining('"game": "Tetris"'), 'utf8');
+      expect(mockCaptureStorageService.moveIntoCaptureFolder).toHaveBeenCalledWith(partPath(id), 'run.webm', { game: 'Tetris' });
+    });
+
+    it('should delete the spool when the save is canceled', async () => {
+      mockCaptureStorageService.moveIntoCaptureFolder.mockResolvedValue({ canceled: true, filePath: null });
+
+      await service.commit(spoolId);
+
+      expect(fs.unlink).toHaveBeenCalledWith(partPath(spoolId));
+      expect(fs.unlink).toHaveBeenCalledWith(metaPath(spoolId));
+    });
+  });
+
+  describe('discard', () => {
+    it('should close and delete the spool', async () => {
+      const { id: spoolId } = await service.open({ filename: 'rec.webm' });
+
+      await service.discard(spoolId);
+
+      expect(mockHandle.close).toHaveBeenCalled();
+      expect(fs.unlink).toHaveBeenCalledWith(partPath(spoolId));
+      expect(fs.unlink).toHaveBeenCalledWith(metaPath(spoolId));
+    });
+
+    it('should reject IDs that are not spool IDs', async () => {
+      await expect(service.discard('../capture-settings')).rejects.toThrow('Invalid recording spool ID');
+      expect(fs.unlink).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listUnfinished', () => {
+    it('should list spools with data and skip the ones still recording', async () => {
+      const { id: liveId } = await service.open({ filename: 'live.webm' });
+      fs.readdir.mockResolvedValue([`${liveId}.json`, `${liveId}.part`, `${OTHER_ID}.json`, `${OTHER_ID}.part`]);
+      fs.readFile.mockResolvedValue(JSON.stringify({ filename: 'old.webm', mimeType: 'video/webm', startedAt: '2024-01-01T00:00:00.000Z' }));
+      fs.stat.mockResolvedValue({ size: 2048 });
+
+      const unfinished = await service.listUnfinished();
+
+      expect(unfinished).toEqual([{
+        id: OTHER_ID,
+        filename: 'old.webm',
+        mimeType: 'video/webm',
+        startedAt: '2024-01-01T00:00:00.000Z',
+        size: 2048
+      }]);
+    });
+
+    it('should remove empty and unreadable spools', async () => {
+      const EMPTY_ID = '0f8fad5b-d9cb-469f-a165-70867728950e';
+      fs.readdir.mockResolvedValue([`${EMPTY_ID}.json`, `${OTHER_ID}.json`]);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ filename: 'empty.webm' })).mockResolvedValueOnce('{broken');
+      fs.stat.mockResolvedValue({ size: 0 });
+
+      const unfinished = await service.listUnfinished();
+
+      expect(unfinished).toEqual([]);
+      expect(fs.unlink).toHaveBeenCalledWith(partPath(EMPTY_ID));
+      expect(fs.unlink).toHaveBeenCalledWith(metaPath(OTHER_ID));
+    });
+
+    it('should return nothing when the spool folder is missing', async () => {
+      fs.readdir.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+      expect(await service.listUnfinished()).toEqual([]);
+      expect(mockLogger.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recoverUnfinished', () => {
+    beforeEach(() => {
+      fs.readdir.mockResolvedValue([`${OTHER_ID}.json`]);
+      fs.readFile.mockResolvedValue(JSON.stringify({ filename: 'prismgb-recording.webm' }));
+      fs.stat.mockResolvedValue({ size: 2048 });
+    });
+
+    it('should not ask when there is nothing to recover', async () => {
+      fs.readdir.mockResolvedValue([]);
+
+      const result = await service.recoverUnfinished();
+
+      expect(dialog.showMessageBox).not.toHaveBeenCalled();
+      expect(result).toEqual({ recovered: [], discarded: 0 });
+    });
+
+    it('should move recovered recordings into the capture folder', async () => {
+      dialog.showMessageBox.mockResolvedValue({ response: 0 });
+
+      const result = await service.recoverUnfinished();
+
+      expect(dialog.showMessageBox).toHaveBeenCalledWith({ id: 1 }, expect.objectContaining({
+        message: 'PrismGB found 1 unfinished recording',
+        buttons: ['Recover', 'Discard', 'Later']
+      }));
+      expect(mockCaptureStorageService.moveIntoCaptureFolder).toHaveBeenCalledWith(
+        partPath(OTHER_ID),
+        'prismgb-recording-recovered.webm',
+        { ask: false }
+      );
+      expect(fs.unlink).toHaveBeenCalledWith(metaPath(OTHER_ID));
+      expect(result).toEqual({ recovered: ['/captures/prismgb-recording-recovered.webm'], discarded: 0 });
+    });
+
+    it('should recover recordings into their game folder', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ filename: 'run.webm', game: 'Tetris' }));
+      dialog.showMessageBox.mockResolvedValue({ response: 0 });
+
+      await service.recoverUnfinished();
+
+      expect(mockCaptureStorageService.moveIntoCaptureFolder).toHaveBeenCalledWith(
+        partPath(OTHER_ID),
+        'run-recovered.webm',
+        { ask: false, game: 'Tetris' }
+      );
+    });
+
+    it('should delete unfinished recordings when discarded', async () => {
+      dialog.showMessageBox.mockResolvedValue({ response: 1 });
+
+      const result = await service.recoverUnfinished();
+
+      expect(fs.unlink).toHaveBeenCalledWith(partPath(OTHER_ID));
+      expect(mockCaptureStorageService.moveIntoCaptureFolder).not.toHaveBeenCalled();
+      expect(result).toEqual({ recovered: [], discarded: 1 });
+    });
+
+    it('should keep unfinished recordings when postponed', async () => {
+      dialog.showMessageBox.mockResolvedValue({ response: 2 });
+
+      const result = await service.recoverUnfinished();
+
+      expect(fs.unlink).not.toHaveBeenCalled();
+      expect(result).toEqual({ recovered: [], discarded: 0 });
+    });
+
+    it('should keep a spool that fails to move so it can be retried', async () => {
+      dialog.showMessageBox.mockResolvedValue({ response: 0 });
+      mockCaptureStorageService.moveIntoCaptureFolder.mockRejectedValue(new Error('denied'));
+
+      const result = await service.recoverUnfinished();
+
+      expect(fs.unlink).not.toHaveBeenCalled();
+      expect(result.recovered).toEqual([]);
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('dispose', () => {
+    it('should close open spools and keep their data', async () => {
+      await service.open({ filename: 'rec.webm' });
+
+      await service.dispose();
+
+      expect(mockHandle.close).toHaveBeenCalled();
+      expect(fs.unlink).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * CaptureShareService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import path from 'path';
+
+vi.mock('electron', () => ({
+  app: {
+    getAppPath: vi.fn(() => '/app'),
+    isPackaged: false
+  },
+  clipboard: {
+    writeImage: vi.fn()
+  },
+  nativeImage: {
+    createFromBuffer: vi.fn(),
+    createFromPath: vi.fn()
+  }
+}));
+
+vi.mock('fs/promises', () => ({
+  default: {
+    access: vi.fn()
+  }
+}));
+
+import { app, clipboard, nativeImage } from 'electron';
+import fs from 'fs/promises';
+import { CaptureShareService } from '@main/features/capture/capture-share.service.js';
+
+const createImage = (empty = false) => {
+  const image = {
+    isEmpty: vi.fn(() => empty),
+    resize: vi.fn(() => image)
+  };
+  return image;
+};
+
+describe('CaptureShareService', () => {
+  let service;
+  let mockCaptureStorageService;
+  let mockLogger;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    app.isPackaged = false;
+
+    fs.access.mockResolvedValue();
+
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    };
+
+    mockCaptureStorageService = {
+      isSavedCapture: vi.fn(() => true)
+    };
+
+    service = new CaptureShareService({
+      captureStorageService: mockCaptureStorageService,
+      loggerFactory: { create: vi.fn(() => mockLogger) }
+    });
+  });
+
+  describe('copyImage', () => {
+    it('should write the decoded image to the clipboard', () => {
+      const image = createImage();
+      nativeImage.createFromBuffer.mockReturnValue(image);
+
+      service.copyImage(new Uint8Array([1, 2, 3]).buffer);
+
+      expect(nativeImage.createFromBuffer).toHaveBeenCalledWith(Buffer.from([1, 2, 3]));
+      expect(clipboard.writeImage).toHaveBeenCalledWith(image);
+    });
+
+    it('should reject data that is not an image', () => {
+      nativeImage.createFromBuffer.mockReturnValue(createImage(true));
+
+      expect(() => service.copyImage(new Uint8Array([0]))).toThrow('Invalid image');
+      expect(clipboard.writeImage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startDrag', () => {
+    let webContents;
+
+    beforeEach(() => {
+      webContents = { startDrag: vi.fn() };
+    });
+
+    it('should drag the file with a thumbnail of itself', async () => {
+      const icon = createImage();
+      nativeImage.createFromPath.mockReturnValue(icon);
+
+      await service.startDrag(webContents, '/captures/shot.png');
+
+      expect(icon.resize).toHaveBeenCalledWith({ width: 64 });
+      expect(webContents.startDrag).toHaveBeenCalledWith({ file: '/captures/shot.png', icon });
+    });
+
+    it('should fall back to the app icon for videos', async () => {
+      const appIcon = createImage();
+      nativeImage.createFromPath.mockReturnValueOnce(createImage(true)).mockReturnValueOnce(appIcon);
+
+      await service.startDrag(webContents, '/captures/rec.webm');
+
+      expect(nativeImage.createFromPath).toHaveBeenLastCalledWith(path.join('/app', 'assets/icon.png'));
+      expect(webContents.startDrag).toHaveBeenCalledWith({ file: '/captures/rec.webm', icon: appIcon });
+    });
+
+    it('should use the packaged copy of the app icon in packaged builds', async () => {
+      app.isPackaged = true;
+      const appIcon = createImage();
+      nativeImage.createFromPath.mockReturnValueOnce(createImage(true)).mockReturnValueOnce(appIcon);
+
+      await service.startDrag(webContents, '/captures/rec.mp4');
+
+      expect(nativeImage.createFromPath).toHaveBeenLastCalledWith(path.join('/app', 'dist/renderer/assets/icon.png'));
+      expect(webContents.startDrag).toHaveBeenCalledWith({ file: '/captures/rec.mp4', icon: appIcon });
+    });
+
+    it('should not start a drag without an icon', async () => {
+      nativeImage.createFromPath.mockReturnValue(createImage(true));
+
+      await expect(service.startDrag(webContents, '/captures/rec.webm')).rejects.toThrow('No drag icon available');
+      expect(webContents.startDrag).not.toHaveBeenCalled();
+    });
+
+    it('should refuse files that were not saved as captures', async () => {
+      mockCaptureStorageService.isSavedCapture.mockReturnValue(false);
+
+      await expect(service.startDrag(webContents, '/etc/passwd')).rejects.toThrow('Not a saved capture');
+      expect(webContents.startDrag).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the capture was deleted', async () => {
+      fs.access.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+      await expect(service.startDrag(webContents, '/captures/shot.png')).rejects.toThrow('missing');
+      expect(webContents.startDrag).not.toHaveBeenCalled();
+    });
+  });
+});
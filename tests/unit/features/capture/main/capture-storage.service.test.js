@@ -0,0 +1,377 @@
+/**
+ * CaptureStorageService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import path from 'path';
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn((name) => (name === 'userData' ? '/user-data' : '/pictures'))
+  },
+  dialog: {
+    showOpenDialog: vi.fn(),
+    showSaveDialog: vi.fn()
+  }
+}));
+
+vi.mock('fs/promises', () => ({
+  default: {
+    readFile: vi.fn(),
+    writeFile: vi.fn(),
+    mkdir: vi.fn(),
+    access: vi.fn(),
+    rename: vi.fn(),
+    copyFile: vi.fn(),
+    unlink: vi.fn()
+  }
+}));
+
+import { dialog } from 'electron';
+import fs from 'fs/promises';
+import { CaptureStorageService } from '@main/features/capture/capture-storage.service.js';
+
+const DEFAULT_DIRECTORY = path.join('/pictures', 'PrismGB');
+
+describe('CaptureStorageService', () => {
+  let service;
+  let mockWindowService;
+  let mockLogger;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    const notFound = Object.assign(new Error('not found'), { code: 'ENOENT' });
+    fs.readFile.mockRejectedValue(notFound);
+    fs.access.mockRejectedValue(notFound);
+    fs.writeFile.mockResolvedValue();
+    fs.mkdir.mockResolvedValue();
+    fs.rename.mockResolvedValue();
+    fs.copyFile.mockResolvedValue();
+    fs.unlink.mockResolvedValue();
+
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    };
+
+    mockWindowService = {
+      mainWindow: { id: 1 }
+    };
+
+    service = new CaptureStorageService({
+      windowService: mockWindowService,
+      loggerFactory: { create: vi.fn(() => mockLogger) }
+    });
+  });
+
+  describe('initialize', () => {
+    it('should use default folder when no settings file exists', async () => {
+      await service.initialize();
+
+      expect(service.getSettings()).toEqual({ directory: DEFAULT_DIRECTORY, askEveryTime: false, gameFolders: false });
+      expect(mockLogger.warn).not.toHaveBeenCalled();
+    });
+
+    it('should load persisted settings', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ directory: '/captures', askEveryTime: true }));
+
+      await service.initialize();
+
+      expect(service.getSettings()).toEqual({ directory: '/captures', askEveryTime: true, gameFolders: false });
+    });
+
+    it('should ignore relative persisted directory', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ directory: 'captures', askEveryTime: true }));
+
+      await service.initialize();
+
+      expect(service.getSettings().directory).toBe(DEFAULT_DIRECTORY);
+    });
+
+    it('should warn and fall back to defaults on corrupt settings', async () => {
+      fs.readFile.mockResolvedValue('{not json');
+
+      await service.initialize();
+
+      expect(service.getSettings().directory).toBe(DEFAULT_DIRECTORY);
+      expect(mockLogger.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('updateSettings', () => {
+    beforeEach(async () => {
+      await service.initialize();
+    });
+
+    it('should persist updated settings', async () => {
+      const settings = await service.updateSettings({ directory: '/captures', askEveryTime: true });
+
+      expect(settings).toEqual({ directory: '/captures', askEveryTime: true, gameFolders: false });
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        path.join('/user-data', 'capture-settings.json'),
+        expect.stringContaining('"askEveryTime": true'),
+        'utf8'
+      );
+    });
+
+    it('should reject relative directories', async () => {
+      await expect(service.updateSettings({ directory: 'relative' })).rejects.toThrow('absolute path');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('chooseDirectory', () => {
+    beforeEach(async () => {
+      await service.initialize();
+    });
+
+    it('should store the selected folder', async () => {
+      dialog.showOpenDialog.mockResolvedValue({ canceled: false, filePaths: ['/chosen'] });
+
+      const result = await service.chooseDirectory();
+
+      expect(dialog.showOpenDialog).toHaveBeenCalledWith(mockWindowService.mainWindow, expect.objectContaining({
+        defaultPath: DEFAULT_DIRECTORY
+      }));
+      expect(result).toEqual({ canceled: false, directory: '/chosen' });
+      expect(service.getSettings().directory).toBe('/chosen');
+    });
+
+    it('should keep current folder when canceled', async () => {
+      dialog.showOpenDialog.mockResolvedValue({ canceled: true, filePaths: [] });
+
+      const result = await service.chooseDirectory();
+
+      expect(result).toEqual({ canceled: true, directory: DEFAULT_DIRECTORY });
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saveCapture', () => {
+    beforeEach(async () => {
+      await service.initialize();
+    });
+
+    it('should write capture into the capture folder', async () => {
+      const data = new Uint8Array([1, 2, 3]);
+
+      const result = await service.saveCapture({ filename: 'shot.png', data });
+
+      const expectedPath = path.join(DEFAULT_DIRECTORY, 'shot.png');
+      expect(fs.mkdir).toHaveBeenCalledWith(DEFAULT_DIRECTORY, { recursive: true });
+      expect(fs.writeFile).toHaveBeenCalledWith(expectedPath, Buffer.from(data));
+      expect(result).toEqual({ canceled: false, filePath: expectedPath });
+    });
+
+    it('should accept ArrayBuffer data', async () => {
+      const data = new Uint8Array([4, 5]).buffer;
+
+      await service.saveCapture({ filename: 'shot.png', data });
+
+      expect(fs.writeFile).toHaveBeenCalledWith(expect.any(String), Buffer.from([4, 5]));
+    });
+
+    it('should append a counter when the file already exists', async () => {
+      fs.access
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce();
+
+      const result = await service.saveCapture({ filename: 'shot.png', data: new Uint8Array() });
+
+      expect(result.filePath).toBe(path.join(DEFAULT_DIRECTORY, 'shot-2.png'));
+    });
+
+    it('should strip directory components from filename', async () => {
+      const result = await service.saveCapture({ filename: '../../etc/passwd', data: new Uint8Array() });
+
+      expect(result.filePath).toBe(path.join(DEFAULT_DIRECTORY, 'passwd'));
+    });
+
+    it('should show save dialog when ask every time is enabled', async () => {
+      await service.updateSettings({ askEveryTime: true });
+      fs.writeFile.mockClear();
+      dialog.showSaveDialog.mockResolvedValue({ canceled: false, filePath: '/elsewhere/shot.png' });
+
+      const result = await service.saveCapture({ filename: 'shot.png', data: new Uint8Array([1]) });
+
+      expect(dialog.showSaveDialog).toHaveBeenCalledWith(mockWindowService.mainWindow, expect.objectContaining({
+        defaultPath: path.join(DEFAULT_DIRECTORY, 'shot.png')
+      }));
+      expect(fs.writeFile).toHaveBeenCalledWith('/elsewhere/shot.png', expect.any(Buffer));
+      expect(result).toEqual({ canceled: false, filePath: '/elsewhere/shot.png' });
+    });
+
+    it('should not write when save dialog is canceled', async () => {
+      await service.updateSettings({ askEveryTime: true });
+      fs.writeFile.mockClear();
+      dialog.showSaveDialog.mockResolvedValue({ canceled: true });
+
+      const result = await service.saveCapture({ filename: 'shot.png', data: new Uint8Array([1]) });
+
+      expect(result).toEqual({ canceled: true, filePath: null });
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should save into a session folder without asking', async () => {
+      await service.updateSettings({ askEveryTime: true });
+
+      const result = await service.saveCapture({ filename: 'shot.png', data: new Uint8Array([1]), folder: 'session-1' });
+
+      const sessionDirectory = path.join(DEFAULT_DIRECTORY, 'session-1');
+      expect(dialog.showSaveDialog).not.toHaveBeenCalled();
+      expect(fs.mkdir).toHaveBeenCalledWith(sessionDirectory, { recursive: true });
+      expect(result.filePath).toBe(path.join(sessionDirectory, 'shot.png'));
+    });
+
+    it('should keep session folders inside the capture folder', async () => {
+      const result = await service.saveCapture({ filename: 'shot.png', data: new Uint8Array([1]), folder: '../..' });
+
+      expect(path.dirname(path.dirname(result.filePath))).toBe(DEFAULT_DIRECTORY);
+    });
+
+    it('should ignore the game while game folders are off', async () => {
+      const result = await service.saveCapture({ filename: 'shot.png', data: new Uint8Array([1]), game: 'Tetris' });
+
+      expect(result.filePath).toBe(path.join(DEFAULT_DIRECTORY, 'shot.png'));
+    });
+
+    it('should save into a folder named after the game', async () => {
+      await service.updateSettings({ gameFolders: true });
+
+      const result = await service.saveCapture({ filename: 'shot.png', data: new Uint8Array([1]), game: 'Pokémon Red/Blue' });
+
+      const gameDirectory = path.join(DEFAULT_DIRECTORY, 'Pokemon-Red-Blue');
+      expect(fs.mkdir).toHaveBeenCalledWith(gameDirectory, { recursive: true });
+      expect(result.filePath).toBe(path.join(gameDirectory, 'shot.png'));
+    });
+
+    it('should keep game folders clear of interval session names', async () => {
+      await service.updateSettings({ gameFolders: true });
+
+      const result = await service.saveCapture({ filename: 'shot.png', data: new Uint8Array([1]), game: 'prismgb-interval-1' });
+
+      expect(result.filePath).toBe(path.join(DEFAULT_DIRECTORY, 'shot.png'));
+    });
+  });
+
+  describe('moveIntoCaptureFolder', () => {
+    beforeEach(async () => {
+      await service.initialize();
+    });
+
+    it('should move the file into the capture folder', async () => {
+      const result = await service.moveIntoCaptureFolder('/spool/a.part', 'rec.webm');
+
+      const expectedPath = path.join(DEFAULT_DIRECTORY, 'rec.webm');
+      expect(fs.rename).toHaveBeenCalledWith('/spool/a.part', expectedPath);
+      expect(result).toEqual({ canceled: false, filePath: expectedPath });
+    });
+
+    it('should copy and delete when the capture folder is on another drive', async () => {
+      fs.rename.mockRejectedValue(Object.assign(new Error('cross-device'), { code: 'EXDEV' }));
+
+      await service.moveIntoCaptureFolder('/spool/a.part', 'rec.webm');
+
+      expect(fs.copyFile).toHaveBeenCalledWith('/spool/a.part', path.join(DEFAULT_DIRECTORY, 'rec.webm'));
+      expect(fs.unlink).toHaveBeenCalledWith('/spool/a.part');
+    });
+
+    it('should rethrow other rename errors', async () => {
+      fs.rename.mockRejectedValue(Object.assign(new Error('denied'), { code: 'EACCES' }));
+
+      await expect(service.moveIntoCaptureFolder('/spool/a.part', 'rec.webm')).rejects.toThrow('denied');
+      expect(fs.copyFile).not.toHaveBeenCalled();
+    });
+
+    it('should leave the file in place when the save dialog is canceled', async () => {
+      dialog.showSaveDialog.mockResolvedValue({ canceled: true });
+
+      const result = await service.moveIntoCaptureFolder('/spool/a.part', 'rec.webm', { ask: true });
+
+      expect(result).toEqual({ canceled: true, filePath: null });
+      expect(fs.rename).not.toHaveBeenCalled();
+    });
+
+    it('should move the file into the game folder', async () => {
+      await service.updateSettings({ gameFolders: true });
+
+      const result = await service.moveIntoCaptureFolder('/spool/a.part', 'rec.webm', { game: 'Tetris' });
+
+      expect(result.filePath).toBe(path.join(DEFAULT_DIRECTORY, 'Tetris', 'rec.webm'));
+    });
+
+    it('should skip the save dialog when ask is false', async () => {
+      await service.updateSettings({ askEveryTime: true });
+
+      await service.moveIntoCaptureFolder('/spool/a.part', 'rec.webm', { ask: false });
+
+      expect(dialog.showSaveDialog).not.toHaveBeenCalled();
+      expect(fs.rename).toHaveBeenCalled();
+    });
+  });
+
+  describe('saveSidecar', () => {
+    beforeEach(async () => {
+      await service.initialize();
+    });
+
+    it('should write next to a saved capture, named after it', async () => {
+      dialog.showSaveDialog.mockResolvedValue({ canceled: false, filePath: '/videos/run.webm' });
+      const { filePath } = await service.moveIntoCaptureFolder('/spool/a.part', 'rec.webm', { ask: true });
+      const data = new Uint8Array([1, 2]);
+
+      const result = await service.saveSidecar({ capturePath: filePath, extension: '.chapters.vtt', data });
+
+      const expectedPath = path.join('/videos', 'run.chapters.vtt');
+      expect(fs.writeFile).toHaveBeenCalledWith(expectedPath, Buffer.from(data));
+      expect(result).toEqual({ filePath: expectedPath });
+    });
+
+    it('should refuse captures not saved this session', async () => {
+      await expect(service.saveSidecar({
+        capturePath: path.join(DEFAULT_DIRECTORY, 'other.webm'),
+        extension: '.chapters.vtt',
+        data: new Uint8Array([1])
+      })).rejects.toThrow('Not a saved capture');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should refuse other extensions', async () => {
+      const { filePath } = await service.moveIntoCaptureFolder('/spool/a.part', 'rec.webm');
+
+      await expect(service.saveSidecar({ capturePath: filePath, extension: '.sh', data: new Uint8Array([1]) }))
+        .rejects.toThrow('Unsupported sidecar: .sh');
+    });
+  });
+
+  describe('isSavedCapture', () => {
+    beforeEach(async () => {
+      await service.initialize();
+    });
+
+    it('should recognize files saved this session', async () => {
+      const { filePath } = await service.saveCapture({ filename: 'shot.png', data: new Uint8Array([1]) });
+      const moved = await service.moveIntoCaptureFolder('/spool/a.part', 'rec.webm');
+
+      expect(service.isSavedCapture(filePath)).toBe(true);
+      expect(service.isSavedCapture(moved.filePath)).toBe(true);
+    });
+
+    it('should reject other paths', async () => {
+      await service.saveCapture({ filename: 'shot.png', data: new Uint8Array([1]) });
+
+      expect(service.isSavedCapture(path.join(DEFAULT_DIRECTORY, 'other.png'))).toBe(false);
+      expect(service.isSavedCapture(path.join(DEFAULT_DIRECTORY, '..', 'secret.txt'))).toBe(false);
+      expect(service.isSavedCapture(null)).toBe(false);
+    });
+
+    it('should compare normalized paths', async () => {
+      const { filePath } = await service.saveCapture({ filename: 'shot.png', data: new Uint8Array([1]) });
+
+      expect(service.isSavedCapture(path.join(DEFAULT_DIRECTORY, 'sub', '..', path.basename(filePath)))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * CaptureFrameSequenceWriter Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureFrameSequenceWriter } from '@renderer/features/capture/recording/capture-frame-sequence-writer.class.js';
+
+describe('CaptureFrameSequenceWriter', () => {
+  let context;
+  let saveFile;
+  let logger;
+
+  // Sources are plain numbers; drawing one fills the 2x1 canvas with that value
+  const frame = (value) => value;
+
+  beforeEach(() => {
+    let pixels = new Uint8ClampedArray(8);
+    context = {
+      imageSmoothingEnabled: true,
+      drawImage: vi.fn((source) => { pixels = new Uint8ClampedArray(8).fill(source); }),
+      getImageData: vi.fn(() => ({ data: pixels }))
+    };
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+    vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(function (callback, type) {
+      setTimeout(() => callback(new Blob([String(pixels[0])], { type })), 0);
+    });
+
+    saveFile = vi.fn().mockResolvedValue();
+    logger = { error: vi.fn() };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const create = () => new CaptureFrameSequenceWriter({ width: 2, height: 1, frameRate: 50, saveFile, logger });
+
+  const manifest = async () => {
+    const [blob, filename] = saveFile.mock.calls.at(-1);
+    expect(filename).toBe('frames.json');
+    return JSON.parse(await blob.text());
+  };
+
+  it('should draw at native size without smoothing', () => {
+    const writer = create();
+    writer.addFrame(frame(1));
+
+    expect(context.imageSmoothingEnabled).toBe(false);
+    expect(context.drawImage).toHaveBeenCalledWith(1, 0, 0, 2, 1);
+  });
+
+  it('should write each distinct frame once, in order', async () => {
+    const writer = create();
+
+    expect(writer.addFrame(frame(1))).toBe(true);
+    expect(writer.addFrame(frame(1))).toBe(false);
+    expect(writer.addFrame(frame(2))).toBe(true);
+    await writer.finish();
+
+    expect(saveFile.mock.calls.map(([, filename]) => filename)).toEqual(['frame-00001.png', 'frame-00002.png', 'frames.json']);
+    expect(saveFile.mock.calls[0][0].type).toBe('image/png');
+    expect(writer.frameCount).toBe(3);
+    expect(writer.uniqueFrameCount).toBe(2);
+  });
+
+  it('should record how long each frame is held', async () => {
+    const writer = create();
+    [1, 1, 1, 2, 3, 3].forEach(value => writer.addFrame(frame(value)));
+
+    await expect(writer.finish()).resolves.toEqual({ frameCount: 6, uniqueFrameCount: 3 });
+    expect(await manifest()).toEqual({
+      width: 2,
+      height: 1,
+      frameRate: 50,
+      frameCount: 6,
+      durationMs: 120,
+      frames: [
+        { file: 'frame-00001.png', start: 0, hold: 3, durationMs: 60 },
+        { file: 'frame-00002.png', start: 3, hold: 1, durationMs: 20 },
+        { file: 'frame-00003.png', start: 4, hold: 2, durationMs: 40 }
+      ]
+    });
+  });
+
+  it('should add missed stream frames to the previous hold', async () => {
+    const writer = create();
+    writer.addFrame(frame(1));
+    writer.addFrame(frame(2), 3);
+
+    await writer.finish();
+
+    const { frames, frameCount } = await manifest();
+    expect(frameCount).toBe(4);
+    expect(frames.map(({ start, hold }) => ({ start, hold }))).toEqual([{ start: 0, hold: 3 }, { start: 3, hold: 1 }]);
+  });
+
+  it('should throw on the next frame once a write has failed', async () => {
+    saveFile.mockRejectedValueOnce(new Error('disk full'));
+    const writer = create();
+    writer.addFrame(frame(1));
+
+    await vi.waitFor(() => expect(logger.error).toHaveBeenCalledWith('Failed to write frame-00001.png:', 'disk full'));
+    expect(() => writer.addFrame(frame(2))).toThrow('disk full');
+    await expect(writer.finish()).rejects.toThrow('disk full');
+  });
+
+  it('should fail to finish without frames', async () => {
+    await expect(create().finish()).rejects.toThrow('No frames captured');
+    expect(saveFile).not.toHaveBeenCalled();
+  });
+
+  it('should refuse frames once closed', () => {
+    const writer = create();
+    writer.close();
+
+    expect(() => writer.addFrame(frame(1))).toThrow('Frame sequence is closed');
+  });
+});
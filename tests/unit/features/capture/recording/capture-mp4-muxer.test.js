@@ -0,0 +1,215 @@
+/**
+ * Mp4Muxer Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Mp4Muxer } from '@renderer/features/capture/recording/capture-mp4-muxer.class.js';
+
+const AVC_DESCRIPTION = Uint8Array.from([1, 0x64, 0, 0x28, 0xff, 0xe1, 0, 0]);
+const AAC_DESCRIPTION = Uint8Array.from([0x11, 0x90]);
+
+function chunk({ type = 'key', timestamp, duration = 0, bytes }) {
+  return {
+    type,
+    timestamp,
+    duration,
+    byteLength: bytes.length,
+    copyTo: (target) => target.set(bytes)
+  };
+}
+
+function concatParts(parts) {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+/**
+ * Parse boxes into { type, start, data, children } (containers are parsed recursively)
+ */
+const CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'dinf', 'edts']);
+
+function parseBoxes(bytes, start = 0, end = bytes.length) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const boxes = [];
+  let position = start;
+
+  while (position < end) {
+    let size = view.getUint32(position);
+    const type = String.fromCharCode(...bytes.subarray(position + 4, position + 8));
+    let header = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(position + 8));
+      header = 16;
+    }
+    const box = { type, start: position, data: bytes.subarray(position + header, position + size) };
+    if (CONTAINERS.has(type)) {
+      box.children = parseBoxes(bytes, position + header, position + size);
+    }
+    boxes.push(box);
+    position += size;
+  }
+
+  return boxes;
+}
+
+function find(boxes, path) {
+  const [type, ...rest] = path.split('/');
+  const match = boxes.find(box => box.type === type);
+  return rest.length ? find(match.children, rest.join('/')) : match;
+}
+
+function readU32List(data, offset, count) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  return Array.from({ length: count }, (_, i) => view.getUint32(offset + i * 4));
+}
+
+describe('Mp4Muxer', () => {
+  function createMuxer(audio = { codec: 'mp4a.40.2' }) {
+    const muxer = new Mp4Muxer({ video: { codec: 'avc1.640028' }, audio });
+    muxer.addVideoChunk(chunk({ timestamp: 1000000, bytes: [1, 1, 1] }), {
+      decoderConfig: { codec: 'avc1.640028', codedWidth: 160, codedHeight: 144, description: AVC_DESCRIPTION.buffer }
+    });
+    return muxer;
+  }
+
+  it('should write ftyp, mdat and moov with sample data in mdat', () => {
+    const muxer = createMuxer(null);
+    muxer.addVideoChunk(chunk({ type: 'delta', timestamp: 1016667, bytes: [2, 2] }));
+
+    const file = concatParts(muxer.finalize());
+    const boxes = parseBoxes(file);
+
+    expect(boxes.map(box => box.type)).toEqual(['ftyp', 'mdat', 'moov']);
+    expect(String.fromCharCode(...boxes[0].data.subarray(0, 4))).toBe('isom');
+    expect(Array.from(boxes[1].data)).toEqual([1, 1, 1, 2, 2]);
+  });
+
+  it('should report the sample data size', () => {
+    const muxer = createMuxer(null);
+    muxer.addVideoChunk(chunk({ type: 'delta', timestamp: 1016667, bytes: [2, 2] }));
+
+    expect(muxer.byteLength).toBe(5);
+  });
+
+  it('should describe video samples in the sample tables', () => {
+    const muxer = createMuxer(null);
+    muxer.addVideoChunk(chunk({ type: 'delta', timestamp: 1016667, bytes: [2, 2] }));
+    muxer.addVideoChunk(chunk({ type: 'key', timestamp: 1033333, duration: 16667, bytes: [3] }));
+
+    const file = concatParts(muxer.finalize());
+    const boxes = parseBoxes(file);
+    const stbl = find(boxes, 'moov/trak/mdia/minf/stbl');
+
+    const stsz = find(stbl.children, 'stsz');
+    expect(readU32List(stsz.data, 8, 4)).toEqual([3, 3, 2, 1]);
+
+    const stss = find(stbl.children, 'stss');
+    expect(readU32List(stss.data, 4, 3)).toEqual([2, 1, 3]);
+
+    // 1/60s at 90 kHz
+    const stts = find(stbl.children, 'stts');
+    expect(readU32List(stts.data, 4, 3)).toEqual([1, 3, 1500]);
+
+    const co64 = find(stbl.children, 'co64');
+    const view = new DataView(co64.data.buffer, co64.data.byteOffset);
+    const offsets = [0, 1, 2].map(i => Number(view.getBigUint64(8 + i * 8)));
+    expect(offsets.map(offset => file[offset])).toEqual([1, 2, 3]);
+
+    const stsd = find(stbl.children, 'stsd');
+    expect(String.fromCharCode(...stsd.data.subarray(12, 16))).toBe('avc1');
+    const sampleEntry = new DataView(stsd.data.buffer, stsd.data.byteOffset);
+    expect(sampleEntry.getUint16(8 + 32)).toBe(160);
+    expect(sampleEntry.getUint16(8 + 34)).toBe(144);
+    const avcC = stsd.data.subarray(8 + 86);
+    expect(String.fromCharCode(...avcC.subarray(4, 8))).toBe('avcC');
+    expect(Array.from(avcC.subarray(8))).toEqual(Array.from(AVC_DESCRIPTION));
+  });
+
+  it('should add an AAC track with its AudioSpecificConfig', () => {
+    const muxer = createMuxer();
+    muxer.addAudioChunk(chunk({ timestamp: 1000000, duration: 21333, bytes: [9, 9] }), {
+      decoderConfig: { codec: 'mp4a.40.2', sampleRate: 48000, numberOfChannels: 2, description: AAC_DESCRIPTION }
+    });
+    muxer.addAudioChunk(chunk({ timestamp: 1021333, duration: 21333, bytes: [8] }));
+
+    const boxes = parseBoxes(concatParts(muxer.finalize()));
+    const tracks = find(boxes, 'moov').children.filter(box => box.type === 'trak');
+
+    expect(tracks).toHaveLength(2);
+    const hdlr = find(tracks[1].children, 'mdia/hdlr');
+    expect(String.fromCharCode(...hdlr.data.subarray(8, 12))).toBe('soun');
+
+    const mdhd = find(tracks[1].children, 'mdia/mdhd');
+    expect(new DataView(mdhd.data.buffer, mdhd.data.byteOffset).getUint32(12)).toBe(48000);
+
+    const stsd = find(tracks[1].children, 'mdia/minf/stbl/stsd');
+    expect(String.fromCharCode(...stsd.data.subarray(12, 16))).toBe('mp4a');
+    const esds = stsd.data.subarray(8 + 36);
+    expect(String.fromCharCode(...esds.subarray(4, 8))).toBe('esds');
+    const tail = Array.from(esds.subarray(esds.length - 7));
+    expect(tail).toEqual([0x05, 0x02, 0x11, 0x90, 0x06, 0x01, 0x02]);
+  });
+
+  it('should write Opus and AV1 sample entries', () => {
+    const muxer = new Mp4Muxer({ video: { codec: 'av01.0.08M.08', width: 160, height: 144 }, audio: { codec: 'opus' } });
+    muxer.addVideoChunk(chunk({ timestamp: 0, bytes: [1] }), { decoderConfig: { codec: 'av01.0.08M.08' } });
+    const opusHead = Uint8Array.from([0x4f, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64, 1, 2, 0x38, 0x01, 0x80, 0xbb, 0, 0, 0, 0, 0]);
+    muxer.addAudioChunk(chunk({ timestamp: 0, duration: 20000, bytes: [2] }), {
+      decoderConfig: { codec: 'opus', sampleRate: 48000, numberOfChannels: 2, description: opusHead }
+    });
+
+    const bytes = concatParts(muxer.finalize());
+    const boxes = parseBoxes(bytes);
+    const tracks = find(boxes, 'moov').children.filter(box => box.type === 'trak');
+
+    const videoEntry = find(tracks[0].children, 'mdia/minf/stbl/stsd').data;
+    expect(String.fromCharCode(...videoEntry.subarray(12, 16))).toBe('av01');
+    const av1C = videoEntry.subarray(8 + 86);
+    expect(String.fromCharCode(...av1C.subarray(4, 8))).toBe('av1C');
+    expect(Array.from(av1C.subarray(8, 12))).toEqual([0x81, 0x08, 0x0c, 0x00]);
+
+    const audioEntry = find(tracks[1].children, 'mdia/minf/stbl/stsd').data;
+    expect(String.fromCharCode(...audioEntry.subarray(12, 16))).toBe('Opus');
+    const dOps = audioEntry.subarray(8 + 36);
+    expect(String.fromCharCode(...dOps.subarray(4, 8))).toBe('dOps');
+    // Version, channels, pre-skip 312 (big-endian), 48000 Hz
+    expect(Array.from(dOps.subarray(8, 16))).toEqual([0, 2, 0x01, 0x38, 0, 0, 0xbb, 0x80]);
+  });
+
+  it('should offset tracks that start after the first video frame', () => {
+    const muxer = createMuxer();
+    muxer.addVideoChunk(chunk({ type: 'delta', timestamp: 1500000, bytes: [2] }));
+    muxer.addAudioChunk(chunk({ timestamp: 1250000, duration: 250000, bytes: [9] }), {
+      decoderConfig: { codec: 'mp4a.40.2', sampleRate: 48000, numberOfChannels: 2 }
+    });
+
+    const boxes = parseBoxes(concatParts(muxer.finalize()));
+    const tracks = find(boxes, 'moov').children.filter(box => box.type === 'trak');
+
+    expect(tracks[0].children.some(box => box.type === 'edts')).toBe(false);
+    const elst = find(tracks[1].children, 'edts').children[0];
+    expect(elst.type).toBe('elst');
+    const entries = readU32List(elst.data, 4, 7);
+    expect(entries).toEqual([2, 250, 0xffffffff, 0x00010000, 250, 0, 0x00010000]);
+  });
+
+  it('should drop audio captured before the first video frame', () => {
+    const muxer = new Mp4Muxer({ video: { codec: 'avc1.640028' }, audio: { codec: 'mp4a.40.2' } });
+    muxer.addAudioChunk(chunk({ timestamp: 0, duration: 21333, bytes: [9] }), {
+      decoderConfig: { codec: 'mp4a.40.2', sampleRate: 48000, numberOfChannels: 2 }
+    });
+
+    expect(muxer.audio.samples).toHaveLength(0);
+  });
+
+  it('should throw when no video was recorded', () => {
+    const muxer = new Mp4Muxer({ video: { codec: 'avc1.640028' } });
+
+    expect(() => muxer.finalize()).toThrow('No video frames recorded');
+  });
+});
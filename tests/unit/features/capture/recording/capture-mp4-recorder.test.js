@@ -0,0 +1,302 @@
+/**
+ * CaptureMp4Recorder Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureMp4Recorder } from '@renderer/features/capture/recording/capture-mp4-recorder.class.js';
+
+/**
+ * Readable stand-in: push() feeds read(), cancel() ends it
+ */
+function createReader() {
+  const queue = [];
+  let pending = null;
+
+  return {
+    push(value) {
+      if (pending) {
+        pending({ value, done: false });
+        pending = null;
+      } else {
+        queue.push(value);
+      }
+    },
+    read: vi.fn(() => {
+      if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+      return new Promise(resolve => { pending = resolve; });
+    }),
+    cancel: vi.fn(async () => {
+      pending?.({ value: undefined, done: true });
+      pending = null;
+    })
+  };
+}
+
+function createTrack(kind, settings) {
+  const clone = { kind, stop: vi.fn() };
+  return { kind, clone: vi.fn(() => clone), getSettings: vi.fn(() => settings), _clone: clone };
+}
+
+function createEncoderClass(outputs) {
+  return vi.fn(function MockEncoder({ output, error }) {
+    this.output = output;
+    this.error = error;
+    this.state = 'unconfigured';
+    this.encodeQueueSize = 0;
+    this.configure = vi.fn((config) => {
+      this.config = config;
+      this.state = 'configured';
+    });
+    this.encode = vi.fn((input, options) => outputs.push({ encoder: this, input, options }));
+    this.flush = vi.fn(async () => {});
+    this.close = vi.fn(() => { this.state = 'closed'; });
+  });
+}
+
+describe('CaptureMp4Recorder', () => {
+  let readers;
+  let encoded;
+  let videoTrack;
+  let audioTrack;
+  let stream;
+  let originals;
+
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    readers = new Map();
+    encoded = [];
+    originals = {
+      VideoEncoder: global.VideoEncoder,
+      AudioEncoder: global.AudioEncoder,
+      MediaStreamTrackProcessor: global.MediaStreamTrackProcessor
+    };
+
+    global.VideoEncoder = createEncoderClass(encoded);
+    global.VideoEncoder.isConfigSupported = vi.fn(async () => ({ supported: true }));
+    global.AudioEncoder = createEncoderClass(encoded);
+    global.AudioEncoder.isConfigSupported = vi.fn(async () => ({ supported: true }));
+    global.MediaStreamTrackProcessor = vi.fn(function MockProcessor({ track }) {
+      const reader = createReader();
+      readers.set(track.kind, reader);
+      this.readable = { getReader: () => reader };
+    });
+
+    videoTrack = createTrack('video', { width: 640, height: 576, frameRate: 60 });
+    audioTrack = createTrack('audio', { sampleRate: 48000, channelCount: 2 });
+    stream = {
+      getVideoTracks: vi.fn(() => [videoTrack]),
+      getAudioTracks: vi.fn(() => [audioTrack])
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(global, originals);
+  });
+
+  const frame = (timestamp) => ({ timestamp, displayWidth: 640, displayHeight: 576, close: vi.fn() });
+
+  describe('create', () => {
+    it('should pick H.264/AAC when supported', async () => {
+      const recorder = await CaptureMp4Recorder.create(stream);
+
+      expect(recorder.codecs).toEqual({ video: 'avc1.640028', audio: 'mp4a.40.2' });
+      expect(recorder.mimeType).toBe('video/mp4');
+      expect(recorder.state).toBe('inactive');
+    });
+
+    it('should fall back to AV1/Opus when AAC is unavailable', async () => {
+      global.AudioEncoder.isConfigSupported.mockImplementation(async ({ codec }) => ({ supported: codec === 'opus' }));
+
+      const recorder = await CaptureMp4Recorder.create(stream);
+
+      expect(recorder.codecs).toEqual({ video: 'av01.0.08M.08', audio: 'opus' });
+    });
+
+    it('should ignore audio support for video-only streams', async () => {
+      global.AudioEncoder.isConfigSupported.mockResolvedValue({ supported: false });
+      stream.getAudioTracks.mockReturnValue([]);
+
+      const recorder = await CaptureMp4Recorder.create(stream);
+
+      expect(recorder.codecs.video).toBe('avc1.640028');
+    });
+
+    it('should check codec support at the requested bitrates', async () => {
+      const recorder = await CaptureMp4Recorder.create(stream, { videoBitsPerSecond: 800000, audioBitsPerSecond: 96000 });
+
+      expect(global.VideoEncoder.isConfigSupported).toHaveBeenCalledWith(expect.objectContaining({ bitrate: 800000 }));
+      expect(global.AudioEncoder.isConfigSupported).toHaveBeenCalledWith(expect.objectContaining({ bitrate: 96000 }));
+      expect(recorder.videoBitsPerSecond).toBe(800000);
+      expect(recorder.audioBitsPerSecond).toBe(96000);
+    });
+
+    it('should throw when no codec pair is supported', async () => {
+      global.VideoEncoder.isConfigSupported.mockResolvedValue({ supported: false });
+
+      await expect(CaptureMp4Recorder.create(stream)).rejects.toThrow('No supported MP4 codecs');
+    });
+
+    it('should throw when WebCodecs is unavailable', async () => {
+      global.VideoEncoder = undefined;
+
+      expect(CaptureMp4Recorder.isSupported()).toBe(false);
+      await expect(CaptureMp4Recorder.create(stream)).rejects.toThrow('MP4 recording is not supported');
+    });
+  });
+
+  describe('recording', () => {
+    let recorder;
+
+    beforeEach(async () => {
+      recorder = await CaptureMp4Recorder.create(stream);
+      recorder.start();
+      await tick();
+    });
+
+    it('should read from cloned tracks', () => {
+      expect(recorder.state).toBe('recording');
+      expect(videoTrack.clone).toHaveBeenCalled();
+      expect(audioTrack.clone).toHaveBeenCalled();
+    });
+
+    it('should configure the video encoder from the first frame and force periodic keyframes', async () => {
+      const frames = [frame(0), frame(1000000), frame(2000000)];
+      frames.forEach(f => readers.get('video').push(f));
+      await tick();
+
+      const videoEncoder = global.VideoEncoder.mock.instances[0];
+      expect(videoEncoder.config).toMatchObject({ codec: 'avc1.640028', width: 640, height: 576, avc: { format: 'avc' } });
+      expect(encoded.map(entry => entry.options.keyFrame)).toEqual([true, false, true]);
+      frames.forEach(f => expect(f.close).toHaveBeenCalled());
+    });
+
+    it('should configure the audio encoder from the first buffer', async () => {
+      readers.get('audio').push({ sampleRate: 44100, numberOfChannels: 1, close: vi.fn() });
+      await tick();
+
+      const audioEncoder = global.AudioEncoder.mock.instances[0];
+      expect(audioEncoder.config).toMatchObject({ codec: 'mp4a.40.2', sampleRate: 44100, numberOfChannels: 1 });
+    });
+
+    it('should drop frames while the encoder is backed up', async () => {
+      readers.get('video').push(frame(0));
+      await tick();
+      global.VideoEncoder.mock.instances[0].encodeQueueSize = 10;
+
+      readers.get('video').push(frame(16667));
+      await tick();
+
+      expect(encoded).toHaveLength(1);
+    });
+
+    it('should emit the finished MP4 and stop the cloned tracks', async () => {
+      const ondataavailable = vi.fn();
+      const onstop = vi.fn();
+      recorder.ondataavailable = ondataavailable;
+      recorder.onstop = onstop;
+
+      readers.get('video').push(frame(0));
+      await tick();
+      const videoEncoder = global.VideoEncoder.mock.instances[0];
+      videoEncoder.output(
+        { type: 'key', timestamp: 0, duration: 16667, byteLength: 2, copyTo: (target) => target.set([1, 2]) },
+        { decoderConfig: { codec: 'avc1.640028', codedWidth: 640, codedHeight: 576, description: new Uint8Array([1]) } }
+      );
+
+      recorder.stop();
+      await vi.waitFor(() => expect(onstop).toHaveBeenCalled());
+
+      expect(videoEncoder.flush).toHaveBeenCalled();
+      expect(videoEncoder.close).toHaveBeenCalled();
+      const { data } = ondataavailable.mock.calls[0][0];
+      expect(data.type).toBe('video/mp4');
+      expect(data.size).toBeGreaterThan(0);
+      expect(videoTrack._clone.stop).toHaveBeenCalled();
+      expect(audioTrack._clone.stop).toHaveBeenCalled();
+    });
+
+    it('should report an error when nothing was encoded', async () => {
+      const onerror = vi.fn();
+      recorder.onerror = onerror;
+
+      recorder.stop();
+      await vi.waitFor(() => expect(onerror).toHaveBeenCalled());
+
+      expect(onerror.mock.calls[0][0].error.message).toBe('No video frames recorded');
+    });
+
+    it('should drop input while paused and close the gap in the timeline', async () => {
+      const addVideoChunk = vi.spyOn(recorder._muxer, 'addVideoChunk').mockImplementation(() => {});
+      const audio = (timestamp) => ({ timestamp, sampleRate: 48000, numberOfChannels: 2, close: vi.fn() });
+
+      readers.get('video').push(frame(0));
+      await tick();
+
+      recorder.pause();
+      expect(recorder.state).toBe('paused');
+      const pausedFrame = frame(2000000);
+      readers.get('video').push(pausedFrame);
+      readers.get('audio').push(audio(2100000));
+      await tick();
+
+      recorder.resume();
+      readers.get('video').push(frame(5000000));
+      await tick();
+      const lateAudio = audio(4900000);
+      readers.get('audio').push(lateAudio);
+      readers.get('audio').push(audio(5100000));
+      await tick();
+
+      const encodedVideo = encoded.filter(entry => entry.encoder === global.VideoEncoder.mock.instances[0]);
+      expect(encodedVideo.map(entry => entry.input.timestamp)).toEqual([0, 5000000]);
+      expect(pausedFrame.close).toHaveBeenCalled();
+      expect(lateAudio.close).toHaveBeenCalled();
+
+      const encodedAudio = encoded.filter(entry => entry.encoder === global.AudioEncoder.mock.instances[0]);
+      expect(encodedAudio.map(entry => entry.input.timestamp)).toEqual([5100000]);
+
+      // Chunks after the pause are shifted back by the paused span
+      const output = global.VideoEncoder.mock.instances[0].output;
+      output({ type: 'delta', timestamp: 5000000 }, undefined);
+      output({ type: 'key', timestamp: 0 }, undefined);
+      expect(addVideoChunk).toHaveBeenNthCalledWith(1, expect.anything(), undefined, 2000000);
+      expect(addVideoChunk).toHaveBeenNthCalledWith(2, expect.anything(), undefined, 0);
+    });
+
+    it('should finish a paused recording on stop', async () => {
+      const onstop = vi.fn();
+      recorder.onstop = onstop;
+
+      readers.get('video').push(frame(0));
+      await tick();
+      global.VideoEncoder.mock.instances[0].output(
+        { type: 'key', timestamp: 0, duration: 16667, byteLength: 2, copyTo: (target) => target.set([1, 2]) },
+        { decoderConfig: { codec: 'avc1.640028', codedWidth: 640, codedHeight: 576, description: new Uint8Array([1]) } }
+      );
+
+      recorder.pause();
+      recorder.stop();
+      await vi.waitFor(() => expect(onstop).toHaveBeenCalled());
+
+      expect(recorder.state).toBe('inactive');
+    });
+
+    it('should stop and report encoder errors', async () => {
+      const onerror = vi.fn();
+      const onstop = vi.fn();
+      recorder.onerror = onerror;
+      recorder.onstop = onstop;
+
+      readers.get('video').push(frame(0));
+      await tick();
+      global.VideoEncoder.mock.instances[0].error(new Error('Encoder crashed'));
+      await tick();
+
+      expect(recorder.state).toBe('inactive');
+      expect(onerror).toHaveBeenCalledWith({ error: expect.objectContaining({ message: 'Encoder crashed' }) });
+      expect(videoTrack._clone.stop).toHaveBeenCalled();
+      expect(onstop).not.toHaveBeenCalled();
+    });
+  });
+});
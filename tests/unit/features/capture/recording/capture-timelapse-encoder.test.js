@@ -0,0 +1,181 @@
+/**
+ * CaptureTimelapseEncoder Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureTimelapseEncoder } from '@renderer/features/capture/recording/capture-timelapse-encoder.class.js';
+
+const muxers = vi.hoisted(() => []);
+
+vi.mock('@renderer/features/capture/recording/capture-mp4-muxer.class.js', () => ({
+  Mp4Muxer: vi.fn(function MockMp4Muxer(options) {
+    this.options = options;
+    this.addVideoChunk = vi.fn();
+    this.finalize = vi.fn(() => [new Uint8Array([1, 2, 3])]);
+    muxers.push(this);
+  })
+}));
+
+describe('CaptureTimelapseEncoder', () => {
+  let encoders;
+  let context;
+  let originals;
+
+  beforeEach(() => {
+    muxers.length = 0;
+    encoders = [];
+    originals = { VideoEncoder: global.VideoEncoder, VideoFrame: global.VideoFrame };
+
+    global.VideoEncoder = vi.fn(function MockEncoder({ output, error }) {
+      this.output = output;
+      this.error = error;
+      this.state = 'unconfigured';
+      this.encodeQueueSize = 0;
+      this.configure = vi.fn((config) => {
+        this.config = config;
+        this.state = 'configured';
+      });
+      this.encode = vi.fn();
+      this.flush = vi.fn(async () => {});
+      this.close = vi.fn(() => { this.state = 'closed'; });
+      encoders.push(this);
+    });
+    global.VideoEncoder.isConfigSupported = vi.fn(async () => ({ supported: true }));
+    global.VideoFrame = vi.fn(function MockVideoFrame(source, init) {
+      this.source = source;
+      this.timestamp = init.timestamp;
+      this.duration = init.duration;
+      this.close = vi.fn();
+    });
+
+    context = { drawImage: vi.fn(), imageSmoothingEnabled: true };
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+  });
+
+  afterEach(() => {
+    Object.assign(global, originals);
+    vi.restoreAllMocks();
+  });
+
+  const create = () => CaptureTimelapseEncoder.create({ width: 641, height: 576, frameRate: 30 });
+
+  describe('create', () => {
+    it('should pick the first supported codec with even dimensions', async () => {
+      const encoder = await create();
+
+      expect(encoder.codec).toBe('avc1.640028');
+      expect(encoder.width).toBe(640);
+      expect(encoder.height).toBe(576);
+      expect(encoders[0].config).toEqual(expect.objectContaining({
+        codec: 'avc1.640028',
+        width: 640,
+        height: 576,
+        framerate: 30,
+        avc: { format: 'avc' }
+      }));
+      expect(muxers[0].options).toEqual({ video: { codec: 'avc1.640028', width: 640, height: 576 } });
+      expect(context.imageSmoothingEnabled).toBe(false);
+    });
+
+    it('should fall back to AV1 when H.264 is unavailable', async () => {
+      global.VideoEncoder.isConfigSupported.mockImplementation(async ({ codec }) => ({ supported: codec.startsWith('av01') }));
+
+      const encoder = await create();
+
+      expect(encoder.codec).toBe('av01.0.08M.08');
+      expect(encoders[0].config.avc).toBeUndefined();
+    });
+
+    it('should throw when no codec is supported', async () => {
+      global.VideoEncoder.isConfigSupported.mockResolvedValue({ supported: false });
+
+      await expect(create()).rejects.toThrow('No supported timelapse codecs');
+    });
+
+    it('should throw when WebCodecs is unavailable', async () => {
+      global.VideoFrame = undefined;
+
+      expect(CaptureTimelapseEncoder.isSupported()).toBe(false);
+      await expect(create()).rejects.toThrow('Timelapse recording is not supported');
+    });
+  });
+
+  describe('addFrame', () => {
+    it('should draw, encode and close frames spaced by the playback rate', async () => {
+      const encoder = await create();
+      const source = {};
+
+      expect(encoder.addFrame(source)).toBe(true);
+      expect(encoder.addFrame(source)).toBe(true);
+
+      expect(context.drawImage).toHaveBeenCalledWith(source, 0, 0, 640, 576);
+      const [first, second] = encoders[0].encode.mock.calls;
+      expect(first[0].timestamp).toBe(0);
+      expect(second[0].timestamp).toBe(33333);
+      expect(first[1]).toEqual({ keyFrame: true });
+      expect(second[1]).toEqual({ keyFrame: false });
+      expect(first[0].close).toHaveBeenCalled();
+      expect(encoder.frameCount).toBe(2);
+    });
+
+    it('should drop frames while the encoder is behind', async () => {
+      const encoder = await create();
+      encoders[0].encodeQueueSize = 10;
+
+      expect(encoder.addFrame({})).toBe(false);
+      expect(encoders[0].encode).not.toHaveBeenCalled();
+      expect(encoder.frameCount).toBe(0);
+    });
+
+    it('should throw once the encoder has failed', async () => {
+      const encoder = await create();
+      encoders[0].error(new Error('encoder crashed'));
+
+      expect(() => encoder.addFrame({})).toThrow('encoder crashed');
+    });
+  });
+
+  describe('finish', () => {
+    it('should flush and return an MP4 blob', async () => {
+      const encoder = await create();
+      encoder.addFrame({});
+
+      const blob = await encoder.finish();
+
+      expect(encoders[0].flush).toHaveBeenCalled();
+      expect(blob.type).toBe('video/mp4');
+      expect(blob.size).toBe(3);
+      expect(encoders[0].close).toHaveBeenCalled();
+    });
+
+    it('should pass encoded chunks to the muxer', async () => {
+      await create();
+      const chunk = { timestamp: 0 };
+
+      encoders[0].output(chunk, { decoderConfig: {} });
+
+      expect(muxers[0].addVideoChunk).toHaveBeenCalledWith(chunk, { decoderConfig: {} });
+    });
+
+    it('should reject and close when encoding failed', async () => {
+      const encoder = await create();
+      encoders[0].flush.mockImplementation(async () => {
+        encoders[0].error(new Error('flush failed'));
+      });
+
+      await expect(encoder.finish()).rejects.toThrow('flush failed');
+      expect(encoders[0].close).toHaveBeenCalled();
+    });
+  });
+
+  describe('close', () => {
+    it('should close the encoder only once', async () => {
+      const encoder = await create();
+
+      encoder.close();
+      encoder.close();
+
+      expect(encoders[0].close).toHaveBeenCalledTimes(1);
+    });
+  });
+});
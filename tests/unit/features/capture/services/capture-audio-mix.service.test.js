@@ -0,0 +1,292 @@
+/**
+ * CaptureAudioMixService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureAudioMixService } from '@renderer/features/capture/services/capture-audio-mix.service.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+
+describe('CaptureAudioMixService', () => {
+  let service;
+  let mockEventBus;
+  let mockLogger;
+  let mockSettingsService;
+  let mockBrowserMedia;
+  let micStream;
+  let contexts;
+  let originalAudioContext;
+  let gainChangedHandler;
+
+  const createNode = () => ({ connect: vi.fn(), disconnect: vi.fn() });
+
+  const createTrack = (kind, settings = {}) => {
+    const track = new MediaStreamTrack(kind);
+    track._settings = settings;
+    track.stop = vi.fn();
+    return track;
+  };
+
+  const createStream = () => new MediaStream([
+    createTrack('video'),
+    createTrack('audio', { sampleRate: 48000 })
+  ]);
+
+  beforeEach(() => {
+    contexts = [];
+    originalAudioContext = window.AudioContext;
+    window.AudioContext = vi.fn(function MockAudioContext(options) {
+      this.options = options;
+      this.state = 'suspended';
+      this.currentTime = 2;
+      this.sampleRate = options?.sampleRate ?? 44100;
+      this.gains = [];
+      this.destinations = [];
+      this.sources = [];
+      this.createGain = vi.fn(() => {
+        const gain = { ...createNode(), gain: { setTargetAtTime: vi.fn() } };
+        this.gains.push(gain);
+        return gain;
+      });
+      this.createMediaStreamDestination = vi.fn(() => {
+        const destination = { stream: new MediaStream([createTrack('audio')]) };
+        this.destinations.push(destination);
+        return destination;
+      });
+      this.createMediaStreamSource = vi.fn((stream) => {
+        const source = { ...createNode(), stream };
+        this.sources.push(source);
+        return source;
+      });
+      this.resume = vi.fn(async () => { this.state = 'running'; });
+      this.close = vi.fn(async () => { this.state = 'closed'; });
+      contexts.push(this);
+    });
+
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    };
+
+    mockEventBus = {
+      publish: vi.fn(),
+      subscribe: vi.fn((channel, handler) => {
+        if (channel === EventChannels.SETTINGS.AUDIO_MIX_CHANGED) {
+          gainChangedHandler = handler;
+        }
+        return vi.fn();
+      })
+    };
+
+    mockSettingsService = {
+      getMicEnabled: vi.fn(() => true),
+      getMicDeviceId: vi.fn(() => 'usb-mic'),
+      getMicGain: vi.fn(() => 150),
+      getGameAudioGain: vi.fn(() => 50),
+      getMicSeparateTrack: vi.fn(() => false)
+    };
+
+    micStream = new MediaStream([createTrack('audio')]);
+    mockBrowserMedia = {
+      enumerateDevices: vi.fn().mockResolvedValue([
+        { kind: 'audioinput', deviceId: 'default', label: 'Default' },
+        { kind: 'audioinput', deviceId: 'usb-mic', label: 'USB Microphone' },
+        { kind: 'audioinput', deviceId: 'built-in', label: '' },
+        { kind: 'videoinput', deviceId: 'camera', label: 'Camera' }
+      ]),
+      getUserMedia: vi.fn().mockResolvedValue(micStream)
+    };
+
+    service = new CaptureAudioMixService({
+      eventBus: mockEventBus,
+      loggerFactory: { create: vi.fn(() => mockLogger) },
+      settingsService: mockSettingsService,
+      browserMediaService: mockBrowserMedia
+    });
+  });
+
+  afterEach(() => {
+    service.dispose();
+    window.AudioContext = originalAudioContext;
+    vi.clearAllMocks();
+  });
+
+  describe('listMicrophones', () => {
+    it('should list audio inputs with fallback labels', async () => {
+      const microphones = await service.listMicrophones();
+
+      expect(microphones).toEqual([
+        { deviceId: 'usb-mic', label: 'USB Microphone' },
+        { deviceId: 'built-in', label: 'Microphone 2' }
+      ]);
+    });
+  });
+
+  describe('start', () => {
+    it('should return the stream unchanged when commentary is off', async () => {
+      mockSettingsService.getMicEnabled.mockReturnValue(false);
+      const stream = createStream();
+
+      const result = await service.start(stream);
+
+      expect(result).toEqual({ stream, commentaryStream: null });
+      expect(mockBrowserMedia.getUserMedia).not.toHaveBeenCalled();
+      expect(service.isActive()).toBe(false);
+    });
+
+    it('should open the selected microphone', async () => {
+      await service.start(createStream());
+
+      expect(mockBrowserMedia.getUserMedia).toHaveBeenCalledWith({
+        audio: expect.objectContaining({ deviceId: { exact: 'usb-mic' } }),
+        video: false
+      });
+    });
+
+    it('should use the system default when no microphone is selected', async () => {
+      mockSettingsService.getMicDeviceId.mockReturnValue('');
+
+      await service.start(createStream());
+
+      expect(mockBrowserMedia.getUserMedia.mock.calls[0][0].audio.deviceId).toBeUndefined();
+    });
+
+    it('should mix game audio and microphone into one track', async () => {
+      const stream = createStream();
+
+      const result = await service.start(stream);
+
+      const context = contexts[0];
+      const [micGain, gameGain] = context.gains;
+      const [destination] = context.destinations;
+      expect(context.options).toEqual({ sampleRate: 48000 });
+      expect(context.resume).toHaveBeenCalled();
+      expect(gameGain.connect).toHaveBeenCalledWith(destination);
+      expect(micGain.connect).toHaveBeenCalledWith(destination);
+      expect(context.sources[1].stream).toBe(micStream);
+      expect(result.commentaryStream).toBeNull();
+      expect(result.stream.getVideoTracks()).toEqual(stream.getVideoTracks());
+      expect(result.stream.getAudioTracks()).toEqual(destination.stream.getAudioTracks());
+      expect(service.isActive()).toBe(true);
+    });
+
+    it('should apply the stored gains', async () => {
+      await service.start(createStream());
+
+      const [micGain, gameGain] = contexts[0].gains;
+      expect(micGain.gain.setTargetAtTime).toHaveBeenCalledWith(1.5, 2, 0.02);
+      expect(gameGain.gain.setTargetAtTime).toHaveBeenCalledWith(0.5, 2, 0.02);
+    });
+
+    it('should route the microphone to its own stream when separate', async () => {
+      mockSettingsService.getMicSeparateTrack.mockReturnValue(true);
+
+      const result = await service.start(createStream());
+
+      const context = contexts[0];
+      const [micGain] = context.gains;
+      const [destination, commentaryDestination] = context.destinations;
+      expect(micGain.connect).toHaveBeenCalledWith(commentaryDestination);
+      expect(micGain.connect).not.toHaveBeenCalledWith(destination);
+      expect(result.commentaryStream).toBe(commentaryDestination.stream);
+    });
+
+    it('should record the microphone alone when the stream has no audio', async () => {
+      const stream = new MediaStream([createTrack('video')]);
+
+      await service.start(stream);
+
+      const context = contexts[0];
+      expect(context.options).toBeUndefined();
+      expect(context.gains).toHaveLength(1);
+      expect(context.sources).toHaveLength(1);
+    });
+
+    it('should throw when a mix is already active', async () => {
+      await service.start(createStream());
+
+      await expect(service.start(createStream())).rejects.toThrow('Audio mix already active');
+    });
+
+    it('should start only one mix when started twice at once', async () => {
+      const secondMicStream = new MediaStream([createTrack('audio')]);
+      mockBrowserMedia.getUserMedia
+        .mockResolvedValueOnce(micStream)
+        .mockResolvedValueOnce(secondMicStream);
+
+      const results = await Promise.allSettled([
+        service.start(createStream()),
+        service.start(createStream())
+      ]);
+
+      expect(results[0].status).toBe('fulfilled');
+      expect(results[1].reason.message).toBe('Audio mix already active');
+      expect(contexts).toHaveLength(1);
+      expect(secondMicStream.getTracks()[0].stop).toHaveBeenCalled();
+      expect(micStream.getTracks()[0].stop).not.toHaveBeenCalled();
+    });
+
+    it('should release the microphone and context when the graph cannot be built', async () => {
+      window.AudioContext.mockImplementationOnce(function BrokenAudioContext() {
+        this.createGain = vi.fn(() => { throw new Error('Graph failed'); });
+        this.close = vi.fn(async () => {});
+        contexts.push(this);
+      });
+
+      await expect(service.start(createStream())).rejects.toThrow('Graph failed');
+      expect(micStream.getTracks()[0].stop).toHaveBeenCalled();
+      expect(contexts[0].close).toHaveBeenCalled();
+      expect(service.isActive()).toBe(false);
+    });
+
+    it('should release the microphone when no AudioContext is available', async () => {
+      window.AudioContext = undefined;
+
+      await expect(service.start(createStream())).rejects.toThrow('AudioContext unavailable');
+      expect(micStream.getTracks()[0].stop).toHaveBeenCalled();
+      expect(service.isActive()).toBe(false);
+    });
+
+    it('should pass on microphone permission errors', async () => {
+      mockBrowserMedia.getUserMedia.mockRejectedValue(new Error('Permission denied'));
+
+      await expect(service.start(createStream())).rejects.toThrow('Permission denied');
+      expect(contexts).toHaveLength(0);
+    });
+  });
+
+  describe('gain changes', () => {
+    it('should follow gain changes during a mix', async () => {
+      await service.start(createStream());
+      const [micGain, gameGain] = contexts[0].gains;
+
+      gainChangedHandler({ micGain: 0, gameAudioGain: 200 });
+
+      expect(micGain.gain.setTargetAtTime).toHaveBeenLastCalledWith(0, 2, 0.02);
+      expect(gameGain.gain.setTargetAtTime).toHaveBeenLastCalledWith(2, 2, 0.02);
+    });
+
+    it('should ignore gain changes without a mix', () => {
+      expect(() => gainChangedHandler({ micGain: 0, gameAudioGain: 0 })).not.toThrow();
+    });
+  });
+
+  describe('stop', () => {
+    it('should release the microphone and close the graph', async () => {
+      await service.start(createStream());
+      const context = contexts[0];
+
+      service.stop();
+
+      expect(micStream.getTracks()[0].stop).toHaveBeenCalled();
+      context.sources.forEach(source => expect(source.disconnect).toHaveBeenCalled());
+      expect(context.close).toHaveBeenCalled();
+      expect(service.isActive()).toBe(false);
+    });
+
+    it('should do nothing without a mix', () => {
+      expect(() => service.stop()).not.toThrow();
+    });
+  });
+});
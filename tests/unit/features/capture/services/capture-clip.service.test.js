@@ -0,0 +1,226 @@
+/**
+ * CaptureClipService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureClipService } from '@renderer/features/capture/services/capture-clip.service.js';
+
+vi.mock('../../../../../src/shared/utils/filename-generator.utils.js', () => ({
+  FilenameGenerator: {
+    forClip: vi.fn((format) => (format === 'apng' ? 'clip.png' : 'clip.gif'))
+  }
+}));
+
+describe('CaptureClipService', () => {
+  let service;
+  let mockEventBus;
+  let mockLogger;
+  let workers;
+  let originalWorker;
+
+  const nativeResolution = { width: 4, height: 2 };
+  const frames = [{ data: new ArrayBuffer(32), delayMs: 33 }];
+
+  beforeEach(() => {
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    };
+
+    mockEventBus = {
+      publish: vi.fn(),
+      subscribe: vi.fn()
+    };
+
+    service = new CaptureClipService({
+      eventBus: mockEventBus,
+      loggerFactory: { create: vi.fn(() => mockLogger) }
+    });
+
+    workers = [];
+    originalWorker = global.Worker;
+    global.Worker = vi.fn(function MockWorker() {
+      this.postMessage = vi.fn();
+      this.terminate = vi.fn();
+      this.onmessage = null;
+      this.onerror = null;
+      workers.push(this);
+    });
+  });
+
+  afterEach(() => {
+    global.Worker = originalWorker;
+    vi.restoreAllMocks();
+  });
+
+  const respond = (type, payload) => workers[0].onmessage({ data: { type, payload } });
+
+  describe('captureClip', () => {
+    beforeEach(() => {
+      vi.spyOn(service, '_captureFrames').mockResolvedValue(frames);
+    });
+
+    it('should encode captured frames in a worker and publish the clip', async () => {
+      const promise = service.captureClip(vi.fn(), { nativeResolution, format: 'gif', scale: 2, durationSeconds: 3 });
+      await vi.waitFor(() => expect(workers).toHaveLength(1));
+
+      expect(workers[0].postMessage).toHaveBeenCalledWith(
+        { type: 'encode', payload: { format: 'gif', width: 4, height: 2, scale: 2, frames } },
+        [frames[0].data]
+      );
+
+      respond('done', { buffer: new Uint8Array([1, 2, 3]).buffer, colors: 4 });
+      const result = await promise;
+
+      expect(result.filename).toBe('clip.gif');
+      expect(result.blob.type).toBe('image/gif');
+      expect(result.blob.size).toBe(3);
+      expect(workers[0].terminate).toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:clip-started', { format: 'gif', scale: 2, durationSeconds: 3 });
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:clip-encoding', { format: 'gif', frameCount: 1 });
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:clip-ready', result);
+      expect(service.isCapturing()).toBe(false);
+    });
+
+    it('should produce APNG blobs with a png filename', async () => {
+      const promise = service.captureClip(vi.fn(), { nativeResolution, format: 'apng', scale: 1, durationSeconds: 3 });
+      await vi.waitFor(() => expect(workers).toHaveLength(1));
+
+      respond('done', { buffer: new ArrayBuffer(8), colors: 2 });
+      const result = await promise;
+
+      expect(result.blob.type).toBe('image/apng');
+      expect(result.filename).toBe('clip.png');
+    });
+
+    it('should publish clip error when the worker fails', async () => {
+      const promise = service.captureClip(vi.fn(), { nativeResolution });
+      await vi.waitFor(() => expect(workers).toHaveLength(1));
+
+      respond('error', { message: 'Out of memory' });
+
+      await expect(promise).rejects.toThrow('Out of memory');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:clip-error', { error: 'Out of memory' });
+      expect(service.isCapturing()).toBe(false);
+    });
+
+    it('should fail when no frames were captured', async () => {
+      service._captureFrames.mockResolvedValue([]);
+
+      await expect(service.captureClip(vi.fn(), { nativeResolution })).rejects.toThrow('No frames captured');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:clip-error', { error: 'No frames captured' });
+      expect(global.Worker).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid options before capturing', async () => {
+      await expect(service.captureClip(vi.fn(), { nativeResolution, format: 'webp' })).rejects.toThrow('Unsupported clip format: webp');
+      await expect(service.captureClip(vi.fn(), { nativeResolution, scale: 3 })).rejects.toThrow('Unsupported clip scale: 3');
+      await expect(service.captureClip(vi.fn(), {})).rejects.toThrow('Invalid native resolution');
+
+      expect(service._captureFrames).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should reject a second clip while one is in progress', async () => {
+      const promise = service.captureClip(vi.fn(), { nativeResolution });
+
+      await expect(service.captureClip(vi.fn(), { nativeResolution })).rejects.toThrow('Clip capture already active');
+
+      await vi.waitFor(() => expect(workers).toHaveLength(1));
+      respond('done', { buffer: new ArrayBuffer(1), colors: 1 });
+      await promise;
+    });
+  });
+
+  describe('cancel', () => {
+    it('should terminate the encoder and resolve null without errors', async () => {
+      vi.spyOn(service, '_captureFrames').mockResolvedValue(frames);
+
+      const promise = service.captureClip(vi.fn(), { nativeResolution });
+      await vi.waitFor(() => expect(workers).toHaveLength(1));
+
+      service.cancel();
+
+      await expect(promise).resolves.toBeNull();
+      expect(workers[0].terminate).toHaveBeenCalled();
+      expect(mockEventBus.publish).not.toHaveBeenCalledWith('capture:clip-error', expect.anything());
+      expect(mockEventBus.publish).not.toHaveBeenCalledWith('capture:clip-ready', expect.anything());
+      expect(service.isCapturing()).toBe(false);
+    });
+
+    it('should do nothing when no clip is in progress', () => {
+      expect(() => service.cancel()).not.toThrow();
+    });
+  });
+
+  describe('_captureFrames', () => {
+    let mockContext;
+    let now;
+
+    beforeEach(() => {
+      mockContext = {
+        imageSmoothingEnabled: true,
+        drawImage: vi.fn(),
+        getImageData: vi.fn((x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4) }))
+      };
+
+      const createElement = document.createElement.bind(document);
+      vi.spyOn(document, 'createElement').mockImplementation((tag) => {
+        if (tag === 'canvas') {
+          return { width: 0, height: 0, getContext: vi.fn(() => mockContext) };
+        }
+        return createElement(tag);
+      });
+
+      // Each read advances the clock by half a frame, so every tick is on schedule
+      now = 0;
+      vi.spyOn(performance, 'now').mockImplementation(() => {
+        const time = now;
+        now += 50 / 3;
+        return time;
+      });
+    });
+
+    it('should grab frames at native resolution without smoothing', async () => {
+      const source = { id: 'video' };
+
+      const captured = await service._captureFrames(() => source, 160, 144, 200);
+
+      expect(mockContext.imageSmoothingEnabled).toBe(false);
+      expect(mockContext.drawImage).toHaveBeenCalledWith(source, 0, 0, 160, 144);
+      expect(captured.length).toBeGreaterThan(0);
+      expect(captured[0].data.byteLength).toBe(160 * 144 * 4);
+    });
+
+    it('should derive delays that add up to the clip duration', async () => {
+      const captured = await service._captureFrames(() => ({}), 4, 2, 200);
+      const total = captured.reduce((sum, frame) => sum + frame.delayMs, 0);
+
+      expect(total).toBeCloseTo(200);
+    });
+
+    it('should close GPU frames after drawing', async () => {
+      const bitmap = { close: vi.fn() };
+
+      await service._captureFrames(async () => bitmap, 4, 2, 100);
+
+      expect(bitmap.close).toHaveBeenCalled();
+    });
+
+    it('should skip frames that fail to grab', async () => {
+      let calls = 0;
+      const getFrame = () => {
+        calls++;
+        if (calls === 1) throw new Error('Not ready');
+        return {};
+      };
+
+      const captured = await service._captureFrames(getFrame, 4, 2, 200);
+
+      expect(captured).toHaveLength(calls - 1);
+      expect(mockLogger.debug).toHaveBeenCalledWith('Clip frame skipped:', 'Not ready');
+    });
+  });
+});
@@ -0,0 +1,336 @@
+/**
+ * CaptureFacecamService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureFacecamService } from '@renderer/features/capture/services/capture-facecam.service.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+
+describe('CaptureFacecamService', () => {
+  let service;
+  let mockEventBus;
+  let mockLogger;
+  let mockSettingsService;
+  let mockBrowserMedia;
+  let settings;
+  let handlers;
+  let cameraStream;
+  let videos;
+  let createElementSpy;
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  const createTrack = (kind, settings = {}) => {
+    const track = new MediaStreamTrack(kind);
+    track._settings = settings;
+    track.stop = vi.fn();
+    return track;
+  };
+
+  const startStream = () => {
+    handlers[EventChannels.STREAM.STARTED]({
+      stream: new MediaStream([createTrack('video', { deviceId: 'capture-card' })]),
+      device: { deviceId: 'capture-card' }
+    });
+    return flush();
+  };
+
+  const createContext = () => ({
+    save: vi.fn(),
+    restore: vi.fn(),
+    beginPath: vi.fn(),
+    roundRect: vi.fn(),
+    fill: vi.fn(),
+    clip: vi.fn(),
+    fillRect: vi.fn(),
+    drawImage: vi.fn(),
+    fillStyle: '',
+    imageSmoothingEnabled: false
+  });
+
+  beforeEach(() => {
+    settings = {
+      enabled: true,
+      deviceId: '',
+      position: 'bottom-right',
+      sizePercent: 25,
+      border: 'white'
+    };
+
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    };
+
+    handlers = {};
+    mockEventBus = {
+      publish: vi.fn(),
+      subscribe: vi.fn((channel, handler) => {
+        handlers[channel] = handler;
+        return vi.fn();
+      })
+    };
+
+    mockSettingsService = {
+      getFacecamEnabled: vi.fn(() => settings.enabled),
+      getFacecamDeviceId: vi.fn(() => settings.deviceId),
+      getFacecamPosition: vi.fn(() => settings.position),
+      getFacecamSize: vi.fn(() => settings.sizePercent),
+      getFacecamBorder: vi.fn(() => settings.border)
+    };
+
+    cameraStream = new MediaStream([createTrack('video')]);
+    mockBrowserMedia = {
+      enumerateDevices: vi.fn().mockResolvedValue([
+        { kind: 'videoinput', deviceId: 'capture-card', label: 'Chromatic' },
+        { kind: 'audioinput', deviceId: 'mic', label: 'Microphone' },
+        { kind: 'videoinput', deviceId: 'usb-cam', label: '' }
+      ]),
+      getUserMedia: vi.fn().mockResolvedValue(cameraStream)
+    };
+
+    // happy-dom video elements never decode frames, so stand in a sized one
+    videos = [];
+    const createElement = document.createElement.bind(document);
+    createElementSpy = vi.spyOn(document, 'createElement').mockImplementation((tag) => {
+      if (tag !== 'video') {
+        return createElement(tag);
+      }
+      const video = {
+        videoWidth: 640,
+        videoHeight: 480,
+        srcObject: null,
+        play: vi.fn().mockResolvedValue()
+      };
+      videos.push(video);
+      return video;
+    });
+
+    service = new CaptureFacecamService({
+      eventBus: mockEventBus,
+      loggerFactory: { create: vi.fn(() => mockLogger) },
+      settingsService: mockSettingsService,
+      browserMediaService: mockBrowserMedia
+    });
+  });
+
+  afterEach(() => {
+    service.dispose();
+    createElementSpy.mockRestore();
+    vi.clearAllMocks();
+  });
+
+  describe('listCameras', () => {
+    it('should list video inputs with fallback labels', async () => {
+      const cameras = await service.listCameras();
+
+      expect(cameras).toEqual([
+        { deviceId: 'capture-card', label: 'Chromatic' },
+        { deviceId: 'usb-cam', label: 'Camera 2' }
+      ]);
+    });
+  });
+
+  describe('camera lifecycle', () => {
+    it('should not open a camera until the stream starts', async () => {
+      handlers[EventChannels.SETTINGS.FACECAM_CHANGED](settings);
+      await flush();
+
+      expect(mockBrowserMedia.getUserMedia).not.toHaveBeenCalled();
+      expect(service.isActive()).toBe(false);
+    });
+
+    it('should skip the capture device when picking a camera automatically', async () => {
+      await startStream();
+
+      expect(mockBrowserMedia.getUserMedia).toHaveBeenCalledWith({
+        video: {
+          deviceId: { exact: 'usb-cam' },
+          width: { ideal: 640 },
+          height: { ideal: 480 }
+        },
+        audio: false
+      });
+      expect(videos[0].srcObject).toBe(cameraStream);
+      expect(videos[0].muted).toBe(true);
+      expect(service.isActive()).toBe(true);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.FACECAM_CHANGED, {
+        stream: cameraStream,
+        layout: { position: 'bottom-right', sizePercent: 25, border: 'white' }
+      });
+    });
+
+    it('should open the selected camera', async () => {
+      settings.deviceId = 'capture-card';
+
+      await startStream();
+
+      expect(mockBrowserMedia.enumerateDevices).not.toHaveBeenCalled();
+      expect(mockBrowserMedia.getUserMedia.mock.calls[0][0].video.deviceId).toEqual({ exact: 'capture-card' });
+    });
+
+    it('should stay off while the overlay is disabled', async () => {
+      settings.enabled = false;
+
+      await startStream();
+
+      expect(mockBrowserMedia.getUserMedia).not.toHaveBeenCalled();
+    });
+
+    it('should report when no other camera is connected', async () => {
+      mockBrowserMedia.enumerateDevices.mockResolvedValue([
+        { kind: 'videoinput', deviceId: 'capture-card', label: 'Chromatic' }
+      ]);
+
+      await startStream();
+
+      expect(mockBrowserMedia.getUserMedia).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.FACECAM_ERROR, {
+        error: expect.objectContaining({ message: 'No webcam found' })
+      });
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.FACECAM_CHANGED, {
+        stream: null,
+        layout: expect.any(Object)
+      });
+    });
+
+    it('should report camera permission errors', async () => {
+      mockBrowserMedia.getUserMedia.mockRejectedValue(new Error('Permission denied'));
+
+      await startStream();
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Webcam unavailable:', 'Permission denied');
+      expect(service.isActive()).toBe(false);
+    });
+
+    it('should keep the camera open on layout changes', async () => {
+      await startStream();
+      mockEventBus.publish.mockClear();
+
+      settings.position = 'top-left';
+      handlers[EventChannels.SETTINGS.FACECAM_CHANGED](settings);
+      await flush();
+
+      expect(mockBrowserMedia.getUserMedia).toHaveBeenCalledTimes(1);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.FACECAM_CHANGED, {
+        stream: cameraStream,
+        layout: expect.objectContaining({ position: 'top-left' })
+      });
+    });
+
+    it('should switch cameras when another one is selected', async () => {
+      await startStream();
+
+      settings.deviceId = 'capture-card';
+      handlers[EventChannels.SETTINGS.FACECAM_CHANGED](settings);
+      await flush();
+
+      expect(cameraStream.getTracks()[0].stop).toHaveBeenCalled();
+      expect(mockBrowserMedia.getUserMedia).toHaveBeenCalledTimes(2);
+    });
+
+    it('should release the camera when the overlay is turned off', async () => {
+      await startStream();
+
+      settings.enabled = false;
+      handlers[EventChannels.SETTINGS.FACECAM_CHANGED](settings);
+
+      expect(cameraStream.getTracks()[0].stop).toHaveBeenCalled();
+      expect(service.isActive()).toBe(false);
+      expect(mockEventBus.publish).toHaveBeenLastCalledWith(EventChannels.CAPTURE.FACECAM_CHANGED, {
+        stream: null,
+        layout: expect.any(Object)
+      });
+    });
+
+    it('should release the camera when the stream stops', async () => {
+      await startStream();
+
+      handlers[EventChannels.STREAM.STOPPED]();
+
+      expect(cameraStream.getTracks()[0].stop).toHaveBeenCalled();
+      expect(service.isActive()).toBe(false);
+    });
+
+    it('should drop a camera that opens after the stream stopped', async () => {
+      let resolveCamera;
+      mockBrowserMedia.getUserMedia.mockReturnValue(new Promise(resolve => { resolveCamera = resolve; }));
+
+      await startStream();
+      handlers[EventChannels.STREAM.STOPPED]();
+      resolveCamera(cameraStream);
+      await flush();
+
+      expect(cameraStream.getTracks()[0].stop).toHaveBeenCalled();
+      expect(service.isActive()).toBe(false);
+    });
+  });
+
+  describe('drawOverlay', () => {
+    it('should not draw without a camera', () => {
+      const ctx = createContext();
+
+      expect(service.drawOverlay(ctx, { x: 0, y: 0, width: 640, height: 576 })).toBe(false);
+      expect(ctx.drawImage).not.toHaveBeenCalled();
+    });
+
+    it('should place the camera in the chosen corner of the frame', async () => {
+      await startStream();
+      const ctx = createContext();
+
+      const drawn = service.drawOverlay(ctx, { x: 80, y: 0, width: 640, height: 576 });
+
+      // 25% of 640 = 160x120, 13px margin, 5px border
+      expect(drawn).toBe(true);
+      expect(ctx.fillStyle).toBe('#ffffff');
+      expect(ctx.fillRect).toHaveBeenCalledWith(537, 433, 170, 130);
+      expect(ctx.drawImage).toHaveBeenCalledWith(videos[0], 542, 438, 160, 120);
+      expect(ctx.imageSmoothingEnabled).toBe(true);
+      expect(ctx.restore).toHaveBeenCalled();
+    });
+
+    it('should draw top-left without a border', async () => {
+      settings.position = 'top-left';
+      settings.border = 'none';
+      await startStream();
+      const ctx = createContext();
+
+      service.drawOverlay(ctx, { x: 0, y: 0, width: 640, height: 576 });
+
+      expect(ctx.fillRect).not.toHaveBeenCalled();
+      expect(ctx.drawImage).toHaveBeenCalledWith(videos[0], 13, 13, 160, 120);
+    });
+
+    it('should clip the camera to a rounded frame', async () => {
+      settings.border = 'rounded';
+      await startStream();
+      const ctx = createContext();
+
+      service.drawOverlay(ctx, { x: 0, y: 0, width: 640, height: 576 });
+
+      expect(ctx.roundRect).toHaveBeenCalledTimes(2);
+      expect(ctx.fill).toHaveBeenCalled();
+      expect(ctx.clip).toHaveBeenCalled();
+    });
+  });
+
+  describe('composite', () => {
+    it('should draw the source and the overlay onto a new canvas', async () => {
+      await startStream();
+      const ctx = createContext();
+      const getContextSpy = vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+      const source = { width: 160, height: 144 };
+
+      const canvas = service.composite(source, { width: 640, height: 576 });
+
+      expect(canvas.width).toBe(640);
+      expect(canvas.height).toBe(576);
+      expect(ctx.drawImage).toHaveBeenNthCalledWith(1, source, 0, 0, 640, 576);
+      expect(ctx.drawImage).toHaveBeenNthCalledWith(2, videos[0], 462, 438, 160, 120);
+
+      getContextSpy.mockRestore();
+    });
+  });
+});
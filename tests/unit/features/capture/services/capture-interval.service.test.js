@@ -0,0 +1,484 @@
+/**
+ * CaptureIntervalService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureIntervalService } from '@renderer/features/capture/services/capture-interval.service.js';
+import { CaptureTimelapseEncoder } from '@renderer/features/capture/recording/capture-timelapse-encoder.class.js';
+import { CaptureFrameSequenceWriter } from '@renderer/features/capture/recording/capture-frame-sequence-writer.class.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+
+vi.mock('@renderer/features/capture/recording/capture-timelapse-encoder.class.js', () => ({
+  CaptureTimelapseEncoder: { create: vi.fn() }
+}));
+
+vi.mock('@renderer/features/capture/recording/capture-frame-sequence-writer.class.js', () => ({
+  CaptureFrameSequenceWriter: vi.fn()
+}));
+
+vi.mock('../../../../../src/shared/utils/filename-generator.utils.js', () => ({
+  FilenameGenerator: {
+    forIntervalSession: vi.fn(() => 'prismgb-interval-session'),
+    forIntervalShot: vi.fn((index) => `shot-${index}.png`),
+    forTimelapse: vi.fn(() => 'timelapse.mp4'),
+    forFrameSequence: vi.fn(() => 'prismgb-frames-session')
+  }
+}));
+
+describe('CaptureIntervalService', () => {
+  let service;
+  let mockEventBus;
+  let mockLogger;
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    };
+
+    mockEventBus = {
+      publish: vi.fn(),
+      subscribe: vi.fn()
+    };
+
+    service = new CaptureIntervalService({
+      eventBus: mockEventBus,
+      loggerFactory: { create: vi.fn(() => mockLogger) }
+    });
+  });
+
+  afterEach(() => {
+    service.dispose();
+    vi.useRealTimers();
+    vi.clearAllMocks();
+  });
+
+  const published = (channel) => mockEventBus.publish.mock.calls.filter(([name]) => name === channel);
+
+  it('should throw for an unknown mode', async () => {
+    await expect(service.start({ mode: 'gif' })).rejects.toThrow('Unsupported interval mode: gif');
+    expect(service.isActive()).toBe(false);
+  });
+
+  describe('screenshots mode', () => {
+    let takeScreenshot;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      takeScreenshot = vi.fn().mockResolvedValue({});
+    });
+
+    const start = () => service.start({ mode: 'screenshots', intervalSeconds: 10, takeScreenshot });
+
+    it('should take a shot immediately and then every interval into the session folder', async () => {
+      await start();
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(takeScreenshot).toHaveBeenCalledWith({ folder: 'prismgb-interval-session', filename: 'shot-1.png' });
+
+      await vi.advanceTimersByTimeAsync(20000);
+
+      expect(takeScreenshot).toHaveBeenCalledTimes(3);
+      expect(takeScreenshot).toHaveBeenLastCalledWith({ folder: 'prismgb-interval-session', filename: 'shot-3.png' });
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.INTERVAL_STARTED, {
+        mode: 'screenshots',
+        intervalSeconds: 10,
+        frameStep: 60,
+        durationSeconds: 10,
+        folder: 'prismgb-interval-session'
+      });
+    });
+
+    it('should throw when a session is already active', async () => {
+      await start();
+
+      await expect(start()).rejects.toThrow('Interval capture already active');
+    });
+
+    it('should skip a tick while the previous shot is still saving', async () => {
+      let resolveShot;
+      takeScreenshot.mockImplementationOnce(() => new Promise(resolve => { resolveShot = resolve; }));
+
+      await start();
+      await vi.advanceTimersByTimeAsync(10000);
+
+      expect(takeScreenshot).toHaveBeenCalledTimes(1);
+
+      resolveShot({});
+      await vi.advanceTimersByTimeAsync(10000);
+
+      expect(takeScreenshot).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not count failed shots', async () => {
+      takeScreenshot.mockRejectedValueOnce(new Error('no frame'));
+
+      await start();
+      await vi.advanceTimersByTimeAsync(10000);
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Interval screenshot failed:', 'no frame');
+      expect(takeScreenshot).toHaveBeenLastCalledWith(expect.objectContaining({ filename: 'shot-1.png' }));
+    });
+
+    it('should pause the timer while suspended and continue in the same folder', async () => {
+      await start();
+      await vi.advanceTimersByTimeAsync(0);
+
+      service.suspend();
+      await vi.advanceTimersByTimeAsync(60000);
+
+      expect(takeScreenshot).toHaveBeenCalledTimes(1);
+      expect(service.isSuspended()).toBe(true);
+      expect(published(EventChannels.CAPTURE.INTERVAL_SUSPENDED)).toHaveLength(1);
+
+      service.resume();
+      await vi.advanceTimersByTimeAsync(10000);
+
+      expect(takeScreenshot).toHaveBeenCalledTimes(2);
+      expect(takeScreenshot).toHaveBeenLastCalledWith({ folder: 'prismgb-interval-session', filename: 'shot-2.png' });
+      expect(published(EventChannels.CAPTURE.INTERVAL_RESUMED)).toHaveLength(1);
+    });
+
+    it('should ignore suspend and resume without a session', () => {
+      service.suspend();
+      service.resume();
+
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should report the shot count when stopped', async () => {
+      await start();
+      await vi.advanceTimersByTimeAsync(10000);
+
+      await service.stop();
+      await vi.advanceTimersByTimeAsync(30000);
+
+      expect(service.isActive()).toBe(false);
+      expect(takeScreenshot).toHaveBeenCalledTimes(2);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.INTERVAL_STOPPED, { mode: 'screenshots', count: 2 });
+      expect(published(EventChannels.CAPTURE.TIMELAPSE_READY)).toHaveLength(0);
+    });
+  });
+
+  describe('timelapse mode', () => {
+    let encoder;
+    let video;
+    let frameCallbacks;
+    let getFrame;
+
+    const nativeResolution = { width: 160, height: 144 };
+
+    beforeEach(() => {
+      encoder = {
+        addFrame: vi.fn(() => true),
+        finish: vi.fn(async () => new Blob(['mp4'])),
+        close: vi.fn()
+      };
+      CaptureTimelapseEncoder.create.mockResolvedValue(encoder);
+
+      frameCallbacks = [];
+      video = {
+        requestVideoFrameCallback: vi.fn((callback) => frameCallbacks.push(callback)),
+        cancelVideoFrameCallback: vi.fn()
+      };
+      getFrame = vi.fn(() => ({ close: vi.fn() }));
+    });
+
+    const start = () => service.start({
+      mode: 'timelapse',
+      frameStep: 3,
+      nativeResolution,
+      getFrame,
+      getVideo: () => video
+    });
+
+    const presentFrames = async (count) => {
+      for (let i = 0; i < count; i++) {
+        frameCallbacks.shift()();
+        await flush();
+      }
+    };
+
+    it('should create an upscaled encoder', async () => {
+      await start();
+
+      expect(CaptureTimelapseEncoder.create).toHaveBeenCalledWith(expect.objectContaining({
+        width: 640,
+        height: 576,
+        frameRate: 30
+      }));
+    });
+
+    it('should require a native resolution', async () => {
+      await expect(service.start({ mode: 'timelapse', getVideo: () => video })).rejects.toThrow('Invalid native resolution');
+    });
+
+    it('should fail to start without a frame clock', async () => {
+      await expect(service.start({ mode: 'timelapse', nativeResolution, getFrame, getVideo: () => null }))
+        .rejects.toThrow('No stream frames to capture');
+
+      expect(encoder.close).toHaveBeenCalled();
+      expect(service.isActive()).toBe(false);
+    });
+
+    it('should keep one frame every frameStep stream frames', async () => {
+      await start();
+      await presentFrames(7);
+
+      expect(getFrame).toHaveBeenCalledTimes(2);
+      expect(encoder.addFrame).toHaveBeenCalledTimes(2);
+      const source = getFrame.mock.results[0].value;
+      expect(source.close).toHaveBeenCalled();
+    });
+
+    it('should skip frames that cannot be read', async () => {
+      getFrame.mockRejectedValueOnce(new Error('not ready'));
+
+      await start();
+      await presentFrames(3);
+
+      expect(encoder.addFrame).not.toHaveBeenCalled();
+      expect(mockLogger.debug).toHaveBeenCalledWith('Timelapse frame skipped:', 'not ready');
+      expect(service.isActive()).toBe(true);
+    });
+
+    it('should end the session when the encoder fails', async () => {
+      encoder.addFrame.mockImplementation(() => { throw new Error('encoder crashed'); });
+
+      await start();
+      await presentFrames(3);
+
+      expect(service.isActive()).toBe(false);
+      expect(encoder.close).toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.INTERVAL_ERROR, { error: 'encoder crashed' });
+    });
+
+    it('should cancel the frame clock when suspended and re-arm on resume', async () => {
+      await start();
+      service.suspend();
+
+      expect(video.cancelVideoFrameCallback).toHaveBeenCalled();
+
+      // A callback already queued from before the suspend is ignored
+      await presentFrames(1);
+      expect(frameCallbacks).toHaveLength(0);
+
+      service.resume();
+      expect(frameCallbacks).toHaveLength(1);
+    });
+
+    it('should fail the session if the stream cannot be resumed', async () => {
+      await start();
+      service.suspend();
+      video = null;
+
+      service.resume();
+
+      expect(service.isActive()).toBe(false);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.INTERVAL_ERROR, { error: 'No stream frames to capture' });
+    });
+
+    it('should publish the encoded timelapse when stopped', async () => {
+      await start();
+      await presentFrames(3);
+
+      await service.stop();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.INTERVAL_STOPPED, { mode: 'timelapse', count: 1 });
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.TIMELAPSE_READY, {
+        blob: expect.any(Blob),
+        filename: 'timelapse.mp4'
+      });
+    });
+
+    it('should discard an empty timelapse', async () => {
+      await start();
+
+      await service.stop();
+
+      expect(encoder.finish).not.toHaveBeenCalled();
+      expect(encoder.close).toHaveBeenCalled();
+      expect(published(EventChannels.CAPTURE.TIMELAPSE_READY)).toHaveLength(0);
+    });
+
+    it('should publish an error when the timelapse cannot be finished', async () => {
+      encoder.finish.mockRejectedValue(new Error('flush failed'));
+
+      await start();
+      await presentFrames(3);
+      await service.stop();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.INTERVAL_ERROR, { error: 'flush failed' });
+    });
+  });
+
+  describe('frames mode', () => {
+    let writer;
+    let video;
+    let frameCallbacks;
+    let saveFile;
+
+    const nativeResolution = { width: 160, height: 144 };
+
+    beforeEach(() => {
+      writer = {
+        frameCount: 0,
+        uniqueFrameCount: 0,
+        addFrame: vi.fn((source, streamFrames = 1) => {
+          writer.frameCount += streamFrames;
+          writer.uniqueFrameCount++;
+          return true;
+        }),
+        finish: vi.fn(async () => ({ frameCount: writer.frameCount, uniqueFrameCount: writer.uniqueFrameCount })),
+        close: vi.fn()
+      };
+      CaptureFrameSequenceWriter.mockImplementation(function () {
+        return writer;
+      });
+
+      frameCallbacks = [];
+      video = {
+        requestVideoFrameCallback: vi.fn((callback) => frameCallbacks.push(callback)),
+        cancelVideoFrameCallback: vi.fn()
+      };
+      saveFile = vi.fn().mockResolvedValue();
+    });
+
+    const start = (options = {}) => service.start({
+      mode: 'frames',
+      durationSeconds: 0,
+      frameRate: 60,
+      nativeResolution,
+      saveFile,
+      getVideo: () => video,
+      ...options
+    });
+
+    // Present stream frames by their presentedFrames counter
+    const present = (...counters) => {
+      counters.forEach(presentedFrames => frameCallbacks.shift()?.(0, { presentedFrames }));
+    };
+
+    it('should write native-size frames into their own folder', async () => {
+      await start();
+
+      expect(CaptureFrameSequenceWriter).toHaveBeenCalledWith(expect.objectContaining({
+        width: 160,
+        height: 144,
+        frameRate: 60
+      }));
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.INTERVAL_STARTED, expect.objectContaining({
+        mode: 'frames',
+        durationSeconds: 0,
+        folder: 'prismgb-frames-session'
+      }));
+
+      const blob = new Blob(['png']);
+      await CaptureFrameSequenceWriter.mock.calls[0][0].saveFile(blob, 'frame-00001.png');
+      expect(saveFile).toHaveBeenCalledWith({ blob, folder: 'prismgb-frames-session', filename: 'frame-00001.png' });
+    });
+
+    it('should require a native resolution', async () => {
+      await expect(start({ nativeResolution: null })).rejects.toThrow('Invalid native resolution');
+    });
+
+    it('should draw every presented frame from the stream video', async () => {
+      await start();
+      present(1, 2, 3);
+
+      expect(writer.addFrame).toHaveBeenCalledTimes(3);
+      expect(writer.addFrame).toHaveBeenLastCalledWith(video, 1);
+    });
+
+    it('should credit frames the page missed to the previous frame', async () => {
+      await start();
+      present(10, 13);
+
+      expect(writer.addFrame).toHaveBeenLastCalledWith(video, 3);
+      expect(writer.frameCount).toBe(4);
+    });
+
+    it('should stop by itself once the length is reached', async () => {
+      await start({ durationSeconds: 5, frameRate: 1 });
+      present(1, 2, 3, 4, 5);
+      await flush();
+
+      expect(service.isActive()).toBe(false);
+      expect(frameCallbacks).toHaveLength(0);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.INTERVAL_STOPPED, { mode: 'frames', count: 5 });
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.FRAME_SEQUENCE_SAVED, {
+        folder: 'prismgb-frames-session',
+        frameCount: 5,
+        uniqueFrameCount: 5
+      });
+    });
+
+    it('should not run past the length when frames were missed', async () => {
+      await start({ durationSeconds: 5, frameRate: 1 });
+      present(1, 20);
+
+      expect(writer.addFrame).toHaveBeenLastCalledWith(video, 4);
+    });
+
+    it('should start counting again on the video it resumes with', async () => {
+      await start();
+      present(100);
+      service.suspend();
+      frameCallbacks.length = 0;
+
+      video = { ...video, requestVideoFrameCallback: vi.fn((callback) => frameCallbacks.push(callback)) };
+      service.resume();
+      present(1);
+
+      expect(writer.addFrame).toHaveBeenCalledTimes(2);
+      expect(writer.addFrame).toHaveBeenLastCalledWith(video, 1);
+    });
+
+    it('should end the session when a frame cannot be written', async () => {
+      await start();
+      writer.addFrame.mockImplementation(() => { throw new Error('disk full'); });
+      present(1);
+
+      expect(service.isActive()).toBe(false);
+      expect(writer.close).toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.INTERVAL_ERROR, { error: 'disk full' });
+    });
+
+    it('should discard an empty sequence', async () => {
+      await start();
+
+      await service.stop();
+
+      expect(writer.finish).not.toHaveBeenCalled();
+      expect(writer.close).toHaveBeenCalled();
+      expect(published(EventChannels.CAPTURE.FRAME_SEQUENCE_SAVED)).toHaveLength(0);
+    });
+
+    it('should publish an error when the manifest cannot be written', async () => {
+      writer.finish.mockRejectedValue(new Error('disk full'));
+
+      await start();
+      present(1);
+      await service.stop();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.CAPTURE.INTERVAL_ERROR, { error: 'disk full' });
+    });
+  });
+
+  describe('dispose', () => {
+    it('should discard the session without publishing', async () => {
+      vi.useFakeTimers();
+      await service.start({ mode: 'screenshots', takeScreenshot: vi.fn().mockResolvedValue({}) });
+      mockEventBus.publish.mockClear();
+
+      service.dispose();
+
+      expect(service.isActive()).toBe(false);
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+});
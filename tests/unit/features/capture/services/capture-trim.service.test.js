@@ -0,0 +1,138 @@
+/**
+ * CaptureTrimService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureTrimService } from '@renderer/features/capture/services/capture-trim.service.js';
+import { trimWebm } from '@shared/utils/webm-trim.utils.js';
+
+vi.mock('@shared/utils/webm-trim.utils.js', () => ({
+  trimWebm: vi.fn()
+}));
+
+describe('CaptureTrimService', () => {
+  let service;
+  let mockLogger;
+
+  const webm = () => new Blob([new Uint8Array([0x1a, 0x45, 0xdf, 0xa3])], { type: 'video/webm;codecs=vp9' });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    mockLogger = {
+      debug: vi.fn(),
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn()
+    };
+
+    service = new CaptureTrimService({
+      loggerFactory: { create: vi.fn(() => mockLogger) }
+    });
+    vi.spyOn(service, '_reencode').mockResolvedValue(new Blob(['reencoded'], { type: 'video/mp4' }));
+  });
+
+  it('should cut WebM and audio-only WebM without re-encoding', () => {
+    expect(service.canTrimLosslessly(webm())).toBe(true);
+    expect(service.canTrimLosslessly(new Blob([], { type: 'audio/webm' }))).toBe(true);
+    expect(service.canTrimLosslessly(new Blob([], { type: 'video/mp4' }))).toBe(false);
+  });
+
+  it('should cut WebM at keyframes and report the range the cut covers', async () => {
+    trimWebm.mockReturnValue({ parts: [new Uint8Array([1, 2, 3])], startMs: 900, endMs: 4000 });
+
+    const result = await service.trim(webm(), { startMs: 1000, endMs: 4000 });
+
+    expect(trimWebm).toHaveBeenCalledWith(expect.any(Uint8Array), { startMs: 1000, endMs: 4000 });
+    expect(result).toEqual({ blob: expect.any(Blob), startMs: 900, endMs: 4000, reencoded: false });
+    expect(result.blob.type).toBe('video/webm;codecs=vp9');
+    expect(result.blob.size).toBe(3);
+    expect(service._reencode).not.toHaveBeenCalled();
+  });
+
+  it('should re-encode WebM that cannot be cut', async () => {
+    trimWebm.mockImplementation(() => {
+      throw new Error('WebM cluster is too long to trim');
+    });
+
+    const result = await service.trim(webm(), { startMs: 1000, endMs: 4000 });
+
+    expect(mockLogger.warn).toHaveBeenCalledWith('Lossless trim not possible, re-encoding:', 'WebM cluster is too long to trim');
+    expect(result).toEqual({ blob: expect.any(Blob), startMs: 1000, endMs: 4000, reencoded: true });
+  });
+
+  it('should re-encode MP4', async () => {
+    const mp4 = new Blob(['mp4'], { type: 'video/mp4' });
+
+    await service.trim(mp4, { startMs: 0, endMs: 2000 });
+
+    expect(trimWebm).not.toHaveBeenCalled();
+    expect(service._reencode).toHaveBeenCalledWith(mp4, { startMs: 0, endMs: 2000 });
+  });
+
+  it('should fail when the recording cannot be played back', async () => {
+    service._reencode.mockRejectedValue(new Error('Recording could not be played back'));
+
+    await expect(service.trim(new Blob(['mp4'], { type: 'video/mp4' }), { startMs: 0, endMs: 2000 }))
+      .rejects.toThrow('Recording could not be played back');
+  });
+
+  describe('_reencode', () => {
+    let video;
+    let recorder;
+    let tracks;
+
+    beforeEach(() => {
+      service._reencode.mockRestore();
+      tracks = [{ stop: vi.fn() }, { stop: vi.fn() }];
+
+      // Hidden player that loads and seeks at once but refuses to play
+      video = Object.assign(new EventTarget(), {
+        pause: vi.fn(),
+        removeAttribute: vi.fn(),
+        play: vi.fn().mockRejectedValue(new Error('play() failed')),
+        captureStream: () => ({ getVideoTracks: () => [tracks[0]] })
+      });
+      Object.defineProperties(video, {
+        src: { set() { queueMicrotask(() => video.dispatchEvent(new Event('loadedmetadata'))); } },
+        currentTime: { get: () => 0, set() { queueMicrotask(() => video.dispatchEvent(new Event('seeked'))); } }
+      });
+      const createElement = document.createElement.bind(document);
+      vi.spyOn(document, 'createElement').mockImplementation(tag => (tag === 'video' ? video : createElement(tag)));
+
+      vi.stubGlobal('AudioContext', class {
+        createMediaStreamDestination() { return { stream: { getAudioTracks: () => [tracks[1]] } }; }
+        createMediaElementSource() { return { connect: vi.fn() }; }
+        close() { return Promise.resolve(); }
+      });
+      vi.stubGlobal('MediaStream', class {
+        constructor(streamTracks) { this.streamTracks = streamTracks; }
+        getTracks() { return this.streamTracks; }
+      });
+      vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:recording');
+      vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+      recorder = {
+        state: 'inactive',
+        start: vi.fn(function () { this.state = 'recording'; }),
+        stop: vi.fn(function () { this.state = 'inactive'; })
+      };
+      vi.spyOn(service, '_createRecorder').mockResolvedValue(recorder);
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    it('should stop the recorder and the stream when playback fails', async () => {
+      await expect(service._reencode(webm(), { startMs: 0, endMs: 2000 })).rejects.toThrow('play() failed');
+
+      expect(recorder.stop).toHaveBeenCalledTimes(1);
+      expect(recorder.state).toBe('inactive');
+      expect(recorder.onstop).toBeNull();
+      tracks.forEach(track => expect(track.stop).toHaveBeenCalled());
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:recording');
+    });
+  });
+});
@@ -5,27 +5,81 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { CaptureOrchestrator } from '@renderer/features/capture/services/capture.orchestrator.js';
 
+let mockEventBus;
+
+/**
+ * Handler the orchestrator subscribed to an event bus channel
+ * @param {string} channel - Event channel
+ * @returns {Function}
+ */
+const getHandler = (channel) => mockEventBus.subscribe.mock.calls.find(call => call[0] === channel)[1];
+
 describe('CaptureOrchestrator', () => {
   let orchestrator;
   let mockCaptureService;
+  let mockCaptureClipService;
+  let mockCaptureIntervalService;
+  let mockCaptureAudioMixService;
+  let mockCaptureFacecamService;
+  let mockCaptureTrimService;
   let mockAppState;
   let mockStreamingViewService;
   let mockGpuRendererService;
   let mockCaptureGpuRecordingService;
   let mockStreamingCanvasRenderer;
-  let mockEventBus;
+  let mockCaptureStorageAdapter;
+  let mockSettingsService;
+  let mockNotesService;
   let mockLogger;
 
   beforeEach(() => {
     mockCaptureService = {
       takeScreenshot: vi.fn(),
+      renderScreenshot: vi.fn(async () => ({ size: 4, type: 'image/png' })),
       toggleRecording: vi.fn(),
       startRecording: vi.fn(),
       getRecordingState: vi.fn(),
       stopRecording: vi.fn(),
+      togglePause: vi.fn(),
+      addMarker: vi.fn(),
+      startReplayBuffer: vi.fn(),
+      stopReplayBuffer: vi.fn(),
+      isReplayBufferActive: vi.fn(() => false),
+      saveReplay: vi.fn(),
       isRecording: false
     };
 
+    mockCaptureClipService = {
+      captureClip: vi.fn(async () => ({ blob: {}, filename: 'clip.gif' })),
+      isCapturing: vi.fn(() => false),
+      cancel: vi.fn()
+    };
+
+    mockCaptureIntervalService = {
+      start: vi.fn(async () => {}),
+      stop: vi.fn(async () => {}),
+      suspend: vi.fn(),
+      resume: vi.fn(),
+      isActive: vi.fn(() => false)
+    };
+
+    // Microphone off: the stream is recorded as it is
+    mockCaptureAudioMixService = {
+      start: vi.fn(async (stream) => ({ stream, commentaryStream: null })),
+      stop: vi.fn()
+    };
+
+    // Webcam overlay off
+    mockCaptureFacecamService = {
+      isActive: vi.fn(() => false),
+      composite: vi.fn(() => ({ tagName: 'CANVAS' }))
+    };
+
+    mockCaptureTrimService = {
+      canTrimLosslessly: vi.fn(() => true),
+      trim: vi.fn(async (blob, { startMs, endMs }) => ({ blob: { trimmed: blob }, startMs, endMs, reencoded: false }))
+    };
+
     mockAppState = {
       isStreaming: false,
       currentStream: null,
@@ -53,6 +107,7 @@ describe('CaptureOrchestrator', () => {
     mockGpuRendererService = {
       isActive: vi.fn(() => false),
       captureFrame: vi.fn(),
+      renderSnapshot: vi.fn(),
       getTargetDimensions: vi.fn(() => ({ width: 640, height: 576 }))
     };
 
@@ -65,6 +120,50 @@ describe('CaptureOrchestrator', () => {
       isActive: vi.fn(() => false)
     };
 
+    mockCaptureStorageAdapter = {
+      saveCapture: vi.fn(async () => ({ success: true, canceled: false, filePath: '/captures/file.png' })),
+      saveSidecar: vi.fn(async () => ({ success: true, filePath: '/captures/file.chapters.vtt' })),
+      commitRecordingSpool: vi.fn(async () => ({ success: true, canceled: false, filePath: '/captures/rec.webm' })),
+      recoverRecordings: vi.fn(async () => ({ success: true, recovered: [], discarded: 0 })),
+      copyImage: vi.fn(async () => ({ success: true })),
+      startDrag: vi.fn(async () => ({ success: true }))
+    };
+
+    mockSettingsService = {
+      getReplayBufferEnabled: vi.fn(() => false),
+      getReplayBufferSeconds: vi.fn(() => 30),
+      getClipFormat: vi.fn(() => 'gif'),
+      getClipScale: vi.fn(() => 2),
+      getClipDurationSeconds: vi.fn(() => 5),
+      getRecordingFormat: vi.fn(() => 'webm'),
+      getRecordingSegmentMinutes: vi.fn(() => 0),
+      getRecordingSegmentSizeMb: vi.fn(() => 0),
+      getRecordingReviewEnabled: vi.fn(() => false),
+      getRecordingDualTrack: vi.fn(() => false),
+      getRecordingQuality: vi.fn(() => ({
+        preset: 'balanced',
+        codec: 'vp9',
+        videoBitrateKbps: 2500,
+        audioBitrateKbps: 128,
+        frameRate: 60,
+        scale: 0
+      })),
+      getScreenshotMode: vi.fn(() => 'rendered'),
+      getScreenshotScale: vi.fn(() => 4),
+      getRenderPreset: vi.fn(() => 'vibrant'),
+      getGlobalBrightness: vi.fn(() => 1.1),
+      getIntervalMode: vi.fn(() => 'screenshots'),
+      getIntervalSeconds: vi.fn(() => 30),
+      getIntervalFrameStep: vi.fn(() => 60),
+      getFrameSequenceSeconds: vi.fn(() => 10),
+      getCaptureFilenameTemplate: vi.fn(() => 'prismgb-{type}-{date}-{time}'),
+      nextCaptureCounter: vi.fn(() => 1)
+    };
+
+    mockNotesService = {
+      getActiveGame: vi.fn(() => '')
+    };
+
     mockEventBus = {
       publish: vi.fn(),
       subscribe: vi.fn(() => vi.fn())
@@ -97,11 +196,19 @@ describe('CaptureOrchestrator', () => {
 
     orchestrator = new CaptureOrchestrator({
       captureService: mockCaptureService,
+      captureClipService: mockCaptureClipService,
+      captureIntervalService: mockCaptureIntervalService,
+      captureAudioMixService: mockCaptureAudioMixService,
+      captureFacecamService: mockCaptureFacecamService,
+      captureTrimService: mockCaptureTrimService,
       appState: mockAppState,
       streamViewService: mockStreamingViewService,
       gpuRendererService: mockGpuRendererService,
       gpuRecordingService: mockCaptureGpuRecordingService,
       canvasRenderer: mockStreamingCanvasRenderer,
+      captureStorageAdapter: mockCaptureStorageAdapter,
+      settingsService: mockSettingsService,
+      notesService: mockNotesService,
       eventBus: mockEventBus,
       loggerFactory: { create: vi.fn(() => mockLogger) }
     });
@@ -117,17 +224,65 @@ describe('CaptureOrchestrator', () => {
     it('should wire capture error events and UI command events', async () => {
       await orchestrator.onInitialize();
 
-      expect(mockEventBus.subscribe).toHaveBeenCalledTimes(4);
+      expect(mockEventBus.subscribe).toHaveBeenCalledTimes(25);
       expect(mockEventBus.subscribe).toHaveBeenCalledWith('capture:recording-error', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('capture:screenshot-ready', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('capture:recording-ready', expect.any(Function));
       expect(mockEventBus.subscribe).toHaveBeenCalledWith('stream:stopped', expect.any(Function));
       expect(mockEventBus.subscribe).toHaveBeenCalledWith('ui:screenshot-requested', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('ui:screenshot-copy-requested', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('ui:capture-drag-requested', expect.any(Function));
       expect(mockEventBus.subscribe).toHaveBeenCalledWith('ui:recording-toggle-requested', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('ui:recording-pause-toggle-requested', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('ui:recording-marker-requested', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('ui:replay-save-requested', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('capture:replay-ready', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('settings:replay-buffer-changed', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('capture:clip-ready', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('ui:clip-capture-requested', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('capture:timelapse-ready', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('capture:commentary-ready', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('capture:raw-track-ready', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('device:disconnected-during-session', expect.any(Function));
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('ui:interval-capture-toggle-requested', expect.any(Function));
     });
 
     it('should store subscription unsubscribe functions', async () => {
       await orchestrator.onInitialize();
 
-      expect(orchestrator._subscriptions).toHaveLength(4);
+      expect(orchestrator._subscriptions).toHaveLength(25);
+    });
+
+    it('should offer recovery of unfinished recordings', async () => {
+      mockCaptureStorageAdapter.recoverRecordings.mockResolvedValue({
+        success: true,
+        recovered: ['/captures/rec-recovered.webm'],
+        discarded: 0
+      });
+
+      await orchestrator.onInitialize();
+      await vi.waitFor(() => {
+        expect(mockEventBus.publish).toHaveBeenCalledWith('capture:recordings-recovered', {
+          filePaths: ['/captures/rec-recovered.webm']
+        });
+      });
+    });
+
+    it('should not announce recovery when nothing was recovered', async () => {
+      await orchestrator.onInitialize();
+      await Promise.resolve();
+
+      expect(mockCaptureStorageAdapter.recoverRecordings).toHaveBeenCalled();
+      expect(mockEventBus.publish).not.toHaveBeenCalledWith('capture:recordings-recovered', expect.anything());
+    });
+
+    it('should log and continue when recovery fails', async () => {
+      mockCaptureStorageAdapter.recoverRecordings.mockResolvedValue({ success: false, error: 'EACCES' });
+
+      await orchestrator.onInitialize();
+      await vi.waitFor(() => {
+        expect(mockLogger.warn).toHaveBeenCalledWith('Recording recovery failed:', 'EACCES');
+      });
     });
   });
 
@@ -139,19 +294,26 @@ describe('CaptureOrchestrator', () => {
 
       await orchestrator.takeScreenshot();
 
-      expect(mockCaptureService.takeScreenshot).toHaveBeenCalledWith(mockStreamingViewService._elements.streamVideo);
+      expect(mockCaptureService.takeScreenshot).toHaveBeenCalledWith(
+        mockStreamingViewService._elements.streamVideo,
+        { size: { width: 640, height: 576 }, metadata: expect.any(Object), filename: expect.stringMatching(/^prismgb-screenshot-\d{8}-\d{6}\.png$/) }
+      );
     });
 
-    it('should capture from GPU renderer when GPU is active', async () => {
+    it('should render an offscreen frame when GPU is active', async () => {
       mockAppState.isStreaming = true;
       mockGpuRendererService.isActive.mockReturnValue(true);
-      const mockBitmap = { width: 160, height: 144 };
-      mockGpuRendererService.captureFrame.mockResolvedValue(mockBitmap);
+      const mockBitmap = { width: 640, height: 576 };
+      mockGpuRendererService.renderSnapshot.mockResolvedValue(mockBitmap);
 
       await orchestrator.takeScreenshot();
 
-      expect(mockGpuRendererService.captureFrame).toHaveBeenCalled();
-      expect(mockCaptureService.takeScreenshot).toHaveBeenCalledWith(mockBitmap);
+      expect(mockGpuRendererService.renderSnapshot).toHaveBeenCalledWith(4);
+      expect(mockCaptureService.takeScreenshot).toHaveBeenCalledWith(mockBitmap, {
+        size: { width: 640, height: 576 },
+        metadata: expect.any(Object),
+        filename: expect.stringMatching(/^prismgb-screenshot-\d{8}-\d{6}\.png$/)
+      });
     });
 
     it('should capture from canvas when Canvas2D rendering is active', async () => {
@@ -161,7 +323,33 @@ describe('CaptureOrchestrator', () => {
 
       await orchestrator.takeScreenshot();
 
-      expect(mockCaptureService.takeScreenshot).toHaveBeenCalledWith(mockStreamingViewService._elements.streamCanvas);
+      expect(mockCaptureService.takeScreenshot).toHaveBeenCalledWith(
+        mockStreamingViewService._elements.streamCanvas,
+        { size: { width: 640, height: 576 }, metadata: expect.any(Object), filename: expect.stringMatching(/^prismgb-screenshot-\d{8}-\d{6}\.png$/) }
+      );
+    });
+
+    it('should name screenshots from the filename template and file them under the tagged game', async () => {
+      mockAppState.isStreaming = true;
+      mockAppState.currentCapabilities = { profileId: 'chromatic' };
+      mockNotesService.getActiveGame.mockReturnValue('Pokémon Red');
+      mockSettingsService.getCaptureFilenameTemplate.mockReturnValue('{game}-{preset}-{device}-{counter}');
+      mockSettingsService.nextCaptureCounter.mockReturnValue(7);
+
+      await orchestrator.takeScreenshot();
+
+      expect(mockCaptureService.takeScreenshot).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        filename: 'Pokemon-Red-vibrant-chromatic-0007.png',
+        game: 'Pokémon Red'
+      }));
+    });
+
+    it('should only advance the capture counter when the template uses it', async () => {
+      mockAppState.isStreaming = true;
+
+      await orchestrator.takeScreenshot();
+
+      expect(mockSettingsService.nextCaptureCounter).not.toHaveBeenCalled();
     });
 
     it('should trigger visual feedback when streaming', async () => {
@@ -192,6 +380,204 @@ describe('CaptureOrchestrator', () => {
     });
   });
 
+  describe('copyScreenshot', () => {
+    beforeEach(() => {
+      mockAppState.isStreaming = true;
+      mockGpuRendererService.isActive.mockReturnValue(false);
+      mockStreamingCanvasRenderer.isActive.mockReturnValue(false);
+    });
+
+    it('should render the current frame and copy it without saving', async () => {
+      await orchestrator.copyScreenshot();
+
+      expect(mockCaptureService.renderScreenshot).toHaveBeenCalledWith(
+        mockStreamingViewService._elements.streamVideo,
+        { width: 640, height: 576 }
+      );
+      expect(mockCaptureStorageAdapter.copyImage).toHaveBeenCalledWith({ size: 4, type: 'image/png' });
+      expect(mockCaptureService.takeScreenshot).not.toHaveBeenCalled();
+      expect(mockCaptureStorageAdapter.saveCapture).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:shutter-flash');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:screenshot-copied');
+    });
+
+    it('should publish copy failed when the clipboard write fails', async () => {
+      mockCaptureStorageAdapter.copyImage.mockResolvedValue({ success: false, error: 'Invalid image' });
+
+      await orchestrator.copyScreenshot();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:copy-failed', { error: 'Invalid image' });
+      expect(mockEventBus.publish).not.toHaveBeenCalledWith('capture:screenshot-copied');
+    });
+
+    it('should publish copy failed when rendering fails', async () => {
+      mockCaptureService.renderScreenshot.mockRejectedValue(new Error('Invalid frame'));
+
+      await orchestrator.copyScreenshot();
+
+      expect(mockCaptureStorageAdapter.copyImage).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:copy-failed', { error: 'Invalid frame' });
+    });
+
+    it('should warn when not streaming', async () => {
+      mockAppState.isStreaming = false;
+
+      await orchestrator.copyScreenshot();
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Cannot copy screenshot - not streaming');
+      expect(mockCaptureService.renderScreenshot).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startCaptureDrag', () => {
+    it('should start a native drag of the saved capture', async () => {
+      await orchestrator.startCaptureDrag({ filePath: '/captures/shot.png' });
+
+      expect(mockCaptureStorageAdapter.startDrag).toHaveBeenCalledWith('/captures/shot.png');
+    });
+
+    it('should warn when the drag is refused', async () => {
+      mockCaptureStorageAdapter.startDrag.mockResolvedValue({ success: false, error: 'Not a saved capture' });
+
+      await orchestrator.startCaptureDrag({ filePath: '/elsewhere/file.png' });
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Failed to drag capture:', 'Not a saved capture');
+    });
+
+    it('should ignore requests without a path', async () => {
+      await orchestrator.startCaptureDrag({});
+
+      expect(mockCaptureStorageAdapter.startDrag).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toggleRecordingPause', () => {
+    it('should toggle pause while recording', () => {
+      mockCaptureService.getRecordingState.mockReturnValue(true);
+
+      orchestrator.toggleRecordingPause();
+
+      expect(mockCaptureService.togglePause).toHaveBeenCalled();
+    });
+
+    it('should ignore the request when not recording', () => {
+      mockCaptureService.getRecordingState.mockReturnValue(false);
+
+      orchestrator.toggleRecordingPause();
+
+      expect(mockCaptureService.togglePause).not.toHaveBeenCalled();
+    });
+
+    it('should report pause failures', () => {
+      mockCaptureService.getRecordingState.mockReturnValue(true);
+      mockCaptureService.togglePause.mockImplementation(() => {
+        throw new Error('Recorder busy');
+      });
+
+      orchestrator.toggleRecordingPause();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:status-message', {
+        message: 'Pause failed: Recorder busy',
+        type: 'error'
+      });
+    });
+  });
+
+  describe('addRecordingMarker', () => {
+    it('should drop a marker while recording', () => {
+      mockCaptureService.getRecordingState.mockReturnValue(true);
+
+      orchestrator.addRecordingMarker('boss start');
+
+      expect(mockCaptureService.addMarker).toHaveBeenCalledWith('boss start');
+    });
+
+    it('should take the label from the marker request', async () => {
+      mockCaptureService.getRecordingState.mockReturnValue(true);
+      await orchestrator.onInitialize();
+      const handler = mockEventBus.subscribe.mock.calls.find(call => call[0] === 'ui:recording-marker-requested')[1];
+
+      handler({ label: 'glitch' });
+      handler();
+
+      expect(mockCaptureService.addMarker).toHaveBeenNthCalledWith(1, 'glitch');
+      expect(mockCaptureService.addMarker).toHaveBeenNthCalledWith(2, undefined);
+    });
+
+    it('should explain that markers need a recording', () => {
+      mockCaptureService.getRecordingState.mockReturnValue(false);
+
+      orchestrator.addRecordingMarker('boss start');
+
+      expect(mockCaptureService.addMarker).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:status-message', {
+        message: 'Start a recording to add markers',
+        type: 'warning'
+      });
+    });
+
+    it('should report marker failures', () => {
+      mockCaptureService.getRecordingState.mockReturnValue(true);
+      mockCaptureService.addMarker.mockImplementation(() => {
+        throw new Error('Not recording');
+      });
+
+      orchestrator.addRecordingMarker();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:status-message', {
+        message: 'Marker failed: Not recording',
+        type: 'error'
+      });
+    });
+  });
+
+  describe('chapter files', () => {
+    const markers = [{ timeMs: 1500, label: 'boss start' }, { timeMs: 4000, label: 'glitch' }];
+
+    beforeEach(async () => {
+      await orchestrator.onInitialize();
+    });
+
+    it('should save WebVTT chapters and JSON markers next to the saved recording', async () => {
+      mockCaptureStorageAdapter.commitRecordingSpool.mockResolvedValue({ success: true, filePath: '/videos/run-1.webm' });
+
+      await getHandler('capture:recording-ready')({ spoolId: 'spool-1', filename: 'run.webm', markers, durationMs: 6000 });
+
+      const [[vtt, capture, vttExtension], [json, , jsonExtension]] = mockCaptureStorageAdapter.saveSidecar.mock.calls;
+      expect(capture).toEqual({ filePath: '/videos/run-1.webm', filename: 'run.webm' });
+      expect(vttExtension).toBe('.chapters.vtt');
+      expect(vtt.type).toBe('text/vtt');
+      expect(await vtt.text()).toBe(
+        'WEBVTT\n\n1\n00:00:01.500 --> 00:00:04.000\nboss start\n\n2\n00:00:04.000 --> 00:00:06.000\nglitch\n'
+      );
+      expect(jsonExtension).toBe('.markers.json');
+      expect(JSON.parse(await json.text())).toEqual({ recording: 'run-1.webm', durationMs: 6000, markers });
+    });
+
+    it('should save chapters before announcing the recording', async () => {
+      await getHandler('capture:recording-ready')({ blob: { size: 1 }, filename: 'run.webm', markers, durationMs: 6000 });
+
+      const sidecarOrder = mockCaptureStorageAdapter.saveSidecar.mock.invocationCallOrder[1];
+      const savedCall = mockEventBus.publish.mock.calls.findIndex(([channel]) => channel === 'capture:saved');
+      expect(sidecarOrder).toBeLessThan(mockEventBus.publish.mock.invocationCallOrder[savedCall]);
+    });
+
+    it('should keep the recording when a chapter file fails', async () => {
+      mockCaptureStorageAdapter.saveSidecar.mockResolvedValue({ success: false, error: 'Disk full' });
+
+      await getHandler('capture:recording-ready')({ blob: { size: 1 }, filename: 'run.webm', markers, durationMs: 6000 });
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Failed to save file.chapters.vtt:', 'Disk full');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:saved', expect.objectContaining({ kind: 'recording' }));
+    });
+
+    it('should not write chapter files for recordings without markers', async () => {
+      await getHandler('capture:recording-ready')({ blob: { size: 1 }, filename: 'run.webm' });
+
+      expect(mockCaptureStorageAdapter.saveSidecar).not.toHaveBeenCalled();
+    });
+  });
+
   describe('toggleRecording', () => {
     it('should start recording with raw stream when GPU renderer inactive', async () => {
       const mockStream = { id: 'stream-1' };
@@ -199,23 +585,128 @@ describe('CaptureOrchestrator', () => {
 
       await orchestrator.toggleRecording();
 
-      expect(mockCaptureService.startRecording).toHaveBeenCalledWith(mockStream);
+      expect(mockCaptureService.startRecording).toHaveBeenCalledWith(mockStream, {
+        format: 'webm',
+        quality: { codec: 'vp9', videoBitrateKbps: 2500, audioBitrateKbps: 128 },
+        maxSegmentDurationMs: 0,
+        maxSegmentBytes: 0,
+        review: false,
+        metadata: expect.objectContaining({ presetId: 'vibrant' }),
+        baseName: expect.stringMatching(/^prismgb-recording-/)
+      });
       expect(mockCaptureGpuRecordingService.start).not.toHaveBeenCalled();
     });
 
+    it('should record in the format chosen in settings', async () => {
+      mockAppState.currentStream = { id: 'stream-1' };
+      mockSettingsService.getRecordingFormat.mockReturnValue('mp4');
+
+      await orchestrator.toggleRecording();
+
+      expect(mockCaptureService.startRecording).toHaveBeenCalledWith(
+        mockAppState.currentStream,
+        expect.objectContaining({ format: 'mp4' })
+      );
+    });
+
+    it('should pass segment limits from settings', async () => {
+      mockAppState.currentStream = { id: 'stream-1' };
+      mockSettingsService.getRecordingSegmentMinutes.mockReturnValue(10);
+      mockSettingsService.getRecordingSegmentSizeMb.mockReturnValue(2000);
+
+      await orchestrator.toggleRecording();
+
+      expect(mockCaptureService.startRecording).toHaveBeenCalledWith(mockAppState.currentStream, {
+        format: 'webm',
+        quality: expect.any(Object),
+        maxSegmentDurationMs: 600000,
+        maxSegmentBytes: 2000000000,
+        review: false,
+        metadata: expect.any(Object),
+        baseName: expect.any(String)
+      });
+    });
+
     it('should start GPU recording when GPU renderer is active', async () => {
       const mockStream = { id: 'stream-1', getAudioTracks: vi.fn(() => []) };
       mockAppState.currentStream = mockStream;
-      mockAppState.currentCapabilities = { frameRate: 75 };
+      mockAppState.currentCapabilities = { frameRate: 30 };
       mockGpuRendererService.isActive.mockReturnValue(true);
 
       await orchestrator.toggleRecording();
 
       expect(mockCaptureGpuRecordingService.start).toHaveBeenCalledWith({
         stream: mockStream,
-        frameRate: 75
+        frameRate: 30,
+        consumer: 'recording'
+      });
+      expect(mockCaptureService.startRecording).toHaveBeenCalledWith(
+        { id: 'gpu-stream' },
+        expect.objectContaining({ format: 'webm' })
+      );
+    });
+
+    it('should record at the quality frame rate when the source is faster', async () => {
+      mockAppState.currentStream = { id: 'stream-1', getAudioTracks: vi.fn(() => []) };
+      mockAppState.currentCapabilities = { frameRate: 75 };
+      mockGpuRendererService.isActive.mockReturnValue(true);
+
+      await orchestrator.toggleRecording();
+
+      expect(mockCaptureGpuRecordingService.start).toHaveBeenCalledWith(expect.objectContaining({ frameRate: 60 }));
+    });
+
+    it('should render at the quality output scale', async () => {
+      mockAppState.currentStream = { id: 'stream-1', getAudioTracks: vi.fn(() => []) };
+      mockAppState.currentCapabilities = { nativeResolution: { width: 240, height: 160 } };
+      mockSettingsService.getRecordingQuality.mockReturnValue({
+        preset: 'small',
+        codec: 'vp9',
+        videoBitrateKbps: 800,
+        audioBitrateKbps: 96,
+        frameRate: 30,
+        scale: 3
       });
-      expect(mockCaptureService.startRecording).toHaveBeenCalledWith({ id: 'gpu-stream' });
+      mockGpuRendererService.isActive.mockReturnValue(true);
+
+      await orchestrator.toggleRecording();
+
+      expect(mockCaptureGpuRecordingService.start).toHaveBeenCalledWith({
+        stream: mockAppState.currentStream,
+        frameRate: 30,
+        size: { width: 720, height: 480 },
+        consumer: 'recording'
+      });
+      expect(mockCaptureService.startRecording).toHaveBeenCalledWith(
+        { id: 'gpu-stream' },
+        expect.objectContaining({ quality: { codec: 'vp9', videoBitrateKbps: 800, audioBitrateKbps: 96 } })
+      );
+    });
+
+    it('should record the raw feed alongside rendered recordings in dual-track mode', async () => {
+      const mockStream = { id: 'stream-1', getAudioTracks: vi.fn(() => []) };
+      mockAppState.currentStream = mockStream;
+      mockSettingsService.getRecordingDualTrack.mockReturnValue(true);
+      mockGpuRendererService.isActive.mockReturnValue(true);
+
+      await orchestrator.toggleRecording();
+
+      expect(mockCaptureService.startRecording).toHaveBeenCalledWith(
+        { id: 'gpu-stream' },
+        expect.objectContaining({ rawStream: mockStream })
+      );
+    });
+
+    it('should record a single track without the GPU renderer in dual-track mode', async () => {
+      mockAppState.currentStream = { id: 'stream-1' };
+      mockSettingsService.getRecordingDualTrack.mockReturnValue(true);
+
+      await orchestrator.toggleRecording();
+
+      expect(mockCaptureService.startRecording).toHaveBeenCalledWith(
+        mockAppState.currentStream,
+        expect.not.objectContaining({ rawStream: expect.anything() })
+      );
     });
 
     it('should use default frame rate when capabilities not available', async () => {
@@ -228,7 +719,8 @@ describe('CaptureOrchestrator', () => {
 
       expect(mockCaptureGpuRecordingService.start).toHaveBeenCalledWith({
         stream: mockStream,
-        frameRate: 60
+        frameRate: 60,
+        consumer: 'recording'
       });
     });
 
@@ -237,7 +729,7 @@ describe('CaptureOrchestrator', () => {
 
       await orchestrator.toggleRecording();
 
-      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalled();
+      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalledWith('recording');
       expect(mockCaptureService.stopRecording).toHaveBeenCalled();
       expect(mockCaptureService.startRecording).not.toHaveBeenCalled();
     });
@@ -281,94 +773,887 @@ describe('CaptureOrchestrator', () => {
     });
   });
 
-  describe('Event Handlers', () => {
-    beforeEach(async () => {
-      await orchestrator.onInitialize();
+  describe('Microphone commentary', () => {
+    const mockStream = { id: 'stream-1' };
+    const mixedStream = { id: 'mixed-stream' };
+
+    beforeEach(() => {
+      mockAppState.currentStream = mockStream;
     });
 
-    it('should cleanup GPU recording on recording error', () => {
-      const errorHandler = mockEventBus.subscribe.mock.calls.find(
-        call => call[0] === 'capture:recording-error'
-      )[1];
+    it('should record the mixed stream', async () => {
+      mockCaptureAudioMixService.start.mockResolvedValue({ stream: mixedStream, commentaryStream: null });
 
-      errorHandler({ error: 'Test error' });
+      await orchestrator.toggleRecording();
 
-      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalled();
+      expect(mockCaptureAudioMixService.start).toHaveBeenCalledWith(mockStream);
+      expect(mockCaptureService.startRecording).toHaveBeenCalledWith(mixedStream, expect.not.objectContaining({
+        commentaryStream: expect.anything()
+      }));
     });
 
-    it('should stop recording when stream stops', async () => {
-      mockCaptureService.isRecording = true;
-
-      const streamStoppedHandler = mockEventBus.subscribe.mock.calls.find(
-        call => call[0] === 'stream:stopped'
-      )[1];
+    it('should mix into the GPU recording stream', async () => {
+      mockGpuRendererService.isActive.mockReturnValue(true);
 
-      await streamStoppedHandler();
+      await orchestrator.toggleRecording();
 
-      expect(mockLogger.info).toHaveBeenCalledWith('Stream stopped - stopping active recording');
-      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalled();
-      expect(mockCaptureService.stopRecording).toHaveBeenCalled();
+      expect(mockCaptureAudioMixService.start).toHaveBeenCalledWith({ id: 'gpu-stream' });
     });
 
-    it('should not stop recording when stream stops if not recording', async () => {
-      mockCaptureService.isRecording = false;
-      mockCaptureService.getRecordingState.mockReturnValue(false);
-
-      const streamStoppedHandler = mockEventBus.subscribe.mock.calls.find(
-        call => call[0] === 'stream:stopped'
-      )[1];
+    it('should pass a separate commentary stream to the recorder', async () => {
+      const commentaryStream = { id: 'mic' };
+      mockCaptureAudioMixService.start.mockResolvedValue({ stream: mixedStream, commentaryStream });
 
-      await streamStoppedHandler();
+      await orchestrator.toggleRecording();
 
-      expect(mockCaptureGpuRecordingService.stop).not.toHaveBeenCalled();
-      expect(mockCaptureService.stopRecording).not.toHaveBeenCalled();
+      expect(mockCaptureService.startRecording).toHaveBeenCalledWith(mixedStream, expect.objectContaining({
+        format: 'webm',
+        commentaryStream
+      }));
     });
 
-    it('should stop recording when stream stops using getRecordingState', async () => {
-      mockCaptureService.isRecording = false;
-      mockCaptureService.getRecordingState.mockReturnValue(true);
-
-      const streamStoppedHandler = mockEventBus.subscribe.mock.calls.find(
-        call => call[0] === 'stream:stopped'
-      )[1];
+    it('should record without commentary when the microphone fails', async () => {
+      mockCaptureAudioMixService.start.mockRejectedValue(new Error('Permission denied'));
 
-      await streamStoppedHandler();
+      await orchestrator.toggleRecording();
 
-      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalled();
-      expect(mockCaptureService.stopRecording).toHaveBeenCalled();
+      expect(mockCaptureService.startRecording).toHaveBeenCalledWith(mockStream, expect.any(Object));
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:status-message', {
+        message: 'Microphone unavailable - recording without commentary',
+        type: 'warning'
+      });
     });
-  });
 
-  describe('_getCaptureSource', () => {
-    it('should return GPU frame when GPU renderer is active', async () => {
-      mockGpuRendererService.isActive.mockReturnValue(true);
-      const mockBitmap = { width: 160, height: 144 };
-      mockGpuRendererService.captureFrame.mockResolvedValue(mockBitmap);
+    it('should release the microphone when recording fails to start', async () => {
+      mockCaptureService.startRecording.mockRejectedValue(new Error('Recording failed'));
 
-      const source = await orchestrator._getCaptureSource();
+      await orchestrator.toggleRecording();
 
-      expect(source).toBe(mockBitmap);
-      expect(mockLogger.debug).toHaveBeenCalledWith('Capturing screenshot from GPU renderer');
+      expect(mockCaptureAudioMixService.stop).toHaveBeenCalled();
     });
 
-    it('should return canvas when Canvas2D is active but GPU is not', async () => {
-      mockGpuRendererService.isActive.mockReturnValue(false);
-      mockStreamingCanvasRenderer.isActive.mockReturnValue(true);
+    it('should release the microphone after stopping the recording', async () => {
+      mockCaptureService.isRecording = true;
 
-      const source = await orchestrator._getCaptureSource();
+      await orchestrator.toggleRecording();
 
-      expect(source).toBe(mockStreamingViewService._elements.streamCanvas);
-      expect(mockLogger.debug).toHaveBeenCalledWith('Capturing screenshot from Canvas2D renderer');
+      expect(mockCaptureService.stopRecording).toHaveBeenCalled();
+      expect(mockCaptureAudioMixService.stop).toHaveBeenCalled();
+      expect(mockCaptureAudioMixService.stop.mock.invocationCallOrder[0])
+        .toBeGreaterThan(mockCaptureService.stopRecording.mock.invocationCallOrder[0]);
     });
 
-    it('should return video element when no rendering pipeline is active', async () => {
+    it('should release the microphone on recording error', async () => {
+      await orchestrator.onInitialize();
+      const errorHandler = mockEventBus.subscribe.mock.calls.find(
+        call => call[0] === 'capture:recording-error'
+      )[1];
+
+      errorHandler({ error: 'Test error' });
+
+      expect(mockCaptureAudioMixService.stop).toHaveBeenCalled();
+    });
+
+    it('should save the raw track of a dual-track recording', async () => {
+      mockCaptureStorageAdapter.commitRecordingSpool.mockResolvedValue({ success: true, filePath: '/captures/take-raw.webm' });
+      await orchestrator.onInitialize();
+      const rawTrackHandler = mockEventBus.subscribe.mock.calls.find(
+        call => call[0] === 'capture:raw-track-ready'
+      )[1];
+
+      await rawTrackHandler({ spoolId: 'spool-2', filename: 'take-raw.webm' });
+
+      expect(mockCaptureStorageAdapter.commitRecordingSpool).toHaveBeenCalledWith('spool-2', 'take-raw.webm');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:saved', expect.objectContaining({ kind: 'raw-track' }));
+    });
+
+    it('should save a separate commentary file', async () => {
+      mockCaptureStorageAdapter.saveCapture.mockResolvedValue({ success: true, filePath: '/captures/c.webm' });
+      await orchestrator.onInitialize();
+      const commentaryHandler = mockEventBus.subscribe.mock.calls.find(
+        call => call[0] === 'capture:commentary-ready'
+      )[1];
+      const blob = { size: 10 };
+
+      await commentaryHandler({ blob, filename: 'c.webm' });
+
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith(blob, 'c.webm');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:saved', expect.objectContaining({ kind: 'commentary' }));
+    });
+  });
+
+  describe('Event Handlers', () => {
+    beforeEach(async () => {
+      await orchestrator.onInitialize();
+    });
+
+    it('should cleanup GPU recording on recording error', () => {
+      const errorHandler = mockEventBus.subscribe.mock.calls.find(
+        call => call[0] === 'capture:recording-error'
+      )[1];
+
+      errorHandler({ error: 'Test error' });
+
+      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalledWith('recording');
+    });
+
+    it('should stop recording when stream stops', async () => {
+      mockCaptureService.isRecording = true;
+
+      const streamStoppedHandler = mockEventBus.subscribe.mock.calls.find(
+        call => call[0] === 'stream:stopped'
+      )[1];
+
+      await streamStoppedHandler();
+
+      expect(mockLogger.info).toHaveBeenCalledWith('Stream stopped - stopping active recording');
+      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalledWith('recording');
+      expect(mockCaptureService.stopRecording).toHaveBeenCalled();
+    });
+
+    it('should not stop recording when stream stops if not recording', async () => {
+      mockCaptureService.isRecording = false;
+      mockCaptureService.getRecordingState.mockReturnValue(false);
+
+      const streamStoppedHandler = mockEventBus.subscribe.mock.calls.find(
+        call => call[0] === 'stream:stopped'
+      )[1];
+
+      await streamStoppedHandler();
+
+      expect(mockCaptureGpuRecordingService.stop).not.toHaveBeenCalledWith('recording');
+      expect(mockCaptureService.stopRecording).not.toHaveBeenCalled();
+    });
+
+    it('should stop recording when stream stops using getRecordingState', async () => {
+      mockCaptureService.isRecording = false;
+      mockCaptureService.getRecordingState.mockReturnValue(true);
+
+      const streamStoppedHandler = mockEventBus.subscribe.mock.calls.find(
+        call => call[0] === 'stream:stopped'
+      )[1];
+
+      await streamStoppedHandler();
+
+      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalledWith('recording');
+      expect(mockCaptureService.stopRecording).toHaveBeenCalled();
+    });
+  });
+
+  describe('Instant replay', () => {
+    const mockStream = { id: 'stream-1' };
+
+    beforeEach(async () => {
+      await orchestrator.onInitialize();
+      mockAppState.isStreaming = true;
+      mockAppState.currentStream = mockStream;
+      mockSettingsService.getReplayBufferEnabled.mockReturnValue(true);
+    });
+
+    it('should start replay buffer from raw stream when stream starts', async () => {
+      await getHandler('stream:started')();
+
+      expect(mockCaptureService.startReplayBuffer).toHaveBeenCalledWith(mockStream, { bufferSeconds: 30 });
+      expect(mockCaptureGpuRecordingService.start).not.toHaveBeenCalled();
+    });
+
+    it('should buffer GPU-rendered stream when GPU renderer is active', async () => {
+      mockGpuRendererService.isActive.mockReturnValue(true);
+
+      await getHandler('stream:started')();
+
+      expect(mockCaptureGpuRecordingService.start).toHaveBeenCalledWith({
+        stream: mockStream,
+        frameRate: 60,
+        consumer: 'replay'
+      });
+      expect(mockCaptureService.startReplayBuffer).toHaveBeenCalledWith({ id: 'gpu-stream' }, { bufferSeconds: 30 });
+    });
+
+    it('should not start replay buffer when disabled', async () => {
+      mockSettingsService.getReplayBufferEnabled.mockReturnValue(false);
+
+      await getHandler('stream:started')();
+
+      expect(mockCaptureService.startReplayBuffer).not.toHaveBeenCalled();
+    });
+
+    it('should release GPU stream when replay buffer fails to start', async () => {
+      mockGpuRendererService.isActive.mockReturnValue(true);
+      mockCaptureService.startReplayBuffer.mockImplementation(() => {
+        throw new Error('No supported format');
+      });
+
+      await getHandler('stream:started')();
+
+      expect(mockLogger.error).toHaveBeenCalledWith('Failed to start replay buffer:', expect.any(Error));
+      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalledWith('replay');
+    });
+
+    it('should restart replay buffer when settings change', async () => {
+      await getHandler('settings:replay-buffer-changed')({ enabled: true, seconds: 60 });
+
+      expect(mockCaptureService.stopReplayBuffer).toHaveBeenCalled();
+      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalledWith('replay');
+      expect(mockCaptureService.startReplayBuffer).toHaveBeenCalled();
+    });
+
+    it('should restart replay buffer when render pipeline becomes ready', async () => {
+      await getHandler('render:pipeline-ready')();
+
+      expect(mockCaptureService.stopReplayBuffer).toHaveBeenCalled();
+      expect(mockCaptureService.startReplayBuffer).toHaveBeenCalled();
+    });
+
+    it('should stop replay buffer when stream stops', async () => {
+      await getHandler('stream:stopped')();
+
+      expect(mockCaptureService.stopReplayBuffer).toHaveBeenCalled();
+      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalledWith('replay');
+    });
+
+    it('should save replay when requested', async () => {
+      mockCaptureService.isReplayBufferActive.mockReturnValue(true);
+
+      await getHandler('ui:replay-save-requested')();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:replay-triggered');
+      expect(mockCaptureService.saveReplay).toHaveBeenCalledWith({
+        metadata: expect.any(Object),
+        baseName: expect.stringMatching(/^prismgb-replay-/)
+      });
+    });
+
+    it('should warn when replay is requested with buffer off', async () => {
+      await orchestrator.saveReplay();
+
+      expect(mockCaptureService.saveReplay).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:status-message', {
+        message: 'Instant replay is off - enable it in Settings',
+        type: 'warning'
+      });
+    });
+
+    it('should warn when replay is requested while not streaming', async () => {
+      mockAppState.isStreaming = false;
+
+      await orchestrator.saveReplay();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:status-message', {
+        message: 'Cannot save replay - not streaming',
+        type: 'warning'
+      });
+    });
+
+    it('should show error when saving replay fails', async () => {
+      mockCaptureService.isReplayBufferActive.mockReturnValue(true);
+      mockCaptureService.saveReplay.mockRejectedValue(new Error('No replay data'));
+
+      await orchestrator.saveReplay();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:status-message', { message: 'Error saving replay', type: 'error' });
+    });
+
+    it('should release GPU stream on replay error', () => {
+      getHandler('capture:replay-error')({ error: 'Encoder failed' });
+
+      expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalledWith('replay');
+    });
+
+    it('should save replay with replay kind', async () => {
+      await getHandler('capture:replay-ready')({ blob: { size: 10 }, filename: 'replay.webm' });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:saved', expect.objectContaining({
+        kind: 'replay',
+        filename: 'replay.webm'
+      }));
+    });
+  });
+
+  describe('Clip capture', () => {
+    beforeEach(() => {
+      mockAppState.isStreaming = true;
+    });
+
+    it('should capture clip with settings at native resolution', async () => {
+      mockAppState.currentCapabilities = { nativeResolution: { width: 160, height: 144 } };
+      mockSettingsService.getClipFormat.mockReturnValue('apng');
+      mockSettingsService.getClipScale.mockReturnValue(4);
+      mockSettingsService.getClipDurationSeconds.mockReturnValue(10);
+
+      await orchestrator.captureClip();
+
+      expect(mockCaptureClipService.captureClip).toHaveBeenCalledWith(expect.any(Function), {
+        nativeResolution: { width: 160, height: 144 },
+        format: 'apng',
+        scale: 4,
+        durationSeconds: 10,
+        baseName: expect.stringMatching(/^prismgb-clip-/)
+      });
+    });
+
+    it('should fall back to Game Boy resolution without capabilities', async () => {
+      await orchestrator.captureClip();
+
+      expect(mockCaptureClipService.captureClip).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({
+        nativeResolution: { width: 160, height: 144 }
+      }));
+    });
+
+    it('should grab frames from GPU renderer when GPU is active', async () => {
+      const mockBitmap = { width: 640, height: 576 };
+      mockGpuRendererService.isActive.mockReturnValue(true);
+      mockGpuRendererService.captureFrame.mockResolvedValue(mockBitmap);
+
+      await orchestrator.captureClip();
+      const getFrame = mockCaptureClipService.captureClip.mock.calls[0][0];
+
+      await expect(getFrame()).resolves.toBe(mockBitmap);
+    });
+
+    it('should grab frames from video element when no rendering pipeline is active', async () => {
+      await orchestrator.captureClip();
+      const getFrame = mockCaptureClipService.captureClip.mock.calls[0][0];
+
+      expect(getFrame()).toBe(mockStreamingViewService._elements.streamVideo);
+    });
+
+    it('should warn when not streaming', async () => {
+      mockAppState.isStreaming = false;
+
+      await orchestrator.captureClip();
+
+      expect(mockCaptureClipService.captureClip).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:status-message', {
+        message: 'Cannot capture clip - not streaming',
+        type: 'warning'
+      });
+    });
+
+    it('should not start a second clip while one is in progress', async () => {
+      mockCaptureClipService.isCapturing.mockReturnValue(true);
+
+      await orchestrator.captureClip();
+
+      expect(mockCaptureClipService.captureClip).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:status-message', {
+        message: 'Clip capture already in progress',
+        type: 'warning'
+      });
+    });
+
+    it('should log clip failures', async () => {
+      mockCaptureClipService.captureClip.mockRejectedValue(new Error('Encode failed'));
+
+      await orchestrator.captureClip();
+
+      expect(mockLogger.error).toHaveBeenCalledWith('Failed to capture clip:', expect.any(Error));
+    });
+
+    it('should save ready clips with clip kind', async () => {
+      await orchestrator.onInitialize();
+      const handler = mockEventBus.subscribe.mock.calls.find(call => call[0] === 'capture:clip-ready')[1];
+
+      await handler({ blob: { size: 10 }, filename: 'clip.gif' });
+
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith({ size: 10 }, 'clip.gif');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:saved', expect.objectContaining({ kind: 'clip' }));
+    });
+
+    it('should cancel clip when stream stops', async () => {
+      await orchestrator.onInitialize();
+      const handler = mockEventBus.subscribe.mock.calls.find(call => call[0] === 'stream:stopped')[1];
+
+      await handler();
+
+      expect(mockCaptureClipService.cancel).toHaveBeenCalled();
+    });
+  });
+
+  describe('Interval capture', () => {
+    beforeEach(() => {
+      mockAppState.isStreaming = true;
+    });
+
+    it('should start a session with the interval settings', async () => {
+      mockAppState.currentCapabilities = { nativeResolution: { width: 160, height: 144 } };
+      mockSettingsService.getIntervalMode.mockReturnValue('timelapse');
+      mockSettingsService.getIntervalFrameStep.mockReturnValue(300);
+
+      await orchestrator.toggleIntervalCapture();
+
+      expect(mockCaptureIntervalService.start).toHaveBeenCalledWith(expect.objectContaining({
+        mode: 'timelapse',
+        intervalSeconds: 30,
+        frameStep: 300,
+        nativeResolution: { width: 160, height: 144 }
+      }));
+    });
+
+    it('should start a frame sequence at the stream frame rate', async () => {
+      mockAppState.currentCapabilities = { nativeResolution: { width: 160, height: 144 }, frameRate: 60 };
+      mockSettingsService.getIntervalMode.mockReturnValue('frames');
+      mockSettingsService.getFrameSequenceSeconds.mockReturnValue(30);
+
+      await orchestrator.toggleIntervalCapture();
+
+      expect(mockCaptureIntervalService.start).toHaveBeenCalledWith(expect.objectContaining({
+        mode: 'frames',
+        durationSeconds: 30,
+        frameRate: 60,
+        nativeResolution: { width: 160, height: 144 }
+      }));
+    });
+
+    it('should save frame sequence files into their folder', async () => {
+      mockCaptureStorageAdapter.saveCapture.mockResolvedValue({ success: true });
+      await orchestrator.toggleIntervalCapture();
+      const { saveFile } = mockCaptureIntervalService.start.mock.calls[0][0];
+      const blob = new Blob(['png']);
+
+      await saveFile({ blob, folder: 'prismgb-frames-1', filename: 'frame-00001.png' });
+
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith(blob, 'frame-00001.png', { folder: 'prismgb-frames-1' });
+      expect(mockEventBus.publish).not.toHaveBeenCalledWith('capture:saved', expect.anything());
+    });
+
+    it('should reject when a frame sequence file is not saved', async () => {
+      mockCaptureStorageAdapter.saveCapture.mockResolvedValue({ success: false, error: 'Disk full' });
+      await orchestrator.toggleIntervalCapture();
+      const { saveFile } = mockCaptureIntervalService.start.mock.calls[0][0];
+
+      await expect(saveFile({ blob: new Blob(['png']), folder: 'prismgb-frames-1', filename: 'frame-00001.png' }))
+        .rejects.toThrow('Disk full');
+    });
+
+    it('should stop an active session', async () => {
+      mockCaptureIntervalService.isActive.mockReturnValue(true);
+
+      await orchestrator.toggleIntervalCapture();
+
+      expect(mockCaptureIntervalService.stop).toHaveBeenCalled();
+      expect(mockCaptureIntervalService.start).not.toHaveBeenCalled();
+    });
+
+    it('should warn when not streaming', async () => {
+      mockAppState.isStreaming = false;
+
+      await orchestrator.toggleIntervalCapture();
+
+      expect(mockCaptureIntervalService.start).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:status-message', {
+        message: 'Cannot start interval capture - not streaming',
+        type: 'warning'
+      });
+    });
+
+    it('should publish an interval error when the session cannot start', async () => {
+      mockCaptureIntervalService.start.mockRejectedValue(new Error('No supported timelapse codecs'));
+
+      await orchestrator.toggleIntervalCapture();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:interval-error', { error: 'No supported timelapse codecs' });
+    });
+
+    it('should take interval screenshots into the session folder', async () => {
+      await orchestrator.toggleIntervalCapture();
+      const { takeScreenshot } = mockCaptureIntervalService.start.mock.calls[0][0];
+
+      await takeScreenshot({ folder: 'prismgb-interval-1', filename: 'prismgb-interval-00001.png' });
+
+      expect(mockCaptureService.takeScreenshot).toHaveBeenCalledWith(
+        mockStreamingViewService._elements.streamVideo,
+        expect.objectContaining({ folder: 'prismgb-interval-1', filename: 'prismgb-interval-00001.png' })
+      );
+      expect(mockEventBus.publish).not.toHaveBeenCalledWith('ui:shutter-flash');
+    });
+
+    it('should pace the timelapse from the stream video', async () => {
+      await orchestrator.toggleIntervalCapture();
+      const { getFrame, getVideo } = mockCaptureIntervalService.start.mock.calls[0][0];
+
+      expect(getVideo()).toBe(mockStreamingViewService._elements.streamVideo);
+      expect(getFrame()).toBe(mockStreamingViewService._elements.streamVideo);
+    });
+
+    it('should suspend when the stream stops or the device disconnects', async () => {
+      await orchestrator.onInitialize();
+
+      await getHandler('stream:stopped')();
+      getHandler('device:disconnected-during-session')();
+
+      expect(mockCaptureIntervalService.suspend).toHaveBeenCalledTimes(2);
+      expect(mockCaptureIntervalService.stop).not.toHaveBeenCalled();
+    });
+
+    it('should resume when the stream starts again', async () => {
+      await orchestrator.onInitialize();
+
+      await getHandler('stream:started')();
+
+      expect(mockCaptureIntervalService.resume).toHaveBeenCalled();
+    });
+
+    it('should toggle from the UI command event', async () => {
+      await orchestrator.onInitialize();
+
+      await getHandler('ui:interval-capture-toggle-requested')();
+
+      expect(mockCaptureIntervalService.start).toHaveBeenCalled();
+    });
+
+    it('should save ready timelapses with timelapse kind', async () => {
+      await orchestrator.onInitialize();
+
+      await getHandler('capture:timelapse-ready')({ blob: { size: 10 }, filename: 'timelapse.mp4' });
+
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith({ size: 10 }, 'timelapse.mp4');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:saved', expect.objectContaining({ kind: 'timelapse' }));
+    });
+  });
+
+  describe('Saving captures', () => {
+    const blob = { size: 10 };
+
+    beforeEach(async () => {
+      await orchestrator.onInitialize();
+    });
+
+    it('should save screenshot and publish saved event', async () => {
+      await getHandler('capture:screenshot-ready')({ blob, filename: 'shot.png' });
+
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith(blob, 'shot.png');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:saved', {
+        kind: 'screenshot',
+        filename: 'shot.png',
+        filePath: '/captures/file.png',
+        blob
+      });
+    });
+
+    it('should save screenshots with a session folder into that folder', async () => {
+      await getHandler('capture:screenshot-ready')({ blob, filename: 'shot.png', folder: 'prismgb-interval-1' });
+
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith(blob, 'shot.png', { folder: 'prismgb-interval-1' });
+    });
+
+    it('should pass the game along so the capture lands in its game folder', async () => {
+      await getHandler('capture:screenshot-ready')({ blob, filename: 'shot.png', game: 'Tetris' });
+
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith(blob, 'shot.png', { game: 'Tetris' });
+    });
+
+    it('should save recording with recording kind', async () => {
+      await getHandler('capture:recording-ready')({ blob, filename: 'clip.webm' });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:saved', expect.objectContaining({
+        kind: 'recording',
+        filename: 'clip.webm'
+      }));
+    });
+
+    it('should commit spooled recordings instead of sending data', async () => {
+      await getHandler('capture:recording-ready')({ spoolId: 'spool-1', filename: 'rec.webm' });
+
+      expect(mockCaptureStorageAdapter.commitRecordingSpool).toHaveBeenCalledWith('spool-1', 'rec.webm');
+      expect(mockCaptureStorageAdapter.saveCapture).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:saved', {
+        kind: 'recording',
+        filename: 'rec.webm',
+        filePath: '/captures/rec.webm',
+        blob: null
+      });
+    });
+
+    it('should publish save canceled when user dismisses dialog', async () => {
+      mockCaptureStorageAdapter.saveCapture.mockResolvedValue({ success: true, canceled: true, filePath: null });
+
+      await getHandler('capture:screenshot-ready')({ blob, filename: 'shot.png' });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:save-canceled', { kind: 'screenshot', filename: 'shot.png' });
+      expect(mockEventBus.publish).not.toHaveBeenCalledWith('capture:saved', expect.anything());
+    });
+
+    it('should publish save failed on error', async () => {
+      mockCaptureStorageAdapter.saveCapture.mockResolvedValue({ success: false, error: 'EACCES' });
+
+      await getHandler('capture:recording-ready')({ blob, filename: 'clip.webm' });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:save-failed', {
+        kind: 'recording',
+        filename: 'clip.webm',
+        error: 'EACCES'
+      });
+    });
+  });
+
+  describe('Recording review', () => {
+    const blob = { size: 10, type: 'video/webm' };
+    const commentary = { blob: { size: 5, type: 'audio/webm' }, filename: 'take-commentary.webm' };
+
+    beforeEach(async () => {
+      await orchestrator.onInitialize();
+    });
+
+    const holdForReview = async (data = {}) => {
+      await getHandler('capture:recording-ready')({ blob, filename: 'take.webm', review: true, ...data });
+      const [, ready] = mockEventBus.publish.mock.calls.find(([channel]) => channel === 'capture:review-ready');
+      return ready.id;
+    };
+
+    it('should hold reviewed recordings instead of saving them', async () => {
+      await holdForReview();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:review-ready', {
+        id: expect.any(Number),
+        blob,
+        filename: 'take.webm',
+        markers: []
+      });
+      expect(mockCaptureStorageAdapter.saveCapture).not.toHaveBeenCalled();
+    });
+
+    it('should hand the markers to the trim editor', async () => {
+      const markers = [{ timeMs: 1500, label: 'boss start' }];
+      await holdForReview({ markers, durationMs: 5000 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:review-ready', expect.objectContaining({ markers }));
+    });
+
+    it('should keep the markers inside the trimmed range, moved to its start', async () => {
+      const rawTrack = { blob: { size: 8, type: 'video/webm' }, filename: 'take-raw.webm' };
+      mockCaptureStorageAdapter.saveCapture.mockImplementation(async (data, filename) => ({ success: true, filePath: `/captures/${filename}` }));
+      mockCaptureTrimService.trim.mockResolvedValue({ blob: { cut: true }, startMs: 900, endMs: 4000, reencoded: false });
+      const id = await holdForReview({
+        rawTrack,
+        durationMs: 5000,
+        markers: [{ timeMs: 500, label: 'intro' }, { timeMs: 2900, label: 'boss start' }, { timeMs: 4500, label: 'credits' }]
+      });
+
+      await getHandler('ui:recording-review-finished')({ id, action: 'save', startMs: 1000, endMs: 4000 });
+
+      const sidecars = mockCaptureStorageAdapter.saveSidecar.mock.calls
+        .filter(([, , extension]) => extension === '.markers.json');
+      expect(sidecars.map(([, capture]) => capture.filePath)).toEqual(['/captures/take.webm', '/captures/take-raw.webm']);
+      expect(JSON.parse(await sidecars[0][0].text())).toEqual({
+        recording: 'take.webm',
+        durationMs: 3100,
+        markers: [{ timeMs: 2000, label: 'boss start' }]
+      });
+    });
+
+    it('should drop a discarded recording without saving it', async () => {
+      const id = await holdForReview({ commentary });
+
+      await getHandler('ui:recording-review-finished')({ id, action: 'discard' });
+
+      expect(mockCaptureStorageAdapter.saveCapture).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:review-discarded', { filename: 'take.webm' });
+    });
+
+    it('should save the full recording when it was not trimmed', async () => {
+      const id = await holdForReview({ game: 'Tetris' });
+
+      await getHandler('ui:recording-review-finished')({ id, action: 'save' });
+
+      expect(mockCaptureTrimService.trim).not.toHaveBeenCalled();
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith(blob, 'take.webm', { game: 'Tetris' });
+    });
+
+    it('should trim the raw track of a dual-track recording with the video', async () => {
+      const rawTrack = { blob: { size: 8, type: 'video/webm' }, filename: 'take-raw.webm' };
+      mockCaptureTrimService.trim.mockImplementation(async (source) => (
+        source === blob
+          ? { blob: { cut: 'video' }, startMs: 900, endMs: 4000, reencoded: false }
+          : { blob: { cut: 'raw' }, startMs: 800, endMs: 4000, reencoded: false }
+      ));
+      const id = await holdForReview({ rawTrack });
+
+      await getHandler('ui:recording-review-finished')({ id, action: 'save', startMs: 1000, endMs: 4000 });
+
+      expect(mockCaptureTrimService.trim).toHaveBeenCalledWith(rawTrack.blob, { startMs: 900, endMs: 4000 });
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith({ cut: 'video' }, 'take.webm');
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith({ cut: 'raw' }, 'take-raw.webm');
+    });
+
+    it('should discard the raw track with the recording', async () => {
+      const id = await holdForReview({ rawTrack: { blob: { size: 8 }, filename: 'take-raw.webm' } });
+
+      await getHandler('ui:recording-review-finished')({ id, action: 'discard' });
+
+      expect(mockCaptureStorageAdapter.saveCapture).not.toHaveBeenCalled();
+    });
+
+    it('should trim the commentary to the range the video cut covers', async () => {
+      mockCaptureTrimService.trim.mockImplementation(async (source) => (
+        source === blob
+          ? { blob: { cut: 'video' }, startMs: 900, endMs: 4000, reencoded: false }
+          : { blob: { cut: 'audio' }, startMs: 900, endMs: 4000, reencoded: false }
+      ));
+      const id = await holdForReview({ commentary });
+
+      await getHandler('ui:recording-review-finished')({ id, action: 'save', startMs: 1000, endMs: 4000 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:trim-started', { filename: 'take.webm', reencode: false });
+      expect(mockCaptureTrimService.trim).toHaveBeenCalledWith(blob, { startMs: 1000, endMs: 4000 });
+      expect(mockCaptureTrimService.trim).toHaveBeenCalledWith(commentary.blob, { startMs: 900, endMs: 4000 });
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith({ cut: 'video' }, 'take.webm');
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith({ cut: 'audio' }, 'take-commentary.webm');
+    });
+
+    it('should save the full recording when trimming fails', async () => {
+      mockCaptureTrimService.trim.mockRejectedValue(new Error('Recording could not be played back'));
+      const id = await holdForReview();
+
+      await getHandler('ui:recording-review-finished')({ id, action: 'save', startMs: 1000, endMs: 4000 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:trim-failed', {
+        filename: 'take.webm',
+        error: 'Recording could not be played back'
+      });
+      expect(mockCaptureStorageAdapter.saveCapture).toHaveBeenCalledWith(blob, 'take.webm');
+    });
+
+    it('should ignore decisions for recordings no longer waiting', async () => {
+      const id = await holdForReview();
+      await getHandler('ui:recording-review-finished')({ id, action: 'save' });
+      mockCaptureStorageAdapter.saveCapture.mockClear();
+
+      await getHandler('ui:recording-review-finished')({ id, action: 'save' });
+
+      expect(mockCaptureStorageAdapter.saveCapture).not.toHaveBeenCalled();
+      expect(mockLogger.warn).toHaveBeenCalledWith('No recording waiting for review:', id);
+    });
+  });
+
+  describe('_getCaptureMetadata', () => {
+    it('should describe the device, render settings and active game', () => {
+      mockAppState.currentCapabilities = { profileId: 'chromatic-mod-retro' };
+      mockNotesService.getActiveGame.mockReturnValue('Tetris');
+
+      const metadata = orchestrator._getCaptureMetadata();
+
+      expect(metadata).toEqual({
+        appVersion: expect.toBeOneOf([expect.any(String), null]),
+        deviceProfileId: 'chromatic-mod-retro',
+        presetId: 'vibrant',
+        brightness: 1.1,
+        capturedAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+        gameName: 'Tetris'
+      });
+    });
+
+    it('should leave out unknown device and game', () => {
+      const metadata = orchestrator._getCaptureMetadata();
+
+      expect(metadata.deviceProfileId).toBeNull();
+      expect(metadata.gameName).toBeNull();
+    });
+  });
+
+  describe('_getScreenshotSource', () => {
+    it('should render a GPU snapshot at the chosen scale in rendered mode', async () => {
+      mockGpuRendererService.isActive.mockReturnValue(true);
+      mockSettingsService.getScreenshotScale.mockReturnValue(6);
+      const mockBitmap = { width: 960, height: 864 };
+      mockGpuRendererService.renderSnapshot.mockResolvedValue(mockBitmap);
+
+      const result = await orchestrator._getScreenshotSource();
+
+      expect(result).toEqual({ source: mockBitmap, size: { width: 960, height: 864 } });
+      expect(mockLogger.debug).toHaveBeenCalledWith('Rendering 6x screenshot from GPU renderer');
+    });
+
+    it('should return canvas when Canvas2D is active but GPU is not', async () => {
+      mockGpuRendererService.isActive.mockReturnValue(false);
+      mockStreamingCanvasRenderer.isActive.mockReturnValue(true);
+
+      const result = await orchestrator._getScreenshotSource();
+
+      expect(result.source).toBe(mockStreamingViewService._elements.streamCanvas);
+      expect(mockLogger.debug).toHaveBeenCalledWith('Capturing screenshot from Canvas2D renderer');
+    });
+
+    it('should return video element when no rendering pipeline is active', async () => {
       mockGpuRendererService.isActive.mockReturnValue(false);
       mockStreamingCanvasRenderer.isActive.mockReturnValue(false);
 
-      const source = await orchestrator._getCaptureSource();
+      const result = await orchestrator._getScreenshotSource();
+
+      expect(result.source).toBe(mockStreamingViewService._elements.streamVideo);
+      expect(mockLogger.debug).toHaveBeenCalledWith('Capturing rendered screenshot from video element');
+    });
+
+    it('should capture raw pixels at native resolution in native mode', async () => {
+      mockGpuRendererService.isActive.mockReturnValue(true);
+      mockSettingsService.getScreenshotMode.mockReturnValue('native');
+
+      const result = await orchestrator._getScreenshotSource();
+
+      expect(result).toEqual({
+        source: mockStreamingViewService._elements.streamVideo,
+        size: { width: 160, height: 144 }
+      });
+      expect(mockGpuRendererService.renderSnapshot).not.toHaveBeenCalled();
+    });
+
+    it('should upscale raw pixels in scaled mode, bypassing shaders', async () => {
+      mockGpuRendererService.isActive.mockReturnValue(true);
+      mockSettingsService.getScreenshotMode.mockReturnValue('scaled');
+      mockSettingsService.getScreenshotScale.mockReturnValue(3);
+
+      const result = await orchestrator._getScreenshotSource();
+
+      expect(result).toEqual({
+        source: mockStreamingViewService._elements.streamVideo,
+        size: { width: 480, height: 432 }
+      });
+      expect(mockGpuRendererService.renderSnapshot).not.toHaveBeenCalled();
+    });
+
+    it('should use the device native resolution when reported', async () => {
+      mockSettingsService.getScreenshotMode.mockReturnValue('scaled');
+      mockSettingsService.getScreenshotScale.mockReturnValue(2);
+      mockAppState.currentCapabilities = { nativeResolution: { width: 240, height: 160 } };
+
+      const result = await orchestrator._getScreenshotSource();
+
+      expect(result.size).toEqual({ width: 480, height: 320 });
+    });
+
+    it('should composite the webcam overlay onto rendered screenshots', async () => {
+      mockGpuRendererService.isActive.mockReturnValue(true);
+      const mockBitmap = { width: 640, height: 576 };
+      mockGpuRendererService.renderSnapshot.mockResolvedValue(mockBitmap);
+      mockCaptureFacecamService.isActive.mockReturnValue(true);
+
+      const result = await orchestrator._getScreenshotSource();
 
-      expect(source).toBe(mockStreamingViewService._elements.streamVideo);
-      expect(mockLogger.debug).toHaveBeenCalledWith('Capturing screenshot from video element (no rendering pipeline)');
+      expect(mockCaptureFacecamService.composite).toHaveBeenCalledWith(mockBitmap, { width: 640, height: 576 });
+      expect(result.source).toBe(mockCaptureFacecamService.composite.mock.results[0].value);
+    });
+
+    it('should composite the webcam overlay onto scaled screenshots', async () => {
+      mockSettingsService.getScreenshotMode.mockReturnValue('scaled');
+      mockSettingsService.getScreenshotScale.mockReturnValue(2);
+      mockCaptureFacecamService.isActive.mockReturnValue(true);
+
+      await orchestrator._getScreenshotSource();
+
+      expect(mockCaptureFacecamService.composite).toHaveBeenCalledWith(
+        mockStreamingViewService._elements.streamVideo,
+        { width: 320, height: 288 }
+      );
+    });
+
+    it('should keep native screenshots free of the webcam overlay', async () => {
+      mockSettingsService.getScreenshotMode.mockReturnValue('native');
+      mockCaptureFacecamService.isActive.mockReturnValue(true);
+
+      const result = await orchestrator._getScreenshotSource();
+
+      expect(mockCaptureFacecamService.composite).not.toHaveBeenCalled();
+      expect(result.source).toBe(mockStreamingViewService._elements.streamVideo);
     });
   });
 
@@ -390,10 +1675,34 @@ describe('CaptureOrchestrator', () => {
       expect(mockLogger.error).toHaveBeenCalledWith('Error stopping recording during cleanup:', expect.any(Error));
     });
 
+    it('should stop replay buffer on cleanup', async () => {
+      await orchestrator.onCleanup();
+
+      expect(mockCaptureService.stopReplayBuffer).toHaveBeenCalled();
+    });
+
+    it('should cancel clip capture on cleanup', async () => {
+      await orchestrator.onCleanup();
+
+      expect(mockCaptureClipService.cancel).toHaveBeenCalled();
+    });
+
+    it('should stop interval capture on cleanup', async () => {
+      await orchestrator.onCleanup();
+
+      expect(mockCaptureIntervalService.stop).toHaveBeenCalled();
+    });
+
     it('should stop GPU recording on cleanup', async () => {
       await orchestrator.onCleanup();
 
       expect(mockCaptureGpuRecordingService.stop).toHaveBeenCalled();
     });
+
+    it('should release the microphone on cleanup', async () => {
+      await orchestrator.onCleanup();
+
+      expect(mockCaptureAudioMixService.stop).toHaveBeenCalled();
+    });
   });
 });
@@ -4,20 +4,40 @@
 
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import { CaptureService } from '@renderer/features/capture/services/capture.service.js';
+import { readCaptureMetadata } from '@shared/utils/capture-metadata.utils.js';
+
+// Tests below replace the global Blob with a stub; metadata tests need the real one
+const RealBlob = globalThis.Blob;
 
 // Mock FilenameGenerator
 vi.mock('../../../../../src/shared/utils/filename-generator.utils.js', () => ({
   FilenameGenerator: {
     forScreenshot: vi.fn(() => 'screenshot_2024-01-01_12-00-00.png'),
-    forRecording: vi.fn(() => 'recording_2024-01-01_12-00-00.webm')
+    forRecording: vi.fn(() => 'recording_2024-01-01_12-00-00.webm'),
+    forRecordingSegment: vi.fn((sessionId, index) => `recording_${sessionId}_part${index}.webm`),
+    timestamp: vi.fn(() => 'session-1'),
+    forReplay: vi.fn(() => 'replay_2024-01-01_12-00-00.webm'),
+    forCommentary: vi.fn((recording) => recording.replace('.webm', '-commentary.webm')),
+    forRawTrack: vi.fn((recording) => recording.replace('.webm', '-raw.webm'))
   }
 }));
 
+// Mock WebCodecs MP4 backend
+const mockMp4Recorder = vi.hoisted(() => ({ create: vi.fn() }));
+vi.mock('../../../../../src/renderer/features/capture/recording/capture-mp4-recorder.class.js', () => ({
+  CaptureMp4Recorder: mockMp4Recorder
+}));
+
+// Mock lossless WebM trimming (replays are cut to the buffer length)
+const mockWebmTrim = vi.hoisted(() => ({ trimWebm: vi.fn() }));
+vi.mock('../../../../../src/shared/utils/webm-trim.utils.js', () => mockWebmTrim);
+
 describe('CaptureService', () => {
   let service;
   let mockEventBus;
   let mockLogger;
   let mockLoggerFactory;
+  let mockCaptureStorageAdapter;
 
   beforeEach(() => {
     mockLogger = {
@@ -37,8 +57,17 @@ describe('CaptureService', () => {
       unsubscribe: vi.fn()
     };
 
+    // Spooling is off unless a test turns it on
+    mockCaptureStorageAdapter = {
+      isSpoolAvailable: vi.fn(() => false),
+      openRecordingSpool: vi.fn(async () => ({ success: true, id: 'spool-1' })),
+      appendRecordingSpool: vi.fn(async () => ({ success: true })),
+      discardRecordingSpool: vi.fn(async () => ({ success: true }))
+    };
+
     service = new CaptureService({
       eventBus: mockEventBus,
+      captureStorageAdapter: mockCaptureStorageAdapter,
       loggerFactory: mockLoggerFactory
     });
 
@@ -53,6 +82,8 @@ describe('CaptureService', () => {
       }
       start() { this.state = 'recording'; }
       stop() { this.state = 'inactive'; }
+      pause() { this.state = 'paused'; }
+      resume() { this.state = 'recording'; }
     };
     global.MediaRecorder.isTypeSupported = vi.fn(() => true);
 
@@ -63,6 +94,7 @@ describe('CaptureService', () => {
         this.type = options?.type || 'application/octet-stream';
         this.size = 1000;
       }
+      async arrayBuffer() { return new ArrayBuffer(0); }
     };
   });
 
@@ -151,6 +183,25 @@ describe('CaptureService', () => {
       }));
     });
 
+    it('should publish interval screenshots with their filename and session folder', async () => {
+      const result = await service.takeScreenshot(mockVideo, { filename: 'prismgb-interval-00001.png', folder: 'prismgb-interval-1' });
+
+      expect(result).toEqual(expect.objectContaining({ filename: 'prismgb-interval-00001.png', folder: 'prismgb-interval-1' }));
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:screenshot-ready', expect.objectContaining({
+        filename: 'prismgb-interval-00001.png',
+        folder: 'prismgb-interval-1'
+      }));
+    });
+
+    it('should publish the game a screenshot belongs to', async () => {
+      await service.takeScreenshot(mockVideo, { filename: 'tetris-0001.png', game: 'Tetris' });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:screenshot-ready', expect.objectContaining({
+        filename: 'tetris-0001.png',
+        game: 'Tetris'
+      }));
+    });
+
     it('should throw for null source', async () => {
       await expect(service.takeScreenshot(null)).rejects.toThrow('Invalid source');
       expect(mockLogger.warn).toHaveBeenCalledWith('Cannot take screenshot - no source provided');
@@ -169,6 +220,29 @@ describe('CaptureService', () => {
 
       await expect(service.takeScreenshot(mockVideo)).rejects.toThrow('Failed to create screenshot blob');
     });
+
+    it('should render a PNG without publishing it', async () => {
+      const blob = await service.renderScreenshot(mockVideo);
+
+      expect(blob.type).toBe('image/png');
+      expect(mockCtx.drawImage).toHaveBeenCalledWith(mockVideo, 0, 0);
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should upscale with nearest-neighbour filtering when given an output size', async () => {
+      await service.takeScreenshot(mockVideo, { size: { width: 640, height: 576 } });
+
+      expect(mockCanvas.width).toBe(640);
+      expect(mockCanvas.height).toBe(576);
+      expect(mockCtx.imageSmoothingEnabled).toBe(false);
+      expect(mockCtx.drawImage).toHaveBeenCalledWith(mockVideo, 0, 0, 640, 576);
+    });
+
+    it('should draw unscaled when the output size matches the source', async () => {
+      await service.renderScreenshot(mockVideo, { width: 160, height: 144 });
+
+      expect(mockCtx.drawImage).toHaveBeenCalledWith(mockVideo, 0, 0);
+    });
   });
 
   describe('startRecording', () => {
@@ -214,6 +288,29 @@ describe('CaptureService', () => {
       expect(service.mediaRecorder.options.mimeType).toBe('video/webm;codecs=vp9');
     });
 
+    it('should record with the codec and bitrates of the chosen quality', async () => {
+      await service.startRecording(mockStream, {
+        quality: { codec: 'vp8', videoBitrateKbps: 800, audioBitrateKbps: 96 }
+      });
+
+      expect(service.mediaRecorder.options).toEqual({
+        mimeType: 'video/webm;codecs=vp8',
+        videoBitsPerSecond: 800000,
+        audioBitsPerSecond: 96000
+      });
+    });
+
+    it('should fall back to a supported codec when the chosen one is not', async () => {
+      global.MediaRecorder.isTypeSupported = vi.fn((type) => !type.includes('av01'));
+
+      await service.startRecording(mockStream, {
+        quality: { codec: 'av1', videoBitrateKbps: 2500, audioBitrateKbps: 128 }
+      });
+
+      expect(service.mediaRecorder.options.mimeType).toBe('video/webm;codecs=vp9');
+      expect(mockLogger.warn).toHaveBeenCalledWith('Recording codec av1 is not supported, using the best available one');
+    });
+
     it('should collect recorded chunks', async () => {
       await service.startRecording(mockStream);
 
@@ -234,6 +331,70 @@ describe('CaptureService', () => {
     });
   });
 
+  describe('MP4 recording', () => {
+    let mockStream;
+    let mp4Recorder;
+
+    beforeEach(() => {
+      mockStream = {
+        getVideoTracks: vi.fn(() => [{ stop: vi.fn() }]),
+        getAudioTracks: vi.fn(() => [])
+      };
+      mp4Recorder = {
+        state: 'inactive',
+        mimeType: 'video/mp4',
+        start: vi.fn(function () { this.state = 'recording'; }),
+        stop: vi.fn(function () { this.state = 'inactive'; })
+      };
+      mockMp4Recorder.create.mockReset();
+      mockMp4Recorder.create.mockResolvedValue(mp4Recorder);
+    });
+
+    it('should record with the WebCodecs backend when MP4 is requested', async () => {
+      await service.startRecording(mockStream, { format: 'mp4' });
+
+      expect(mockMp4Recorder.create).toHaveBeenCalledWith(mockStream, {
+        videoBitsPerSecond: 2500000,
+        audioBitsPerSecond: 128000,
+        logger: mockLogger
+      });
+      expect(service.mediaRecorder).toBe(mp4Recorder);
+      expect(mp4Recorder.start).toHaveBeenCalled();
+      expect(service.isRecording).toBe(true);
+    });
+
+    it('should publish MP4 recording with mp4 filename', async () => {
+      const { FilenameGenerator } = await import('../../../../../src/shared/utils/filename-generator.utils.js');
+      await service.startRecording(mockStream, { format: 'mp4' });
+
+      mp4Recorder.ondataavailable({ data: new Blob(['mp4'], { type: 'video/mp4' }) });
+      mp4Recorder.onstop();
+
+      expect(FilenameGenerator.forRecording).toHaveBeenCalledWith('mp4', undefined);
+      const [, payload] = mockEventBus.publish.mock.calls.find(call => call[0] === 'capture:recording-ready');
+      expect(payload.blob.type).toBe('video/mp4');
+    });
+
+    it('should keep using MediaRecorder for WebM', async () => {
+      await service.startRecording(mockStream, { format: 'webm' });
+
+      expect(mockMp4Recorder.create).not.toHaveBeenCalled();
+      expect(service.mediaRecorder).toBeInstanceOf(global.MediaRecorder);
+    });
+
+    it('should not start when MP4 is unavailable', async () => {
+      mockMp4Recorder.create.mockRejectedValue(new Error('MP4 recording is not supported'));
+
+      await expect(service.startRecording(mockStream, { format: 'mp4' })).rejects.toThrow('MP4 recording is not supported');
+      expect(service.isRecording).toBe(false);
+      expect(mockEventBus.publish).not.toHaveBeenCalledWith('capture:recording-started');
+    });
+
+    it('should reject unknown formats', async () => {
+      await expect(service.startRecording(mockStream, { format: 'avi' })).rejects.toThrow('Unsupported recording format: avi');
+    });
+  });
+
   describe('stopRecording', () => {
     let mockStream;
 
@@ -256,7 +417,9 @@ describe('CaptureService', () => {
     it('should emit capture:recording-stopped event', async () => {
       await service.stopRecording();
 
-      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:recording-stopped');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:recording-stopped', {
+        elapsedMs: expect.any(Number)
+      });
     });
 
     it('should throw if not recording', async () => {
@@ -266,6 +429,775 @@ describe('CaptureService', () => {
     });
   });
 
+  describe('pause and resume', () => {
+    let now;
+
+    beforeEach(async () => {
+      now = 1000;
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+      await service.startRecording({
+        getVideoTracks: vi.fn(() => [{ stop: vi.fn() }]),
+        getAudioTracks: vi.fn(() => [])
+      });
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should pause the recorder and emit elapsed time', () => {
+      now = 6000;
+      service.pauseRecording();
+
+      expect(service.mediaRecorder.state).toBe('paused');
+      expect(service.isRecordingPaused()).toBe(true);
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:recording-paused', { elapsedMs: 5000 });
+    });
+
+    it('should resume into the same recorder', () => {
+      const recorder = service.mediaRecorder;
+      service.pauseRecording();
+      service.resumeRecording();
+
+      expect(service.mediaRecorder).toBe(recorder);
+      expect(recorder.state).toBe('recording');
+      expect(service.isRecordingPaused()).toBe(false);
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:recording-resumed', { elapsedMs: 0 });
+    });
+
+    it('should exclude paused time from elapsed time', () => {
+      now = 4000;
+      service.pauseRecording();
+      now = 64000;
+      expect(service.getRecordingElapsedMs()).toBe(3000);
+
+      service.resumeRecording();
+      now = 66000;
+      expect(service.getRecordingElapsedMs()).toBe(5000);
+    });
+
+    it('should report elapsed time without pauses on stop', async () => {
+      now = 2000;
+      service.togglePause();
+      now = 30000;
+      await service.stopRecording();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:recording-stopped', { elapsedMs: 1000 });
+      expect(service.isRecordingPaused()).toBe(false);
+      expect(service.getRecordingElapsedMs()).toBe(0);
+    });
+
+    it('should toggle between paused and recording', () => {
+      service.togglePause();
+      expect(service.isRecordingPaused()).toBe(true);
+
+      service.togglePause();
+      expect(service.isRecordingPaused()).toBe(false);
+    });
+
+    it('should ignore repeated pause requests', () => {
+      service.pauseRecording();
+      service.pauseRecording();
+
+      const pausedEvents = mockEventBus.publish.mock.calls.filter(([channel]) => channel === 'capture:recording-paused');
+      expect(pausedEvents).toHaveLength(1);
+    });
+
+    it('should throw when not recording', async () => {
+      await service.stopRecording();
+
+      expect(() => service.pauseRecording()).toThrow('Not recording');
+      expect(() => service.resumeRecording()).toThrow('Not recording');
+    });
+  });
+
+  describe('commentary track', () => {
+    let commentaryStream;
+    let commentary;
+
+    const stream = () => ({
+      getVideoTracks: vi.fn(() => [{ stop: vi.fn() }]),
+      getAudioTracks: vi.fn(() => [])
+    });
+
+    beforeEach(async () => {
+      commentaryStream = { id: 'mic' };
+      await service.startRecording(stream(), { commentaryStream });
+      commentary = service._commentary;
+    });
+
+    it('should record the commentary stream to its own audio file', () => {
+      expect(commentary.recorder.stream).toBe(commentaryStream);
+      expect(commentary.recorder.options).toEqual({ mimeType: 'audio/webm;codecs=opus' });
+      expect(commentary.recorder.state).toBe('recording');
+      expect(commentary.filename).toBe('recording_2024-01-01_12-00-00-commentary.webm');
+    });
+
+    it('should not record commentary without a commentary stream', async () => {
+      await service.stopRecording();
+      await service.startRecording(stream());
+
+      expect(service._commentary).toBeNull();
+    });
+
+    it('should pause and resume with the recording', () => {
+      service.pauseRecording();
+      expect(commentary.recorder.state).toBe('paused');
+
+      service.resumeRecording();
+      expect(commentary.recorder.state).toBe('recording');
+    });
+
+    it('should publish the commentary when the recording stops', async () => {
+      commentary.recorder.ondataavailable({ data: { size: 10 } });
+
+      await service.stopRecording();
+      commentary.recorder.onstop();
+
+      expect(commentary.recorder.state).toBe('inactive');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:commentary-ready', {
+        blob: expect.objectContaining({ type: 'audio/webm' }),
+        filename: 'recording_2024-01-01_12-00-00-commentary.webm'
+      });
+    });
+
+    it('should not publish empty commentary', async () => {
+      await service.stopRecording();
+      commentary.recorder.onstop();
+
+      const published = mockEventBus.publish.mock.calls.filter(([channel]) => channel === 'capture:commentary-ready');
+      expect(published).toHaveLength(0);
+    });
+
+    it('should discard the commentary when the recording fails', () => {
+      const onstop = commentary.recorder.onstop;
+      commentary.recorder.ondataavailable({ data: { size: 10 } });
+
+      service._handleRecordingError({ error: new Error('Disk full') });
+      onstop();
+
+      expect(service._commentary).toBeNull();
+      expect(commentary.recorder.state).toBe('inactive');
+      expect(commentary.recorder.onstop).toBeNull();
+      const published = mockEventBus.publish.mock.calls.filter(([channel]) => channel === 'capture:commentary-ready');
+      expect(published).toHaveLength(0);
+    });
+
+    it('should keep recording video when the commentary recorder fails', () => {
+      commentary.recorder.onerror({ error: new Error('mic lost') });
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Commentary track failed:', 'mic lost');
+      expect(service._commentary).toBeNull();
+      expect(service.isRecording).toBe(true);
+    });
+
+    it('should record video only when the commentary recorder cannot be created', async () => {
+      await service.stopRecording();
+      const OriginalRecorder = global.MediaRecorder;
+      global.MediaRecorder = class extends OriginalRecorder {
+        constructor(recordStream, options) {
+          if (options.mimeType.startsWith('audio/')) {
+            throw new Error('NotSupportedError');
+          }
+          super(recordStream, options);
+        }
+      };
+
+      await service.startRecording(stream(), { commentaryStream });
+
+      expect(service.isRecording).toBe(true);
+      expect(service._commentary).toBeNull();
+      expect(mockLogger.warn).toHaveBeenCalledWith('Commentary track not recorded:', 'NotSupportedError');
+    });
+  });
+
+  describe('raw track', () => {
+    let rawStream;
+    let raw;
+
+    const stream = () => ({
+      getVideoTracks: vi.fn(() => [{ stop: vi.fn() }]),
+      getAudioTracks: vi.fn(() => [])
+    });
+
+    const rawEvents = () => mockEventBus.publish.mock.calls
+      .filter(([channel]) => channel === 'capture:raw-track-ready')
+      .map(([, data]) => data);
+
+    beforeEach(async () => {
+      rawStream = stream();
+      await service.startRecording(stream(), {
+        rawStream,
+        quality: { codec: 'vp8', videoBitrateKbps: 800, audioBitrateKbps: 96 }
+      });
+      raw = service._rawTrack;
+    });
+
+    it('should record the raw stream with the same settings, started with the recording', () => {
+      expect(raw.recorder.stream).toBe(rawStream);
+      expect(raw.recorder.options).toEqual(service.mediaRecorder.options);
+      expect(raw.recorder.state).toBe('recording');
+      expect(raw.segment.filename).toBe('recording_2024-01-01_12-00-00-raw.webm');
+    });
+
+    it('should pause and resume with the recording', () => {
+      service.pauseRecording();
+      expect(raw.recorder.state).toBe('paused');
+
+      service.resumeRecording();
+      expect(raw.recorder.state).toBe('recording');
+    });
+
+    it('should publish the raw file when the recording stops', async () => {
+      raw.recorder.ondataavailable({ data: { size: 10 } });
+
+      await service.stopRecording();
+      await raw.recorder.onstop();
+
+      expect(service._rawTrack).toBeNull();
+      expect(rawEvents()).toEqual([{
+        blob: expect.objectContaining({ type: 'video/webm' }),
+        filename: 'recording_2024-01-01_12-00-00-raw.webm'
+      }]);
+      const recordings = mockEventBus.publish.mock.calls.filter(([channel]) => channel === 'capture:recording-ready');
+      expect(recordings).toHaveLength(0);
+    });
+
+    it('should keep recording when the raw recorder fails', () => {
+      raw.recorder.onerror({ error: new Error('device lost') });
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Raw track failed:', 'device lost');
+      expect(service._rawTrack).toBeNull();
+      expect(raw.recorder.state).toBe('inactive');
+      expect(service.isRecording).toBe(true);
+    });
+
+    it('should discard the raw track when the recording fails', () => {
+      raw.recorder.ondataavailable({ data: { size: 10 } });
+
+      service._handleRecordingError({ error: new Error('Disk full') });
+
+      expect(service._rawTrack).toBeNull();
+      expect(raw.recorder.onstop).toBeNull();
+      expect(rawEvents()).toHaveLength(0);
+    });
+
+    it('should record a single track when the raw recorder cannot be created', async () => {
+      await service.stopRecording();
+      mockMp4Recorder.create.mockResolvedValueOnce({ start: vi.fn() }).mockRejectedValueOnce(new Error('No supported MP4 codecs'));
+
+      await service.startRecording(stream(), { format: 'mp4', rawStream });
+
+      expect(service.isRecording).toBe(true);
+      expect(service._rawTrack).toBeNull();
+      expect(mockLogger.warn).toHaveBeenCalledWith('Raw track not recorded:', 'No supported MP4 codecs');
+    });
+
+    it('should attach the raw file to a reviewed recording', async () => {
+      await service.stopRecording();
+      await service.startRecording(stream(), { rawStream, review: true });
+      const recorder = service.mediaRecorder;
+      const rawRecorder = service._rawTrack.recorder;
+      recorder.ondataavailable({ data: { size: 100 } });
+      rawRecorder.ondataavailable({ data: { size: 50 } });
+
+      await service.stopRecording();
+      await rawRecorder.onstop();
+      await recorder.onstop();
+
+      const recordings = mockEventBus.publish.mock.calls
+        .filter(([channel]) => channel === 'capture:recording-ready')
+        .map(([, data]) => data);
+      expect(recordings).toEqual([expect.objectContaining({
+        review: true,
+        rawTrack: {
+          blob: expect.objectContaining({ type: 'video/webm' }),
+          filename: 'recording_2024-01-01_12-00-00-raw.webm'
+        }
+      })]);
+      expect(rawEvents()).toHaveLength(0);
+    });
+  });
+
+  describe('markers', () => {
+    let now;
+
+    const stream = () => ({
+      getVideoTracks: vi.fn(() => [{ stop: vi.fn() }]),
+      getAudioTracks: vi.fn(() => [])
+    });
+
+    const events = (channel) => mockEventBus.publish.mock.calls
+      .filter(([published]) => published === channel)
+      .map(([, data]) => data);
+
+    beforeEach(() => {
+      now = 1000;
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    it('should refuse markers when not recording', () => {
+      expect(() => service.addMarker('boss start')).toThrow('Not recording');
+      expect(events('capture:marker-added')).toEqual([]);
+    });
+
+    it('should time markers by recorded time and emit them with the recording', async () => {
+      await service.startRecording(stream());
+      const recorder = service.mediaRecorder;
+      recorder.ondataavailable({ data: { size: 100 } });
+
+      now = 3500;
+      expect(service.addMarker('  boss\nstart ')).toEqual({ timeMs: 2500, label: 'boss start' });
+      service.pauseRecording();
+      now = 60000;
+      service.addMarker();
+      service.resumeRecording();
+      now = 62000;
+      await service.stopRecording();
+      await recorder.onstop();
+
+      expect(events('capture:marker-added')).toEqual([
+        { timeMs: 2500, label: 'boss start', elapsedMs: 2500 },
+        { timeMs: 2500, label: 'Marker 2', elapsedMs: 2500 }
+      ]);
+      expect(events('capture:recording-ready')).toEqual([{
+        blob: expect.anything(),
+        filename: 'recording_2024-01-01_12-00-00.webm',
+        markers: [{ timeMs: 2500, label: 'boss start' }, { timeMs: 2500, label: 'Marker 2' }],
+        durationMs: 4500
+      }]);
+    });
+
+    it('should give the raw track the markers of its recording', async () => {
+      await service.startRecording(stream(), { rawStream: stream() });
+      const raw = service._rawTrack;
+      raw.recorder.ondataavailable({ data: { size: 10 } });
+
+      now = 2000;
+      service.addMarker('glitch');
+      now = 5000;
+      await service.stopRecording();
+      await raw.recorder.onstop();
+
+      expect(events('capture:raw-track-ready')).toEqual([expect.objectContaining({
+        markers: [{ timeMs: 1000, label: 'glitch' }],
+        durationMs: 4000
+      })]);
+    });
+
+    it('should time markers from the start of their segment', async () => {
+      vi.useFakeTimers();
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+      await service.startRecording(stream(), { maxSegmentDurationMs: 5000 });
+      const first = service.mediaRecorder;
+      first.ondataavailable({ data: { size: 100 } });
+      first.stop = vi.fn(() => first.onstop());
+
+      now = 2000;
+      service.addMarker('first');
+      now = 6000;
+      await vi.advanceTimersByTimeAsync(5000);
+      const second = service.mediaRecorder;
+      second.ondataavailable({ data: { size: 100 } });
+      now = 7000;
+      service.addMarker('second');
+      now = 8000;
+      await service.stopRecording();
+      await second.onstop();
+
+      expect(events('capture:recording-ready').map(({ markers, durationMs }) => ({ markers, durationMs }))).toEqual([
+        { markers: [{ timeMs: 1000, label: 'first' }], durationMs: 5000 },
+        { markers: [{ timeMs: 1000, label: 'second' }], durationMs: 2000 }
+      ]);
+    });
+
+    it('should number unlabeled markers per recording', async () => {
+      await service.startRecording(stream());
+      service.addMarker();
+      await service.stopRecording();
+      await service.startRecording(stream());
+
+      expect(service.addMarker('')).toEqual({ timeMs: 0, label: 'Marker 1' });
+    });
+  });
+
+  describe('recording segmentation', () => {
+    let mockStream;
+    let now;
+
+    const readyEvents = () => mockEventBus.publish.mock.calls
+      .filter(([channel]) => channel === 'capture:recording-ready')
+      .map(([, data]) => data);
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      now = 0;
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+      mockStream = {
+        getVideoTracks: vi.fn(() => [{ stop: vi.fn() }]),
+        getAudioTracks: vi.fn(() => [])
+      };
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    const advance = async (ms) => {
+      now += ms;
+      await vi.advanceTimersByTimeAsync(ms);
+    };
+
+    it('should split at the duration limit, starting the next segment before stopping the current one', async () => {
+      await service.startRecording(mockStream, { maxSegmentDurationMs: 5000 });
+      const first = service.mediaRecorder;
+      first.ondataavailable({ data: { size: 100 } });
+
+      const order = [];
+      const originalStop = first.stop.bind(first);
+      first.stop = vi.fn(() => {
+        order.push(service.mediaRecorder !== first && service.mediaRecorder.state === 'recording' ? 'next-started' : 'not-started');
+        originalStop();
+        first.onstop();
+      });
+
+      await advance(5000);
+
+      expect(service.mediaRecorder).not.toBe(first);
+      expect(order).toEqual(['next-started']);
+      expect(service.isRecording).toBe(true);
+      expect(readyEvents()).toEqual([
+        expect.objectContaining({ filename: 'recording_session-1_part1.webm', segment: { sessionId: 'session-1', index: 1 } })
+      ]);
+    });
+
+    it('should split the raw track together with the recording', async () => {
+      await service.startRecording(mockStream, { maxSegmentDurationMs: 5000, rawStream: { id: 'raw' } });
+      const firstRaw = service._rawTrack.recorder;
+      service.pauseRecording();
+      service.resumeRecording();
+
+      await advance(5000);
+
+      const nextRaw = service._rawTrack.recorder;
+      expect(nextRaw).not.toBe(firstRaw);
+      expect(firstRaw.state).toBe('inactive');
+      expect(nextRaw.state).toBe('recording');
+      expect(service._rawTrack.segment).toMatchObject({
+        filename: 'recording_session-1_part2-raw.webm',
+        index: 2
+      });
+    });
+
+    it('should split at the size limit', async () => {
+      await service.startRecording(mockStream, { maxSegmentBytes: 1000 });
+      const first = service.mediaRecorder;
+
+      first.ondataavailable({ data: { size: 600 } });
+      await advance(1000);
+      expect(service.mediaRecorder).toBe(first);
+
+      first.ondataavailable({ data: { size: 600 } });
+      await advance(1000);
+      expect(service.mediaRecorder).not.toBe(first);
+    });
+
+    it('should keep segment data separate and number the final segment', async () => {
+      await service.startRecording(mockStream, { maxSegmentDurationMs: 5000 });
+      const first = service.mediaRecorder;
+      first.ondataavailable({ data: { size: 100 } });
+
+      await advance(5000);
+      const second = service.mediaRecorder;
+      second.ondataavailable({ data: { size: 200 } });
+      first.onstop();
+
+      await service.stopRecording();
+      second.onstop();
+
+      const events = readyEvents();
+      expect(events.map(event => event.filename)).toEqual([
+        'recording_session-1_part1.webm',
+        'recording_session-1_part2.webm'
+      ]);
+      expect(events[0].blob.parts).toEqual([{ size: 100 }]);
+      expect(events[1].blob.parts).toEqual([{ size: 200 }]);
+    });
+
+    it('should not count paused time towards the duration limit', async () => {
+      await service.startRecording(mockStream, { maxSegmentDurationMs: 5000 });
+      const first = service.mediaRecorder;
+
+      await advance(2000);
+      service.pauseRecording();
+      await advance(10000);
+      service.resumeRecording();
+      await advance(2000);
+
+      expect(service.mediaRecorder).toBe(first);
+
+      await advance(1000);
+      expect(service.mediaRecorder).not.toBe(first);
+    });
+
+    it('should use the recorder byte count when it holds data until stop', async () => {
+      await service.startRecording(mockStream, { maxSegmentBytes: 1000 });
+      const first = service.mediaRecorder;
+      first.bytesWritten = 1500;
+
+      await advance(1000);
+
+      expect(service.mediaRecorder).not.toBe(first);
+    });
+
+    it('should keep recording in the current segment if the next recorder fails', async () => {
+      await service.startRecording(mockStream, { maxSegmentDurationMs: 1000 });
+      const first = service.mediaRecorder;
+      const OriginalRecorder = global.MediaRecorder;
+      global.MediaRecorder = vi.fn(() => {
+        throw new Error('Encoder unavailable');
+      });
+      global.MediaRecorder.isTypeSupported = OriginalRecorder.isTypeSupported;
+
+      await advance(1000);
+      await advance(1000);
+
+      expect(service.mediaRecorder).toBe(first);
+      expect(service.isRecording).toBe(true);
+      expect(global.MediaRecorder).toHaveBeenCalledTimes(1);
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        'Failed to split recording, continuing without segmentation:',
+        expect.any(Error)
+      );
+    });
+
+    it('should stop checking limits once recording stops', async () => {
+      await service.startRecording(mockStream, { maxSegmentDurationMs: 1000 });
+      await service.stopRecording();
+
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('should use plain recording filenames without limits', async () => {
+      await service.startRecording(mockStream);
+      service.mediaRecorder.ondataavailable({ data: { size: 100 } });
+      service.mediaRecorder.onstop();
+
+      expect(readyEvents()).toEqual([{ blob: expect.anything(), filename: 'recording_2024-01-01_12-00-00.webm' }]);
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('should name segments after the template and carry the game', async () => {
+      const { FilenameGenerator } = await import('../../../../../src/shared/utils/filename-generator.utils.js');
+      await service.startRecording(mockStream, { maxSegmentDurationMs: 1000, baseName: 'tetris-run', game: 'Tetris' });
+      service.mediaRecorder.ondataavailable({ data: { size: 100 } });
+      service.mediaRecorder.onstop();
+
+      expect(FilenameGenerator.forRecordingSegment).toHaveBeenCalledWith('session-1', 1, 'webm', 'tetris-run');
+      expect(readyEvents()[0]).toMatchObject({ game: 'Tetris' });
+    });
+  });
+
+  describe('recording spool', () => {
+    let mockStream;
+
+    const readyEvents = () => mockEventBus.publish.mock.calls
+      .filter(([channel]) => channel === 'capture:recording-ready')
+      .map(([, data]) => data);
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+      mockCaptureStorageAdapter.isSpoolAvailable.mockReturnValue(true);
+      mockStream = {
+        getVideoTracks: vi.fn(() => [{ stop: vi.fn() }]),
+        getAudioTracks: vi.fn(() => [])
+      };
+    });
+
+    it('should open a spool and write chunks in order instead of keeping them in memory', async () => {
+      await service.startRecording(mockStream);
+      const first = { size: 100 };
+      const second = { size: 200 };
+
+      service.mediaRecorder.ondataavailable({ data: first });
+      service.mediaRecorder.ondataavailable({ data: second });
+      await flush();
+
+      expect(mockCaptureStorageAdapter.openRecordingSpool).toHaveBeenCalledWith('recording_2024-01-01_12-00-00.webm', 'video/webm');
+      expect(mockCaptureStorageAdapter.appendRecordingSpool.mock.calls).toEqual([['spool-1', first], ['spool-1', second]]);
+      expect(service.recordedChunks).toHaveLength(0);
+    });
+
+    it('should open the spool with the game so main can file it', async () => {
+      await service.startRecording(mockStream, { game: 'Tetris' });
+      service.mediaRecorder.ondataavailable({ data: { size: 100 } });
+      await flush();
+
+      expect(mockCaptureStorageAdapter.openRecordingSpool).toHaveBeenCalledWith(
+        'recording_2024-01-01_12-00-00.webm',
+        'video/webm',
+        { game: 'Tetris' }
+      );
+    });
+
+    it('should publish the spool ID once every chunk is written', async () => {
+      await service.startRecording(mockStream);
+      const recorder = service.mediaRecorder;
+      recorder.ondataavailable({ data: { size: 100 } });
+
+      await service.stopRecording();
+      await recorder.onstop();
+
+      expect(readyEvents()).toEqual([{ spoolId: 'spool-1', filename: 'recording_2024-01-01_12-00-00.webm' }]);
+    });
+
+    it('should discard an empty spool', async () => {
+      await service.startRecording(mockStream);
+      const recorder = service.mediaRecorder;
+
+      await service.stopRecording();
+      await recorder.onstop();
+
+      expect(mockCaptureStorageAdapter.discardRecordingSpool).toHaveBeenCalledWith('spool-1');
+      expect(readyEvents()).toEqual([]);
+    });
+
+    it('should keep the recording in memory when the spool cannot be opened', async () => {
+      mockCaptureStorageAdapter.openRecordingSpool.mockResolvedValue({ success: false, error: 'No space' });
+      await service.startRecording(mockStream);
+      const recorder = service.mediaRecorder;
+      recorder.ondataavailable({ data: { size: 100 } });
+
+      await service.stopRecording();
+      await recorder.onstop();
+
+      expect(mockCaptureStorageAdapter.appendRecordingSpool).not.toHaveBeenCalled();
+      expect(readyEvents()).toEqual([
+        expect.objectContaining({ blob: expect.any(Blob), filename: 'recording_2024-01-01_12-00-00.webm' })
+      ]);
+    });
+
+    it('should stop the recording when a write fails and leave the spool for recovery', async () => {
+      mockCaptureStorageAdapter.appendRecordingSpool.mockResolvedValue({ success: false, error: 'Disk full' });
+      await service.startRecording(mockStream);
+      const recorder = service.mediaRecorder;
+      const stopSpy = vi.spyOn(recorder, 'stop');
+
+      recorder.ondataavailable({ data: { size: 100 } });
+      await flush();
+
+      expect(stopSpy).toHaveBeenCalled();
+      expect(service.isRecording).toBe(false);
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:recording-error', {
+        error: 'Could not write recording to disk (Disk full)',
+        name: 'Error'
+      });
+      expect(mockCaptureStorageAdapter.discardRecordingSpool).not.toHaveBeenCalled();
+    });
+
+    it('should not spool MP4 recordings', async () => {
+      mockMp4Recorder.create.mockResolvedValue({
+        state: 'inactive',
+        start: vi.fn(),
+        stop: vi.fn()
+      });
+
+      await service.startRecording(mockStream, { format: 'mp4' });
+
+      expect(mockCaptureStorageAdapter.openRecordingSpool).not.toHaveBeenCalled();
+    });
+
+    it('should give each segment of a split recording its own spool', async () => {
+      mockCaptureStorageAdapter.openRecordingSpool
+        .mockResolvedValueOnce({ success: true, id: 'spool-1' })
+        .mockResolvedValueOnce({ success: true, id: 'spool-2' });
+
+      await service.startRecording(mockStream, { maxSegmentDurationMs: 60000 });
+      const first = service.mediaRecorder;
+      first.ondataavailable({ data: { size: 100 } });
+
+      await service._splitRecording();
+      await first.onstop();
+
+      expect(mockCaptureStorageAdapter.openRecordingSpool).toHaveBeenNthCalledWith(2, 'recording_session-1_part2.webm', 'video/webm');
+      expect(readyEvents()).toEqual([{
+        spoolId: 'spool-1',
+        filename: 'recording_session-1_part1.webm',
+        segment: { sessionId: 'session-1', index: 1 }
+      }]);
+
+      service.dispose();
+    });
+  });
+
+  describe('recording review', () => {
+    const stream = () => ({
+      getVideoTracks: vi.fn(() => [{ stop: vi.fn() }]),
+      getAudioTracks: vi.fn(() => [])
+    });
+
+    const readyEvents = () => mockEventBus.publish.mock.calls
+      .filter(([channel]) => channel === 'capture:recording-ready')
+      .map(([, data]) => data);
+
+    it('should keep reviewed recordings in memory instead of spooling them', async () => {
+      mockCaptureStorageAdapter.isSpoolAvailable.mockReturnValue(true);
+      await service.startRecording(stream(), { review: true });
+      const recorder = service.mediaRecorder;
+      recorder.ondataavailable({ data: { size: 100 } });
+
+      await service.stopRecording();
+      await recorder.onstop();
+
+      expect(mockCaptureStorageAdapter.openRecordingSpool).not.toHaveBeenCalled();
+      expect(readyEvents()).toEqual([{
+        blob: expect.objectContaining({ type: 'video/webm' }),
+        filename: 'recording_2024-01-01_12-00-00.webm',
+        review: true
+      }]);
+    });
+
+    it('should attach the commentary to the reviewed recording', async () => {
+      await service.startRecording(stream(), { review: true, commentaryStream: { id: 'mic' } });
+      const recorder = service.mediaRecorder;
+      const commentary = service._commentary;
+      recorder.ondataavailable({ data: { size: 100 } });
+      commentary.recorder.ondataavailable({ data: { size: 10 } });
+
+      await service.stopRecording();
+      commentary.recorder.onstop();
+      await recorder.onstop();
+
+      expect(readyEvents()).toEqual([expect.objectContaining({
+        review: true,
+        commentary: {
+          blob: expect.objectContaining({ type: 'audio/webm' }),
+          filename: 'recording_2024-01-01_12-00-00-commentary.webm'
+        }
+      })]);
+      const published = mockEventBus.publish.mock.calls.filter(([channel]) => channel === 'capture:commentary-ready');
+      expect(published).toHaveLength(0);
+    });
+
+    it('should not review split recordings', async () => {
+      await service.startRecording(stream(), { review: true, maxSegmentDurationMs: 60000 });
+      const recorder = service.mediaRecorder;
+      recorder.ondataavailable({ data: { size: 100 } });
+
+      await service.stopRecording();
+      await recorder.onstop();
+
+      expect(readyEvents()[0].review).toBeUndefined();
+    });
+  });
+
   describe('toggleRecording', () => {
     let mockStream;
 
@@ -342,6 +1274,96 @@ describe('CaptureService', () => {
     });
   });
 
+  describe('capture metadata', () => {
+    const metadata = { presetId: 'vibrant', brightness: 1.2, gameName: 'Tetris' };
+
+    // Minimal PNG (signature, IHDR, IEND) and live WebM start (EBML header, Segment, Cluster)
+    const png = () => new Uint8Array([
+      0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+      0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52, 0, 0, 0, 160, 0, 0, 0, 144, 8, 6, 0, 0, 0, 0, 0, 0, 0,
+      0, 0, 0, 0, 0x49, 0x45, 0x4e, 0x44, 0, 0, 0, 0
+    ]);
+    const webmHeader = () => new Uint8Array([
+      0x1a, 0x45, 0xdf, 0xa3, 0x80,
+      0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff,
+      0x1f, 0x43, 0xb6, 0x75, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff
+    ]);
+
+    const readMetadata = async (blob) => readCaptureMetadata(new Uint8Array(await blob.arrayBuffer()));
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    let mockStream;
+
+    beforeEach(() => {
+      global.Blob = RealBlob;
+      mockStream = {
+        getVideoTracks: vi.fn(() => [{ stop: vi.fn() }]),
+        getAudioTracks: vi.fn(() => [])
+      };
+    });
+
+    it('should embed metadata into screenshots', async () => {
+      vi.spyOn(service, 'renderScreenshot').mockResolvedValue(new Blob([png()], { type: 'image/png' }));
+
+      const result = await service.takeScreenshot({}, { metadata });
+
+      expect(result.blob.type).toBe('image/png');
+      expect(await readMetadata(result.blob)).toEqual(metadata);
+    });
+
+    it('should keep the screenshot when it cannot be tagged', async () => {
+      const image = new Blob(['not a png'], { type: 'image/png' });
+      vi.spyOn(service, 'renderScreenshot').mockResolvedValue(image);
+
+      const result = await service.takeScreenshot({}, { metadata });
+
+      expect(result.blob).toBe(image);
+      expect(mockLogger.warn).toHaveBeenCalledWith('Could not embed capture metadata:', 'Not a PNG image');
+    });
+
+    it('should tag the first spooled WebM chunk only', async () => {
+      mockCaptureStorageAdapter.isSpoolAvailable.mockReturnValue(true);
+      await service.startRecording(mockStream, { metadata });
+      const second = new Blob([new Uint8Array([0xa3, 0x81, 0x00])]);
+
+      service.mediaRecorder.ondataavailable({ data: new Blob([webmHeader()]) });
+      service.mediaRecorder.ondataavailable({ data: second });
+      await flush();
+
+      const [[, first], [, next]] = mockCaptureStorageAdapter.appendRecordingSpool.mock.calls;
+      expect(await readMetadata(first)).toEqual(metadata);
+      expect(next).toBe(second);
+
+      service.dispose();
+    });
+
+    it('should tag WebM recordings kept in memory', async () => {
+      await service.startRecording(mockStream, { metadata });
+      const recorder = service.mediaRecorder;
+      recorder.ondataavailable({ data: new Blob([webmHeader()]) });
+
+      await service.stopRecording();
+      await recorder.onstop();
+
+      const ready = mockEventBus.publish.mock.calls.find(([channel]) => channel === 'capture:recording-ready');
+      expect(await readMetadata(ready[1].blob)).toEqual(metadata);
+    });
+
+    it('should tag saved replays', async () => {
+      global.MediaRecorder.prototype.stop = function () {
+        this.state = 'inactive';
+        this.ondataavailable?.({ data: new Blob([webmHeader()]) });
+        this.onstop?.();
+      };
+      service.startReplayBuffer(mockStream);
+
+      const result = await service.saveReplay({ metadata });
+
+      expect(await readMetadata(result.blob)).toEqual(metadata);
+      service.stopReplayBuffer();
+    });
+  });
+
   describe('_handleRecordingError', () => {
     it('should reset recording state and emit error event', () => {
       service.isRecording = true;
@@ -404,6 +1426,189 @@ describe('CaptureService', () => {
     });
   });
 
+  describe('Instant replay buffer', () => {
+    const mockStream = { getVideoTracks: vi.fn(() => []), getAudioTracks: vi.fn(() => []) };
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      mockWebmTrim.trimWebm.mockReset();
+      // Deliver buffered data and fire onstop like a real MediaRecorder
+      global.MediaRecorder.prototype.stop = function () {
+        this.state = 'inactive';
+        this.ondataavailable?.({ data: { size: 100 } });
+        this.onstop?.();
+      };
+    });
+
+    afterEach(() => {
+      service.stopReplayBuffer();
+      vi.useRealTimers();
+    });
+
+    it('should throw when no stream provided', () => {
+      expect(() => service.startReplayBuffer(null)).toThrow('No stream provided');
+    });
+
+    it('should throw when already active', () => {
+      service.startReplayBuffer(mockStream);
+
+      expect(() => service.startReplayBuffer(mockStream)).toThrow('Replay buffer already active');
+    });
+
+    it('should start a single segment recorder', () => {
+      service.startReplayBuffer(mockStream, { bufferSeconds: 30 });
+
+      expect(service.isReplayBufferActive()).toBe(true);
+      expect(service._replay.segments).toHaveLength(1);
+      expect(service._replay.segments[0].recorder.state).toBe('recording');
+    });
+
+    it('should keep at most two staggered segments', () => {
+      service.startReplayBuffer(mockStream, { bufferSeconds: 15 });
+      const first = service._replay.segments[0];
+
+      vi.advanceTimersByTime(15000);
+      expect(service._replay.segments).toHaveLength(2);
+
+      vi.advanceTimersByTime(15000);
+      expect(service._replay.segments).toHaveLength(2);
+      expect(service._replay.segments).not.toContain(first);
+      expect(first.recorder.state).toBe('inactive');
+    });
+
+    it('should clamp buffer length to supported range', () => {
+      service.startReplayBuffer(mockStream, { bufferSeconds: 5 });
+
+      vi.advanceTimersByTime(5000);
+      expect(service._replay.segments).toHaveLength(1);
+
+      vi.advanceTimersByTime(10000);
+      expect(service._replay.segments).toHaveLength(2);
+    });
+
+    it('should save oldest segment and publish replay ready', async () => {
+      service.startReplayBuffer(mockStream, { bufferSeconds: 30 });
+      vi.advanceTimersByTime(30000);
+      const newest = service._replay.segments[1];
+
+      const result = await service.saveReplay();
+
+      expect(result.filename).toBe('replay_2024-01-01_12-00-00.webm');
+      expect(result.blob.type).toBe('video/webm');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:replay-ready', result);
+      expect(service._replay.segments).toEqual([newest]);
+    });
+
+    it('should name replays after the template and carry the game', async () => {
+      const { FilenameGenerator } = await import('../../../../../src/shared/utils/filename-generator.utils.js');
+      service.startReplayBuffer(mockStream, { bufferSeconds: 30 });
+      vi.advanceTimersByTime(30000);
+
+      const result = await service.saveReplay({ baseName: 'tetris-replay', game: 'Tetris' });
+
+      expect(FilenameGenerator.forReplay).toHaveBeenCalledWith('tetris-replay');
+      expect(result.game).toBe('Tetris');
+    });
+
+    it('should trim a saved replay to the buffer length', async () => {
+      mockWebmTrim.trimWebm.mockReturnValue({ parts: ['cut'], startMs: 9500, endMs: 40000 });
+      service.startReplayBuffer(mockStream, { bufferSeconds: 30 });
+      vi.advanceTimersByTime(40000);
+
+      const result = await service.saveReplay();
+
+      expect(mockWebmTrim.trimWebm).toHaveBeenCalledWith(expect.any(Uint8Array), { startMs: 10000, endMs: Infinity });
+      expect(result.blob.parts).toEqual(['cut']);
+      expect(result.blob.type).toBe('video/webm');
+    });
+
+    it('should not trim a replay shorter than the buffer length', async () => {
+      service.startReplayBuffer(mockStream, { bufferSeconds: 30 });
+      vi.advanceTimersByTime(20000);
+
+      await service.saveReplay();
+
+      expect(mockWebmTrim.trimWebm).not.toHaveBeenCalled();
+    });
+
+    it('should save the whole segment when it cannot be trimmed', async () => {
+      mockWebmTrim.trimWebm.mockImplementation(() => {
+        throw new Error('No keyframe in the trim range');
+      });
+      service.startReplayBuffer(mockStream, { bufferSeconds: 30 });
+      vi.advanceTimersByTime(40000);
+
+      const result = await service.saveReplay();
+
+      expect(result.blob.parts).toEqual([{ size: 100 }]);
+      expect(mockLogger.warn).toHaveBeenCalledWith('Could not trim replay, saving the whole segment:', 'No keyframe in the trim range');
+    });
+
+    it('should request regular keyframes from replay recorders', () => {
+      service.startReplayBuffer(mockStream);
+
+      expect(service._replay.segments[0].recorder.options.videoKeyFrameIntervalDuration).toBe(1000);
+    });
+
+    it('should keep buffering after saving during warm-up', async () => {
+      service.startReplayBuffer(mockStream);
+
+      await service.saveReplay();
+
+      expect(service.isReplayBufferActive()).toBe(true);
+      expect(service._replay.segments).toHaveLength(1);
+      expect(service._replay.segments[0].recorder.state).toBe('recording');
+    });
+
+    it('should throw when saving without an active buffer', async () => {
+      await expect(service.saveReplay()).rejects.toThrow('Replay buffer not active');
+    });
+
+    it('should throw when no replay data was buffered', async () => {
+      global.MediaRecorder.prototype.stop = function () {
+        this.state = 'inactive';
+        this.onstop?.();
+      };
+      global.Blob = class EmptyBlob {
+        constructor(parts, options) {
+          this.type = options?.type;
+          this.size = parts.length;
+        }
+      };
+      service.startReplayBuffer(mockStream);
+
+      await expect(service.saveReplay()).rejects.toThrow('No replay data');
+    });
+
+    it('should stop recorders and clear state on stop', () => {
+      service.startReplayBuffer(mockStream);
+      const { recorder } = service._replay.segments[0];
+
+      service.stopReplayBuffer();
+
+      expect(service.isReplayBufferActive()).toBe(false);
+      expect(recorder.state).toBe('inactive');
+    });
+
+    it('should stop buffering and publish error on recorder error', () => {
+      service.startReplayBuffer(mockStream);
+      const { recorder } = service._replay.segments[0];
+
+      recorder.onerror({ error: new Error('Encoder failed') });
+
+      expect(service.isReplayBufferActive()).toBe(false);
+      expect(mockEventBus.publish).toHaveBeenCalledWith('capture:replay-error', { error: 'Encoder failed' });
+    });
+
+    it('should stop replay buffer on dispose', () => {
+      service.startReplayBuffer(mockStream);
+
+      service.dispose();
+
+      expect(service.isReplayBufferActive()).toBe(false);
+    });
+  });
+
   describe('onerror handler', () => {
     it('should set up onerror handler on MediaRecorder', async () => {
       const mockStream = { getVideoTracks: vi.fn(() => []), getAudioTracks: vi.fn(() => []) };
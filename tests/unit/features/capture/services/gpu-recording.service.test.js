@@ -8,6 +8,7 @@ import { CaptureGpuRecordingService } from '@renderer/features/capture/services/
 describe('CaptureGpuRecordingService', () => {
   let service;
   let mockGpuRendererService;
+  let mockCaptureFacecamService;
   let mockEventBus;
   let mockLogger;
 
@@ -17,6 +18,10 @@ describe('CaptureGpuRecordingService', () => {
       getTargetDimensions: vi.fn(() => ({ width: 640, height: 576 }))
     };
 
+    mockCaptureFacecamService = {
+      drawOverlay: vi.fn(() => false)
+    };
+
     mockEventBus = {
       publish: vi.fn()
     };
@@ -30,6 +35,7 @@ describe('CaptureGpuRecordingService', () => {
 
     service = new CaptureGpuRecordingService({
       gpuRendererService: mockGpuRendererService,
+      captureFacecamService: mockCaptureFacecamService,
       eventBus: mockEventBus,
       loggerFactory: { create: vi.fn(() => mockLogger) }
     });
@@ -60,6 +66,26 @@ describe('CaptureGpuRecordingService', () => {
     expect(service.isActive()).toBe(true);
   });
 
+  it('should record at a requested output size', async () => {
+    const mockCanvas = {
+      width: 0,
+      height: 0,
+      getContext: vi.fn(() => ({ imageSmoothingEnabled: true })),
+      captureStream: vi.fn(() => ({ addTrack: vi.fn(), getTracks: vi.fn(() => []) }))
+    };
+    global.document = {
+      createElement: vi.fn(() => mockCanvas)
+    };
+    global.requestAnimationFrame = vi.fn();
+
+    await service.start({ stream: { getAudioTracks: vi.fn(() => []) }, size: { width: 480, height: 432 } });
+
+    expect(mockGpuRendererService.getTargetDimensions).not.toHaveBeenCalled();
+    expect(mockCanvas.width).toBe(480);
+    expect(mockCanvas.height).toBe(432);
+    expect(service._calculateRecordingScale(640, 576).scale).toBe(0.75);
+  });
+
   it('should calculate integer upscaling for smaller frames', () => {
     service._recordingWidth = 640;
     service._recordingHeight = 576;
@@ -128,6 +154,39 @@ describe('CaptureGpuRecordingService', () => {
     expect(mockFrame.close).toHaveBeenCalled();
   });
 
+  it('should draw the webcam overlay over the letterboxed frame', async () => {
+    const mockFrame = { width: 160, height: 144, close: vi.fn() };
+    mockGpuRendererService.captureFrame.mockResolvedValue(mockFrame);
+    mockGpuRendererService.getTargetDimensions.mockReturnValue({ width: 800, height: 576 });
+
+    const mockCtx = { drawImage: vi.fn(), fillRect: vi.fn(), fillStyle: '', imageSmoothingEnabled: true };
+    const mockCanvas = {
+      width: 0,
+      height: 0,
+      getContext: vi.fn(() => mockCtx),
+      captureStream: vi.fn(() => ({ addTrack: vi.fn(), getTracks: vi.fn(() => []) }))
+    };
+
+    global.document = { createElement: vi.fn(() => mockCanvas) };
+
+    let rafCallback;
+    global.requestAnimationFrame = vi.fn((cb) => {
+      rafCallback = cb;
+      return 123;
+    });
+
+    await service.start({ stream: { getAudioTracks: vi.fn(() => []) }, frameRate: 60 });
+
+    await rafCallback();
+
+    expect(mockCaptureFacecamService.drawOverlay).toHaveBeenCalledWith(mockCtx, {
+      x: 80,
+      y: 0,
+      width: 640,
+      height: 576
+    });
+  });
+
   it('should warn after 30 dropped frames', async () => {
     mockGpuRendererService.captureFrame.mockRejectedValue(new Error('Capture failed'));
 
@@ -197,4 +256,72 @@ describe('CaptureGpuRecordingService', () => {
     expect(mockTrack.stop).toHaveBeenCalled();
     expect(service.isActive()).toBe(false);
   });
+
+  describe('shared consumers', () => {
+    let mockTrack;
+    let mockRecordingStream;
+    const mockStream = { getAudioTracks: vi.fn(() => []) };
+
+    beforeEach(() => {
+      mockTrack = { stop: vi.fn() };
+      mockRecordingStream = {
+        addTrack: vi.fn(),
+        getTracks: vi.fn(() => [mockTrack])
+      };
+      const mockCanvas = {
+        width: 0,
+        height: 0,
+        getContext: vi.fn(() => ({ imageSmoothingEnabled: true })),
+        captureStream: vi.fn(() => mockRecordingStream)
+      };
+
+      global.document = { createElement: vi.fn(() => mockCanvas) };
+      global.requestAnimationFrame = vi.fn(() => 123);
+      global.cancelAnimationFrame = vi.fn();
+    });
+
+    it('should share the rendered stream with a second consumer', async () => {
+      const recordingStream = await service.start({ stream: mockStream, consumer: 'recording' });
+      const replayStream = await service.start({ stream: mockStream, consumer: 'replay' });
+
+      expect(replayStream).toBe(recordingStream);
+      expect(global.document.createElement).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a consumer that already joined', async () => {
+      await service.start({ stream: mockStream, consumer: 'replay' });
+
+      await expect(service.start({ stream: mockStream, consumer: 'replay' })).rejects.toThrow('GPU recording already active');
+    });
+
+    it('should keep running until the last consumer stops', async () => {
+      await service.start({ stream: mockStream, consumer: 'recording' });
+      await service.start({ stream: mockStream, consumer: 'replay' });
+
+      await service.stop('recording');
+      expect(service.isActive()).toBe(true);
+      expect(mockTrack.stop).not.toHaveBeenCalled();
+
+      await service.stop('replay');
+      expect(service.isActive()).toBe(false);
+      expect(mockTrack.stop).toHaveBeenCalled();
+    });
+
+    it('should ignore release by a consumer that never joined', async () => {
+      await service.start({ stream: mockStream, consumer: 'replay' });
+
+      await service.stop('recording');
+
+      expect(service.isActive()).toBe(true);
+    });
+
+    it('should stop for every consumer when called without one', async () => {
+      await service.start({ stream: mockStream, consumer: 'recording' });
+      await service.start({ stream: mockStream, consumer: 'replay' });
+
+      await service.stop();
+
+      expect(service.isActive()).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,79 @@
+/**
+ * CaptureFacecamPreviewComponent Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureFacecamPreviewComponent } from '@renderer/features/capture/ui/capture-facecam-preview.component.js';
+
+describe('CaptureFacecamPreviewComponent', () => {
+  let component;
+  let mockLogger;
+  let video;
+
+  const layout = { position: 'top-left', sizePercent: 20, border: 'rounded' };
+
+  beforeEach(() => {
+    mockLogger = {
+      debug: vi.fn(),
+      warn: vi.fn()
+    };
+
+    // A plain element stands in for the <video>: happy-dom only accepts its own MediaStream as srcObject
+    video = document.createElement('div');
+    video.srcObject = null;
+    video.play = vi.fn().mockResolvedValue();
+    document.body.appendChild(video);
+
+    component = new CaptureFacecamPreviewComponent({ logger: mockLogger });
+    component.initialize({ facecamPreview: video });
+  });
+
+  afterEach(() => {
+    component.dispose();
+    video.remove();
+  });
+
+  it('should warn when the preview element is missing', () => {
+    const missing = new CaptureFacecamPreviewComponent({ logger: mockLogger });
+
+    missing.initialize({});
+
+    expect(mockLogger.warn).toHaveBeenCalledWith('Facecam preview element not found');
+    expect(() => missing.update({ stream: new MediaStream(), layout })).not.toThrow();
+  });
+
+  describe('update', () => {
+    it('should show the webcam with the overlay layout', () => {
+      const stream = new MediaStream();
+
+      component.update({ stream, layout });
+
+      expect(video.srcObject).toBe(stream);
+      expect(video.play).toHaveBeenCalled();
+      expect(video.dataset.position).toBe('top-left');
+      expect(video.dataset.border).toBe('rounded');
+      expect(video.style.width).toBe('20%');
+      expect(video.classList.contains('visible')).toBe(true);
+    });
+
+    it('should follow layout changes without restarting playback', () => {
+      const stream = new MediaStream();
+      component.update({ stream, layout });
+
+      component.update({ stream, layout: { position: 'bottom-right', sizePercent: 40, border: 'none' } });
+
+      expect(video.play).toHaveBeenCalledTimes(1);
+      expect(video.dataset.position).toBe('bottom-right');
+      expect(video.style.width).toBe('40%');
+    });
+
+    it('should hide and release the preview when the webcam stops', () => {
+      component.update({ stream: new MediaStream(), layout });
+
+      component.update({ stream: null, layout });
+
+      expect(video.srcObject).toBeNull();
+      expect(video.classList.contains('visible')).toBe(false);
+    });
+  });
+});
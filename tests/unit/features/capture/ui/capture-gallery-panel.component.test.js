@@ -0,0 +1,454 @@
+/**
+ * CaptureGalleryPanelComponent Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureGalleryPanelComponent } from '@renderer/features/capture/ui/capture-gallery-panel.component.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { CSSClasses } from '@shared/config/css-classes.config.js';
+
+const SHOT = {
+  name: 'shot.png',
+  filePath: '/captures/shot.png',
+  url: 'prismgb-capture://captures/shot.png?v=1',
+  type: 'image',
+  capturedAt: new Date(2026, 9, 19, 12).toISOString(),
+  gameName: 'Tetris'
+};
+
+const RECORDING = {
+  name: 'rec.webm',
+  filePath: '/captures/rec.webm',
+  url: 'prismgb-capture://captures/rec.webm?v=1',
+  type: 'video',
+  capturedAt: new Date(2026, 9, 18, 20).toISOString(),
+  gameName: null,
+  markers: [{ timeMs: 83000, label: 'boss start' }, { timeMs: 95500, label: 'glitch' }]
+};
+
+const COMMENTARY = {
+  name: 'rec-commentary.webm',
+  filePath: '/captures/rec-commentary.webm',
+  url: 'prismgb-capture://captures/rec-commentary.webm?v=1',
+  type: 'audio',
+  capturedAt: new Date(2026, 9, 18, 20).toISOString(),
+  gameName: null,
+  markers: []
+};
+
+describe('CaptureGalleryPanelComponent', () => {
+  let component;
+  let mockAdapter;
+  let mockEventBus;
+  let mockLogger;
+  let elements;
+  let subscribers;
+
+  const emit = (channel, data) => subscribers.get(channel)?.forEach(handler => handler(data));
+
+  const createElements = () => {
+    const emptyState = document.createElement('div');
+    emptyState.appendChild(document.createElement('span'));
+
+    const video = document.createElement('video');
+    video.pause = vi.fn();
+    video.load = vi.fn();
+
+    return {
+      galleryBtn: document.createElement('button'),
+      galleryPanel: document.createElement('div'),
+      galleryDateFilter: document.createElement('select'),
+      galleryGameFilter: document.createElement('select'),
+      galleryViewer: document.createElement('div'),
+      galleryViewerImage: document.createElement('img'),
+      galleryViewerVideo: video,
+      galleryViewerMarkers: document.createElement('div'),
+      galleryNameInput: document.createElement('input'),
+      galleryRevealBtn: document.createElement('button'),
+      galleryDeleteBtn: document.createElement('button'),
+      galleryGrid: document.createElement('div'),
+      galleryEmptyState: emptyState
+    };
+  };
+
+  const tiles = () => [...elements.galleryGrid.querySelectorAll('.gallery-tile')];
+
+  beforeEach(() => {
+    subscribers = new Map();
+
+    mockAdapter = {
+      listGallery: vi.fn(async () => ({ success: true, directory: '/captures', captures: [SHOT, RECORDING] })),
+      renameGalleryCapture: vi.fn(async () => ({ success: true, capture: { ...SHOT, name: 'boss.png', filePath: '/captures/boss.png' } })),
+      deleteGalleryCapture: vi.fn(async () => ({ success: true })),
+      revealGalleryCapture: vi.fn(async () => ({ success: true }))
+    };
+
+    mockEventBus = {
+      publish: vi.fn(),
+      subscribe: vi.fn((channel, handler) => {
+        if (!subscribers.has(channel)) subscribers.set(channel, []);
+        subscribers.get(channel).push(handler);
+        return vi.fn();
+      })
+    };
+
+    mockLogger = {
+      debug: vi.fn(),
+      warn: vi.fn()
+    };
+
+    elements = createElements();
+    document.body.appendChild(elements.galleryPanel);
+    elements.galleryPanel.append(elements.galleryNameInput);
+
+    component = new CaptureGalleryPanelComponent({
+      captureStorageAdapter: mockAdapter,
+      eventBus: mockEventBus,
+      logger: mockLogger
+    });
+    component.initialize(elements);
+  });
+
+  afterEach(() => {
+    component.dispose();
+    elements.galleryPanel.remove();
+    vi.useRealTimers();
+    vi.clearAllMocks();
+  });
+
+  describe('initialize', () => {
+    it('should warn if required elements are missing', () => {
+      const bare = new CaptureGalleryPanelComponent({ captureStorageAdapter: mockAdapter, eventBus: mockEventBus, logger: mockLogger });
+
+      bare.initialize({});
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Capture gallery elements not found');
+    });
+
+    it('should not load captures until the panel is opened', () => {
+      expect(mockAdapter.listGallery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('show / hide', () => {
+    it('should open from the toolbar button and load captures', async () => {
+      elements.galleryBtn.click();
+      await vi.waitFor(() => expect(tiles()).toHaveLength(2));
+
+      expect(component.isVisible).toBe(true);
+      expect(elements.galleryPanel.classList.contains(CSSClasses.VISIBLE)).toBe(true);
+      expect(elements.galleryBtn.getAttribute('aria-expanded')).toBe('true');
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.SIDE_PANEL_OPENED, { panel: 'gallery' });
+    });
+
+    it('should close when another side panel opens', () => {
+      component.show();
+
+      emit(EventChannels.UI.SIDE_PANEL_OPENED, { panel: 'notes' });
+
+      expect(component.isVisible).toBe(false);
+      expect(elements.galleryPanel.classList.contains(CSSClasses.VISIBLE)).toBe(false);
+    });
+
+    it('should close on Escape', () => {
+      component.show();
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+      expect(component.isVisible).toBe(false);
+    });
+  });
+
+  describe('thumbnails', () => {
+    beforeEach(async () => {
+      await component.refresh();
+    });
+
+    it('should render image and video thumbnails from the capture protocol', () => {
+      const [shotTile, recordingTile] = tiles();
+
+      expect(shotTile.querySelector('img').getAttribute('src')).toBe(SHOT.url);
+      expect(shotTile.title).toBe('shot.png (Tetris)');
+      expect(recordingTile.classList.contains('is-video')).toBe(true);
+      expect(recordingTile.querySelector('video').getAttribute('src')).toBe(RECORDING.url);
+      expect(elements.galleryEmptyState.hidden).toBe(true);
+    });
+
+    it('should label commentary tiles instead of loading them as video', async () => {
+      mockAdapter.listGallery.mockResolvedValueOnce({ success: true, directory: '/captures', captures: [COMMENTARY] });
+      await component.refresh();
+
+      const [commentaryTile] = tiles();
+      expect(commentaryTile.classList.contains('is-audio')).toBe(true);
+      expect(commentaryTile.classList.contains('is-video')).toBe(false);
+      expect(commentaryTile.querySelector('video')).toBeNull();
+      expect(commentaryTile.textContent).toBe('Commentary');
+    });
+
+    it('should show the empty state without captures', async () => {
+      mockAdapter.listGallery.mockResolvedValue({ success: true, captures: [] });
+
+      await component.refresh();
+
+      expect(tiles()).toHaveLength(0);
+      expect(elements.galleryEmptyState.hidden).toBe(false);
+      expect(elements.galleryEmptyState.textContent).toBe('No captures yet');
+    });
+
+    it('should keep the current list when listing fails', async () => {
+      mockAdapter.listGallery.mockResolvedValue({ success: false, error: 'EACCES' });
+
+      await component.refresh();
+
+      expect(tiles()).toHaveLength(2);
+      expect(mockLogger.warn).toHaveBeenCalledWith('Failed to list captures:', 'EACCES');
+    });
+  });
+
+  describe('filters', () => {
+    beforeEach(async () => {
+      await component.refresh();
+    });
+
+    it('should offer the capture days and games', () => {
+      expect([...elements.galleryDateFilter.options].map(option => option.value)).toEqual(['', '2026-10-19', '2026-10-18']);
+      expect([...elements.galleryGameFilter.options].map(option => option.value)).toEqual(['', 'Tetris']);
+    });
+
+    it('should filter by date', () => {
+      elements.galleryDateFilter.value = '2026-10-18';
+      elements.galleryDateFilter.dispatchEvent(new Event('change'));
+
+      expect(tiles().map(tile => tile.dataset.path)).toEqual([RECORDING.filePath]);
+    });
+
+    it('should filter by game', () => {
+      elements.galleryGameFilter.value = 'Tetris';
+      elements.galleryGameFilter.dispatchEvent(new Event('change'));
+
+      expect(tiles().map(tile => tile.dataset.path)).toEqual([SHOT.filePath]);
+    });
+
+    it('should explain when nothing matches', () => {
+      component.currentDateFilter = '2026-10-18';
+      component.currentGameFilter = 'Tetris';
+
+      component.select(null);
+
+      expect(tiles()).toHaveLength(0);
+      expect(elements.galleryEmptyState.textContent).toBe('No captures match the filters');
+    });
+
+    it('should drop a filter whose captures are gone', async () => {
+      elements.galleryGameFilter.value = 'Tetris';
+      elements.galleryGameFilter.dispatchEvent(new Event('change'));
+      mockAdapter.listGallery.mockResolvedValue({ success: true, captures: [RECORDING] });
+
+      await component.refresh();
+
+      expect(component.currentGameFilter).toBe('');
+      expect(tiles()).toHaveLength(1);
+    });
+  });
+
+  describe('viewer', () => {
+    beforeEach(async () => {
+      await component.refresh();
+    });
+
+    it('should show a screenshot when its tile is clicked', () => {
+      tiles()[0].click();
+
+      expect(component.selectedPath).toBe(SHOT.filePath);
+      expect(elements.galleryPanel.classList.contains('has-selection')).toBe(true);
+      expect(elements.galleryViewerImage.getAttribute('src')).toBe(SHOT.url);
+      expect(elements.galleryViewerVideo.hidden).toBe(true);
+      expect(elements.galleryNameInput.value).toBe('shot.png');
+      expect(tiles()[0].classList.contains('selected')).toBe(true);
+    });
+
+    it('should play recordings inline', () => {
+      tiles()[1].click();
+
+      expect(elements.galleryViewerVideo.getAttribute('src')).toBe(RECORDING.url);
+      expect(elements.galleryViewerVideo.hidden).toBe(false);
+      expect(elements.galleryViewerImage.hidden).toBe(true);
+    });
+
+    it('should play commentary inline', async () => {
+      mockAdapter.listGallery.mockResolvedValueOnce({ success: true, directory: '/captures', captures: [COMMENTARY] });
+      await component.refresh();
+
+      tiles()[0].click();
+
+      expect(elements.galleryViewerVideo.getAttribute('src')).toBe(COMMENTARY.url);
+      expect(elements.galleryViewerVideo.hidden).toBe(false);
+      expect(elements.galleryViewerImage.hidden).toBe(true);
+    });
+
+    it('should list the markers of the selected recording', () => {
+      tiles()[1].click();
+
+      const markers = [...elements.galleryViewerMarkers.querySelectorAll('.gallery-marker')];
+      expect(elements.galleryViewerMarkers.hidden).toBe(false);
+      expect(markers.map(marker => marker.textContent)).toEqual(['1:23boss start', '1:35glitch']);
+    });
+
+    it('should seek the recording to a clicked marker', () => {
+      tiles()[1].click();
+
+      elements.galleryViewerMarkers.querySelectorAll('.gallery-marker')[1].click();
+
+      expect(elements.galleryViewerVideo.currentTime).toBe(95.5);
+    });
+
+    it('should hide the marker list for captures without markers', () => {
+      tiles()[1].click();
+      tiles()[0].click();
+
+      expect(elements.galleryViewerMarkers.hidden).toBe(true);
+      expect(elements.galleryViewerMarkers.children).toHaveLength(0);
+    });
+
+    it('should stop playback when the panel hides', () => {
+      component.show();
+      component.select(RECORDING.filePath);
+
+      component.hide();
+
+      expect(elements.galleryViewerVideo.pause).toHaveBeenCalled();
+      expect(elements.galleryViewerVideo.hasAttribute('src')).toBe(false);
+    });
+
+    it('should clear the viewer when the selected capture is gone', async () => {
+      component.select(SHOT.filePath);
+      mockAdapter.listGallery.mockResolvedValue({ success: true, captures: [RECORDING] });
+
+      await component.refresh();
+
+      expect(component.selectedPath).toBeNull();
+      expect(elements.galleryPanel.classList.contains('has-selection')).toBe(false);
+    });
+  });
+
+  describe('managing captures', () => {
+    beforeEach(async () => {
+      await component.refresh();
+      component.select(SHOT.filePath);
+    });
+
+    it('should rename the selected capture', async () => {
+      mockAdapter.listGallery.mockResolvedValue({
+        success: true,
+        captures: [{ ...SHOT, name: 'boss.png', filePath: '/captures/boss.png' }, RECORDING]
+      });
+      elements.galleryNameInput.value = 'boss';
+
+      elements.galleryNameInput.dispatchEvent(new Event('change'));
+      await vi.waitFor(() => expect(component.selectedPath).toBe('/captures/boss.png'));
+
+      expect(mockAdapter.renameGalleryCapture).toHaveBeenCalledWith(SHOT.filePath, 'boss');
+      expect(elements.galleryNameInput.value).toBe('boss.png');
+    });
+
+    it('should report a failed rename and restore the name', async () => {
+      mockAdapter.renameGalleryCapture.mockResolvedValue({ success: false, error: 'A capture with that name already exists' });
+      elements.galleryNameInput.value = 'rec';
+
+      elements.galleryNameInput.dispatchEvent(new Event('change'));
+      await vi.waitFor(() => expect(elements.galleryNameInput.value).toBe('shot.png'));
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.STATUS_MESSAGE, {
+        message: 'Rename failed: A capture with that name already exists',
+        type: 'error'
+      });
+    });
+
+    it('should ignore an unchanged name', async () => {
+      elements.galleryNameInput.value = 'shot.png';
+
+      elements.galleryNameInput.dispatchEvent(new Event('change'));
+
+      expect(mockAdapter.renameGalleryCapture).not.toHaveBeenCalled();
+    });
+
+    it('should move the selected capture to the trash', async () => {
+      mockAdapter.listGallery.mockResolvedValue({ success: true, captures: [RECORDING] });
+
+      elements.galleryDeleteBtn.click();
+      await vi.waitFor(() => expect(tiles()).toHaveLength(1));
+
+      expect(mockAdapter.deleteGalleryCapture).toHaveBeenCalledWith(SHOT.filePath);
+      expect(component.selectedPath).toBeNull();
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.STATUS_MESSAGE, { message: 'Moved shot.png to trash' });
+    });
+
+    it('should reveal the selected capture', async () => {
+      elements.galleryRevealBtn.click();
+
+      await vi.waitFor(() => expect(mockAdapter.revealGalleryCapture).toHaveBeenCalledWith(SHOT.filePath));
+    });
+  });
+
+  describe('live refresh', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    it('should refresh once after a burst of capture events while open', async () => {
+      component.show();
+      await vi.advanceTimersByTimeAsync(0);
+      mockAdapter.listGallery.mockClear();
+
+      emit(EventChannels.CAPTURE.SCREENSHOT_READY, {});
+      emit(EventChannels.CAPTURE.SAVED, { kind: 'screenshot' });
+      await vi.advanceTimersByTimeAsync(300);
+
+      expect(mockAdapter.listGallery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refresh on recordings too', async () => {
+      component.show();
+      await vi.advanceTimersByTimeAsync(0);
+      mockAdapter.listGallery.mockClear();
+
+      emit(EventChannels.CAPTURE.RECORDING_READY, {});
+      await vi.advanceTimersByTimeAsync(300);
+
+      expect(mockAdapter.listGallery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait until shown while hidden', async () => {
+      emit(EventChannels.CAPTURE.SCREENSHOT_READY, {});
+      await vi.advanceTimersByTimeAsync(300);
+
+      expect(mockAdapter.listGallery).not.toHaveBeenCalled();
+    });
+
+    it('should ignore a refresh that was overtaken by a newer one', async () => {
+      let resolveFirst;
+      mockAdapter.listGallery
+        .mockImplementationOnce(() => new Promise(resolve => { resolveFirst = resolve; }))
+        .mockResolvedValueOnce({ success: true, captures: [RECORDING] });
+
+      const first = component.refresh();
+      await component.refresh();
+      resolveFirst({ success: true, captures: [SHOT, RECORDING] });
+      await first;
+
+      expect(tiles()).toHaveLength(1);
+    });
+  });
+
+  describe('dispose', () => {
+    it('should unsubscribe and remove listeners', () => {
+      const unsubscribers = mockEventBus.subscribe.mock.results.map(result => result.value);
+
+      component.dispose();
+      elements.galleryBtn.click();
+
+      unsubscribers.forEach(unsubscribe => expect(unsubscribe).toHaveBeenCalled());
+      expect(mockAdapter.listGallery).not.toHaveBeenCalled();
+    });
+  });
+});
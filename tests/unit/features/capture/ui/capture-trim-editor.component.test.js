@@ -0,0 +1,262 @@
+/**
+ * CaptureTrimEditorComponent Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureTrimEditorComponent } from '@renderer/features/capture/ui/capture-trim-editor.component.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+
+describe('CaptureTrimEditorComponent', () => {
+  let component;
+  let mockEventBus;
+  let mockLogger;
+  let elements;
+  let video;
+
+  const review = (id = 1) => ({ id, blob: new Blob(['take'], { type: 'video/webm' }), filename: `take-${id}.webm` });
+
+  const loadMetadata = (durationSeconds) => {
+    video.duration = durationSeconds;
+    video.dispatchEvent(new Event('loadedmetadata'));
+  };
+
+  const finished = () => mockEventBus.publish.mock.calls
+    .filter(([channel]) => channel === EventChannels.UI.RECORDING_REVIEW_FINISHED)
+    .map(([, data]) => data);
+
+  beforeEach(() => {
+    mockEventBus = { publish: vi.fn() };
+    mockLogger = { debug: vi.fn(), warn: vi.fn() };
+
+    vi.spyOn(URL, 'createObjectURL').mockImplementation(() => 'blob:take');
+    vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+    // A plain element stands in for the <video> so duration and playback can be driven
+    video = document.createElement('div');
+    Object.assign(video, {
+      duration: NaN,
+      currentTime: 0,
+      paused: true,
+      play: vi.fn(() => Promise.resolve()),
+      pause: vi.fn()
+    });
+
+    const range = () => {
+      const input = document.createElement('input');
+      input.type = 'range';
+      return input;
+    };
+
+    elements = {
+      trimEditor: document.createElement('div'),
+      trimEditorFilename: document.createElement('span'),
+      trimEditorVideo: video,
+      trimEditorThumbnails: document.createElement('div'),
+      trimEditorMarkers: document.createElement('div'),
+      trimEditorSelection: document.createElement('div'),
+      trimEditorPlayhead: document.createElement('div'),
+      trimEditorIn: range(),
+      trimEditorOut: range(),
+      trimEditorInTime: document.createElement('span'),
+      trimEditorOutTime: document.createElement('span'),
+      trimEditorLength: document.createElement('span'),
+      trimEditorSetInBtn: document.createElement('button'),
+      trimEditorSetOutBtn: document.createElement('button'),
+      trimEditorPlayBtn: document.createElement('button'),
+      trimEditorDiscardBtn: document.createElement('button'),
+      trimEditorSaveBtn: document.createElement('button')
+    };
+
+    component = new CaptureTrimEditorComponent({ eventBus: mockEventBus, logger: mockLogger });
+    vi.spyOn(component, '_generateThumbnails').mockResolvedValue();
+    component.initialize(elements);
+  });
+
+  afterEach(() => {
+    component.dispose();
+    vi.restoreAllMocks();
+  });
+
+  it('should save the recording as is when the editor elements are missing', () => {
+    const missing = new CaptureTrimEditorComponent({ eventBus: mockEventBus, logger: mockLogger });
+    missing.initialize({});
+
+    missing.open(review());
+
+    expect(mockLogger.warn).toHaveBeenCalledWith('Trim editor elements not found');
+    expect(finished()).toEqual([{ id: 1, action: 'save' }]);
+  });
+
+  describe('open', () => {
+    it('should show the recording in the modal', () => {
+      component.open(review());
+
+      expect(component.isOpen()).toBe(true);
+      expect(video.src).toBe('blob:take');
+      expect(elements.trimEditorFilename.textContent).toBe('take-1.webm');
+      expect(elements.trimEditor.classList.contains('visible')).toBe(true);
+      expect(elements.trimEditor.getAttribute('aria-hidden')).toBe('false');
+    });
+
+    it('should select the whole recording once the duration is known', () => {
+      component.open(review());
+      loadMetadata(12.5);
+
+      expect(component.inMs).toBe(0);
+      expect(component.outMs).toBe(12500);
+      expect(elements.trimEditorOut.disabled).toBe(false);
+      expect(elements.trimEditorOutTime.textContent).toBe('0:12.5');
+      expect(component._generateThumbnails).toHaveBeenCalled();
+    });
+
+    it('should seek to the end to find the duration of live WebM files', () => {
+      component.open(review());
+      loadMetadata(Infinity);
+
+      expect(video.currentTime).toBe(Number.MAX_SAFE_INTEGER);
+
+      video.duration = 8;
+      video.dispatchEvent(new Event('durationchange'));
+
+      expect(video.currentTime).toBe(0);
+      expect(component.outMs).toBe(8000);
+    });
+  });
+
+  describe('in and out points', () => {
+    beforeEach(() => {
+      component.open(review());
+      loadMetadata(10);
+    });
+
+    it('should set the range from the playhead', () => {
+      video.currentTime = 2;
+      elements.trimEditorSetInBtn.click();
+      video.currentTime = 6.5;
+      elements.trimEditorSetOutBtn.click();
+
+      expect(component.inMs).toBe(2000);
+      expect(component.outMs).toBe(6500);
+      expect(elements.trimEditorSelection.style.left).toBe('20%');
+      expect(elements.trimEditorSelection.style.width).toBe('45%');
+      expect(elements.trimEditorLength.textContent).toBe('0:04.5 of 0:10.0');
+    });
+
+    it('should keep the range at least the minimum length', () => {
+      component.setOut(3000);
+      component.setIn(2900);
+
+      expect(component.inMs).toBe(2500);
+    });
+
+    it('should follow the handles', () => {
+      elements.trimEditorIn.value = '1000';
+      elements.trimEditorIn.dispatchEvent(new Event('input'));
+
+      expect(component.inMs).toBe(1000);
+      expect(video.currentTime).toBe(1);
+    });
+
+    it('should stop playback at the out point', () => {
+      component.setOut(4000);
+      video.paused = false;
+      video.currentTime = 4.1;
+
+      video.dispatchEvent(new Event('timeupdate'));
+
+      expect(video.pause).toHaveBeenCalled();
+    });
+
+    it('should play from the in point when the playhead is outside the range', () => {
+      component.setIn(3000);
+      video.currentTime = 1;
+
+      elements.trimEditorPlayBtn.click();
+
+      expect(video.currentTime).toBe(3);
+      expect(video.play).toHaveBeenCalled();
+    });
+  });
+
+  describe('markers', () => {
+    const marked = () => ({
+      ...review(),
+      markers: [{ timeMs: 2500, label: 'boss start' }, { timeMs: 7500, label: 'glitch' }]
+    });
+
+    it('should place a tick for each marker once the duration is known', () => {
+      component.open(marked());
+
+      expect(elements.trimEditorMarkers.children).toHaveLength(0);
+
+      loadMetadata(10);
+      const ticks = [...elements.trimEditorMarkers.children];
+
+      expect(ticks.map(tick => tick.style.left)).toEqual(['25%', '75%']);
+      expect(ticks[0].title).toBe('0:02.5 boss start');
+    });
+
+    it('should seek to a marker when its tick is clicked', () => {
+      component.open(marked());
+      loadMetadata(10);
+
+      elements.trimEditorMarkers.children[1].click();
+
+      expect(video.currentTime).toBe(7.5);
+    });
+
+    it('should clear the ticks when the review closes', () => {
+      component.open(marked());
+      loadMetadata(10);
+
+      component.discard();
+
+      expect(elements.trimEditorMarkers.children).toHaveLength(0);
+    });
+  });
+
+  describe('save and discard', () => {
+    it('should save the whole recording without a range when untouched', () => {
+      component.open(review());
+      loadMetadata(10);
+
+      elements.trimEditorSaveBtn.click();
+
+      expect(finished()).toEqual([{ id: 1, action: 'save' }]);
+      expect(component.isOpen()).toBe(false);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:take');
+    });
+
+    it('should save the selected range', () => {
+      component.open(review());
+      loadMetadata(10);
+      component.setIn(1500);
+      component.setOut(7000);
+
+      component.save();
+
+      expect(finished()).toEqual([{ id: 1, action: 'save', startMs: 1500, endMs: 7000 }]);
+    });
+
+    it('should discard the recording', () => {
+      component.open(review());
+
+      elements.trimEditorDiscardBtn.click();
+
+      expect(finished()).toEqual([{ id: 1, action: 'discard' }]);
+      expect(elements.trimEditor.classList.contains('visible')).toBe(false);
+    });
+
+    it('should show queued recordings one after another', () => {
+      component.open(review(1));
+      component.open(review(2));
+
+      expect(elements.trimEditorFilename.textContent).toBe('take-1.webm');
+
+      component.discard();
+
+      expect(component.isOpen()).toBe(true);
+      expect(elements.trimEditorFilename.textContent).toBe('take-2.webm');
+    });
+  });
+});
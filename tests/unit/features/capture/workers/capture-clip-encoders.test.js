@@ -0,0 +1,332 @@
+/**
+ * Clip Encoder Utilities Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { inflateSync } from 'zlib';
+import {
+  buildHistogram,
+  buildPalette,
+  indexFrame,
+  toRgb555
+} from '@renderer/features/capture/workers/capture-clip-palette.utils.js';
+import {
+  collapseFrames,
+  cropAndScale,
+  getChangedRect
+} from '@renderer/features/capture/workers/capture-clip-frames.utils.js';
+import { encodeGif } from '@renderer/features/capture/workers/capture-clip-gif.utils.js';
+import { encodeApng } from '@renderer/features/capture/workers/capture-clip-apng.utils.js';
+
+/**
+ * Build an RGBA frame from [r, g, b] pixels
+ */
+function rgbaFrame(pixels) {
+  const rgba = new Uint8Array(pixels.length * 4);
+  pixels.forEach(([r, g, b], i) => {
+    rgba.set([r, g, b, 255], i * 4);
+  });
+  return rgba;
+}
+
+/**
+ * Minimal GIF LZW decoder for round-trip checks
+ */
+function decodeLzw(data, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let dictionary;
+  let codeSize;
+  let previous = null;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let position = 0;
+
+  const reset = () => {
+    dictionary = [];
+    for (let i = 0; i < clearCode; i++) dictionary[i] = [i];
+    dictionary[clearCode] = [];
+    dictionary[endCode] = [];
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  for (;;) {
+    while (bitCount < codeSize) {
+      bitBuffer |= data[position++] << bitCount;
+      bitCount += 8;
+    }
+    const code = bitBuffer & ((1 << codeSize) - 1);
+    bitBuffer >>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+
+    let entry;
+    if (code < dictionary.length) {
+      entry = dictionary[code];
+      if (previous) dictionary.push([...previous, entry[0]]);
+    } else {
+      entry = [...previous, previous[0]];
+      dictionary.push(entry);
+    }
+
+    output.push(...entry);
+    previous = entry;
+    if (dictionary.length === (1 << codeSize) && codeSize < 12) codeSize++;
+  }
+
+  return output;
+}
+
+/**
+ * Parse a GIF into its global palette and frame records
+ */
+function parseGif(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const header = String.fromCharCode(...bytes.subarray(0, 6));
+  const width = view.getUint16(6, true);
+  const height = view.getUint16(8, true);
+  const tableSize = 1 << ((bytes[10] & 0x07) + 1);
+  let position = 13 + tableSize * 3;
+  const frames = [];
+  let delayCs = 0;
+  let loops = false;
+
+  const readSubBlocks = () => {
+    const chunks = [];
+    while (bytes[position] !== 0) {
+      const length = bytes[position];
+      chunks.push(...bytes.subarray(position + 1, position + 1 + length));
+      position += length + 1;
+    }
+    position++;
+    return Uint8Array.from(chunks);
+  };
+
+  while (bytes[position] !== 0x3b) {
+    if (bytes[position] === 0x21) {
+      const label = bytes[position + 1];
+      if (label === 0xf9) delayCs = view.getUint16(position + 4, true);
+      if (label === 0xff) loops = String.fromCharCode(...bytes.subarray(position + 3, position + 14)) === 'NETSCAPE2.0';
+      position += 2;
+      readSubBlocks();
+    } else if (bytes[position] === 0x2c) {
+      const rect = {
+        x: view.getUint16(position + 1, true),
+        y: view.getUint16(position + 3, true),
+        width: view.getUint16(position + 5, true),
+        height: view.getUint16(position + 7, true)
+      };
+      const minCodeSize = bytes[position + 10];
+      position += 11;
+      frames.push({ rect, delayCs, indices: decodeLzw(readSubBlocks(), minCodeSize) });
+    } else {
+      throw new Error(`Unexpected block 0x${bytes[position].toString(16)}`);
+    }
+  }
+
+  return { header, width, height, tableSize, loops, frames };
+}
+
+/**
+ * Split a PNG into chunks, verifying each CRC
+ */
+function parsePngChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let position = 8;
+
+  while (position < bytes.length) {
+    const length = view.getUint32(position);
+    const type = String.fromCharCode(...bytes.subarray(position + 4, position + 8));
+    const data = bytes.subarray(position + 8, position + 8 + length);
+    chunks.push({ type, data, crcValid: view.getUint32(position + 8 + length) === crc32(bytes.subarray(position + 4, position + 8 + length)) });
+    position += length + 12;
+  }
+
+  return chunks;
+}
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+describe('Clip palette', () => {
+  it('should build an exact palette for GBC colors', () => {
+    const frame = rgbaFrame([[255, 255, 255], [0, 0, 0], [248, 0, 0], [255, 255, 255]]);
+
+    const palette = buildPalette(buildHistogram([frame]));
+
+    expect(palette.exact).toBe(true);
+    expect(palette.size).toBe(3);
+    const indices = indexFrame(frame, palette.lookup);
+    expect(indices[0]).toBe(indices[3]);
+    expect(Array.from(palette.colors.subarray(indices[0] * 3, indices[0] * 3 + 3))).toEqual([255, 255, 255]);
+    expect(Array.from(palette.colors.subarray(indices[2] * 3, indices[2] * 3 + 3))).toEqual([255, 0, 0]);
+  });
+
+  it('should merge capture noise within the same RGB555 color', () => {
+    const frame = rgbaFrame([[200, 100, 50], [203, 102, 53], [207, 103, 55]]);
+
+    const palette = buildPalette(buildHistogram([frame]));
+
+    expect(toRgb555(200, 100, 50)).toBe(toRgb555(207, 103, 55));
+    expect(palette.size).toBe(1);
+  });
+
+  it('should reduce large color sets with median cut', () => {
+    const pixels = [];
+    for (let i = 0; i < 1024; i++) {
+      pixels.push([(i & 31) << 3, ((i >> 5) & 31) << 3, (i & 7) << 5]);
+    }
+    const frame = rgbaFrame(pixels);
+
+    const palette = buildPalette(buildHistogram([frame]), 16);
+    const indices = indexFrame(frame, palette.lookup);
+
+    expect(palette.exact).toBe(false);
+    expect(palette.size).toBeLessThanOrEqual(16);
+    expect(Math.max(...indices)).toBeLessThan(palette.size);
+  });
+});
+
+describe('Clip frames', () => {
+  it('should find the changed region between frames', () => {
+    const previous = Uint8Array.from([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    const current = Uint8Array.from([0, 0, 0, 0, 1, 1, 0, 0, 0]);
+
+    expect(getChangedRect(previous, current, 3, 3)).toEqual({ x: 1, y: 1, width: 2, height: 1 });
+    expect(getChangedRect(previous, previous, 3, 3)).toBeNull();
+  });
+
+  it('should merge identical frames into one longer frame', () => {
+    const a = Uint8Array.from([0, 1]);
+    const b = Uint8Array.from([1, 1]);
+
+    const collapsed = collapseFrames([
+      { indices: a, delayMs: 33 },
+      { indices: a, delayMs: 33 },
+      { indices: b, delayMs: 34 }
+    ], 2, 1);
+
+    expect(collapsed).toHaveLength(2);
+    expect(collapsed[0]).toMatchObject({ delayMs: 66, rect: { x: 0, y: 0, width: 2, height: 1 } });
+    expect(collapsed[1]).toMatchObject({ delayMs: 34, rect: { x: 0, y: 0, width: 1, height: 1 } });
+  });
+
+  it('should upscale regions with nearest neighbor', () => {
+    const indices = Uint8Array.from([1, 2, 3, 4]);
+
+    const scaled = cropAndScale(indices, 2, { x: 0, y: 0, width: 2, height: 2 }, 2);
+
+    expect(Array.from(scaled)).toEqual([
+      1, 1, 2, 2,
+      1, 1, 2, 2,
+      3, 3, 4, 4,
+      3, 3, 4, 4
+    ]);
+    expect(Array.from(cropAndScale(indices, 2, { x: 1, y: 1, width: 1, height: 1 }, 1))).toEqual([4]);
+  });
+});
+
+describe('encodeGif', () => {
+  const palette = Uint8Array.from([0, 0, 0, 255, 255, 255, 255, 0, 0]);
+
+  it('should write a looping GIF89a at the requested scale', () => {
+    const frames = [
+      { indices: Uint8Array.from([0, 1, 2, 0]), delayMs: 100 },
+      { indices: Uint8Array.from([0, 1, 2, 1]), delayMs: 50 }
+    ];
+
+    const gif = parseGif(encodeGif({ width: 2, height: 2, palette, paletteSize: 3, frames, scale: 2 }));
+
+    expect(gif.header).toBe('GIF89a');
+    expect(gif.width).toBe(4);
+    expect(gif.height).toBe(4);
+    expect(gif.tableSize).toBe(4);
+    expect(gif.loops).toBe(true);
+    expect(gif.frames).toHaveLength(2);
+    expect(gif.frames[0]).toMatchObject({ delayCs: 10, rect: { x: 0, y: 0, width: 4, height: 4 } });
+    expect(gif.frames[0].indices).toEqual([0, 0, 1, 1, 0, 0, 1, 1, 2, 2, 0, 0, 2, 2, 0, 0]);
+    expect(gif.frames[1]).toMatchObject({ delayCs: 5, rect: { x: 2, y: 2, width: 2, height: 2 } });
+    expect(gif.frames[1].indices).toEqual([1, 1, 1, 1]);
+  });
+
+  it('should round-trip images that overflow the LZW dictionary', () => {
+    const width = 160;
+    const height = 144;
+    const indices = new Uint8Array(width * height);
+    let seed = 1;
+    for (let i = 0; i < indices.length; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      indices[i] = seed % 200;
+    }
+    const bigPalette = new Uint8Array(200 * 3);
+
+    const gif = parseGif(encodeGif({ width, height, palette: bigPalette, paletteSize: 200, frames: [{ indices, delayMs: 40 }] }));
+
+    expect(gif.tableSize).toBe(256);
+    expect(gif.frames[0].indices).toEqual(Array.from(indices));
+  });
+
+  it('should throw without frames', () => {
+    expect(() => encodeGif({ width: 1, height: 1, palette, paletteSize: 3, frames: [] })).toThrow('No frames to encode');
+  });
+});
+
+describe('encodeApng', () => {
+  const palette = Uint8Array.from([0, 0, 0, 255, 255, 255]);
+
+  it('should write an indexed APNG with valid chunks', async () => {
+    const frames = [
+      { indices: Uint8Array.from([0, 1, 1, 0]), delayMs: 100 },
+      { indices: Uint8Array.from([1, 1, 1, 0]), delayMs: 33 }
+    ];
+
+    const bytes = await encodeApng({ width: 2, height: 2, palette, paletteSize: 2, frames, scale: 2 });
+    const chunks = parsePngChunks(bytes);
+
+    expect(Array.from(bytes.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'acTL', 'PLTE', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'IEND']);
+    expect(chunks.every(chunk => chunk.crcValid)).toBe(true);
+
+    const ihdr = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+    expect(ihdr.getUint32(0)).toBe(4);
+    expect(ihdr.getUint32(4)).toBe(4);
+    expect(chunks[0].data[9]).toBe(3);
+
+    const actl = new DataView(chunks[1].data.buffer, chunks[1].data.byteOffset);
+    expect(actl.getUint32(0)).toBe(2);
+    expect(actl.getUint32(4)).toBe(0);
+
+    expect(Array.from(inflateSync(chunks[4].data))).toEqual([
+      0, 0, 0, 1, 1,
+      0, 0, 0, 1, 1,
+      0, 1, 1, 0, 0,
+      0, 1, 1, 0, 0
+    ]);
+
+    const secondControl = new DataView(chunks[5].data.buffer, chunks[5].data.byteOffset);
+    expect(secondControl.getUint32(0)).toBe(1);
+    expect(secondControl.getUint32(4)).toBe(2);
+    expect(secondControl.getUint32(8)).toBe(2);
+    expect(secondControl.getUint16(20)).toBe(33);
+    expect(secondControl.getUint16(22)).toBe(1000);
+
+    const frameData = chunks[6].data;
+    expect(new DataView(frameData.buffer, frameData.byteOffset).getUint32(0)).toBe(2);
+    expect(Array.from(inflateSync(frameData.subarray(4)))).toEqual([0, 1, 1, 0, 1, 1]);
+  });
+});
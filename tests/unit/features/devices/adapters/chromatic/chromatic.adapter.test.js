@@ -223,6 +223,12 @@ describe('DeviceChromaticAdapter', () => {
       expect(capabilities.nativeResolution.height).toBeDefined();
     });
 
+    it('should include the device profile ID', async () => {
+      const capabilities = await adapter.getCapabilities();
+
+      expect(capabilities.profileId).toBe('chromatic-mod-retro');
+    });
+
     it('should include canvas resolution', async () => {
       const capabilities = await adapter.getCapabilities();
 
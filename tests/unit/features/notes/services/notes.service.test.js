@@ -470,6 +470,36 @@ describe('NotesService', () => {
     });
   });
 
+  describe('active game', () => {
+    it('should start with no active game', () => {
+      expect(service.getActiveGame()).toBe('');
+    });
+
+    it('should store the trimmed game name and publish the change', () => {
+      service.setActiveGame('  Tetris ');
+
+      expect(service.getActiveGame()).toBe('Tetris');
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.NOTES.ACTIVE_GAME_CHANGED, { gameName: 'Tetris' });
+    });
+
+    it('should not publish when the game is unchanged', () => {
+      service.setActiveGame('Tetris');
+      mockEventBus.publish.mockClear();
+
+      service.setActiveGame('Tetris');
+
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should treat non-strings as no game', () => {
+      service.setActiveGame('Tetris');
+
+      service.setActiveGame(null);
+
+      expect(service.getActiveGame()).toBe('');
+    });
+  });
+
   describe('_invalidateCache', () => {
     it('should clear cache', () => {
       service._notesCache = [{ id: 'note_1' }];
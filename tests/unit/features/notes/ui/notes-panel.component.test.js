@@ -24,7 +24,8 @@ describe('NotesPanelComponent', () => {
       deleteNote: vi.fn(),
       searchNotes: vi.fn(() => []),
       getUniqueGames: vi.fn(() => []),
-      getNotesGroupedByGame: vi.fn(() => ({}))
+      getNotesGroupedByGame: vi.fn(() => ({})),
+      setActiveGame: vi.fn()
     };
 
     // Mock event bus
@@ -58,6 +59,7 @@ describe('NotesPanelComponent', () => {
       notesTitleInput: document.createElement('input'),
       notesContentArea: document.createElement('textarea'),
       notesNewBtn: document.createElement('button'),
+      notesMarkerBtn: document.createElement('button'),
       notesDeleteBtn: document.createElement('button')
     };
 
@@ -183,6 +185,24 @@ describe('NotesPanelComponent', () => {
 
       expect(() => component.show()).not.toThrow();
     });
+
+    it('should announce itself so other side panels close', () => {
+      component.show();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.SIDE_PANEL_OPENED, { panel: 'notes' });
+    });
+
+    it('should close when another side panel opens', () => {
+      const sidePanelHandler = mockEventBus.subscribe.mock.calls
+        .find(([channel]) => channel === EventChannels.UI.SIDE_PANEL_OPENED)[1];
+      component.show();
+
+      sidePanelHandler({ panel: 'notes' });
+      expect(component.isVisible).toBe(true);
+
+      sidePanelHandler({ panel: 'gallery' });
+      expect(component.isVisible).toBe(false);
+    });
   });
 
   describe('hide', () => {
@@ -304,6 +324,15 @@ describe('NotesPanelComponent', () => {
       expect(mockNotesService.deleteNote).toHaveBeenCalledWith('note_1');
     });
 
+    it('should clear the active game after deletion', () => {
+      mockNotesService.deleteNote.mockReturnValue(true);
+      mockNotesService.getAllNotes.mockReturnValue([]);
+
+      component._deleteCurrentNote();
+
+      expect(mockNotesService.setActiveGame).toHaveBeenCalledWith('');
+    });
+
     it('should clear current note id after deletion', () => {
       mockNotesService.deleteNote.mockReturnValue(true);
       mockNotesService.getAllNotes.mockReturnValue([]);
@@ -415,6 +444,15 @@ describe('NotesPanelComponent', () => {
       expect(mockElements.notesDeleteBtn.hasAttribute('disabled')).toBe(false);
     });
 
+    it('should make the note\'s game the active game', () => {
+      const note = { id: 'note_1', title: 'Test', content: '', gameName: 'Tetris' };
+      mockNotesService.getNote.mockReturnValue(note);
+
+      component._selectNote('note_1');
+
+      expect(mockNotesService.setActiveGame).toHaveBeenCalledWith('Tetris');
+    });
+
     it('should not select if note not found', () => {
       mockNotesService.getNote.mockReturnValue(null);
 
@@ -773,6 +811,44 @@ describe('NotesPanelComponent', () => {
     });
   });
 
+  describe('Marker button', () => {
+    const setRecording = (active) => {
+      const handler = mockEventBus.subscribe.mock.calls
+        .find(([channel]) => channel === EventChannels.UI.RECORDING_STATE)[1];
+      handler({ active });
+    };
+
+    beforeEach(() => {
+      component.initialize(mockElements);
+    });
+
+    it('should only be enabled while recording', () => {
+      setRecording(true);
+      expect(mockElements.notesMarkerBtn.disabled).toBe(false);
+
+      setRecording(false);
+      expect(mockElements.notesMarkerBtn.disabled).toBe(true);
+    });
+
+    it('should request a marker labeled with the selected note text', () => {
+      mockElements.notesContentArea.value = 'Rival battle: lost to Gary';
+      mockElements.notesContentArea.setSelectionRange(0, 13);
+
+      mockElements.notesMarkerBtn.click();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.RECORDING_MARKER_REQUESTED, { label: 'Rival battle:' });
+    });
+
+    it('should request an unlabeled marker without a selection', () => {
+      mockElements.notesContentArea.value = 'Rival battle';
+      mockElements.notesContentArea.setSelectionRange(4, 4);
+
+      mockElements.notesMarkerBtn.click();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.RECORDING_MARKER_REQUESTED, {});
+    });
+  });
+
   describe('Delete button hold-to-delete', () => {
     beforeEach(() => {
       vi.useFakeTimers();
@@ -0,0 +1,191 @@
+/**
+ * RenderPresetFileService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import path from 'path';
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn((name) => (name === 'userData' ? '/userData' : '/documents'))
+  },
+  dialog: {
+    showOpenDialog: vi.fn(),
+    showSaveDialog: vi.fn()
+  }
+}));
+
+vi.mock('fs/promises', () => ({
+  default: {
+    readFile: vi.fn(),
+    writeFile: vi.fn(),
+    stat: vi.fn(),
+    mkdir: vi.fn(),
+    readdir: vi.fn()
+  }
+}));
+
+import { dialog } from 'electron';
+import fs from 'fs/promises';
+import { RenderPresetFileService } from '@main/features/presets/render-preset-file.service.js';
+
+describe('RenderPresetFileService', () => {
+  let service;
+  let mockLogger;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    fs.writeFile.mockResolvedValue();
+    fs.readFile.mockResolvedValue('{"format":"prismgb-render-preset"}');
+    fs.stat.mockResolvedValue({ size: 600 });
+    fs.mkdir.mockResolvedValue();
+    fs.readdir.mockResolvedValue([]);
+
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    };
+
+    service = new RenderPresetFileService({
+      windowService: { mainWindow: { id: 1 } },
+      loggerFactory: { create: vi.fn(() => mockLogger) }
+    });
+  });
+
+  describe('exportPreset', () => {
+    it('should write the preset where the user chose', async () => {
+      dialog.showSaveDialog.mockResolvedValue({ canceled: false, filePath: '/shared/Night.prismgb-preset.json' });
+
+      const result = await service.exportPreset({ filename: 'Night.prismgb-preset.json', contents: '{}' });
+
+      expect(dialog.showSaveDialog).toHaveBeenCalledWith({ id: 1 }, expect.objectContaining({
+        defaultPath: path.join('/documents', 'Night.prismgb-preset.json')
+      }));
+      expect(fs.writeFile).toHaveBeenCalledWith('/shared/Night.prismgb-preset.json', '{}', 'utf8');
+      expect(result).toEqual({ canceled: false, filePath: '/shared/Night.prismgb-preset.json' });
+    });
+
+    it('should keep the suggested filename inside the dialog folder', async () => {
+      dialog.showSaveDialog.mockResolvedValue({ canceled: true });
+
+      await service.exportPreset({ filename: '../../etc/Night.json', contents: '{}' });
+
+      expect(dialog.showSaveDialog.mock.calls[0][1].defaultPath).toBe(path.join('/documents', 'Night.json'));
+    });
+
+    it('should not write anything when canceled', async () => {
+      dialog.showSaveDialog.mockResolvedValue({ canceled: true });
+
+      const result = await service.exportPreset({ filename: 'Night.json', contents: '{}' });
+
+      expect(result).toEqual({ canceled: true, filePath: null });
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject contents that are not a preset file', async () => {
+      await expect(service.exportPreset({ filename: 'Night.json', contents: 'x'.repeat(65 * 1024) }))
+        .rejects.toThrow('Invalid preset file');
+      expect(dialog.showSaveDialog).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importPreset', () => {
+    it('should read the chosen file', async () => {
+      dialog.showOpenDialog.mockResolvedValue({ canceled: false, filePaths: ['/shared/Night.prismgb-preset.json'] });
+
+      const result = await service.importPreset();
+
+      expect(fs.readFile).toHaveBeenCalledWith('/shared/Night.prismgb-preset.json', 'utf8');
+      expect(result).toEqual({ canceled: false, contents: '{"format":"prismgb-render-preset"}' });
+    });
+
+    it('should open the next dialog in the folder last used', async () => {
+      dialog.showOpenDialog.mockResolvedValue({ canceled: false, filePaths: ['/shared/Night.prismgb-preset.json'] });
+      await service.importPreset();
+
+      await service.importPreset();
+
+      expect(dialog.showOpenDialog.mock.calls[1][1].defaultPath).toBe('/shared');
+    });
+
+    it('should refuse files too large to be a preset', async () => {
+      dialog.showOpenDialog.mockResolvedValue({ canceled: false, filePaths: ['/shared/movie.json'] });
+      fs.stat.mockResolvedValue({ size: 10 * 1024 * 1024 });
+
+      await expect(service.importPreset()).rejects.toThrow('movie.json is too large to be a render preset');
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should return nothing when canceled', async () => {
+      dialog.showOpenDialog.mockResolvedValue({ canceled: true, filePaths: [] });
+
+      const result = await service.importPreset();
+
+      expect(result).toEqual({ canceled: true, contents: null });
+    });
+  });
+
+  describe('LUT library', () => {
+    const libraryPath = (file) => path.join('/userData', 'luts', file);
+
+    it('should read the .cube file the user picks', async () => {
+      dialog.showOpenDialog.mockResolvedValue({ canceled: false, filePaths: ['/grades/Warm Film.cube'] });
+      fs.readFile.mockResolvedValue('LUT_3D_SIZE 2');
+
+      const result = await service.importLut();
+
+      expect(result).toEqual({ canceled: false, name: 'Warm Film.cube', contents: 'LUT_3D_SIZE 2' });
+    });
+
+    it('should refuse files too large to be a LUT', async () => {
+      dialog.showOpenDialog.mockResolvedValue({ canceled: false, filePaths: ['/grades/movie.cube'] });
+      fs.stat.mockResolvedValue({ size: 64 * 1024 * 1024 });
+
+      await expect(service.importLut()).rejects.toThrow('movie.cube is too large to be a LUT');
+    });
+
+    it('should save LUTs under their own name, numbered when taken', async () => {
+      fs.readdir.mockResolvedValue(['Warm Film.cube', 'notes.txt']);
+
+      const result = await service.saveLut({ name: 'warm film.cube', contents: 'LUT_3D_SIZE 2' });
+
+      expect(fs.mkdir).toHaveBeenCalledWith(path.join('/userData', 'luts'), { recursive: true });
+      expect(fs.writeFile).toHaveBeenCalledWith(libraryPath('warm film (2).cube'), 'LUT_3D_SIZE 2', 'utf8');
+      expect(result).toEqual({ file: 'warm film (2).cube' });
+    });
+
+    it('should keep saved LUTs inside the library', async () => {
+      const result = await service.saveLut({ name: '../../..cube', contents: 'LUT_3D_SIZE 2' });
+
+      expect(result).toEqual({ file: 'LUT.cube' });
+      expect(fs.writeFile).toHaveBeenCalledWith(libraryPath('LUT.cube'), 'LUT_3D_SIZE 2', 'utf8');
+    });
+
+    it('should only read library files', async () => {
+      fs.readFile.mockResolvedValue('LUT_3D_SIZE 2');
+
+      expect(await service.readLut('Warm Film.cube')).toEqual({ contents: 'LUT_3D_SIZE 2' });
+      expect(fs.readFile).toHaveBeenCalledWith(libraryPath('Warm Film.cube'), 'utf8');
+
+      await expect(service.readLut('../secrets.cube')).rejects.toThrow('Invalid LUT name');
+      await expect(service.readLut('notes.txt')).rejects.toThrow('Invalid LUT name');
+    });
+
+    it('should report LUTs missing from the library', async () => {
+      fs.readFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+
+      await expect(service.readLut('Gone.cube')).rejects.toThrow('LUT Gone.cube is not in the LUT library');
+    });
+
+    it('should list .cube files, or nothing before the library exists', async () => {
+      fs.readdir.mockResolvedValue(['b.cube', 'notes.txt', 'A.CUBE', '.hidden.cube']);
+      expect(await service.listLuts()).toEqual(['A.CUBE', 'b.cube']);
+
+      fs.readdir.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+      expect(await service.listLuts()).toEqual([]);
+    });
+  });
+});
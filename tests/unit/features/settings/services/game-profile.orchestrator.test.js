@@ -0,0 +1,201 @@
+/**
+ * SettingsGameProfileOrchestrator Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SettingsGameProfileOrchestrator } from '@renderer/features/settings/services/settings-game-profile.orchestrator.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+
+describe('SettingsGameProfileOrchestrator', () => {
+  let orchestrator;
+  let handlers;
+  let settings;
+  let profiles;
+  let activeGame;
+  let mockSettingsService;
+  let mockGameProfileService;
+  let mockNotesService;
+  let mockRenderPresetService;
+  let mockEventBus;
+  let mockLogger;
+
+  const emit = (channel, payload) => handlers[channel](payload);
+
+  beforeEach(async () => {
+    handlers = {};
+    settings = { presetId: 'vibrant', brightness: 1, volume: 70 };
+    profiles = {};
+    activeGame = '';
+
+    mockEventBus = {
+      publish: vi.fn((channel, payload) => handlers[channel]?.(payload)),
+      subscribe: vi.fn((channel, handler) => {
+        handlers[channel] = handler;
+        return vi.fn();
+      })
+    };
+
+    // Setters persist and publish like SettingsService
+    mockSettingsService = {
+      getRenderPreset: vi.fn(() => settings.presetId),
+      getGlobalBrightness: vi.fn(() => settings.brightness),
+      getVolume: vi.fn(() => settings.volume),
+      setRenderPreset: vi.fn((presetId) => {
+        settings.presetId = presetId;
+        mockEventBus.publish(EventChannels.SETTINGS.RENDER_PRESET_CHANGED, presetId);
+      }),
+      setGlobalBrightness: vi.fn((brightness) => {
+        settings.brightness = brightness;
+        mockEventBus.publish(EventChannels.SETTINGS.BRIGHTNESS_CHANGED, brightness);
+      }),
+      setVolume: vi.fn((volume) => {
+        settings.volume = volume;
+        mockEventBus.publish(EventChannels.SETTINGS.VOLUME_CHANGED, volume);
+      })
+    };
+
+    mockGameProfileService = {
+      getProfile: vi.fn((gameName) => profiles[gameName.toLowerCase()] || null),
+      saveProfile: vi.fn((gameName, values) => {
+        profiles[gameName.toLowerCase()] = { gameName, ...values };
+      })
+    };
+
+    mockNotesService = {
+      getActiveGame: vi.fn(() => activeGame)
+    };
+
+    mockRenderPresetService = {
+      getPresetById: vi.fn((id) => (id.startsWith('missing') ? null : { id }))
+    };
+
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+    orchestrator = new SettingsGameProfileOrchestrator({
+      gameProfileService: mockGameProfileService,
+      settingsService: mockSettingsService,
+      notesService: mockNotesService,
+      renderPresetService: mockRenderPresetService,
+      eventBus: mockEventBus,
+      loggerFactory: { create: vi.fn(() => mockLogger) }
+    });
+    await orchestrator.initialize();
+  });
+
+  const selectGame = (gameName) => {
+    activeGame = gameName;
+    emit(EventChannels.NOTES.ACTIVE_GAME_CHANGED, { gameName });
+  };
+
+  it('should throw if missing required dependencies', () => {
+    expect(() => new SettingsGameProfileOrchestrator({
+      settingsService: mockSettingsService,
+      eventBus: mockEventBus
+    })).toThrow(/Missing required dependencies/);
+  });
+
+  describe('applying profiles', () => {
+    it('should apply the selected game profile through SettingsService', () => {
+      profiles.tetris = { gameName: 'Tetris', presetId: 'crt', brightness: 1.3, volume: 20 };
+
+      selectGame('Tetris');
+
+      expect(mockSettingsService.setRenderPreset).toHaveBeenCalledWith('crt');
+      expect(mockSettingsService.setGlobalBrightness).toHaveBeenCalledWith(1.3);
+      expect(mockSettingsService.setVolume).toHaveBeenCalledWith(20);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Loaded Tetris profile' }
+      );
+    });
+
+    it('should only set values that differ from the current settings', () => {
+      profiles.tetris = { gameName: 'Tetris', presetId: 'vibrant', brightness: 1, volume: 20 };
+
+      selectGame('Tetris');
+
+      expect(mockSettingsService.setRenderPreset).not.toHaveBeenCalled();
+      expect(mockSettingsService.setGlobalBrightness).not.toHaveBeenCalled();
+      expect(mockSettingsService.setVolume).toHaveBeenCalledWith(20);
+    });
+
+    it('should keep the current preset when the profile preset no longer exists', () => {
+      profiles.tetris = { gameName: 'Tetris', presetId: 'missing-custom', brightness: 1.3, volume: 70 };
+
+      selectGame('Tetris');
+
+      expect(mockSettingsService.setRenderPreset).not.toHaveBeenCalled();
+      expect(mockSettingsService.setGlobalBrightness).toHaveBeenCalledWith(1.3);
+      expect(mockLogger.warn).toHaveBeenCalled();
+    });
+
+    it('should not save the profile back while applying it', () => {
+      profiles.tetris = { gameName: 'Tetris', presetId: 'missing-custom', brightness: 1.3, volume: 20 };
+
+      selectGame('Tetris');
+
+      expect(mockGameProfileService.saveProfile).not.toHaveBeenCalled();
+    });
+
+    it('should leave settings alone for games without a profile and for no game', () => {
+      selectGame('Kirby');
+      selectGame('');
+
+      expect(mockSettingsService.setRenderPreset).not.toHaveBeenCalled();
+      expect(mockSettingsService.setGlobalBrightness).not.toHaveBeenCalled();
+      expect(mockSettingsService.setVolume).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).not.toHaveBeenCalledWith(EventChannels.UI.STATUS_MESSAGE, expect.anything());
+    });
+  });
+
+  describe('saving changes', () => {
+    it('should save changed settings to the active game profile', () => {
+      selectGame('Kirby');
+
+      mockSettingsService.setGlobalBrightness(0.8);
+
+      expect(mockGameProfileService.saveProfile).toHaveBeenCalledWith('Kirby', {
+        presetId: 'vibrant',
+        brightness: 0.8,
+        volume: 70
+      });
+    });
+
+    it('should save preset and volume changes', () => {
+      selectGame('Kirby');
+
+      mockSettingsService.setRenderPreset('crt');
+      mockSettingsService.setVolume(35);
+
+      expect(profiles.kirby).toEqual({ gameName: 'Kirby', presetId: 'crt', brightness: 1, volume: 35 });
+    });
+
+    it('should ignore slider previews that are not saved', () => {
+      selectGame('Kirby');
+
+      emit(EventChannels.SETTINGS.BRIGHTNESS_CHANGED, 1.4);
+      emit(EventChannels.SETTINGS.VOLUME_CHANGED, 10);
+
+      expect(mockGameProfileService.saveProfile).not.toHaveBeenCalled();
+    });
+
+    it('should not save changes when no game is active', () => {
+      mockSettingsService.setVolume(35);
+
+      expect(mockGameProfileService.saveProfile).not.toHaveBeenCalled();
+    });
+
+    it('should restore each game profile when switching back and forth', () => {
+      selectGame('Kirby');
+      mockSettingsService.setVolume(30);
+      selectGame('Tetris');
+      mockSettingsService.setVolume(90);
+
+      selectGame('Kirby');
+      expect(settings.volume).toBe(30);
+
+      selectGame('Tetris');
+      expect(settings.volume).toBe(90);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * SettingsGameProfileService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SettingsGameProfileService } from '@renderer/features/settings/services/settings-game-profile.service.js';
+import { GameProfileStorageKeys } from '@shared/config/storage-keys.config.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+
+describe('SettingsGameProfileService', () => {
+  let service;
+  let mockEventBus;
+  let mockLogger;
+  let mockStorage;
+
+  const tetris = { presetId: 'vibrant', brightness: 1.2, volume: 40 };
+
+  const createService = () => new SettingsGameProfileService({
+    eventBus: mockEventBus,
+    loggerFactory: { create: vi.fn(() => mockLogger) },
+    storageService: mockStorage
+  });
+
+  beforeEach(() => {
+    mockStorage = {
+      store: {},
+      getItem: vi.fn((key) => mockStorage.store[key] ?? null),
+      setItem: vi.fn((key, value) => { mockStorage.store[key] = value; })
+    };
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+    mockEventBus = { publish: vi.fn(), subscribe: vi.fn() };
+
+    service = createService();
+  });
+
+  describe('getProfiles', () => {
+    it('should return an empty list when nothing is stored', () => {
+      expect(service.getProfiles()).toEqual([]);
+    });
+
+    it('should drop stored entries that are not complete profiles', () => {
+      mockStorage.store[GameProfileStorageKeys.PROFILES] = JSON.stringify([
+        { gameName: 'Tetris', ...tetris },
+        { gameName: '  ', ...tetris },
+        { gameName: 'Kirby', presetId: 'vibrant', brightness: 'bright', volume: 40 },
+        null
+      ]);
+
+      expect(service.getProfiles()).toEqual([{ gameName: 'Tetris', ...tetris }]);
+    });
+
+    it('should log and start empty when storage is corrupted', () => {
+      mockStorage.store[GameProfileStorageKeys.PROFILES] = '{not json';
+
+      expect(service.getProfiles()).toEqual([]);
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('getProfile', () => {
+    it('should match game names without case or surrounding whitespace', () => {
+      service.saveProfile('Tetris', tetris);
+
+      expect(service.getProfile(' tetris ')).toEqual({ gameName: 'Tetris', ...tetris });
+    });
+
+    it('should return null for unknown games and no game', () => {
+      service.saveProfile('Tetris', tetris);
+
+      expect(service.getProfile('Kirby')).toBeNull();
+      expect(service.getProfile('')).toBeNull();
+    });
+  });
+
+  describe('saveProfile', () => {
+    it('should store a new profile and publish the profiles', () => {
+      const profile = service.saveProfile(' Tetris ', tetris);
+
+      expect(profile).toEqual({ gameName: 'Tetris', ...tetris });
+      expect(JSON.parse(mockStorage.store[GameProfileStorageKeys.PROFILES])).toEqual([profile]);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.SETTINGS.GAME_PROFILES_CHANGED, [profile]);
+    });
+
+    it('should update an existing profile and keep its game name', () => {
+      service.saveProfile('Tetris', tetris);
+      service.saveProfile('Kirby', tetris);
+      service.saveProfile('TETRIS', { ...tetris, volume: 90 });
+
+      expect(service.getProfiles()).toEqual([
+        { gameName: 'Tetris', ...tetris, volume: 90 },
+        { gameName: 'Kirby', ...tetris }
+      ]);
+    });
+
+    it('should not write when nothing changed', () => {
+      service.saveProfile('Tetris', tetris);
+      mockStorage.setItem.mockClear();
+      mockEventBus.publish.mockClear();
+
+      service.saveProfile('Tetris', { ...tetris });
+
+      expect(mockStorage.setItem).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should ignore an empty game name', () => {
+      expect(service.saveProfile('   ', tetris)).toBeNull();
+      expect(mockStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should be read back by a new service instance', () => {
+      service.saveProfile('Tetris', tetris);
+
+      expect(createService().getProfile('Tetris')).toEqual({ gameName: 'Tetris', ...tetris });
+    });
+  });
+
+  describe('getProfileGames', () => {
+    it('should return sorted game names', () => {
+      service.saveProfile('Tetris', tetris);
+      service.saveProfile('Kirby', tetris);
+
+      expect(service.getProfileGames()).toEqual(['Kirby', 'Tetris']);
+    });
+  });
+});
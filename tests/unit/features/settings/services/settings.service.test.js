@@ -288,4 +288,514 @@ describe('SettingsService', () => {
     });
   });
 
+
+  describe('getReplayBufferEnabled', () => {
+    it('should return default when not set', () => {
+      expect(service.getReplayBufferEnabled()).toBe(false);
+    });
+
+    it('should return saved preference', () => {
+      localStorageMock.store['replayBufferEnabled'] = 'true';
+      expect(service.getReplayBufferEnabled()).toBe(true);
+    });
+  });
+
+  describe('setReplayBufferEnabled', () => {
+    it('should save preference and publish change', () => {
+      service.setReplayBufferEnabled(true);
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('replayBufferEnabled', 'true');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('settings:replay-buffer-changed', {
+        enabled: true,
+        seconds: 30
+      });
+    });
+  });
+
+  describe('getReplayBufferSeconds', () => {
+    it('should return default when not set', () => {
+      expect(service.getReplayBufferSeconds()).toBe(30);
+    });
+
+    it('should return saved length', () => {
+      localStorageMock.store['replayBufferSeconds'] = '90';
+      expect(service.getReplayBufferSeconds()).toBe(90);
+    });
+
+    it('should return default for invalid saved value', () => {
+      localStorageMock.store['replayBufferSeconds'] = 'abc';
+      expect(service.getReplayBufferSeconds()).toBe(30);
+    });
+
+    it('should clamp out-of-range saved value', () => {
+      localStorageMock.store['replayBufferSeconds'] = '600';
+      expect(service.getReplayBufferSeconds()).toBe(120);
+    });
+  });
+
+  describe('setReplayBufferSeconds', () => {
+    it('should clamp, save and publish change', () => {
+      service.setReplayBufferSeconds(5);
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('replayBufferSeconds', '15');
+      expect(mockEventBus.publish).toHaveBeenCalledWith('settings:replay-buffer-changed', {
+        enabled: false,
+        seconds: 15
+      });
+    });
+  });
+
+  describe('recording format', () => {
+    it('should default to WebM', () => {
+      expect(service.getRecordingFormat()).toBe('webm');
+    });
+
+    it('should return stored format and ignore unknown ones', () => {
+      localStorageMock.store['recordingFormat'] = 'mp4';
+      expect(service.getRecordingFormat()).toBe('mp4');
+
+      localStorageMock.store['recordingFormat'] = 'mkv';
+      expect(service.getRecordingFormat()).toBe('webm');
+    });
+
+    it('should save supported formats only', () => {
+      service.setRecordingFormat('mp4');
+      service.setRecordingFormat('mkv');
+
+      expect(localStorageMock.setItem).toHaveBeenCalledTimes(1);
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('recordingFormat', 'mp4');
+    });
+  });
+
+  describe('recording segment limits', () => {
+    it('should default to no limits', () => {
+      expect(service.getRecordingSegmentMinutes()).toBe(0);
+      expect(service.getRecordingSegmentSizeMb()).toBe(0);
+    });
+
+    it('should return stored limits and ignore unsupported ones', () => {
+      localStorageMock.store['recordingSegmentMinutes'] = '15';
+      localStorageMock.store['recordingSegmentSizeMb'] = '2000';
+      expect(service.getRecordingSegmentMinutes()).toBe(15);
+      expect(service.getRecordingSegmentSizeMb()).toBe(2000);
+
+      localStorageMock.store['recordingSegmentMinutes'] = '7';
+      localStorageMock.store['recordingSegmentSizeMb'] = '123';
+      expect(service.getRecordingSegmentMinutes()).toBe(0);
+      expect(service.getRecordingSegmentSizeMb()).toBe(0);
+    });
+
+    it('should save supported limits only', () => {
+      service.setRecordingSegmentMinutes(30);
+      service.setRecordingSegmentSizeMb(4000);
+      service.setRecordingSegmentMinutes(7);
+      service.setRecordingSegmentSizeMb(123);
+
+      expect(localStorageMock.setItem).toHaveBeenCalledTimes(2);
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('recordingSegmentMinutes', '30');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('recordingSegmentSizeMb', '4000');
+    });
+  });
+
+  describe('recording review', () => {
+    it('should default to saving recordings directly', () => {
+      expect(service.getRecordingReviewEnabled()).toBe(false);
+    });
+
+    it('should return and save the stored preference', () => {
+      localStorageMock.store['recordingReview'] = 'true';
+      expect(service.getRecordingReviewEnabled()).toBe(true);
+
+      service.setRecordingReviewEnabled(false);
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('recordingReview', 'false');
+    });
+  });
+
+  describe('dual-track recording', () => {
+    it('should default to a single track', () => {
+      expect(service.getRecordingDualTrack()).toBe(false);
+    });
+
+    it('should return and save the stored preference', () => {
+      localStorageMock.store['recordingDualTrack'] = 'true';
+      expect(service.getRecordingDualTrack()).toBe(true);
+
+      service.setRecordingDualTrack(false);
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('recordingDualTrack', 'false');
+    });
+  });
+
+  describe('recording quality', () => {
+    it('should default to the balanced preset', () => {
+      expect(service.getRecordingQuality()).toEqual({
+        preset: 'balanced',
+        codec: 'vp9',
+        videoBitrateKbps: 2500,
+        audioBitrateKbps: 128,
+        frameRate: 60,
+        scale: 0
+      });
+    });
+
+    it('should return the settings of the stored preset and ignore unknown ones', () => {
+      localStorageMock.store['recordingQualityPreset'] = 'small';
+      expect(service.getRecordingQuality()).toMatchObject({ preset: 'small', videoBitrateKbps: 800, frameRate: 30, scale: 3 });
+
+      localStorageMock.store['recordingQualityPreset'] = 'lossless';
+      expect(service.getRecordingQualityPreset()).toBe('balanced');
+    });
+
+    it('should save known presets only', () => {
+      service.setRecordingQualityPreset('archive');
+      service.setRecordingQualityPreset('custom');
+
+      expect(localStorageMock.setItem).toHaveBeenCalledTimes(1);
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('recordingQualityPreset', 'archive');
+    });
+
+    it('should switch to a custom quality based on the current preset', () => {
+      service.setRecordingQualityPreset('archive');
+      service.setRecordingCodec('vp8');
+
+      expect(service.getRecordingQuality()).toEqual({
+        preset: 'custom',
+        codec: 'vp8',
+        videoBitrateKbps: 8000,
+        audioBitrateKbps: 128,
+        frameRate: 60,
+        scale: 0
+      });
+
+      service.setRecordingVideoBitrate(1500);
+      service.setRecordingFrameRate(30);
+      service.setRecordingOutputScale(4);
+
+      expect(service.getRecordingQuality()).toMatchObject({ codec: 'vp8', videoBitrateKbps: 1500, frameRate: 30, scale: 4 });
+    });
+
+    it('should ignore unsupported encoder settings', () => {
+      service.setRecordingCodec('hevc');
+      service.setRecordingVideoBitrate(1234);
+      service.setRecordingFrameRate(75);
+      service.setRecordingOutputScale(5);
+
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+      expect(mockLogger.warn).toHaveBeenCalledTimes(4);
+    });
+
+    it('should fall back to balanced values for invalid stored custom settings', () => {
+      localStorageMock.store['recordingQualityPreset'] = 'custom';
+      localStorageMock.store['recordingCodec'] = 'hevc';
+      localStorageMock.store['recordingVideoBitrate'] = '5000';
+
+      expect(service.getRecordingQuality()).toMatchObject({ codec: 'vp9', videoBitrateKbps: 5000, frameRate: 60, scale: 0 });
+    });
+  });
+
+  describe('screenshot output settings', () => {
+    it('should return defaults when nothing is stored', () => {
+      expect(service.getScreenshotMode()).toBe('rendered');
+      expect(service.getScreenshotScale()).toBe(4);
+    });
+
+    it('should return stored values', () => {
+      localStorageMock.store['screenshotMode'] = 'native';
+      localStorageMock.store['screenshotScale'] = '10';
+
+      expect(service.getScreenshotMode()).toBe('native');
+      expect(service.getScreenshotScale()).toBe(10);
+    });
+
+    it('should ignore unsupported stored values', () => {
+      localStorageMock.store['screenshotMode'] = 'window';
+      localStorageMock.store['screenshotScale'] = '11';
+
+      expect(service.getScreenshotMode()).toBe('rendered');
+      expect(service.getScreenshotScale()).toBe(4);
+    });
+
+    it('should save supported values', () => {
+      service.setScreenshotMode('scaled');
+      service.setScreenshotScale(3);
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('screenshotMode', 'scaled');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('screenshotScale', '3');
+    });
+
+    it('should not save unsupported values', () => {
+      service.setScreenshotMode('window');
+      service.setScreenshotScale(1);
+
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('clip capture settings', () => {
+    it('should return defaults when nothing is stored', () => {
+      expect(service.getClipFormat()).toBe('gif');
+      expect(service.getClipScale()).toBe(2);
+      expect(service.getClipDurationSeconds()).toBe(5);
+    });
+
+    it('should return stored values', () => {
+      localStorageMock.store['clipFormat'] = 'apng';
+      localStorageMock.store['clipScale'] = '4';
+      localStorageMock.store['clipDurationSeconds'] = '10';
+
+      expect(service.getClipFormat()).toBe('apng');
+      expect(service.getClipScale()).toBe(4);
+      expect(service.getClipDurationSeconds()).toBe(10);
+    });
+
+    it('should ignore unsupported stored values', () => {
+      localStorageMock.store['clipFormat'] = 'webp';
+      localStorageMock.store['clipScale'] = '3';
+      localStorageMock.store['clipDurationSeconds'] = '60';
+
+      expect(service.getClipFormat()).toBe('gif');
+      expect(service.getClipScale()).toBe(2);
+      expect(service.getClipDurationSeconds()).toBe(5);
+    });
+
+    it('should save supported values', () => {
+      service.setClipFormat('apng');
+      service.setClipScale(1);
+      service.setClipDurationSeconds(3);
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('clipFormat', 'apng');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('clipScale', '1');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('clipDurationSeconds', '3');
+    });
+
+    it('should not save unsupported values', () => {
+      service.setClipFormat('webp');
+      service.setClipScale(3);
+      service.setClipDurationSeconds(7);
+
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('interval capture settings', () => {
+    it('should return defaults when nothing is stored', () => {
+      expect(service.getIntervalMode()).toBe('screenshots');
+      expect(service.getIntervalSeconds()).toBe(30);
+      expect(service.getIntervalFrameStep()).toBe(60);
+      expect(service.getFrameSequenceSeconds()).toBe(10);
+    });
+
+    it('should return stored values', () => {
+      localStorageMock.store['intervalMode'] = 'timelapse';
+      localStorageMock.store['intervalSeconds'] = '300';
+      localStorageMock.store['intervalFrameStep'] = '1800';
+      localStorageMock.store['frameSequenceSeconds'] = '0';
+
+      expect(service.getIntervalMode()).toBe('timelapse');
+      expect(service.getIntervalSeconds()).toBe(300);
+      expect(service.getIntervalFrameStep()).toBe(1800);
+      expect(service.getFrameSequenceSeconds()).toBe(0);
+    });
+
+    it('should ignore unsupported stored values', () => {
+      localStorageMock.store['intervalMode'] = 'gif';
+      localStorageMock.store['intervalSeconds'] = '1';
+      localStorageMock.store['intervalFrameStep'] = '7';
+      localStorageMock.store['frameSequenceSeconds'] = '-1';
+
+      expect(service.getIntervalMode()).toBe('screenshots');
+      expect(service.getIntervalSeconds()).toBe(30);
+      expect(service.getIntervalFrameStep()).toBe(60);
+      expect(service.getFrameSequenceSeconds()).toBe(10);
+    });
+
+    it('should save supported values', () => {
+      service.setIntervalMode('timelapse');
+      service.setIntervalSeconds(5);
+      service.setIntervalFrameStep(10);
+      service.setFrameSequenceSeconds(60);
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('intervalMode', 'timelapse');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('intervalSeconds', '5');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('intervalFrameStep', '10');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('frameSequenceSeconds', '60');
+    });
+
+    it('should not save unsupported values', () => {
+      service.setIntervalMode('gif');
+      service.setIntervalSeconds(7);
+      service.setIntervalFrameStep(0);
+      service.setFrameSequenceSeconds(15);
+
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('capture filename settings', () => {
+    it('should return the default template when nothing is stored', () => {
+      expect(service.getCaptureFilenameTemplate()).toBe('prismgb-{type}-{date}-{time}');
+    });
+
+    it('should ignore an invalid stored template', () => {
+      localStorageMock.store['captureFilenameTemplate'] = '{title}';
+
+      expect(service.getCaptureFilenameTemplate()).toBe('prismgb-{type}-{date}-{time}');
+    });
+
+    it('should save a valid template', () => {
+      expect(service.setCaptureFilenameTemplate('{game}-{counter}')).toBeNull();
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('captureFilenameTemplate', '{game}-{counter}');
+      expect(service.getCaptureFilenameTemplate()).toBe('{game}-{counter}');
+    });
+
+    it('should reject an invalid template with the reason', () => {
+      expect(service.setCaptureFilenameTemplate('{game}/{date}')).toBe('Filenames cannot contain /');
+
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should advance the capture counter from 1', () => {
+      expect(service.nextCaptureCounter()).toBe(1);
+      expect(service.nextCaptureCounter()).toBe(2);
+      expect(localStorageMock.setItem).toHaveBeenLastCalledWith('captureCounter', '2');
+    });
+  });
+
+  describe('microphone commentary settings', () => {
+    it('should return defaults when nothing is stored', () => {
+      expect(service.getMicEnabled()).toBe(false);
+      expect(service.getMicDeviceId()).toBe('');
+      expect(service.getMicGain()).toBe(100);
+      expect(service.getGameAudioGain()).toBe(100);
+      expect(service.getMicSeparateTrack()).toBe(false);
+    });
+
+    it('should return stored values', () => {
+      localStorageMock.store['micEnabled'] = 'true';
+      localStorageMock.store['micDeviceId'] = 'usb-mic';
+      localStorageMock.store['micGain'] = '150';
+      localStorageMock.store['gameAudioGain'] = '50';
+      localStorageMock.store['micSeparateTrack'] = 'true';
+
+      expect(service.getMicEnabled()).toBe(true);
+      expect(service.getMicDeviceId()).toBe('usb-mic');
+      expect(service.getMicGain()).toBe(150);
+      expect(service.getGameAudioGain()).toBe(50);
+      expect(service.getMicSeparateTrack()).toBe(true);
+    });
+
+    it('should ignore unsupported stored gains', () => {
+      localStorageMock.store['micGain'] = '333';
+      localStorageMock.store['gameAudioGain'] = 'loud';
+
+      expect(service.getMicGain()).toBe(100);
+      expect(service.getGameAudioGain()).toBe(100);
+    });
+
+    it('should save the microphone preferences', () => {
+      service.setMicEnabled(true);
+      service.setMicDeviceId('usb-mic');
+      service.setMicSeparateTrack(true);
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('micEnabled', 'true');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('micDeviceId', 'usb-mic');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('micSeparateTrack', 'true');
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should save gains and publish the new mix', () => {
+      service.setMicGain(150);
+      service.setGameAudioGain(50);
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('micGain', '150');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('gameAudioGain', '50');
+      expect(mockEventBus.publish).toHaveBeenLastCalledWith('settings:audio-mix-changed', {
+        micGain: 150,
+        gameAudioGain: 50
+      });
+    });
+
+    it('should not save unsupported gains', () => {
+      service.setMicGain(110);
+      service.setGameAudioGain(-25);
+
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+      expect(mockLogger.warn).toHaveBeenCalledWith('Ignoring unsupported microphone gain: 110');
+    });
+  });
+
+  describe('webcam overlay settings', () => {
+    it('should return defaults when nothing is stored', () => {
+      expect(service.getFacecamSettings()).toEqual({
+        enabled: false,
+        deviceId: '',
+        position: 'bottom-right',
+        sizePercent: 25,
+        border: 'white'
+      });
+    });
+
+    it('should return stored values', () => {
+      localStorageMock.store['facecamEnabled'] = 'true';
+      localStorageMock.store['facecamDeviceId'] = 'usb-cam';
+      localStorageMock.store['facecamPosition'] = 'top-left';
+      localStorageMock.store['facecamSize'] = '40';
+      localStorageMock.store['facecamBorder'] = 'rounded';
+
+      expect(service.getFacecamSettings()).toEqual({
+        enabled: true,
+        deviceId: 'usb-cam',
+        position: 'top-left',
+        sizePercent: 40,
+        border: 'rounded'
+      });
+    });
+
+    it('should ignore unknown stored layout values', () => {
+      localStorageMock.store['facecamPosition'] = 'center';
+      localStorageMock.store['facecamSize'] = '90';
+      localStorageMock.store['facecamBorder'] = 'dashed';
+
+      expect(service.getFacecamPosition()).toBe('bottom-right');
+      expect(service.getFacecamSize()).toBe(25);
+      expect(service.getFacecamBorder()).toBe('white');
+    });
+
+    it('should save changes and publish the new overlay settings', () => {
+      service.setFacecamEnabled(true);
+      service.setFacecamDeviceId('usb-cam');
+      service.setFacecamPosition('top-right');
+      service.setFacecamSize(15);
+      service.setFacecamBorder('black');
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('facecamEnabled', 'true');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('facecamDeviceId', 'usb-cam');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('facecamPosition', 'top-right');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('facecamSize', '15');
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('facecamBorder', 'black');
+      expect(mockEventBus.publish).toHaveBeenCalledTimes(5);
+      expect(mockEventBus.publish).toHaveBeenLastCalledWith('settings:facecam-changed', {
+        enabled: true,
+        deviceId: 'usb-cam',
+        position: 'top-right',
+        sizePercent: 15,
+        border: 'black'
+      });
+    });
+
+    it('should not save unsupported layout values', () => {
+      service.setFacecamPosition('center');
+      service.setFacecamSize(50);
+      service.setFacecamBorder('dashed');
+
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+      expect(mockLogger.warn).toHaveBeenCalledWith('Ignoring unknown webcam position: center');
+      expect(mockLogger.warn).toHaveBeenCalledWith('Ignoring unsupported webcam size: 50');
+      expect(mockLogger.warn).toHaveBeenCalledWith('Ignoring unknown webcam border: dashed');
+    });
+  });
 });
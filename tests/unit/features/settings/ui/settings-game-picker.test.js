@@ -0,0 +1,97 @@
+/**
+ * SettingsGamePickerComponent Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SettingsGamePickerComponent } from '@renderer/features/settings/ui/settings-game-picker.component.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+
+describe('SettingsGamePickerComponent', () => {
+  let component;
+  let handlers;
+  let activeGame;
+  let gamePicker;
+  let mockNotesService;
+  let mockGameProfileService;
+  let mockEventBus;
+
+  const getOptions = () => [...gamePicker.options].map(option => option.value);
+
+  beforeEach(() => {
+    handlers = {};
+    activeGame = '';
+
+    mockNotesService = {
+      getUniqueGames: vi.fn(() => ['Tetris', 'Zelda']),
+      getActiveGame: vi.fn(() => activeGame),
+      setActiveGame: vi.fn()
+    };
+
+    mockGameProfileService = {
+      getProfileGames: vi.fn(() => ['Kirby', 'tetris'])
+    };
+
+    mockEventBus = {
+      publish: vi.fn(),
+      subscribe: vi.fn((channel, handler) => {
+        handlers[channel] = handler;
+        return vi.fn();
+      })
+    };
+
+    gamePicker = document.createElement('select');
+
+    component = new SettingsGamePickerComponent({
+      notesService: mockNotesService,
+      gameProfileService: mockGameProfileService,
+      eventBus: mockEventBus,
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }
+    });
+    component.initialize({ gamePicker });
+  });
+
+  it('should list note and profile games once each, after a no-game option', () => {
+    expect(getOptions()).toEqual(['', 'Kirby', 'Tetris', 'Zelda']);
+    expect(gamePicker.options[0].textContent).toBe('No game');
+    expect(gamePicker.value).toBe('');
+  });
+
+  it('should set the active game when a game is picked', () => {
+    gamePicker.value = 'Kirby';
+    gamePicker.dispatchEvent(new Event('change'));
+
+    expect(mockNotesService.setActiveGame).toHaveBeenCalledWith('Kirby');
+  });
+
+  it('should follow active game changes from the notes panel', () => {
+    activeGame = 'zelda';
+    handlers[EventChannels.NOTES.ACTIVE_GAME_CHANGED]({ gameName: 'zelda' });
+
+    expect(gamePicker.value).toBe('Zelda');
+  });
+
+  it('should add an active game that has no notes or profile yet', () => {
+    activeGame = 'Metroid';
+    handlers[EventChannels.NOTES.ACTIVE_GAME_CHANGED]({ gameName: 'Metroid' });
+
+    expect(getOptions()).toContain('Metroid');
+    expect(gamePicker.value).toBe('Metroid');
+  });
+
+  it('should refresh when notes or profiles change', () => {
+    mockGameProfileService.getProfileGames.mockReturnValue(['Kirby', 'Pokemon']);
+    handlers[EventChannels.SETTINGS.GAME_PROFILES_CHANGED]();
+    expect(getOptions()).toContain('Pokemon');
+
+    mockNotesService.getUniqueGames.mockReturnValue([]);
+    handlers[EventChannels.NOTES.NOTE_DELETED]({ id: 'note-1' });
+    expect(getOptions()).toEqual(['', 'Kirby', 'Pokemon']);
+  });
+
+  it('should stop listening when disposed', () => {
+    component.dispose();
+    gamePicker.dispatchEvent(new Event('change'));
+
+    expect(mockNotesService.setActiveGame).not.toHaveBeenCalled();
+  });
+});
@@ -5,6 +5,25 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import { SettingsMenuComponent } from '@renderer/features/settings/ui/settings-menu.component.js';
 
+/**
+ * Build a select with one option per value
+ * @param {Array<string|number>} values - Option values
+ * @param {Function} [label] - Option text for a value; options have no text without it
+ * @returns {HTMLSelectElement}
+ */
+const createSelect = (values, label = null) => {
+  const select = document.createElement('select');
+  values.forEach(value => {
+    const option = document.createElement('option');
+    option.value = String(value);
+    if (label) {
+      option.textContent = label(value);
+    }
+    select.appendChild(option);
+  });
+  return select;
+};
+
 describe('SettingsMenuComponent', () => {
   let component;
   let mockSettingsService;
@@ -266,6 +285,809 @@ describe('SettingsMenuComponent', () => {
     });
   });
 
+  describe('Instant replay settings', () => {
+    let replayElements;
+
+    beforeEach(() => {
+      mockSettingsService.getReplayBufferEnabled = vi.fn(() => true);
+      mockSettingsService.setReplayBufferEnabled = vi.fn();
+      mockSettingsService.getReplayBufferSeconds = vi.fn(() => 60);
+      mockSettingsService.setReplayBufferSeconds = vi.fn();
+
+      const select = document.createElement('select');
+      [15, 30, 60].forEach(seconds => {
+        const option = document.createElement('option');
+        option.value = String(seconds);
+        select.appendChild(option);
+      });
+
+      replayElements = {
+        ...mockElements,
+        settingReplayBuffer: document.createElement('input'),
+        settingReplayBufferSeconds: select
+      };
+      replayElements.settingReplayBuffer.type = 'checkbox';
+    });
+
+    it('should load stored replay settings', () => {
+      component.initialize(replayElements);
+
+      expect(replayElements.settingReplayBuffer.checked).toBe(true);
+      expect(replayElements.settingReplayBufferSeconds.value).toBe('60');
+      expect(replayElements.settingReplayBufferSeconds.disabled).toBe(false);
+    });
+
+    it('should save toggle and disable length select when turned off', () => {
+      component.initialize(replayElements);
+
+      replayElements.settingReplayBuffer.checked = false;
+      replayElements.settingReplayBuffer.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setReplayBufferEnabled).toHaveBeenCalledWith(false);
+      expect(replayElements.settingReplayBufferSeconds.disabled).toBe(true);
+    });
+
+    it('should save replay length as a number', () => {
+      component.initialize(replayElements);
+
+      replayElements.settingReplayBufferSeconds.value = '15';
+      replayElements.settingReplayBufferSeconds.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setReplayBufferSeconds).toHaveBeenCalledWith(15);
+    });
+  });
+
+  describe('Screenshot output settings', () => {
+    let screenshotElements;
+
+    beforeEach(() => {
+      mockSettingsService.getScreenshotMode = vi.fn(() => 'scaled');
+      mockSettingsService.setScreenshotMode = vi.fn();
+      mockSettingsService.getScreenshotScale = vi.fn(() => 6);
+      mockSettingsService.setScreenshotScale = vi.fn();
+
+      screenshotElements = {
+        ...mockElements,
+        settingScreenshotMode: createSelect(['native', 'scaled', 'rendered']),
+        settingScreenshotScale: createSelect([2, 4, 6])
+      };
+    });
+
+    it('should load stored screenshot settings', () => {
+      component.initialize(screenshotElements);
+
+      expect(screenshotElements.settingScreenshotMode.value).toBe('scaled');
+      expect(screenshotElements.settingScreenshotScale.value).toBe('6');
+      expect(screenshotElements.settingScreenshotScale.disabled).toBe(false);
+    });
+
+    it('should save screenshot settings on change', () => {
+      component.initialize(screenshotElements);
+
+      screenshotElements.settingScreenshotMode.value = 'rendered';
+      screenshotElements.settingScreenshotMode.dispatchEvent(new Event('change'));
+      screenshotElements.settingScreenshotScale.value = '2';
+      screenshotElements.settingScreenshotScale.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setScreenshotMode).toHaveBeenCalledWith('rendered');
+      expect(mockSettingsService.setScreenshotScale).toHaveBeenCalledWith(2);
+    });
+
+    it('should disable the scale for native screenshots', () => {
+      component.initialize(screenshotElements);
+
+      screenshotElements.settingScreenshotMode.value = 'native';
+      screenshotElements.settingScreenshotMode.dispatchEvent(new Event('change'));
+
+      expect(screenshotElements.settingScreenshotScale.disabled).toBe(true);
+    });
+  });
+
+  describe('Clip capture settings', () => {
+    let clipElements;
+
+    beforeEach(() => {
+      mockSettingsService.getClipFormat = vi.fn(() => 'apng');
+      mockSettingsService.setClipFormat = vi.fn();
+      mockSettingsService.getClipScale = vi.fn(() => 4);
+      mockSettingsService.setClipScale = vi.fn();
+      mockSettingsService.getClipDurationSeconds = vi.fn(() => 10);
+      mockSettingsService.setClipDurationSeconds = vi.fn();
+
+      clipElements = {
+        ...mockElements,
+        settingClipFormat: createSelect(['gif', 'apng']),
+        settingClipScale: createSelect([1, 2, 4]),
+        settingClipDuration: createSelect([3, 5, 10])
+      };
+    });
+
+    it('should load stored clip settings', () => {
+      component.initialize(clipElements);
+
+      expect(clipElements.settingClipFormat.value).toBe('apng');
+      expect(clipElements.settingClipScale.value).toBe('4');
+      expect(clipElements.settingClipDuration.value).toBe('10');
+    });
+
+    it('should save clip settings on change', () => {
+      component.initialize(clipElements);
+
+      clipElements.settingClipFormat.value = 'gif';
+      clipElements.settingClipFormat.dispatchEvent(new Event('change'));
+      clipElements.settingClipScale.value = '1';
+      clipElements.settingClipScale.dispatchEvent(new Event('change'));
+      clipElements.settingClipDuration.value = '3';
+      clipElements.settingClipDuration.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setClipFormat).toHaveBeenCalledWith('gif');
+      expect(mockSettingsService.setClipScale).toHaveBeenCalledWith(1);
+      expect(mockSettingsService.setClipDurationSeconds).toHaveBeenCalledWith(3);
+    });
+  });
+
+  describe('Interval capture settings', () => {
+    let intervalElements;
+
+    beforeEach(() => {
+      mockSettingsService.getIntervalMode = vi.fn(() => 'timelapse');
+      mockSettingsService.setIntervalMode = vi.fn();
+      mockSettingsService.getIntervalSeconds = vi.fn(() => 60);
+      mockSettingsService.setIntervalSeconds = vi.fn();
+      mockSettingsService.getIntervalFrameStep = vi.fn(() => 300);
+      mockSettingsService.setIntervalFrameStep = vi.fn();
+      mockSettingsService.getFrameSequenceSeconds = vi.fn(() => 0);
+      mockSettingsService.setFrameSequenceSeconds = vi.fn();
+
+      intervalElements = {
+        ...mockElements,
+        settingIntervalMode: createSelect(['screenshots', 'timelapse']),
+        settingIntervalSeconds: createSelect([5, 60]),
+        settingIntervalFrameStep: createSelect([60, 300]),
+        settingFrameSequenceSeconds: createSelect([0, 10])
+      };
+    });
+
+    it('should load stored interval settings', () => {
+      component.initialize(intervalElements);
+
+      expect(intervalElements.settingIntervalMode.value).toBe('timelapse');
+      expect(intervalElements.settingIntervalSeconds.value).toBe('60');
+      expect(intervalElements.settingIntervalFrameStep.value).toBe('300');
+      expect(intervalElements.settingFrameSequenceSeconds.value).toBe('0');
+    });
+
+    it('should save interval settings on change', () => {
+      component.initialize(intervalElements);
+
+      intervalElements.settingIntervalMode.value = 'screenshots';
+      intervalElements.settingIntervalMode.dispatchEvent(new Event('change'));
+      intervalElements.settingIntervalSeconds.value = '5';
+      intervalElements.settingIntervalSeconds.dispatchEvent(new Event('change'));
+      intervalElements.settingIntervalFrameStep.value = '60';
+      intervalElements.settingIntervalFrameStep.dispatchEvent(new Event('change'));
+      intervalElements.settingFrameSequenceSeconds.value = '10';
+      intervalElements.settingFrameSequenceSeconds.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setIntervalMode).toHaveBeenCalledWith('screenshots');
+      expect(mockSettingsService.setIntervalSeconds).toHaveBeenCalledWith(5);
+      expect(mockSettingsService.setIntervalFrameStep).toHaveBeenCalledWith(60);
+      expect(mockSettingsService.setFrameSequenceSeconds).toHaveBeenCalledWith(10);
+    });
+  });
+
+  describe('Microphone commentary settings', () => {
+    let micElements;
+    let mockAudioMixService;
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    const createCheckbox = () => {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      return input;
+    };
+
+    beforeEach(() => {
+      mockSettingsService.getMicEnabled = vi.fn(() => true);
+      mockSettingsService.setMicEnabled = vi.fn();
+      mockSettingsService.getMicDeviceId = vi.fn(() => 'usb-mic');
+      mockSettingsService.setMicDeviceId = vi.fn();
+      mockSettingsService.getMicGain = vi.fn(() => 150);
+      mockSettingsService.setMicGain = vi.fn();
+      mockSettingsService.getGameAudioGain = vi.fn(() => 50);
+      mockSettingsService.setGameAudioGain = vi.fn();
+      mockSettingsService.getMicSeparateTrack = vi.fn(() => true);
+      mockSettingsService.setMicSeparateTrack = vi.fn();
+
+      mockAudioMixService = {
+        listMicrophones: vi.fn().mockResolvedValue([
+          { deviceId: 'built-in', label: 'Built-in Microphone' },
+          { deviceId: 'usb-mic', label: 'USB Microphone' }
+        ])
+      };
+
+      component = new SettingsMenuComponent({
+        settingsService: mockSettingsService,
+        captureAudioMixService: mockAudioMixService,
+        eventBus: mockEventBus,
+        logger: mockLogger
+      });
+
+      micElements = {
+        ...mockElements,
+        settingMicEnabled: createCheckbox(),
+        settingMicDevice: createSelect(['']),
+        settingMicGain: createSelect([50, 100, 150]),
+        settingGameAudioGain: createSelect([50, 100, 150]),
+        settingMicSeparateTrack: createCheckbox()
+      };
+    });
+
+    it('should load stored microphone settings', async () => {
+      component.initialize(micElements);
+      await flush();
+
+      expect(micElements.settingMicEnabled.checked).toBe(true);
+      expect(micElements.settingMicGain.value).toBe('150');
+      expect(micElements.settingGameAudioGain.value).toBe('50');
+      expect(micElements.settingMicSeparateTrack.checked).toBe(true);
+      expect(micElements.settingMicDevice.options).toHaveLength(3);
+      expect(micElements.settingMicDevice.value).toBe('usb-mic');
+    });
+
+    it('should keep an unplugged microphone selected', async () => {
+      mockSettingsService.getMicDeviceId.mockReturnValue('missing-mic');
+
+      component.initialize(micElements);
+      await flush();
+
+      expect(micElements.settingMicDevice.options).toHaveLength(4);
+      expect(micElements.settingMicDevice.value).toBe('missing-mic');
+    });
+
+    it('should refresh the microphone list when the menu opens', async () => {
+      component.initialize(micElements);
+      await flush();
+
+      component.show();
+      await flush();
+
+      expect(mockAudioMixService.listMicrophones).toHaveBeenCalledTimes(2);
+      expect(micElements.settingMicDevice.options).toHaveLength(3);
+    });
+
+    it('should disable the microphone options while commentary is off', () => {
+      mockSettingsService.getMicEnabled.mockReturnValue(false);
+
+      component.initialize(micElements);
+
+      expect(micElements.settingMicDevice.disabled).toBe(true);
+      expect(micElements.settingMicGain.disabled).toBe(true);
+      expect(micElements.settingMicSeparateTrack.disabled).toBe(true);
+      expect(micElements.settingGameAudioGain.disabled).toBe(false);
+
+      micElements.settingMicEnabled.checked = true;
+      micElements.settingMicEnabled.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setMicEnabled).toHaveBeenCalledWith(true);
+      expect(micElements.settingMicDevice.disabled).toBe(false);
+    });
+
+    it('should save microphone settings on change', async () => {
+      component.initialize(micElements);
+      await flush();
+
+      micElements.settingMicDevice.value = 'built-in';
+      micElements.settingMicDevice.dispatchEvent(new Event('change'));
+      micElements.settingMicGain.value = '100';
+      micElements.settingMicGain.dispatchEvent(new Event('change'));
+      micElements.settingGameAudioGain.value = '150';
+      micElements.settingGameAudioGain.dispatchEvent(new Event('change'));
+      micElements.settingMicSeparateTrack.checked = false;
+      micElements.settingMicSeparateTrack.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setMicDeviceId).toHaveBeenCalledWith('built-in');
+      expect(mockSettingsService.setMicGain).toHaveBeenCalledWith(100);
+      expect(mockSettingsService.setGameAudioGain).toHaveBeenCalledWith(150);
+      expect(mockSettingsService.setMicSeparateTrack).toHaveBeenCalledWith(false);
+    });
+
+    it('should warn when microphones cannot be listed', async () => {
+      mockAudioMixService.listMicrophones.mockRejectedValue(new Error('denied'));
+
+      component.initialize(micElements);
+      await flush();
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Failed to list microphones:', 'denied');
+      expect(micElements.settingMicDevice.options).toHaveLength(1);
+    });
+  });
+
+  describe('Webcam overlay settings', () => {
+    let facecamElements;
+    let mockFacecamService;
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+      mockSettingsService.getFacecamEnabled = vi.fn(() => true);
+      mockSettingsService.setFacecamEnabled = vi.fn();
+      mockSettingsService.getFacecamDeviceId = vi.fn(() => '');
+      mockSettingsService.setFacecamDeviceId = vi.fn();
+      mockSettingsService.getFacecamPosition = vi.fn(() => 'top-left');
+      mockSettingsService.setFacecamPosition = vi.fn();
+      mockSettingsService.getFacecamSize = vi.fn(() => 30);
+      mockSettingsService.setFacecamSize = vi.fn();
+      mockSettingsService.getFacecamBorder = vi.fn(() => 'rounded');
+      mockSettingsService.setFacecamBorder = vi.fn();
+
+      mockFacecamService = {
+        listCameras: vi.fn().mockResolvedValue([
+          { deviceId: 'capture-card', label: 'Chromatic' },
+          { deviceId: 'usb-cam', label: 'USB Webcam' }
+        ])
+      };
+
+      component = new SettingsMenuComponent({
+        settingsService: mockSettingsService,
+        captureFacecamService: mockFacecamService,
+        eventBus: mockEventBus,
+        logger: mockLogger
+      });
+
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+
+      facecamElements = {
+        ...mockElements,
+        settingFacecamEnabled: enabled,
+        settingFacecamDevice: createSelect(['']),
+        settingFacecamPosition: createSelect(['top-left', 'top-right', 'bottom-left', 'bottom-right']),
+        settingFacecamSize: createSelect([15, 20, 25, 30, 40]),
+        settingFacecamBorder: createSelect(['none', 'white', 'black', 'rounded'])
+      };
+    });
+
+    it('should load stored webcam settings', async () => {
+      component.initialize(facecamElements);
+      await flush();
+
+      expect(facecamElements.settingFacecamEnabled.checked).toBe(true);
+      expect(facecamElements.settingFacecamPosition.value).toBe('top-left');
+      expect(facecamElements.settingFacecamSize.value).toBe('30');
+      expect(facecamElements.settingFacecamBorder.value).toBe('rounded');
+      expect(facecamElements.settingFacecamDevice.options).toHaveLength(3);
+      expect(facecamElements.settingFacecamDevice.value).toBe('');
+    });
+
+    it('should keep an unplugged webcam selected', async () => {
+      mockSettingsService.getFacecamDeviceId.mockReturnValue('missing-cam');
+
+      component.initialize(facecamElements);
+      await flush();
+
+      expect(facecamElements.settingFacecamDevice.options).toHaveLength(4);
+      expect(facecamElements.settingFacecamDevice.value).toBe('missing-cam');
+    });
+
+    it('should disable the webcam options while the overlay is off', () => {
+      mockSettingsService.getFacecamEnabled.mockReturnValue(false);
+
+      component.initialize(facecamElements);
+
+      expect(facecamElements.settingFacecamDevice.disabled).toBe(true);
+      expect(facecamElements.settingFacecamPosition.disabled).toBe(true);
+      expect(facecamElements.settingFacecamSize.disabled).toBe(true);
+      expect(facecamElements.settingFacecamBorder.disabled).toBe(true);
+
+      facecamElements.settingFacecamEnabled.checked = true;
+      facecamElements.settingFacecamEnabled.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setFacecamEnabled).toHaveBeenCalledWith(true);
+      expect(facecamElements.settingFacecamPosition.disabled).toBe(false);
+    });
+
+    it('should save webcam settings on change', async () => {
+      component.initialize(facecamElements);
+      await flush();
+
+      facecamElements.settingFacecamDevice.value = 'usb-cam';
+      facecamElements.settingFacecamDevice.dispatchEvent(new Event('change'));
+      facecamElements.settingFacecamPosition.value = 'bottom-left';
+      facecamElements.settingFacecamPosition.dispatchEvent(new Event('change'));
+      facecamElements.settingFacecamSize.value = '15';
+      facecamElements.settingFacecamSize.dispatchEvent(new Event('change'));
+      facecamElements.settingFacecamBorder.value = 'none';
+      facecamElements.settingFacecamBorder.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setFacecamDeviceId).toHaveBeenCalledWith('usb-cam');
+      expect(mockSettingsService.setFacecamPosition).toHaveBeenCalledWith('bottom-left');
+      expect(mockSettingsService.setFacecamSize).toHaveBeenCalledWith(15);
+      expect(mockSettingsService.setFacecamBorder).toHaveBeenCalledWith('none');
+    });
+
+    it('should refresh the webcam list when the menu opens', async () => {
+      component.initialize(facecamElements);
+      await flush();
+
+      component.show();
+      await flush();
+
+      expect(mockFacecamService.listCameras).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Recording format setting', () => {
+    let formatElements;
+
+    beforeEach(() => {
+      mockSettingsService.getRecordingFormat = vi.fn(() => 'mp4');
+      mockSettingsService.setRecordingFormat = vi.fn();
+
+      const select = document.createElement('select');
+      ['webm', 'mp4'].forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        select.appendChild(option);
+      });
+
+      formatElements = { ...mockElements, settingRecordingFormat: select };
+    });
+
+    it('should load and save the recording format', () => {
+      component.initialize(formatElements);
+
+      expect(formatElements.settingRecordingFormat.value).toBe('mp4');
+
+      formatElements.settingRecordingFormat.value = 'webm';
+      formatElements.settingRecordingFormat.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setRecordingFormat).toHaveBeenCalledWith('webm');
+    });
+  });
+
+  describe('Recording quality settings', () => {
+    let qualityElements;
+
+    const balanced = { preset: 'balanced', codec: 'vp9', videoBitrateKbps: 2500, audioBitrateKbps: 128, frameRate: 60, scale: 0 };
+    const small = { preset: 'small', codec: 'vp9', videoBitrateKbps: 800, audioBitrateKbps: 96, frameRate: 30, scale: 3 };
+
+    beforeEach(() => {
+      vi.stubGlobal('MediaRecorder', { isTypeSupported: vi.fn(type => !type.includes('av01')) });
+
+      mockSettingsService.getRecordingQuality = vi.fn(() => balanced);
+      mockSettingsService.setRecordingQualityPreset = vi.fn();
+      mockSettingsService.setRecordingCodec = vi.fn();
+      mockSettingsService.setRecordingVideoBitrate = vi.fn();
+      mockSettingsService.setRecordingFrameRate = vi.fn();
+      mockSettingsService.setRecordingOutputScale = vi.fn();
+
+      qualityElements = {
+        ...mockElements,
+        settingRecordingQuality: createSelect(['archive', 'balanced', 'small', 'custom']),
+        settingRecordingEstimate: document.createElement('span'),
+        settingRecordingCodec: createSelect(['vp9', 'vp8', 'av1'], value => value.toUpperCase()),
+        settingRecordingBitrate: createSelect([800, 2500, 5000]),
+        settingRecordingFrameRate: createSelect([30, 60]),
+        settingRecordingScale: createSelect([0, 3])
+      };
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should load the stored quality with a size estimate', () => {
+      component.initialize(qualityElements);
+
+      expect(qualityElements.settingRecordingQuality.value).toBe('balanced');
+      expect(qualityElements.settingRecordingCodec.value).toBe('vp9');
+      expect(qualityElements.settingRecordingBitrate.value).toBe('2500');
+      expect(qualityElements.settingRecordingFrameRate.value).toBe('60');
+      expect(qualityElements.settingRecordingScale.value).toBe('0');
+      expect(qualityElements.settingRecordingEstimate.textContent).toBe('About 19.7 MB per minute');
+    });
+
+    it('should disable codecs MediaRecorder cannot write', () => {
+      component.initialize(qualityElements);
+
+      const [vp9, , av1] = qualityElements.settingRecordingCodec.options;
+      expect(vp9.disabled).toBe(false);
+      expect(av1.disabled).toBe(true);
+      expect(av1.textContent).toBe('AV1 (unsupported)');
+    });
+
+    it('should fill in the advanced options when a preset is chosen', () => {
+      component.initialize(qualityElements);
+      mockSettingsService.getRecordingQuality.mockReturnValue(small);
+
+      qualityElements.settingRecordingQuality.value = 'small';
+      qualityElements.settingRecordingQuality.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setRecordingQualityPreset).toHaveBeenCalledWith('small');
+      expect(qualityElements.settingRecordingBitrate.value).toBe('800');
+      expect(qualityElements.settingRecordingFrameRate.value).toBe('30');
+      expect(qualityElements.settingRecordingScale.value).toBe('3');
+      expect(qualityElements.settingRecordingEstimate.textContent).toBe('About 6.7 MB per minute');
+    });
+
+    it('should switch to custom when an advanced option changes', () => {
+      component.initialize(qualityElements);
+      mockSettingsService.getRecordingQuality.mockReturnValue({ ...balanced, preset: 'custom', videoBitrateKbps: 5000 });
+
+      qualityElements.settingRecordingBitrate.value = '5000';
+      qualityElements.settingRecordingBitrate.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setRecordingVideoBitrate).toHaveBeenCalledWith(5000);
+      expect(qualityElements.settingRecordingQuality.value).toBe('custom');
+      expect(qualityElements.settingRecordingEstimate.textContent).toBe('About 38.5 MB per minute');
+    });
+
+    it('should save the other advanced options', () => {
+      component.initialize(qualityElements);
+
+      qualityElements.settingRecordingCodec.value = 'vp8';
+      qualityElements.settingRecordingCodec.dispatchEvent(new Event('change'));
+      qualityElements.settingRecordingFrameRate.value = '30';
+      qualityElements.settingRecordingFrameRate.dispatchEvent(new Event('change'));
+      qualityElements.settingRecordingScale.value = '3';
+      qualityElements.settingRecordingScale.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setRecordingCodec).toHaveBeenCalledWith('vp8');
+      expect(mockSettingsService.setRecordingFrameRate).toHaveBeenCalledWith(30);
+      expect(mockSettingsService.setRecordingOutputScale).toHaveBeenCalledWith(3);
+    });
+  });
+
+  describe('Recording segment settings', () => {
+    let segmentElements;
+
+    beforeEach(() => {
+      mockSettingsService.getRecordingSegmentMinutes = vi.fn(() => 10);
+      mockSettingsService.setRecordingSegmentMinutes = vi.fn();
+      mockSettingsService.getRecordingSegmentSizeMb = vi.fn(() => 2000);
+      mockSettingsService.setRecordingSegmentSizeMb = vi.fn();
+
+      segmentElements = {
+        ...mockElements,
+        settingRecordingSegmentMinutes: createSelect([0, 5, 10]),
+        settingRecordingSegmentSize: createSelect([0, 500, 2000])
+      };
+    });
+
+    it('should load stored segment limits', () => {
+      component.initialize(segmentElements);
+
+      expect(segmentElements.settingRecordingSegmentMinutes.value).toBe('10');
+      expect(segmentElements.settingRecordingSegmentSize.value).toBe('2000');
+    });
+
+    it('should save segment limits as numbers', () => {
+      component.initialize(segmentElements);
+
+      segmentElements.settingRecordingSegmentMinutes.value = '5';
+      segmentElements.settingRecordingSegmentMinutes.dispatchEvent(new Event('change'));
+      segmentElements.settingRecordingSegmentSize.value = '0';
+      segmentElements.settingRecordingSegmentSize.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setRecordingSegmentMinutes).toHaveBeenCalledWith(5);
+      expect(mockSettingsService.setRecordingSegmentSizeMb).toHaveBeenCalledWith(0);
+    });
+  });
+
+  describe('Recording review setting', () => {
+    let reviewElements;
+
+    beforeEach(() => {
+      mockSettingsService.getRecordingReviewEnabled = vi.fn(() => true);
+      mockSettingsService.setRecordingReviewEnabled = vi.fn();
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      reviewElements = { ...mockElements, settingRecordingReview: checkbox };
+    });
+
+    it('should load the stored preference', () => {
+      component.initialize(reviewElements);
+
+      expect(reviewElements.settingRecordingReview.checked).toBe(true);
+    });
+
+    it('should save the preference when toggled', () => {
+      component.initialize(reviewElements);
+
+      reviewElements.settingRecordingReview.checked = false;
+      reviewElements.settingRecordingReview.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setRecordingReviewEnabled).toHaveBeenCalledWith(false);
+    });
+  });
+
+  describe('Dual-track recording setting', () => {
+    let dualTrackElements;
+
+    beforeEach(() => {
+      mockSettingsService.getRecordingDualTrack = vi.fn(() => true);
+      mockSettingsService.setRecordingDualTrack = vi.fn();
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      dualTrackElements = { ...mockElements, settingRecordingDualTrack: checkbox };
+    });
+
+    it('should load and save the preference', () => {
+      component.initialize(dualTrackElements);
+
+      expect(dualTrackElements.settingRecordingDualTrack.checked).toBe(true);
+
+      dualTrackElements.settingRecordingDualTrack.checked = false;
+      dualTrackElements.settingRecordingDualTrack.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setRecordingDualTrack).toHaveBeenCalledWith(false);
+    });
+  });
+
+  describe('Capture folder settings', () => {
+    let mockCaptureStorageAdapter;
+    let captureElements;
+
+    beforeEach(() => {
+      mockCaptureStorageAdapter = {
+        isAvailable: vi.fn(() => true),
+        getSettings: vi.fn(async () => ({
+          success: true,
+          settings: { directory: '/home/user/Pictures/PrismGB', askEveryTime: false }
+        })),
+        updateSettings: vi.fn(async (updates) => ({
+          success: true,
+          settings: { directory: '/home/user/Pictures/PrismGB', askEveryTime: false, ...updates }
+        })),
+        chooseDirectory: vi.fn(async () => ({ success: true, canceled: false, directory: '/captures' }))
+      };
+
+      captureElements = {
+        ...mockElements,
+        settingCaptureFolder: document.createElement('span'),
+        settingCaptureFolderBtn: document.createElement('button'),
+        settingCaptureAskEveryTime: document.createElement('input'),
+        settingCaptureGameFolders: document.createElement('input')
+      };
+      captureElements.settingCaptureAskEveryTime.type = 'checkbox';
+      captureElements.settingCaptureGameFolders.type = 'checkbox';
+
+      component = new SettingsMenuComponent({
+        settingsService: mockSettingsService,
+        captureStorageAdapter: mockCaptureStorageAdapter,
+        eventBus: mockEventBus,
+        logger: mockLogger
+      });
+    });
+
+    it('should show the stored capture folder on initialize', async () => {
+      component.initialize(captureElements);
+      await vi.waitFor(() => {
+        expect(captureElements.settingCaptureFolder.textContent).toBe('/home/user/Pictures/PrismGB');
+      });
+      expect(captureElements.settingCaptureAskEveryTime.checked).toBe(false);
+    });
+
+    it('should update folder label after choosing a directory', async () => {
+      component.initialize(captureElements);
+
+      captureElements.settingCaptureFolderBtn.click();
+
+      await vi.waitFor(() => {
+        expect(captureElements.settingCaptureFolder.textContent).toBe('/captures');
+      });
+      expect(mockCaptureStorageAdapter.chooseDirectory).toHaveBeenCalled();
+    });
+
+    it('should keep folder label when directory picker is canceled', async () => {
+      mockCaptureStorageAdapter.chooseDirectory.mockResolvedValue({ success: true, canceled: true, directory: '/old' });
+      component.initialize(captureElements);
+      await vi.waitFor(() => {
+        expect(captureElements.settingCaptureFolder.textContent).toBe('/home/user/Pictures/PrismGB');
+      });
+
+      captureElements.settingCaptureFolderBtn.click();
+      await Promise.resolve();
+
+      expect(captureElements.settingCaptureFolder.textContent).toBe('/home/user/Pictures/PrismGB');
+    });
+
+    it('should persist ask every time toggle', async () => {
+      component.initialize(captureElements);
+
+      captureElements.settingCaptureAskEveryTime.checked = true;
+      captureElements.settingCaptureAskEveryTime.dispatchEvent(new Event('change'));
+
+      expect(mockCaptureStorageAdapter.updateSettings).toHaveBeenCalledWith({ askEveryTime: true });
+    });
+
+    it('should load and persist the game folders toggle', async () => {
+      mockCaptureStorageAdapter.getSettings.mockResolvedValue({
+        success: true,
+        settings: { directory: '/captures', askEveryTime: false, gameFolders: true }
+      });
+      component.initialize(captureElements);
+      await vi.waitFor(() => {
+        expect(captureElements.settingCaptureGameFolders.checked).toBe(true);
+      });
+
+      captureElements.settingCaptureGameFolders.checked = false;
+      captureElements.settingCaptureGameFolders.dispatchEvent(new Event('change'));
+
+      expect(mockCaptureStorageAdapter.updateSettings).toHaveBeenCalledWith({ gameFolders: false });
+    });
+
+    it('should disable capture controls when capture API is unavailable', () => {
+      mockCaptureStorageAdapter.isAvailable.mockReturnValue(false);
+
+      component.initialize(captureElements);
+
+      expect(captureElements.settingCaptureFolderBtn.disabled).toBe(true);
+      expect(captureElements.settingCaptureAskEveryTime.disabled).toBe(true);
+      expect(captureElements.settingCaptureGameFolders.disabled).toBe(true);
+      expect(mockCaptureStorageAdapter.getSettings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Capture filename template setting', () => {
+    let templateElements;
+
+    beforeEach(() => {
+      mockSettingsService.getCaptureFilenameTemplate = vi.fn(() => '{game}-{counter}');
+      mockSettingsService.setCaptureFilenameTemplate = vi.fn(() => null);
+
+      const hint = document.createElement('span');
+      hint.textContent = 'Tokens: {type} {game}';
+      templateElements = {
+        ...mockElements,
+        settingCaptureFilenameTemplate: document.createElement('input'),
+        settingCaptureFilenameHint: hint
+      };
+    });
+
+    it('should load and save the template', () => {
+      component.initialize(templateElements);
+
+      expect(templateElements.settingCaptureFilenameTemplate.value).toBe('{game}-{counter}');
+
+      templateElements.settingCaptureFilenameTemplate.value = '{date}-{game}';
+      templateElements.settingCaptureFilenameTemplate.dispatchEvent(new Event('change'));
+
+      expect(mockSettingsService.setCaptureFilenameTemplate).toHaveBeenCalledWith('{date}-{game}');
+    });
+
+    it('should flag an invalid template while typing', () => {
+      component.initialize(templateElements);
+      const input = templateElements.settingCaptureFilenameTemplate;
+
+      input.value = '{game}/{date}';
+      input.dispatchEvent(new Event('input'));
+
+      expect(input.getAttribute('aria-invalid')).toBe('true');
+      expect(templateElements.settingCaptureFilenameHint.textContent).toBe('Filenames cannot contain /');
+
+      input.value = '{game}-{date}';
+      input.dispatchEvent(new Event('input'));
+
+      expect(input.getAttribute('aria-invalid')).toBe('false');
+      expect(templateElements.settingCaptureFilenameHint.textContent).toBe('Tokens: {type} {game}');
+    });
+
+    it('should show why a template was not saved', () => {
+      mockSettingsService.setCaptureFilenameTemplate.mockReturnValue('Unknown token {title}');
+      component.initialize(templateElements);
+
+      templateElements.settingCaptureFilenameTemplate.value = '{title}';
+      templateElements.settingCaptureFilenameTemplate.dispatchEvent(new Event('change'));
+
+      expect(templateElements.settingCaptureFilenameHint.textContent).toBe('Unknown token {title}');
+    });
+  });
+
   describe('Disclaimer toggle', () => {
     beforeEach(() => {
       component.initialize(mockElements);
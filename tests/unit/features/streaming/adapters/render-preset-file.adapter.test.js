@@ -0,0 +1,104 @@
+/**
+ * RenderPresetFileAdapter Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('@renderer/lib/file-download.utils.js', () => ({
+  downloadFile: vi.fn()
+}));
+
+import { downloadFile } from '@renderer/lib/file-download.utils.js';
+import { RenderPresetFileAdapter } from '@renderer/features/streaming/adapters/render-preset-file.adapter.js';
+
+describe('RenderPresetFileAdapter', () => {
+  let mockPresetAPI;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    mockPresetAPI = {
+      exportPreset: vi.fn(async () => ({ success: true, canceled: false, filePath: '/presets/Night.prismgb-preset.json' })),
+      importPreset: vi.fn(async () => ({ success: true, canceled: false, contents: '{}' })),
+      importLut: vi.fn(async () => ({ success: true, canceled: false, name: 'Warm.cube', contents: 'LUT_3D_SIZE 2' })),
+      saveLut: vi.fn(async () => ({ success: true, file: 'Warm.cube' })),
+      readLut: vi.fn(async () => ({ success: true, contents: 'LUT_3D_SIZE 2' })),
+      listLuts: vi.fn(async () => ({ success: true, files: ['Warm.cube'] }))
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.presetAPI;
+  });
+
+  describe('with preset API', () => {
+    let adapter;
+
+    beforeEach(() => {
+      globalThis.presetAPI = mockPresetAPI;
+      adapter = new RenderPresetFileAdapter();
+    });
+
+    it('should report available', () => {
+      expect(adapter.isAvailable()).toBe(true);
+    });
+
+    it('should hand the file to the main process', async () => {
+      const result = await adapter.exportPreset('Night.prismgb-preset.json', '{}');
+
+      expect(mockPresetAPI.exportPreset).toHaveBeenCalledWith('Night.prismgb-preset.json', '{}');
+      expect(result.filePath).toBe('/presets/Night.prismgb-preset.json');
+      expect(downloadFile).not.toHaveBeenCalled();
+    });
+
+    it('should return the contents of the chosen file', async () => {
+      const result = await adapter.importPreset();
+
+      expect(result).toEqual({ success: true, canceled: false, contents: '{}' });
+    });
+
+    it('should turn IPC failures into error results', async () => {
+      mockPresetAPI.importPreset.mockRejectedValue(new Error('IPC closed'));
+
+      const result = await adapter.importPreset();
+
+      expect(result).toEqual({ success: false, error: 'IPC closed' });
+    });
+
+    it('should pass LUT library calls to the main process', async () => {
+      expect(await adapter.saveLut('Warm.cube', 'LUT_3D_SIZE 2')).toEqual({ success: true, file: 'Warm.cube' });
+      expect(await adapter.readLut('Warm.cube')).toEqual({ success: true, contents: 'LUT_3D_SIZE 2' });
+      expect(await adapter.listLuts()).toEqual({ success: true, files: ['Warm.cube'] });
+      expect(mockPresetAPI.saveLut).toHaveBeenCalledWith('Warm.cube', 'LUT_3D_SIZE 2');
+      expect(mockPresetAPI.readLut).toHaveBeenCalledWith('Warm.cube');
+    });
+  });
+
+  describe('without preset API', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new RenderPresetFileAdapter();
+    });
+
+    it('should download exported presets instead', async () => {
+      downloadFile.mockResolvedValue();
+
+      const result = await adapter.exportPreset('Night.prismgb-preset.json', '{}');
+
+      expect(downloadFile).toHaveBeenCalledWith(expect.any(Blob), 'Night.prismgb-preset.json');
+      expect(result).toEqual({ success: true, canceled: false, filePath: null });
+    });
+
+    it('should not be able to import', async () => {
+      const result = await adapter.importPreset();
+
+      expect(result).toEqual({ success: false, error: 'Preset API not available' });
+    });
+
+    it('should not have a LUT library', async () => {
+      expect(await adapter.importLut()).toEqual({ success: false, error: 'Preset API not available' });
+      expect(await adapter.readLut('Warm.cube')).toEqual({ success: false, error: 'Preset API not available' });
+    });
+  });
+});
@@ -7,6 +7,7 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import { StreamingGpuRendererService } from '@renderer/features/streaming/rendering/gpu/streaming-gpu-renderer.service.js';
 import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { createCustomPreset, getPresetById } from '@renderer/features/streaming/rendering/presets/streaming-render-presets.config.js';
 
 // Mock the capability detector
 vi.mock('@renderer/features/streaming/rendering/gpu/capability-detector.js', () => ({
@@ -62,6 +63,8 @@ describe('StreamingGpuRendererService', () => {
   let mockLogger;
   let mockLoggerFactory;
   let mockSettingsService;
+  let mockRenderPresetService;
+  let mockLutService;
 
   beforeEach(() => {
     vi.useFakeTimers();
@@ -87,6 +90,14 @@ describe('StreamingGpuRendererService', () => {
       getRenderPreset: vi.fn(() => 'default')
     };
 
+    mockRenderPresetService = {
+      getPresetById: vi.fn((id) => getPresetById(id))
+    };
+
+    mockLutService = {
+      loadLut: vi.fn()
+    };
+
     // Mock Worker constructor
     global.Worker = vi.fn().mockImplementation(() => ({
       postMessage: vi.fn(),
@@ -98,7 +109,9 @@ describe('StreamingGpuRendererService', () => {
     service = new StreamingGpuRendererService({
       eventBus: mockEventBus,
       loggerFactory: mockLoggerFactory,
-      settingsService: mockSettingsService
+      settingsService: mockSettingsService,
+      renderPresetService: mockRenderPresetService,
+      lutService: mockLutService
     });
   });
 
@@ -256,6 +269,211 @@ describe('StreamingGpuRendererService', () => {
     });
   });
 
+  describe('setPreset', () => {
+    beforeEach(() => {
+      service.setPreset('vibrant');
+    });
+
+    it('should look presets up through the render preset service', () => {
+      service.setPreset('hi-def');
+
+      expect(mockRenderPresetService.getPresetById).toHaveBeenCalledWith('hi-def');
+      expect(service.getPresetId()).toBe('hi-def');
+      expect(service._currentPreset).toBe(getPresetById('hi-def'));
+    });
+
+    it('should ignore unknown presets', () => {
+      service.setPreset('missing');
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Unknown preset: missing');
+      expect(service.getPresetId()).toBe('vibrant');
+    });
+
+    it('should show preview values under the same preset ID', () => {
+      const preview = { ...getPresetById('vibrant'), color: { ...getPresetById('vibrant').color, gamma: 1.1 } };
+
+      service.setPreset('vibrant', preview);
+
+      expect(service._currentPreset).toBe(preview);
+      expect(mockRenderPresetService.getPresetById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should rebuild cached uniforms when the preset values change', () => {
+      const before = service._getCachedUniforms();
+      const preview = { ...getPresetById('vibrant'), color: { ...getPresetById('vibrant').color, gamma: 1.1 } };
+
+      service.setPreset('vibrant', preview);
+
+      expect(service._getCachedUniforms()).not.toBe(before);
+      expect(service._getCachedUniforms().color.gamma).toBe(1.1);
+    });
+  });
+
+  describe('LUT sync', () => {
+    const lut = {
+      size: 2,
+      domainMin: [0, 0, 0],
+      domainMax: [1, 1, 1],
+      data: new Uint8Array(32).fill(128)
+    };
+    const graded = (file, intensity = 0.8) => createCustomPreset({
+      id: 'custom-graded',
+      name: 'Graded',
+      values: { lut: { file, intensity } }
+    });
+    const lutMessages = () => mockWorker.postMessage.mock.calls
+      .map(([message]) => message)
+      .filter(message => message.type === 'setLut');
+    let mockWorker;
+
+    beforeEach(() => {
+      mockWorker = { postMessage: vi.fn(), terminate: vi.fn() };
+      service._worker = mockWorker;
+      service._isReady = true;
+      service._currentPreset = getPresetById('vibrant');
+      mockLutService.loadLut.mockResolvedValue(lut);
+    });
+
+    it('should upload a copy of the preset LUT', async () => {
+      service.setPreset('custom-graded', graded('Warm.cube'));
+      await vi.runAllTimersAsync();
+
+      expect(mockLutService.loadLut).toHaveBeenCalledWith('Warm.cube');
+      const [message] = lutMessages();
+      expect(message.payload.lut).toMatchObject({ file: 'Warm.cube', size: 2, domainMin: [0, 0, 0] });
+      expect(message.payload.lut.data).not.toBe(lut.data);
+      expect(mockWorker.postMessage).toHaveBeenCalledWith(message, [message.payload.lut.data.buffer]);
+    });
+
+    it('should not upload the same LUT again for previews', async () => {
+      service.setPreset('custom-graded', graded('Warm.cube'));
+      await vi.runAllTimersAsync();
+      service.setPreset('custom-graded', graded('Warm.cube', 0.5));
+      await vi.runAllTimersAsync();
+
+      expect(mockLutService.loadLut).toHaveBeenCalledTimes(1);
+      expect(lutMessages()).toHaveLength(1);
+    });
+
+    it('should remove the LUT when the preset has none', async () => {
+      service.setPreset('custom-graded', graded('Warm.cube'));
+      await vi.runAllTimersAsync();
+      service.setPreset('vibrant');
+
+      expect(lutMessages().at(-1).payload).toEqual({ lut: null });
+    });
+
+    it('should drop a LUT that finished loading after the preset changed', async () => {
+      let finishLoading;
+      mockLutService.loadLut.mockReturnValue(new Promise(resolve => { finishLoading = resolve; }));
+
+      service.setPreset('custom-graded', graded('Warm.cube'));
+      service.setPreset('vibrant');
+      finishLoading(lut);
+      await vi.runAllTimersAsync();
+
+      expect(lutMessages().map(message => message.payload.lut?.file ?? null)).toEqual([null]);
+    });
+
+    it('should report a LUT that cannot be loaded', async () => {
+      mockLutService.loadLut.mockRejectedValue(new Error('LUT Warm.cube is not in the LUT library'));
+
+      service.setPreset('custom-graded', graded('Warm.cube'));
+      await vi.runAllTimersAsync();
+
+      expect(lutMessages()).toHaveLength(0);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.STATUS_MESSAGE, {
+        message: 'LUT not applied: LUT Warm.cube is not in the LUT library',
+        type: 'error'
+      });
+    });
+
+    it('should upload the LUT again when a new renderer is ready', async () => {
+      service.setPreset('custom-graded', graded('Warm.cube'));
+      await vi.runAllTimersAsync();
+
+      service._handleWorkerMessage({ data: { type: 'ready', payload: { api: 'webgl2' } } });
+      await vi.runAllTimersAsync();
+
+      expect(lutMessages()).toHaveLength(2);
+    });
+  });
+
+  describe('renderSnapshot', () => {
+    let mockWorker;
+
+    beforeEach(() => {
+      mockWorker = {
+        postMessage: vi.fn(),
+        terminate: vi.fn()
+      };
+      service._worker = mockWorker;
+      service._isReady = true;
+      service._currentPreset = getPresetById('vibrant');
+    });
+
+    const respond = (payload) => {
+      service._handleWorkerMessage({ data: { type: 'snapshotReady', payload } });
+    };
+
+    it('should ask the worker to render at native size times the scale', () => {
+      service.renderSnapshot(4);
+
+      expect(mockWorker.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'renderSnapshot',
+        payload: expect.objectContaining({ width: 640, height: 576, scaleFactor: 4, uniforms: expect.any(Object) })
+      }));
+    });
+
+    it('should resolve with the rendered bitmap', async () => {
+      const bitmap = { width: 640, height: 576, close: vi.fn() };
+      const snapshot = service.renderSnapshot(4);
+
+      respond({ bitmap });
+
+      await expect(snapshot).resolves.toBe(bitmap);
+      expect(service._pendingSnapshot).toBeNull();
+    });
+
+    it('should reject with the worker error', async () => {
+      const snapshot = service.renderSnapshot(2);
+
+      respond({ error: 'No frame rendered yet' });
+
+      await expect(snapshot).rejects.toThrow('No frame rendered yet');
+    });
+
+    it('should time out when the worker does not answer', async () => {
+      const snapshot = service.renderSnapshot(2);
+
+      vi.advanceTimersByTime(1000);
+
+      await expect(snapshot).rejects.toThrow('Snapshot request timed out');
+    });
+
+    it('should reject invalid scales and concurrent snapshots', async () => {
+      await expect(service.renderSnapshot(11)).rejects.toThrow('Invalid snapshot scale: 11');
+      await expect(service.renderSnapshot(1.5)).rejects.toThrow('Invalid snapshot scale: 1.5');
+
+      service.renderSnapshot(2);
+      await expect(service.renderSnapshot(2)).rejects.toThrow('Snapshot already in progress');
+    });
+
+    it('should reject when the renderer is not ready', async () => {
+      service._isReady = false;
+
+      await expect(service.renderSnapshot(2)).rejects.toThrow('GPU renderer not ready');
+    });
+
+    it('should reject a pending snapshot on cleanup', async () => {
+      const snapshot = service.renderSnapshot(2);
+
+      service._cleanup();
+
+      await expect(snapshot).rejects.toThrow('GPU renderer cleanup');
+    });
+  });
+
   describe('canvas recovery scenario', () => {
     it('should allow orchestrator to recreate canvas after init failure', async () => {
       // This test verifies the full recovery flow:
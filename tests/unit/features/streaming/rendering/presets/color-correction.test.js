@@ -0,0 +1,112 @@
+/**
+ * Color Correction Modes Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  COLOR_CORRECTION_MODES,
+  COLOR_CORRECTION_OFF,
+  applyColorCorrection,
+  getColorCorrectionMode,
+  getColorCorrectionModesForUI,
+  getColorCorrectionUniforms,
+  isColorCorrectionMode
+} from '@renderer/features/streaming/rendering/presets/streaming-color-correction.config.js';
+
+const expectColor = (actual, expected) => {
+  actual.forEach((value, channel) => expect(value).toBeCloseTo(expected[channel], 4));
+};
+
+describe('Color correction modes', () => {
+  it('should offer off, GBC LCD, GBA screen and modern balanced', () => {
+    expect(getColorCorrectionModesForUI().map(({ id, name }) => `${id}:${name}`)).toEqual([
+      'off:Off',
+      'gbc-lcd:GBC LCD',
+      'gba:GBA screen',
+      'modern:Modern balanced'
+    ]);
+  });
+
+  it('should keep white white in every mode, apart from the luminance scale', () => {
+    COLOR_CORRECTION_MODES.forEach(({ matrix }) => {
+      [0, 1, 2].forEach(row => {
+        expect(matrix[row * 3] + matrix[row * 3 + 1] + matrix[row * 3 + 2]).toBeCloseTo(1, 6);
+      });
+    });
+  });
+
+  it('should fall back to off for unknown modes', () => {
+    expect(isColorCorrectionMode('gba')).toBe(true);
+    expect(isColorCorrectionMode('sepia')).toBe(false);
+    expect(getColorCorrectionMode('sepia').id).toBe(COLOR_CORRECTION_OFF);
+  });
+
+  describe('getColorCorrectionUniforms', () => {
+    it('should fold the luminance into the matrix rows', () => {
+      const { enabled, rows, inputGamma, outputGamma } = getColorCorrectionUniforms('gbc-lcd');
+
+      expect(enabled).toBe(true);
+      expect(rows[0][0]).toBeCloseTo(0.82 * 0.94, 6);
+      expect(rows[2]).toHaveLength(3);
+      expect([inputGamma, outputGamma]).toEqual([2.2, 2.2]);
+    });
+
+    it('should be an identity that the shaders skip when off', () => {
+      expect(getColorCorrectionUniforms(COLOR_CORRECTION_OFF)).toEqual({
+        enabled: false,
+        rows: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+        inputGamma: 1,
+        outputGamma: 1
+      });
+    });
+  });
+
+  describe('applyColorCorrection', () => {
+    it('should leave colors alone when off', () => {
+      expectColor(applyColorCorrection([0.2, 0.6, 0.9], COLOR_CORRECTION_OFF), [0.2, 0.6, 0.9]);
+    });
+
+    it('should keep black black', () => {
+      COLOR_CORRECTION_MODES.forEach(({ id }) => {
+        expectColor(applyColorCorrection([0, 0, 0], id), [0, 0, 0]);
+      });
+    });
+
+    it('should dim white by the luminance of the mode', () => {
+      const white = Math.pow(0.94, 1 / 2.2);
+
+      expectColor(applyColorCorrection([1, 1, 1], 'gbc-lcd'), [white, white, white]);
+      expectColor(applyColorCorrection([1, 1, 1], 'modern'), [1, 1, 1]);
+    });
+
+    it('should mix pure red into the other channels like the GBC screen', () => {
+      const channel = (weight) => Math.pow(weight * 0.94, 1 / 2.2);
+
+      expectColor(applyColorCorrection([1, 0, 0], 'gbc-lcd'), [channel(0.82), channel(0.125), channel(0.195)]);
+    });
+
+    it('should darken mid-tones on the GBA screen', () => {
+      const [gbc] = applyColorCorrection([0.5, 0.5, 0.5], 'gbc-lcd');
+      const [gba] = applyColorCorrection([0.5, 0.5, 0.5], 'gba');
+
+      expect(gba).toBeLessThan(gbc);
+      expect(gba).toBeCloseTo(Math.pow(0.91 * Math.pow(0.5, 2.4), 1 / 2.2), 4);
+    });
+
+    it('should clamp channels the matrix pushes out of range', () => {
+      // Pure blue gets a negative red contribution from the GBC matrix
+      const [red, green, blue] = applyColorCorrection([0, 0, 1], 'gbc-lcd');
+
+      expect(red).toBe(0);
+      expect(green).toBeGreaterThan(0);
+      expect(blue).toBeLessThanOrEqual(1);
+    });
+
+    it('should desaturate less in modern balanced than on the GBC screen', () => {
+      const [, modernGreen] = applyColorCorrection([0, 1, 0], 'modern');
+      const [, gbcGreen] = applyColorCorrection([0, 1, 0], 'gbc-lcd');
+
+      expect(modernGreen).toBeGreaterThan(gbcGreen);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Cube LUT Parser Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseCubeLut } from '@renderer/features/streaming/rendering/presets/streaming-cube-lut.utils.js';
+
+/**
+ * Build an identity .cube file
+ * @param {number} size
+ * @param {string[]} [header]
+ * @returns {string}
+ */
+function identityCube(size, header = []) {
+  const rows = [];
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        rows.push([r, g, b].map(value => (value / (size - 1)).toFixed(6)).join(' '));
+      }
+    }
+  }
+  return [...header, `LUT_3D_SIZE ${size}`, ...rows].join('\n');
+}
+
+/**
+ * Decode half-float bits
+ * @param {number} bits
+ * @returns {number}
+ */
+function fromHalfFloat(bits) {
+  const exponent = (bits >> 10) & 0x1f;
+  const mantissa = bits & 0x3ff;
+  const magnitude = exponent === 0
+    ? mantissa * 2 ** -24
+    : (1 + mantissa / 1024) * 2 ** (exponent - 15);
+  return bits & 0x8000 ? -magnitude : magnitude;
+}
+
+// Half-float bits of 1.0 and 0.5
+const ONE = 0x3c00;
+const HALF = 0x3800;
+
+describe('parseCubeLut', () => {
+  it.each([17, 33, 65])('should read a %i-point LUT', (size) => {
+    const lut = parseCubeLut(identityCube(size));
+
+    expect(lut.size).toBe(size);
+    expect(lut.data).toBeInstanceOf(Uint16Array);
+    expect(lut.data).toHaveLength(size * size * size * 4);
+    // Last entry is white
+    expect(Array.from(lut.data.slice(-4))).toEqual([ONE, ONE, ONE, ONE]);
+  });
+
+  it('should store texels red fastest, then green, then blue', () => {
+    const { data } = parseCubeLut(identityCube(2));
+
+    expect(Array.from(data.slice(4, 8))).toEqual([ONE, 0, 0, ONE]);
+    expect(Array.from(data.slice(8, 12))).toEqual([0, ONE, 0, ONE]);
+    expect(Array.from(data.slice(16, 20))).toEqual([0, 0, ONE, ONE]);
+  });
+
+  it('should keep more precision than 8 bits per channel', () => {
+    const contents = identityCube(2).replace(/\n0\.000000 0\.000000 0\.000000/, '\n0.1 0.5 0.5009765625');
+    const texel = Array.from(parseCubeLut(contents).data.slice(0, 3)).map(fromHalfFloat);
+
+    expect(texel[0]).toBeCloseTo(0.1, 4);
+    expect(texel[1]).toBe(0.5);
+    // One half-float step above 0.5; 8-bit storage would round both to 128
+    expect(texel[2]).toBe(0.5009765625);
+  });
+
+  it('should read the title, domain, comments and Windows line endings', () => {
+    const lut = parseCubeLut(identityCube(2, [
+      '# Exported by a grading tool',
+      'TITLE "Warm Film"',
+      'DOMAIN_MIN 0 0 0',
+      'DOMAIN_MAX 1 1 2',
+      ''
+    ]).replace(/\n/g, '\r\n'));
+
+    expect(lut.title).toBe('Warm Film');
+    expect(lut.domainMin).toEqual([0, 0, 0]);
+    expect(lut.domainMax).toEqual([1, 1, 2]);
+  });
+
+  it('should clamp table values into 0-1', () => {
+    const contents = identityCube(2).replace(/\n0\.000000 0\.000000 0\.000000/, '\n-0.2 1.5 0.5');
+
+    expect(Array.from(parseCubeLut(contents).data.slice(0, 4))).toEqual([0, ONE, HALF, ONE]);
+  });
+
+  it('should report missing or surplus entries', () => {
+    const rows = identityCube(2).split('\n');
+
+    expect(() => parseCubeLut(rows.slice(0, -1).join('\n')))
+      .toThrow('The LUT has 7 of the 8 entries LUT_3D_SIZE 2 needs');
+    expect(() => parseCubeLut([...rows, '1 1 1'].join('\n')))
+      .toThrow('The LUT has more than the 8 entries LUT_3D_SIZE 2 needs');
+  });
+
+  it('should report malformed lines with their line number', () => {
+    const rows = identityCube(2).split('\n');
+    rows[3] = '0.5 zero 0.5';
+
+    expect(() => parseCubeLut(rows.join('\n'))).toThrow('Line 4: Expected three numbers, found "0.5 zero 0.5"');
+  });
+
+  it('should reject files that are not 3D LUTs', () => {
+    expect(() => parseCubeLut('')).toThrow('This is not a 3D LUT file (no LUT_3D_SIZE)');
+    expect(() => parseCubeLut('LUT_1D_SIZE 1024\n0 0 0')).toThrow('1D LUTs are not supported');
+    expect(() => parseCubeLut('0 0 0')).toThrow('Line 1: LUT_3D_SIZE must come before the table');
+  });
+
+  it('should reject sizes it cannot upload', () => {
+    expect(() => parseCubeLut('LUT_3D_SIZE 1')).toThrow('Line 1: LUT_3D_SIZE must be a whole number from 2 to 65');
+    expect(() => parseCubeLut('LUT_3D_SIZE 129')).toThrow('from 2 to 65');
+    expect(() => parseCubeLut('LUT_3D_SIZE 16.5')).toThrow('from 2 to 65');
+  });
+
+  it('should read LUT_3D_INPUT_RANGE as the domain of all channels', () => {
+    const lut = parseCubeLut(identityCube(2, ['LUT_3D_INPUT_RANGE 0.0 2.0']));
+
+    expect(lut.domainMin).toEqual([0, 0, 0]);
+    expect(lut.domainMax).toEqual([2, 2, 2]);
+  });
+
+  it('should skip keywords it does not know', () => {
+    const lut = parseCubeLut(identityCube(2, ['LUT_STYLE warm', 'LUT_IN_VIDEO_RANGE', 'TITLE "Warm"']));
+
+    expect(lut.title).toBe('Warm');
+    expect(lut.size).toBe(2);
+  });
+
+  it('should reject bad domains', () => {
+    expect(() => parseCubeLut(identityCube(2, ['DOMAIN_MIN 0 0']))).toThrow('Line 1: DOMAIN_MIN needs three numbers');
+    expect(() => parseCubeLut(identityCube(2, ['LUT_3D_INPUT_RANGE 0']))).toThrow('Line 1: LUT_3D_INPUT_RANGE needs two numbers');
+    expect(() => parseCubeLut(identityCube(2, ['LUT_3D_INPUT_RANGE 1 1']))).toThrow('DOMAIN_MIN must be below DOMAIN_MAX');
+    expect(() => parseCubeLut(identityCube(2, ['DOMAIN_MIN 1 0 0', 'DOMAIN_MAX 1 1 1'])))
+      .toThrow('DOMAIN_MIN must be below DOMAIN_MAX');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Render Preset File Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  PRESET_FILE_FORMAT,
+  PRESET_FILE_VERSION,
+  parsePresetFile,
+  serializePresetFile
+} from '@renderer/features/streaming/rendering/presets/streaming-render-preset-file.utils.js';
+import {
+  createCustomPreset,
+  getPresetById,
+  getPresetValues
+} from '@renderer/features/streaming/rendering/presets/streaming-render-presets.config.js';
+
+describe('Render Preset Files', () => {
+  const fileFor = (preset) => ({ format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION, preset });
+  const parse = (file) => parsePresetFile(JSON.stringify(file));
+
+  describe('serializePresetFile', () => {
+    it('should lay the preset out like RenderPreset, without its ID', () => {
+      const file = JSON.parse(serializePresetFile(getPresetById('vintage')));
+
+      expect(file.format).toBe(PRESET_FILE_FORMAT);
+      expect(file.version).toBe(PRESET_FILE_VERSION);
+      expect(file.preset).toEqual({
+        name: 'Vintage',
+        description: getPresetById('vintage').description,
+        upscale: { enabled: true },
+        unsharp: { enabled: false, strength: 0 },
+        color: { enabled: true, ...getPresetValues(getPresetById('vintage')).color },
+        lut: { enabled: false, file: null, intensity: 0 },
+        crt: { enabled: true, ...getPresetValues(getPresetById('vintage')).crt }
+      });
+    });
+
+    it('should read back every built-in preset unchanged', () => {
+      ['true-color', 'vibrant', 'hi-def', 'vintage', 'pixel', 'performance'].forEach(id => {
+        const preset = getPresetById(id);
+        const { name, values } = parsePresetFile(serializePresetFile(preset));
+
+        expect(name).toBe(preset.name);
+        expect(getPresetValues(createCustomPreset({ id: 'custom-x', name, values }))).toEqual(getPresetValues(preset));
+      });
+    });
+
+    it('should keep the color correction mode', () => {
+      const preset = createCustomPreset({ id: 'custom-a', name: 'LCD', values: { color: { correction: 'gbc-lcd' } } });
+      const { values } = parsePresetFile(serializePresetFile(preset));
+
+      expect(values.color.correction).toBe('gbc-lcd');
+    });
+
+    it('should keep the LUT reference and mix', () => {
+      const preset = createCustomPreset({
+        id: 'custom-a',
+        name: 'Graded',
+        values: { lut: { file: 'Warm Film.cube', intensity: 0.75 } }
+      });
+      const { values } = parsePresetFile(serializePresetFile(preset));
+
+      expect(values.lut).toEqual({ file: 'Warm Film.cube', intensity: 0.75 });
+    });
+  });
+
+  describe('parsePresetFile', () => {
+    it('should clamp values to the parameter ranges and list them', () => {
+      const { values, adjusted } = parse(fileFor({
+        name: 'Loud',
+        unsharp: { strength: 4 },
+        color: { gamma: 0.2, saturation: 1.1 }
+      }));
+
+      expect(values.unsharp.strength).toBe(1.5);
+      expect(values.color).toEqual({ gamma: 0.8, saturation: 1.1 });
+      expect(adjusted).toEqual(['unsharp.strength', 'color.gamma']);
+    });
+
+    it('should use neutral values for passes turned off', () => {
+      const { values, adjusted } = parse(fileFor({
+        name: 'Flat',
+        crt: { enabled: false, scanlineStrength: 0.3, curvature: 9 }
+      }));
+
+      expect(values.crt).toEqual({
+        scanlineStrength: 0, pixelMaskStrength: 0, bloomStrength: 0, curvature: 0, vignetteStrength: 0
+      });
+      expect(adjusted).toEqual([]);
+    });
+
+    it('should accept and ignore the preset ID', () => {
+      const { name } = parse(fileFor({ id: 'custom-elsewhere', custom: true, name: '  Night  ' }));
+
+      expect(name).toBe('Night');
+    });
+
+    it('should reject unknown passes and parameters with every problem listed', () => {
+      expect(() => parse(fileFor({
+        name: 'Odd',
+        sepia: { strength: 1 },
+        crt: { glow: 0.2, curvature: 'strong' }
+      }))).toThrow(
+        'preset.crt.curvature must be a number; preset.crt.glow is not a crt parameter; ' +
+        'preset.sepia is not a render pass (expected upscale, unsharp, color, lut, crt)'
+      );
+    });
+
+    it('should require a preset name', () => {
+      expect(() => parse(fileFor({ name: ' ' }))).toThrow('preset.name is not allowed to be empty');
+      expect(() => parse(fileFor({}))).toThrow('preset.name is required');
+    });
+
+    it('should reject files that are not preset files', () => {
+      expect(() => parsePresetFile('{oops')).toThrow('The preset file is not valid JSON');
+      expect(() => parse({ captures: [] })).toThrow('This is not a PrismGB render preset file');
+      expect(() => parse({ format: PRESET_FILE_FORMAT, preset: { name: 'A' } })).toThrow('The preset file has no valid version');
+    });
+
+    it('should reject unknown color correction modes', () => {
+      expect(() => parse(fileFor({ name: 'A', color: { correction: 'sepia' } })))
+        .toThrow('preset.color.correction must be one of [off, gbc-lcd, gba, modern]');
+    });
+
+    it('should read version 2 files, which have no color correction mode', () => {
+      const { values } = parse({ ...fileFor({ name: 'Old', color: { gamma: 0.9 } }), version: 2 });
+
+      expect(values.color).toEqual({ gamma: 0.9 });
+      expect(getPresetValues(createCustomPreset({ id: 'custom-x', name: 'Old', values })).color.correction).toBe('off');
+    });
+
+    it('should read version 1 files, which have no LUT pass', () => {
+      const { values } = parse({ ...fileFor({ name: 'Old', color: { saturation: 1.2 } }), version: 1 });
+
+      expect(values.color).toEqual({ saturation: 1.2 });
+      expect(values.lut?.file).toBeUndefined();
+    });
+
+    it('should reject files from a newer format version', () => {
+      expect(() => parse({ ...fileFor({ name: 'Future' }), version: PRESET_FILE_VERSION + 1 }))
+        .toThrow('This preset file was made by a newer version of PrismGB');
+    });
+  });
+});
@@ -5,10 +5,15 @@
 import { describe, it, expect } from 'vitest';
 import {
   DEFAULT_PRESET_ID,
+  PRESET_PARAMETERS,
+  createCustomPreset,
   getPresetById,
+  getPresetValues,
   getPresetsForUI,
-  buildUniformsFromPreset
+  buildUniformsFromPreset,
+  withColorCorrection
 } from '@renderer/features/streaming/rendering/presets/streaming-render-presets.config.js';
+import { getColorCorrectionUniforms } from '@renderer/features/streaming/rendering/presets/streaming-color-correction.config.js';
 
 describe('RenderPresets', () => {
   describe('DEFAULT_PRESET_ID', () => {
@@ -144,6 +149,116 @@ describe('RenderPresets', () => {
     });
   });
 
+  describe('custom presets', () => {
+    const values = {
+      unsharp: { strength: 0.5 },
+      color: { correction: 'off', gamma: 1.0, saturation: 1.3, greenBias: 0.0, brightness: 1.0, contrast: 1.0 },
+      lut: { file: null, intensity: 0 },
+      crt: { scanlineStrength: 0.2, pixelMaskStrength: 0, bloomStrength: 0, curvature: 0, vignetteStrength: 0 }
+    };
+
+    it('should cover every adjustable parameter of the shader passes', () => {
+      expect(PRESET_PARAMETERS.map(({ pass, key }) => `${pass}.${key}`)).toEqual([
+        'unsharp.strength',
+        'color.gamma', 'color.saturation', 'color.greenBias', 'color.brightness', 'color.contrast',
+        'lut.intensity',
+        'crt.scanlineStrength', 'crt.pixelMaskStrength', 'crt.bloomStrength', 'crt.curvature', 'crt.vignetteStrength'
+      ]);
+    });
+
+    it('should give every parameter a neutral value inside its range', () => {
+      PRESET_PARAMETERS.forEach(({ min, max, neutral }) => {
+        expect(neutral).toBeGreaterThanOrEqual(min);
+        expect(neutral).toBeLessThanOrEqual(max);
+      });
+    });
+
+    it('should keep every built-in value inside the editor ranges', () => {
+      getPresetsForUI().forEach(({ id }) => {
+        const preset = getPresetById(id);
+        PRESET_PARAMETERS.forEach(({ pass, key, min, max }) => {
+          expect(preset[pass][key]).toBeGreaterThanOrEqual(min);
+          expect(preset[pass][key]).toBeLessThanOrEqual(max);
+        });
+      });
+    });
+
+    it('should build a preset from values and read them back', () => {
+      const preset = createCustomPreset({ id: 'custom-a', name: 'Mine', values });
+
+      expect(preset).toMatchObject({ id: 'custom-a', name: 'Mine', custom: true });
+      expect(Object.isFrozen(preset)).toBe(true);
+      expect(getPresetValues(preset)).toEqual(values);
+    });
+
+    it('should only enable passes that change the image', () => {
+      const preset = createCustomPreset({ id: 'custom-a', name: 'Mine', values });
+      const flat = createCustomPreset({
+        id: 'custom-b',
+        name: 'Flat',
+        values: { ...values, unsharp: { strength: 0 }, color: { ...values.color, saturation: 1.0 }, crt: { ...values.crt, scanlineStrength: 0 } }
+      });
+
+      expect([preset.unsharp.enabled, preset.color.enabled, preset.crt.enabled]).toEqual([true, true, true]);
+      expect([flat.unsharp.enabled, flat.color.enabled, flat.crt.enabled]).toEqual([false, false, false]);
+    });
+
+    it('should keep the color correction mode and enable the color pass for it', () => {
+      const flatColor = { ...values.color, saturation: 1.0 };
+      const corrected = createCustomPreset({ id: 'custom-a', name: 'Mine', values: { ...values, color: { ...flatColor, correction: 'gbc-lcd' } } });
+      const unknown = createCustomPreset({ id: 'custom-b', name: 'Mine', values: { ...values, color: { ...flatColor, correction: 'sepia' } } });
+
+      expect(corrected.color).toMatchObject({ enabled: true, correction: 'gbc-lcd' });
+      expect(getPresetValues(corrected).color.correction).toBe('gbc-lcd');
+      expect(unknown.color).toMatchObject({ enabled: false, correction: 'off' });
+    });
+
+    it('should only enable the LUT pass when it names a LUT and mixes it in', () => {
+      const graded = createCustomPreset({ id: 'custom-a', name: 'Mine', values: { ...values, lut: { file: 'Warm.cube', intensity: 0.6 } } });
+      const noFile = createCustomPreset({ id: 'custom-b', name: 'Mine', values: { ...values, lut: { file: '', intensity: 0.6 } } });
+      const noMix = createCustomPreset({ id: 'custom-c', name: 'Mine', values: { ...values, lut: { file: 'Warm.cube', intensity: 0 } } });
+
+      expect(graded.lut).toEqual({ enabled: true, file: 'Warm.cube', intensity: 0.6 });
+      expect(noFile.lut).toEqual({ enabled: false, file: null, intensity: 0.6 });
+      expect(noMix.lut.enabled).toBe(false);
+      expect(getPresetValues(graded).lut).toEqual({ file: 'Warm.cube', intensity: 0.6 });
+    });
+
+    it('should clamp values and fill in missing ones from the default preset', () => {
+      const preset = createCustomPreset({ id: 'custom-a', name: 'Mine', values: { unsharp: { strength: 9 }, color: { gamma: 'x' } } });
+
+      expect(preset.unsharp.strength).toBe(1.5);
+      expect(preset.color.gamma).toBe(getPresetById(DEFAULT_PRESET_ID).color.gamma);
+      expect(preset.crt.curvature).toBe(getPresetById(DEFAULT_PRESET_ID).crt.curvature);
+    });
+
+    it('should find custom presets by id and list them after the built-in ones', () => {
+      const preset = createCustomPreset({ id: 'custom-a', name: 'Mine', values });
+
+      expect(getPresetById('custom-a', [preset])).toBe(preset);
+      expect(getPresetById('custom-b', [preset])).toBeNull();
+      expect(getPresetsForUI([preset]).at(-1)).toEqual({ id: 'custom-a', name: 'Mine', description: 'Custom preset', custom: true });
+      expect(getPresetsForUI()[0].custom).toBe(false);
+    });
+  });
+
+  describe('withColorCorrection', () => {
+    it('should return the preset itself when it already uses the mode', () => {
+      const preset = getPresetById('vibrant');
+
+      expect(withColorCorrection(preset, 'off')).toBe(preset);
+    });
+
+    it('should switch the mode and turn the color pass on for it', () => {
+      const preset = withColorCorrection(getPresetById('performance'), 'gba');
+
+      expect(preset.color).toMatchObject({ enabled: true, correction: 'gba', gamma: 1.0 });
+      expect(preset.crt).toBe(getPresetById('performance').crt);
+      expect(Object.isFrozen(preset.color)).toBe(true);
+      expect(withColorCorrection(preset, 'off').color.enabled).toBe(true);
+    });
+  });
+
   describe('buildUniformsFromPreset', () => {
     const scaleFactor = 4;
     const outputWidth = 640;
@@ -190,6 +305,19 @@ describe('RenderPresets', () => {
       expect(uniforms.color.contrast).toBe(1.1);
     });
 
+    it('should pass the color correction matrix with the color uniforms', () => {
+      const off = buildUniformsFromPreset(getPresetById('vibrant'), scaleFactor, outputWidth, outputHeight);
+      const corrected = buildUniformsFromPreset(
+        withColorCorrection(getPresetById('vibrant'), 'gbc-lcd'),
+        scaleFactor,
+        outputWidth,
+        outputHeight
+      );
+
+      expect(off.color.correction.enabled).toBe(false);
+      expect(corrected.color.correction).toEqual(getColorCorrectionUniforms('gbc-lcd'));
+    });
+
     it('should set CRT uniforms from preset', () => {
       const preset = getPresetById('vintage');
       const uniforms = buildUniformsFromPreset(preset, scaleFactor, outputWidth, outputHeight);
@@ -203,6 +203,31 @@ describe('StreamingRenderPipelineService', () => {
     });
   });
 
+  describe('handleRenderPresetPreview', () => {
+    const preview = { id: 'vibrant', name: 'Preview' };
+
+    it('when GPU active - shows the preview values', () => {
+      service._performanceModeEnabled = false;
+      service._useGPURenderer = true;
+      mockStreamingGpuRendererService.isActive.mockReturnValue(true);
+
+      service.handleRenderPresetPreview({ presetId: 'vibrant', preset: preview });
+
+      expect(mockStreamingGpuRendererService.setPreset).toHaveBeenCalledWith('vibrant', preview);
+    });
+
+    it('when performance mode enabled - ignores the preview', () => {
+      service._performanceModeEnabled = true;
+      service._useGPURenderer = true;
+      mockStreamingGpuRendererService.isActive.mockReturnValue(true);
+
+      service.handleRenderPresetPreview({ presetId: 'vibrant', preset: preview });
+
+      expect(mockStreamingGpuRendererService.setPreset).not.toHaveBeenCalled();
+      expect(service._userPresetId).not.toBe('vibrant');
+    });
+  });
+
   describe('handlePerformanceModeChanged', () => {
     it('when disabled (false) - restores user preset if GPU active', () => {
       service._performanceModeEnabled = true;
@@ -0,0 +1,185 @@
+/**
+ * Render Worker Unit Tests
+ *
+ * Drives the worker's message handler with a mock WebGL2 context
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  WorkerMessageType,
+  WorkerResponseType,
+  createWorkerMessage
+} from '@renderer/features/streaming/rendering/workers/streaming-worker-protocol.config.js';
+import {
+  DEFAULT_PRESET_ID,
+  buildUniformsFromPreset,
+  getPresetById
+} from '@renderer/features/streaming/rendering/presets/streaming-render-presets.config.js';
+
+/**
+ * Mock WebGL2 context: constants resolve to their names, methods to spies
+ */
+function createMockGl() {
+  const gl = {
+    getShaderParameter: vi.fn(() => true),
+    getProgramParameter: vi.fn((program, pname) => pname === 'LINK_STATUS'),
+    getExtension: vi.fn(() => null)
+  };
+
+  return new Proxy(gl, {
+    get(target, prop) {
+      if (!(prop in target) && typeof prop === 'string' && prop !== 'then') {
+        target[prop] = /^[A-Z0-9_]+$/.test(prop) ? prop : vi.fn(() => ({}));
+      }
+      return target[prop];
+    }
+  });
+}
+
+/**
+ * Mock OffscreenCanvas that records every size change
+ */
+function createMockCanvas(gl) {
+  const sizes = [];
+  let width = 300;
+  let height = 150;
+
+  return {
+    sizes,
+    getContext: vi.fn(() => gl),
+    get width() { return width; },
+    set width(value) { width = value; sizes.push(['width', value]); },
+    get height() { return height; },
+    set height(value) { height = value; sizes.push(['height', value]); }
+  };
+}
+
+function uniformsFor(scaleFactor) {
+  const width = 160 * scaleFactor;
+  const height = 144 * scaleFactor;
+  return buildUniformsFromPreset(getPresetById(DEFAULT_PRESET_ID), scaleFactor, width, height);
+}
+
+describe('Render worker', () => {
+  let gl;
+  let canvas;
+  let posted;
+
+  const send = (type, payload) => self.onmessage({ data: createWorkerMessage(type, payload) });
+  const responses = (type) => posted.filter(response => response.type === type);
+
+  beforeEach(async () => {
+    vi.resetModules();
+
+    posted = [];
+    vi.spyOn(self, 'postMessage').mockImplementation((response) => posted.push(response));
+    vi.stubGlobal('createImageBitmap', vi.fn(async (source) => ({
+      width: source.width,
+      height: source.height,
+      close: vi.fn()
+    })));
+
+    gl = createMockGl();
+    canvas = createMockCanvas(gl);
+
+    await import('@renderer/features/streaming/rendering/workers/streaming-render.worker.js');
+
+    await send(WorkerMessageType.INIT, {
+      canvas,
+      config: {
+        api: 'webgl2',
+        nativeWidth: 160,
+        nativeHeight: 144,
+        targetWidth: 640,
+        targetHeight: 576,
+        scaleFactor: 4
+      }
+    });
+  });
+
+  afterEach(() => {
+    self.onmessage = null;
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('SET_LUT', () => {
+    it('should upload the table as a half-float 3D texture', async () => {
+      const data = new Uint16Array(2 * 2 * 2 * 4);
+
+      await send(WorkerMessageType.SET_LUT, {
+        lut: { file: 'warm.cube', size: 2, domainMin: [0, 0, 0], domainMax: [1, 1, 1], data }
+      });
+
+      expect(gl.texImage3D).toHaveBeenCalledWith('TEXTURE_3D', 0, 'RGBA16F', 2, 2, 2, 0, 'RGBA', 'HALF_FLOAT', data);
+      expect(responses(WorkerResponseType.LUT_LOADED)[0].payload).toEqual({ file: 'warm.cube' });
+    });
+  });
+
+  describe('RENDER_SNAPSHOT', () => {
+    it('should report an error before any frame was rendered', async () => {
+      await send(WorkerMessageType.RENDER_SNAPSHOT, {
+        width: 1600,
+        height: 1440,
+        scaleFactor: 10,
+        uniforms: uniformsFor(10)
+      });
+
+      expect(responses(WorkerResponseType.SNAPSHOT_READY)[0].payload).toEqual({
+        error: 'No frame rendered yet'
+      });
+    });
+
+    it('should never change the presentation canvas size', async () => {
+      await send(WorkerMessageType.FRAME, { imageBitmap: { close: vi.fn() }, uniforms: uniformsFor(4) });
+      const sizesBefore = canvas.sizes.length;
+
+      await send(WorkerMessageType.RENDER_SNAPSHOT, {
+        width: 1600,
+        height: 1440,
+        scaleFactor: 10,
+        uniforms: uniformsFor(10)
+      });
+
+      expect(canvas.sizes.length).toBe(sizesBefore);
+      expect(canvas.width).toBe(640);
+      expect(canvas.height).toBe(576);
+
+      const [snapshot] = responses(WorkerResponseType.SNAPSHOT_READY);
+      expect(snapshot.payload.bitmap).toMatchObject({ width: 1600, height: 1440 });
+      expect(createImageBitmap).not.toHaveBeenCalledWith(canvas);
+    });
+
+    it('should render the snapshot into its own framebuffer', async () => {
+      await send(WorkerMessageType.FRAME, { imageBitmap: { close: vi.fn() }, uniforms: uniformsFor(4) });
+      gl.viewport.mockClear();
+
+      await send(WorkerMessageType.RENDER_SNAPSHOT, {
+        width: 1600,
+        height: 1440,
+        scaleFactor: 10,
+        uniforms: uniformsFor(10)
+      });
+
+      expect(gl.viewport.mock.calls.every(([, , width, height]) => width === 1600 && height === 1440)).toBe(true);
+      expect(gl.readPixels).toHaveBeenCalledWith(0, 0, 1600, 1440, 'RGBA', 'UNSIGNED_BYTE', expect.any(Uint8ClampedArray));
+      expect(gl.deleteFramebuffer).toHaveBeenCalledTimes(3);
+    });
+
+    it('should keep rendering live frames after a snapshot', async () => {
+      await send(WorkerMessageType.FRAME, { imageBitmap: { close: vi.fn() }, uniforms: uniformsFor(4) });
+      await send(WorkerMessageType.RENDER_SNAPSHOT, {
+        width: 1600,
+        height: 1440,
+        scaleFactor: 10,
+        uniforms: uniformsFor(10)
+      });
+      gl.viewport.mockClear();
+
+      await send(WorkerMessageType.FRAME, { imageBitmap: { close: vi.fn() }, uniforms: uniformsFor(4) });
+
+      expect(gl.viewport).toHaveBeenCalledWith(0, 0, 640, 576);
+      expect(responses(WorkerResponseType.FRAME_RENDERED)).toHaveLength(2);
+    });
+  });
+});
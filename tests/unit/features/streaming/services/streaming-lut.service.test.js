@@ -0,0 +1,114 @@
+/**
+ * StreamingLutService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { StreamingLutService } from '@renderer/features/streaming/services/streaming-lut.service.js';
+
+const CUBE = ['LUT_3D_SIZE 2', '0 0 0', '1 0 0', '0 1 0', '1 1 0', '0 0 1', '1 0 1', '0 1 1', '1 1 1'].join('\n');
+
+describe('StreamingLutService', () => {
+  let service;
+  let mockAdapter;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    };
+
+    mockAdapter = {
+      importLut: vi.fn(async () => ({ success: true, canceled: false, name: 'Warm.cube', contents: CUBE })),
+      saveLut: vi.fn(async () => ({ success: true, file: 'Warm (2).cube' })),
+      readLut: vi.fn(async () => ({ success: true, contents: CUBE })),
+      listLuts: vi.fn(async () => ({ success: true, files: ['Cool.cube', 'Warm.cube'] }))
+    };
+
+    service = new StreamingLutService({
+      loggerFactory: { create: vi.fn(() => mockLogger) },
+      renderPresetFileAdapter: mockAdapter
+    });
+  });
+
+  describe('importLut', () => {
+    it('should check the file and add it to the library', async () => {
+      const result = await service.importLut();
+
+      expect(mockAdapter.saveLut).toHaveBeenCalledWith('Warm.cube', CUBE);
+      expect(result).toEqual({ canceled: false, file: 'Warm (2).cube' });
+    });
+
+    it('should not add files that are not valid LUTs', async () => {
+      mockAdapter.importLut.mockResolvedValue({ success: true, canceled: false, name: 'notes.cube', contents: 'hello' });
+
+      await expect(service.importLut()).rejects.toThrow('notes.cube is not a valid LUT: Line 1: LUT_3D_SIZE must come before the table');
+      expect(mockAdapter.saveLut).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing when canceled', async () => {
+      mockAdapter.importLut.mockResolvedValue({ success: true, canceled: true });
+
+      expect(await service.importLut()).toEqual({ canceled: true, file: null });
+      expect(mockAdapter.saveLut).not.toHaveBeenCalled();
+    });
+
+    it('should throw the error of a failed read', async () => {
+      mockAdapter.importLut.mockResolvedValue({ success: false, error: 'big.cube is too large to be a LUT' });
+
+      await expect(service.importLut()).rejects.toThrow('big.cube is too large to be a LUT');
+    });
+  });
+
+  describe('loadLut', () => {
+    it('should read and parse a library LUT once', async () => {
+      const first = await service.loadLut('Warm.cube');
+      const second = await service.loadLut('Warm.cube');
+
+      expect(first.size).toBe(2);
+      expect(second).toBe(first);
+      expect(mockAdapter.readLut).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reuse the LUT parsed on import', async () => {
+      await service.importLut();
+
+      await service.loadLut('Warm (2).cube');
+
+      expect(mockAdapter.readLut).not.toHaveBeenCalled();
+    });
+
+    it('should keep only the most recently used LUTs', async () => {
+      for (const file of ['a.cube', 'b.cube', 'c.cube', 'd.cube', 'e.cube']) {
+        await service.loadLut(file);
+      }
+
+      await service.loadLut('a.cube');
+
+      expect(mockAdapter.readLut).toHaveBeenCalledTimes(6);
+    });
+
+    it('should throw when the LUT is missing or broken', async () => {
+      mockAdapter.readLut.mockResolvedValueOnce({ success: false, error: 'LUT Gone.cube is not in the LUT library' });
+      await expect(service.loadLut('Gone.cube')).rejects.toThrow('LUT Gone.cube is not in the LUT library');
+
+      mockAdapter.readLut.mockResolvedValueOnce({ success: true, contents: 'LUT_3D_SIZE 2\n0 0 0' });
+      await expect(service.loadLut('Short.cube')).rejects.toThrow('Short.cube is not a valid LUT: The LUT has 1 of the 8 entries');
+    });
+  });
+
+  describe('listLuts', () => {
+    it('should list the library', async () => {
+      expect(await service.listLuts()).toEqual(['Cool.cube', 'Warm.cube']);
+    });
+
+    it('should list nothing when the library cannot be read', async () => {
+      mockAdapter.listLuts.mockResolvedValue({ success: false, error: 'Preset API not available' });
+
+      expect(await service.listLuts()).toEqual([]);
+      expect(mockLogger.warn).toHaveBeenCalled();
+    });
+  });
+});
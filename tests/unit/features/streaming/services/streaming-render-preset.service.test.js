@@ -0,0 +1,340 @@
+/**
+ * StreamingRenderPresetService Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { StreamingRenderPresetService } from '@renderer/features/streaming/services/streaming-render-preset.service.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { RenderPresetStorageKeys } from '@shared/config/storage-keys.config.js';
+import { getPresetById, getPresetValues } from '@renderer/features/streaming/rendering/presets/streaming-render-presets.config.js';
+import { serializePresetFile } from '@renderer/features/streaming/rendering/presets/streaming-render-preset-file.utils.js';
+
+describe('StreamingRenderPresetService', () => {
+  let service;
+  let mockEventBus;
+  let mockLogger;
+  let mockStorageService;
+  let mockFileAdapter;
+
+  const values = getPresetValues(getPresetById('vintage'));
+
+  const createService = () => new StreamingRenderPresetService({
+    eventBus: mockEventBus,
+    loggerFactory: { create: vi.fn(() => mockLogger) },
+    storageService: mockStorageService,
+    renderPresetFileAdapter: mockFileAdapter
+  });
+
+  beforeEach(() => {
+    mockStorageService = {
+      store: {},
+      getItem: vi.fn((key) => mockStorageService.store[key] || null),
+      setItem: vi.fn((key, value) => { mockStorageService.store[key] = value; })
+    };
+
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    };
+
+    mockEventBus = {
+      publish: vi.fn(),
+      subscribe: vi.fn()
+    };
+
+    mockFileAdapter = {
+      exportPreset: vi.fn().mockResolvedValue({ success: true, canceled: false, filePath: '/presets/Vintage.prismgb-preset.json' }),
+      importPreset: vi.fn().mockResolvedValue({ success: true, canceled: true, contents: null })
+    };
+
+    service = createService();
+  });
+
+  describe('getCustomPresets', () => {
+    it('should return an empty list when nothing is stored', () => {
+      expect(service.getCustomPresets()).toEqual([]);
+    });
+
+    it('should rebuild stored presets and skip broken entries', () => {
+      mockStorageService.store[RenderPresetStorageKeys.CUSTOM_PRESETS] = JSON.stringify([
+        { id: 'custom-a', name: 'Night', values },
+        { id: 'vibrant', name: 'Hijack', values },
+        { id: 'custom-b' },
+        null
+      ]);
+
+      const presets = service.getCustomPresets();
+
+      expect(presets).toHaveLength(1);
+      expect(presets[0]).toMatchObject({ id: 'custom-a', name: 'Night', custom: true });
+      expect(getPresetValues(presets[0])).toEqual(values);
+    });
+
+    it('should log and start empty when stored data is corrupted', () => {
+      mockStorageService.store[RenderPresetStorageKeys.CUSTOM_PRESETS] = '{not json';
+
+      expect(service.getCustomPresets()).toEqual([]);
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+
+    it('should keep preset identity between calls', () => {
+      service.saveCustomPreset({ name: 'Night', values });
+
+      expect(service.getCustomPresets()[0]).toBe(service.getCustomPresets()[0]);
+    });
+  });
+
+  describe('saveCustomPreset', () => {
+    it('should create a preset, store it and announce the change', () => {
+      const preset = service.saveCustomPreset({ name: '  Night  ', values });
+
+      expect(preset.id).toMatch(/^custom-/);
+      expect(preset.name).toBe('Night');
+      expect(service.getPresetById(preset.id)).toBe(preset);
+      expect(JSON.parse(mockStorageService.store[RenderPresetStorageKeys.CUSTOM_PRESETS]))
+        .toEqual([{ id: preset.id, name: 'Night', values }]);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.SETTINGS.CUSTOM_PRESETS_CHANGED, [preset]);
+    });
+
+    it('should survive a restart', () => {
+      const preset = service.saveCustomPreset({ name: 'Night', values });
+
+      const restarted = createService();
+
+      expect(getPresetValues(restarted.getPresetById(preset.id))).toEqual(values);
+    });
+
+    it('should update an existing preset in place with a new object', () => {
+      const first = service.saveCustomPreset({ name: 'Night', values });
+      service.saveCustomPreset({ name: 'Other', values });
+
+      const updated = service.saveCustomPreset({
+        id: first.id,
+        name: 'Night Owl',
+        values: { ...values, unsharp: { strength: 1 } }
+      });
+
+      expect(updated).not.toBe(first);
+      expect(service.getCustomPresets().map(preset => preset.name)).toEqual(['Night Owl', 'Other']);
+      expect(service.getPresetById(first.id).unsharp.strength).toBe(1);
+    });
+
+    it('should reject empty names', () => {
+      expect(() => service.saveCustomPreset({ name: '   ', values })).toThrow('Enter a preset name');
+    });
+
+    it('should reject names already used by any preset', () => {
+      service.saveCustomPreset({ name: 'Night', values });
+
+      expect(() => service.saveCustomPreset({ name: 'vibrant', values })).toThrow('A preset named vibrant already exists');
+      expect(() => service.saveCustomPreset({ name: 'NIGHT', values })).toThrow('A preset named NIGHT already exists');
+    });
+
+    it('should let a preset keep its own name', () => {
+      const preset = service.saveCustomPreset({ name: 'Night', values });
+
+      expect(() => service.saveCustomPreset({ id: preset.id, name: 'Night', values })).not.toThrow();
+    });
+
+    it('should reject updates to presets that do not exist', () => {
+      expect(() => service.saveCustomPreset({ id: 'custom-missing', name: 'Night', values })).toThrow('Preset not found');
+    });
+  });
+
+  describe('deleteCustomPreset', () => {
+    it('should remove the preset and announce the change', () => {
+      const preset = service.saveCustomPreset({ name: 'Night', values });
+      mockEventBus.publish.mockClear();
+
+      expect(service.deleteCustomPreset(preset.id)).toBe(true);
+
+      expect(service.getPresetById(preset.id)).toBeNull();
+      expect(JSON.parse(mockStorageService.store[RenderPresetStorageKeys.CUSTOM_PRESETS])).toEqual([]);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.SETTINGS.CUSTOM_PRESETS_CHANGED, []);
+    });
+
+    it('should return false for unknown presets', () => {
+      expect(service.deleteCustomPreset('custom-missing')).toBe(false);
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPresetsForUI', () => {
+    it('should list built-in presets, then custom ones', () => {
+      service.saveCustomPreset({ name: 'Night', values });
+
+      const presets = service.getPresetsForUI();
+
+      expect(presets).toHaveLength(7);
+      expect(presets[0].id).toBe('true-color');
+      expect(presets[6]).toMatchObject({ name: 'Night', custom: true });
+    });
+  });
+
+  describe('setColorCorrection', () => {
+    it('should remember the mode of a built-in preset across restarts', () => {
+      const preset = service.setColorCorrection('vintage', 'gbc-lcd');
+
+      expect(preset.color).toMatchObject({ enabled: true, correction: 'gbc-lcd', gamma: getPresetById('vintage').color.gamma });
+      expect(service.getPresetById('vintage')).toBe(preset);
+      expect(JSON.parse(mockStorageService.store[RenderPresetStorageKeys.COLOR_CORRECTIONS])).toEqual({ vintage: 'gbc-lcd' });
+      expect(createService().getPresetById('vintage').color.correction).toBe('gbc-lcd');
+    });
+
+    it('should forget the mode when a built-in preset goes back to its own', () => {
+      service.setColorCorrection('vintage', 'gba');
+
+      const preset = service.setColorCorrection('vintage', 'off');
+
+      expect(preset).toBe(getPresetById('vintage'));
+      expect(JSON.parse(mockStorageService.store[RenderPresetStorageKeys.COLOR_CORRECTIONS])).toEqual({});
+    });
+
+    it('should save the mode with a custom preset', () => {
+      const saved = service.saveCustomPreset({ name: 'Mine', values });
+      mockEventBus.publish.mockClear();
+
+      const preset = service.setColorCorrection(saved.id, 'modern');
+
+      expect(preset).toMatchObject({ id: saved.id, name: 'Mine' });
+      expect(preset.color.correction).toBe('modern');
+      expect(service.getPresetById(saved.id)).toBe(preset);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.SETTINGS.CUSTOM_PRESETS_CHANGED, [preset]);
+      expect(mockStorageService.store[RenderPresetStorageKeys.COLOR_CORRECTIONS]).toBeUndefined();
+    });
+
+    it('should reject unknown presets and modes', () => {
+      expect(() => service.setColorCorrection('vintage', 'sepia')).toThrow('Unknown color correction mode: sepia');
+      expect(() => service.setColorCorrection('custom-missing', 'gba')).toThrow('Preset not found');
+    });
+
+    it('should ignore stored modes that are unknown or for custom presets', () => {
+      mockStorageService.store[RenderPresetStorageKeys.COLOR_CORRECTIONS] = JSON.stringify({
+        vintage: 'sepia',
+        'custom-a': 'gba',
+        pixel: 'modern'
+      });
+      service = createService();
+
+      expect(service.getPresetById('vintage')).toBe(getPresetById('vintage'));
+      expect(service.getPresetById('pixel').color.correction).toBe('modern');
+    });
+
+    it('should log and use the presets as they are when stored modes are corrupted', () => {
+      mockStorageService.store[RenderPresetStorageKeys.COLOR_CORRECTIONS] = '{oops';
+      service = createService();
+
+      expect(service.getPresetById('vintage')).toBe(getPresetById('vintage'));
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('exportPreset', () => {
+    it('should write built-in presets to a file named after them', async () => {
+      const result = await service.exportPreset('vintage');
+
+      expect(mockFileAdapter.exportPreset).toHaveBeenCalledWith(
+        'Vintage.prismgb-preset.json',
+        serializePresetFile(getPresetById('vintage'))
+      );
+      expect(result).toEqual({ canceled: false, filePath: '/presets/Vintage.prismgb-preset.json' });
+    });
+
+    it('should write custom presets too', async () => {
+      const preset = service.saveCustomPreset({ name: 'Night Owl', values });
+
+      await service.exportPreset(preset.id);
+
+      expect(mockFileAdapter.exportPreset.mock.calls[0][0]).toBe('Night-Owl.prismgb-preset.json');
+    });
+
+    it('should reject unknown presets', async () => {
+      await expect(service.exportPreset('custom-missing')).rejects.toThrow('Preset not found');
+      expect(mockFileAdapter.exportPreset).not.toHaveBeenCalled();
+    });
+
+    it('should report files that could not be written', async () => {
+      mockFileAdapter.exportPreset.mockResolvedValue({ success: false, error: 'Disk full' });
+
+      await expect(service.exportPreset('vintage')).rejects.toThrow('Disk full');
+    });
+  });
+
+  describe('importPreset', () => {
+    const openFile = (contents) => {
+      mockFileAdapter.importPreset.mockResolvedValue({ success: true, canceled: false, contents });
+    };
+
+    it('should add an exported preset back as a custom preset', async () => {
+      openFile(serializePresetFile(getPresetById('vintage')));
+
+      const { canceled, preset, adjusted } = await service.importPreset();
+
+      expect(canceled).toBe(false);
+      expect(preset).toMatchObject({ name: 'Vintage (2)', custom: true });
+      expect(getPresetValues(preset)).toEqual(values);
+      expect(service.getCustomPresets()).toEqual([preset]);
+      expect(adjusted).toEqual([]);
+    });
+
+    it('should round-trip a custom preset between machines', async () => {
+      const original = service.saveCustomPreset({ name: 'Night Owl', values });
+      const contents = serializePresetFile(original);
+
+      mockStorageService.store = {};
+      const otherMachine = createService();
+      openFile(contents);
+
+      const { preset } = await otherMachine.importPreset();
+
+      expect(preset.name).toBe('Night Owl');
+      expect(preset.id).not.toBe(original.id);
+      expect(getPresetValues(preset)).toEqual(values);
+    });
+
+    it('should number names that are already taken', async () => {
+      service.saveCustomPreset({ name: 'Night Owl', values });
+      service.saveCustomPreset({ name: 'Night Owl (2)', values });
+      openFile(serializePresetFile({ ...getPresetById('vintage'), name: 'night owl' }));
+
+      const { preset } = await service.importPreset();
+
+      expect(preset.name).toBe('night owl (3)');
+    });
+
+    it('should clamp out-of-range values and warn about them', async () => {
+      const file = JSON.parse(serializePresetFile(getPresetById('vintage')));
+      file.preset.name = 'Loud';
+      file.preset.crt.curvature = 5;
+      openFile(JSON.stringify(file));
+
+      const { preset, adjusted } = await service.importPreset();
+
+      expect(preset.crt.curvature).toBe(0.1);
+      expect(adjusted).toEqual(['crt.curvature']);
+      expect(mockLogger.warn).toHaveBeenCalled();
+    });
+
+    it('should reject invalid files without saving anything', async () => {
+      openFile(JSON.stringify({ format: 'prismgb-render-preset', version: 1, preset: { name: 'Bad', sepia: {} } }));
+
+      await expect(service.importPreset()).rejects.toThrow('preset.sepia is not a render pass');
+      expect(service.getCustomPresets()).toEqual([]);
+    });
+
+    it('should do nothing when the dialog is canceled', async () => {
+      const result = await service.importPreset();
+
+      expect(result).toEqual({ canceled: true, preset: null, adjusted: [] });
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should report files that could not be read', async () => {
+      mockFileAdapter.importPreset.mockResolvedValue({ success: false, error: 'big.json is too large to be a render preset' });
+
+      await expect(service.importPreset()).rejects.toThrow('big.json is too large to be a render preset');
+    });
+  });
+});
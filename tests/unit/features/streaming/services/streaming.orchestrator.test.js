@@ -58,6 +58,7 @@ describe('StreamingOrchestrator', () => {
       handleCanvasExpired: vi.fn(),
       handlePerformanceStateChanged: vi.fn(),
       handleRenderPresetChanged: vi.fn(),
+      handleRenderPresetPreview: vi.fn(),
       handlePerformanceModeChanged: vi.fn(),
       handleFullscreenChange: vi.fn(),
       startPipeline: vi.fn().mockResolvedValue(undefined),
@@ -326,6 +327,12 @@ describe('StreamingOrchestrator', () => {
       expect(mockStreamingRenderPipelineService.handleRenderPresetChanged).toHaveBeenCalledWith('vibrant');
     });
 
+    it('should delegate render preset previews', () => {
+      const preview = { presetId: 'vibrant', preset: null };
+      orchestrator._handleRenderPresetPreview(preview);
+      expect(mockStreamingRenderPipelineService.handleRenderPresetPreview).toHaveBeenCalledWith(preview);
+    });
+
     it('should delegate performance state changes', () => {
       const state = { hidden: true };
       orchestrator._handlePerformanceStateChanged(state);
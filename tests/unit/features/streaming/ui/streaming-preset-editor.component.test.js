@@ -0,0 +1,266 @@
+/**
+ * StreamingPresetEditorComponent Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StreamingPresetEditorComponent } from '@renderer/features/streaming/ui/streaming-preset-editor.component.js';
+import { StreamingRenderPresetService } from '@renderer/features/streaming/services/streaming-render-preset.service.js';
+import { EventChannels } from '@renderer/infrastructure/events/event-channels.config.js';
+import { PRESET_PARAMETERS, getPresetById } from '@renderer/features/streaming/rendering/presets/streaming-render-presets.config.js';
+
+describe('StreamingPresetEditorComponent', () => {
+  let component;
+  let renderPresetService;
+  let mockSettingsService;
+  let mockLutService;
+  let mockEventBus;
+  let mockLogger;
+  let elements;
+
+  const slider = (key) => elements.presetEditorSliders.querySelector(`input[data-key="${key}"]`);
+
+  const moveSlider = (key, value) => {
+    const input = slider(key);
+    input.value = String(value);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  };
+
+  const previews = () => mockEventBus.publish.mock.calls
+    .filter(([channel]) => channel === EventChannels.SETTINGS.RENDER_PRESET_PREVIEW)
+    .map(([, data]) => data);
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    mockEventBus = { publish: vi.fn(), subscribe: vi.fn(() => vi.fn()) };
+    mockLogger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+    const store = {};
+    renderPresetService = new StreamingRenderPresetService({
+      eventBus: mockEventBus,
+      loggerFactory: { create: () => mockLogger },
+      storageService: {
+        getItem: (key) => store[key] ?? null,
+        setItem: (key, value) => { store[key] = value; }
+      },
+      renderPresetFileAdapter: {}
+    });
+
+    mockSettingsService = {
+      getRenderPreset: vi.fn(() => 'vibrant'),
+      setRenderPreset: vi.fn()
+    };
+
+    mockLutService = {
+      listLuts: vi.fn(async () => ['Cool.cube', 'Warm.cube']),
+      importLut: vi.fn(async () => ({ canceled: false, file: 'Film.cube' }))
+    };
+
+    elements = {
+      presetEditor: document.createElement('div'),
+      presetEditorNameInput: document.createElement('input'),
+      presetEditorSliders: document.createElement('div'),
+      presetEditorLutSelect: document.createElement('select'),
+      presetEditorLutImportBtn: document.createElement('button'),
+      presetEditorError: document.createElement('div'),
+      presetEditorDeleteBtn: document.createElement('button'),
+      presetEditorCancelBtn: document.createElement('button'),
+      presetEditorSaveBtn: document.createElement('button')
+    };
+
+    component = new StreamingPresetEditorComponent({
+      renderPresetService,
+      settingsService: mockSettingsService,
+      lutService: mockLutService,
+      eventBus: mockEventBus,
+      logger: mockLogger
+    });
+    component.initialize(elements);
+  });
+
+  afterEach(() => {
+    component.dispose();
+  });
+
+  it('should render a slider for every preset parameter', () => {
+    const sliders = elements.presetEditorSliders.querySelectorAll('input[type="range"]');
+
+    expect(sliders).toHaveLength(PRESET_PARAMETERS.length);
+    expect(slider('curvature').max).toBe('0.1');
+  });
+
+  it('should open when the shader panel asks for it', () => {
+    const [channel, handler] = mockEventBus.subscribe.mock.calls[0];
+    expect(channel).toBe(EventChannels.UI.PRESET_EDITOR_REQUESTED);
+
+    handler({ presetId: 'vintage' });
+
+    expect(component.isOpen).toBe(true);
+    expect(elements.presetEditor.classList.contains('visible')).toBe(true);
+  });
+
+  describe('built-in preset', () => {
+    beforeEach(() => {
+      component.open('vintage');
+    });
+
+    it('should start a new preset from its values', () => {
+      expect(component.editingId).toBeNull();
+      expect(elements.presetEditorNameInput.value).toBe('Vintage Custom');
+      expect(slider('scanlineStrength').value).toBe(String(getPresetById('vintage').crt.scanlineStrength));
+      expect(elements.presetEditorDeleteBtn.classList.contains('hidden')).toBe(true);
+    });
+
+    it('should preview slider changes live', () => {
+      moveSlider('saturation', 1.4);
+
+      const [preview] = previews();
+      expect(preview.presetId).toBe('vintage');
+      expect(preview.preset.color.saturation).toBe(1.4);
+      expect(preview.preset.crt.scanlineStrength).toBe(getPresetById('vintage').crt.scanlineStrength);
+      expect(slider('saturation').closest('label').querySelector('.preset-editor-slider-value').textContent).toBe('1.40');
+    });
+
+    it('should save a new custom preset and select it', () => {
+      moveSlider('bloomStrength', 0.2);
+
+      const saved = component.save();
+
+      expect(saved).toMatchObject({ name: 'Vintage Custom', custom: true });
+      expect(saved.crt.bloomStrength).toBe(0.2);
+      expect(renderPresetService.getCustomPresets()).toEqual([saved]);
+      expect(mockSettingsService.setRenderPreset).toHaveBeenCalledWith(saved.id);
+      expect(component.isOpen).toBe(false);
+    });
+
+    it('should keep the editor open and show why a name was rejected', () => {
+      elements.presetEditorNameInput.value = 'Vibrant';
+
+      expect(component.save()).toBeNull();
+
+      expect(elements.presetEditorError.textContent).toBe('A preset named Vibrant already exists');
+      expect(component.isOpen).toBe(true);
+    });
+
+    it('should put the selected preset back on cancel', () => {
+      moveSlider('gamma', 1.1);
+
+      elements.presetEditor.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+      expect(previews().at(-1)).toEqual({ presetId: 'vibrant', preset: null });
+      expect(component.isOpen).toBe(false);
+      expect(mockSettingsService.setRenderPreset).not.toHaveBeenCalled();
+    });
+
+    it('should not publish a preview on cancel when nothing changed', () => {
+      component.cancel();
+
+      expect(previews()).toEqual([]);
+    });
+  });
+
+  describe('LUT picker', () => {
+    const lutOptions = () => Array.from(elements.presetEditorLutSelect.options).map(option => option.textContent);
+
+    const pickLut = (file) => {
+      elements.presetEditorLutSelect.value = file;
+      elements.presetEditorLutSelect.dispatchEvent(new Event('change'));
+    };
+
+    it('should list the LUT library', async () => {
+      component.open('vintage');
+      await flush();
+
+      expect(lutOptions()).toEqual(['None', 'Cool.cube', 'Warm.cube']);
+      expect(elements.presetEditorLutSelect.value).toBe('');
+    });
+
+    it('should preview a picked LUT fully mixed in', async () => {
+      component.open('vintage');
+      await flush();
+
+      pickLut('Warm.cube');
+
+      expect(previews().at(-1).preset.lut).toEqual({ enabled: true, file: 'Warm.cube', intensity: 1 });
+      expect(slider('intensity').value).toBe('1');
+    });
+
+    it('should save the LUT with the preset', async () => {
+      component.open('vintage');
+      await flush();
+      pickLut('Cool.cube');
+      moveSlider('intensity', 0.4);
+
+      const saved = component.save();
+
+      expect(saved.lut).toEqual({ enabled: true, file: 'Cool.cube', intensity: 0.4 });
+    });
+
+    it('should keep listing a LUT missing from the library', async () => {
+      const preset = renderPresetService.saveCustomPreset({ name: 'Graded', values: { lut: { file: 'Gone.cube', intensity: 0.5 } } });
+      component.open(preset.id);
+      await flush();
+
+      expect(lutOptions().at(-1)).toBe('Gone.cube (missing)');
+      expect(elements.presetEditorLutSelect.value).toBe('Gone.cube');
+    });
+
+    it('should import a .cube file and use it', async () => {
+      mockLutService.listLuts.mockResolvedValue(['Cool.cube', 'Film.cube', 'Warm.cube']);
+      component.open('vintage');
+
+      elements.presetEditorLutImportBtn.click();
+      await flush();
+
+      expect(elements.presetEditorLutSelect.value).toBe('Film.cube');
+      expect(previews().at(-1).preset.lut.file).toBe('Film.cube');
+    });
+
+    it('should show why an import failed', async () => {
+      mockLutService.importLut.mockRejectedValue(new Error('notes.cube is not a valid LUT: Line 1: Unknown keyword HELLO'));
+      component.open('vintage');
+
+      elements.presetEditorLutImportBtn.click();
+      await flush();
+
+      expect(elements.presetEditorError.textContent).toBe('notes.cube is not a valid LUT: Line 1: Unknown keyword HELLO');
+      expect(component.isOpen).toBe(true);
+    });
+  });
+
+  describe('custom preset', () => {
+    let preset;
+
+    beforeEach(() => {
+      preset = renderPresetService.saveCustomPreset({ name: 'Night', values: { unsharp: { strength: 0.4 } } });
+      component.open(preset.id);
+    });
+
+    it('should edit it in place', () => {
+      moveSlider('strength', 0.9);
+
+      const saved = component.save();
+
+      expect(saved.id).toBe(preset.id);
+      expect(renderPresetService.getPresetById(preset.id).unsharp.strength).toBe(0.9);
+      expect(mockSettingsService.setRenderPreset).toHaveBeenCalledWith(preset.id);
+    });
+
+    it('should fall back to the default preset when the selected preset is deleted', () => {
+      mockSettingsService.getRenderPreset.mockReturnValue(preset.id);
+
+      elements.presetEditorDeleteBtn.click();
+
+      expect(renderPresetService.getCustomPresets()).toEqual([]);
+      expect(mockSettingsService.setRenderPreset).toHaveBeenCalledWith('vibrant');
+      expect(component.isOpen).toBe(false);
+    });
+
+    it('should keep the selection when another preset is deleted', () => {
+      component.delete();
+
+      expect(renderPresetService.getCustomPresets()).toEqual([]);
+      expect(mockSettingsService.setRenderPreset).not.toHaveBeenCalled();
+    });
+  });
+});
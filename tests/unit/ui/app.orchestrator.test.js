@@ -12,6 +12,7 @@ describe('AppOrchestrator', () => {
   let mockStreamingOrchestrator;
   let mockCaptureOrchestrator;
   let mockSettingsPreferencesOrchestrator;
+  let mockSettingsGameProfileOrchestrator;
   let mockSettingsDisplayModeOrchestrator;
   let mockUpdateOrchestrator;
   let mockUISetupOrchestrator;
@@ -47,6 +48,11 @@ describe('AppOrchestrator', () => {
       cleanup: vi.fn().mockResolvedValue()
     };
 
+    mockSettingsGameProfileOrchestrator = {
+      initialize: vi.fn().mockResolvedValue(),
+      cleanup: vi.fn().mockResolvedValue()
+    };
+
     mockSettingsDisplayModeOrchestrator = {
       initialize: vi.fn().mockResolvedValue(),
       toggleFullscreen: vi.fn(),
@@ -62,8 +68,14 @@ describe('AppOrchestrator', () => {
     mockUISetupOrchestrator = {
       initialize: vi.fn().mockResolvedValue(),
       initializeSettingsMenu: vi.fn(),
+      initializeGamePicker: vi.fn(),
       initializeShaderSelector: vi.fn(),
+      initializePresetEditor: vi.fn(),
       initializeNotesPanel: vi.fn(),
+      initializeCaptureThumbnail: vi.fn(),
+      initializeCaptureFacecamPreview: vi.fn(),
+      initializeCaptureTrimEditor: vi.fn(),
+      initializeCaptureGallery: vi.fn(),
       setupOverlayClickHandlers: vi.fn(),
       setupUIEventListeners: vi.fn(),
       cleanup: vi.fn().mockResolvedValue()
@@ -101,6 +113,7 @@ describe('AppOrchestrator', () => {
       streamingOrchestrator: mockStreamingOrchestrator,
       captureOrchestrator: mockCaptureOrchestrator,
       preferencesOrchestrator: mockSettingsPreferencesOrchestrator,
+      gameProfileOrchestrator: mockSettingsGameProfileOrchestrator,
       displayModeOrchestrator: mockSettingsDisplayModeOrchestrator,
       updateOrchestrator: mockUpdateOrchestrator,
       uiSetupOrchestrator: mockUISetupOrchestrator,
@@ -148,6 +161,7 @@ describe('AppOrchestrator', () => {
       await orchestrator.onInitialize();
 
       expect(mockSettingsPreferencesOrchestrator.initialize).toHaveBeenCalled();
+      expect(mockSettingsGameProfileOrchestrator.initialize).toHaveBeenCalled();
       expect(mockSettingsDisplayModeOrchestrator.initialize).toHaveBeenCalled();
       expect(mockUpdateOrchestrator.initialize).toHaveBeenCalled();
       expect(mockPerformanceStateOrchestrator.initialize).toHaveBeenCalled();
@@ -164,6 +178,42 @@ describe('AppOrchestrator', () => {
       expect(mockUISetupOrchestrator.initializeSettingsMenu).toHaveBeenCalled();
     });
 
+    it('should delegate capture gallery initialization to UISetupOrchestrator', async () => {
+      await orchestrator.start();
+
+      expect(mockUISetupOrchestrator.initializeCaptureGallery).toHaveBeenCalled();
+    });
+
+    it('should delegate capture thumbnail initialization to UISetupOrchestrator', async () => {
+      await orchestrator.start();
+
+      expect(mockUISetupOrchestrator.initializeCaptureThumbnail).toHaveBeenCalled();
+    });
+
+    it('should delegate facecam preview initialization to UISetupOrchestrator', async () => {
+      await orchestrator.start();
+
+      expect(mockUISetupOrchestrator.initializeCaptureFacecamPreview).toHaveBeenCalled();
+    });
+
+    it('should delegate game picker initialization to UISetupOrchestrator', async () => {
+      await orchestrator.start();
+
+      expect(mockUISetupOrchestrator.initializeGamePicker).toHaveBeenCalled();
+    });
+
+    it('should delegate preset editor initialization to UISetupOrchestrator', async () => {
+      await orchestrator.start();
+
+      expect(mockUISetupOrchestrator.initializePresetEditor).toHaveBeenCalled();
+    });
+
+    it('should delegate trim editor initialization to UISetupOrchestrator', async () => {
+      await orchestrator.start();
+
+      expect(mockUISetupOrchestrator.initializeCaptureTrimEditor).toHaveBeenCalled();
+    });
+
     it('should delegate overlay click handlers to UISetupOrchestrator', async () => {
       await orchestrator.start();
 
@@ -64,6 +64,56 @@ class MockNotesPanelComponent {
   }
 }
 
+class MockSettingsGamePickerComponent {
+  constructor(config) {
+    this.type = 'GamePicker';
+    this.notesService = config.notesService;
+    this.eventBus = config.eventBus;
+    this.logger = config.logger;
+  }
+}
+
+class MockStreamingPresetEditorComponent {
+  constructor(config) {
+    this.type = 'PresetEditor';
+    this.renderPresetService = config.renderPresetService;
+    this.eventBus = config.eventBus;
+    this.logger = config.logger;
+  }
+}
+
+class MockCaptureThumbnailComponent {
+  constructor(config) {
+    this.type = 'CaptureThumbnail';
+    this.eventBus = config.eventBus;
+    this.logger = config.logger;
+  }
+}
+
+class MockCaptureFacecamPreviewComponent {
+  constructor(config) {
+    this.type = 'CaptureFacecamPreview';
+    this.logger = config.logger;
+  }
+}
+
+class MockCaptureTrimEditorComponent {
+  constructor(config) {
+    this.type = 'CaptureTrimEditor';
+    this.eventBus = config.eventBus;
+    this.logger = config.logger;
+  }
+}
+
+class MockCaptureGalleryPanelComponent {
+  constructor(config) {
+    this.type = 'CaptureGalleryPanel';
+    this.captureStorageAdapter = config.captureStorageAdapter;
+    this.eventBus = config.eventBus;
+    this.logger = config.logger;
+  }
+}
+
 class MockUpdateSectionComponent {
   constructor(config) {
     this.type = 'UpdateSection';
@@ -91,8 +141,14 @@ describe('UIComponentFactory', () => {
       settingsMenuComponent: MockSettingsMenuComponent,
       streamControlsComponent: MockStreamingControlsComponent,
       shaderSelectorComponent: MockStreamingShaderSelectorComponent,
+      presetEditorComponent: MockStreamingPresetEditorComponent,
+      gamePickerComponent: MockSettingsGamePickerComponent,
       updateSectionComponent: MockUpdateSectionComponent,
-      notesPanelComponent: MockNotesPanelComponent
+      notesPanelComponent: MockNotesPanelComponent,
+      captureThumbnailComponent: MockCaptureThumbnailComponent,
+      captureFacecamPreviewComponent: MockCaptureFacecamPreviewComponent,
+      captureTrimEditorComponent: MockCaptureTrimEditorComponent,
+      captureGalleryPanelComponent: MockCaptureGalleryPanelComponent
     });
   });
 
@@ -235,4 +291,87 @@ describe('UIComponentFactory', () => {
       expect(component.config.customProp).toBe('custom value');
     });
   });
+
+  describe('createCaptureThumbnailComponent', () => {
+    it('should create CaptureThumbnailComponent with config and eventBus', () => {
+      const mockLogger = { debug: vi.fn() };
+
+      const component = factory.createCaptureThumbnailComponent({ logger: mockLogger });
+
+      expect(component.type).toBe('CaptureThumbnail');
+      expect(component.eventBus).toBe(mockEventBus);
+      expect(component.logger).toBe(mockLogger);
+    });
+  });
+
+  describe('createCaptureFacecamPreviewComponent', () => {
+    it('should create CaptureFacecamPreviewComponent with config', () => {
+      const mockLogger = { debug: vi.fn() };
+
+      const component = factory.createCaptureFacecamPreviewComponent({ logger: mockLogger });
+
+      expect(component.type).toBe('CaptureFacecamPreview');
+      expect(component.logger).toBe(mockLogger);
+    });
+  });
+
+  describe('createStreamingPresetEditorComponent', () => {
+    it('should create StreamingPresetEditorComponent with config and eventBus', () => {
+      const mockRenderPresetService = { getPresetById: vi.fn() };
+      const mockLogger = { debug: vi.fn() };
+
+      const component = factory.createStreamingPresetEditorComponent({
+        renderPresetService: mockRenderPresetService,
+        logger: mockLogger
+      });
+
+      expect(component.type).toBe('PresetEditor');
+      expect(component.renderPresetService).toBe(mockRenderPresetService);
+      expect(component.eventBus).toBe(mockEventBus);
+      expect(component.logger).toBe(mockLogger);
+    });
+  });
+
+  describe('createSettingsGamePickerComponent', () => {
+    it('should create SettingsGamePickerComponent with config and eventBus', () => {
+      const mockNotesService = { getActiveGame: vi.fn() };
+      const mockLogger = { debug: vi.fn() };
+
+      const component = factory.createSettingsGamePickerComponent({
+        notesService: mockNotesService,
+        logger: mockLogger
+      });
+
+      expect(component.type).toBe('GamePicker');
+      expect(component.notesService).toBe(mockNotesService);
+      expect(component.eventBus).toBe(mockEventBus);
+      expect(component.logger).toBe(mockLogger);
+    });
+  });
+
+  describe('createCaptureTrimEditorComponent', () => {
+    it('should create CaptureTrimEditorComponent with config and eventBus', () => {
+      const mockLogger = { debug: vi.fn() };
+
+      const component = factory.createCaptureTrimEditorComponent({ logger: mockLogger });
+
+      expect(component.type).toBe('CaptureTrimEditor');
+      expect(component.eventBus).toBe(mockEventBus);
+      expect(component.logger).toBe(mockLogger);
+    });
+  });
+
+  describe('createCaptureGalleryPanelComponent', () => {
+    it('should create CaptureGalleryPanelComponent with config and eventBus', () => {
+      const mockAdapter = { listGallery: vi.fn() };
+      const mockLogger = { debug: vi.fn() };
+
+      const component = factory.createCaptureGalleryPanelComponent({ captureStorageAdapter: mockAdapter, logger: mockLogger });
+
+      expect(component.type).toBe('CaptureGalleryPanel');
+      expect(component.captureStorageAdapter).toBe(mockAdapter);
+      expect(component.eventBus).toBe(mockEventBus);
+      expect(component.logger).toBe(mockLogger);
+    });
+  });
 });
@@ -41,11 +41,41 @@ describe('UIComponentRegistry', () => {
       dispose: vi.fn()
     };
 
+    mockComponents.presetEditorComponent = {
+      initialize: vi.fn(),
+      dispose: vi.fn()
+    };
+
+    mockComponents.gamePickerComponent = {
+      initialize: vi.fn(),
+      dispose: vi.fn()
+    };
+
     mockComponents.notesPanelComponent = {
       initialize: vi.fn(),
       dispose: vi.fn()
     };
 
+    mockComponents.captureThumbnailComponent = {
+      initialize: vi.fn(),
+      dispose: vi.fn()
+    };
+
+    mockComponents.captureFacecamPreviewComponent = {
+      initialize: vi.fn(),
+      dispose: vi.fn()
+    };
+
+    mockComponents.captureTrimEditorComponent = {
+      initialize: vi.fn(),
+      dispose: vi.fn()
+    };
+
+    mockComponents.captureGalleryComponent = {
+      initialize: vi.fn(),
+      dispose: vi.fn()
+    };
+
     // Create mock factory with factory methods
     mockFactory = {
       createStatusNotificationComponent: vi.fn().mockReturnValue(mockComponents.statusNotificationComponent),
@@ -53,7 +83,13 @@ describe('UIComponentRegistry', () => {
       createStreamingControlsComponent: vi.fn().mockReturnValue(mockComponents.streamControlsComponent),
       createSettingsMenuComponent: vi.fn().mockReturnValue(mockComponents.settingsMenuComponent),
       createStreamingShaderSelectorComponent: vi.fn().mockReturnValue(mockComponents.shaderSelectorComponent),
-      createNotesPanelComponent: vi.fn().mockReturnValue(mockComponents.notesPanelComponent)
+      createStreamingPresetEditorComponent: vi.fn().mockReturnValue(mockComponents.presetEditorComponent),
+      createSettingsGamePickerComponent: vi.fn().mockReturnValue(mockComponents.gamePickerComponent),
+      createNotesPanelComponent: vi.fn().mockReturnValue(mockComponents.notesPanelComponent),
+      createCaptureThumbnailComponent: vi.fn().mockReturnValue(mockComponents.captureThumbnailComponent),
+      createCaptureFacecamPreviewComponent: vi.fn().mockReturnValue(mockComponents.captureFacecamPreviewComponent),
+      createCaptureTrimEditorComponent: vi.fn().mockReturnValue(mockComponents.captureTrimEditorComponent),
+      createCaptureGalleryPanelComponent: vi.fn().mockReturnValue(mockComponents.captureGalleryComponent)
     };
 
     // Create mock event bus
@@ -379,6 +415,81 @@ describe('UIComponentRegistry', () => {
     });
   });
 
+  describe('initCaptureGallery', () => {
+    it('should create, initialize and store the gallery component', () => {
+      const dependencies = { captureStorageAdapter: {}, logger: mockLogger };
+      const elements = { galleryBtn: {}, galleryPanel: {} };
+
+      registry.initCaptureGallery(dependencies, elements);
+
+      expect(mockFactory.createCaptureGalleryPanelComponent).toHaveBeenCalledWith(dependencies);
+      expect(mockComponents.captureGalleryComponent.initialize).toHaveBeenCalledWith(elements);
+      expect(registry.components.get('captureGalleryComponent')).toBe(mockComponents.captureGalleryComponent);
+    });
+  });
+
+  describe('initCaptureThumbnail', () => {
+    it('should create, initialize and store the thumbnail component', () => {
+      const elements = { captureThumbnail: {}, captureThumbnailImage: {} };
+
+      registry.initCaptureThumbnail(elements);
+
+      expect(mockFactory.createCaptureThumbnailComponent).toHaveBeenCalledWith({ logger: expect.anything() });
+      expect(mockComponents.captureThumbnailComponent.initialize).toHaveBeenCalledWith(elements);
+      expect(registry.components.get('captureThumbnailComponent')).toBe(mockComponents.captureThumbnailComponent);
+    });
+  });
+
+  describe('initCaptureFacecamPreview', () => {
+    it('should create, initialize and store the facecam preview component', () => {
+      const elements = { facecamPreview: {} };
+
+      registry.initCaptureFacecamPreview(elements);
+
+      expect(mockFactory.createCaptureFacecamPreviewComponent).toHaveBeenCalledWith({ logger: expect.anything() });
+      expect(mockComponents.captureFacecamPreviewComponent.initialize).toHaveBeenCalledWith(elements);
+      expect(registry.components.get('captureFacecamPreviewComponent')).toBe(mockComponents.captureFacecamPreviewComponent);
+    });
+  });
+
+  describe('initPresetEditor', () => {
+    it('should create, initialize and store the preset editor component', () => {
+      const dependencies = { renderPresetService: {}, settingsService: {}, logger: mockLogger };
+      const elements = { presetEditor: {}, presetEditorSliders: {} };
+
+      registry.initPresetEditor(dependencies, elements);
+
+      expect(mockFactory.createStreamingPresetEditorComponent).toHaveBeenCalledWith(dependencies);
+      expect(mockComponents.presetEditorComponent.initialize).toHaveBeenCalledWith(elements);
+      expect(registry.components.get('presetEditorComponent')).toBe(mockComponents.presetEditorComponent);
+    });
+  });
+
+  describe('initGamePicker', () => {
+    it('should create, initialize and store the game picker component', () => {
+      const dependencies = { notesService: {}, gameProfileService: {}, logger: mockLogger };
+      const elements = { gamePicker: {} };
+
+      registry.initGamePicker(dependencies, elements);
+
+      expect(mockFactory.createSettingsGamePickerComponent).toHaveBeenCalledWith(dependencies);
+      expect(mockComponents.gamePickerComponent.initialize).toHaveBeenCalledWith(elements);
+      expect(registry.components.get('gamePickerComponent')).toBe(mockComponents.gamePickerComponent);
+    });
+  });
+
+  describe('initCaptureTrimEditor', () => {
+    it('should create, initialize and store the trim editor component', () => {
+      const elements = { trimEditor: {}, trimEditorVideo: {} };
+
+      registry.initCaptureTrimEditor(elements);
+
+      expect(mockFactory.createCaptureTrimEditorComponent).toHaveBeenCalledWith({ logger: expect.anything() });
+      expect(mockComponents.captureTrimEditorComponent.initialize).toHaveBeenCalledWith(elements);
+      expect(registry.components.get('captureTrimEditorComponent')).toBe(mockComponents.captureTrimEditorComponent);
+    });
+  });
+
   describe('get', () => {
     beforeEach(() => {
       registry.initialize(mockElements);
@@ -0,0 +1,109 @@
+/**
+ * CaptureThumbnailComponent Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureThumbnailComponent } from '@renderer/features/capture/ui/capture-thumbnail.component.js';
+
+describe('CaptureThumbnailComponent', () => {
+  let component;
+  let mockEventBus;
+  let mockLogger;
+  let thumbnail;
+  let image;
+
+  beforeEach(() => {
+    mockEventBus = {
+      publish: vi.fn()
+    };
+
+    mockLogger = {
+      debug: vi.fn(),
+      warn: vi.fn()
+    };
+
+    thumbnail = document.createElement('button');
+    thumbnail.hidden = true;
+    image = document.createElement('img');
+    thumbnail.appendChild(image);
+    document.body.appendChild(thumbnail);
+
+    vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:thumb-1');
+    vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+    component = new CaptureThumbnailComponent({ eventBus: mockEventBus, logger: mockLogger });
+    component.initialize({ captureThumbnail: thumbnail, captureThumbnailImage: image });
+  });
+
+  afterEach(() => {
+    component.dispose();
+    thumbnail.remove();
+    vi.restoreAllMocks();
+  });
+
+  describe('show', () => {
+    it('should preview saved screenshots', () => {
+      const blob = new Blob(['png'], { type: 'image/png' });
+
+      component.show({ kind: 'screenshot', filePath: '/captures/shot.png', blob });
+
+      expect(thumbnail.hidden).toBe(false);
+      expect(image.getAttribute('src')).toBe('blob:thumb-1');
+      expect(thumbnail.classList.contains('is-video')).toBe(false);
+      expect(thumbnail.title).toBe('shot.png - drag to share');
+    });
+
+    it('should show a video placeholder for recordings', () => {
+      component.show({ kind: 'recording', filePath: '/captures/rec.webm', blob: null });
+
+      expect(thumbnail.hidden).toBe(false);
+      expect(thumbnail.classList.contains('is-video')).toBe(true);
+      expect(image.hasAttribute('src')).toBe(false);
+    });
+
+    it('should release the previous preview', () => {
+      const blob = new Blob(['png'], { type: 'image/png' });
+      component.show({ kind: 'screenshot', filePath: '/captures/a.png', blob });
+
+      component.show({ kind: 'screenshot', filePath: '/captures/b.png', blob });
+
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:thumb-1');
+    });
+
+    it('should stay hidden without a saved path', () => {
+      component.show({ kind: 'screenshot', filePath: null });
+
+      expect(thumbnail.hidden).toBe(true);
+    });
+  });
+
+  describe('dragging', () => {
+    it('should request a native drag of the latest capture', () => {
+      component.show({ kind: 'recording', filePath: '/captures/rec.webm' });
+      const event = new Event('dragstart', { cancelable: true });
+
+      thumbnail.dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:capture-drag-requested', { filePath: '/captures/rec.webm' });
+    });
+
+    it('should not request a drag before anything was saved', () => {
+      thumbnail.dispatchEvent(new Event('dragstart', { cancelable: true }));
+
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dispose', () => {
+    it('should remove listeners and release the preview', () => {
+      component.show({ kind: 'screenshot', filePath: '/captures/shot.png', blob: new Blob(['png']) });
+
+      component.dispose();
+      thumbnail.dispatchEvent(new Event('dragstart', { cancelable: true }));
+
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:thumb-1');
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+});
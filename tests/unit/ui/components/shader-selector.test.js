@@ -4,6 +4,7 @@
 
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import { StreamingShaderSelectorComponent } from '@renderer/features/streaming/ui/streaming-shader-selector.component.js';
+import { createCustomPreset, getPresetsForUI } from '@renderer/features/streaming/rendering/presets/streaming-render-presets.config.js';
 
 // Mock the render presets module
 vi.mock('@renderer/features/streaming/rendering/presets/render-presets.config.js', () => ({
@@ -18,6 +19,7 @@ vi.mock('@renderer/features/streaming/rendering/presets/render-presets.config.js
 describe('StreamingShaderSelectorComponent', () => {
   let component;
   let mockSettingsService;
+  let mockRenderPresetService;
   let mockEventBus;
   let mockLogger;
   let mockElements;
@@ -34,6 +36,12 @@ describe('StreamingShaderSelectorComponent', () => {
       getPerformanceMode: vi.fn(() => false)
     };
 
+    // Built-in presets plus whatever custom presets a test adds
+    mockRenderPresetService = {
+      customPresets: [],
+      getPresetsForUI: vi.fn(() => getPresetsForUI(mockRenderPresetService.customPresets))
+    };
+
     // Mock event bus
     mockEventBus = {
       publish: vi.fn(),
@@ -70,6 +78,7 @@ describe('StreamingShaderSelectorComponent', () => {
 
     component = new StreamingShaderSelectorComponent({
       settingsService: mockSettingsService,
+      renderPresetService: mockRenderPresetService,
       eventBus: mockEventBus,
       logger: mockLogger
     });
@@ -253,6 +262,218 @@ describe('StreamingShaderSelectorComponent', () => {
     });
   });
 
+  describe('Custom presets', () => {
+    beforeEach(() => {
+      mockRenderPresetService.customPresets = [
+        createCustomPreset({ id: 'custom-a', name: '<b>Night</b>', values: {} })
+      ];
+    });
+
+    it('should list custom presets after the built-in ones', () => {
+      component.initialize(mockElements);
+
+      const options = [...mockElements.shaderDropdown.querySelectorAll('.shader-option')];
+      const custom = options[options.length - 1];
+      expect(options).toHaveLength(6);
+      expect(custom.dataset.presetId).toBe('custom-a');
+      expect(custom.classList.contains('shader-option-custom')).toBe(true);
+      expect(custom.textContent).toBe('<b>Night</b>');
+    });
+
+    it('should re-render the list when custom presets change', () => {
+      component.initialize(mockElements);
+      const handler = mockEventBus.subscribe.mock.calls
+        .find(([channel]) => channel === 'settings:custom-presets-changed')[1];
+
+      mockRenderPresetService.customPresets = [];
+      handler([]);
+
+      expect(mockElements.shaderDropdown.querySelectorAll('.shader-option')).toHaveLength(5);
+    });
+  });
+
+  describe('Customize button', () => {
+    beforeEach(() => {
+      mockElements.presetCustomizeBtn = document.createElement('button');
+      document.body.appendChild(mockElements.presetCustomizeBtn);
+      component.initialize(mockElements);
+    });
+
+    afterEach(() => {
+      mockElements.presetCustomizeBtn.remove();
+    });
+
+    it('should open the preset editor on the selected preset and close the panel', () => {
+      component.show();
+
+      mockElements.presetCustomizeBtn.click();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:preset-editor-requested', { presetId: 'vibrant' });
+      expect(component.isVisible).toBe(false);
+    });
+
+    it('should be hidden in performance mode', () => {
+      const handler = mockEventBus.subscribe.mock.calls
+        .find(([channel]) => channel === 'performance:render-mode-changed')[1];
+
+      handler(true);
+
+      expect(mockElements.presetCustomizeBtn.classList.contains('hidden')).toBe(true);
+    });
+  });
+
+  describe('Export and Import buttons', () => {
+    const imported = createCustomPreset({ id: 'custom-shared', name: 'Shared', values: {} });
+
+    const statusMessages = () => mockEventBus.publish.mock.calls
+      .filter(([channel]) => channel === 'ui:status-message')
+      .map(([, data]) => data);
+
+    beforeEach(() => {
+      const fileActions = document.createElement('div');
+      fileActions.className = 'preset-file-actions';
+      mockElements.presetExportBtn = document.createElement('button');
+      mockElements.presetImportBtn = document.createElement('button');
+      fileActions.append(mockElements.presetExportBtn, mockElements.presetImportBtn);
+
+      mockRenderPresetService.getPresetById = vi.fn(() => ({ id: 'vibrant', name: 'Vibrant' }));
+      mockRenderPresetService.exportPreset = vi.fn().mockResolvedValue({ canceled: false, filePath: '/presets/Vibrant.prismgb-preset.json' });
+      mockRenderPresetService.importPreset = vi.fn().mockResolvedValue({ canceled: false, preset: imported, adjusted: [] });
+
+      component.initialize(mockElements);
+    });
+
+    it('should export the selected preset and report it', async () => {
+      await component.exportPreset();
+
+      expect(mockRenderPresetService.exportPreset).toHaveBeenCalledWith('vibrant');
+      expect(statusMessages()).toEqual([{ message: 'Exported preset Vibrant', type: 'info' }]);
+    });
+
+    it('should select an imported preset', async () => {
+      mockRenderPresetService.customPresets = [imported];
+
+      await component.importPreset();
+
+      expect(mockSettingsService.setRenderPreset).toHaveBeenCalledWith('custom-shared');
+      expect(component.currentPresetId).toBe('custom-shared');
+      expect(statusMessages()).toEqual([{ message: 'Imported preset Shared', type: 'info' }]);
+    });
+
+    it('should mention values that were clamped on import', async () => {
+      mockRenderPresetService.importPreset.mockResolvedValue({ canceled: false, preset: imported, adjusted: ['crt.curvature', 'color.gamma'] });
+
+      await component.importPreset();
+
+      expect(statusMessages()[0].message).toBe('Imported preset Shared (2 values adjusted to fit the supported range)');
+    });
+
+    it('should show why a preset file was rejected', async () => {
+      mockRenderPresetService.importPreset.mockRejectedValue(new Error('preset.sepia is not a render pass'));
+
+      await component.importPreset();
+
+      expect(mockSettingsService.setRenderPreset).not.toHaveBeenCalled();
+      expect(statusMessages()).toEqual([{ message: 'Preset import failed: preset.sepia is not a render pass', type: 'error' }]);
+      expect(mockElements.presetImportBtn.disabled).toBe(false);
+    });
+
+    it('should stay quiet when the dialog is canceled', async () => {
+      mockRenderPresetService.importPreset.mockResolvedValue({ canceled: true, preset: null, adjusted: [] });
+
+      await component.importPreset();
+
+      expect(statusMessages()).toEqual([]);
+    });
+
+    it('should ignore clicks while a file dialog is open', () => {
+      mockElements.presetExportBtn.click();
+      mockElements.presetImportBtn.click();
+
+      expect(mockRenderPresetService.exportPreset).toHaveBeenCalledTimes(1);
+      expect(mockRenderPresetService.importPreset).not.toHaveBeenCalled();
+      expect(mockElements.presetImportBtn.disabled).toBe(true);
+    });
+
+    it('should be hidden in performance mode', () => {
+      const handler = mockEventBus.subscribe.mock.calls
+        .find(([channel]) => channel === 'performance:render-mode-changed')[1];
+
+      handler(true);
+
+      expect(mockElements.presetExportBtn.parentElement.classList.contains('hidden')).toBe(true);
+    });
+  });
+
+  describe('Color correction picker', () => {
+    let corrections;
+
+    const pick = (correction) => {
+      mockElements.colorCorrectionSelect.value = correction;
+      mockElements.colorCorrectionSelect.dispatchEvent(new Event('change'));
+    };
+
+    beforeEach(() => {
+      corrections = { vibrant: 'off', 'hi-def': 'gbc-lcd' };
+      const control = document.createElement('label');
+      control.className = 'color-correction-control';
+      mockElements.colorCorrectionSelect = document.createElement('select');
+      control.appendChild(mockElements.colorCorrectionSelect);
+
+      mockRenderPresetService.getPresetById = vi.fn((id) => ({ id, color: { correction: corrections[id] } }));
+      mockRenderPresetService.setColorCorrection = vi.fn((id, correction) => {
+        corrections[id] = correction;
+      });
+
+      component.initialize(mockElements);
+    });
+
+    it('should list the modes and show the selected preset\'s mode', () => {
+      const options = Array.from(mockElements.colorCorrectionSelect.options).map(option => option.textContent);
+
+      expect(options).toEqual(['Off', 'GBC LCD', 'GBA screen', 'Modern balanced']);
+      expect(mockElements.colorCorrectionSelect.value).toBe('off');
+    });
+
+    it('should follow the selected preset', () => {
+      const option = mockElements.shaderDropdown.querySelector('[data-preset-id="hi-def"]');
+      option.click();
+
+      expect(mockElements.colorCorrectionSelect.value).toBe('gbc-lcd');
+    });
+
+    it('should set the mode of the selected preset and re-apply the preset', () => {
+      pick('gba');
+
+      expect(mockRenderPresetService.setColorCorrection).toHaveBeenCalledWith('vibrant', 'gba');
+      expect(mockSettingsService.setRenderPreset).toHaveBeenCalledWith('vibrant');
+    });
+
+    it('should report a mode that could not be set and show the preset\'s mode again', () => {
+      mockRenderPresetService.setColorCorrection.mockImplementation(() => {
+        throw new Error('Preset not found');
+      });
+
+      pick('modern');
+
+      expect(mockSettingsService.setRenderPreset).not.toHaveBeenCalled();
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:status-message', {
+        message: 'Color correction not changed: Preset not found',
+        type: 'error'
+      });
+      expect(mockElements.colorCorrectionSelect.value).toBe('off');
+    });
+
+    it('should be hidden in performance mode', () => {
+      const handler = mockEventBus.subscribe.mock.calls
+        .find(([channel]) => channel === 'performance:render-mode-changed')[1];
+
+      handler(true);
+
+      expect(mockElements.colorCorrectionSelect.parentElement.classList.contains('hidden')).toBe(true);
+    });
+  });
+
   describe('Click outside', () => {
     beforeEach(() => {
       component.initialize(mockElements);
@@ -42,6 +42,27 @@ describe('StreamingControlsComponent', () => {
           remove: vi.fn()
         }
       },
+      replayBtn: {
+        disabled: true,
+        classList: {
+          add: vi.fn(),
+          remove: vi.fn()
+        }
+      },
+      clipBtn: {
+        disabled: true,
+        classList: {
+          add: vi.fn(),
+          remove: vi.fn()
+        }
+      },
+      intervalBtn: {
+        disabled: true,
+        classList: {
+          add: vi.fn(),
+          remove: vi.fn()
+        }
+      },
       currentResolution: { textContent: '' },
       currentFPS: { textContent: '' }
     };
@@ -62,6 +83,9 @@ describe('StreamingControlsComponent', () => {
       expect(mockElements.streamOverlay.classList.add).toHaveBeenCalledWith('hidden');
       expect(mockElements.screenshotBtn.disabled).toBe(false);
       expect(mockElements.recordBtn.disabled).toBe(false);
+      expect(mockElements.replayBtn.disabled).toBe(false);
+      expect(mockElements.clipBtn.disabled).toBe(false);
+      expect(mockElements.intervalBtn.disabled).toBe(false);
     });
 
     it('should disable streaming mode', () => {
@@ -74,6 +98,9 @@ describe('StreamingControlsComponent', () => {
       // Immediate effects: hiding animation classes added
       expect(mockElements.screenshotBtn.classList.add).toHaveBeenCalledWith('hiding');
       expect(mockElements.recordBtn.classList.add).toHaveBeenCalledWith('hiding');
+      expect(mockElements.replayBtn.classList.add).toHaveBeenCalledWith('hiding');
+      expect(mockElements.clipBtn.classList.add).toHaveBeenCalledWith('hiding');
+      expect(mockElements.intervalBtn.classList.add).toHaveBeenCalledWith('hiding');
 
       // Advance timers to trigger delayed effects
       vi.advanceTimersByTime(150);
@@ -81,6 +108,9 @@ describe('StreamingControlsComponent', () => {
       expect(mockElements.streamOverlay.classList.remove).toHaveBeenCalledWith('hidden');
       expect(mockElements.screenshotBtn.disabled).toBe(true);
       expect(mockElements.recordBtn.disabled).toBe(true);
+      expect(mockElements.replayBtn.disabled).toBe(true);
+      expect(mockElements.clipBtn.disabled).toBe(true);
+      expect(mockElements.intervalBtn.disabled).toBe(true);
       expect(mockElements.currentResolution.textContent).toBe('—');
       expect(mockElements.currentFPS.textContent).toBe('—');
 
@@ -29,9 +29,7 @@ describe('CaptureUIBridge', () => {
     };
 
     // Create mock UIController
-    mockUIController = {
-      triggerDownload: vi.fn()
-    };
+    mockUIController = {};
 
     // Create mock logger
     mockLogger = {
@@ -117,12 +115,36 @@ describe('CaptureUIBridge', () => {
 
       const expectedEvents = [
         EventChannels.CAPTURE.SCREENSHOT_TRIGGERED,
-        EventChannels.CAPTURE.SCREENSHOT_READY,
+        EventChannels.CAPTURE.SCREENSHOT_COPIED,
+        EventChannels.CAPTURE.COPY_FAILED,
         EventChannels.CAPTURE.RECORDING_STARTED,
+        EventChannels.CAPTURE.RECORDING_PAUSED,
+        EventChannels.CAPTURE.RECORDING_RESUMED,
         EventChannels.CAPTURE.RECORDING_STOPPED,
-        EventChannels.CAPTURE.RECORDING_READY,
         EventChannels.CAPTURE.RECORDING_ERROR,
-        EventChannels.CAPTURE.RECORDING_DEGRADED
+        EventChannels.CAPTURE.RECORDING_DEGRADED,
+        EventChannels.CAPTURE.MARKER_ADDED,
+        EventChannels.CAPTURE.REPLAY_TRIGGERED,
+        EventChannels.CAPTURE.REPLAY_ERROR,
+        EventChannels.CAPTURE.CLIP_STARTED,
+        EventChannels.CAPTURE.CLIP_ENCODING,
+        EventChannels.CAPTURE.CLIP_ERROR,
+        EventChannels.CAPTURE.INTERVAL_STARTED,
+        EventChannels.CAPTURE.INTERVAL_SUSPENDED,
+        EventChannels.CAPTURE.INTERVAL_RESUMED,
+        EventChannels.CAPTURE.INTERVAL_STOPPED,
+        EventChannels.CAPTURE.INTERVAL_ERROR,
+        EventChannels.CAPTURE.FRAME_SEQUENCE_SAVED,
+        EventChannels.CAPTURE.FACECAM_CHANGED,
+        EventChannels.CAPTURE.FACECAM_ERROR,
+        EventChannels.CAPTURE.REVIEW_READY,
+        EventChannels.CAPTURE.REVIEW_DISCARDED,
+        EventChannels.CAPTURE.TRIM_STARTED,
+        EventChannels.CAPTURE.TRIM_FAILED,
+        EventChannels.CAPTURE.SAVED,
+        EventChannels.CAPTURE.SAVE_CANCELED,
+        EventChannels.CAPTURE.SAVE_FAILED,
+        EventChannels.CAPTURE.RECORDINGS_RECOVERED
       ];
 
       expectedEvents.forEach(event => {
@@ -133,13 +155,13 @@ describe('CaptureUIBridge', () => {
     it('should subscribe to all capture events', () => {
       bridge.initialize();
 
-      expect(mockEventBus.subscribe).toHaveBeenCalledTimes(7);
+      expect(mockEventBus.subscribe).toHaveBeenCalledTimes(31);
     });
 
     it('should store unsubscribe functions', () => {
       bridge.initialize();
 
-      expect(bridge._subscriptions.length).toBe(7);
+      expect(bridge._subscriptions.length).toBe(31);
       bridge._subscriptions.forEach(unsub => {
         expect(typeof unsub).toBe('function');
       });
@@ -224,47 +246,328 @@ describe('CaptureUIBridge', () => {
         }
       );
     });
+  });
+
+  describe('Event Handlers - Replay', () => {
+    beforeEach(() => {
+      bridge = new CaptureUIBridge({
+        eventBus: mockEventBus,
+        uiController: mockUIController,
+        loggerFactory: mockLoggerFactory
+      });
+      bridge.initialize();
+    });
+
+    it('should publish button feedback event when replay is triggered', () => {
+      subscribedHandlers[EventChannels.CAPTURE.REPLAY_TRIGGERED]();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.BUTTON_FEEDBACK,
+        {
+          elementKey: 'replayBtn',
+          className: 'capturing',
+          duration: expect.any(Number)
+        }
+      );
+    });
+
+    it('should publish error status when replay buffer fails', () => {
+      subscribedHandlers[EventChannels.CAPTURE.REPLAY_ERROR]({ error: 'Encoder failed' });
+
+      expect(mockLogger.error).toHaveBeenCalledWith('Replay buffer error:', 'Encoder failed');
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Instant replay stopped: Encoder failed', type: 'error' }
+      );
+    });
+
+    it('should publish saved path for replays', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'replay',
+        filename: 'replay.webm',
+        filePath: '/captures/replay.webm'
+      });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Replay saved to /captures/replay.webm' }
+      );
+    });
+  });
+
+  describe('Event Handlers - Clip', () => {
+    beforeEach(() => {
+      bridge = new CaptureUIBridge({
+        eventBus: mockEventBus,
+        uiController: mockUIController,
+        loggerFactory: mockLoggerFactory
+      });
+      bridge.initialize();
+    });
+
+    it('should highlight clip button for the capture duration', () => {
+      subscribedHandlers[EventChannels.CAPTURE.CLIP_STARTED]({ format: 'gif', scale: 2, durationSeconds: 5 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.BUTTON_FEEDBACK,
+        { elementKey: 'clipBtn', className: 'capturing', duration: 5000 }
+      );
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Capturing 5s GIF clip...' }
+      );
+    });
+
+    it('should publish encoding status', () => {
+      subscribedHandlers[EventChannels.CAPTURE.CLIP_ENCODING]({ format: 'apng', frameCount: 150 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Encoding APNG clip...' }
+      );
+    });
+
+    it('should publish error status when clip capture fails', () => {
+      subscribedHandlers[EventChannels.CAPTURE.CLIP_ERROR]({ error: 'No frames captured' });
+
+      expect(mockLogger.error).toHaveBeenCalledWith('Clip capture error:', 'No frames captured');
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Clip capture failed: No frames captured', type: 'error' }
+      );
+    });
+
+    it('should publish saved path for clips', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'clip',
+        filename: 'clip.gif',
+        filePath: '/captures/clip.gif'
+      });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Clip saved to /captures/clip.gif' }
+      );
+    });
+  });
+
+  describe('Event Handlers - Interval', () => {
+    beforeEach(() => {
+      bridge = new CaptureUIBridge({
+        eventBus: mockEventBus,
+        uiController: mockUIController,
+        loggerFactory: mockLoggerFactory
+      });
+      bridge.initialize();
+    });
+
+    it('should mark the interval button active and describe the session', () => {
+      subscribedHandlers[EventChannels.CAPTURE.INTERVAL_STARTED]({ mode: 'screenshots', intervalSeconds: 30, frameStep: 60 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.INTERVAL_CAPTURE_STATE, { active: true });
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Interval screenshots started (every 30s)' }
+      );
+    });
+
+    it('should describe timelapse sessions by frame step', () => {
+      subscribedHandlers[EventChannels.CAPTURE.INTERVAL_STARTED]({ mode: 'timelapse', intervalSeconds: 30, frameStep: 300 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Timelapse started (1 frame every 300 frames)' }
+      );
+    });
+
+    it('should describe frame sequences by length', () => {
+      subscribedHandlers[EventChannels.CAPTURE.INTERVAL_STARTED]({ mode: 'frames', intervalSeconds: 30, frameStep: 60, durationSeconds: 10 });
+      subscribedHandlers[EventChannels.CAPTURE.INTERVAL_STARTED]({ mode: 'frames', intervalSeconds: 30, frameStep: 60, durationSeconds: 0 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Frame sequence started (10s)' }
+      );
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Frame sequence started (until stopped)' }
+      );
+    });
+
+    it('should show the suspended state until the stream resumes', () => {
+      subscribedHandlers[EventChannels.CAPTURE.INTERVAL_SUSPENDED]({ mode: 'screenshots' });
+      subscribedHandlers[EventChannels.CAPTURE.INTERVAL_RESUMED]({ mode: 'screenshots' });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.INTERVAL_CAPTURE_STATE, { active: true, suspended: true });
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.INTERVAL_CAPTURE_STATE, { active: true, suspended: false });
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Interval capture paused - waiting for the stream' }
+      );
+    });
+
+    it('should report the session result when stopped', () => {
+      subscribedHandlers[EventChannels.CAPTURE.INTERVAL_STOPPED]({ mode: 'screenshots', count: 12 });
+      subscribedHandlers[EventChannels.CAPTURE.INTERVAL_STOPPED]({ mode: 'timelapse', count: 40 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.INTERVAL_CAPTURE_STATE, { active: false });
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Interval screenshots stopped (12 saved)' }
+      );
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Encoding timelapse (40 frames)...' }
+      );
+    });
+
+    it('should report where a frame sequence was saved', () => {
+      subscribedHandlers[EventChannels.CAPTURE.INTERVAL_STOPPED]({ mode: 'frames', count: 600 });
+      subscribedHandlers[EventChannels.CAPTURE.FRAME_SEQUENCE_SAVED]({
+        folder: 'prismgb-frames-20250120-143022-000',
+        frameCount: 600,
+        uniqueFrameCount: 212
+      });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Saving frame sequence (600 frames)...' }
+      );
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Frame sequence saved to prismgb-frames-20250120-143022-000 (212 unique of 600 frames)' }
+      );
+    });
 
-    it('should handle screenshot ready event', () => {
-      const mockBlob = new Blob(['test'], { type: 'image/png' });
-      const filename = 'screenshot-2025-01-15-10-30-45.png';
+    it('should publish error status when interval capture fails', () => {
+      subscribedHandlers[EventChannels.CAPTURE.INTERVAL_ERROR]({ error: 'No supported timelapse codecs' });
 
-      subscribedHandlers[EventChannels.CAPTURE.SCREENSHOT_READY]({
-        blob: mockBlob,
-        filename: filename
+      expect(mockLogger.error).toHaveBeenCalledWith('Interval capture error:', 'No supported timelapse codecs');
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.INTERVAL_CAPTURE_STATE, { active: false });
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Interval capture failed: No supported timelapse codecs', type: 'error' }
+      );
+    });
+
+    it('should publish saved path for timelapses', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'timelapse',
+        filename: 'timelapse.mp4',
+        filePath: '/captures/timelapse.mp4'
       });
 
-      expect(mockUIController.triggerDownload).toHaveBeenCalledWith(mockBlob, filename);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Timelapse saved to /captures/timelapse.mp4' }
+      );
     });
 
-    it('should publish status message after screenshot ready', () => {
-      const mockBlob = new Blob(['test'], { type: 'image/png' });
-      const filename = 'screenshot-2025-01-15-10-30-45.png';
+    it('should publish saved path for commentary files', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'commentary',
+        filename: 'recording-commentary.webm',
+        filePath: '/captures/recording-commentary.webm'
+      });
 
-      subscribedHandlers[EventChannels.CAPTURE.SCREENSHOT_READY]({
-        blob: mockBlob,
-        filename: filename
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Commentary saved to /captures/recording-commentary.webm' }
+      );
+    });
+
+    it('should publish saved path for raw track files', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'raw-track',
+        filename: 'recording-raw.webm',
+        filePath: '/captures/recording-raw.webm'
       });
 
       expect(mockEventBus.publish).toHaveBeenCalledWith(
         EventChannels.UI.STATUS_MESSAGE,
-        { message: 'Screenshot saved!' }
+        { message: 'Raw recording saved to /captures/recording-raw.webm' }
       );
     });
+  });
+
+  describe('Event Handlers - Facecam', () => {
+    beforeEach(() => {
+      bridge = new CaptureUIBridge({
+        eventBus: mockEventBus,
+        uiController: mockUIController,
+        loggerFactory: mockLoggerFactory
+      });
+      bridge.initialize();
+    });
+
+    it('should forward the webcam stream and layout to the preview', () => {
+      const stream = { id: 'webcam' };
+      const layout = { position: 'top-left', sizePercent: 20, border: 'rounded' };
+
+      subscribedHandlers[EventChannels.CAPTURE.FACECAM_CHANGED]({ stream, layout });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(EventChannels.UI.FACECAM_PREVIEW, { stream, layout });
+    });
 
-    it('should call triggerDownload before publishing status message', () => {
-      const mockBlob = new Blob(['test'], { type: 'image/png' });
-      const filename = 'screenshot.png';
+    it('should publish a warning when the webcam cannot be opened', () => {
+      subscribedHandlers[EventChannels.CAPTURE.FACECAM_ERROR]({ error: new Error('No webcam found') });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Webcam unavailable: No webcam found', type: 'warning' }
+      );
+    });
+  });
 
-      subscribedHandlers[EventChannels.CAPTURE.SCREENSHOT_READY]({
-        blob: mockBlob,
-        filename: filename
+  describe('Event Handlers - Review', () => {
+    beforeEach(() => {
+      bridge = new CaptureUIBridge({
+        eventBus: mockEventBus,
+        uiController: mockUIController,
+        loggerFactory: mockLoggerFactory
       });
+      bridge.initialize();
+    });
+
+    it('should open the trim editor when a recording is held for review', () => {
+      const blob = { size: 1024 };
+
+      const markers = [{ timeMs: 1500, label: 'boss start' }];
+
+      subscribedHandlers[EventChannels.CAPTURE.REVIEW_READY]({ id: 1, blob, filename: 'take.webm', markers });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.RECORDING_REVIEW,
+        { id: 1, blob, filename: 'take.webm', markers }
+      );
+    });
+
+    it('should publish status when a reviewed recording is discarded', () => {
+      subscribedHandlers[EventChannels.CAPTURE.REVIEW_DISCARDED]({ filename: 'take.webm' });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Recording discarded' }
+      );
+    });
 
-      const triggerDownloadCallIndex = mockUIController.triggerDownload.mock.invocationCallOrder[0];
-      const publishCallIndex = mockEventBus.publish.mock.invocationCallOrder[0];
+    it('should mention playback when the trim has to re-encode', () => {
+      subscribedHandlers[EventChannels.CAPTURE.TRIM_STARTED]({ filename: 'take.mp4', reencode: true });
 
-      expect(triggerDownloadCallIndex).toBeLessThan(publishCallIndex);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Trimming recording (re-encoding, this plays through once)...' }
+      );
+    });
+
+    it('should publish a warning when trimming fails', () => {
+      subscribedHandlers[EventChannels.CAPTURE.TRIM_FAILED]({ filename: 'take.webm', error: 'No keyframe' });
+
+      expect(mockLogger.error).toHaveBeenCalledWith('Trim failed:', 'No keyframe');
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Trim failed - saving the full recording: No keyframe', type: 'warning' }
+      );
     });
   });
 
@@ -360,7 +663,53 @@ describe('CaptureUIBridge', () => {
     });
   });
 
-  describe('Event Handlers - Recording Ready', () => {
+  describe('Event Handlers - Recording Paused/Resumed', () => {
+    beforeEach(() => {
+      bridge = new CaptureUIBridge({
+        eventBus: mockEventBus,
+        uiController: mockUIController,
+        loggerFactory: mockLoggerFactory
+      });
+      bridge.initialize();
+    });
+
+    it('should show the paused button state and elapsed time', () => {
+      subscribedHandlers[EventChannels.CAPTURE.RECORDING_PAUSED]({ elapsedMs: 83400 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.RECORDING_STATE,
+        { active: true, paused: true }
+      );
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Recording paused at 1:23' }
+      );
+    });
+
+    it('should restore the recording button state on resume', () => {
+      subscribedHandlers[EventChannels.CAPTURE.RECORDING_RESUMED]({ elapsedMs: 83400 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.RECORDING_STATE,
+        { active: true, paused: false }
+      );
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Recording resumed' }
+      );
+    });
+
+    it('should confirm markers with their recording time', () => {
+      subscribedHandlers[EventChannels.CAPTURE.MARKER_ADDED]({ timeMs: 400, label: 'boss start', elapsedMs: 83400 });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Marker "boss start" added at 1:23' }
+      );
+    });
+  });
+
+  describe('Event Handlers - Capture Saved', () => {
     beforeEach(() => {
       bridge = new CaptureUIBridge({
         eventBus: mockEventBus,
@@ -370,25 +719,63 @@ describe('CaptureUIBridge', () => {
       bridge.initialize();
     });
 
-    it('should handle recording ready event', () => {
-      const mockBlob = new Blob(['test'], { type: 'video/webm' });
-      const filename = 'recording-2025-01-15-10-30-45.webm';
+    it('should publish saved path for screenshots', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'screenshot',
+        filename: 'shot.png',
+        filePath: '/captures/shot.png'
+      });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Screenshot saved to /captures/shot.png' }
+      );
+    });
+
+    it('should publish saved path for recordings', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'recording',
+        filename: 'clip.webm',
+        filePath: '/captures/clip.webm'
+      });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Recording saved to /captures/clip.webm' }
+      );
+    });
+
+    it('should show the saved capture as the latest capture', () => {
+      const blob = new Blob(['png'], { type: 'image/png' });
 
-      subscribedHandlers[EventChannels.CAPTURE.RECORDING_READY]({
-        blob: mockBlob,
-        filename: filename
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'screenshot',
+        filename: 'shot.png',
+        filePath: '/captures/shot.png',
+        blob
       });
 
-      expect(mockUIController.triggerDownload).toHaveBeenCalledWith(mockBlob, filename);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.LATEST_CAPTURE,
+        { kind: 'screenshot', filePath: '/captures/shot.png', blob }
+      );
     });
 
-    it('should publish status message after recording ready', () => {
-      const mockBlob = new Blob(['test'], { type: 'video/webm' });
-      const filename = 'recording-2025-01-15-10-30-45.webm';
+    it('should not show a latest capture when path is unknown', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'recording',
+        filename: 'clip.webm',
+        filePath: null
+      });
+
+      expect(mockEventBus.publish).not.toHaveBeenCalledWith(EventChannels.UI.LATEST_CAPTURE, expect.anything());
+    });
 
-      subscribedHandlers[EventChannels.CAPTURE.RECORDING_READY]({
-        blob: mockBlob,
-        filename: filename
+    it('should publish generic message when path is unknown', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'recording',
+        filename: 'clip.webm',
+        filePath: null
       });
 
       expect(mockEventBus.publish).toHaveBeenCalledWith(
@@ -397,19 +784,69 @@ describe('CaptureUIBridge', () => {
       );
     });
 
-    it('should call triggerDownload before publishing status message', () => {
-      const mockBlob = new Blob(['test'], { type: 'video/webm' });
-      const filename = 'recording.webm';
+    it('should publish not saved message when canceled', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SAVE_CANCELED]({
+        kind: 'screenshot',
+        filename: 'shot.png'
+      });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Screenshot not saved' }
+      );
+    });
+
+    it('should publish error message when save fails', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SAVE_FAILED]({
+        kind: 'recording',
+        filename: 'clip.webm',
+        error: 'Disk full'
+      });
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Failed to save recording: Disk full', type: 'error' }
+      );
+    });
+
+    it('should confirm a copied screenshot', () => {
+      subscribedHandlers[EventChannels.CAPTURE.SCREENSHOT_COPIED]();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Screenshot copied to clipboard' }
+      );
+    });
+
+    it('should publish error message when copy fails', () => {
+      subscribedHandlers[EventChannels.CAPTURE.COPY_FAILED]({ error: 'Invalid image' });
 
-      subscribedHandlers[EventChannels.CAPTURE.RECORDING_READY]({
-        blob: mockBlob,
-        filename: filename
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Copy failed: Invalid image', type: 'error' }
+      );
+    });
+
+    it('should publish the path of a single recovered recording', () => {
+      subscribedHandlers[EventChannels.CAPTURE.RECORDINGS_RECOVERED]({
+        filePaths: ['/captures/rec-recovered.webm']
       });
 
-      const triggerDownloadCallIndex = mockUIController.triggerDownload.mock.invocationCallOrder[0];
-      const publishCallIndex = mockEventBus.publish.mock.invocationCallOrder[0];
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Recovered recording saved to /captures/rec-recovered.webm' }
+      );
+    });
+
+    it('should publish the count of several recovered recordings', () => {
+      subscribedHandlers[EventChannels.CAPTURE.RECORDINGS_RECOVERED]({
+        filePaths: ['/captures/a.webm', '/captures/b.webm']
+      });
 
-      expect(triggerDownloadCallIndex).toBeLessThan(publishCallIndex);
+      expect(mockEventBus.publish).toHaveBeenCalledWith(
+        EventChannels.UI.STATUS_MESSAGE,
+        { message: 'Recovered 2 recordings to your capture folder' }
+      );
     });
   });
 
@@ -565,25 +1002,20 @@ describe('CaptureUIBridge', () => {
     });
 
     it('should handle complete screenshot workflow', () => {
-      const mockBlob = new Blob(['screenshot data'], { type: 'image/png' });
-      const filename = 'test-screenshot.png';
-
-      subscribedHandlers[EventChannels.CAPTURE.SCREENSHOT_READY]({
-        blob: mockBlob,
-        filename: filename
+      subscribedHandlers[EventChannels.CAPTURE.SCREENSHOT_TRIGGERED]();
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'screenshot',
+        filename: 'test-screenshot.png',
+        filePath: '/captures/test-screenshot.png'
       });
 
-      expect(mockUIController.triggerDownload).toHaveBeenCalledWith(mockBlob, filename);
       expect(mockEventBus.publish).toHaveBeenCalledWith(
         EventChannels.UI.STATUS_MESSAGE,
-        { message: 'Screenshot saved!' }
+        { message: 'Screenshot saved to /captures/test-screenshot.png' }
       );
     });
 
     it('should handle complete recording workflow', () => {
-      const mockBlob = new Blob(['video data'], { type: 'video/webm' });
-      const filename = 'test-recording.webm';
-
       // Start recording
       subscribedHandlers[EventChannels.CAPTURE.RECORDING_STARTED]();
       expect(mockEventBus.publish).toHaveBeenCalledWith(
@@ -602,15 +1034,15 @@ describe('CaptureUIBridge', () => {
 
       mockEventBus.publish.mockClear();
 
-      // Recording ready
-      subscribedHandlers[EventChannels.CAPTURE.RECORDING_READY]({
-        blob: mockBlob,
-        filename: filename
+      // Recording saved
+      subscribedHandlers[EventChannels.CAPTURE.SAVED]({
+        kind: 'recording',
+        filename: 'test-recording.webm',
+        filePath: '/captures/test-recording.webm'
       });
-      expect(mockUIController.triggerDownload).toHaveBeenCalledWith(mockBlob, filename);
       expect(mockEventBus.publish).toHaveBeenCalledWith(
         EventChannels.UI.STATUS_MESSAGE,
-        { message: 'Recording saved!' }
+        { message: 'Recording saved to /captures/test-recording.webm' }
       );
     });
 
@@ -661,26 +1093,11 @@ describe('CaptureUIBridge', () => {
       expect(bridge._subscriptions).toEqual([]);
     });
 
-    it('should handle missing blob in screenshot ready', () => {
-      bridge.initialize();
-
-      expect(() => {
-        subscribedHandlers[EventChannels.CAPTURE.SCREENSHOT_READY]({
-          blob: undefined,
-          filename: 'test.png'
-        });
-      }).not.toThrow();
-    });
-
-    it('should handle missing filename in screenshot ready', () => {
+    it('should handle missing kind in capture saved', () => {
       bridge.initialize();
-      const mockBlob = new Blob(['test'], { type: 'image/png' });
 
       expect(() => {
-        subscribedHandlers[EventChannels.CAPTURE.SCREENSHOT_READY]({
-          blob: mockBlob,
-          filename: undefined
-        });
+        subscribedHandlers[EventChannels.CAPTURE.SAVED]({ filePath: '/captures/file' });
       }).not.toThrow();
     });
 
@@ -418,6 +418,23 @@ describe('UIEffects', () => {
       expect(mockElement.classList.remove).toHaveBeenCalledWith(CSSClasses.RECORDING);
     });
 
+    it('should add paused class when recording is paused', () => {
+      const mockElement = { classList: { add: vi.fn(), remove: vi.fn() } };
+      effects.setRecordingButtonState(mockElement, true, true);
+
+      expect(mockElement.classList.add).toHaveBeenCalledWith(CSSClasses.RECORDING);
+      expect(mockElement.classList.add).toHaveBeenCalledWith(CSSClasses.RECORDING_PAUSED);
+    });
+
+    it('should remove paused class when recording resumes or stops', () => {
+      const mockElement = { classList: { add: vi.fn(), remove: vi.fn() } };
+      effects.setRecordingButtonState(mockElement, true, false);
+      effects.setRecordingButtonState(mockElement, false, true);
+
+      expect(mockElement.classList.add).not.toHaveBeenCalledWith(CSSClasses.RECORDING_PAUSED);
+      expect(mockElement.classList.remove).toHaveBeenCalledWith(CSSClasses.RECORDING_PAUSED);
+    });
+
     it('should do nothing when element is null', () => {
       expect(() => effects.setRecordingButtonState(null, true)).not.toThrow();
     });
@@ -427,6 +444,39 @@ describe('UIEffects', () => {
     });
   });
 
+  describe('setIntervalButtonState', () => {
+    const createElement = () => ({ classList: { add: vi.fn(), remove: vi.fn() }, setAttribute: vi.fn() });
+
+    it('should mark the button active and pressed', () => {
+      const mockElement = createElement();
+      effects.setIntervalButtonState(mockElement, true);
+
+      expect(mockElement.classList.add).toHaveBeenCalledWith(CSSClasses.ACTIVE);
+      expect(mockElement.classList.remove).toHaveBeenCalledWith(CSSClasses.RECORDING_PAUSED);
+      expect(mockElement.setAttribute).toHaveBeenCalledWith('aria-pressed', 'true');
+    });
+
+    it('should add paused class while the session is suspended', () => {
+      const mockElement = createElement();
+      effects.setIntervalButtonState(mockElement, true, true);
+
+      expect(mockElement.classList.add).toHaveBeenCalledWith(CSSClasses.RECORDING_PAUSED);
+    });
+
+    it('should clear both classes when the session ends', () => {
+      const mockElement = createElement();
+      effects.setIntervalButtonState(mockElement, false, true);
+
+      expect(mockElement.classList.remove).toHaveBeenCalledWith(CSSClasses.ACTIVE);
+      expect(mockElement.classList.remove).toHaveBeenCalledWith(CSSClasses.RECORDING_PAUSED);
+      expect(mockElement.setAttribute).toHaveBeenCalledWith('aria-pressed', 'false');
+    });
+
+    it('should do nothing when element is null', () => {
+      expect(() => effects.setIntervalButtonState(null, true)).not.toThrow();
+    });
+  });
+
   describe('setCinematicMode', () => {
     beforeEach(() => {
       vi.spyOn(document.body.classList, 'add').mockImplementation(() => {});
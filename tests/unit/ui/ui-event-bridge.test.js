@@ -44,6 +44,10 @@ describe('UIEventBridge', () => {
       updateFullscreenButton: vi.fn(),
       updateFullscreenMode: vi.fn(),
       updateRecordingButtonState: vi.fn(),
+      updateIntervalButtonState: vi.fn(),
+      showLatestCapture: vi.fn(),
+      updateFacecamPreview: vi.fn(),
+      showRecordingReview: vi.fn(),
       updateCinematicMode: vi.fn(),
       updateMinimalistFullscreen: vi.fn(),
       elements: {
@@ -129,6 +133,8 @@ describe('UIEventBridge', () => {
         'ui:record-button-press',
         'ui:button-feedback',
         'ui:recording-state',
+        'ui:interval-capture-state',
+        'ui:latest-capture',
         'settings:cinematic-mode-changed',
         'settings:minimalist-fullscreen-changed',
         'ui:fullscreen-state'
@@ -260,13 +266,69 @@ describe('UIEventBridge', () => {
     it('should handle ui:recording-state active event', () => {
       subscribedHandlers['ui:recording-state']({ active: true });
 
-      expect(mockUiController.updateRecordingButtonState).toHaveBeenCalledWith(true);
+      expect(mockUiController.updateRecordingButtonState).toHaveBeenCalledWith(true, false);
+    });
+
+    it('should handle ui:recording-state paused event', () => {
+      subscribedHandlers['ui:recording-state']({ active: true, paused: true });
+
+      expect(mockUiController.updateRecordingButtonState).toHaveBeenCalledWith(true, true);
     });
 
     it('should handle ui:recording-state inactive event', () => {
       subscribedHandlers['ui:recording-state']({ active: false });
 
-      expect(mockUiController.updateRecordingButtonState).toHaveBeenCalledWith(false);
+      expect(mockUiController.updateRecordingButtonState).toHaveBeenCalledWith(false, false);
+    });
+
+    it('should handle ui:interval-capture-state events', () => {
+      subscribedHandlers['ui:interval-capture-state']({ active: true, suspended: true });
+      subscribedHandlers['ui:interval-capture-state']({ active: false });
+
+      expect(mockUiController.updateIntervalButtonState).toHaveBeenCalledWith(true, true);
+      expect(mockUiController.updateIntervalButtonState).toHaveBeenCalledWith(false, false);
+    });
+  });
+
+  describe('Event Handlers - Latest Capture', () => {
+    beforeEach(() => {
+      handler.initialize();
+    });
+
+    it('should handle ui:latest-capture event', () => {
+      const capture = { kind: 'screenshot', filePath: '/captures/shot.png', blob: null };
+
+      subscribedHandlers['ui:latest-capture'](capture);
+
+      expect(mockUiController.showLatestCapture).toHaveBeenCalledWith(capture);
+    });
+  });
+
+  describe('Event Handlers - Facecam Preview', () => {
+    beforeEach(() => {
+      handler.initialize();
+    });
+
+    it('should handle ui:facecam-preview event', () => {
+      const facecam = { stream: null, layout: { position: 'bottom-right', sizePercent: 25, border: 'white' } };
+
+      subscribedHandlers['ui:facecam-preview'](facecam);
+
+      expect(mockUiController.updateFacecamPreview).toHaveBeenCalledWith(facecam);
+    });
+  });
+
+  describe('Event Handlers - Recording Review', () => {
+    beforeEach(() => {
+      handler.initialize();
+    });
+
+    it('should handle ui:recording-review event', () => {
+      const review = { id: 1, blob: { size: 1024 }, filename: 'take.webm' };
+
+      subscribedHandlers['ui:recording-review'](review);
+
+      expect(mockUiController.showRecordingReview).toHaveBeenCalledWith(review);
     });
   });
 
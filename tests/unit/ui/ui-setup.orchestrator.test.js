@@ -2,7 +2,7 @@
  * UISetupOrchestrator Unit Tests
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { UISetupOrchestrator } from '@renderer/ui/orchestration/ui-setup.orchestrator.js';
 import { CSSClasses } from '@shared/config/css-classes.config.js';
 
@@ -11,13 +11,19 @@ describe('UISetupOrchestrator', () => {
   let mockAppState;
   let mockUpdateOrchestrator;
   let mockSettingsService;
+  let mockRenderPresetService;
   let mockNotesService;
+  let mockGameProfileService;
+  let mockLutService;
   let mockUiController;
   let mockEventBus;
   let mockLogger;
   let mockLoggerFactory;
   let mockStreamOverlay;
   let mockStreamVideo;
+  let mockCaptureStorageAdapter;
+  let mockCaptureAudioMixService;
+  let mockCaptureFacecamService;
   let mockStreamCanvas;
 
   beforeEach(() => {
@@ -46,7 +52,15 @@ describe('UISetupOrchestrator', () => {
 
     mockSettingsService = {};
 
+    mockRenderPresetService = {};
+
     mockNotesService = {};
+    mockGameProfileService = {};
+    mockLutService = {};
+
+    mockCaptureStorageAdapter = {};
+    mockCaptureAudioMixService = {};
+    mockCaptureFacecamService = {};
 
     // Create mock DOM elements with event listener support
     const createMockElement = () => {
@@ -79,10 +93,27 @@ describe('UISetupOrchestrator', () => {
         shaderBtn: createMockElement(),
         shaderDropdown: createMockElement(),
         cinematicToggle: createMockElement(),
-        streamToolbar: createMockElement()
+        streamToolbar: createMockElement(),
+        captureThumbnail: createMockElement(),
+        captureThumbnailImage: createMockElement(),
+        facecamPreview: createMockElement(),
+        trimEditor: createMockElement(),
+        trimEditorVideo: createMockElement(),
+        trimEditorSaveBtn: createMockElement(),
+        presetEditor: createMockElement(),
+        presetEditorSliders: createMockElement(),
+        presetEditorLutSelect: createMockElement(),
+        presetEditorSaveBtn: createMockElement(),
+        gamePicker: createMockElement()
       },
       initSettingsMenu: vi.fn(),
       initShaderSelector: vi.fn(),
+      initPresetEditor: vi.fn(),
+      initGamePicker: vi.fn(),
+      initCaptureThumbnail: vi.fn(),
+      initCaptureFacecamPreview: vi.fn(),
+      initCaptureTrimEditor: vi.fn(),
+      initCaptureGallery: vi.fn(),
       toggleSettingsMenu: vi.fn(),
       toggleShaderSelector: vi.fn()
     };
@@ -91,7 +122,13 @@ describe('UISetupOrchestrator', () => {
       appState: mockAppState,
       updateOrchestrator: mockUpdateOrchestrator,
       settingsService: mockSettingsService,
+      renderPresetService: mockRenderPresetService,
+      lutService: mockLutService,
       notesService: mockNotesService,
+      gameProfileService: mockGameProfileService,
+      captureStorageAdapter: mockCaptureStorageAdapter,
+      captureAudioMixService: mockCaptureAudioMixService,
+      captureFacecamService: mockCaptureFacecamService,
       uiController: mockUiController,
       eventBus: mockEventBus,
       loggerFactory: mockLoggerFactory
@@ -120,6 +157,9 @@ describe('UISetupOrchestrator', () => {
       expect(mockUiController.initSettingsMenu).toHaveBeenCalledWith({
         settingsService: mockSettingsService,
         updateOrchestrator: mockUpdateOrchestrator,
+        captureStorageAdapter: mockCaptureStorageAdapter,
+        captureAudioMixService: mockCaptureAudioMixService,
+        captureFacecamService: mockCaptureFacecamService,
         eventBus: mockEventBus,
         loggerFactory: mockLoggerFactory,
         logger: mockLogger
@@ -134,6 +174,7 @@ describe('UISetupOrchestrator', () => {
       expect(mockUiController.initShaderSelector).toHaveBeenCalledWith(
         {
           settingsService: mockSettingsService,
+          renderPresetService: mockRenderPresetService,
           appState: mockAppState,
           eventBus: mockEventBus,
           logger: mockLogger
@@ -148,6 +189,96 @@ describe('UISetupOrchestrator', () => {
     });
   });
 
+  describe('initializePresetEditor', () => {
+    it('should call uiController.initPresetEditor with the preset services and editor elements', () => {
+      orchestrator.initializePresetEditor();
+
+      expect(mockLoggerFactory.create).toHaveBeenCalledWith('StreamingPresetEditorComponent');
+      expect(mockUiController.initPresetEditor).toHaveBeenCalledWith(
+        {
+          renderPresetService: mockRenderPresetService,
+          settingsService: mockSettingsService,
+          lutService: mockLutService,
+          logger: mockLogger
+        },
+        expect.objectContaining({
+          presetEditor: mockUiController.elements.presetEditor,
+          presetEditorSliders: mockUiController.elements.presetEditorSliders,
+          presetEditorLutSelect: mockUiController.elements.presetEditorLutSelect,
+          presetEditorSaveBtn: mockUiController.elements.presetEditorSaveBtn
+        })
+      );
+    });
+  });
+
+  describe('initializeGamePicker', () => {
+    it('should call uiController.initGamePicker with the notes and profile services', () => {
+      orchestrator.initializeGamePicker();
+
+      expect(mockLoggerFactory.create).toHaveBeenCalledWith('SettingsGamePickerComponent');
+      expect(mockUiController.initGamePicker).toHaveBeenCalledWith(
+        {
+          notesService: mockNotesService,
+          gameProfileService: mockGameProfileService,
+          logger: mockLogger
+        },
+        { gamePicker: mockUiController.elements.gamePicker }
+      );
+    });
+  });
+
+  describe('initializeCaptureGallery', () => {
+    it('should call uiController.initCaptureGallery with the storage adapter and gallery elements', () => {
+      orchestrator.initializeCaptureGallery();
+
+      expect(mockLoggerFactory.create).toHaveBeenCalledWith('CaptureGalleryPanelComponent');
+      expect(mockUiController.initCaptureGallery).toHaveBeenCalledWith(
+        {
+          captureStorageAdapter: mockCaptureStorageAdapter,
+          logger: mockLogger
+        },
+        expect.objectContaining({
+          galleryBtn: mockUiController.elements.galleryBtn,
+          galleryPanel: mockUiController.elements.galleryPanel,
+          galleryGrid: mockUiController.elements.galleryGrid
+        })
+      );
+    });
+  });
+
+  describe('initializeCaptureThumbnail', () => {
+    it('should call uiController.initCaptureThumbnail with thumbnail elements', () => {
+      orchestrator.initializeCaptureThumbnail();
+
+      expect(mockUiController.initCaptureThumbnail).toHaveBeenCalledWith({
+        captureThumbnail: mockUiController.elements.captureThumbnail,
+        captureThumbnailImage: mockUiController.elements.captureThumbnailImage
+      });
+    });
+  });
+
+  describe('initializeCaptureFacecamPreview', () => {
+    it('should call uiController.initCaptureFacecamPreview with the preview element', () => {
+      orchestrator.initializeCaptureFacecamPreview();
+
+      expect(mockUiController.initCaptureFacecamPreview).toHaveBeenCalledWith({
+        facecamPreview: mockUiController.elements.facecamPreview
+      });
+    });
+  });
+
+  describe('initializeCaptureTrimEditor', () => {
+    it('should call uiController.initCaptureTrimEditor with the trim editor elements', () => {
+      orchestrator.initializeCaptureTrimEditor();
+
+      expect(mockUiController.initCaptureTrimEditor).toHaveBeenCalledWith(expect.objectContaining({
+        trimEditor: mockUiController.elements.trimEditor,
+        trimEditorVideo: mockUiController.elements.trimEditorVideo,
+        trimEditorSaveBtn: mockUiController.elements.trimEditorSaveBtn
+      }));
+    });
+  });
+
   describe('setupUIEventListeners', () => {
     it('should set up screenshot button listener', () => {
       orchestrator.setupUIEventListeners();
@@ -240,6 +371,107 @@ describe('UISetupOrchestrator', () => {
     });
   });
 
+  describe('capture hotkeys', () => {
+    const pressKey = (key, target = document.body) => {
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+      target.dispatchEvent(event);
+      return event;
+    };
+
+    beforeEach(() => {
+      orchestrator.setupUIEventListeners();
+      mockAppState.isStreaming = true;
+    });
+
+    afterEach(() => {
+      orchestrator._domListeners.removeAll();
+    });
+
+    it('should publish REPLAY_SAVE_REQUESTED when replay button handler is invoked', () => {
+      const call = mockUiController.on.mock.calls.find(c => c[0] === 'replayBtn');
+
+      call[2]();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:replay-save-requested');
+    });
+
+    it('should publish CLIP_CAPTURE_REQUESTED when clip button handler is invoked', () => {
+      const call = mockUiController.on.mock.calls.find(c => c[0] === 'clipBtn');
+
+      call[2]();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:clip-capture-requested');
+    });
+
+    it('should publish INTERVAL_CAPTURE_TOGGLE_REQUESTED when interval button handler is invoked', () => {
+      const call = mockUiController.on.mock.calls.find(c => c[0] === 'intervalBtn');
+
+      call[2]();
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:interval-capture-toggle-requested');
+    });
+
+    it('should publish REPLAY_SAVE_REQUESTED on replay hotkey', () => {
+      const event = pressKey('F9');
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:replay-save-requested');
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    it('should publish RECORDING_PAUSE_TOGGLE_REQUESTED on pause hotkey', () => {
+      const event = pressKey('F8');
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:recording-pause-toggle-requested');
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    it('should publish SCREENSHOT_COPY_REQUESTED on copy hotkey', () => {
+      const event = pressKey('F7');
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:screenshot-copy-requested');
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    it('should publish RECORDING_MARKER_REQUESTED on marker hotkey', () => {
+      const event = pressKey('F6');
+
+      expect(mockEventBus.publish).toHaveBeenCalledWith('ui:recording-marker-requested');
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    it('should ignore other keys', () => {
+      pressKey('F5');
+
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should ignore replay hotkey while typing', () => {
+      const input = document.createElement('textarea');
+      document.body.appendChild(input);
+
+      pressKey('F9', input);
+
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+      input.remove();
+    });
+
+    it('should ignore replay hotkey when not streaming', () => {
+      mockAppState.isStreaming = false;
+
+      pressKey('F9');
+
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should remove hotkey listener on cleanup', async () => {
+      await orchestrator.onCleanup();
+
+      pressKey('F9');
+
+      expect(mockEventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+
   describe('setupOverlayClickHandlers', () => {
     it('should add click listener to stream overlay', () => {
       orchestrator.setupOverlayClickHandlers();
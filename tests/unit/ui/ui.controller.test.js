@@ -16,6 +16,9 @@ describe('UIController', () => {
   let mockStreamControls;
   let mockSettingsMenu;
   let mockShaderSelector;
+  let mockCaptureThumbnail;
+  let mockFacecamPreview;
+  let mockTrimEditor;
   let mockLoggerFactory;
   let mockLogger;
 
@@ -32,6 +35,7 @@ describe('UIController', () => {
       settingsBtn: { addEventListener: vi.fn() },
       screenshotBtn: { disabled: false },
       recordBtn: { disabled: false, classList: { add: vi.fn(), remove: vi.fn() } },
+      intervalBtn: { disabled: false, classList: { add: vi.fn(), remove: vi.fn() }, setAttribute: vi.fn() },
       fullscreenBtn: { title: '', addEventListener: vi.fn() },
       deviceName: { textContent: '' },
       deviceStatusText: { textContent: '' },
@@ -65,11 +69,28 @@ describe('UIController', () => {
     mockShaderSelector = {
       hide: vi.fn()
     };
+    mockCaptureThumbnail = {
+      show: vi.fn()
+    };
+
+    mockFacecamPreview = {
+      update: vi.fn()
+    };
+
+    mockTrimEditor = {
+      open: vi.fn()
+    };
 
     // Create mock registry
     mockRegistry = {
       initialize: vi.fn(),
       initSettingsMenu: vi.fn(),
+      initCaptureThumbnail: vi.fn(),
+      initCaptureFacecamPreview: vi.fn(),
+      initCaptureTrimEditor: vi.fn(),
+      initPresetEditor: vi.fn(),
+      initGamePicker: vi.fn(),
+      initCaptureGallery: vi.fn(),
       get: vi.fn((name) => {
         switch (name) {
           case 'statusNotificationComponent': return mockStatusManager;
@@ -77,6 +98,9 @@ describe('UIController', () => {
           case 'streamControlsComponent': return mockStreamControls;
           case 'settingsMenuComponent': return mockSettingsMenu;
           case 'shaderSelectorComponent': return mockShaderSelector;
+          case 'captureThumbnailComponent': return mockCaptureThumbnail;
+          case 'captureFacecamPreviewComponent': return mockFacecamPreview;
+          case 'captureTrimEditorComponent': return mockTrimEditor;
           default: return null;
         }
       }),
@@ -178,6 +202,93 @@ describe('UIController', () => {
     });
   });
 
+  describe('capture gallery', () => {
+    it('should initialize the gallery through the registry', () => {
+      const dependencies = { captureStorageAdapter: {} };
+      const elements = { galleryBtn: {}, galleryPanel: {} };
+
+      controller.initCaptureGallery(dependencies, elements);
+
+      expect(mockRegistry.initCaptureGallery).toHaveBeenCalledWith(dependencies, elements);
+    });
+  });
+
+  describe('capture thumbnail', () => {
+    it('should initialize the thumbnail through the registry', () => {
+      const elements = { captureThumbnail: {}, captureThumbnailImage: {} };
+
+      controller.initCaptureThumbnail(elements);
+
+      expect(mockRegistry.initCaptureThumbnail).toHaveBeenCalledWith(elements);
+    });
+
+    it('should show the latest capture', () => {
+      const capture = { kind: 'screenshot', filePath: '/captures/shot.png', blob: null };
+
+      controller.showLatestCapture(capture);
+
+      expect(mockCaptureThumbnail.show).toHaveBeenCalledWith(capture);
+    });
+  });
+
+  describe('facecam preview', () => {
+    it('should initialize the preview through the registry', () => {
+      const elements = { facecamPreview: {} };
+
+      controller.initCaptureFacecamPreview(elements);
+
+      expect(mockRegistry.initCaptureFacecamPreview).toHaveBeenCalledWith(elements);
+    });
+
+    it('should update the preview', () => {
+      const facecam = { stream: null, layout: { position: 'top-right', sizePercent: 30, border: 'black' } };
+
+      controller.updateFacecamPreview(facecam);
+
+      expect(mockFacecamPreview.update).toHaveBeenCalledWith(facecam);
+    });
+  });
+
+  describe('preset editor', () => {
+    it('should initialize the preset editor through the registry', () => {
+      const dependencies = { renderPresetService: {}, settingsService: {} };
+      const elements = { presetEditor: {}, presetEditorSliders: {} };
+
+      controller.initPresetEditor(dependencies, elements);
+
+      expect(mockRegistry.initPresetEditor).toHaveBeenCalledWith(dependencies, elements);
+    });
+  });
+
+  describe('game picker', () => {
+    it('should initialize the game picker through the registry', () => {
+      const dependencies = { notesService: {}, gameProfileService: {} };
+      const elements = { gamePicker: {} };
+
+      controller.initGamePicker(dependencies, elements);
+
+      expect(mockRegistry.initGamePicker).toHaveBeenCalledWith(dependencies, elements);
+    });
+  });
+
+  describe('trim editor', () => {
+    it('should initialize the trim editor through the registry', () => {
+      const elements = { trimEditor: {}, trimEditorVideo: {} };
+
+      controller.initCaptureTrimEditor(elements);
+
+      expect(mockRegistry.initCaptureTrimEditor).toHaveBeenCalledWith(elements);
+    });
+
+    it('should open a recording for review', () => {
+      const review = { id: 1, blob: { size: 1024 }, filename: 'take.webm' };
+
+      controller.showRecordingReview(review);
+
+      expect(mockTrimEditor.open).toHaveBeenCalledWith(review);
+    });
+  });
+
   describe('updateStatusMessage', () => {
     it('should delegate to StatusNotificationComponent', () => {
       controller.updateStatusMessage('Test message', 'success');
@@ -326,6 +437,17 @@ describe('UIController', () => {
 
       expect(mockEffects.setRecordingButtonState).toHaveBeenCalledWith(
         controller.elements.recordBtn,
+        true,
+        false
+      );
+    });
+
+    it('should pass the paused state through', () => {
+      controller.updateRecordingButtonState(true, true);
+
+      expect(mockEffects.setRecordingButtonState).toHaveBeenCalledWith(
+        controller.elements.recordBtn,
+        true,
         true
       );
     });
@@ -335,6 +457,7 @@ describe('UIController', () => {
 
       expect(mockEffects.setRecordingButtonState).toHaveBeenCalledWith(
         controller.elements.recordBtn,
+        false,
         false
       );
     });
@@ -353,6 +476,29 @@ describe('UIController', () => {
     });
   });
 
+  describe('updateIntervalButtonState', () => {
+    beforeEach(() => {
+      mockEffects.setIntervalButtonState = vi.fn();
+    });
+
+    it('should pass the active and suspended state to effects', () => {
+      controller.updateIntervalButtonState(true, true);
+
+      expect(mockEffects.setIntervalButtonState).toHaveBeenCalledWith(
+        controller.elements.intervalBtn,
+        true,
+        true
+      );
+    });
+
+    it('should not call effects when intervalBtn is null', () => {
+      controller.elements.intervalBtn = null;
+
+      expect(() => controller.updateIntervalButtonState(true)).not.toThrow();
+      expect(mockEffects.setIntervalButtonState).not.toHaveBeenCalled();
+    });
+  });
+
   describe('updateCinematicMode', () => {
     beforeEach(() => {
       mockEffects.setCinematicMode = vi.fn();
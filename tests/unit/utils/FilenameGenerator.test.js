@@ -73,6 +73,212 @@ describe('FilenameGenerator', () => {
       const filename = FilenameGenerator.forRecording();
       expect(filename.startsWith('prismgb-recording-')).toBe(true);
     });
+
+    it('should use .mp4 extension for MP4 recordings', () => {
+      expect(FilenameGenerator.forRecording('mp4')).toBe('prismgb-recording-20250120-143022-000.mp4');
+    });
+  });
+
+  describe('forRecordingSegment', () => {
+    it('should number segments within a session', () => {
+      const sessionId = FilenameGenerator.timestamp();
+
+      expect(FilenameGenerator.forRecordingSegment(sessionId, 1)).toBe('prismgb-recording-20250120-143022-000-part001.webm');
+      expect(FilenameGenerator.forRecordingSegment(sessionId, 12, 'mp4')).toBe('prismgb-recording-20250120-143022-000-part012.mp4');
+    });
+  });
+
+  describe('forReplay', () => {
+    it('should generate replay filename with timestamp', () => {
+      const filename = FilenameGenerator.forReplay();
+      expect(filename).toBe('prismgb-replay-20250120-143022-000.webm');
+    });
+  });
+
+  describe('forClip', () => {
+    it('should generate GIF clip filename', () => {
+      expect(FilenameGenerator.forClip('gif')).toBe('prismgb-clip-20250120-143022-000.gif');
+    });
+
+    it('should use .png extension for APNG clips', () => {
+      expect(FilenameGenerator.forClip('apng')).toBe('prismgb-clip-20250120-143022-000.png');
+    });
+  });
+
+  describe('interval capture', () => {
+    it('should generate a session folder name', () => {
+      expect(FilenameGenerator.forIntervalSession()).toBe('prismgb-interval-20250120-143022-000');
+    });
+
+    it('should number interval shots so they sort in order', () => {
+      expect(FilenameGenerator.forIntervalShot(7)).toBe('prismgb-interval-00007.png');
+    });
+
+    it('should generate timelapse filename', () => {
+      expect(FilenameGenerator.forTimelapse()).toBe('prismgb-timelapse-20250120-143022-000.mp4');
+    });
+
+    it('should name frame sequence folders and number their frames', () => {
+      expect(FilenameGenerator.forFrameSequence()).toBe('prismgb-frames-20250120-143022-000');
+      expect(FilenameGenerator.forSequenceFrame(42)).toBe('frame-00042.png');
+      expect(FilenameGenerator.forFrameSequenceManifest()).toBe('frames.json');
+    });
+
+    it('should recognize interval and frame sequence folders', () => {
+      expect(FilenameGenerator.isSessionFolder('prismgb-interval-20250120-143022-000')).toBe(true);
+      expect(FilenameGenerator.isSessionFolder('prismgb-frames-20250120-143022-000')).toBe(true);
+      expect(FilenameGenerator.isSessionFolder('Pokemon-Gold')).toBe(false);
+      expect(FilenameGenerator.isSessionFolder(null)).toBe(false);
+    });
+  });
+
+  describe('forCommentary', () => {
+    it('should name the commentary after the recording', () => {
+      expect(FilenameGenerator.forCommentary('prismgb-recording-20250120-143022-000.mp4'))
+        .toBe('prismgb-recording-20250120-143022-000-commentary.webm');
+    });
+
+    it('should name the commentary after the session for split recordings', () => {
+      expect(FilenameGenerator.forCommentary('prismgb-recording-20250120-143022-000-part001.webm'))
+        .toBe('prismgb-recording-20250120-143022-000-commentary.webm');
+    });
+  });
+
+  describe('isCommentary', () => {
+    it('should recognize commentary files', () => {
+      expect(FilenameGenerator.isCommentary('prismgb-recording-20250120-143022-000-commentary.webm')).toBe(true);
+      expect(FilenameGenerator.isCommentary('/captures/Tetris/run-COMMENTARY.webm')).toBe(true);
+    });
+
+    it('should reject recordings and other files', () => {
+      expect(FilenameGenerator.isCommentary('prismgb-recording-20250120-143022-000.webm')).toBe(false);
+      expect(FilenameGenerator.isCommentary('commentary.webm')).toBe(false);
+      expect(FilenameGenerator.isCommentary('run-commentary.mp4')).toBe(false);
+      expect(FilenameGenerator.isCommentary(null)).toBe(false);
+    });
+  });
+
+  describe('forRawTrack', () => {
+    it('should name the raw feed after the recording or segment', () => {
+      expect(FilenameGenerator.forRawTrack('prismgb-recording-20250120-143022.mp4'))
+        .toBe('prismgb-recording-20250120-143022-raw.mp4');
+      expect(FilenameGenerator.forRawTrack('prismgb-recording-20250120-143022-part002.webm'))
+        .toBe('prismgb-recording-20250120-143022-part002-raw.webm');
+    });
+  });
+
+  describe('forSidecar', () => {
+    it('should swap the recording extension for the sidecar one', () => {
+      expect(FilenameGenerator.forSidecar('prismgb-recording-20250120-143022.webm', '.chapters.vtt'))
+        .toBe('prismgb-recording-20250120-143022.chapters.vtt');
+      expect(FilenameGenerator.forSidecar('/captures/v1.2/run-raw.mp4', '.markers.json'))
+        .toBe('/captures/v1.2/run-raw.markers.json');
+      expect(FilenameGenerator.forSidecar('/captures/v1.2/run', '.markers.json'))
+        .toBe('/captures/v1.2/run.markers.json');
+    });
+  });
+
+  describe('forRenderPreset', () => {
+    it('should name the file after the preset', () => {
+      expect(FilenameGenerator.forRenderPreset('Night Owl')).toBe('Night-Owl.prismgb-preset.json');
+    });
+
+    it('should fall back to a generic name when nothing safe is left', () => {
+      expect(FilenameGenerator.forRenderPreset('???')).toBe('render-preset.prismgb-preset.json');
+    });
+  });
+
+  describe('baseName', () => {
+    it('should use a name from the filename template instead of the timestamp', () => {
+      expect(FilenameGenerator.forScreenshot('tetris-0001')).toBe('tetris-0001.png');
+      expect(FilenameGenerator.forRecording('mp4', 'tetris-run')).toBe('tetris-run.mp4');
+      expect(FilenameGenerator.forRecordingSegment('session', 2, 'webm', 'tetris-run')).toBe('tetris-run-part002.webm');
+      expect(FilenameGenerator.forReplay('tetris-replay')).toBe('tetris-replay.webm');
+      expect(FilenameGenerator.forClip('apng', 'tetris-clip')).toBe('tetris-clip.png');
+      expect(FilenameGenerator.forTimelapse('tetris-timelapse')).toBe('tetris-timelapse.mp4');
+    });
+  });
+
+  describe('validateTemplate', () => {
+    it('should accept templates built from known tokens', () => {
+      expect(FilenameGenerator.validateTemplate('prismgb-{type}-{date}-{time}')).toBeNull();
+      expect(FilenameGenerator.validateTemplate('{game} ({preset}) {counter}')).toBeNull();
+    });
+
+    it('should reject empty and overlong templates', () => {
+      expect(FilenameGenerator.validateTemplate('  ')).toBe('Enter a filename template');
+      expect(FilenameGenerator.validateTemplate('a'.repeat(121))).toBe('Keep the template under 120 characters');
+    });
+
+    it('should reject characters file systems do not allow', () => {
+      expect(FilenameGenerator.validateTemplate('{game}/{date}')).toBe('Filenames cannot contain /');
+      expect(FilenameGenerator.validateTemplate('shot:{time}')).toBe('Filenames cannot contain :');
+      expect(FilenameGenerator.validateTemplate('shot\t{time}')).toBe('Filenames cannot contain control characters');
+    });
+
+    it('should reject unknown tokens and unmatched braces', () => {
+      expect(FilenameGenerator.validateTemplate('{title}-{date}')).toBe('Unknown token {title}');
+      expect(FilenameGenerator.validateTemplate('{game-{date}')).toBe('Unmatched { or }');
+    });
+
+    it('should reject trailing dots and reserved names', () => {
+      expect(FilenameGenerator.validateTemplate('{game}.')).toBe('Filenames cannot end with a dot or space');
+      expect(FilenameGenerator.validateTemplate('CON')).toBe('CON is a reserved name');
+    });
+  });
+
+  describe('fromTemplate', () => {
+    const values = {
+      type: 'screenshot',
+      game: 'Pokémon Red/Blue',
+      preset: 'vibrant',
+      device: 'chromatic',
+      counter: 42
+    };
+
+    it('should fill in every token', () => {
+      expect(FilenameGenerator.fromTemplate('{type}_{game}_{preset}_{device}_{date}_{time}_{counter}', values))
+        .toBe('screenshot_Pokemon-Red-Blue_vibrant_chromatic_20250120_143022_0042');
+    });
+
+    it('should use the given capture time', () => {
+      const date = new Date('2024-12-31T23:59:59');
+
+      expect(FilenameGenerator.fromTemplate('{date}-{time}', { ...values, date })).toBe('20241231-235959');
+    });
+
+    it('should drop an empty token together with its separator', () => {
+      const untagged = { ...values, game: null, counter: null };
+
+      expect(FilenameGenerator.fromTemplate('{game}-{date}', untagged)).toBe('20250120');
+      expect(FilenameGenerator.fromTemplate('{date}-{game}-{counter}', untagged)).toBe('20250120');
+      expect(FilenameGenerator.fromTemplate('shot {game}', untagged)).toBe('shot');
+    });
+
+    it('should fall back to a timestamped name when every token is empty', () => {
+      expect(FilenameGenerator.fromTemplate('{game}', { type: 'clip' })).toBe('prismgb-clip-20250120-143022');
+    });
+
+    it('should fall back to the default template when the template is invalid', () => {
+      expect(FilenameGenerator.fromTemplate('{title}', values)).toBe('prismgb-screenshot-20250120-143022');
+    });
+
+    it('should not produce reserved names', () => {
+      expect(FilenameGenerator.fromTemplate('{game}', { ...values, game: 'aux' })).toBe('aux_');
+    });
+  });
+
+  describe('sanitizeName', () => {
+    it('should reduce a name to safe ASCII', () => {
+      expect(FilenameGenerator.sanitizeName('Zelda: Link\'s Awakening DX')).toBe('Zelda-Link-s-Awakening-DX');
+      expect(FilenameGenerator.sanitizeName('Pokémon Crystal')).toBe('Pokemon-Crystal');
+    });
+
+    it('should not leave leading or trailing dots and dashes', () => {
+      expect(FilenameGenerator.sanitizeName('..hidden..')).toBe('hidden');
+      expect(FilenameGenerator.sanitizeName('***')).toBe('');
+      expect(FilenameGenerator.sanitizeName(null)).toBe('');
+    });
   });
 
   describe('Uniqueness', () => {
@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { formatDeviceInfo } from '../../../src/shared/utils/formatters.utils.js';
+import { formatDeviceInfo, formatDuration } from '../../../src/shared/utils/formatters.utils.js';
 
 describe('Formatters', () => {
   describe('formatDeviceInfo', () => {
@@ -121,4 +121,18 @@ describe('Formatters', () => {
     });
   });
 
+  describe('formatDuration', () => {
+    it('should format minutes and seconds', () => {
+      expect(formatDuration(0)).toBe('0:00');
+      expect(formatDuration(83999)).toBe('1:23');
+    });
+
+    it('should include hours from one hour up', () => {
+      expect(formatDuration(3723000)).toBe('1:02:03');
+    });
+
+    it('should clamp negative durations', () => {
+      expect(formatDuration(-500)).toBe('0:00');
+    });
+  });
 });
@@ -0,0 +1,157 @@
+/**
+ * Capture metadata utilities tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  embedPngMetadata,
+  embedWebmMetadata,
+  readCaptureMetadata
+} from '@shared/utils/capture-metadata.utils.js';
+
+const METADATA = {
+  appVersion: '1.2.0',
+  deviceProfileId: 'chromatic-mod-retro',
+  presetId: 'vibrant',
+  brightness: 1.25,
+  capturedAt: '2026-10-19T12:00:00.000Z',
+  gameName: 'Tetris'
+};
+
+/**
+ * Minimal PNG: signature, IHDR, a dummy IDAT and IEND (CRCs are not checked by the reader)
+ */
+function createPng() {
+  const chunk = (type, data) => [0, 0, 0, data.length, ...[...type].map(c => c.charCodeAt(0)), ...data, 0, 0, 0, 0];
+  return new Uint8Array([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    ...chunk('IHDR', [0, 0, 0, 160, 0, 0, 0, 144, 8, 6, 0, 0, 0]),
+    ...chunk('IDAT', [1, 2, 3]),
+    ...chunk('IEND', [])
+  ]);
+}
+
+/**
+ * Live WebM start as written by MediaRecorder: EBML header, unknown-size Segment,
+ * Info, Tracks and the start of an unknown-size Cluster
+ */
+function createWebm() {
+  return new Uint8Array([
+    0x1a, 0x45, 0xdf, 0xa3, 0x84, 0x42, 0x82, 0x81, 0x77, // EBML header (DocType stub)
+    0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, // Segment, unknown size
+    0x15, 0x49, 0xa9, 0x66, 0x83, 0x2a, 0xd7, 0xb1, // Info
+    0x16, 0x54, 0xae, 0x6b, 0x82, 0xae, 0x80, // Tracks
+    0x1f, 0x43, 0xb6, 0x75, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, // Cluster, unknown size
+    0xe7, 0x81, 0x00 // Timecode
+  ]);
+}
+
+function indexOfBytes(bytes, pattern) {
+  for (let i = 0; i <= bytes.length - pattern.length; i++) {
+    if (pattern.every((value, j) => bytes[i + j] === value)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+describe('capture metadata utils', () => {
+  describe('PNG', () => {
+    it('should round-trip metadata through text chunks', () => {
+      const tagged = embedPngMetadata(createPng(), METADATA);
+
+      expect(readCaptureMetadata(tagged)).toEqual(METADATA);
+    });
+
+    it('should insert the chunks right after IHDR', () => {
+      const tagged = embedPngMetadata(createPng(), { presetId: 'vibrant' });
+      const type = String.fromCharCode(...tagged.subarray(37, 41));
+
+      expect(type).toBe('tEXt');
+      expect(String.fromCharCode(...tagged.subarray(tagged.length - 8, tagged.length - 4))).toBe('IEND');
+    });
+
+    it('should write a valid chunk CRC', () => {
+      const tagged = embedPngMetadata(createPng(), { presetId: 'vibrant' });
+      const length = new DataView(tagged.buffer).getUint32(33);
+      const crc = new DataView(tagged.buffer).getUint32(41 + length);
+
+      // CRC-32 of "tEXtPrismGB:RenderPreset\0vibrant"
+      expect(crc).toBe(0xb3fd7a81);
+    });
+
+    it('should store non-ASCII values as UTF-8 iTXt', () => {
+      const tagged = embedPngMetadata(createPng(), { gameName: 'ポケモン' });
+
+      expect(indexOfBytes(tagged, [0x69, 0x54, 0x58, 0x74])).toBeGreaterThan(0);
+      expect(readCaptureMetadata(tagged)).toEqual({ gameName: 'ポケモン' });
+    });
+
+    it('should skip empty fields', () => {
+      const tagged = embedPngMetadata(createPng(), { presetId: 'pixel', gameName: '', deviceProfileId: null });
+
+      expect(readCaptureMetadata(tagged)).toEqual({ presetId: 'pixel' });
+    });
+
+    it('should reject data that is not a PNG', () => {
+      expect(() => embedPngMetadata(new Uint8Array([1, 2, 3]), METADATA)).toThrow('Not a PNG image');
+    });
+
+    it('should return null for a PNG without metadata', () => {
+      expect(readCaptureMetadata(createPng())).toBeNull();
+    });
+  });
+
+  describe('WebM', () => {
+    it('should round-trip metadata through segment tags', () => {
+      const tagged = embedWebmMetadata(createWebm(), METADATA);
+
+      expect(readCaptureMetadata(tagged)).toEqual(METADATA);
+    });
+
+    it('should insert the Tags element in front of the first Cluster', () => {
+      const original = createWebm();
+      const tagged = embedWebmMetadata(original, { presetId: 'vibrant' });
+
+      const tagsAt = indexOfBytes(tagged, [0x12, 0x54, 0xc3, 0x67]);
+      const clusterAt = indexOfBytes(tagged, [0x1f, 0x43, 0xb6, 0x75]);
+
+      expect(tagsAt).toBe(indexOfBytes(original, [0x1f, 0x43, 0xb6, 0x75]));
+      expect(clusterAt).toBeGreaterThan(tagsAt);
+      expect(tagged.subarray(clusterAt)).toEqual(original.subarray(tagsAt));
+    });
+
+    it('should append the tags when the chunk ends before the first Cluster', () => {
+      const headerOnly = createWebm().subarray(0, 36);
+
+      const tagged = embedWebmMetadata(headerOnly, { gameName: 'Tetris' });
+
+      expect(readCaptureMetadata(tagged)).toEqual({ gameName: 'Tetris' });
+    });
+
+    it('should refuse segments with a fixed size', () => {
+      const webm = createWebm();
+      webm.set([0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x40], 13);
+
+      expect(() => embedWebmMetadata(webm, METADATA)).toThrow('WebM segment has a fixed size');
+    });
+
+    it('should refuse files that are already tagged', () => {
+      const tagged = embedWebmMetadata(createWebm(), METADATA);
+
+      expect(() => embedWebmMetadata(tagged, METADATA)).toThrow('WebM file is already indexed or tagged');
+    });
+
+    it('should refuse data that is not WebM', () => {
+      expect(() => embedWebmMetadata(createPng(), METADATA)).toThrow('Not a WebM file');
+    });
+
+    it('should return null for a WebM without tags', () => {
+      expect(readCaptureMetadata(createWebm())).toBeNull();
+    });
+  });
+
+  it('should return null for unknown formats', () => {
+    expect(readCaptureMetadata(new Uint8Array([0x47, 0x49, 0x46, 0x38]))).toBeNull();
+  });
+});
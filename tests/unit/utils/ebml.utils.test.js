@@ -0,0 +1,62 @@
+/**
+ * EBML utilities tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  EBML_ID,
+  isWebm,
+  vintLength,
+  readElementHeader,
+  readUint,
+  encodeElementHeader,
+  encodeElement,
+  encodeUintElement
+} from '@shared/utils/ebml.utils.js';
+
+describe('ebml utils', () => {
+  it('should detect the EBML magic number', () => {
+    expect(isWebm(new Uint8Array([0x1a, 0x45, 0xdf, 0xa3, 0x80]))).toBe(true);
+    expect(isWebm(new Uint8Array([0x89, 0x50, 0x4e, 0x47]))).toBe(false);
+    expect(isWebm(new Uint8Array([0x1a, 0x45]))).toBe(false);
+  });
+
+  it('should read variable-size integer lengths', () => {
+    expect(vintLength(0x81)).toBe(1);
+    expect(vintLength(0x40)).toBe(2);
+    expect(vintLength(0x01)).toBe(8);
+    expect(vintLength(0x00)).toBe(0);
+  });
+
+  it('should round-trip element headers', () => {
+    const header = encodeElementHeader(EBML_ID.CLUSTER, 300);
+
+    expect(readElementHeader(header, 0)).toEqual({ id: EBML_ID.CLUSTER, size: 300, dataStart: 6 });
+  });
+
+  it('should not use the reserved all-ones size', () => {
+    // 127 fits in 7 bits but 0xff means "unknown size"
+    const header = encodeElementHeader(EBML_ID.VOID, 127);
+
+    expect(header).toEqual(new Uint8Array([0xec, 0x40, 0x7f]));
+    expect(readElementHeader(header, 0).size).toBe(127);
+  });
+
+  it('should read unknown sizes as null', () => {
+    const bytes = new Uint8Array([0x1f, 0x43, 0xb6, 0x75, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+
+    expect(readElementHeader(bytes, 0)).toEqual({ id: EBML_ID.CLUSTER, size: null, dataStart: 12 });
+  });
+
+  it('should return null for a header cut off at the end', () => {
+    expect(readElementHeader(new Uint8Array([0x1f, 0x43]), 0)).toBeNull();
+  });
+
+  it('should encode elements and unsigned integers', () => {
+    expect(encodeElement(EBML_ID.TAG_NAME, new Uint8Array([0x41]))).toEqual(new Uint8Array([0x45, 0xa3, 0x81, 0x41]));
+    expect(encodeUintElement(EBML_ID.TIMECODE, 0)).toEqual(new Uint8Array([0xe7, 0x81, 0x00]));
+
+    const timecode = encodeUintElement(EBML_ID.TIMECODE, 70000);
+    expect(readUint(timecode, 2, timecode.length - 2)).toBe(70000);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Recording Markers Utils Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createChaptersVtt,
+  createMarkersJson,
+  normalizeMarkerLabel,
+  parseMarkersJson,
+  trimMarkers
+} from '../../../src/shared/utils/recording-markers.utils.js';
+
+describe('recording-markers.utils', () => {
+  describe('normalizeMarkerLabel', () => {
+    it('should keep one trimmed line', () => {
+      expect(normalizeMarkerLabel('  boss\n  start ')).toBe('boss start');
+    });
+
+    it('should cut long labels', () => {
+      expect(normalizeMarkerLabel('x'.repeat(200))).toHaveLength(80);
+    });
+
+    it('should return an empty string for anything else', () => {
+      expect(normalizeMarkerLabel('   ')).toBe('');
+      expect(normalizeMarkerLabel(null)).toBe('');
+      expect(normalizeMarkerLabel(42)).toBe('');
+    });
+  });
+
+  describe('createChaptersVtt', () => {
+    it('should run each chapter until the next marker and the last until the end', () => {
+      const vtt = createChaptersVtt([
+        { timeMs: 1500, label: 'boss start' },
+        { timeMs: 3723456, label: 'glitch' }
+      ], 3800000);
+
+      expect(vtt).toBe(
+        'WEBVTT\n\n' +
+        '1\n00:00:01.500 --> 01:02:03.456\nboss start\n\n' +
+        '2\n01:02:03.456 --> 01:03:20.000\nglitch\n'
+      );
+    });
+
+    it('should escape cue text', () => {
+      expect(createChaptersVtt([{ timeMs: 0, label: 'a <b> & c' }], 1000)).toContain('\na &lt;b&gt; &amp; c\n');
+    });
+
+    it('should never end a chapter before it starts', () => {
+      const vtt = createChaptersVtt([{ timeMs: 500, label: 'a' }, { timeMs: 500, label: 'b' }], 500);
+
+      expect(vtt).toContain('00:00:00.500 --> 00:00:00.501\na');
+      expect(vtt).toContain('00:00:00.500 --> 00:00:00.501\nb');
+    });
+  });
+
+  describe('createMarkersJson / parseMarkersJson', () => {
+    it('should round-trip markers', () => {
+      const json = createMarkersJson({
+        recording: 'run.webm',
+        durationMs: 9000.4,
+        markers: [{ timeMs: 1200.6, label: 'boss start' }]
+      });
+
+      expect(JSON.parse(json)).toEqual({
+        recording: 'run.webm',
+        durationMs: 9000,
+        markers: [{ timeMs: 1201, label: 'boss start' }]
+      });
+      expect(parseMarkersJson(json)).toEqual([{ timeMs: 1201, label: 'boss start' }]);
+    });
+
+    it('should skip broken entries and sort by time', () => {
+      const json = JSON.stringify({
+        markers: [
+          { timeMs: 900, label: 'b' },
+          { timeMs: -1, label: 'negative' },
+          { timeMs: 100, label: '' },
+          { label: 'no time' },
+          null,
+          { timeMs: 10, label: 'a' }
+        ]
+      });
+
+      expect(parseMarkersJson(json)).toEqual([{ timeMs: 10, label: 'a' }, { timeMs: 900, label: 'b' }]);
+    });
+
+    it('should return null for other files', () => {
+      expect(parseMarkersJson('not json')).toBeNull();
+      expect(parseMarkersJson('{"frames": []}')).toBeNull();
+    });
+  });
+
+  describe('trimMarkers', () => {
+    it('should keep markers in the range, relative to its start', () => {
+      const markers = [
+        { timeMs: 500, label: 'before' },
+        { timeMs: 1000, label: 'in' },
+        { timeMs: 2999, label: 'last' },
+        { timeMs: 3000, label: 'at end' }
+      ];
+
+      expect(trimMarkers(markers, 1000, 3000)).toEqual([
+        { timeMs: 0, label: 'in' },
+        { timeMs: 1999, label: 'last' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Recording Quality Utilities Unit Tests
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { estimateMegabytesPerMinute, isRecordingCodecSupported } from '../../../src/shared/utils/recording-quality.utils.js';
+
+describe('recording-quality.utils', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('isRecordingCodecSupported', () => {
+    it('should ask MediaRecorder about the codec MIME type', () => {
+      const isTypeSupported = vi.fn(type => type === 'video/webm;codecs=vp8');
+      vi.stubGlobal('MediaRecorder', { isTypeSupported });
+
+      expect(isRecordingCodecSupported('vp8')).toBe(true);
+      expect(isRecordingCodecSupported('av1')).toBe(false);
+      expect(isTypeSupported).toHaveBeenCalledWith('video/webm;codecs=av01');
+    });
+
+    it('should reject unknown codecs', () => {
+      vi.stubGlobal('MediaRecorder', { isTypeSupported: vi.fn(() => true) });
+
+      expect(isRecordingCodecSupported('hevc')).toBe(false);
+      expect(isRecordingCodecSupported(undefined)).toBe(false);
+    });
+
+    it('should report nothing as supported without MediaRecorder', () => {
+      vi.stubGlobal('MediaRecorder', undefined);
+
+      expect(isRecordingCodecSupported('vp9')).toBe(false);
+    });
+  });
+
+  describe('estimateMegabytesPerMinute', () => {
+    it('should add video and audio bitrates', () => {
+      expect(estimateMegabytesPerMinute({ videoBitrateKbps: 2500, audioBitrateKbps: 128 })).toBe(19.71);
+      expect(estimateMegabytesPerMinute({ videoBitrateKbps: 8000, audioBitrateKbps: 192 })).toBe(61.44);
+    });
+  });
+});
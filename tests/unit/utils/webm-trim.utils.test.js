@@ -0,0 +1,183 @@
+/**
+ * WebM trim utilities tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { trimWebm } from '@shared/utils/webm-trim.utils.js';
+import {
+  EBML_ID,
+  readElementHeader,
+  readUint,
+  encodeElement,
+  encodeUintElement
+} from '@shared/utils/ebml.utils.js';
+
+const VIDEO = 1;
+const AUDIO = 2;
+const UNKNOWN_SIZE = [0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+
+const concat = (...parts) => {
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+};
+
+const element = (id, ...children) => encodeElement(id, concat(...children));
+
+function simpleBlock(track, relative, keyframe = false) {
+  return encodeElement(EBML_ID.SIMPLE_BLOCK, new Uint8Array([
+    0x80 | track, (relative >> 8) & 0xff, relative & 0xff, keyframe ? 0x80 : 0x00, 0xaa
+  ]));
+}
+
+function info() {
+  const duration = new Uint8Array(8);
+  new DataView(duration.buffer).setFloat64(0, 3000);
+  return element(EBML_ID.INFO, encodeUintElement(EBML_ID.TIMECODE_SCALE, 1000000), encodeElement(EBML_ID.DURATION, duration));
+}
+
+function tracks(...entries) {
+  return element(EBML_ID.TRACKS, ...entries.map(([number, type]) => element(
+    EBML_ID.TRACK_ENTRY,
+    encodeUintElement(EBML_ID.TRACK_NUMBER, number),
+    encodeUintElement(EBML_ID.TRACK_TYPE, type)
+  )));
+}
+
+/**
+ * Three one-second clusters with a video keyframe at the start of each, a
+ * delta frame half way through and an audio block next to every video frame
+ */
+function clusters({ unknownSize = false } = {}) {
+  return [0, 1000, 2000].map(timecode => {
+    const children = [
+      encodeUintElement(EBML_ID.TIMECODE, timecode),
+      simpleBlock(VIDEO, 0, true),
+      simpleBlock(AUDIO, 0, true),
+      simpleBlock(VIDEO, 500),
+      simpleBlock(AUDIO, 500, true)
+    ];
+    return unknownSize
+      ? concat(new Uint8Array([0x1f, 0x43, 0xb6, 0x75, ...UNKNOWN_SIZE]), ...children)
+      : element(EBML_ID.CLUSTER, ...children);
+  });
+}
+
+function createWebm({ unknownSize = false, trackEntries = [[VIDEO, 1], [AUDIO, 2]], extra = [] } = {}) {
+  const body = [
+    element(EBML_ID.SEEK_HEAD, encodeElement(EBML_ID.VOID, new Uint8Array(4))),
+    info(),
+    tracks(...trackEntries),
+    ...clusters({ unknownSize }),
+    ...extra
+  ];
+  const segment = unknownSize
+    ? concat(new Uint8Array([0x18, 0x53, 0x80, 0x67, ...UNKNOWN_SIZE]), ...body)
+    : element(EBML_ID.SEGMENT, ...body);
+
+  return concat(element(EBML_ID.HEADER, new Uint8Array([0x42, 0x82, 0x84, 0x77, 0x65, 0x62, 0x6d])), segment);
+}
+
+/**
+ * Walk a trimmed file and list its top-level Segment children and blocks
+ */
+function parse(parts) {
+  const bytes = concat(...parts);
+  const header = readElementHeader(bytes, 0);
+  const segment = readElementHeader(bytes, header.dataStart + header.size);
+  const topLevel = [];
+  const blocks = [];
+  let duration = null;
+  let offset = segment.dataStart;
+
+  while (offset < bytes.length) {
+    const child = readElementHeader(bytes, offset);
+    const end = child.dataStart + child.size;
+    topLevel.push(child.id);
+
+    let inner = child.dataStart;
+    let timecode = 0;
+    while ((child.id === EBML_ID.CLUSTER || child.id === EBML_ID.INFO) && inner < end) {
+      const item = readElementHeader(bytes, inner);
+      if (item.id === EBML_ID.TIMECODE) {
+        timecode = readUint(bytes, item.dataStart, item.size);
+      } else if (item.id === EBML_ID.DURATION) {
+        duration = new DataView(bytes.buffer, item.dataStart, 8).getFloat64(0);
+      } else if (item.id === EBML_ID.SIMPLE_BLOCK) {
+        const data = item.dataStart;
+        blocks.push({
+          track: bytes[data] & 0x7f,
+          time: timecode + ((bytes[data + 1] << 8) | bytes[data + 2]),
+          keyframe: (bytes[data + 3] & 0x80) !== 0
+        });
+      }
+      inner = item.dataStart + item.size;
+    }
+    offset = end;
+  }
+
+  return { segmentSize: segment.size, length: bytes.length - segment.dataStart, topLevel, blocks, duration };
+}
+
+describe('webm trim utils', () => {
+  it('should start the cut on the keyframe before the in point', () => {
+    const cut = trimWebm(createWebm(), { startMs: 1200, endMs: 2100 });
+
+    expect(cut.startMs).toBe(1000);
+    expect(cut.endMs).toBe(2000);
+    expect(parse(cut.parts).blocks).toEqual([
+      { track: VIDEO, time: 0, keyframe: true },
+      { track: AUDIO, time: 0, keyframe: true },
+      { track: VIDEO, time: 500, keyframe: false },
+      { track: AUDIO, time: 500, keyframe: true },
+      { track: VIDEO, time: 1000, keyframe: true },
+      { track: AUDIO, time: 1000, keyframe: true }
+    ]);
+  });
+
+  it('should give the Segment a known size and patch the duration', () => {
+    const parsed = parse(trimWebm(createWebm(), { startMs: 1200, endMs: 2100 }).parts);
+
+    expect(parsed.segmentSize).toBe(parsed.length);
+    expect(parsed.duration).toBe(1000);
+  });
+
+  it('should drop the SeekHead and Cues, which point into the old layout', () => {
+    const cues = element(EBML_ID.CUES, encodeElement(EBML_ID.VOID, new Uint8Array(2)));
+    const parsed = parse(trimWebm(createWebm({ extra: [cues] }), { startMs: 0, endMs: 1000 }).parts);
+
+    expect(parsed.topLevel).toEqual([EBML_ID.INFO, EBML_ID.TRACKS, EBML_ID.CLUSTER, EBML_ID.CLUSTER]);
+  });
+
+  it('should trim live files with unknown-size Segment and Clusters', () => {
+    const cut = trimWebm(createWebm({ unknownSize: true }), { startMs: 1500, endMs: 3000 });
+
+    expect(cut.startMs).toBe(1000);
+    expect(cut.endMs).toBe(2500);
+    expect(parse(cut.parts).blocks).toHaveLength(8);
+  });
+
+  it('should cut files without a video track at any key block', () => {
+    const cut = trimWebm(createWebm({ trackEntries: [[AUDIO, 2]] }), { startMs: 1600, endMs: 2600 });
+
+    expect(cut.startMs).toBe(1500);
+    expect(cut.endMs).toBe(2500);
+  });
+
+  it('should reject an empty range', () => {
+    expect(() => trimWebm(createWebm(), { startMs: 2000, endMs: 2000 })).toThrow('Trim range is empty');
+  });
+
+  it('should reject files that are not WebM', () => {
+    expect(() => trimWebm(new Uint8Array([0x00, 0x00, 0x00, 0x18, 0x66, 0x74]), { startMs: 0, endMs: 1000 }))
+      .toThrow('Not a WebM file');
+  });
+
+  it('should reject a range with no keyframe to start on', () => {
+    expect(() => trimWebm(createWebm(), { startMs: -1000, endMs: -500 })).toThrow('No keyframe in the trim range');
+  });
+});